@@ -1,62 +1,78 @@
 /*
  * Filename: js/api.js
- * Version: NOUB v4.0.0 (Full Academic Standard - Pure JS Edition)
  * Author: Sameh Yassin & Engineering Partner
  * 
  * -----------------------------------------------------------------------------
  * MODULE OVERVIEW
  * -----------------------------------------------------------------------------
  * This module serves as the unified Data Access Object (DAO) for the application.
- * It abstracts all Supabase interactions, enforcing a "Client-Side Logic" architecture.
+ * Screens read and write through it; anything that pays, mints or scores runs
+ * as a server function and comes back here as a delta. The storage itself is a pluggable backend (js/backends/): the hosted Supabase
+ * project or the in-browser local stand-in, chosen by DATA_BACKEND in config.js.
+ * Screens import this module only, never a backend or the Supabase client.
  * 
  * KEY ARCHITECTURAL DECISIONS:
- * 1. Decoupled Logic: Business logic (e.g., Collatz, Swap Transaction Steps) resides 
- *    here, not in SQL triggers/functions. This ensures portability and easier debugging.
+ * 1. Server Authority: balances, rewards, cards, trades, production runs and
+ *    game results are decided by SQL functions (sql/001 - 017), which check
+ *    their inputs and guard the rows they own with triggers. This module
+ *    calls them and maps their error codes to messages.
  * 2. Explicit Relationships: Foreign keys are explicitly referenced to resolve 
  *    ambiguities in the PostgreSQL schema (e.g., factories <-> items).
- * 3. Atomic Emulation: Complex transactions (like Swaps) are handled via chained 
- *    Promises with error propagation to emulate atomicity.
+ * 3. Transactions: anything that spans several rows (a swap, a delivery, a
+ *    reward with its XP) is one server function call, so it lands whole or not
+ *    at all. What remains client-side are plain writes of one row the player
+ *    owns (UCP answers, settings, spending an item).
+ * 4. Currency: Balances (NOUB, Prestige, Ankh, Tickets) change only through
+ *    the ledger (sql/001_currency_ledger.sql), never by writing absolute values:
+ *    the client may debit itself (SECTION 9), and every reward is paid by a
+ *    server function that checks its source and computes the amount (SECTION 14).
+ * 5. Delta Sync: Mutations of player-owned rows return the changed rows and patch
+ *    the store through js/sync.js, so screens rarely need refreshPlayerState().
+ * 6. Backend Contract: backends return raw { data, error } rows; guards, error
+ *    messages and state sync live here so they behave the same on every backend.
+ * 7. Offline Outbox: writes the client can decide alone (UCP answers, counts,
+ *    progress) are queued on the device when the connection drops and replayed
+ *    later (js/outbox.js, handlers in SECTION 12). A queued write resolves
+ *    without error and with `queued: true`.
+ * 8. Master Data: catalogs (cards, factories, items, paths, projects, slot
+ *    rewards) are served from js/catalog.js and refetched only when the
+ *    server's catalog version changes.
+ * 9. Result Model: every function resolves to { data, error }. Errors are
+ *    AppErrors (js/errors.js) with a category (network, conflict,
+ *    insufficient_funds, validation, auth, server); transient backend
+ *    failures are retried before they reach the caller. Screens pass errors
+ *    to handleError() for the toast and the diagnostics log.
  * 
  * -----------------------------------------------------------------------------
  */
 
-import { state } from './state.js'; 
-import { supabaseClient } from './config.js';
+import { state, mutateState } from './state.js'; 
+import { applyDelta } from './sync.js';
+import { backend as rawBackend } from './backends/index.js';
+import { registerOutboxHandler, submit } from './outbox.js';
+import { cachedCatalog } from './catalog.js';
+import { withRetries, appError, namedError, ERROR_CATEGORIES } from './errors.js';
+import { t } from './i18n.js';
 
-// Export the client for direct access if needed by edge cases
-export { supabaseClient };
+// Reads and absolute writes are safe to repeat after a lost response; RPCs
+// that move currency or cards are retried only when the server rolled them back
+const IDEMPOTENT_METHODS = /^(fetch|get|upsert|update)|^(tradeCheck|marketCardStats|marketOverview)$/;
+const backend = withRetries(rawBackend, name => IDEMPOTENT_METHODS.test(name));
 
 // =============================================================================
-// SECTION 0: ALGORITHMIC HELPERS (Local Logic)
+// SECTION 0: HELPERS
 // =============================================================================
 
 /**
- * Implements the Collatz Conjecture algorithm to determine the "Power Score" 
- * of the Soul Card.
- * 
- * Mathematical Logic:
- * f(n) = n/2 (if n is even)
- * f(n) = 3n + 1 (if n is odd)
- * The function counts the steps required for the seed to reach 1.
- * 
- * @param {string} seed - The composite numeric string (DNA) from the user profile.
- * @returns {number} The total number of steps (Power Score).
- */
-function calculateCollatzPower(seed) {
-    // BigInt is required to handle the massive numbers generated by the DNA string.
-    let current = BigInt(seed); 
-    let steps = 0;
-    const MAX_STEPS = 50000; // Safety circuit breaker
-
-    while (current > 1n && steps < MAX_STEPS) {
-        if (current % 2n === 0n) {
-            current = current / 2n;
-        } else {
-            current = (current * 3n) + 1n;
-        }
-        steps++;
-    }
-    return steps;
+ * Passes the rows returned by a mutation to the store (js/sync.js).
+ * The rows must carry player_id, so changes to other players are skipped.
+ * @param {{data: object[], error: object}} result - Backend result of a mutation returning rows.
+ * @param {string} key - Delta key: 'inventory', 'consumables', 'cards' or 'factories'.
+ */
+function syncRows(result, key) {
+    const rows = result.data || [];
+    if (!result.error && rows.length) applyDelta(rows[0].player_id, { [key]: rows });
+    return result;
 }
 
 // =============================================================================
@@ -69,22 +85,48 @@ function calculateCollatzPower(seed) {
  * @returns {Promise<{data: object, error: object}>}
  */
 export async function fetchProfile(userId) {
-    const { data, error } = await supabaseClient
-        .from('profiles')
-        .select('*')
-        .eq('id', userId)
-        .single();
+    const { data, error } = await backend.fetchProfile(userId);
     return { data, error };
 }
 
 /**
- * Updates fields in the user profile (Currency, XP, Level).
+ * Creates the profile row of the signed-in user (an existing one is
+ * returned as is). The server starts it at the default balances and
+ * progress; the starter pack is claimed afterwards (claimStarterPack).
+ * @param {string} username
+ * @param {string|null} [avatarUrl]
+ */
+export async function createPlayerProfile(username, avatarUrl = null) {
+    return await backend.createProfile(username, avatarUrl);
+}
+
+/**
+ * Updates non-currency fields in the user profile (progress flags, settings).
+ * Balance columns are rejected here (use debit() or a reward in SECTION 14),
+ * and so are XP, level and the Royal Vault columns, which the game actions
+ * set on the server.
  */
 export async function updatePlayerProfile(playerId, updateObject) {
-    return await supabaseClient
-        .from('profiles')
-        .update(updateObject)
-        .eq('id', playerId);
+    const balanceColumn = Object.keys(updateObject).find(key => LEDGER_COLUMNS.includes(key));
+    if (balanceColumn) {
+        console.error(`Blocked direct write to '${balanceColumn}'. Use the currency ledger.`);
+        return { data: null, error: appError('errors.balanceWriteDenied') };
+    }
+    const progressColumn = Object.keys(updateObject).find(key => SERVER_PROGRESS_COLUMNS.includes(key));
+    if (progressColumn) {
+        console.error(`Blocked direct write to '${progressColumn}'. It changes through its game action.`);
+        return { data: null, error: appError('errors.progressWriteDenied') };
+    }
+    return await submit('profile.update', [playerId, updateObject], {
+        key: `profile:${playerId}`,
+        base: ownProfileValues(playerId, Object.keys(updateObject))
+    });
+}
+
+async function writeProfile(playerId, changes) {
+    const { data, error } = await backend.updateProfile(playerId, changes);
+    if (!error && data?.[0]) applyDelta(playerId, { profile: data[0] });
+    return { data, error };
 }
 
 /**
@@ -93,49 +135,153 @@ export async function updatePlayerProfile(playerId, updateObject) {
  * @param {string} description - Human-readable details.
  */
 export async function logActivity(playerId, activityType, description) {
-    return await supabaseClient.from('activity_log').insert({ 
+    return await submit('activity.log', [{ 
         player_id: playerId, 
         activity_type: activityType, 
         description: description 
-    });
+    }]);
 }
 
 export async function fetchActivityLog(playerId) {
-    return await supabaseClient
-        .from('activity_log')
-        .select('*')
-        .eq('player_id', playerId)
-        .order('created_at', { ascending: false })
-        .limit(50);
+    return await backend.fetchActivityLog(playerId);
+}
+
+// --- Session & Realtime ---
+
+export async function signInWithPassword(email, password) {
+    return await backend.signIn(email, password);
+}
+
+export async function signUp(email, password, username) {
+    return await backend.signUp(email, password, username);
+}
+
+export async function signOut() {
+    return await backend.signOut();
+}
+
+export async function getSession() {
+    return await backend.getSession();
 }
 
 /**
- * Handles the Experience Point (XP) logic and Leveling up.
- * Note: This reads current state, calculates locally, then writes back.
+ * Emails a one-time login link. Only existing accounts get one; an unknown
+ * address is reported as such rather than creating an account without a name.
  */
-export async function addXp(playerId, amount) {
-    const profile = state.playerProfile;
-    if (!profile) return { leveledUp: false };
+export async function sendMagicLink(email) {
+    if (!String(email || '').includes('@')) return { data: null, error: appError('errors.accountEmailRequired') };
+    const { data, error } = await backend.sendMagicLink(email.trim());
+    if (error && /Signups not allowed/i.test(error.message)) {
+        return { data: null, error: namedError(error, 'AUTH_NO_ACCOUNT', 'errors.authNoAccount') };
+    }
+    return { data, error };
+}
 
-    let currentXp = (profile.xp || 0) + amount;
-    let currentLevel = profile.level || 1;
-    let xpNext = profile.xp_to_next_level || 100;
-    let leveledUp = false;
+/**
+ * Emails a password-reset link. The link signs the player in and the app
+ * then asks for the new password (PASSWORD_RECOVERY, see js/auth.js).
+ */
+export async function requestPasswordReset(email) {
+    if (!String(email || '').includes('@')) return { data: null, error: appError('errors.accountEmailRequired') };
+    return await backend.requestPasswordReset(email.trim());
+}
 
-    // Iterative leveling if massive XP is gained
-    while (currentXp >= xpNext) {
-        currentLevel++;
-        currentXp -= xpNext;
-        xpNext = Math.floor(xpNext * 1.15); // Linear progression multiplier
-        leveledUp = true;
-    }
-    
-    await updatePlayerProfile(playerId, { 
-        xp: currentXp, 
-        level: currentLevel, 
-        xp_to_next_level: xpNext 
-    });
-    return { leveledUp, newLevel: currentLevel };
+export async function updatePassword(password) {
+    if (String(password || '').length < 6) return { data: null, error: appError('errors.passwordTooShort', ERROR_CATEGORIES.VALIDATION, { min: 6 }) };
+    return await backend.updatePassword(password);
+}
+
+/**
+ * Starts an anonymous guest session. Guests are seeded and play like anyone
+ * else until they add an email or Telegram (upgradeGuest, linkTelegramAccount).
+ */
+export async function signInAsGuest(username) {
+    return await backend.signInAsGuest(username);
+}
+
+/**
+ * Turns the current guest into an email account, keeping its player id and
+ * with it all progress. On the hosted backend the email still has to be
+ * confirmed through the mail Supabase sends.
+ */
+export async function upgradeGuest(email, password) {
+    if (!String(email || '').includes('@')) return { data: null, error: appError('errors.emailInvalid') };
+    if (String(password || '').length < 6) return { data: null, error: appError('errors.passwordTooShort', ERROR_CATEGORIES.VALIDATION, { min: 6 }) };
+    return await backend.upgradeGuest(email.trim(), password);
+}
+
+/**
+ * The signed-in user as the auth server has it now (e.g. after an upgrade).
+ */
+export async function fetchCurrentUser() {
+    return await backend.getUser();
+}
+
+/**
+ * Subscribes to session events: SIGNED_IN, SIGNED_OUT, TOKEN_REFRESHED,
+ * USER_UPDATED, PASSWORD_RECOVERY. Returns a function that unsubscribes.
+ * @param {Function} callback - (event, session) => void
+ */
+export function onAuthChange(callback) {
+    return backend.onAuthChange(callback);
+}
+
+/**
+ * Message keys for the Telegram sign-in and linking codes
+ * (supabase/functions/telegram-auth, or the local backend's stand-in).
+ */
+const TELEGRAM_ERROR_KEYS = {
+    TELEGRAM_INVALID: 'errors.telegramInvalid',
+    TELEGRAM_ALREADY_LINKED: 'errors.telegramAlreadyLinked',
+    TELEGRAM_PLAYER_LINKED: 'errors.telegramPlayerLinked',
+    TELEGRAM_LINK_AUTH: 'errors.telegramLinkAuth',
+    TELEGRAM_SIGNIN_FAILED: 'errors.telegramSigninFailed',
+    TELEGRAM_VERIFIER_NOT_CONFIGURED: 'errors.telegramVerifierNotConfigured'
+};
+
+function normalizeTelegramError(error) {
+    const code = Object.keys(TELEGRAM_ERROR_KEYS).find(key => (error?.message || '').includes(key));
+    return code ? namedError(error, code, TELEGRAM_ERROR_KEYS[code]) : error;
+}
+
+/**
+ * Signs in with the initData Telegram gives the Mini App. The backend checks
+ * its signature, creates an account for a new Telegram user and starts a
+ * session. data.created is true for a new account; its user_metadata holds
+ * the Telegram name and photo for the profile.
+ * @param {string} initData - Telegram.WebApp.initData.
+ */
+export async function signInWithTelegram(initData) {
+    const { data, error } = await backend.signInWithTelegram(initData);
+    return { data, error: error ? normalizeTelegramError(error) : null };
+}
+
+/**
+ * Links the Telegram user in initData to the signed-in (email) account, so
+ * the next launch from Telegram signs in to it directly.
+ */
+export async function linkTelegramAccount(initData) {
+    const { data, error } = await backend.linkTelegram(initData);
+    return { data, error: error ? normalizeTelegramError(error) : null };
+}
+
+/**
+ * The Telegram identity linked to a player: { telegram_id, username, linked_at } or null.
+ */
+export async function fetchTelegramIdentity(playerId) {
+    return await backend.fetchTelegramIdentity(playerId);
+}
+
+/**
+ * Opens a realtime channel (see js/realtime.js).
+ * @returns {object|null} null when the backend has no live feed (local).
+ */
+export function openRealtimeChannel(name) {
+    return backend.openChannel(name);
+}
+
+export function closeRealtimeChannel(channel) {
+    backend.closeChannel(channel);
 }
 
 // =============================================================================
@@ -143,20 +289,22 @@ export async function addXp(playerId, amount) {
 // =============================================================================
 
 export async function fetchPlayerInventory(playerId) {
-    return await supabaseClient
-        .from('player_inventory')
-        .select(`quantity, item_id, items (id, name, type, image_url, base_value)`)
-        .eq('player_id', playerId);
+    return await backend.fetchPlayerInventory(playerId);
 }
 
+/**
+ * Spends items the player holds. Items are added only by the server
+ * (production, trades, rewards), which refuses any increase from here.
+ */
 export async function updateItemQuantity(playerId, itemId, newQuantity) {
     if (newQuantity < 0) {
         console.error("Transaction aborted: Negative Quantity detected.");
-        return { error: { message: "Insufficient resources." } };
+        return { data: null, error: appError('errors.insufficientResources', ERROR_CATEGORIES.INSUFFICIENT_FUNDS) };
     }
-    return await supabaseClient
-        .from('player_inventory')
-        .upsert({ player_id: playerId, item_id: itemId, quantity: newQuantity });
+    return await submit('inventory.set', [playerId, itemId, newQuantity], {
+        key: `inventory:${playerId}:${itemId}`,
+        base: state.currentUser?.id === playerId ? (state.inventory.get(itemId)?.qty ?? 0) : null
+    });
 }
 
 /**
@@ -164,83 +312,52 @@ export async function updateItemQuantity(playerId, itemId, newQuantity) {
  * Includes detailed joins to get master card data (Rarity, Image).
  */
 export async function fetchPlayerCards(playerId) {
-    return await supabaseClient
-        .from('player_cards')
-        .select(`
-            instance_id, level, card_id, power_score, is_locked,
-            cards (id, name, rarity_level, image_url, power_score, description)
-        `)
-        .eq('player_id', playerId);
+    return await backend.fetchPlayerCards(playerId);
 }
 
 export async function fetchAllMasterCards() {
-    return await supabaseClient.from('cards').select('*');
-}
-
-/**
- * Adds a standard card to the player's deck.
- * @param {number} cardId - Master ID of the card.
- */
-export async function addCardToPlayerCollection(playerId, cardId) {
-    return await supabaseClient.from('player_cards').insert({
-        player_id: playerId,
-        card_id: cardId,
-        level: 1,
-        power_score: 10,
-        is_locked: false
-    });
+    return await cachedCatalog('cards', backend.fetchAllMasterCards);
 }
 
 export async function deleteCardInstance(instanceId) {
-    return await supabaseClient.from('player_cards').delete().eq('instance_id', instanceId);
+    const { data, error } = await backend.deletePlayerCard(instanceId);
+    if (!error && data?.[0]) applyDelta(data[0].player_id, { removedCards: data.map(row => row.instance_id) });
+    return { data, error };
 }
 
 // --- Card Upgrades ---
 
 export async function fetchCardUpgradeRequirements(cardId, nextLevel) {
-    return await supabaseClient
-        .from('card_levels')
-        .select(`*, items:cost_item_id (name)`)
-        .eq('card_id', cardId)
-        .eq('upgrade_level', nextLevel)
-        .single();
+    return await backend.fetchCardUpgradeRequirements(cardId, nextLevel);
 }
 
 export async function performCardUpgrade(playerCardId, newLevel, newPowerScore) {
-    return await supabaseClient
-        .from('player_cards')
-        .update({ level: newLevel, power_score: newPowerScore })
-        .eq('instance_id', playerCardId);
+    return syncRows(await backend.updatePlayerCard(playerCardId, { level: newLevel, power_score: newPowerScore }), 'cards');
 }
 
 /**
  * Processes the currency deduction for upgrades.
- * This acts as the "Wallet" logic.
+ * This acts as the "Wallet" logic: currencies are debited through the ledger,
+ * the optional material is deducted afterwards.
+ * @param {object} costs - { noub, prestige, ankh }
+ * @param {object|null} itemCost - { id, qty }
+ * @param {object|null} reference - Ledger reference, e.g. { type: 'player_card', id }.
  */
-export async function transactUpgradeCosts(playerId, costs, itemCost = null) {
-    const profile = state.playerProfile;
-    
-    // 1. Validate Balance Locally
-    if ((profile.noub_score || 0) < (costs.noub || 0)) return { error: { message: 'Not enough NOUB.' } };
-    if ((profile.prestige || 0) < (costs.prestige || 0)) return { error: { message: 'Not enough Prestige.' } };
+export async function transactUpgradeCosts(playerId, costs, itemCost = null, reference = null) {
+    // 1. Validate Material Locally (currencies are validated by the ledger)
+    const currentItemQty = itemCost ? (state.inventory.get(itemCost.id)?.qty || 0) : 0;
+    if (itemCost && currentItemQty < itemCost.qty) return { data: null, error: appError('errors.insufficientResources', ERROR_CATEGORIES.INSUFFICIENT_FUNDS) };
 
     // 2. Execute Deduction
-    const profileUpdate = {
-        noub_score: (profile.noub_score || 0) - (costs.noub || 0),
-        prestige: (profile.prestige || 0) - (costs.prestige || 0),
-        ankh_premium: (profile.ankh_premium || 0) - (costs.ankh || 0),
-    };
-
-    const { error: profileError } = await updatePlayerProfile(playerId, profileUpdate);
-    if (profileError) return { error: profileError };
+    const { error: ledgerError } = await debit(playerId, costs, 'CARD_UPGRADE', reference);
+    if (ledgerError) return { data: null, error: ledgerError };
 
     // 3. Deduct Material if required
     if (itemCost) {
-        const currentItemQty = state.inventory.get(itemCost.id)?.qty || 0;
         const { error: itemError } = await updateItemQuantity(playerId, itemCost.id, currentItemQty - itemCost.qty);
-        if (itemError) return { error: itemError };
+        if (itemError) return { data: null, error: itemError };
     }
-    return { error: null }; 
+    return { data: null, error: null }; 
 }
 
 // =============================================================================
@@ -248,89 +365,70 @@ export async function transactUpgradeCosts(playerId, costs, itemCost = null) {
 // =============================================================================
 
 export async function fetchAllMasterFactories() {
-    // Explicit join on items!factories_output_item_id_fkey to avoid PGRST201 error
-    return await supabaseClient
-        .from('factories')
-        .select(`
-            id, name, output_item_id, base_production_time, type, image_url, required_level, build_cost_noub, 
-            items!factories_output_item_id_fkey (id, name, type, image_url, base_value)
-        `)
-        .order('required_level', { ascending: true });
+    return await cachedCatalog('factories', backend.fetchAllMasterFactories);
 }
 
 /**
  * Retrieves the player's built factories with their state.
- * CRITICAL: Uses explicit relationships to avoid ambiguous joins.
  */
 export async function fetchPlayerFactories(playerId) {
-    return await supabaseClient
-        .from('player_factories')
-        .select(`
-            id, level, production_start_time, assigned_card_instance_id, 
-            factories!inner (
-                id, name, output_item_id, base_production_time, type, image_url,
-                items!factories_output_item_id_fkey (id, name, image_url, type),
-                factory_recipes (input_quantity, items (id, name, image_url))
-            ), 
-            player_cards (
-                instance_id, level, cards (name, image_url, rarity_level)
-            )
-        `)
-        .eq('player_id', playerId);
+    return await backend.fetchPlayerFactories(playerId);
 }
 
 export async function buildFactory(playerId, factoryId) {
-    return await supabaseClient.from('player_factories').insert({
-        player_id: playerId,
-        factory_id: factoryId,
-        level: 1
-    });
+    return syncRows(await backend.insertPlayerFactory(playerId, factoryId), 'factories');
 }
 
-export async function updatePlayerFactoryLevel(playerFactoryId, newLevel) {
-    return await supabaseClient.from('player_factories').update({ level: newLevel }).eq('id', playerFactoryId);
+/**
+ * Raises a factory one level (sql/010 factory_upgrade): the server takes the
+ * NOUB and Limestone Blocks and grants the XP.
+ * @returns {Promise<{data: {level: number, leveled_up: boolean}, error: object}>}
+ */
+export async function upgradeFactory(playerId, playerFactoryId) {
+    return await settleReward(playerId, backend.upgradeFactory(playerFactoryId));
 }
 
-export async function startProduction(playerFactoryId, startTime) {
-    return await supabaseClient.from('player_factories').update({ production_start_time: startTime }).eq('id', playerFactoryId);
+/**
+ * Starts a factory run (sql/016 factory_start): the server takes the recipe
+ * inputs and stamps the start time.
+ */
+export async function startProduction(playerId, playerFactoryId) {
+    return await settleReward(playerId, backend.startFactory(playerFactoryId));
 }
 
-export async function claimProduction(playerId, playerFactoryId, itemId, newQuantity) {
-    // Step 1: Update Inventory (Add Product)
-    const { error: invError } = await supabaseClient
-        .from('player_inventory')
-        .upsert({ player_id: playerId, item_id: itemId, quantity: newQuantity });
-    
-    if (invError) return { error: invError };
+/**
+ * Assigns an expert card to a factory, or removes it (instanceId = null).
+ */
+export async function assignFactoryExpert(playerFactoryId, instanceId) {
+    return syncRows(await backend.updatePlayerFactory(playerFactoryId, { assigned_card_instance_id: instanceId }), 'factories');
+}
 
-    // Step 2: Reset Factory Timer
-    return await supabaseClient
-        .from('player_factories')
-        .update({ production_start_time: null })
-        .eq('id', playerFactoryId);
+/**
+ * Collects a finished factory in one round-trip (sql/010_delta_sync.sql):
+ * adds the output to the inventory, resets the timer and grants XP. The
+ * server checks the run is over and rolls the expert's double output.
+ * @returns {Promise<{data: {quantity: number, leveled_up: boolean}, error: object}>}
+ */
+export async function claimProduction(playerId, playerFactoryId) {
+    return await settleReward(playerId, backend.claimFactory(playerFactoryId));
 }
 
 export async function fetchAllItems() {
-    return await supabaseClient.from('items').select('id, name, image_url');
+    return await cachedCatalog('items', backend.fetchAllItems);
 }
 
 // --- Specialization System ---
 
 export async function fetchSpecializationPaths() { 
-    return await supabaseClient.from('specialization_paths').select('*'); 
+    return await cachedCatalog('specializationPaths', backend.fetchSpecializationPaths); 
 }
 
 export async function fetchPlayerSpecializations(playerId) { 
-    return await supabaseClient
-        .from('player_specializations')
-        .select('*, specialization_paths(*)')
-        .eq('player_id', playerId); 
+    return await backend.fetchPlayerSpecializations(playerId); 
 }
 
 export async function unlockSpecialization(playerId, pathId) { 
-    return await supabaseClient
-        .from('player_specializations')
-        .insert({ player_id: playerId, specialization_path_id: pathId, is_active: true }); 
+    return await backend.insertPlayerSpecialization(playerId, pathId); 
 }
 
 // =============================================================================
@@ -338,44 +436,23 @@ export async function unlockSpecialization(playerId, pathId) {
 // =============================================================================
 
 export async function fetchAvailableContracts(playerId) {
-    const { data: playerContractIds } = await supabaseClient.from('player_contracts').select('contract_id').eq('player_id', playerId);
-    const acceptedIds = playerContractIds ? playerContractIds.map(c => c.contract_id) : [];
-    
-    let query = supabaseClient.from('contracts').select('*');
-    if (acceptedIds.length > 0) {
-        query = query.not('id', 'in', `(${acceptedIds.join(',')})`);
-    }
-    return await query;
+    return await backend.fetchAvailableContracts(playerId);
 }
 
 export async function fetchPlayerContracts(playerId) {
-    return await supabaseClient
-        .from('player_contracts')
-        .select(`id, status, accepted_at, contracts (*)`)
-        .eq('player_id', playerId)
-        .eq('status', 'active');
+    return await backend.fetchPlayerContracts(playerId);
 }
 
 export async function fetchContractWithRequirements(contractId) {
-    return await supabaseClient
-        .from('contracts')
-        .select(`*, contract_requirements (quantity, items (id, name, image_url))`)
-        .eq('id', contractId)
-        .single();
+    return await backend.fetchContractWithRequirements(contractId);
 }
 
 export async function acceptContract(playerId, contractId) {
-    return await supabaseClient.from('player_contracts').insert({ player_id: playerId, contract_id: contractId });
-}
-
-export async function completeContract(playerId, playerContractId, newTotals) {
-    const { error: statusError } = await supabaseClient.from('player_contracts').update({ status: 'completed' }).eq('id', playerContractId);
-    if (statusError) return { error: statusError };
-    return await supabaseClient.from('profiles').update({ noub_score: newTotals.noub_score, prestige: newTotals.prestige }).eq('id', playerId);
+    return await backend.insertPlayerContract(playerId, contractId, new Date().toISOString());
 }
 
 export async function refreshAvailableContracts(playerId) {
-    return await supabaseClient.from('player_contracts').delete().eq('player_id', playerId).eq('status', 'active'); 
+    return await backend.deleteActivePlayerContracts(playerId); 
 }
 
 // =============================================================================
@@ -384,266 +461,1017 @@ export async function refreshAvailableContracts(playerId) {
 
 // --- Idle Drop ---
 export async function fetchIdleDropState(playerId) {
-    return await supabaseClient.from('profiles').select('last_claim_time, idle_generator_level, noub_score').eq('id', playerId).single();
-}
-export async function updateIdleDropState(playerId, updateObject) {
-    return await supabaseClient.from('profiles').update(updateObject).eq('id', playerId);
+    return await backend.fetchIdleDropState(playerId);
 }
 
 // --- KV Game ---
 export async function fetchKVGameConsumables(playerId) { 
-    return await supabaseClient.from('game_consumables').select('item_key, quantity').eq('player_id', playerId); 
+    return await backend.fetchKVGameConsumables(playerId); 
 }
 export async function updateConsumableQuantity(playerId, itemKey, newQuantity) { 
-    return await supabaseClient.from('game_consumables').upsert({ player_id: playerId, item_key: itemKey, quantity: newQuantity }); 
+    return await submit('consumable.set', [playerId, itemKey, newQuantity], {
+        key: `consumable:${playerId}:${itemKey}`,
+        base: state.currentUser?.id === playerId ? (state.consumables.get(itemKey) ?? 0) : null
+    }); 
 }
 export async function fetchKVProgress(playerId) { 
-    return await supabaseClient.from('kv_game_progress').select('*').eq('player_id', playerId).single(); 
+    return await backend.fetchKVProgress(playerId); 
 }
-export async function updateKVProgress(playerId, updateObject) { 
-    return await supabaseClient.from('kv_game_progress').upsert({ player_id: playerId, ...updateObject }); 
+
+/**
+ * Pays the entry fee and starts a game at the next sealed gate. The code
+ * stays on the server; the free hints come back with the rules.
+ * @returns {Promise<{data: {gate: number, digits: number, seconds: number, attempts: number,
+ *          expires_at: string, hints: {sum: number, product: number, evens: number, odds: number}}, error: object}>}
+ */
+export async function startKVGame(playerId) {
+    return await settleReward(playerId, backend.kvGameStart());
 }
+
+/**
+ * Sends one guess. `result` is 'miss' (with bulls, cows and attempts_left),
+ * 'win' (the gate opens and pays) or 'lose_attempts' / 'lose_time' (with the code).
+ */
+export async function guessKVCode(playerId, guess) {
+    return await settleReward(playerId, backend.kvGameGuess(guess));
+}
+
+/**
+ * Uses a Hint Scroll (returns last_digit) or Time Amulet (returns the new
+ * expires_at) in the open game; without the consumable it is bought with Ankh.
+ */
+export async function useKVItem(playerId, itemKey) {
+    return await settleReward(playerId, backend.kvGameUseItem(itemKey));
+}
+
+/**
+ * Gives up the open game; returns its code.
+ */
+export async function endKVGame(playerId) {
+    return await settleReward(playerId, backend.kvGameEnd());
+}
+
 export async function insertGameHistory(historyObject) { 
-    return await supabaseClient.from('game_history').insert(historyObject); 
+    return await submit('game.history', [historyObject]); 
 }
 export async function fetchGameHistory(playerId) { 
-    return await supabaseClient.from('game_history').select('*').eq('player_id', playerId).order('date', { ascending: false }); 
+    return await backend.fetchGameHistory(playerId); 
 }
 
 // --- Wheel of Fortune ---
-export async function fetchSlotRewards() { return await supabaseClient.from('slot_rewards').select('*'); }
-export async function getDailySpinTickets(playerId) { return await supabaseClient.from('profiles').select('spin_tickets, last_daily_spin').eq('id', playerId).single(); }
+export async function fetchSlotRewards() { return await cachedCatalog('slotRewards', backend.fetchSlotRewards); }
+export async function getDailySpinTickets(playerId) { return await backend.getDailySpinTickets(playerId); }
+
+// --- Calendar Events ---
+export async function fetchGameEvents() {
+    return await backend.fetchGameEvents();
+}
+export async function fetchPlayerEventClaims(playerId) {
+    return await backend.fetchEventClaims(playerId);
+}
 
 // =============================================================================
 // SECTION 6: PROJECTS, UCP & LIBRARY
 // =============================================================================
 
 export async function fetchAllGreatProjects() {
-    return await supabaseClient.from('master_great_projects').select('*').order('min_player_level', { ascending: true });
+    return await cachedCatalog('greatProjects', backend.fetchAllGreatProjects);
 }
 export async function fetchPlayerGreatProjects(playerId) {
-    return await supabaseClient.from('player_great_projects').select(`*, master_great_projects (*)`).eq('player_id', playerId);
+    return await backend.fetchPlayerGreatProjects(playerId);
 }
+/**
+ * Joins a Great Project; the server checks level and specialization and takes its cost.
+ */
 export async function subscribeToProject(playerId, projectId) {
-    return await supabaseClient.from('player_great_projects').insert({ 
-        player_id: playerId, project_id: projectId, start_time: new Date().toISOString(), status: 'active', progress: {} 
-    });
-}
-export async function deliverToProject(playerProjectId, newProgress) {
-    return await supabaseClient.from('player_great_projects').update({ progress: newProgress }).eq('id', playerProjectId);
+    return await settleReward(playerId, backend.projectSubscribe(projectId));
 }
-export async function completeGreatProject(playerProjectId, rewards) {
-    // Note: Logic assumes frontend calculates new balances and calls updateProfile separately or here.
-    // For safety, we just mark complete. The caller should handle rewards via updatePlayerProfile.
-    return await supabaseClient.from('player_great_projects').update({ status: 'completed' }).eq('id', playerProjectId);
+
+/**
+ * Moves goods from the inventory into an active project.
+ * @returns {Promise<{data: {progress: object, inventory: object[]}, error: object}>}
+ */
+export async function deliverToProject(playerId, playerProjectId, itemId, quantity) {
+    return await settleReward(playerId, backend.projectDeliver(playerProjectId, Number(itemId), quantity));
 }
 
 // --- UCP (User Context Protocol) ---
+/**
+ * Saves one UCP section. Answers are stored on the device before the request
+ * and retried until the server has them, so none is lost to a bad connection.
+ */
 export function saveUCPSection(playerId, sectionKey, sectionData) {
-    supabaseClient.from('player_protocol_data').upsert({ player_id: playerId, section_key: sectionKey, section_data: sectionData })
-    .then(({ error }) => { if (error) console.error('UCP Save Error:', error); });
+    return submit('ucp.section', [playerId, sectionKey, sectionData], { key: `ucp:${playerId}:${sectionKey}` });
 }
 export async function fetchUCPProtocol(playerId) {
-    // Pure JS Select
-    const { data, error } = await supabaseClient.from('player_protocol_data').select('section_key, section_data').eq('player_id', playerId);
+    const { data, error } = await backend.fetchUCPProtocol(playerId);
     return { data, error };
 }
 
 // --- Albums & Library ---
-export async function fetchPlayerAlbums(playerId) { return await supabaseClient.from('player_albums').select(`*, master_albums (*)`).eq('player_id', playerId); }
-export async function fetchPlayerLibrary(playerId) { return await supabaseClient.from('player_library').select('entry_key').eq('player_id', playerId); }
+export async function fetchPlayerAlbums(playerId) { return await backend.fetchPlayerAlbums(playerId); }
+export async function fetchPlayerLibrary(playerId) { return await backend.fetchPlayerLibrary(playerId); }
 
-export async function saveTonTransaction(playerId, txId, amountTon, amountAnkh) {
-    // Stub function for future Web3 integration log
-    return { success: true };
+/**
+ * Unlocks a library entry (no-op if it is already unlocked).
+ */
+export async function unlockLibraryEntry(playerId, entryKey) {
+    return await backend.upsertLibraryEntry(playerId, entryKey);
 }
 
 // =============================================================================
-// SECTION 7: SOUL CARD MINTING (PURE JS LOGIC)
+// SECTION 7: SOUL CARD MINTING
 // =============================================================================
 
 /**
- * Handles the creation of the Unique Soul Card.
- * Logic:
- * 1. Validate DNA existence in Profile.
- * 2. Calculate Collatz Power from DNA string.
- * 3. Insert Card with ID 9999 (Locked).
+ * Mints the player's unique Soul Card (card 9999, locked) once the UCP with
+ * Eve is done. The server builds the DNA string from the profile and takes
+ * the card's power from its Collatz step count (soul_card_mint, sql/016).
+ * @returns {Promise<{data: {power_score: number, dna_string: string}, error: object}>}
  */
 export async function mintUserSoulCard(playerId) {
-    console.log("Initializing Soul Minting Protocol (Client-Side)...");
+    return await settleReward(playerId, backend.soulCardMint());
+}
 
-    // 1. Fetch & Validate
-    const { data: profile } = await fetchProfile(playerId);
-    
-    if (!profile.dna_edu_level || !profile.dna_eve_code || profile.dna_eve_code === '00000') {
-        return { error: { message: "Protocol Incomplete. Please finish the UCP with Eve first." } };
-    }
+// =============================================================================
+// SECTION 8: P2P MARKET & SWAP (SERVER ESCROW)
+// =============================================================================
 
-    // 2. Check Duplication
-    const { data: existing } = await supabaseClient
-        .from('player_cards')
-        .select('instance_id')
-        .eq('player_id', playerId)
-        .eq('card_id', 9999);
-        
-    if (existing && existing.length > 0) {
-        return { error: { message: "Soul Card already minted." } };
-    }
+/**
+ * Message keys for the exception codes raised by the swap RPCs.
+ */
+const SWAP_ERROR_KEYS = {
+    SWAP_FORBIDDEN: 'errors.swapForbidden',
+    SWAP_NOT_ACTIVE: 'errors.swapNotActive',
+    SWAP_OWN_OFFER: 'errors.swapOwnOffer',
+    SWAP_ESCROW_MISSING: 'errors.swapEscrowMissing',
+    SWAP_NOT_OWNER: 'errors.swapNotOwner',
+    SWAP_CARD_LOCKED: 'errors.swapCardLocked',
+    SWAP_SOULBOUND: 'errors.swapSoulbound',
+    SWAP_CARD_IS_EXPERT: 'errors.swapCardIsExpert',
+    SWAP_WRONG_CARD: 'errors.swapWrongCard',
+    SWAP_UNKNOWN_CARD: 'errors.swapUnknownCard',
+    SWAP_BAD_PRICE: 'errors.swapBadPrice',
+    SWAP_EMPTY_ASK: 'errors.swapEmptyAsk',
+    SWAP_EMPTY_BUNDLE: 'errors.swapEmptyBundle',
+    SWAP_NOT_ENOUGH_ITEMS: 'errors.swapNotEnoughItems',
+    SWAP_BAD_QUANTITY: 'errors.swapBadQuantity',
+    SWAP_BAD_CURRENCY: 'errors.swapBadCurrency',
+    SWAP_UNKNOWN_ITEM: 'errors.swapUnknownItem',
+    SWAP_UNKNOWN_RECIPIENT: 'errors.swapUnknownRecipient',
+    SWAP_RECIPIENT_AMBIGUOUS: 'errors.swapRecipientAmbiguous',
+    SWAP_SELF_RECIPIENT: 'errors.swapSelfRecipient',
+    SWAP_NOT_RECIPIENT: 'errors.swapNotRecipient',
+    SWAP_BAD_EXPIRY: 'errors.swapBadExpiry',
+    SWAP_EXPIRED: 'errors.swapExpired',
+    CARD_IN_ESCROW: 'errors.cardInEscrow'
+};
 
-    // 3. Generate DNA String (Seed)
-    // Fallback date used if not present, ideally comes from profile
-    const dobStr = '19781018'; 
-    const dnaString = `${dobStr}${profile.dna_edu_level}${profile.dna_lang_count}${profile.dna_sport_type}${profile.dna_eve_code}`;
-    
-    // 4. Calculate Power
-    const powerScore = calculateCollatzPower(dnaString);
-    
-    // 5. Mint (Insert)
-    const { data, error } = await supabaseClient
-        .from('player_cards')
-        .insert({
-            player_id: playerId,
-            card_id: 9999, // Special Master ID for Soul Card
-            level: 1,
-            power_score: powerScore,
-            is_locked: true, // Soulbound
-        })
-        .select()
-        .single();
+/**
+ * Trade safety rules (sql/009). The server raises 'TRADE_<RULE>:<n>'; n is
+ * the {count} of the message (hours, level or actions).
+ */
+const TRADE_RULE_KEYS = {
+    TRADE_ACCOUNT_TOO_NEW: 'errors.tradeAccountTooNew',
+    TRADE_LEVEL_TOO_LOW: 'errors.tradeLevelTooLow',
+    TRADE_DAILY_CAP: 'errors.tradeDailyCap',
+    TRADE_CARD_COOLDOWN: 'errors.tradeCardCooldown'
+};
 
-    if (error) return { error };
+/**
+ * Turns a 'TRADE_<RULE>:<n>' reason into { code, key, params }, or null.
+ */
+function describeTradeRule(text) {
+    const match = /(TRADE_[A-Z_]+):(\d+)/.exec(text || '');
+    if (!match || !TRADE_RULE_KEYS[match[1]]) return null;
+    return { code: match[1], key: TRADE_RULE_KEYS[match[1]], params: { count: Number(match[2]) } };
+}
 
-    // 6. Mark Profile
-    await updatePlayerProfile(playerId, { soul_card_serial: dnaString });
+function normalizeSwapError(error) {
+    const rule = describeTradeRule(error?.message);
+    if (rule) return namedError(error, rule.code, rule.key, rule.params);
+    const code = Object.keys(SWAP_ERROR_KEYS).find(key => (error?.message || '').includes(key));
+    if (!code) return normalizeLedgerError(error);
+    return namedError(error, code, SWAP_ERROR_KEYS[code]);
+}
 
-    return { data: { power_score: powerScore, dna_string: dnaString }, error: null };
+/**
+ * Dry run of the trade safety rules for the current player, before posting
+ * or accepting. Pass the instance ids of the cards they are about to give so
+ * the re-trade cooldown is checked too. The server enforces the same rules.
+ * @returns {Promise<{data: {allowed: boolean, code: string|null, message: string|null, tradesToday: number, dailyCap: number}, error: object}>}
+ */
+export async function checkTradeRules(instanceIds = []) {
+    const { data, error } = await backend.tradeCheck(instanceIds.filter(Boolean));
+    if (error) return { data: null, error: normalizeSwapError(error) };
+
+    const rule = describeTradeRule(data.reason);
+    const key = rule?.key || SWAP_ERROR_KEYS[data.reason];
+    return {
+        data: {
+            allowed: data.allowed,
+            code: rule?.code || data.reason,
+            message: key ? t(key, rule?.params) : data.reason || null,
+            tradesToday: Number(data.trades_today || 0),
+            dailyCap: Number(data.daily_cap || 0)
+        },
+        error: null
+    };
+}
+
+/**
+ * Creates a new trade offer.
+ * Logic: One RPC validates the card (owned, unlocked, not an expert, not the
+ * Soul Card), moves it into escrow and creates the offer record.
+ * The ask can be a card (requestCardId), a NOUB price (priceNoub), or both;
+ * pass requestCardId = null for a buy-now listing.
+ * The offer expires after expiresInHours (1-168) and its escrow is released.
+ * @returns {Promise<{data: string, error: object}>} The new request id.
+ */
+export async function createSwapRequest(playerId, offeredInstanceId, offerCardId, requestCardId, priceNoub = 0, expiresInHours = 24) {
+    const { data, error } = await backend.swapCreate(offeredInstanceId, requestCardId, priceNoub, expiresInHours);
+
+    if (error) return { data: null, error: normalizeSwapError(error) };
+    return { data, error: null };
+}
+
+/**
+ * Executes a Trade Agreement.
+ * All-or-nothing: the escrowed card and the counter-offered card change hands,
+ * the NOUB price (if any) is paid through the ledger, the request is closed
+ * and swap_transactions is written in one transaction.
+ * The counter card must match item_id_request and be owned, unlocked and not
+ * assigned as a factory expert (validated server-side).
+ * @param {string|null} counterOfferInstanceId - null for NOUB-only listings.
+ * @returns {Promise<{data: {newCardName: string, pricePaid: number, feeBurned: number}, error: object}>}
+ */
+export async function acceptSwapRequest(requestId, playerReceivingId, counterOfferInstanceId = null) {
+    const { data, error } = await backend.swapAccept(requestId, counterOfferInstanceId);
+
+    if (error) return { data: null, error: normalizeSwapError(error) };
+    return {
+        data: {
+            newCardName: data?.new_card_name || "New Card",
+            pricePaid: data?.price_noub || 0,
+            feeBurned: data?.fee_noub || 0
+        },
+        error: null
+    };
+}
+
+/**
+ * Publishes a bundle offer. Every asset on the offer side is escrowed at once:
+ * cards are locked, items leave the inventory and currency is debited. The
+ * request side is validated now and collected when the offer is accepted.
+ * @param {{cards: string[], items: Object<string, number>, currency: Object<string, number>}} offer
+ *        Card instance ids, item quantities keyed by item id, ledger amounts.
+ * @param {{cards: number[], items: Object<string, number>, currency: Object<string, number>}} request
+ *        Master card ids (repeat an id to ask for several copies).
+ * @returns {Promise<{data: string, error: object}>} The new request id.
+ */
+export async function createSwapBundle(playerId, offer, request, expiresInHours = 24) {
+    const { data, error } = await backend.swapBundleCreate(offer, request, expiresInHours);
+
+    if (error) return { data: null, error: normalizeSwapError(error) };
+    return { data, error: null };
+}
+
+/**
+ * Accepts a bundle offer. counterInstanceIds must hold exactly one owned copy
+ * for every requested card; requested items and currency are taken from the
+ * acceptor in the same transaction.
+ * @returns {Promise<{data: {pricePaid: number, feeBurned: number}, error: object}>}
+ */
+export async function acceptSwapBundle(requestId, playerReceivingId, counterInstanceIds = []) {
+    const { data, error } = await backend.swapBundleAccept(requestId, counterInstanceIds);
+
+    if (error) return { data: null, error: normalizeSwapError(error) };
+    return {
+        data: {
+            pricePaid: data?.price_noub || 0,
+            feeBurned: data?.fee_noub || 0
+        },
+        error: null
+    };
+}
+
+/**
+ * Reads the market fee (percent of the NOUB price, burned on every sale).
+ */
+export async function fetchMarketFeePercent() {
+    const { data, error } = await backend.fetchMarketConfig('fee_percent');
+    return { data: Number(data?.value || 0), error };
+}
+
+/**
+ * One swap_requests row, without joins (used to re-check an offer before accepting it).
+ */
+export async function fetchSwapRequest(requestId) {
+    return await backend.fetchSwapRequest(requestId);
+}
+
+export async function fetchActiveSwapRequests(playerId) {
+    // Public offers only, excluding the viewer's own (direct offers live in fetchIncomingDirectTrades)
+    return await backend.fetchActiveSwapRequests(playerId);
+}
+
+export async function fetchMySwapRequests(playerId) {
+    // Only requests made by the viewer
+    return await backend.fetchMySwapRequests(playerId);
+}
+
+export async function fetchSwapRequestAssets(requestId) {
+    return await backend.fetchSwapRequestAssets(requestId);
+}
+
+// --- Expiry (sql/007_swap_expiry.sql) ---
+
+/**
+ * Expires every overdue offer and releases its escrow (idempotent; pg_cron
+ * runs the same function server-side when it is available).
+ * @returns {Promise<{data: number, error: object}>} Number of offers expired.
+ */
+export async function expireDueSwapRequests() {
+    const { data, error } = await backend.swapExpireDue();
+    return { data: Number(data || 0), error };
+}
+
+/**
+ * Returns the viewer's expired offers they have not been notified about yet
+ * and marks them as notified.
+ * @returns {Promise<{data: Array<{id: string, summary: string}>, error: object}>}
+ */
+export async function acknowledgeExpiredOffers() {
+    const { data, error } = await backend.swapAckExpired();
+    return { data: data || [], error };
+}
+
+// --- Direct Trades (sql/006_direct_trades.sql) ---
+
+/**
+ * Sends a bundle offer to one player, visible only to the two of them.
+ * @param {string} recipient - Username or player id.
+ * @see createSwapBundle for the offer/request payloads.
+ */
+export async function createDirectTrade(playerId, recipient, offer, request, message = null, expiresInHours = 24) {
+    const { data, error } = await backend.swapDirectCreate(recipient, offer, request, message, expiresInHours);
+
+    if (error) return { data: null, error: normalizeSwapError(error) };
+    return { data, error: null };
+}
+
+/**
+ * Answers a direct offer with a revised one. The original offer is released
+ * back to its owner and the counter (escrowed from the caller) joins the same thread.
+ * @returns {Promise<{data: string, error: object}>} The counter-offer's request id.
+ */
+export async function counterDirectTrade(requestId, offer, request, message = null, expiresInHours = 24) {
+    const { data, error } = await backend.swapDirectCounter(requestId, offer, request, message, expiresInHours);
+
+    if (error) return { data: null, error: normalizeSwapError(error) };
+    return { data, error: null };
+}
+
+export async function declineDirectTrade(requestId, message = null) {
+    const { error } = await backend.swapDirectDecline(requestId, message);
+    return { data: null, error: error ? normalizeSwapError(error) : null };
+}
+
+export async function fetchIncomingDirectTrades(playerId) {
+    // Active offers addressed to the viewer
+    return await backend.fetchIncomingDirectTrades(playerId);
+}
+
+/**
+ * Every revision of a negotiation, oldest first. Each entry carries a
+ * snapshot of the assets in the same shape as `assets` on a swap request.
+ */
+export async function fetchTradeThread(threadId) {
+    return await backend.fetchTradeThread(threadId);
+}
+
+/**
+ * Cancels an active offer and returns everything held in escrow
+ * (cards, bundle items and currency) to its owner.
+ */
+export async function cancelSwapRequest(requestId) {
+    const { error } = await backend.swapCancel(requestId);
+    return { data: null, error: error ? normalizeSwapError(error) : null };
 }
 
 
 // =============================================================================
-// SECTION 8: P2P MARKET & SWAP (PURE JS LOGIC)
+// SECTION 9: CURRENCY LEDGER (SERVER-AUTHORITATIVE)
 // =============================================================================
 
 /**
- * Creates a new trade offer.
- * Logic: Locks the card in inventory -> Creates Offer Record.
- */
-export async function createSwapRequest(playerId, offeredInstanceId, offerCardId, requestCardId, priceNoub = 0) {
-    // 1. Lock Card
-    const { error: lockError } = await supabaseClient
-        .from('player_cards')
-        .update({ is_locked: true })
-        .eq('instance_id', offeredInstanceId);
-
-    if (lockError) return { error: { message: "Failed to lock card." } };
-
-    // 2. Create Request
-    const { error: insertError } = await supabaseClient
-        .from('swap_requests')
-        .insert({
-            player_id_offering: playerId,
-            card_instance_id_offer: offeredInstanceId,
-            item_id_offer: offerCardId,
-            item_id_request: requestCardId,
-            price_noub: priceNoub,
-            status: 'active'
-        });
-
-    if (insertError) {
-        // Rollback: Unlock card
-        await supabaseClient.from('player_cards').update({ is_locked: false }).eq('instance_id', offeredInstanceId);
-        return { error: insertError };
+ * Ledger currency codes mapped to their balance columns on `profiles`.
+ * The codes match the reward objects used across the screens
+ * ({ noub, prestige, tickets, ankh }), so those can be passed in directly.
+ */
+export const LEDGER_CURRENCIES = {
+    noub: 'noub_score',
+    prestige: 'prestige',
+    ankh: 'ankh_premium',
+    tickets: 'spin_tickets'
+};
+
+const LEDGER_COLUMNS = Object.values(LEDGER_CURRENCIES);
+
+/**
+ * Cleans an amounts object ({ noub: 250 }) for the debit RPC.
+ * Zero amounts are dropped; negative or unknown entries are rejected.
+ */
+function buildLedgerAmounts(amounts) {
+    const cleaned = {};
+    for (const [currency, rawAmount] of Object.entries(amounts || {})) {
+        if (!LEDGER_CURRENCIES[currency]) return { error: appError('errors.currencyUnknown', ERROR_CATEGORIES.VALIDATION, { currency }) };
+        const amount = Math.floor(Number(rawAmount) || 0);
+        if (amount < 0) return { error: appError('errors.ledgerNegativeAmount') };
+        if (amount > 0) cleaned[currency] = amount;
     }
+    return { amounts: cleaned, error: null };
+}
 
-    return { error: null };
+/**
+ * Gives the RPC exception codes their catalog messages.
+ * INSUFFICIENT_FUNDS:<currency> names the currency (errors.notEnough.<currency>).
+ */
+function normalizeLedgerError(error) {
+    const message = error?.message || '';
+    const funds = /INSUFFICIENT_FUNDS:(\w+)/.exec(message);
+    if (funds) {
+        const key = LEDGER_CURRENCIES[funds[1]] ? `errors.notEnough.${funds[1]}` : 'errors.insufficient_funds';
+        return namedError(error, 'INSUFFICIENT_FUNDS', key);
+    }
+    if (message.includes('LEDGER_FORBIDDEN')) return namedError(error, 'LEDGER_FORBIDDEN', 'errors.ledgerForbidden');
+    return error;
 }
 
 /**
- * Executes a Trade Agreement.
- * Atomic Simulation: Performs 3 updates sequentially. 
- * (In a production app without SQL functions, errors in step 2/3 require manual support)
- */
-export async function acceptSwapRequest(requestId, playerReceivingId, counterOfferInstanceId) {
-    // 1. Validate Offer
-    const { data: request, error: reqError } = await supabaseClient
-        .from('swap_requests')
-        .select('*')
-        .eq('id', requestId)
-        .single();
-
-    if (reqError || !request || request.status !== 'active') {
-        return { error: { message: "Offer is no longer available." } };
+ * Mirrors the authoritative balances returned by the server into local state,
+ * so the UI is correct without a refreshPlayerState().
+ */
+function applyBalancesToState(playerId, balances) {
+    if (balances) applyDelta(playerId, { profile: balances });
+}
+
+/**
+ * Removes currency from a player's balance. Fails atomically (nothing is
+ * deducted) if any of the balances would go negative. There is no client
+ * counterpart that adds currency: rewards are paid by SECTION 14.
+ * @param {string} playerId - UUID of the player.
+ * @param {object} amounts - e.g. { noub: 250, prestige: 1 }
+ * @param {string} reason - Ledger reason code (e.g. 'FACTORY_BUILD').
+ * @param {{type: string, id: (string|number)}|null} [reference] - Source entity.
+ * @returns {Promise<{data: object, error: object}>} New balances keyed by profile column.
+ */
+export async function debit(playerId, amounts, reason, reference = null) {
+    const { amounts: cleaned, error: amountError } = buildLedgerAmounts(amounts);
+    if (amountError) return { data: null, error: amountError };
+    if (Object.keys(cleaned).length === 0) return { data: null, error: null };
+
+    const { data, error } = await backend.ledgerDebit(
+        playerId,
+        cleaned,
+        reason,
+        reference?.type ?? null,
+        reference?.id != null ? String(reference.id) : null
+    );
+
+    if (error) return { data: null, error: normalizeLedgerError(error) };
+    applyBalancesToState(playerId, data);
+    return { data, error: null };
+}
+
+export async function fetchLedgerEntries(playerId, limit = 50) {
+    return await backend.fetchLedgerEntries(playerId, limit);
+}
+
+
+// =============================================================================
+// SECTION 10: AUCTION HOUSE (sql/004_auctions.sql)
+// =============================================================================
+
+/**
+ * Message keys for the exception codes raised by the auction RPCs.
+ * Card validation reuses the swap codes (same escrow rules).
+ */
+const AUCTION_ERROR_KEYS = {
+    AUCTION_FORBIDDEN: 'errors.auctionForbidden',
+    AUCTION_CLOSED: 'errors.auctionClosed',
+    AUCTION_OWN: 'errors.auctionOwn',
+    AUCTION_ALREADY_LEADING: 'errors.auctionAlreadyLeading',
+    AUCTION_HAS_BIDS: 'errors.auctionHasBids',
+    AUCTION_BAD_PRICE: 'errors.auctionBadPrice',
+    AUCTION_BAD_BUYOUT: 'errors.auctionBadBuyout',
+    AUCTION_BAD_DURATION: 'errors.auctionBadDuration'
+};
+
+function normalizeAuctionError(error) {
+    const message = error?.message || '';
+    const tooLow = /AUCTION_BID_TOO_LOW:(\d+)/.exec(message);
+    if (tooLow) return namedError(error, 'AUCTION_BID_TOO_LOW', 'errors.auctionBidTooLow', { amount: Number(tooLow[1]) });
+    const code = Object.keys(AUCTION_ERROR_KEYS).find(key => message.includes(key));
+    if (!code) return normalizeSwapError(error);
+    return namedError(error, code, AUCTION_ERROR_KEYS[code]);
+}
+
+/**
+ * Lists a card for auction. The card goes into escrow exactly like a swap offer.
+ * @param {number|null} buyoutPrice - Optional instant-win price (must exceed startPrice).
+ * @param {number} durationHours - 1 to 168.
+ * @returns {Promise<{data: string, error: object}>} The new auction id.
+ */
+export async function createAuction(instanceId, startPrice, buyoutPrice = null, durationHours = 24) {
+    const { data, error } = await backend.auctionCreate(instanceId, startPrice, buyoutPrice, durationHours);
+
+    if (error) return { data: null, error: normalizeAuctionError(error) };
+    return { data, error: null };
+}
+
+/**
+ * Places a bid. The amount is debited immediately and the previous leader is
+ * refunded in the same transaction. A bid at or above the buyout settles the
+ * auction on the spot.
+ * @returns {Promise<{data: {amount: number, boughtOut: boolean}, error: object}>}
+ */
+export async function placeBid(auctionId, amount) {
+    const { data, error } = await backend.auctionBid(auctionId, amount);
+
+    if (error) return { data: null, error: normalizeAuctionError(error) };
+    return { data: { amount: Number(data?.amount || amount), boughtOut: !!data?.bought_out }, error: null };
+}
+
+/**
+ * Cancels an auction that has no bids yet and returns the card to its owner.
+ */
+export async function cancelAuction(auctionId) {
+    const { error } = await backend.auctionCancel(auctionId);
+    return { data: null, error: error ? normalizeAuctionError(error) : null };
+}
+
+/**
+ * Settles every auction whose timer has run out (idempotent; pg_cron runs the
+ * same function server-side when it is available).
+ * @returns {Promise<{data: number, error: object}>} Number of auctions settled.
+ */
+export async function settleDueAuctions() {
+    const { data, error } = await backend.auctionSettleDue();
+    return { data: Number(data || 0), error };
+}
+
+/**
+ * Minimum raise over the current bid, in percent.
+ */
+export async function fetchAuctionIncrementPercent() {
+    const { data, error } = await backend.fetchMarketConfig('auction_min_increment_percent');
+    return { data: Number(data?.value ?? 5), error };
+}
+
+/**
+ * Smallest bid the server will accept (mirrors auction_bid in SQL).
+ */
+export function getMinimumBid(auction, incrementPercent) {
+    let minimum = auction.current_bid == null
+        ? Number(auction.start_price)
+        : Math.max(Number(auction.current_bid) + 1, Math.ceil(Number(auction.current_bid) * (1 + incrementPercent / 100)));
+    if (auction.buyout_price != null) minimum = Math.min(minimum, Number(auction.buyout_price));
+    return minimum;
+}
+
+export async function fetchActiveAuctions(playerId) {
+    // Running auctions by other players, ending soonest first
+    return await backend.fetchActiveAuctions(playerId);
+}
+
+export async function fetchMyAuctions(playerId) {
+    // Auctions created by the viewer, most recent first (all statuses)
+    return await backend.fetchMyAuctions(playerId);
+}
+
+/**
+ * Auctions the viewer has bid on, one row per auction with their best bid.
+ */
+export async function fetchMyBids(playerId) {
+    const { data, error } = await backend.fetchMyBids(playerId);
+
+    if (error) return { data: null, error };
+
+    const byAuction = new Map();
+    for (const bid of data || []) {
+        if (!bid.auction || byAuction.has(bid.auction.id)) continue;
+        byAuction.set(bid.auction.id, { ...bid.auction, my_bid: Number(bid.amount) });
     }
+    return { data: [...byAuction.values()], error: null };
+}
+
+
+// =============================================================================
+// SECTION 11: MARKET ANALYTICS (sql/008_market_analytics.sql)
+// =============================================================================
+
+/**
+ * Price history and scarcity for one master card over the last `days`.
+ * Only pure NOUB trades (buy-now, auctions) carry a price; swaps and bundles
+ * count towards trade_count only.
+ * @returns {Promise<{data: {last_price: number|null, trade_count: number, volume_noub: number,
+ *          supply: number, holders: number, scarcity_rank: number, history: Array<{t: string, price: number, source: string}>}, error: object}>}
+ */
+export async function fetchCardMarketStats(cardId, days = 30) {
+    return await backend.marketCardStats(cardId, days);
+}
+
+/**
+ * One row per master card: trade_count, volume_noub, last_price, supply, holders.
+ */
+export async function fetchMarketOverview(days = 30) {
+    return await backend.marketOverview(days);
+}
+
 
-    const playerOfferingId = request.player_id_offering;
-    const offeredCardInstanceId = request.card_instance_id_offer;
+// =============================================================================
+// SECTION 12: OFFLINE OUTBOX HANDLERS (js/outbox.js)
+// =============================================================================
 
-    // 2. Transfer Offered Card (Giver -> Receiver)
-    const { error: err1 } = await supabaseClient
-        .from('player_cards')
-        .update({ player_id: playerReceivingId, is_locked: false, acquired_at: new Date() })
-        .eq('instance_id', offeredCardInstanceId);
+function sameJson(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
 
-    if (err1) return { error: { message: "Transfer Step 1 Failed. Transaction Cancelled." } };
+/**
+ * The current player's profile values for some columns (the base of a queued update).
+ */
+function ownProfileValues(playerId, columns) {
+    if (state.currentUser?.id !== playerId || !state.playerProfile) return null;
+    return Object.fromEntries(columns.map(column => [column, state.playerProfile[column] ?? null]));
+}
 
-    // 3. Transfer Payment Card (Receiver -> Giver)
-    const { error: err2 } = await supabaseClient
-        .from('player_cards')
-        .update({ player_id: playerOfferingId, is_locked: false, acquired_at: new Date() })
-        .eq('instance_id', counterOfferInstanceId);
+/**
+ * Counts are written as absolute values. When the server count moved while
+ * ours was queued (another device, a trade), the queued change is replayed as
+ * a difference on top of the server value instead of overwriting it.
+ */
+function rebaseCount(entry, current, label) {
+    const [playerId, id, target] = entry.args;
+    if (entry.base == null || current === entry.base) return { args: entry.args };
+    const rebased = current + (target - entry.base);
+    if (rebased < 0) return { conflict: `${label} changed on another device. An offline change was discarded.` };
+    return { args: [playerId, id, rebased], conflict: `${label} changed on another device. Your offline change was added on top.` };
+}
 
-    if (err2) {
-        console.error("CRITICAL: Swap Step 2 Failed", err2);
-        return { error: { message: "Transfer Step 2 Failed. Please contact support." } };
+registerOutboxHandler('profile.update', {
+    run: ([playerId, changes]) => writeProfile(playerId, changes),
+    optimistic: ([playerId, changes]) => applyDelta(playerId, { profile: changes }),
+    merge: ([playerId, older], [, newer]) => [playerId, { ...older, ...newer }],
+    prepare: async entry => {
+        const [playerId, changes] = entry.args;
+        const { data: profile, error } = await backend.fetchProfile(playerId);
+        if (error) return { error };
+
+        // Columns another device changed since ours was queued keep the server value
+        const kept = {};
+        const skipped = [];
+        for (const [column, value] of Object.entries(changes)) {
+            const before = entry.base?.[column];
+            if (before !== undefined && !sameJson(profile[column], before) && !sameJson(profile[column], value)) skipped.push(column);
+            else kept[column] = value;
+        }
+        const conflict = skipped.length ? `Your profile changed on another device. Kept the newer ${skipped.join(', ')}.` : null;
+        return Object.keys(kept).length ? { args: [playerId, kept], conflict } : { conflict };
+    }
+});
+
+registerOutboxHandler('activity.log', {
+    run: ([row]) => backend.insertActivity(row)
+});
+
+registerOutboxHandler('inventory.set', {
+    run: ([playerId, itemId, quantity]) => backend.updateInventory(playerId, itemId, quantity).then(result => syncRows(result, 'inventory')),
+    optimistic: ([playerId, itemId, quantity]) => applyDelta(playerId, { inventory: [{ item_id: itemId, quantity }] }),
+    prepare: async entry => {
+        const [playerId, itemId] = entry.args;
+        const { data, error } = await backend.fetchPlayerInventory(playerId);
+        if (error) return { error };
+        const row = (data || []).find(r => Number(r.item_id) === Number(itemId));
+        return rebaseCount(entry, row?.quantity ?? 0, row?.items?.name || 'An inventory item');
+    }
+});
+
+registerOutboxHandler('consumable.set', {
+    run: ([playerId, itemKey, quantity]) => backend.upsertConsumable(playerId, itemKey, quantity).then(result => syncRows(result, 'consumables')),
+    optimistic: ([playerId, itemKey, quantity]) => applyDelta(playerId, { consumables: [{ item_key: itemKey, quantity }] }),
+    prepare: async entry => {
+        const [playerId, itemKey] = entry.args;
+        const { data, error } = await backend.fetchKVGameConsumables(playerId);
+        if (error) return { error };
+        const row = (data || []).find(r => r.item_key === itemKey);
+        return rebaseCount(entry, row?.quantity ?? 0, 'A consumable');
+    }
+});
+
+registerOutboxHandler('game.history', {
+    run: ([row]) => backend.insertGameHistory(row)
+});
+
+// UCP answers are keyed by question: a replay merges with the server's copy, ours win
+registerOutboxHandler('ucp.section', {
+    durable: true,
+    run: ([playerId, sectionKey, sectionData]) => backend.upsertUCPSection(playerId, sectionKey, sectionData),
+    optimistic: ([playerId, sectionKey, sectionData]) => {
+        if (state.currentUser?.id === playerId) mutateState('ucp', ucp => ucp.set(sectionKey, sectionData));
+    },
+    merge: ([playerId, sectionKey, older], [, , newer]) => [playerId, sectionKey, { ...older, ...newer }],
+    prepare: async entry => {
+        const [playerId, sectionKey, sectionData] = entry.args;
+        const { data, error } = await backend.fetchUCPProtocol(playerId);
+        if (error) return { error };
+        const server = (data || []).find(row => row.section_key === sectionKey)?.section_data;
+        if (!server || typeof server !== 'object') return { args: entry.args };
+
+        const overwritten = Object.keys(sectionData).filter(key => key in server && !sameJson(server[key], sectionData[key]));
+        return {
+            args: [playerId, sectionKey, { ...server, ...sectionData }],
+            conflict: overwritten.length ? 'Some protocol answers were also changed on another device. Your latest answers were kept.' : null
+        };
     }
+});
 
-    // 4. Close Request
-    await supabaseClient.from('swap_requests').update({ status: 'completed' }).eq('id', requestId);
 
-    // 5. Archive Transaction
-    await supabaseClient.from('swap_transactions').insert({
-        request_id: requestId,
-        player_offering_id: playerOfferingId,
-        player_accepting_id: playerReceivingId,
-        card_instance_offered_instance: offeredCardInstanceId,
-        card_instance_received_instance: counterOfferInstanceId
-    });
+// =============================================================================
+// SECTION 13: REFERRALS (sql/015_referrals.sql)
+// =============================================================================
 
-    // 6. Get info for UI
-    const { data: cardInfo } = await supabaseClient.from('cards').select('name').eq('id', request.item_id_offer).single();
-    return { error: null, newCardName: cardInfo?.name || "New Card" };
+/**
+ * Message keys for the referral rules. The server raises
+ * REFERRAL_DAILY_CAP:<n> with the cap.
+ */
+const REFERRAL_ERROR_KEYS = {
+    REFERRAL_SELF: 'errors.referralSelf',
+    REFERRAL_UNKNOWN: 'errors.referralUnknown',
+    REFERRAL_ALREADY: 'errors.referralAlready',
+    REFERRAL_TOO_LATE: 'errors.referralTooLate',
+    REFERRAL_LOOP: 'errors.referralLoop',
+    REFERRAL_DAILY_CAP: 'errors.referralDailyCap'
+};
+
+function normalizeReferralError(error) {
+    const cap = /REFERRAL_DAILY_CAP:(\d+)/.exec(error?.message || '');
+    if (cap) return namedError(error, 'REFERRAL_DAILY_CAP', 'errors.referralDailyCap', { count: Number(cap[1]) });
+    const code = Object.keys(REFERRAL_ERROR_KEYS).find(key => (error?.message || '').includes(key));
+    return code ? namedError(error, code, REFERRAL_ERROR_KEYS[code]) : normalizeLedgerError(error);
 }
 
-export async function fetchActiveSwapRequests(playerId) {
-    // Filter out requests made by the viewer
-    return await supabaseClient
-        .from('swap_requests')
-        .select('*, offer_card:item_id_offer(name, image_url, rarity_level), request_card:item_id_request(name, image_url, rarity_level)')
-        .eq('status', 'active')
-        .neq('player_id_offering', playerId);
+/**
+ * Records who invited the current (new) player and pays the welcome reward.
+ * A guest's reward is held (`held`) until the account is secured.
+ * @returns {Promise<{data: {referrer_username: string, reward: object, held: boolean}, error: object}>}
+ */
+export async function claimReferral(referrerId) {
+    const { data, error } = await backend.referralClaim(referrerId);
+    return { data, error: error ? normalizeReferralError(error) : null };
 }
 
-export async function fetchMySwapRequests(playerId) {
-    // Only requests made by the viewer
-    return await supabaseClient
-        .from('swap_requests')
-        .select('*, offer_card:item_id_offer(name, image_url, rarity_level), request_card:item_id_request(name, image_url, rarity_level)')
-        .eq('status', 'active')
-        .eq('player_id_offering', playerId);
-}
-
-export async function cancelSwapRequest(requestId, playerOfferingId, offeredInstanceId) {
-    // 1. Unlock the card
-    const { error: unlockError } = await supabaseClient
-        .from('player_cards')
-        .update({ is_locked: false })
-        .eq('instance_id', offeredInstanceId);
-        
-    if (unlockError) return { error: unlockError };
-
-    // 2. Cancel the request
-    return await supabaseClient
-        .from('swap_requests')
-        .update({ status: 'cancelled' })
-        .eq('id', requestId);
+/**
+ * The players the current player invited, with the reward table. Rewards
+ * that became due (a referee levelled up or secured a guest account) are
+ * paid before the list is returned.
+ * @returns {Promise<{data: {friends: Array<{id: string, username: string, level: number, joined_at: string,
+ *          paid_levels: number[], is_guest: boolean}>, rewards: Array<{level: number, inviter_reward: object,
+ *          referee_reward: object}>}, error: object}>}
+ */
+export async function fetchReferrals() {
+    return await backend.fetchReferrals();
+}
+
+
+// =============================================================================
+// SECTION 14: SERVER REWARDS (sql/016_server_rewards.sql)
+// =============================================================================
+
+// Written only by the game actions on the server (trigger profiles_guard_progress)
+const SERVER_PROGRESS_COLUMNS = [
+    'idle_generator_level', 'last_claim_time', 'xp', 'level', 'xp_to_next_level', 'daily_tasks_progress', 'weekly_tasks_progress'
+];
+
+const TON_VERIFY_ATTEMPTS = 6;
+const TON_VERIFY_INTERVAL_MS = 5000;
+
+/**
+ * Message keys for the reward functions. The server raises
+ * EXCHANGE_BAD_AMOUNT:<step> with the lot size of the spent currency,
+ * PROJECT_DELIVERY_TOO_LARGE:<left> with what a project still needs and
+ * KV_BAD_GUESS:<digits> with the length of the code.
+ */
+const REWARD_ERROR_KEYS = {
+    REWARD_ALREADY_CLAIMED: 'errors.rewardAlreadyClaimed',
+    REWARD_NOT_READY: 'errors.rewardNotReady',
+    REWARD_UNKNOWN: 'errors.rewardUnknown',
+    CONTRACT_NOT_FOUND: 'errors.contractNotFound',
+    CONTRACT_NOT_ACTIVE: 'errors.contractNotActive',
+    CONTRACT_COOLDOWN: 'errors.contractCooldown',
+    CONTRACT_MISSING_ITEMS: 'errors.contractMissingItems',
+    ALBUM_INCOMPLETE: 'errors.albumIncomplete',
+    PROJECT_NOT_FOUND: 'errors.projectNotFound',
+    PROJECT_NOT_ACTIVE: 'errors.projectNotActive',
+    PROJECT_INCOMPLETE: 'errors.projectIncomplete',
+    PROJECT_LEVEL_TOO_LOW: 'errors.projectLevelTooLow',
+    PROJECT_SPECIALIZATION_REQUIRED: 'errors.projectSpecializationRequired',
+    PROJECT_ALREADY_JOINED: 'errors.projectAlreadyJoined',
+    PROJECT_ITEM_NOT_NEEDED: 'errors.projectItemNotNeeded',
+    PROJECT_MISSING_ITEMS: 'errors.projectMissingItems',
+    KV_NO_GAME: 'errors.kvNoGame',
+    KV_ALL_GATES_OPEN: 'errors.kvAllGatesOpen',
+    KV_ITEM_UNKNOWN: 'errors.kvItemUnknown',
+    KV_HINT_SHOWN: 'errors.kvHintShown',
+    FACTORY_BUSY: 'errors.factoryBusy',
+    FACTORY_MISSING_INPUTS: 'errors.factoryMissingInputs',
+    FACTORY_NOT_FOUND: 'errors.factoryNotFound',
+    FACTORY_NOT_STARTED: 'errors.factoryNotStarted',
+    FACTORY_NOT_READY: 'errors.factoryNotReady',
+    FACTORY_MAX_LEVEL: 'errors.factoryMaxLevel',
+    FACTORY_MISSING_MATERIALS: 'errors.factoryMissingMaterials',
+    CARD_NOT_FOUND: 'errors.cardNotFound',
+    CARD_IN_USE: 'errors.cardInUse',
+    CARD_IN_ESCROW: 'errors.cardInEscrow',
+    CARD_SOULBOUND: 'errors.cardSoulbound',
+    CARD_PACK_UNKNOWN: 'errors.cardPackUnknown',
+    SOUL_CARD_PROTOCOL_INCOMPLETE: 'errors.soulCardProtocolIncomplete',
+    SOUL_CARD_EXISTS: 'errors.soulCardExists',
+    VAULT_NOT_READY: 'errors.vaultNotReady',
+    EVENT_NOT_TODAY: 'errors.eventNotToday',
+    EXCHANGE_PAIR_UNKNOWN: 'errors.exchangePairUnknown',
+    TON_PACKAGE_UNKNOWN: 'errors.tonPackageUnknown',
+    TON_WALLET_REQUIRED: 'errors.tonWalletRequired',
+    TON_DEPOSIT_UNKNOWN: 'errors.tonDepositUnknown',
+    TON_DEPOSIT_AUTH: 'errors.tonDepositAuth',
+    TON_DEPOSIT_FAILED: 'errors.tonDepositFailed'
+};
+
+function normalizeRewardError(error) {
+    const message = error?.message || '';
+    const step = /EXCHANGE_BAD_AMOUNT:([\d.]+)/.exec(message);
+    if (step) return namedError(error, 'EXCHANGE_BAD_AMOUNT', 'errors.exchangeBadAmount', { step: Number(step[1]) });
+    const left = /PROJECT_DELIVERY_TOO_LARGE:([\d.]+)/.exec(message);
+    if (left) return namedError(error, 'PROJECT_DELIVERY_TOO_LARGE', 'errors.projectDeliveryTooLarge', { left: Number(left[1]) });
+    const digits = /KV_BAD_GUESS:(\d+)/.exec(message);
+    if (digits) return namedError(error, 'KV_BAD_GUESS', 'errors.kvBadGuess', { count: Number(digits[1]) });
+    const code = Object.keys(REWARD_ERROR_KEYS).find(key => message.includes(key));
+    return code ? namedError(error, code, REWARD_ERROR_KEYS[code]) : normalizeLedgerError(error);
+}
+
+/**
+ * Awaits a reward RPC and applies its delta ({ profile, inventory, cards,
+ * removedCards }) to the store.
+ */
+async function settleReward(playerId, request) {
+    const { data, error } = await request;
+    if (error) return { data: null, error: normalizeRewardError(error) };
+    applyDelta(playerId, data);
+    return { data, error: null };
+}
+
+/**
+ * Claims a task of the Tasks screen (UCP, social, daily, weekly or KV
+ * milestone). The server checks that it is done and sets its claimed flag.
+ * @returns {Promise<{data: {reward: object, profile: object}, error: object}>}
+ */
+export async function claimTask(playerId, taskId) {
+    return await settleReward(playerId, backend.taskClaim(taskId));
+}
+
+/**
+ * Claims one of the daily quests (once per UTC day each).
+ */
+export async function claimDailyQuest(playerId, questId) {
+    return await settleReward(playerId, backend.dailyQuestClaim(questId));
+}
+
+/**
+ * Pays the starter pack of a new kingdom (once per player).
+ */
+export async function claimStarterPack(playerId) {
+    return await settleReward(playerId, backend.starterPackClaim());
+}
+
+/**
+ * Delivers an active contract: the server takes the goods, pays the contract
+ * and, every few contracts, the completion bonus.
+ * @returns {Promise<{data: {reward: object, bonus: object, profile: object, inventory: object[]}, error: object}>}
+ */
+export async function completeContract(playerId, playerContractId) {
+    return await settleReward(playerId, backend.contractComplete(playerContractId));
+}
+
+/**
+ * Pays an album whose cards the player all owns (once per album).
+ */
+export async function claimAlbum(playerId, albumId) {
+    return await settleReward(playerId, backend.albumClaim(Number(albumId)));
+}
+
+/**
+ * Completes a Great Project whose deliveries are done and pays its rewards.
+ */
+export async function completeGreatProject(playerId, playerProjectId) {
+    return await settleReward(playerId, backend.projectComplete(playerProjectId));
+}
+
+/**
+ * Spends a ticket on the Wheel of Fortune. The prize is drawn on the server
+ * from slot_rewards; card packs come back as new card rows.
+ * @returns {Promise<{data: {prize: {id: number, reward_type: string, reward_value: number, label: string},
+ *          reward: object, profile: object, cards: object[]}, error: object}>}
+ */
+export async function spinWheel(playerId) {
+    return await settleReward(playerId, backend.wheelSpin());
+}
+
+/**
+ * Sacrifices a card for its burn reward.
+ */
+export async function burnCard(playerId, instanceId) {
+    return await settleReward(playerId, backend.cardBurn(instanceId));
+}
+
+/**
+ * Buys a Shop card pack: the server charges its price and draws the cards.
+ * @param {string} packId - Row of card_packs.
+ * @returns {Promise<{data: {profile: object, cards: object[]}, error: object}>}
+ */
+export async function openCardPack(playerId, packId) {
+    return await settleReward(playerId, backend.cardPackOpen(packId));
+}
+
+/**
+ * Collects the Royal Vault; the amount follows from the time since the last claim.
+ */
+export async function claimVault(playerId) {
+    return await settleReward(playerId, backend.vaultClaim());
+}
+
+/**
+ * Raises the Royal Vault one level; the server charges the cost of the level.
+ * @returns {Promise<{data: {cost: object, profile: object}, error: object}>}
+ */
+export async function upgradeVault(playerId) {
+    return await settleReward(playerId, backend.vaultUpgrade());
+}
+
+/**
+ * Claims a calendar event on its day (once per year).
+ */
+export async function claimGameEvent(playerId, eventId) {
+    return await settleReward(playerId, backend.eventClaim(eventId));
+}
+
+/**
+ * Rows of exchange_rates: rate and lot size (`step`) per pair of ledger codes.
+ * @returns {Promise<{data: Array<{from_currency: string, to_currency: string, rate: number, step: number}>, error: object}>}
+ */
+export async function fetchExchangeRates() {
+    return await backend.fetchExchangeRates();
+}
+
+/**
+ * Exchanges one currency for another at the server's rate, in one ledger call.
+ * @param {string} from - Ledger code spent.
+ * @param {string} to - Ledger code received.
+ * @param {number} amount - Amount of `from`.
+ * @returns {Promise<{data: {received: number, profile: object}, error: object}>}
+ */
+export async function convertCurrency(playerId, from, to, amount) {
+    return await settleReward(playerId, backend.exchangeConvert(from, to, amount));
+}
+
+/**
+ * Records a TON purchase before it is paid. The wallet must send exactly
+ * `amount_nano` nanotons; verifyTonDeposit() credits the Ankh once the
+ * transfer is on chain.
+ * @param {number} packageId - Row of ton_packages.
+ * @param {string} wallet - Raw address of the connected wallet.
+ * @returns {Promise<{data: {id: string, amount_nano: number, ankh_amount: number}, error: object}>}
+ */
+export async function createTonDeposit(playerId, packageId, wallet) {
+    return await settleReward(playerId, backend.tonDepositCreate(packageId, wallet));
+}
+
+/**
+ * Asks the server to look for the transfer of a deposit, a few times while
+ * the chain catches up. Resolves with status 'pending' if it is not found yet.
+ * @returns {Promise<{data: {status: string, reward?: object, profile?: object}, error: object}>}
+ */
+export async function verifyTonDeposit(playerId, depositId, attempts = TON_VERIFY_ATTEMPTS) {
+    for (let attempt = 1; ; attempt++) {
+        const result = await settleReward(playerId, backend.tonDepositVerify(depositId));
+        if (result.error || result.data?.status !== 'pending' || attempt >= attempts) return result;
+        await new Promise(resolve => setTimeout(resolve, TON_VERIFY_INTERVAL_MS));
+    }
+}
+
+/**
+ * Purchases recorded but not yet credited (paid while the app was closed,
+ * or not found on chain before verifyTonDeposit gave up).
+ */
+export async function fetchPendingTonDeposits(playerId) {
+    return await backend.fetchPendingTonDeposits(playerId);
 }
@@ -4,135 +4,297 @@
  * Description: 
  * Handles Auth & Initialization.
  * KEY CHANGE: explicitly INSERTS the profile row since SQL triggers are removed.
+ * Session events (expiry, sign-out in another tab, password recovery links)
+ * are handled in handleAuthEvent(); a lost session locks the app behind the
+ * login form without reloading, so unsent UCP answers and drafts survive.
+ * Guests (anonymous accounts) play fully and are asked to secure the kingdom
+ * with an email or Telegram before the purge job removes them.
  */
 
-import { supabaseClient } from './config.js';
-import { state } from './state.js';
+import { state, setState, mutateState, batch, startStateClock } from './state.js';
 import * as api from './api.js';
-import { navigateTo, updateHeaderUI, showToast } from './ui.js';
+import { showToast, openModal, closeModal, confirmDialog } from './ui.js';
+import { html, render, registerActions } from './html.js';
+import { openInitialRoute } from './router.js';
+import { t } from './i18n.js';
+import { GUEST_RETENTION_DAYS } from './config.js';
+import { startReconcile } from './sync.js';
+import { startRealtime, stopRealtime } from './realtime.js';
+import { startOutbox, reapplyPending, pauseOutbox, resumeOutbox } from './outbox.js';
 
 // DOM Elements
 const authOverlay = document.getElementById('auth-overlay');
 const appContainer = document.getElementById('app-container');
-const loginForm = document.getElementById('login-form');
-const registerForm = document.getElementById('register-form');
+const AUTH_FORMS = ['login-form', 'register-form', 'recovery-form', 'new-password-form'];
+
+// Set on logout, so reopening the overlay does not sign straight back in through Telegram
+const LOGGED_OUT_KEY = 'noub_logged_out';
+
+// Read before the auth client consumes the link's tokens and clears the hash
+const OPENED_FROM_RECOVERY_LINK = /[#&]type=recovery\b/.test(window.location.hash);
+
+let sessionLost = false; // the app is running but locked until the player logs in again
+let loggingOut = false;
 
 // --- GAME CONFIGURATION: STARTER PACK ---
+// The starter balances are set on the server (reward_catalog, sql/016)
 const STARTER_CONFIG = {
-    NOUB: 2000,
-    PRESTIGE: 10,
-    TICKETS: 5,
     FACTORIES: [1, 2, 3]
 };
 
 // --- UI Toggles ---
+function showAuthForm(formId) {
+    AUTH_FORMS.forEach(id => document.getElementById(id)?.classList.toggle('hidden', id !== formId));
+}
 export function showRegisterForm() {
-    loginForm.classList.add('hidden');
-    registerForm.classList.remove('hidden');
+    showAuthForm('register-form');
 }
 export function showLoginForm() {
-    registerForm.classList.add('hidden');
-    loginForm.classList.remove('hidden');
+    showAuthForm('login-form');
+}
+export function showRecoveryForm() {
+    document.getElementById('recovery-email').value = document.getElementById('login-email').value;
+    showAuthForm('recovery-form');
+}
+function showNewPasswordForm() {
+    showAuthForm('new-password-form');
+    authOverlay.classList.remove('hidden');
+}
+registerActions({
+    'auth.showRegister': showRegisterForm,
+    'auth.showLogin': showLoginForm,
+    'auth.showRecovery': showRecoveryForm
+});
+
+/**
+ * The signed initData when the app runs inside Telegram, '' otherwise.
+ */
+export function telegramInitData() {
+    return window.Telegram?.WebApp?.initData || '';
+}
+
+/**
+ * The startapp parameter of the link that opened the app, '' otherwise.
+ */
+function telegramStartParam() {
+    return window.Telegram?.WebApp?.initDataUnsafe?.start_param
+        || new URLSearchParams(window.location.search).get('tgWebAppStartParam') || '';
+}
+
+/**
+ * The inviter's player id when the app was opened from an invite link
+ * (startapp=ref_<id>), null otherwise.
+ */
+function referrerFromStartParam() {
+    return /^ref_([0-9a-f-]{36})$/i.exec(telegramStartParam())?.[1] || null;
+}
+
+// --- Guests ---
+
+export function isGuest(user = state.currentUser) {
+    return !!user?.is_anonymous;
+}
+
+/**
+ * Whole days until an unconverted guest is purged (sql/014_guest_accounts.sql).
+ */
+export function guestDaysLeft(user = state.currentUser) {
+    const ageDays = (Date.now() - Date.parse(user?.created_at || Date.now())) / 86400000;
+    return Math.max(0, Math.ceil(GUEST_RETENTION_DAYS - ageDays));
+}
+
+function finishGuestUpgrade(user) {
+    setState('currentUser', user);
+    closeModal('secure-account-modal');
+    document.getElementById('guest-banner')?.classList.add('hidden');
+}
+
+async function handleSecureWithEmail(e) {
+    e.target.disabled = true;
+    const email = document.getElementById('secure-email').value;
+    const password = document.getElementById('secure-password').value;
+    const { data, error } = await api.upgradeGuest(email, password);
+    e.target.disabled = false;
+    if (error) {
+        document.getElementById('secure-account-error').textContent = error.message;
+        return;
+    }
+    // Hosted accounts stay guests until the email is confirmed
+    if (isGuest(data.user)) {
+        setState('currentUser', data.user);
+        document.getElementById('secure-account-error').textContent = '';
+        document.getElementById('secure-account-notice').textContent = t('auth.secureConfirmEmail', { email });
+        return;
+    }
+    finishGuestUpgrade(data.user);
+    showToast(t('auth.securedEmail'), 'success');
+}
+
+async function handleSecureWithTelegram(e) {
+    e.target.disabled = true;
+    const { error } = await api.linkTelegramAccount(telegramInitData());
+    e.target.disabled = false;
+    if (error) {
+        document.getElementById('secure-account-error').textContent = error.message;
+        return;
+    }
+    const { data } = await api.fetchCurrentUser();
+    finishGuestUpgrade(data?.user || { ...state.currentUser, is_anonymous: false });
+    showToast(t('auth.securedTelegram'), 'success');
+}
+
+/**
+ * The "secure your kingdom" prompt: converts the guest to an email or
+ * Telegram account. The player id stays the same, so all progress is kept.
+ */
+export function openSecureAccountModal() {
+    const modal = document.getElementById('secure-account-modal');
+    if (!modal || !isGuest()) return;
+
+    const daysLeft = guestDaysLeft();
+    render(modal, html`
+        <div class="modal-content" style="max-width: 340px;">
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="secure-account-modal">&times;</button>
+            <h2>${t('auth.secureTitle')}</h2>
+            <p style="color: var(--text-secondary); font-size: 0.85em;">
+                ${t('auth.secureIntro')}
+                ${t('auth.secureRetention', { days: GUEST_RETENTION_DAYS, count: daysLeft })}
+            </p>
+            <div class="auth-error" id="secure-account-error"></div>
+            <div class="auth-notice" id="secure-account-notice"></div>
+            <input type="email" id="secure-email" placeholder="${t('auth.email')}">
+            <input type="password" id="secure-password" placeholder="${t('auth.passwordHint')}">
+            <button id="secure-email-btn" class="action-button">${t('auth.secureWithEmail')}</button>
+            ${telegramInitData() && html`<button id="secure-telegram-btn" class="action-button telegram-login-button" style="margin-top: 10px;">${t('auth.secureWithTelegram')}</button>`}
+        </div>
+    `);
+    document.getElementById('secure-email-btn').addEventListener('click', handleSecureWithEmail);
+    document.getElementById('secure-telegram-btn')?.addEventListener('click', handleSecureWithTelegram);
+    openModal('secure-account-modal');
 }
-window.showRegisterForm = showRegisterForm;
-window.showLoginForm = showLoginForm;
 
 /**
- * SEEDING PROTOCOL (Pure JS):
- * Creates the profile row AND grants starter assets.
+ * SEEDING PROTOCOL:
+ * Creates the profile row (profile_create) AND grants starter assets.
  */
 async function seedNewPlayer(user) {
     console.log(`🌱 Creating profile for: ${user.id}`);
     
-    // 1. CREATE PROFILE ROW (Upsert handles insertion if missing)
-    const { error: profileError } = await supabaseClient
-        .from('profiles')
-        .upsert({
-            id: user.id,
-            username: user.user_metadata?.username || 'Explorer',
-            noub_score: STARTER_CONFIG.NOUB,
-            prestige: STARTER_CONFIG.PRESTIGE,
-            spin_tickets: STARTER_CONFIG.TICKETS,
-            level: 1,
-            created_at: new Date(),
-            is_new_player: false // Mark as seeded immediately
-        });
+    // 1. CREATE PROFILE ROW (an existing row is kept as is)
+    const { error: profileError } = await api.createPlayerProfile(
+        user.user_metadata?.username || 'Explorer',
+        user.user_metadata?.avatar_url || null // Telegram photo, when signed in from there
+    );
     
     if (profileError) {
         console.error("Profile Creation Error:", profileError);
-        showToast("فشل إنشاء الملف الشخصي. حاول مجدداً.", 'error');
+        showToast(t('auth.profileCreateFailed'), 'error');
         return false;
     }
     
-    // 2. Grant Initial Factories
+    // 2. Grant Starter Balances (the server pays them once per player)
+    const { error: ledgerError } = await api.claimStarterPack(user.id);
+    if (ledgerError) console.error("Starter Balance Error:", ledgerError);
+
+    // 3. Grant Initial Factories
     for (const factoryId of STARTER_CONFIG.FACTORIES) {
         await api.buildFactory(user.id, factoryId);
     }
     
     await api.logActivity(user.id, 'STARTER_PACK', `Kingdom established.`);
+
+    // 4. Invite link: record the inviter and pay the welcome reward (held for guests)
+    const referrerId = referrerFromStartParam();
+    if (referrerId) {
+        const { data, error } = await api.claimReferral(referrerId);
+        if (error) {
+            console.warn("Referral not recorded:", error.message);
+        } else {
+            const key = data.held ? 'auth.referralWelcomeHeld' : 'auth.referralWelcome';
+            showToast(t(key, { name: data.referrer_username || t('auth.yourFriend') }), 'success');
+        }
+    }
     return true;
 }
 
 /**
  * SYNC: Refreshes all local state.
+ * All writes land in one batch, so subscribers (header, badges, open modals)
+ * re-render once per refresh. Day-to-day changes arrive as deltas (js/sync.js);
+ * this full reload runs at login and as the periodic reconcile.
  */
 export async function refreshPlayerState() {
-    if (!state.currentUser) return;
+    if (!state.currentUser || sessionLost) return;
     
-    const [profileResult, inventoryResult, consumablesResult, ucpResult, specializationsResult] = await Promise.all([
+    const [profileResult, inventoryResult, consumablesResult, ucpResult, specializationsResult, cardsResult, factoriesResult] = await Promise.all([
         api.fetchProfile(state.currentUser.id),
         api.fetchPlayerInventory(state.currentUser.id),
         api.fetchKVGameConsumables(state.currentUser.id),
         api.fetchUCPProtocol(state.currentUser.id),
-        api.fetchPlayerSpecializations(state.currentUser.id) 
+        api.fetchPlayerSpecializations(state.currentUser.id),
+        api.fetchPlayerCards(state.currentUser.id),
+        api.fetchPlayerFactories(state.currentUser.id)
     ]);
 
-    if (profileResult.data) {
-        state.playerProfile = profileResult.data;
-        updateHeaderUI(state.playerProfile);
-    }
-    
-    if (inventoryResult.data) {
-        state.inventory.clear();
-        inventoryResult.data.forEach(item => {
-            state.inventory.set(item.item_id, { qty: item.quantity, details: item.items });
-        });
-    }
+    await batch(() => {
+        if (profileResult.data) setState('playerProfile', profileResult.data);
 
-    if (consumablesResult.data) {
-        state.consumables.clear();
-        consumablesResult.data.forEach(item => {
-            state.consumables.set(item.item_key, item.quantity);
-        });
-    }
+        if (inventoryResult.data) {
+            mutateState('inventory', inventory => {
+                inventory.clear();
+                inventoryResult.data.forEach(item => {
+                    inventory.set(item.item_id, { qty: item.quantity, details: item.items });
+                });
+            });
+        }
 
-    if (ucpResult.data) {
-        state.ucp.clear();
-        ucpResult.data.forEach(entry => {
-            state.ucp.set(entry.section_key, entry.section_data);
-        });
-    }
-    
-    if (specializationsResult.data) {
-        state.specializations = new Map();
-        specializationsResult.data.forEach(spec => {
-            state.specializations.set(spec.specialization_path_id, spec);
-        });
-    }
+        if (consumablesResult.data) {
+            mutateState('consumables', consumables => {
+                consumables.clear();
+                consumablesResult.data.forEach(item => {
+                    consumables.set(item.item_key, item.quantity);
+                });
+            });
+        }
+
+        if (ucpResult.data) {
+            mutateState('ucp', ucp => {
+                ucp.clear();
+                ucpResult.data.forEach(entry => {
+                    ucp.set(entry.section_key, entry.section_data);
+                });
+            });
+        }
+
+        if (specializationsResult.data) {
+            const specializations = new Map();
+            specializationsResult.data.forEach(spec => {
+                specializations.set(spec.specialization_path_id, spec);
+            });
+            setState('specializations', specializations);
+        }
+
+        if (cardsResult.data) setState('playerCards', cardsResult.data);
+        if (factoriesResult.data) setState('factories', factoriesResult.data);
+
+        // Changes still in the offline outbox win over the server rows just loaded
+        reapplyPending();
+    });
 }
 
 /**
  * MAIN INIT
  */
 async function initializeApp(user) {
-    state.currentUser = user;
+    setState('currentUser', user);
+    await startOutbox({ onNotice: showToast }); // Replays writes queued in an earlier session
     
     // Check if profile exists
     const { data: profile } = await api.fetchProfile(user.id);
 
     // If NO profile, creates one (First time login)
     if (!profile) {
-        showToast("Initializing Kingdom...", 'info');
+        showToast(t('auth.initializing'), 'info');
         const success = await seedNewPlayer(user);
         if (!success) return; // Stop if failed
     }
@@ -148,64 +310,213 @@ async function initializeApp(user) {
     if (state.playerProfile) {
         authOverlay.classList.add('hidden');
         appContainer.classList.remove('hidden');
-        navigateTo('home-screen');
+        openInitialRoute(telegramStartParam()); // Deep link, reloaded route or home
+        // Expire overdue offers now and every minute (the swap module loads in the background)
+        import('./screens/swap_screen.js').then(m => m.startSwapExpiryWatcher()).catch(err => console.warn('Swap expiry watcher not started:', err));
+        startStateClock();
+        startReconcile(refreshPlayerState); // Catch drift from trades and other devices
+        startRealtime(user.id, refreshPlayerState); // Push changes from other devices and server jobs
+    }
+}
+
+/**
+ * Picks the app back up after a lost session, with everything on screen
+ * (open chat, typed answers) as it was.
+ */
+async function resumeSession(user) {
+    sessionLost = false;
+    setState('currentUser', user);
+    authOverlay.classList.add('hidden');
+    resumeOutbox(); // Sends what was queued while locked
+    startRealtime(user.id, refreshPlayerState);
+    await refreshPlayerState();
+}
+
+/**
+ * Where every successful login leads: a fresh start, a resume after expiry,
+ * or a reload when a different player logs in on a locked app.
+ */
+async function enterApp(user) {
+    if (!state.currentUser) return await initializeApp(user);
+    if (state.currentUser.id === user.id) return await resumeSession(user);
+    window.location.reload(); // The previous player's state must not leak into this session
+}
+
+/**
+ * The session ended without a logout: the refresh token expired or was
+ * revoked, or the player logged out in another tab. The app stays in memory
+ * behind the login form; queued writes wait on the device for the next login.
+ */
+async function handleSessionLost() {
+    if (!state.currentUser || sessionLost) return;
+    sessionLost = true;
+    stopRealtime();
+    pauseOutbox();
+
+    // Inside Telegram the player can be signed back in without a form
+    if (telegramInitData() && !(await loginWithTelegram()).error) return;
+
+    showLoginForm();
+    document.getElementById('login-error').textContent = t('auth.sessionExpired');
+    authOverlay.classList.remove('hidden');
+}
+
+function handleAuthEvent(event, session) {
+    switch (event) {
+        case 'PASSWORD_RECOVERY':
+            showNewPasswordForm();
+            break;
+        case 'SIGNED_OUT':
+            if (!loggingOut) handleSessionLost();
+            break;
+        case 'SIGNED_IN':
+        case 'TOKEN_REFRESHED':
+            // e.g. the player logged in again in another tab
+            if (sessionLost && session?.user) enterApp(session.user);
+            break;
     }
 }
 
 // --- Auth Actions ---
 
 async function login(email, password) {
-    const { data, error } = await supabaseClient.auth.signInWithPassword({ email, password });
+    const { data, error } = await api.signInWithPassword(email, password);
     if (error) return { error };
-    if (data.user) await initializeApp(data.user);
+    if (data.user) await enterApp(data.user);
     return { data };
 }
 
 async function signUp(email, password, username) {
-    const { data, error } = await supabaseClient.auth.signUp({
-        email,
-        password,
-        options: { data: { username } }
-    });
+    const { data, error } = await api.signUp(email, password, username);
 
     if (error) return { error };
 
     if (data.user) {
         // Force init to ensure profile creation happens NOW
-        await initializeApp(data.user);
+        await enterApp(data.user);
         return { message: 'Success' };
     }
     
-    return { error: { message: "Signup failed." } };
+    return { error: { message: t('auth.signupFailed') } };
+}
+
+async function loginWithTelegram() {
+    const { data, error } = await api.signInWithTelegram(telegramInitData());
+    if (error) return { error };
+    sessionStorage.removeItem(LOGGED_OUT_KEY);
+    if (data.user) await enterApp(data.user);
+    return { data };
+}
+
+async function loginAsGuest() {
+    const { data, error } = await api.signInAsGuest(`Guest${Math.floor(1000 + Math.random() * 9000)}`);
+    if (error) return { error };
+    if (data.user) await enterApp(data.user);
+    return { data };
+}
+
+async function sendEmailLink(button, request, sentMessage) {
+    const errorBox = document.getElementById('recovery-error');
+    const noticeBox = document.getElementById('recovery-notice');
+    errorBox.textContent = '';
+    noticeBox.textContent = '';
+    button.disabled = true;
+
+    const { error } = await request(document.getElementById('recovery-email').value);
+    button.disabled = false;
+    if (error) errorBox.textContent = error.message;
+    else noticeBox.textContent = sentMessage;
+}
+
+async function saveNewPassword() {
+    const password = document.getElementById('new-password').value;
+    if (password !== document.getElementById('new-password-confirm').value) {
+        return { error: { message: t('auth.passwordsMismatch') } };
+    }
+    const { error } = await api.updatePassword(password);
+    if (error) return { error };
+
+    showToast(t('auth.passwordUpdated'), 'success');
+    const { data: { session } } = await api.getSession();
+    if (session) await enterApp(session.user);
+    return {};
 }
 
 export async function logout() {
-    await supabaseClient.auth.signOut();
+    // A guest has no way back in once signed out
+    if (isGuest() && !(await confirmDialog(t('auth.guestLogoutConfirm'), { danger: true }))) return;
+    loggingOut = true;
+    sessionStorage.setItem(LOGGED_OUT_KEY, '1');
+    stopRealtime();
+    await api.signOut();
     window.location.reload();
 }
 
 // --- Event Listeners ---
 
 export function setupAuthEventListeners() {
+    const telegramButton = document.getElementById('telegram-login-button');
+    telegramButton?.classList.toggle('hidden', !telegramInitData());
+    telegramButton?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.target.disabled = true;
+        e.target.innerText = t('common.loading');
+
+        const { error } = await loginWithTelegram();
+        if (error) {
+            document.getElementById('login-error').textContent = error.message;
+            e.target.disabled = false;
+            e.target.innerText = t('auth.continueTelegram');
+        }
+    });
+
+    document.getElementById('guest-login-button')?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.target.disabled = true;
+        e.target.innerText = t('common.loading');
+
+        const { error } = await loginAsGuest();
+        document.getElementById('login-error').textContent = error ? error.message : '';
+        e.target.disabled = false;
+        e.target.innerText = t('auth.playAsGuest');
+    });
+
     document.getElementById('login-button')?.addEventListener('click', async (e) => {
         e.preventDefault();
         e.target.disabled = true;
-        e.target.innerText = "Loading...";
+        e.target.innerText = t('common.loading');
         const email = document.getElementById('login-email').value;
         const password = document.getElementById('login-password').value;
         
         const { error } = await login(email, password);
-        if (error) {
-            document.getElementById('login-error').textContent = error.message;
-            e.target.disabled = false;
-            e.target.innerText = "Login";
-        }
+        // Reset either way: after a session expiry this form is shown again
+        document.getElementById('login-error').textContent = error ? error.message : '';
+        e.target.disabled = false;
+        e.target.innerText = t('auth.login');
+    });
+
+    document.getElementById('magic-link-button')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        sendEmailLink(e.target, api.sendMagicLink, t('auth.magicLinkSent'));
+    });
+
+    document.getElementById('reset-password-button')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        sendEmailLink(e.target, api.requestPasswordReset, t('auth.resetLinkSent'));
+    });
+
+    document.getElementById('update-password-button')?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.target.disabled = true;
+        const { error } = await saveNewPassword();
+        document.getElementById('new-password-error').textContent = error ? error.message : '';
+        e.target.disabled = false;
     });
 
     document.getElementById('register-button')?.addEventListener('click', async (e) => {
         e.preventDefault();
         e.target.disabled = true;
-        e.target.innerText = "Creating...";
+        e.target.innerText = t('auth.creating');
         const email = document.getElementById('register-email').value;
         const password = document.getElementById('register-password').value;
         const username = document.getElementById('register-username').value;
@@ -214,17 +525,32 @@ export function setupAuthEventListeners() {
         if (error) {
             document.getElementById('register-error').textContent = error.message;
             e.target.disabled = false;
-            e.target.innerText = "Sign Up";
+            e.target.innerText = t('auth.signUp');
         }
     });
 }
 
 export async function handleInitialSession() {
-    const { data: { session } } = await supabaseClient.auth.getSession();
+    api.onAuthChange(handleAuthEvent);
+
+    const { data: { session } } = await api.getSession();
+    if (session && OPENED_FROM_RECOVERY_LINK) {
+        showNewPasswordForm(); // The app starts once the new password is saved
+        return;
+    }
     if (session) {
         await initializeApp(session.user);
-    } else {
-        authOverlay.classList.remove('hidden');
-        appContainer.classList.add('hidden');
+        return;
+    }
+
+    // Opened from Telegram: sign in with its identity, no form needed
+    if (telegramInitData() && !sessionStorage.getItem(LOGGED_OUT_KEY)) {
+        const { error } = await loginWithTelegram();
+        if (!error) return;
+        console.error("Telegram sign-in failed:", error);
+        document.getElementById('login-error').textContent = error.message;
     }
+
+    authOverlay.classList.remove('hidden');
+    appContainer.classList.add('hidden');
 }
@@ -0,0 +1,82 @@
+/*
+ * Filename: js/backends/index.js
+ * Version: NOUB 0.1.0 (Backend Selection)
+ * Description:
+ * Picks the data backend named by DATA_BACKEND in config.js. api.js talks
+ * only to the object exported here, never to Supabase directly.
+ *   'supabase' - the hosted project (js/backends/supabase.js)
+ *   'local'    - in-browser tables with seeded master data (js/backends/local.js)
+ * A new backend is a module exporting every name in BACKEND_METHODS.
+ * Only the selected module is fetched (import() with top-level await), so
+ * the hosted build never downloads the local tables and seed.
+ */
+
+import { DATA_BACKEND } from '../config.js';
+
+const BACKENDS = {
+    supabase: () => import('./supabase.js'),
+    local: () => import('./local.js')
+};
+
+/**
+ * The adapter contract. Each method resolves to { data, error } with rows in
+ * the shapes of the Supabase selects; errors carry the SQL exception code in
+ * `message`. openChannel may return null when the backend has no realtime feed.
+ * onAuthChange(callback) calls callback(event, session) with the supabase-js
+ * event names and returns a function that unsubscribes.
+ */
+const BACKEND_METHODS = [
+    // Auth & realtime
+    'signIn', 'signUp', 'signOut', 'getSession', 'openChannel', 'closeChannel',
+    'signInWithTelegram', 'linkTelegram', 'fetchTelegramIdentity',
+    'sendMagicLink', 'requestPasswordReset', 'updatePassword', 'onAuthChange',
+    'signInAsGuest', 'upgradeGuest', 'getUser',
+    // Profile & activity
+    'fetchProfile', 'createProfile', 'updateProfile', 'insertActivity', 'fetchActivityLog',
+    'fetchIdleDropState', 'getDailySpinTickets',
+    // Inventory & cards
+    'fetchPlayerInventory', 'updateInventory', 'fetchPlayerCards', 'fetchAllMasterCards',
+    'updatePlayerCard', 'deletePlayerCard', 'fetchCardUpgradeRequirements',
+    // Factories & specializations
+    'fetchAllMasterFactories', 'fetchPlayerFactories', 'insertPlayerFactory', 'updatePlayerFactory', 'startFactory',
+    'claimFactory', 'upgradeFactory', 'fetchAllItems', 'fetchSpecializationPaths', 'fetchPlayerSpecializations', 'insertPlayerSpecialization',
+    // Contracts
+    'fetchAvailableContracts', 'fetchPlayerContracts', 'fetchContractWithRequirements', 'insertPlayerContract',
+    'deleteActivePlayerContracts',
+    // Minigames & events
+    'fetchKVGameConsumables', 'upsertConsumable', 'fetchKVProgress', 'insertGameHistory',
+    'fetchGameHistory', 'fetchSlotRewards', 'fetchGameEvents', 'fetchEventClaims',
+    // Projects, UCP & library
+    'fetchAllGreatProjects', 'fetchPlayerGreatProjects', 'upsertUCPSection', 'fetchUCPProtocol', 'fetchPlayerAlbums', 'fetchPlayerLibrary', 'upsertLibraryEntry',
+    // Market
+    'fetchMarketConfig', 'tradeCheck', 'swapCreate', 'swapAccept', 'swapBundleCreate', 'swapBundleAccept',
+    'swapCancel', 'swapExpireDue', 'swapAckExpired', 'swapDirectCreate', 'swapDirectCounter', 'swapDirectDecline',
+    'fetchSwapRequest', 'fetchActiveSwapRequests', 'fetchMySwapRequests', 'fetchIncomingDirectTrades',
+    'fetchSwapRequestAssets', 'fetchTradeThread',
+    // Ledger
+    'ledgerDebit', 'fetchLedgerEntries',
+    // Auctions & analytics
+    'auctionCreate', 'auctionBid', 'auctionCancel', 'auctionSettleDue', 'fetchActiveAuctions', 'fetchMyAuctions',
+    'fetchMyBids', 'marketCardStats', 'marketOverview',
+    // Master-data versions (js/catalog.js)
+    'fetchCatalogVersions',
+    // Referrals
+    'referralClaim', 'fetchReferrals',
+    // Server rewards
+    'taskClaim', 'dailyQuestClaim', 'starterPackClaim', 'contractComplete', 'albumClaim', 'projectSubscribe',
+    'projectDeliver', 'projectComplete', 'wheelSpin', 'kvGameStart', 'kvGameGuess', 'kvGameUseItem', 'kvGameEnd',
+    'cardBurn', 'cardPackOpen', 'soulCardMint', 'vaultClaim', 'vaultUpgrade', 'eventClaim',
+    'fetchExchangeRates', 'exchangeConvert', 'tonDepositCreate', 'tonDepositVerify', 'fetchPendingTonDeposits'
+];
+
+async function selectBackend(name) {
+    const load = BACKENDS[name];
+    if (!load) throw new Error(`Unknown DATA_BACKEND '${name}'. Use one of: ${Object.keys(BACKENDS).join(', ')}.`);
+
+    const selected = await load();
+    const missing = BACKEND_METHODS.filter(method => typeof selected[method] !== 'function');
+    if (missing.length) throw new Error(`Backend '${name}' is missing: ${missing.join(', ')}`);
+    return selected;
+}
+
+export const backend = await selectBackend(DATA_BACKEND);
@@ -0,0 +1,2529 @@
+/*
+ * Filename: js/backends/local.js
+ * Version: NOUB 0.1.0 (Local Backend)
+ * Description:
+ * In-browser stand-in for the Supabase project, for demos, development and
+ * offline testing (DATA_BACKEND = 'local' in config.js). Tables live in
+ * js/backends/local_db.js and start from the seed in local_seed.js.
+ * Every method answers like its Supabase twin in js/backends/supabase.js:
+ * the same joined row shapes, and the same exception codes in
+ * error.message (SWAP_NOT_ACTIVE, INSUFFICIENT_FUNDS:noub, TRADE_DAILY_CAP:20),
+ * so api.js turns them into the same player-facing messages.
+ * The RPCs are ports of sql/001 - 016 and run inside transaction(), so a
+ * failed trade changes nothing. Accounts are kept in the same store; the
+ * password is stored as a SHA-256 hash, which is fine for a local demo and
+ * nothing more. Telegram sign-in checks initData in the browser with
+ * LOCAL_TELEGRAM_BOT_TOKEN, standing in for the telegram-auth Edge Function.
+ * There is no mail server either: magic and password-reset links are printed
+ * to the console, and opening one signs in like the emailed link would.
+ * Guests are accounts with is_anonymous set; purging stale ones is a server
+ * job (sql/014_guest_accounts.sql) with no local counterpart.
+ */
+
+import { LOCAL_TELEGRAM_BOT_TOKEN } from '../config.js';
+import { ready, table, nextId, transaction } from './local_db.js';
+import { MASTER_TABLES, SEED_VERSION } from './local_seed.js';
+import { verifyInitData, telegramUserMetadata } from '../../supabase/functions/_shared/telegram_init_data.js';
+
+const SESSION_KEY = 'noub_local_session';
+const AUTH_LINK_HOURS = 1;
+
+const LEDGER_COLUMNS = { noub: 'noub_score', prestige: 'prestige', ankh: 'ankh_premium', tickets: 'spin_tickets' };
+const PROGRESS_COLUMNS = [
+    'idle_generator_level', 'last_claim_time', 'xp', 'level', 'xp_to_next_level', 'daily_tasks_progress', 'weekly_tasks_progress'
+];
+
+// Column defaults of `profiles` in the hosted schema
+const PROFILE_DEFAULTS = {
+    username: 'Explorer',
+    level: 1,
+    xp: 0,
+    xp_to_next_level: 100,
+    noub_score: 0,
+    prestige: 0,
+    ankh_premium: 0,
+    spin_tickets: 0,
+    idle_generator_level: 1,
+    last_claim_time: null,
+    last_daily_spin: null,
+    completed_contracts_count: 0,
+    ucp_task_1_claimed: false,
+    ucp_task_2_claimed: false,
+    ucp_task_3_claimed: false,
+    daily_tasks_progress: {},
+    weekly_tasks_progress: {}
+};
+
+// =============================================================================
+// PLUMBING
+// =============================================================================
+
+/**
+ * Error carrying a SQL exception code (or a PostgREST code such as PGRST116).
+ */
+class LocalDbError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.code = code;
+    }
+}
+
+function raise(message) {
+    throw new LocalDbError(message);
+}
+
+function notFound() {
+    throw new LocalDbError('JSON object requested, multiple (or no) rows returned', 'PGRST116');
+}
+
+function toResult(run) {
+    try {
+        const data = run();
+        return { data: data === undefined ? null : structuredClone(data), error: null };
+    } catch (err) {
+        if (!(err instanceof LocalDbError)) throw err;
+        return { data: null, error: { message: err.message, code: err.code } };
+    }
+}
+
+// Rows handed out are copies, so the caller's state never aliases the tables
+async function read(fn) {
+    await ready();
+    return toResult(fn);
+}
+
+async function write(fn) {
+    await ready();
+    return toResult(() => transaction(fn));
+}
+
+function authUid() {
+    return localStorage.getItem(SESSION_KEY);
+}
+
+const nowIso = () => new Date().toISOString();
+const hoursFromNow = hours => new Date(Date.now() + hours * 3600000).toISOString();
+const time = iso => (iso ? Date.parse(iso) : 0);
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+function removeWhere(name, predicate) {
+    const rows = table(name);
+    for (let i = rows.length - 1; i >= 0; i--) {
+        if (predicate(rows[i])) rows.splice(i, 1);
+    }
+}
+
+function byNewest(key) {
+    return (a, b) => time(b[key]) - time(a[key]);
+}
+
+// =============================================================================
+// JOINED SHAPES (match the select strings in js/backends/supabase.js)
+// =============================================================================
+
+const masterCard = id => table('cards').find(c => sameId(c.id, id)) || null;
+const masterItem = id => table('items').find(i => sameId(i.id, id)) || null;
+const profileOf = id => table('profiles').find(p => p.id === id) || null;
+const playerCard = instanceId => table('player_cards').find(pc => pc.instance_id === instanceId) || null;
+const swapRequest = id => table('swap_requests').find(r => r.id === id) || null;
+
+function cardBrief(id) {
+    const card = masterCard(id);
+    return card && { name: card.name, image_url: card.image_url, rarity_level: card.rarity_level };
+}
+
+function itemBrief(id) {
+    const item = masterItem(id);
+    return item && { name: item.name, image_url: item.image_url };
+}
+
+function playerCardRow(pc) {
+    return { ...pc, cards: masterCard(pc.card_id) };
+}
+
+function inventoryRow(row) {
+    return { player_id: row.player_id, quantity: row.quantity, item_id: row.item_id, items: masterItem(row.item_id) };
+}
+
+function playerFactoryRow(pf) {
+    const factory = table('factories').find(f => f.id === pf.factory_id);
+    const expert = pf.assigned_card_instance_id ? playerCard(pf.assigned_card_instance_id) : null;
+    return {
+        ...pf,
+        factories: factory && {
+            ...factory,
+            items: masterItem(factory.output_item_id),
+            factory_recipes: table('factory_recipes')
+                .filter(r => r.factory_id === factory.id)
+                .map(r => ({ input_quantity: r.input_quantity, items: { id: r.input_item_id, ...itemBrief(r.input_item_id) } }))
+        },
+        player_cards: expert && { instance_id: expert.instance_id, level: expert.level, cards: cardBrief(expert.card_id) }
+    };
+}
+
+function assetRow(asset) {
+    return {
+        side: asset.side,
+        asset_type: asset.asset_type,
+        instance_id: asset.instance_id,
+        card_id: asset.card_id,
+        item_id: asset.item_id,
+        currency: asset.currency,
+        quantity: asset.quantity,
+        card: asset.card_id != null ? cardBrief(asset.card_id) : null,
+        item: asset.item_id != null ? itemBrief(asset.item_id) : null
+    };
+}
+
+function requestAssets(requestId) {
+    return table('swap_request_assets').filter(a => a.request_id === requestId);
+}
+
+function swapRequestRow(request) {
+    const username = id => (id ? { username: profileOf(id)?.username || null } : null);
+    return {
+        ...request,
+        offer_card: request.item_id_offer != null ? cardBrief(request.item_id_offer) : null,
+        request_card: request.item_id_request != null ? cardBrief(request.item_id_request) : null,
+        assets: requestAssets(request.id).map(assetRow),
+        offerer: username(request.player_id_offering),
+        recipient: username(request.recipient_id)
+    };
+}
+
+function auctionRow(auction) {
+    return { ...auction, card: cardBrief(auction.card_id) };
+}
+
+// Direct offers are visible to their two parties only (sql/006 select policy)
+function isVisibleRequest(request) {
+    return !request.recipient_id || [request.player_id_offering, request.recipient_id].includes(authUid());
+}
+
+// =============================================================================
+// AUTH & REALTIME
+// =============================================================================
+
+async function hashPassword(email, password) {
+    const bytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`noub:${email}:${password}`));
+    return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function publicUser(account) {
+    return {
+        id: account.id,
+        email: account.email,
+        is_anonymous: !!account.is_anonymous,
+        user_metadata: account.user_metadata,
+        created_at: account.created_at
+    };
+}
+
+const authListeners = new Set();
+let watchingOtherTabs = false;
+
+// Listeners run after the call that caused the event has returned, as with supabase-js
+function emitAuth(event, account) {
+    const session = account ? { user: publicUser(account) } : null;
+    authListeners.forEach(listener => setTimeout(() => listener(event, session), 0));
+}
+
+function startSession(account, event = 'SIGNED_IN') {
+    localStorage.setItem(SESSION_KEY, account.id);
+    emitAuth(event, account);
+    const user = publicUser(account);
+    return { user, session: { user } };
+}
+
+function issueAuthLink(account, type) {
+    const token = crypto.randomUUID();
+    table('auth_links').push({ token, user_id: account.id, type, expires_at: hoursFromNow(AUTH_LINK_HOURS) });
+    const url = `${window.location.origin}${window.location.pathname}#local_token=${token}&type=${type}`;
+    console.info(`[local backend] ${type} link for ${account.email}: ${url}`);
+}
+
+/**
+ * Signs in with a link from issueAuthLink() when the page was opened through
+ * one. The token is single-use; expired ones are cleared on the way.
+ */
+function consumeAuthLink() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('local_token');
+    if (!token) return;
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+
+    const link = transaction(() => {
+        const found = table('auth_links').find(l => l.token === token);
+        removeWhere('auth_links', l => l === found || time(l.expires_at) < Date.now());
+        return found;
+    });
+    const account = link && time(link.expires_at) >= Date.now() && table('auth_users').find(u => u.id === link.user_id);
+    if (account) startSession(account, link.type === 'recovery' ? 'PASSWORD_RECOVERY' : 'SIGNED_IN');
+}
+
+export async function signIn(email, password) {
+    await ready();
+    const normalized = String(email || '').trim().toLowerCase();
+    const hash = await hashPassword(normalized, password);
+    const account = table('auth_users').find(u => u.email === normalized);
+    if (!account || account.password_hash !== hash) {
+        return { data: { user: null, session: null }, error: { message: 'Invalid login credentials' } };
+    }
+    return { data: startSession(account), error: null };
+}
+
+export async function signUp(email, password, username) {
+    await ready();
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!normalized.includes('@')) return { data: { user: null }, error: { message: 'Unable to validate email address: invalid format' } };
+    if (String(password || '').length < 6) return { data: { user: null }, error: { message: 'Password should be at least 6 characters.' } };
+    const hash = await hashPassword(normalized, password);
+
+    const result = toResult(() => transaction(() => {
+        if (table('auth_users').some(u => u.email === normalized)) raise('User already registered');
+        const account = { id: crypto.randomUUID(), email: normalized, password_hash: hash, user_metadata: { username }, created_at: nowIso() };
+        table('auth_users').push(account);
+        return account;
+    }));
+    if (result.error) return { data: { user: null }, error: result.error };
+    return { data: startSession(result.data), error: null };
+}
+
+export async function signOut() {
+    localStorage.removeItem(SESSION_KEY);
+    emitAuth('SIGNED_OUT', null);
+    return { error: null };
+}
+
+export async function getSession() {
+    await ready();
+    consumeAuthLink();
+    const account = table('auth_users').find(u => u.id === authUid());
+    return { data: { session: account ? { user: publicUser(account) } : null }, error: null };
+}
+
+export async function sendMagicLink(email) {
+    await ready();
+    const normalized = String(email || '').trim().toLowerCase();
+    const account = table('auth_users').find(u => u.email === normalized);
+    if (!account) return { data: null, error: { message: 'Signups not allowed for otp', status: 422 } };
+    transaction(() => issueAuthLink(account, 'magiclink'));
+    return { data: {}, error: null };
+}
+
+// Like Supabase, answers the same whether or not the email has an account
+export async function requestPasswordReset(email) {
+    await ready();
+    const normalized = String(email || '').trim().toLowerCase();
+    const account = table('auth_users').find(u => u.email === normalized);
+    if (account) transaction(() => issueAuthLink(account, 'recovery'));
+    return { data: {}, error: null };
+}
+
+export async function updatePassword(password) {
+    await ready();
+    const account = table('auth_users').find(u => u.id === authUid());
+    if (!account) return { data: { user: null }, error: { message: 'Auth session missing!', status: 401 } };
+    if (String(password || '').length < 6) return { data: { user: null }, error: { message: 'Password should be at least 6 characters.', status: 422 } };
+    const hash = await hashPassword(account.email, password);
+    transaction(() => { account.password_hash = hash; });
+    emitAuth('USER_UPDATED', account);
+    return { data: { user: publicUser(account) }, error: null };
+}
+
+export async function signInAsGuest(username) {
+    await ready();
+    const account = transaction(() => {
+        const guest = { id: crypto.randomUUID(), email: null, password_hash: null, is_anonymous: true, user_metadata: { username }, created_at: nowIso() };
+        table('auth_users').push(guest);
+        return guest;
+    });
+    return { data: startSession(account), error: null };
+}
+
+// No confirmation mail locally: the email applies at once
+export async function upgradeGuest(email, password) {
+    await ready();
+    const account = table('auth_users').find(u => u.id === authUid());
+    if (!account) return { data: { user: null }, error: { message: 'Auth session missing!', status: 401 } };
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!normalized.includes('@')) return { data: { user: null }, error: { message: 'Unable to validate email address: invalid format', status: 422 } };
+    if (String(password || '').length < 6) return { data: { user: null }, error: { message: 'Password should be at least 6 characters.', status: 422 } };
+    const hash = await hashPassword(normalized, password);
+
+    const result = toResult(() => transaction(() => {
+        if (table('auth_users').some(u => u.email === normalized && u.id !== account.id)) {
+            raise('A user with this email address has already been registered');
+        }
+        const wasGuest = account.is_anonymous;
+        Object.assign(account, { email: normalized, password_hash: hash, is_anonymous: false });
+        if (wasGuest) referralSettle(account.id); // trigger auth_users_referral_secured
+        return publicUser(account);
+    }));
+    if (result.error) return { data: { user: null }, error: result.error };
+    emitAuth('USER_UPDATED', account);
+    return { data: { user: result.data }, error: null };
+}
+
+export async function getUser() {
+    await ready();
+    const account = table('auth_users').find(u => u.id === authUid());
+    if (!account) return { data: { user: null }, error: { message: 'Auth session missing!', status: 401 } };
+    return { data: { user: publicUser(account) }, error: null };
+}
+
+/**
+ * Besides this tab's own events, reports logins and logouts made in other
+ * tabs of the same browser, which share the session.
+ */
+export function onAuthChange(callback) {
+    authListeners.add(callback);
+    if (!watchingOtherTabs) {
+        watchingOtherTabs = true;
+        window.addEventListener('storage', event => {
+            if (event.key !== SESSION_KEY) return;
+            if (!event.newValue) return emitAuth('SIGNED_OUT', null);
+            // The other tab may have created the account after this one loaded its tables
+            emitAuth('SIGNED_IN', table('auth_users').find(u => u.id === event.newValue) || { id: event.newValue });
+        });
+    }
+    return () => authListeners.delete(callback);
+}
+
+// Same checks and error codes as supabase/functions/telegram-auth
+async function verifyTelegram(initData) {
+    if (!LOCAL_TELEGRAM_BOT_TOKEN) return { error: { message: 'TELEGRAM_VERIFIER_NOT_CONFIGURED' } };
+    const verified = await verifyInitData(initData, LOCAL_TELEGRAM_BOT_TOKEN);
+    if (!verified.ok) return { error: { message: `TELEGRAM_INVALID:${verified.reason}`, status: 401 } };
+    return verified;
+}
+
+function identityOf(telegramId) {
+    return table('telegram_identities').find(i => sameId(i.telegram_id, telegramId)) || null;
+}
+
+function linkIdentity(tgUser, playerId) {
+    table('telegram_identities').push({ telegram_id: tgUser.id, player_id: playerId, username: tgUser.username || null, linked_at: nowIso() });
+}
+
+export async function signInWithTelegram(initData) {
+    await ready();
+    const verified = await verifyTelegram(initData);
+    if (verified.error) return { data: { user: null, session: null }, error: verified.error };
+    const tgUser = verified.user;
+
+    const result = toResult(() => transaction(() => {
+        const identity = identityOf(tgUser.id);
+        const linked = identity && table('auth_users').find(u => u.id === identity.player_id);
+        if (linked) return { account: linked, created: false };
+
+        removeWhere('telegram_identities', i => i === identity); // its account was deleted
+        // No password: this account signs in through Telegram only
+        const account = {
+            id: crypto.randomUUID(),
+            email: `tg${tgUser.id}@telegram.noub.invalid`,
+            password_hash: null,
+            user_metadata: telegramUserMetadata(tgUser),
+            created_at: nowIso()
+        };
+        table('auth_users').push(account);
+        linkIdentity(tgUser, account.id);
+        return { account, created: true };
+    }));
+    if (result.error) return { data: { user: null, session: null }, error: result.error };
+    return { data: { ...startSession(result.data.account), created: result.data.created }, error: null };
+}
+
+export async function linkTelegram(initData) {
+    await ready();
+    const account = table('auth_users').find(u => u.id === authUid());
+    if (!account) return { data: null, error: { message: 'TELEGRAM_LINK_AUTH', status: 401 } };
+    const verified = await verifyTelegram(initData);
+    if (verified.error) return { data: null, error: verified.error };
+    const tgUser = verified.user;
+
+    return write(() => {
+        const identity = identityOf(tgUser.id);
+        if (identity?.player_id === account.id) return { linked: true };
+        if (identity) raise('TELEGRAM_ALREADY_LINKED');
+        if (table('telegram_identities').some(i => i.player_id === account.id)) raise('TELEGRAM_PLAYER_LINKED');
+        linkIdentity(tgUser, account.id);
+        account.user_metadata = { ...account.user_metadata, telegram_id: tgUser.id };
+        // A guest becomes permanent, as with the Edge Function
+        if (!account.email) {
+            Object.assign(account, { email: `tg${tgUser.id}@telegram.noub.invalid`, is_anonymous: false });
+            referralSettle(account.id); // trigger auth_users_referral_secured
+        }
+        return { linked: true };
+    });
+}
+
+export function fetchTelegramIdentity(playerId) {
+    return read(() => {
+        const identity = table('telegram_identities').find(i => i.player_id === playerId);
+        return identity ? { telegram_id: identity.telegram_id, username: identity.username, linked_at: identity.linked_at } : null;
+    });
+}
+
+// Single device: mutations already patch the store, there is nothing to push
+export function openChannel() {
+    return null;
+}
+
+export function closeChannel() {}
+
+// =============================================================================
+// PROFILE & ACTIVITY
+// =============================================================================
+
+export function fetchProfile(userId) {
+    return read(() => profileOf(userId) || notFound());
+}
+
+// Port of profile_create (sql/016): balances and progress always start at the defaults
+export function createProfile(username, avatarUrl = null) {
+    return write(() => {
+        const player = authUid();
+        const existing = profileOf(player);
+        if (existing) return existing;
+        const profile = {
+            ...PROFILE_DEFAULTS,
+            id: player,
+            username: username?.trim() || PROFILE_DEFAULTS.username,
+            avatar_url: avatarUrl,
+            is_new_player: false,
+            created_at: nowIso()
+        };
+        table('profiles').push(profile);
+        return profile;
+    });
+}
+
+export function updateProfile(playerId, changes) {
+    return write(() => {
+        if (Object.keys(changes).some(key => Object.values(LEDGER_COLUMNS).includes(key))) {
+            raise('BALANCE_WRITE_DENIED: balances change only through the currency ledger');
+        }
+        if (Object.keys(changes).some(key => PROGRESS_COLUMNS.includes(key))) {
+            raise('PROGRESS_WRITE_DENIED: this column changes only through its game action'); // trigger profiles_guard_progress
+        }
+        const profile = profileOf(playerId);
+        if (!profile) return [];
+        Object.assign(profile, changes);
+        return [{ id: playerId, ...changes }];
+    });
+}
+
+function insertActivityRow(playerId, activityType, description) {
+    table('activity_log').push({ id: nextId('activity_log'), player_id: playerId, activity_type: activityType, description, created_at: nowIso() });
+}
+
+export function insertActivity(row) {
+    return write(() => insertActivityRow(row.player_id, row.activity_type, row.description));
+}
+
+export function fetchActivityLog(playerId) {
+    return read(() => table('activity_log').filter(a => a.player_id === playerId).sort(byNewest('created_at')).slice(0, 50));
+}
+
+export function fetchIdleDropState(playerId) {
+    return read(() => {
+        const profile = profileOf(playerId) || notFound();
+        return { last_claim_time: profile.last_claim_time, idle_generator_level: profile.idle_generator_level, noub_score: profile.noub_score };
+    });
+}
+
+export function getDailySpinTickets(playerId) {
+    return read(() => {
+        const profile = profileOf(playerId) || notFound();
+        return { spin_tickets: profile.spin_tickets, last_daily_spin: profile.last_daily_spin };
+    });
+}
+
+// =============================================================================
+// INVENTORY & CARDS
+// =============================================================================
+
+function inventoryGive(playerId, itemId, quantity) {
+    const row = table('player_inventory').find(r => r.player_id === playerId && sameId(r.item_id, itemId));
+    if (row) {
+        row.quantity = Number(row.quantity) + Number(quantity);
+        return row;
+    }
+    const created = { player_id: playerId, item_id: Number(itemId), quantity: Number(quantity) };
+    table('player_inventory').push(created);
+    return created;
+}
+
+function inventoryTake(playerId, itemId, quantity) {
+    const row = table('player_inventory').find(r => r.player_id === playerId && sameId(r.item_id, itemId));
+    if (!row || Number(row.quantity) < Number(quantity)) raise('SWAP_NOT_ENOUGH_ITEMS');
+    row.quantity = Number(row.quantity) - Number(quantity);
+}
+
+export function fetchPlayerInventory(playerId) {
+    return read(() => table('player_inventory').filter(r => r.player_id === playerId).map(inventoryRow));
+}
+
+export function updateInventory(playerId, itemId, quantity) {
+    return write(() => {
+        const row = table('player_inventory').find(r => r.player_id === playerId && sameId(r.item_id, itemId));
+        if (!row) return [];
+        // Port of player_inventory_guard_writes (sql/016)
+        if (Number(quantity) > Number(row.quantity)) raise('INVENTORY_WRITE_DENIED: items come only from production, trades and rewards');
+        row.quantity = Number(quantity);
+        return [inventoryRow(row)];
+    });
+}
+
+export function fetchPlayerCards(playerId) {
+    return read(() => table('player_cards').filter(pc => pc.player_id === playerId).map(playerCardRow));
+}
+
+export function fetchAllMasterCards() {
+    return read(() => table('cards'));
+}
+
+// Same rule as the player_cards_guard_escrow trigger (sql/002)
+function assertNotEscrowed(instanceId) {
+    if (table('card_escrow').some(e => e.instance_id === instanceId)) raise('CARD_IN_ESCROW');
+}
+
+export function updatePlayerCard(instanceId, changes) {
+    return write(() => {
+        const card = playerCard(instanceId);
+        if (!card) return [];
+        // player_cards_guard_writes (sql/016)
+        if ('card_id' in changes && !sameId(changes.card_id, card.card_id)) raise('CARD_WRITE_DENIED');
+        if ('player_id' in changes || 'is_locked' in changes) assertNotEscrowed(instanceId);
+        Object.assign(card, changes);
+        return [playerCardRow(card)];
+    });
+}
+
+export function deletePlayerCard(instanceId) {
+    return write(() => {
+        const card = playerCard(instanceId);
+        if (!card) return [];
+        assertNotEscrowed(instanceId);
+        removeWhere('player_cards', pc => pc.instance_id === instanceId);
+        return [{ instance_id: card.instance_id, player_id: card.player_id }];
+    });
+}
+
+export function fetchCardUpgradeRequirements(cardId, nextLevel) {
+    return read(() => {
+        const row = table('card_levels').find(l => sameId(l.card_id, cardId) && sameId(l.upgrade_level, nextLevel)) || notFound();
+        return { ...row, items: row.cost_item_id ? { name: masterItem(row.cost_item_id)?.name } : null };
+    });
+}
+
+// =============================================================================
+// FACTORIES & SPECIALIZATIONS
+// =============================================================================
+
+export function fetchAllMasterFactories() {
+    return read(() => [...table('factories')]
+        .sort((a, b) => a.required_level - b.required_level)
+        .map(f => ({ ...f, items: masterItem(f.output_item_id) })));
+}
+
+export function fetchPlayerFactories(playerId) {
+    return read(() => table('player_factories').filter(pf => pf.player_id === playerId).map(playerFactoryRow));
+}
+
+export function insertPlayerFactory(playerId, factoryId) {
+    return write(() => {
+        const factory = {
+            id: nextId('player_factories'),
+            player_id: playerId,
+            factory_id: Number(factoryId),
+            level: 1,
+            production_start_time: null,
+            assigned_card_instance_id: null
+        };
+        table('player_factories').push(factory);
+        return [playerFactoryRow(factory)];
+    });
+}
+
+export function updatePlayerFactory(playerFactoryId, changes) {
+    return write(() => {
+        const factory = table('player_factories').find(pf => sameId(pf.id, playerFactoryId));
+        if (!factory) return [];
+        if ('production_start_time' in changes && !sameId(changes.production_start_time, factory.production_start_time)) {
+            raise('PRODUCTION_WRITE_DENIED: production starts only through factory_start'); // trigger player_factories_guard_start
+        }
+        const assigned = changes.assigned_card_instance_id;
+        const newExpert = assigned != null && assigned !== factory.assigned_card_instance_id;
+        Object.assign(factory, changes);
+        if (newExpert) taskProgressAdd(factory.player_id, 'assign_expert', 1, null); // trigger player_factories_task_assign
+        return [playerFactoryRow(factory)];
+    });
+}
+
+// Port of factory_start (sql/016)
+export function startFactory(playerFactoryId) {
+    return write(() => {
+        const player = authUid();
+        const factory = table('player_factories').find(pf => sameId(pf.id, playerFactoryId));
+        if (!factory || factory.player_id !== player) raise('FACTORY_NOT_FOUND');
+        if (factory.production_start_time) raise('FACTORY_BUSY');
+
+        const recipes = table('factory_recipes').filter(r => r.factory_id === factory.factory_id);
+        const stock = recipes.map(r => table('player_inventory').find(i => i.player_id === player && sameId(i.item_id, r.input_item_id)));
+        if (recipes.some((r, index) => !stock[index] || Number(stock[index].quantity) < r.input_quantity)) raise('FACTORY_MISSING_INPUTS');
+        const inventory = recipes.map((r, index) => {
+            stock[index].quantity = Number(stock[index].quantity) - r.input_quantity;
+            return { item_id: stock[index].item_id, quantity: stock[index].quantity };
+        });
+
+        factory.production_start_time = nowIso();
+        return { inventory, factories: [{ id: factory.id, production_start_time: factory.production_start_time }] };
+    });
+}
+
+// Port of _xp_apply (sql/010)
+function xpApply(player, xp) {
+    const profile = profileOf(player);
+    const previousLevel = profile.level || 1;
+    let currentXp = (profile.xp || 0) + Math.max(Number(xp) || 0, 0);
+    let level = previousLevel;
+    let xpNext = profile.xp_to_next_level || 100;
+    while (currentXp >= xpNext) {
+        level++;
+        currentXp -= xpNext;
+        xpNext = Math.floor(xpNext * 1.15);
+    }
+    Object.assign(profile, { xp: currentXp, level, xp_to_next_level: xpNext });
+    if (level > previousLevel) referralSettle(player); // trigger profiles_referral_level_up
+    return { leveled_up: level > previousLevel, profile: { xp: currentXp, level, xp_to_next_level: xpNext } };
+}
+
+// Port of factory_claim (sql/016)
+export function claimFactory(playerFactoryId) {
+    return write(() => {
+        const player = authUid();
+        const factory = table('player_factories').find(pf => sameId(pf.id, playerFactoryId));
+        if (!factory || factory.player_id !== player) raise('FACTORY_NOT_FOUND');
+        if (!factory.production_start_time) raise('FACTORY_NOT_STARTED');
+
+        const master = table('factories').find(f => f.id === factory.factory_id);
+        const expertCard = playerCard(factory.assigned_card_instance_id);
+        const expertName = table('cards').find(c => c.id === expertCard?.card_id)?.name;
+        const effect = table('factory_expert_effects').find(e => e.card_name === expertName);
+        const effectValue = effect ? effect.value_by_level[Math.min(Math.max(expertCard.level || 1, 1), 5) - 1] : 0;
+        const reduction = effect?.effect === 'TIME_REDUCTION_PERCENT' ? effectValue : 0;
+        const readyAt = Date.parse(factory.production_start_time) + master.base_production_time * 60000 * (100 - reduction) / 100;
+        if (readyAt > Date.now()) raise('FACTORY_NOT_READY');
+
+        const item = masterItem(master.output_item_id);
+        const amount = effect?.effect === 'EXTRA_RESOURCE_CHANCE' && Math.random() * 100 < effectValue ? 2 : 1;
+        const inventory = inventoryGive(player, item.id, amount);
+        factory.production_start_time = null;
+
+        const xp = xpApply(player, 5);
+        const tasks = taskProgressAdd(player, 'production_claim', 1, item.name);
+
+        return {
+            quantity: amount,
+            leveled_up: xp.leveled_up,
+            profile: { ...xp.profile, ...tasks },
+            inventory: [{ item_id: item.id, quantity: inventory.quantity, items: item }],
+            factories: [{ id: factory.id, production_start_time: null }]
+        };
+    });
+}
+
+// Port of factory_upgrade (sql/016)
+export function upgradeFactory(playerFactoryId) {
+    return write(() => {
+        const player = authUid();
+        const factory = table('player_factories').find(pf => sameId(pf.id, playerFactoryId));
+        if (!factory || factory.player_id !== player) raise('FACTORY_NOT_FOUND');
+        if ((factory.level || 1) >= 10) raise('FACTORY_MAX_LEVEL');
+
+        const material = table('items').find(i => i.name === 'Limestone Block');
+        const stock = table('player_inventory').find(i => i.player_id === player && sameId(i.item_id, material?.id));
+        if (!stock || Number(stock.quantity) < 10) raise('FACTORY_MISSING_MATERIALS');
+        stock.quantity = Number(stock.quantity) - 10;
+
+        const balances = ledgerApplyRow(player, { noub: -500 }, 'FACTORY_UPGRADE', 'player_factory', String(factory.id));
+        factory.level = (factory.level || 1) + 1;
+        const xp = xpApply(player, 20);
+        const tasks = taskProgressAdd(player, 'upgrade_building', 1, null);
+
+        return {
+            level: factory.level,
+            leveled_up: xp.leveled_up,
+            profile: { ...balances, ...xp.profile, ...tasks },
+            inventory: [{ item_id: stock.item_id, quantity: stock.quantity }],
+            factories: [{ id: factory.id, level: factory.level }]
+        };
+    });
+}
+
+export function fetchAllItems() {
+    return read(() => table('items'));
+}
+
+export function fetchSpecializationPaths() {
+    return read(() => table('specialization_paths'));
+}
+
+export function fetchPlayerSpecializations(playerId) {
+    return read(() => table('player_specializations')
+        .filter(s => s.player_id === playerId)
+        .map(s => ({ ...s, specialization_paths: table('specialization_paths').find(p => p.id === s.specialization_path_id) || null })));
+}
+
+export function insertPlayerSpecialization(playerId, pathId) {
+    return write(() => {
+        table('player_specializations').push({
+            id: nextId('player_specializations'),
+            player_id: playerId,
+            specialization_path_id: Number(pathId),
+            is_active: true,
+            created_at: nowIso()
+        });
+    });
+}
+
+// =============================================================================
+// CONTRACTS
+// =============================================================================
+
+export function fetchAvailableContracts(playerId) {
+    return read(() => {
+        const taken = new Set(table('player_contracts').filter(pc => pc.player_id === playerId).map(pc => pc.contract_id));
+        return table('contracts').filter(c => !taken.has(c.id));
+    });
+}
+
+export function fetchPlayerContracts(playerId) {
+    return read(() => table('player_contracts')
+        .filter(pc => pc.player_id === playerId && pc.status === 'active')
+        .map(pc => ({ id: pc.id, status: pc.status, accepted_at: pc.accepted_at, contracts: table('contracts').find(c => c.id === pc.contract_id) || null })));
+}
+
+export function fetchContractWithRequirements(contractId) {
+    return read(() => {
+        const contract = table('contracts').find(c => sameId(c.id, contractId)) || notFound();
+        return {
+            ...contract,
+            contract_requirements: table('contract_requirements')
+                .filter(r => r.contract_id === contract.id)
+                .map(r => ({ quantity: r.quantity, items: { id: r.item_id, ...itemBrief(r.item_id) } }))
+        };
+    });
+}
+
+export function insertPlayerContract(playerId, contractId, acceptedAt) {
+    return write(() => {
+        table('player_contracts').push({
+            id: nextId('player_contracts'),
+            player_id: playerId,
+            contract_id: Number(contractId),
+            status: 'active',
+            accepted_at: acceptedAt
+        });
+    });
+}
+
+export function deleteActivePlayerContracts(playerId) {
+    return write(() => removeWhere('player_contracts', pc => pc.player_id === playerId && pc.status === 'active'));
+}
+
+// =============================================================================
+// MINIGAMES & EVENTS
+// =============================================================================
+
+export function fetchKVGameConsumables(playerId) {
+    return read(() => table('game_consumables')
+        .filter(c => c.player_id === playerId)
+        .map(c => ({ item_key: c.item_key, quantity: c.quantity })));
+}
+
+export function upsertConsumable(playerId, itemKey, quantity) {
+    return write(() => {
+        let row = table('game_consumables').find(c => c.player_id === playerId && c.item_key === itemKey);
+        if (!row) {
+            row = { player_id: playerId, item_key: itemKey, quantity: 0 };
+            table('game_consumables').push(row);
+        }
+        row.quantity = Number(quantity);
+        return [{ ...row }];
+    });
+}
+
+export function fetchKVProgress(playerId) {
+    return read(() => table('kv_game_progress').find(p => p.player_id === playerId) || notFound());
+}
+
+export function insertGameHistory(row) {
+    return write(() => {
+        table('game_history').push({ id: nextId('game_history'), date: nowIso(), ...row });
+    });
+}
+
+export function fetchGameHistory(playerId) {
+    return read(() => table('game_history').filter(h => h.player_id === playerId).sort(byNewest('date')));
+}
+
+export function fetchSlotRewards() {
+    return read(() => table('slot_rewards'));
+}
+
+export function fetchGameEvents() {
+    return read(() => [...table('game_events')].sort((a, b) => a.event_month - b.event_month || a.event_day - b.event_day));
+}
+
+export function fetchEventClaims(playerId) {
+    return read(() => table('player_event_claims').filter(c => c.player_id === playerId));
+}
+
+// =============================================================================
+// PROJECTS, UCP & LIBRARY
+// =============================================================================
+
+export function fetchAllGreatProjects() {
+    return read(() => [...table('master_great_projects')].sort((a, b) => a.min_player_level - b.min_player_level));
+}
+
+export function fetchPlayerGreatProjects(playerId) {
+    return read(() => table('player_great_projects')
+        .filter(p => p.player_id === playerId)
+        .map(p => ({ ...p, master_great_projects: table('master_great_projects').find(m => m.id === p.project_id) || null })));
+}
+
+export function upsertUCPSection(playerId, sectionKey, sectionData) {
+    return write(() => {
+        const row = table('player_protocol_data').find(r => r.player_id === playerId && r.section_key === sectionKey);
+        if (row) row.section_data = sectionData;
+        else table('player_protocol_data').push({ player_id: playerId, section_key: sectionKey, section_data: sectionData });
+    });
+}
+
+export function fetchUCPProtocol(playerId) {
+    return read(() => table('player_protocol_data')
+        .filter(r => r.player_id === playerId)
+        .map(r => ({ section_key: r.section_key, section_data: r.section_data })));
+}
+
+export function fetchPlayerAlbums(playerId) {
+    return read(() => table('player_albums')
+        .filter(a => a.player_id === playerId)
+        .map(a => ({ ...a, master_albums: table('master_albums').find(m => m.id === a.album_id) || null })));
+}
+
+export function fetchPlayerLibrary(playerId) {
+    return read(() => table('player_library').filter(e => e.player_id === playerId).map(e => ({ entry_key: e.entry_key })));
+}
+
+export function upsertLibraryEntry(playerId, entryKey) {
+    return write(() => {
+        if (table('player_library').some(e => e.player_id === playerId && e.entry_key === entryKey)) return;
+        table('player_library').push({ player_id: playerId, entry_key: entryKey, unlocked_at: nowIso() });
+    });
+}
+
+// Master data only changes with the seed, so its version stands in for every table
+export function fetchCatalogVersions() {
+    return read(() => Object.keys(MASTER_TABLES).map(table_name => ({ table_name, version: SEED_VERSION })));
+}
+
+export function fetchMarketConfig(key) {
+    return read(() => {
+        const row = table('market_config').find(r => r.key === key);
+        return row ? { value: row.value } : null;
+    });
+}
+
+// =============================================================================
+// CURRENCY LEDGER (sql/001)
+// =============================================================================
+
+function balancesOf(profile) {
+    return {
+        noub_score: profile.noub_score || 0,
+        prestige: profile.prestige || 0,
+        ankh_premium: profile.ankh_premium || 0,
+        spin_tickets: profile.spin_tickets || 0
+    };
+}
+
+function ledgerApplyRow(playerId, deltas, reason, refType = null, refId = null, transferId = null) {
+    if (!reason || !String(reason).trim()) raise('LEDGER_REASON_REQUIRED');
+    const profile = profileOf(playerId);
+    if (!profile) raise('LEDGER_NO_PROFILE');
+
+    for (const [currency, rawDelta] of Object.entries(deltas || {})) {
+        const column = LEDGER_COLUMNS[currency];
+        if (!column) raise(`LEDGER_UNKNOWN_CURRENCY:${currency}`);
+        const delta = Number(rawDelta);
+        if (delta === 0) continue;
+
+        const balance = (Number(profile[column]) || 0) + delta;
+        if (balance < 0) raise(`INSUFFICIENT_FUNDS:${currency}`);
+        profile[column] = balance;
+
+        table('currency_ledger').push({
+            id: nextId('currency_ledger'),
+            player_id: playerId,
+            currency,
+            delta,
+            balance_after: balance,
+            reason,
+            ref_type: refType,
+            ref_id: refId,
+            transfer_id: transferId,
+            created_at: nowIso()
+        });
+    }
+    return balancesOf(profile);
+}
+
+export function ledgerDebit(playerId, amounts, reason, refType = null, refId = null) {
+    return write(() => {
+        if (authUid() !== playerId) raise('LEDGER_FORBIDDEN');
+        if (Object.values(amounts || {}).some(value => Number(value) < 0)) raise('LEDGER_NEGATIVE_AMOUNT');
+        const debits = Object.fromEntries(Object.entries(amounts || {}).map(([currency, value]) => [currency, -Number(value)]));
+        return ledgerApplyRow(playerId, debits, reason, refType, refId);
+    });
+}
+
+export function fetchLedgerEntries(playerId, limit = 50) {
+    return read(() => table('currency_ledger').filter(e => e.player_id === playerId).sort(byNewest('created_at')).slice(0, limit));
+}
+
+// =============================================================================
+// TRADE SAFETY (sql/009)
+// =============================================================================
+
+function setting(key, fallback) {
+    const row = table('market_config').find(r => r.key === key);
+    return row ? Number(row.value) : fallback;
+}
+
+function tradeActionsToday(playerId) {
+    const since = Date.now() - 24 * 3600000;
+    return table('swap_requests').filter(r => r.player_id_offering === playerId && time(r.created_at) > since).length
+        + table('swap_transactions').filter(t => t.player_accepting_id === playerId && time(t.created_at) > since).length
+        + table('auctions').filter(a => a.seller_id === playerId && time(a.created_at) > since).length;
+}
+
+function tradeRuleViolation(playerId) {
+    const profile = profileOf(playerId);
+    if (!profile) return 'SWAP_FORBIDDEN';
+
+    const minHours = setting('trade_min_account_hours', 0);
+    const ageHours = (Date.now() - time(profile.created_at || nowIso())) / 3600000;
+    if (ageHours < minHours) return `TRADE_ACCOUNT_TOO_NEW:${Math.ceil(minHours - ageHours)}`;
+
+    const minLevel = setting('trade_min_level', 1);
+    if ((profile.level || 1) < minLevel) return `TRADE_LEVEL_TOO_LOW:${minLevel}`;
+
+    const cap = setting('trade_daily_cap', 0);
+    if (cap > 0 && tradeActionsToday(playerId) >= cap) return `TRADE_DAILY_CAP:${cap}`;
+    return null;
+}
+
+function tradeAssertAllowed(playerId) {
+    const violation = tradeRuleViolation(playerId);
+    if (violation) raise(violation);
+}
+
+function cardCooldownLeft(instanceId) {
+    const card = playerCard(instanceId);
+    if (!card) return 0;
+    const until = time(card.acquired_at) + setting('trade_card_cooldown_hours', 0) * 3600000;
+    return Math.max(0, Math.ceil((until - Date.now()) / 3600000));
+}
+
+function assertTradeable(instanceId, ownerId) {
+    const card = playerCard(instanceId);
+    if (!card || card.player_id !== ownerId) raise('SWAP_NOT_OWNER');
+    if (card.is_locked) raise('SWAP_CARD_LOCKED');
+    if (card.card_id === 9999) raise('SWAP_SOULBOUND');
+    if (table('player_factories').some(pf => pf.assigned_card_instance_id === instanceId)) raise('SWAP_CARD_IS_EXPERT');
+    const cooldown = cardCooldownLeft(instanceId);
+    if (cooldown > 0) raise(`TRADE_CARD_COOLDOWN:${cooldown}`);
+    return card.card_id;
+}
+
+function tradeFlag(kind, playerA, playerB, refType, refId, details) {
+    const since = Date.now() - setting('trade_review_window_days', 7) * 86400000;
+    const pair = [playerA, playerB].sort().join('|');
+    const open = table('trade_review_flags').some(f =>
+        f.kind === kind && f.status === 'open' && [f.player_a, f.player_b].sort().join('|') === pair && time(f.created_at) > since);
+    if (open) return;
+    table('trade_review_flags').push({
+        id: nextId('trade_review_flags'), kind, player_a: playerA, player_b: playerB,
+        ref_type: refType, ref_id: refId, details, status: 'open', created_at: nowIso(), reviewed_at: null
+    });
+}
+
+function tradeScanPair(playerA, playerB, refType, refId) {
+    const days = setting('trade_review_window_days', 7);
+    const since = Date.now() - days * 86400000;
+    const isPair = (x, y) => (x === playerA && y === playerB) || (x === playerB && y === playerA);
+    const trades = table('swap_transactions').filter(t => time(t.created_at) > since && isPair(t.player_offering_id, t.player_accepting_id)).length
+        + table('auctions').filter(a => a.status === 'settled' && time(a.settled_at) > since && isPair(a.seller_id, a.current_bidder_id)).length;
+    if (trades >= setting('trade_pair_flag_count', 3)) {
+        tradeFlag('same_pair', playerA, playerB, refType, refId, { trades, window_days: days });
+    }
+}
+
+// Every change of owner goes through here (log_card_transfer trigger)
+function moveCard(instanceId, toPlayerId) {
+    const card = playerCard(instanceId);
+    if (card.player_id !== toPlayerId) {
+        const since = Date.now() - setting('trade_review_window_days', 7) * 86400000;
+        const left = table('card_transfers')
+            .filter(t => t.instance_id === instanceId && t.from_player === toPlayerId && time(t.created_at) > since)
+            .sort(byNewest('created_at'))[0];
+        table('card_transfers').push({
+            id: nextId('card_transfers'), instance_id: instanceId, card_id: card.card_id,
+            from_player: card.player_id, to_player: toPlayerId, created_at: nowIso()
+        });
+        if (left) {
+            tradeFlag('circular', toPlayerId, card.player_id, 'card_instance', instanceId, { card_id: card.card_id, left_owner_at: left.created_at });
+        }
+    }
+    Object.assign(card, { player_id: toPlayerId, is_locked: false, acquired_at: nowIso() });
+}
+
+export function tradeCheck(instanceIds = []) {
+    return read(() => {
+        const player = authUid();
+        let reason = tradeRuleViolation(player);
+        if (!reason) {
+            for (const instanceId of instanceIds) {
+                const cooldown = cardCooldownLeft(instanceId);
+                if (cooldown > 0) {
+                    reason = `TRADE_CARD_COOLDOWN:${cooldown}`;
+                    break;
+                }
+            }
+        }
+        return { allowed: !reason, reason, trades_today: tradeActionsToday(player), daily_cap: setting('trade_daily_cap', 0) };
+    });
+}
+
+// =============================================================================
+// SWAPS, BUNDLES & DIRECT TRADES (sql/002 - 007)
+// =============================================================================
+
+function feePercent() {
+    return setting('fee_percent', 0);
+}
+
+function escrowCard(instanceId, ownerId, link) {
+    playerCard(instanceId).is_locked = true;
+    table('card_escrow').push({ instance_id: instanceId, owner_id: ownerId, request_id: null, auction_id: null, ...link, created_at: nowIso() });
+}
+
+function insertSwapRequest(row) {
+    tradeAssertAllowed(row.player_id_offering);
+    const request = {
+        id: crypto.randomUUID(),
+        card_instance_id_offer: null,
+        item_id_offer: null,
+        item_id_request: null,
+        price_noub: 0,
+        status: 'active',
+        is_bundle: false,
+        recipient_id: null,
+        thread_id: null,
+        message: null,
+        expires_at: hoursFromNow(24 * 7),
+        expiry_notified: false,
+        created_at: nowIso(),
+        ...row
+    };
+    table('swap_requests').push(request);
+    return request;
+}
+
+function insertSwapTransaction(row) {
+    tradeAssertAllowed(row.player_accepting_id);
+    table('swap_transactions').push({ id: nextId('swap_transactions'), price_noub: 0, fee_noub: 0, created_at: nowIso(), ...row });
+    tradeScanPair(row.player_offering_id, row.player_accepting_id, 'swap_request', row.request_id);
+}
+
+function threadSnapshot(requestId) {
+    return requestAssets(requestId).map(a => ({
+        side: a.side,
+        asset_type: a.asset_type,
+        card_id: a.card_id,
+        item_id: a.item_id,
+        currency: a.currency,
+        quantity: a.quantity,
+        card: a.card_id != null ? cardBrief(a.card_id) : null,
+        item: a.item_id != null ? itemBrief(a.item_id) : null
+    }));
+}
+
+function threadLog(requestId, authorId, action, message = null) {
+    const request = swapRequest(requestId);
+    if (!request.thread_id) return;
+    table('swap_negotiations').push({
+        id: nextId('swap_negotiations'),
+        thread_id: request.thread_id,
+        request_id: requestId,
+        author_id: authorId,
+        counterpart_id: authorId === request.player_id_offering ? request.recipient_id : request.player_id_offering,
+        action,
+        message: message && message.trim() ? message.trim() : null,
+        snapshot: threadSnapshot(requestId),
+        created_at: nowIso()
+    });
+}
+
+// Status change with the guard_direct_swaps and log_direct_swap_status triggers
+function setRequestStatus(request, status) {
+    if (request.recipient_id && request.status === 'active' && status === 'completed' && authUid() !== request.recipient_id) {
+        raise('SWAP_NOT_RECIPIENT');
+    }
+    const previous = request.status;
+    request.status = status;
+    if (request.thread_id && previous === 'active' && ['completed', 'cancelled', 'expired'].includes(status)) {
+        threadLog(
+            request.id,
+            status === 'completed' ? request.recipient_id : request.player_id_offering,
+            { completed: 'accept', cancelled: 'cancel', expired: 'expire' }[status]
+        );
+    }
+}
+
+function releaseEscrow(requestId, status) {
+    const request = swapRequest(requestId);
+    table('card_escrow').filter(e => e.request_id === requestId).forEach(e => {
+        const card = playerCard(e.instance_id);
+        if (card) card.is_locked = false;
+    });
+    removeWhere('card_escrow', e => e.request_id === requestId);
+
+    requestAssets(requestId)
+        .filter(a => a.side === 'offer' && a.escrowed && a.asset_type !== 'card')
+        .forEach(a => {
+            if (a.asset_type === 'item') inventoryGive(request.player_id_offering, a.item_id, a.quantity);
+            else ledgerApplyRow(request.player_id_offering, { [a.currency]: a.quantity }, 'SWAP_ESCROW_REFUND', 'swap_request', requestId);
+        });
+
+    requestAssets(requestId).forEach(a => { a.escrowed = false; });
+    setRequestStatus(request, status);
+}
+
+function setExpiry(request, hours) {
+    if (hours == null || hours < 1 || hours > 168) raise('SWAP_BAD_EXPIRY');
+    request.expires_at = hoursFromNow(hours);
+}
+
+function countAssets(side) {
+    return (side?.cards?.length || 0) + Object.keys(side?.items || {}).length + Object.keys(side?.currency || {}).length;
+}
+
+function assertQuantity(value) {
+    if (!Number.isInteger(value) || value <= 0) raise('SWAP_BAD_QUANTITY');
+}
+
+function addAsset(requestId, asset) {
+    table('swap_request_assets').push({
+        id: nextId('swap_request_assets'), request_id: requestId, instance_id: null, card_id: null,
+        item_id: null, currency: null, quantity: 1, escrowed: false, ...asset
+    });
+}
+
+// Port of _swap_bundle_open (sql/006)
+function bundleOpen(playerId, offer, ask, recipientId = null, threadId = null, message = null) {
+    if (!playerId) raise('SWAP_FORBIDDEN');
+    if (countAssets(offer) === 0) raise('SWAP_EMPTY_BUNDLE');
+    if (countAssets(ask) === 0) raise('SWAP_EMPTY_ASK');
+
+    const request = insertSwapRequest({
+        player_id_offering: playerId,
+        is_bundle: true,
+        price_noub: Math.floor(Number(ask?.currency?.noub || 0)),
+        recipient_id: recipientId,
+        thread_id: threadId,
+        message: message && message.trim() ? message.trim() : null
+    });
+
+    // Offer side: everything goes into escrow now
+    for (const instanceId of offer.cards || []) {
+        const cardId = assertTradeable(instanceId, playerId);
+        escrowCard(instanceId, playerId, { request_id: request.id });
+        addAsset(request.id, { side: 'offer', asset_type: 'card', instance_id: instanceId, card_id: cardId, escrowed: true });
+    }
+    for (const [itemId, rawQuantity] of Object.entries(offer.items || {})) {
+        const quantity = Number(rawQuantity);
+        assertQuantity(quantity);
+        inventoryTake(playerId, itemId, quantity);
+        addAsset(request.id, { side: 'offer', asset_type: 'item', item_id: Number(itemId), quantity, escrowed: true });
+    }
+    for (const [currency, rawAmount] of Object.entries(offer.currency || {})) {
+        if (!['noub', 'prestige'].includes(currency)) raise('SWAP_BAD_CURRENCY');
+        const amount = Number(rawAmount);
+        assertQuantity(amount);
+        ledgerApplyRow(playerId, { [currency]: -amount }, 'SWAP_ESCROW', 'swap_request', request.id);
+        addAsset(request.id, { side: 'offer', asset_type: 'currency', currency, quantity: amount, escrowed: true });
+    }
+
+    // Request side: validated now, collected on acceptance
+    for (const cardId of ask.cards || []) {
+        if (!masterCard(cardId)) raise('SWAP_UNKNOWN_CARD');
+        addAsset(request.id, { side: 'request', asset_type: 'card', card_id: Number(cardId) });
+    }
+    for (const [itemId, rawQuantity] of Object.entries(ask.items || {})) {
+        const quantity = Number(rawQuantity);
+        assertQuantity(quantity);
+        if (!masterItem(itemId)) raise('SWAP_UNKNOWN_ITEM');
+        addAsset(request.id, { side: 'request', asset_type: 'item', item_id: Number(itemId), quantity });
+    }
+    for (const [currency, rawAmount] of Object.entries(ask.currency || {})) {
+        if (!['noub', 'prestige'].includes(currency)) raise('SWAP_BAD_CURRENCY');
+        const amount = Number(rawAmount);
+        assertQuantity(amount);
+        addAsset(request.id, { side: 'request', asset_type: 'currency', currency, quantity: amount });
+    }
+
+    return request;
+}
+
+function resolveRecipient(recipient) {
+    const text = String(recipient || '').trim();
+    const matches = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(text)
+        ? table('profiles').filter(p => p.id === text.toLowerCase())
+        : table('profiles').filter(p => (p.username || '').toLowerCase() === text.toLowerCase());
+    if (matches.length === 0) raise('SWAP_UNKNOWN_RECIPIENT');
+    if (matches.length > 1) raise('SWAP_RECIPIENT_AMBIGUOUS');
+    return matches[0].id;
+}
+
+function describeOffer(requestId) {
+    const parts = requestAssets(requestId).filter(a => a.side === 'offer').map(a => {
+        if (a.asset_type === 'card') return masterCard(a.card_id)?.name;
+        if (a.asset_type === 'item') return `${a.quantity} x ${masterItem(a.item_id)?.name}`;
+        return `${a.quantity} ${a.currency}`;
+    });
+    if (parts.length) return parts.join(', ');
+    return masterCard(swapRequest(requestId)?.item_id_offer)?.name || 'your offer';
+}
+
+function lockActiveRequest(requestId) {
+    const request = swapRequest(requestId);
+    if (!request || request.status !== 'active') raise('SWAP_NOT_ACTIVE');
+    return request;
+}
+
+export function swapCreate(offerInstanceId, requestCardId, priceNoub = 0, expiresInHours = 24) {
+    return write(() => {
+        const player = authUid();
+        const price = Math.floor(Number(priceNoub || 0));
+        if (!player) raise('SWAP_FORBIDDEN');
+        if (price < 0) raise('SWAP_BAD_PRICE');
+        if (requestCardId == null && price === 0) raise('SWAP_EMPTY_ASK');
+        if (requestCardId != null && !masterCard(requestCardId)) raise('SWAP_UNKNOWN_CARD');
+
+        const offerCardId = assertTradeable(offerInstanceId, player);
+        const request = insertSwapRequest({
+            player_id_offering: player,
+            card_instance_id_offer: offerInstanceId,
+            item_id_offer: offerCardId,
+            item_id_request: requestCardId != null ? Number(requestCardId) : null,
+            price_noub: price
+        });
+        setExpiry(request, expiresInHours);
+        escrowCard(offerInstanceId, player, { request_id: request.id });
+        return request.id;
+    });
+}
+
+export function swapAccept(requestId, counterInstanceId = null) {
+    return write(() => {
+        const player = authUid();
+        if (!player) raise('SWAP_FORBIDDEN');
+        const request = lockActiveRequest(requestId);
+        if (time(request.expires_at) <= Date.now()) raise('SWAP_EXPIRED');
+        if (request.player_id_offering === player) raise('SWAP_OWN_OFFER');
+        if (!table('card_escrow').some(e => e.request_id === requestId && e.instance_id === request.card_instance_id_offer)) raise('SWAP_ESCROW_MISSING');
+
+        // Card leg
+        if (request.item_id_request != null) {
+            if (!counterInstanceId) raise('SWAP_WRONG_CARD');
+            if (assertTradeable(counterInstanceId, player) !== request.item_id_request) raise('SWAP_WRONG_CARD');
+        } else if (counterInstanceId) {
+            raise('SWAP_WRONG_CARD');
+        }
+
+        // NOUB leg: buyer pays net + fee, seller receives net, fee is burned
+        const price = Number(request.price_noub || 0);
+        let fee = 0;
+        if (price > 0) {
+            const transferId = crypto.randomUUID();
+            fee = Math.floor(price * feePercent() / 100);
+            ledgerApplyRow(player, { noub: -(price - fee) }, 'MARKET_PURCHASE', 'swap_request', requestId, transferId);
+            if (fee > 0) ledgerApplyRow(player, { noub: -fee }, 'MARKET_FEE', 'swap_request', requestId, transferId);
+            ledgerApplyRow(request.player_id_offering, { noub: price - fee }, 'MARKET_SALE', 'swap_request', requestId, transferId);
+        }
+
+        moveCard(request.card_instance_id_offer, player);
+        if (counterInstanceId) moveCard(counterInstanceId, request.player_id_offering);
+
+        removeWhere('card_escrow', e => e.request_id === requestId);
+        setRequestStatus(request, 'completed');
+        insertSwapTransaction({
+            request_id: requestId,
+            player_offering_id: request.player_id_offering,
+            player_accepting_id: player,
+            card_instance_offered_instance: request.card_instance_id_offer,
+            card_instance_received_instance: counterInstanceId,
+            price_noub: price,
+            fee_noub: fee
+        });
+
+        const cardName = masterCard(request.item_id_offer)?.name;
+        insertActivityRow(request.player_id_offering, 'SWAP', price > 0
+            ? `Sold ${cardName} for ${price - fee} NOUB (fee ${fee} burned).`
+            : `Traded away ${cardName}.`);
+        insertActivityRow(player, 'SWAP', price > 0 ? `Bought ${cardName} for ${price} NOUB.` : `Received ${cardName} in a trade.`);
+
+        return { request_id: requestId, new_card_name: cardName, price_noub: price, fee_noub: fee };
+    });
+}
+
+export function swapBundleCreate(offer, ask, expiresInHours = 24) {
+    return write(() => {
+        const player = authUid();
+        if (!player) raise('SWAP_FORBIDDEN');
+        const request = bundleOpen(player, offer, ask);
+        setExpiry(request, expiresInHours);
+        return request.id;
+    });
+}
+
+export function swapBundleAccept(requestId, counterInstanceIds = []) {
+    return write(() => {
+        const player = authUid();
+        if (!player) raise('SWAP_FORBIDDEN');
+        const request = swapRequest(requestId);
+        if (!request || request.status !== 'active' || !request.is_bundle) raise('SWAP_NOT_ACTIVE');
+        if (time(request.expires_at) <= Date.now()) raise('SWAP_EXPIRED');
+        if (request.player_id_offering === player) raise('SWAP_OWN_OFFER');
+
+        // Requested cards: the counter instances must cover them exactly
+        if (new Set(counterInstanceIds).size !== counterInstanceIds.length) raise('SWAP_WRONG_CARD');
+        const given = counterInstanceIds.map(id => assertTradeable(id, player)).sort((a, b) => a - b);
+        const wanted = requestAssets(requestId).filter(a => a.side === 'request' && a.asset_type === 'card').map(a => a.card_id).sort((a, b) => a - b);
+        if (given.join(',') !== wanted.join(',')) raise('SWAP_WRONG_CARD');
+
+        const transferId = crypto.randomUUID();
+        const offerer = request.player_id_offering;
+        let fee = 0;
+        let price = 0;
+
+        // Request side: acceptor -> offerer
+        counterInstanceIds.forEach(id => moveCard(id, offerer));
+        for (const asset of requestAssets(requestId).filter(a => a.side === 'request' && a.asset_type !== 'card')) {
+            if (asset.asset_type === 'item') {
+                inventoryTake(player, asset.item_id, asset.quantity);
+                inventoryGive(offerer, asset.item_id, asset.quantity);
+                continue;
+            }
+            const legFee = asset.currency === 'noub' ? Math.floor(asset.quantity * feePercent() / 100) : 0;
+            if (asset.currency === 'noub') price = asset.quantity;
+            ledgerApplyRow(player, { [asset.currency]: -(asset.quantity - legFee) }, 'MARKET_PURCHASE', 'swap_request', requestId, transferId);
+            if (legFee > 0) ledgerApplyRow(player, { noub: -legFee }, 'MARKET_FEE', 'swap_request', requestId, transferId);
+            ledgerApplyRow(offerer, { [asset.currency]: asset.quantity - legFee }, 'MARKET_SALE', 'swap_request', requestId, transferId);
+            fee += legFee;
+        }
+
+        // Offer side: escrow -> acceptor (escrowed NOUB also pays the market fee)
+        for (const asset of requestAssets(requestId).filter(a => a.side === 'offer' && a.escrowed)) {
+            if (asset.asset_type === 'card') {
+                moveCard(asset.instance_id, player);
+            } else if (asset.asset_type === 'item') {
+                inventoryGive(player, asset.item_id, asset.quantity);
+            } else {
+                const legFee = asset.currency === 'noub' ? Math.floor(asset.quantity * feePercent() / 100) : 0;
+                ledgerApplyRow(player, { [asset.currency]: asset.quantity - legFee }, 'MARKET_SALE', 'swap_request', requestId, transferId);
+                fee += legFee;
+            }
+        }
+
+        removeWhere('card_escrow', e => e.request_id === requestId);
+        requestAssets(requestId).forEach(a => { a.escrowed = false; });
+        setRequestStatus(request, 'completed');
+        insertSwapTransaction({
+            request_id: requestId,
+            player_offering_id: offerer,
+            player_accepting_id: player,
+            card_instance_offered_instance: null,
+            card_instance_received_instance: null,
+            price_noub: price,
+            fee_noub: fee
+        });
+
+        insertActivityRow(offerer, 'SWAP', 'Your bundle offer was accepted.');
+        insertActivityRow(player, 'SWAP', 'Bundle trade completed.');
+        return { request_id: requestId, price_noub: price, fee_noub: fee };
+    });
+}
+
+export function swapCancel(requestId) {
+    return write(() => {
+        const request = swapRequest(requestId);
+        if (!request || request.player_id_offering !== authUid()) raise('SWAP_FORBIDDEN');
+        if (request.status !== 'active') raise('SWAP_NOT_ACTIVE');
+        releaseEscrow(requestId, 'cancelled');
+    });
+}
+
+export function swapExpireDue() {
+    return write(() => {
+        const due = table('swap_requests')
+            .filter(r => r.status === 'active' && time(r.expires_at) <= Date.now())
+            .sort((a, b) => time(a.expires_at) - time(b.expires_at))
+            .slice(0, 200);
+        due.forEach(request => {
+            insertActivityRow(request.player_id_offering, 'SWAP', `Offer expired: ${describeOffer(request.id)}. Everything was returned to you.`);
+            releaseEscrow(request.id, 'expired');
+        });
+        return due.length;
+    });
+}
+
+export function swapAckExpired() {
+    return write(() => table('swap_requests')
+        .filter(r => r.player_id_offering === authUid() && r.status === 'expired' && !r.expiry_notified)
+        .map(request => {
+            request.expiry_notified = true;
+            return { id: request.id, summary: describeOffer(request.id) };
+        }));
+}
+
+export function swapDirectCreate(recipient, offer, ask, message = null, expiresInHours = 24) {
+    return write(() => {
+        const player = authUid();
+        if (!player) raise('SWAP_FORBIDDEN');
+        const recipientId = resolveRecipient(recipient);
+        if (recipientId === player) raise('SWAP_SELF_RECIPIENT');
+
+        const request = bundleOpen(player, offer, ask, recipientId, null, message);
+        request.thread_id = request.id;
+        setExpiry(request, expiresInHours);
+        threadLog(request.id, player, 'offer', message);
+        insertActivityRow(recipientId, 'SWAP', 'You received a direct trade offer.');
+        return request.id;
+    });
+}
+
+export function swapDirectCounter(requestId, offer, ask, message = null, expiresInHours = 24) {
+    return write(() => {
+        const player = authUid();
+        const request = swapRequest(requestId);
+        if (!request || request.recipient_id !== player) raise('SWAP_NOT_RECIPIENT');
+        if (request.status !== 'active') raise('SWAP_NOT_ACTIVE');
+
+        releaseEscrow(requestId, 'countered');
+        const counter = bundleOpen(player, offer, ask, request.player_id_offering, request.thread_id, message);
+        setExpiry(counter, expiresInHours);
+        threadLog(counter.id, player, 'counter', message);
+        insertActivityRow(request.player_id_offering, 'SWAP', 'Your direct trade offer received a counter-offer.');
+        return counter.id;
+    });
+}
+
+export function swapDirectDecline(requestId, message = null) {
+    return write(() => {
+        const request = swapRequest(requestId);
+        if (!request || request.recipient_id !== authUid()) raise('SWAP_NOT_RECIPIENT');
+        if (request.status !== 'active') raise('SWAP_NOT_ACTIVE');
+
+        releaseEscrow(requestId, 'declined');
+        threadLog(requestId, authUid(), 'decline', message);
+        insertActivityRow(request.player_id_offering, 'SWAP', 'Your direct trade offer was declined. Your assets were returned.');
+    });
+}
+
+export function fetchSwapRequest(requestId) {
+    return read(() => {
+        const request = swapRequest(requestId);
+        return request && isVisibleRequest(request) ? swapRequestRow(request) : notFound();
+    });
+}
+
+export function fetchActiveSwapRequests(playerId) {
+    return read(() => table('swap_requests')
+        .filter(r => r.status === 'active' && time(r.expires_at) > Date.now() && !r.recipient_id && r.player_id_offering !== playerId)
+        .map(swapRequestRow));
+}
+
+export function fetchMySwapRequests(playerId) {
+    return read(() => table('swap_requests')
+        .filter(r => r.status === 'active' && r.player_id_offering === playerId)
+        .map(swapRequestRow));
+}
+
+export function fetchIncomingDirectTrades(playerId) {
+    return read(() => table('swap_requests')
+        .filter(r => r.status === 'active' && time(r.expires_at) > Date.now() && r.recipient_id === playerId)
+        .sort(byNewest('created_at'))
+        .map(swapRequestRow));
+}
+
+export function fetchSwapRequestAssets(requestId) {
+    return read(() => {
+        const request = swapRequest(requestId);
+        return request && isVisibleRequest(request) ? requestAssets(requestId).map(assetRow) : [];
+    });
+}
+
+export function fetchTradeThread(threadId) {
+    return read(() => table('swap_negotiations')
+        .filter(n => n.thread_id === threadId && [n.author_id, n.counterpart_id].includes(authUid()))
+        .sort((a, b) => time(a.created_at) - time(b.created_at) || a.id - b.id)
+        .map(n => ({ ...n, author: { username: profileOf(n.author_id)?.username || null } })));
+}
+
+// =============================================================================
+// AUCTIONS (sql/004)
+// =============================================================================
+
+const auctionById = id => table('auctions').find(a => a.id === id) || null;
+
+function settleAuction(auctionId) {
+    const auction = auctionById(auctionId);
+    if (!auction || auction.status !== 'active') return null;
+    const cardName = masterCard(auction.card_id)?.name;
+
+    if (!auction.current_bidder_id) {
+        // Nobody bid: the card goes back to the seller
+        playerCard(auction.card_instance_id).is_locked = false;
+        removeWhere('card_escrow', e => e.auction_id === auctionId);
+        Object.assign(auction, { status: 'unsold', settled_at: nowIso() });
+        insertActivityRow(auction.seller_id, 'AUCTION', `Auction for ${cardName} ended without bids. Card returned.`);
+        return 'unsold';
+    }
+
+    // The winning bid is already held by the house; pay the seller net of the fee
+    const fee = Math.floor(auction.current_bid * feePercent() / 100);
+    ledgerApplyRow(auction.seller_id, { noub: auction.current_bid - fee }, 'AUCTION_SALE', 'auction', auctionId);
+    moveCard(auction.card_instance_id, auction.current_bidder_id);
+    removeWhere('card_escrow', e => e.auction_id === auctionId);
+    Object.assign(auction, { status: 'settled', fee_noub: fee, settled_at: nowIso() });
+    tradeScanPair(auction.seller_id, auction.current_bidder_id, 'auction', auctionId);
+
+    insertActivityRow(auction.seller_id, 'AUCTION', `Auctioned ${cardName} for ${auction.current_bid - fee} NOUB (fee ${fee} burned).`);
+    insertActivityRow(auction.current_bidder_id, 'AUCTION', `Won the auction for ${cardName} at ${auction.current_bid} NOUB.`);
+    return 'settled';
+}
+
+export function auctionCreate(instanceId, startPrice, buyoutPrice = null, durationHours = 24) {
+    return write(() => {
+        const player = authUid();
+        if (!player) raise('AUCTION_FORBIDDEN');
+        if ((Number(startPrice) || 0) < 1) raise('AUCTION_BAD_PRICE');
+        if (buyoutPrice != null && Number(buyoutPrice) <= Number(startPrice)) raise('AUCTION_BAD_BUYOUT');
+        if (durationHours == null || durationHours < 1 || durationHours > 168) raise('AUCTION_BAD_DURATION');
+
+        const cardId = assertTradeable(instanceId, player);
+        tradeAssertAllowed(player);
+        const auction = {
+            id: crypto.randomUUID(),
+            seller_id: player,
+            card_instance_id: instanceId,
+            card_id: cardId,
+            start_price: Math.floor(startPrice),
+            buyout_price: buyoutPrice != null ? Math.floor(buyoutPrice) : null,
+            current_bid: null,
+            current_bidder_id: null,
+            bid_count: 0,
+            ends_at: hoursFromNow(durationHours),
+            status: 'active',
+            fee_noub: 0,
+            created_at: nowIso(),
+            settled_at: null
+        };
+        table('auctions').push(auction);
+        escrowCard(instanceId, player, { auction_id: auction.id });
+        return auction.id;
+    });
+}
+
+export function auctionBid(auctionId, amount) {
+    return write(() => {
+        const player = authUid();
+        if (!player) raise('AUCTION_FORBIDDEN');
+        const auction = auctionById(auctionId);
+        if (!auction || auction.status !== 'active' || time(auction.ends_at) <= Date.now()) raise('AUCTION_CLOSED');
+        if (auction.seller_id === player) raise('AUCTION_OWN');
+        if (auction.current_bidder_id === player) raise('AUCTION_ALREADY_LEADING');
+
+        let bid = Math.floor(Number(amount) || 0);
+        let minimum = auction.current_bid == null
+            ? auction.start_price
+            : Math.max(auction.current_bid + 1, Math.ceil(auction.current_bid * (1 + setting('auction_min_increment_percent', 5) / 100)));
+        if (auction.buyout_price != null) {
+            minimum = Math.min(minimum, auction.buyout_price);
+            bid = Math.min(bid, auction.buyout_price);
+        }
+        if (bid < minimum) raise(`AUCTION_BID_TOO_LOW:${minimum}`);
+
+        // Hold the new bid, refund the previous leader
+        ledgerApplyRow(player, { noub: -bid }, 'AUCTION_BID', 'auction', auctionId);
+        if (auction.current_bidder_id) {
+            ledgerApplyRow(auction.current_bidder_id, { noub: auction.current_bid }, 'AUCTION_REFUND', 'auction', auctionId);
+            table('auction_bids')
+                .filter(b => b.auction_id === auctionId && b.bidder_id === auction.current_bidder_id && !b.refunded)
+                .forEach(b => { b.refunded = true; });
+            insertActivityRow(auction.current_bidder_id, 'AUCTION', `You were outbid. ${auction.current_bid} NOUB refunded.`);
+        }
+
+        table('auction_bids').push({ id: nextId('auction_bids'), auction_id: auctionId, bidder_id: player, amount: bid, refunded: false, created_at: nowIso() });
+        Object.assign(auction, { current_bid: bid, current_bidder_id: player, bid_count: auction.bid_count + 1 });
+
+        // Buyout ends the auction immediately
+        if (auction.buyout_price != null && bid >= auction.buyout_price) {
+            return { amount: bid, bought_out: true, status: settleAuction(auctionId) };
+        }
+        return { amount: bid, bought_out: false, status: 'active' };
+    });
+}
+
+export function auctionCancel(auctionId) {
+    return write(() => {
+        const auction = auctionById(auctionId);
+        if (!auction || auction.seller_id !== authUid()) raise('AUCTION_FORBIDDEN');
+        if (auction.status !== 'active') raise('AUCTION_CLOSED');
+        if (auction.current_bidder_id) raise('AUCTION_HAS_BIDS');
+
+        playerCard(auction.card_instance_id).is_locked = false;
+        removeWhere('card_escrow', e => e.auction_id === auctionId);
+        Object.assign(auction, { status: 'cancelled', settled_at: nowIso() });
+    });
+}
+
+export function auctionSettleDue() {
+    return write(() => table('auctions')
+        .filter(a => a.status === 'active' && time(a.ends_at) <= Date.now())
+        .sort((a, b) => time(a.ends_at) - time(b.ends_at))
+        .slice(0, 100)
+        .filter(a => settleAuction(a.id) !== null)
+        .length);
+}
+
+export function fetchActiveAuctions(playerId) {
+    return read(() => table('auctions')
+        .filter(a => a.status === 'active' && a.seller_id !== playerId && time(a.ends_at) > Date.now())
+        .sort((a, b) => time(a.ends_at) - time(b.ends_at))
+        .map(auctionRow));
+}
+
+export function fetchMyAuctions(playerId) {
+    return read(() => table('auctions')
+        .filter(a => a.seller_id === playerId)
+        .sort(byNewest('created_at'))
+        .slice(0, 30)
+        .map(auctionRow));
+}
+
+export function fetchMyBids(playerId) {
+    return read(() => table('auction_bids')
+        .filter(b => b.bidder_id === playerId)
+        .sort(byNewest('created_at'))
+        .slice(0, 100)
+        .map(b => ({ amount: b.amount, created_at: b.created_at, auction: auctionById(b.auction_id) && auctionRow(auctionById(b.auction_id)) })));
+}
+
+// =============================================================================
+// MARKET ANALYTICS (sql/008)
+// =============================================================================
+
+// Port of _market_trades: one row per card that changed hands since `since` (ms)
+function marketTrades(since) {
+    const trades = [];
+    for (const t of table('swap_transactions').filter(t => time(t.created_at) >= since)) {
+        const request = swapRequest(t.request_id);
+        if (!request) continue;
+        if (request.is_bundle) {
+            requestAssets(request.id).filter(a => a.asset_type === 'card')
+                .forEach(a => trades.push({ card_id: a.card_id, price_noub: null, source: 'bundle', traded_at: t.created_at }));
+            continue;
+        }
+        if (request.item_id_offer != null) {
+            const isSale = request.item_id_request == null;
+            trades.push({
+                card_id: request.item_id_offer,
+                price_noub: isSale && t.price_noub > 0 ? Number(t.price_noub) : null,
+                source: isSale ? 'sale' : 'swap',
+                traded_at: t.created_at
+            });
+        }
+        if (request.item_id_request != null) {
+            trades.push({ card_id: request.item_id_request, price_noub: null, source: 'swap', traded_at: t.created_at });
+        }
+    }
+    table('auctions').filter(a => a.status === 'settled' && time(a.settled_at) >= since)
+        .forEach(a => trades.push({ card_id: a.card_id, price_noub: Number(a.current_bid), source: 'auction', traded_at: a.settled_at }));
+    return trades;
+}
+
+const clampDays = days => Math.max(1, Math.min(Number(days) || 30, 365));
+
+function supplyOf(cardId) {
+    const copies = table('player_cards').filter(pc => sameId(pc.card_id, cardId));
+    return { copies: copies.length, holders: new Set(copies.map(pc => pc.player_id)).size };
+}
+
+export function marketCardStats(cardId, days = 30) {
+    return read(() => {
+        const windowDays = clampDays(days);
+        const since = Date.now() - windowDays * 86400000;
+        const priced = marketTrades(-Infinity)
+            .filter(t => sameId(t.card_id, cardId) && t.price_noub != null)
+            .sort(byNewest('traded_at'));
+        const inWindow = marketTrades(since).filter(t => sameId(t.card_id, cardId));
+        const prices = inWindow.map(t => t.price_noub).filter(p => p != null);
+        const supply = supplyOf(cardId);
+        const players = table('profiles').length;
+
+        const copiesByCard = {};
+        table('player_cards').forEach(pc => { copiesByCard[pc.card_id] = (copiesByCard[pc.card_id] || 0) + 1; });
+
+        return {
+            card_id: Number(cardId),
+            days: windowDays,
+            last_price: priced[0]?.price_noub ?? null,
+            last_traded_at: priced[0]?.traded_at ?? null,
+            trade_count: inWindow.length,
+            volume_noub: prices.reduce((sum, p) => sum + p, 0),
+            avg_price: prices.length ? Math.round(prices.reduce((sum, p) => sum + p, 0) / prices.length) : null,
+            low_price: prices.length ? Math.min(...prices) : null,
+            high_price: prices.length ? Math.max(...prices) : null,
+            supply: supply.copies,
+            holders: supply.holders,
+            holder_percent: players > 0 ? Math.round(1000 * supply.holders / players) / 10 : 0,
+            scarcity_rank: Object.values(copiesByCard).filter(copies => copies < supply.copies).length + 1,
+            card_count: table('cards').length,
+            history: marketTrades(since)
+                .filter(t => sameId(t.card_id, cardId) && t.price_noub != null)
+                .sort((a, b) => time(a.traded_at) - time(b.traded_at))
+                .map(t => ({ t: t.traded_at, price: t.price_noub, source: t.source }))
+        };
+    });
+}
+
+export function marketOverview(days = 30) {
+    return read(() => {
+        const inWindow = marketTrades(Date.now() - clampDays(days) * 86400000);
+        const lastPrices = {};
+        marketTrades(-Infinity)
+            .filter(t => t.price_noub != null)
+            .sort((a, b) => time(a.traded_at) - time(b.traded_at))
+            .forEach(t => { lastPrices[t.card_id] = t.price_noub; });
+
+        return table('cards').map(card => {
+            const trades = inWindow.filter(t => t.card_id === card.id);
+            const supply = supplyOf(card.id);
+            return {
+                card_id: card.id,
+                trade_count: trades.length,
+                volume_noub: trades.reduce((sum, t) => sum + (t.price_noub || 0), 0),
+                last_price: lastPrices[card.id] ?? null,
+                supply: supply.copies,
+                holders: supply.holders
+            };
+        });
+    });
+}
+
+// =============================================================================
+// REFERRALS (sql/015)
+// =============================================================================
+
+function referralSetting(key, fallback) {
+    const row = table('referral_config').find(r => r.key === key);
+    return row ? Number(row.value) : fallback;
+}
+
+const accountOf = id => table('auth_users').find(u => u.id === id) || null;
+
+// Port of _referral_settle: pays the referee's held welcome and the inviter
+// what the referee reached, unless held
+function referralSettle(refereeId) {
+    const referral = table('referrals').find(r => r.referee_id === refereeId);
+    const account = accountOf(refereeId);
+    if (!referral || !account || account.is_anonymous) return;
+    const profile = profileOf(refereeId);
+
+    // Rows recorded before the welcome was held have no flag: they were paid
+    if (referral.welcome_paid === false) {
+        const welcome = table('referral_rewards').find(r => r.level === 1)?.referee_reward || {};
+        if (Object.keys(welcome).length) ledgerApplyRow(refereeId, welcome, 'REFERRAL_WELCOME', 'referral', referral.referrer_id);
+        referral.welcome_paid = true;
+    }
+    const minAgeMs = referralSetting('milestone_min_account_hours', 24) * 3600000;
+    const name = profile?.username || 'A friend';
+
+    table('referral_rewards')
+        .filter(r => r.level <= (profile?.level || 1) && !referral.paid_levels.includes(r.level))
+        .sort((a, b) => a.level - b.level)
+        .forEach(reward => {
+            if (reward.level > 1 && time(account.created_at) > Date.now() - minAgeMs) return;
+            const join = reward.level === 1;
+            ledgerApplyRow(referral.referrer_id, reward.inviter_reward, join ? 'REFERRAL_JOIN' : 'REFERRAL_MILESTONE', 'referral', refereeId);
+            insertActivityRow(referral.referrer_id, 'REFERRAL', join
+                ? `${name} joined through your invite.`
+                : `${name} reached level ${reward.level}. Referral bonus paid.`);
+            referral.paid_levels.push(reward.level);
+        });
+}
+
+export function referralClaim(referrerId) {
+    return write(() => {
+        const uid = authUid();
+        if (referrerId === uid) raise('REFERRAL_SELF');
+        if (!profileOf(uid)) raise('LEDGER_NO_PROFILE');
+        const referrer = profileOf(referrerId);
+        if (!referrer) raise('REFERRAL_UNKNOWN');
+        const referrals = table('referrals');
+        if (referrals.some(r => r.referee_id === uid)) raise('REFERRAL_ALREADY');
+        if (time(accountOf(uid)?.created_at) < Date.now() - referralSetting('claim_window_hours', 24) * 3600000) raise('REFERRAL_TOO_LATE');
+        if (referrals.some(r => r.referee_id === referrerId && r.referrer_id === uid)) raise('REFERRAL_LOOP');
+        const cap = referralSetting('inviter_daily_cap', 10);
+        if (referrals.filter(r => r.referrer_id === referrerId && time(r.created_at) > Date.now() - 86400000).length >= cap) {
+            raise(`REFERRAL_DAILY_CAP:${cap}`);
+        }
+
+        const referral = { referee_id: uid, referrer_id: referrerId, paid_levels: [], welcome_paid: false, created_at: nowIso() };
+        referrals.push(referral);
+        referralSettle(uid);
+        const reward = table('referral_rewards').find(r => r.level === 1)?.referee_reward || {};
+        return { referrer_username: referrer.username, reward, held: !referral.welcome_paid };
+    });
+}
+
+export function fetchReferrals() {
+    return write(() => {
+        const uid = authUid();
+        const mine = table('referrals').filter(r => r.referrer_id === uid);
+        mine.forEach(r => referralSettle(r.referee_id));
+        return {
+            friends: mine
+                .filter(r => profileOf(r.referee_id))
+                .sort(byNewest('created_at'))
+                .map(r => {
+                    const profile = profileOf(r.referee_id);
+                    return {
+                        id: profile.id,
+                        username: profile.username,
+                        level: profile.level || 1,
+                        joined_at: r.created_at,
+                        paid_levels: r.paid_levels,
+                        is_guest: !!accountOf(r.referee_id)?.is_anonymous
+                    };
+                }),
+            rewards: [...table('referral_rewards')].sort((a, b) => a.level - b.level)
+        };
+    });
+}
+
+// =============================================================================
+// SERVER REWARDS (sql/016)
+// =============================================================================
+
+function rewardSetting(key, fallback) {
+    const row = table('reward_config').find(r => r.key === key);
+    return row ? Number(row.value) : fallback;
+}
+
+// Port of _reward_period: '' once, the UTC day or the ISO week
+function rewardPeriod(period) {
+    const now = new Date();
+    if (period === 'daily') return now.toISOString().slice(0, 10);
+    if (period !== 'weekly') return '';
+    const thursday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+    const week = Math.ceil(((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Port of _reward_claim: false when the player already has this claim
+function rewardClaim(playerId, source, ref, period) {
+    const claims = table('reward_claims');
+    if (claims.some(c => c.player_id === playerId && c.source === source && c.ref === String(ref) && c.period === period)) return false;
+    claims.push({ player_id: playerId, source, ref: String(ref), period, created_at: nowIso() });
+    return true;
+}
+
+function catalogRow(source, ref) {
+    return table('reward_catalog').find(r => r.source === source && r.ref === ref) || raise('REWARD_UNKNOWN');
+}
+
+// Port of _task_progress_add: counts toward the progress tasks of this type,
+// starting over when the task's day or week changes
+function taskProgressAdd(playerId, type, amount, itemName) {
+    const profile = profileOf(playerId);
+    if (!profile) return {};
+    const columns = {
+        daily_tasks_progress: profile.daily_tasks_progress || {},
+        weekly_tasks_progress: profile.weekly_tasks_progress || {}
+    };
+    table('reward_catalog')
+        .filter(r => r.source === 'task' && r.condition?.check === 'progress' && r.condition.type === type)
+        .filter(r => r.condition.item == null || r.condition.item === itemName)
+        .forEach(task => {
+            const period = rewardPeriod(task.period);
+            const column = task.condition.column;
+            const progress = columns[column]?.period === period ? columns[column] : { period };
+            columns[column] = { ...progress, [task.ref]: Math.min(task.target, (Number(progress[task.ref]) || 0) + amount) };
+        });
+    Object.assign(profile, columns);
+    return columns;
+}
+
+function rewardPlayer() {
+    const player = authUid();
+    const profile = profileOf(player);
+    if (!profile) raise('LEDGER_NO_PROFILE');
+    return { player, profile };
+}
+
+const pruned = amounts => Object.fromEntries(Object.entries(amounts).filter(([, value]) => value != null));
+
+function mintCard(player, cardId, powerScore = 10, isLocked = false) {
+    const card = {
+        instance_id: crypto.randomUUID(),
+        player_id: player,
+        card_id: cardId,
+        level: 1,
+        power_score: powerScore,
+        is_locked: isLocked,
+        acquired_at: nowIso()
+    };
+    table('player_cards').push(card);
+    return playerCardRow(card);
+}
+
+// Port of _cards_draw: random cards, never the Soul Card
+function cardsDraw(player, count) {
+    const pool = table('cards').filter(c => c.id !== 9999);
+    return Array.from({ length: Math.max(count || 1, 1) }, () => mintCard(player, pool[Math.floor(Math.random() * pool.length)].id));
+}
+
+export function taskClaim(taskId) {
+    return write(() => {
+        const { player, profile } = rewardPlayer();
+        const task = catalogRow('task', taskId);
+        const { check, sections = [], column } = task.condition;
+        const period = rewardPeriod(task.period);
+        const done = check === 'ucp'
+            ? table('player_protocol_data').some(r => r.player_id === player && (!sections.length || sections.includes(r.section_key)))
+            : check === 'progress'
+                ? profile[column]?.period === period && (Number(profile[column][taskId]) || 0) >= task.target
+                : check === 'kv'
+                    ? (table('kv_game_progress').find(p => p.player_id === player)?.current_kv_level || 1) - 1 >= task.target
+                    : true;
+        if (!done) raise('REWARD_NOT_READY');
+        if (!rewardClaim(player, 'task', taskId, period)) raise('REWARD_ALREADY_CLAIMED');
+
+        const claimedColumn = `${task.period}_tasks_claimed`;
+        const claimed = profile[claimedColumn]?.period === period ? profile[claimedColumn] : { period };
+        let changes;
+        if (check === 'ucp') changes = { [`${taskId}_claimed`]: true };
+        else if (check === 'kv') changes = { kv_milestones_claimed: [...(profile.kv_milestones_claimed || []), task.target] };
+        else if (task.period === 'daily') {
+            changes = {
+                daily_tasks_claimed: { ...claimed, [taskId]: true },
+                daily_track_progress: (profile.daily_track_progress || 0) + 1
+            };
+        } else if (task.period === 'weekly') {
+            changes = {
+                weekly_tasks_claimed: { ...claimed, [taskId]: true },
+                weekly_track_progress: (profile.weekly_track_progress || 0) + 1
+            };
+        } else changes = { social_tasks_claimed: { ...(profile.social_tasks_claimed || {}), [taskId]: true } };
+        Object.assign(profile, changes);
+
+        const balances = ledgerApplyRow(player, task.rewards, 'TASK_REWARD', 'task', taskId);
+        return { reward: task.rewards, profile: { ...balances, ...changes } };
+    });
+}
+
+export function dailyQuestClaim(questId) {
+    return write(() => {
+        const { player } = rewardPlayer();
+        const quest = catalogRow('daily_quest', questId);
+        if (!rewardClaim(player, 'daily_quest', questId, rewardPeriod(quest.period))) raise('REWARD_ALREADY_CLAIMED');
+        return { reward: quest.rewards, profile: ledgerApplyRow(player, quest.rewards, 'DAILY_QUEST', 'daily_quest', questId) };
+    });
+}
+
+export function starterPackClaim() {
+    return write(() => {
+        const { player } = rewardPlayer();
+        const pack = catalogRow('starter_pack', 'default');
+        if (!rewardClaim(player, 'starter_pack', 'default', '')) raise('REWARD_ALREADY_CLAIMED');
+        return { reward: pack.rewards, profile: ledgerApplyRow(player, pack.rewards, 'STARTER_PACK') };
+    });
+}
+
+export function contractComplete(playerContractId) {
+    return write(() => {
+        const { player, profile } = rewardPlayer();
+        const entry = table('player_contracts').find(pc => sameId(pc.id, playerContractId));
+        if (!entry || entry.player_id !== player) raise('CONTRACT_NOT_FOUND');
+        if (entry.status !== 'active') raise('CONTRACT_NOT_ACTIVE');
+        if (time(entry.accepted_at) > Date.now() - rewardSetting('contract_cooldown_seconds', 60) * 1000) raise('CONTRACT_COOLDOWN');
+        const contract = table('contracts').find(c => c.id === entry.contract_id);
+
+        const inventory = table('contract_requirements').filter(r => r.contract_id === entry.contract_id).map(r => {
+            const row = table('player_inventory').find(i => i.player_id === player && sameId(i.item_id, r.item_id));
+            if (!row || Number(row.quantity) < r.quantity) raise('CONTRACT_MISSING_ITEMS');
+            row.quantity = Number(row.quantity) - r.quantity;
+            return { item_id: row.item_id, quantity: row.quantity };
+        });
+
+        entry.status = 'completed';
+        const count = table('player_contracts').filter(pc => pc.player_id === player && pc.status === 'completed').length;
+        profile.completed_contracts_count = count;
+
+        const reward = pruned({ noub: contract.reward_score, prestige: contract.reward_prestige });
+        let balances = ledgerApplyRow(player, reward, 'CONTRACT_REWARD', 'player_contract', String(entry.id));
+        let bonus = {};
+        const every = rewardSetting('contract_bonus_every', 10);
+        if (every > 0 && count % every === 0 && rewardClaim(player, 'contract_bonus', count, '')) {
+            bonus = { noub: rewardSetting('contract_bonus_noub', 500) };
+            balances = ledgerApplyRow(player, bonus, 'CONTRACT_BONUS', 'contract_milestone', String(count));
+        }
+        const xp = xpApply(player, rewardSetting('xp_contract', 10));
+        const tasks = taskProgressAdd(player, 'contract_complete', 1, null);
+        return {
+            reward,
+            bonus,
+            leveled_up: xp.leveled_up,
+            profile: { ...balances, ...xp.profile, ...tasks, completed_contracts_count: count },
+            inventory
+        };
+    });
+}
+
+export function albumClaim(albumId) {
+    return write(() => {
+        const { player } = rewardPlayer();
+        const album = table('master_albums').find(a => sameId(a.id, albumId)) || raise('REWARD_UNKNOWN');
+        const owned = new Set(table('player_cards').filter(pc => pc.player_id === player).map(pc => pc.card_id));
+        if (!album.card_ids.every(id => owned.has(id))) raise('ALBUM_INCOMPLETE');
+        if (!rewardClaim(player, 'album', album.id, '')) raise('REWARD_ALREADY_CLAIMED');
+
+        const row = table('player_albums').find(a => a.player_id === player && a.album_id === album.id);
+        if (row) row.reward_claimed = true;
+        else table('player_albums').push({ player_id: player, album_id: album.id, reward_claimed: true });
+
+        const reward = pruned({ noub: album.reward_noub_score, prestige: album.reward_prestige, ankh: album.reward_ankh_premium });
+        return { reward, profile: ledgerApplyRow(player, reward, 'ALBUM_REWARD', 'album', String(album.id)) };
+    });
+}
+
+// Port of project_subscribe (sql/016)
+export function projectSubscribe(projectId) {
+    return write(() => {
+        const player = authUid();
+        const project = table('master_great_projects').find(m => sameId(m.id, projectId)) || raise('PROJECT_NOT_FOUND');
+        const profile = profileOf(player) || raise('LEDGER_NO_PROFILE');
+        if ((profile.level || 1) < (project.min_player_level || 1)) raise('PROJECT_LEVEL_TOO_LOW');
+        if (project.required_specialization_id != null && !table('player_specializations')
+            .some(s => s.player_id === player && sameId(s.specialization_path_id, project.required_specialization_id))) {
+            raise('PROJECT_SPECIALIZATION_REQUIRED');
+        }
+        if (table('player_great_projects').some(p => p.player_id === player && p.project_id === project.id)) raise('PROJECT_ALREADY_JOINED');
+
+        const cost = pruned({
+            noub: project.cost_noub == null ? null : -project.cost_noub,
+            prestige: project.cost_prestige == null ? null : -project.cost_prestige
+        });
+        const balances = ledgerApplyRow(player, cost, 'PROJECT_SUBSCRIBE', 'great_project', String(project.id));
+        const entry = {
+            id: nextId('player_great_projects'),
+            player_id: player,
+            project_id: project.id,
+            start_time: nowIso(),
+            status: 'active',
+            progress: {}
+        };
+        table('player_great_projects').push(entry);
+        return { project: { ...entry }, profile: balances };
+    });
+}
+
+// Port of project_deliver (sql/016)
+export function projectDeliver(playerProjectId, itemId, quantity) {
+    return write(() => {
+        const player = authUid();
+        const entry = table('player_great_projects').find(p => sameId(p.id, playerProjectId));
+        if (!entry || entry.player_id !== player) raise('PROJECT_NOT_FOUND');
+        if (entry.status !== 'active') raise('PROJECT_NOT_ACTIVE');
+
+        const project = table('master_great_projects').find(m => m.id === entry.project_id);
+        const needed = project?.requirements?.item_requirements?.find(r => sameId(r.item_id, itemId))?.quantity;
+        if (needed == null) raise('PROJECT_ITEM_NOT_NEEDED');
+        const delivered = Number(entry.progress?.[itemId]) || 0;
+        if (!Number.isInteger(quantity) || quantity < 1 || delivered + quantity > needed) {
+            raise(`PROJECT_DELIVERY_TOO_LARGE:${Math.max(needed - delivered, 0)}`);
+        }
+
+        const row = table('player_inventory').find(i => i.player_id === player && sameId(i.item_id, itemId));
+        if (!row || Number(row.quantity) < quantity) raise('PROJECT_MISSING_ITEMS');
+        row.quantity = Number(row.quantity) - quantity;
+
+        entry.progress = { ...(entry.progress || {}), [String(itemId)]: delivered + quantity };
+        return { progress: { ...entry.progress }, inventory: [{ item_id: row.item_id, quantity: row.quantity }] };
+    });
+}
+
+export function projectComplete(playerProjectId) {
+    return write(() => {
+        const { player } = rewardPlayer();
+        const entry = table('player_great_projects').find(p => sameId(p.id, playerProjectId));
+        if (!entry || entry.player_id !== player) raise('PROJECT_NOT_FOUND');
+        if (entry.status !== 'active') raise('PROJECT_NOT_ACTIVE');
+        const project = table('master_great_projects').find(m => m.id === entry.project_id);
+        const requirements = project?.requirements?.item_requirements;
+        if (!requirements || requirements.some(r => (Number(entry.progress?.[r.item_id]) || 0) < r.quantity)) raise('PROJECT_INCOMPLETE');
+
+        entry.status = 'completed';
+        const reward = project.rewards || {};
+        const balances = ledgerApplyRow(player, reward, 'PROJECT_REWARD', 'player_great_project', String(entry.id));
+        const xp = xpApply(player, rewardSetting('xp_project', 500));
+        return { reward, leveled_up: xp.leveled_up, profile: { ...balances, ...xp.profile } };
+    });
+}
+
+export function wheelSpin() {
+    return write(() => {
+        const { player } = rewardPlayer();
+        let balances = ledgerApplyRow(player, { tickets: -rewardSetting('wheel_spin_cost', 1) }, 'WHEEL_SPIN');
+
+        const prizes = table('slot_rewards').filter(r => r.weight > 0);
+        if (!prizes.length) raise('REWARD_UNKNOWN');
+        let roll = Math.random() * prizes.reduce((sum, r) => sum + r.weight, 0);
+        const prize = prizes.find(r => (roll -= r.weight) < 0) || prizes[prizes.length - 1];
+
+        let reward = {};
+        let cards = [];
+        if (prize.reward_type === 'card_pack') {
+            cards = cardsDraw(player, Number(prize.reward_value));
+        } else {
+            reward = { [prize.reward_type]: prize.reward_value };
+            balances = ledgerApplyRow(player, reward, 'WHEEL_PRIZE', 'wheel_prize', String(prize.id));
+        }
+
+        const { id, reward_type, reward_value, label } = prize;
+        return { prize: { id, reward_type, reward_value, label }, reward, profile: balances, cards };
+    });
+}
+
+// Port of _kv_gate_config: digits, seconds and attempts of a gate
+function kvGateConfig(gate) {
+    if (gate >= 53) return { digits: 6, seconds: 160, attempts: 5 };
+    if (gate >= 41) return { digits: 5, seconds: 120, attempts: 5 };
+    if (gate >= 25) return { digits: 4, seconds: 90, attempts: 5 };
+    return { digits: 3, seconds: 70, attempts: 4 };
+}
+
+// Port of _kv_code_hints
+function kvCodeHints(code) {
+    const digits = [...code].map(Number);
+    const evens = digits.filter(d => d % 2 === 0).length;
+    return {
+        sum: digits.reduce((sum, d) => sum + d, 0),
+        product: digits.reduce((product, d) => product * d, 1),
+        evens,
+        odds: digits.length - evens
+    };
+}
+
+// Port of _kv_feedback: bulls and cows of a guess
+function kvFeedback(code, guess) {
+    const left = Array(10).fill(0);
+    const missed = [];
+    let bulls = 0;
+    [...code].forEach((digit, i) => {
+        if (digit === guess[i]) bulls++;
+        else {
+            left[digit]++;
+            missed.push(guess[i]);
+        }
+    });
+    const cows = missed.filter(digit => left[digit] > 0 && left[digit]--).length;
+    return { bulls, cows };
+}
+
+function kvSession(player) {
+    return table('kv_sessions').find(s => s.player_id === player);
+}
+
+// Port of kv_game_end's bookkeeping: the session goes, the loss is recorded
+function kvGameLost(player, session, result) {
+    removeWhere('kv_sessions', s => s.player_id === player);
+    const progress = table('kv_game_progress').find(p => p.player_id === player);
+    if (progress) progress.last_game_result = 'Loss';
+    return { result, gate: session.gate, code: session.code };
+}
+
+// Port of kv_game_start (sql/016)
+export function kvGameStart() {
+    return write(() => {
+        const player = authUid();
+        let progress = table('kv_game_progress').find(p => p.player_id === player);
+        const gate = progress?.current_kv_level || 1;
+        if (gate > 62) raise('KV_ALL_GATES_OPEN');
+        const config = kvGateConfig(gate);
+
+        const balances = ledgerApplyRow(player, { noub: -rewardSetting('kv_entry_cost', 100) }, 'KV_ENTRY', 'kv_gate', String(gate));
+        const code = Array.from({ length: config.digits }, () => Math.floor(Math.random() * 10)).join('');
+        const expiresAt = new Date(Date.now() + config.seconds * 1000).toISOString();
+
+        removeWhere('kv_sessions', s => s.player_id === player);
+        table('kv_sessions').push({
+            player_id: player,
+            gate,
+            code,
+            attempts_left: config.attempts,
+            last_digit_shown: false,
+            expires_at: expiresAt,
+            created_at: nowIso()
+        });
+        if (!progress) {
+            progress = { player_id: player, current_kv_level: 1, unlocked_levels_json: '[]' };
+            table('kv_game_progress').push(progress);
+        }
+
+        return { ...config, gate, expires_at: expiresAt, hints: kvCodeHints(code), profile: balances };
+    });
+}
+
+// Port of kv_game_guess (sql/016)
+export function kvGameGuess(guess) {
+    return write(() => {
+        const player = authUid();
+        const session = kvSession(player) || raise('KV_NO_GAME');
+        if (time(session.expires_at) <= Date.now()) return kvGameLost(player, session, 'lose_time');
+        if (typeof guess !== 'string' || !new RegExp(`^[0-9]{${session.code.length}}$`).test(guess)) {
+            raise(`KV_BAD_GUESS:${session.code.length}`);
+        }
+
+        if (guess !== session.code) {
+            if (session.attempts_left <= 1) return kvGameLost(player, session, 'lose_attempts');
+            session.attempts_left--;
+            return { ...kvFeedback(session.code, guess), result: 'miss', attempts_left: session.attempts_left };
+        }
+
+        removeWhere('kv_sessions', s => s.player_id === player);
+        const progress = table('kv_game_progress').find(p => p.player_id === player);
+        const unlocked = JSON.parse(progress.unlocked_levels_json || '[]');
+        if (!unlocked.includes(session.gate)) unlocked.push(session.gate);
+        progress.current_kv_level = Math.max(progress.current_kv_level || 1, session.gate + 1);
+        progress.unlocked_levels_json = JSON.stringify(unlocked);
+        progress.last_game_result = 'Win';
+
+        const reward = { noub: rewardSetting('kv_win_base', 500) + (session.gate - 1) * rewardSetting('kv_win_step', 50) };
+        const balances = ledgerApplyRow(player, reward, 'KV_WIN', 'kv_gate', String(session.gate));
+        const xp = xpApply(player, rewardSetting('xp_kv_win', 25));
+        return {
+            result: 'win',
+            gate: session.gate,
+            code: session.code,
+            reward,
+            leveled_up: xp.leveled_up,
+            profile: { ...balances, ...xp.profile }
+        };
+    });
+}
+
+// Port of kv_game_use_item (sql/016)
+export function kvGameUseItem(itemKey) {
+    return write(() => {
+        const player = authUid();
+        if (!['hint_scroll', 'time_amulet_45s'].includes(itemKey)) raise('KV_ITEM_UNKNOWN');
+        const session = kvSession(player);
+        if (!session || time(session.expires_at) <= Date.now()) raise('KV_NO_GAME');
+        if (itemKey === 'hint_scroll' && session.last_digit_shown) raise('KV_HINT_SHOWN');
+
+        const owned = table('game_consumables').find(c => c.player_id === player && c.item_key === itemKey && c.quantity >= 1);
+        let result;
+        if (owned) {
+            owned.quantity--;
+            result = { consumables: [{ item_key: itemKey, quantity: owned.quantity }] };
+        } else {
+            const cost = itemKey === 'hint_scroll' ? rewardSetting('kv_hint_cost_ankh', 5) : rewardSetting('kv_time_cost_ankh', 10);
+            result = { profile: ledgerApplyRow(player, { ankh: -cost }, 'KV_ITEM', 'consumable', itemKey) };
+        }
+
+        if (itemKey === 'hint_scroll') {
+            session.last_digit_shown = true;
+            return { ...result, last_digit: Number(session.code.slice(-1)) };
+        }
+        session.expires_at = new Date(time(session.expires_at) + rewardSetting('kv_extra_seconds', 45) * 1000).toISOString();
+        return { ...result, expires_at: session.expires_at };
+    });
+}
+
+// Port of kv_game_end (sql/016)
+export function kvGameEnd() {
+    return write(() => {
+        const player = authUid();
+        return kvGameLost(player, kvSession(player) || raise('KV_NO_GAME'), 'manual');
+    });
+}
+
+export function cardBurn(instanceId) {
+    return write(() => {
+        const { player } = rewardPlayer();
+        const card = playerCard(instanceId);
+        if (!card || card.player_id !== player) raise('CARD_NOT_FOUND');
+        if (card.card_id === 9999) raise('CARD_SOULBOUND');
+        if (table('player_factories').some(pf => pf.assigned_card_instance_id === instanceId)) raise('CARD_IN_USE');
+        assertNotEscrowed(instanceId);
+        removeWhere('player_cards', pc => pc.instance_id === instanceId);
+
+        const reward = table('reward_catalog').find(r => r.source === 'card_burn' && r.ref === String(card.card_id))?.rewards
+            || table('reward_catalog').find(r => r.source === 'card_burn' && r.ref === 'default')?.rewards
+            || {};
+        return { reward, profile: ledgerApplyRow(player, reward, 'CARD_BURN', 'player_card', instanceId), removedCards: [instanceId] };
+    });
+}
+
+export function cardPackOpen(packId) {
+    return write(() => {
+        const { player } = rewardPlayer();
+        const pack = table('card_packs').find(p => p.id === packId) || raise('CARD_PACK_UNKNOWN');
+        const balances = ledgerApplyRow(player, { noub: -pack.cost_noub }, 'SHOP_CARD_PACK', 'card_pack', pack.id);
+        return { profile: balances, cards: cardsDraw(player, pack.card_count) };
+    });
+}
+
+export function soulCardMint() {
+    return write(() => {
+        const { player, profile } = rewardPlayer();
+        if (!profile.dna_edu_level || !profile.dna_eve_code || profile.dna_eve_code === '00000') raise('SOUL_CARD_PROTOCOL_INCOMPLETE');
+        if (table('player_cards').some(pc => pc.player_id === player && pc.card_id === 9999)) raise('SOUL_CARD_EXISTS');
+
+        const dna = ['19781018', profile.dna_edu_level, profile.dna_lang_count, profile.dna_sport_type, profile.dna_eve_code]
+            .map(part => part ?? '').join('');
+        let n = BigInt(dna);
+        let steps = 0;
+        while (n > 1n && steps < 50000) {
+            n = n % 2n === 0n ? n / 2n : n * 3n + 1n;
+            steps++;
+        }
+
+        const card = mintCard(player, 9999, steps, true);
+        profile.soul_card_serial = dna;
+        return { power_score: steps, dna_string: dna, profile: { soul_card_serial: dna }, cards: [card] };
+    });
+}
+
+export function vaultClaim() {
+    return write(() => {
+        const { player, profile } = rewardPlayer();
+        const level = profile.idle_generator_level || 1;
+        const rate = rewardSetting('vault_base_rate_per_minute', 0.25) + (level - 1) * rewardSetting('vault_rate_per_level', 0.1);
+        const capacity = (rewardSetting('vault_base_capacity_hours', 8) + (level - 1) * rewardSetting('vault_capacity_per_level_hours', 0.5)) * 60;
+        const minutes = profile.last_claim_time ? (Date.now() - time(profile.last_claim_time)) / 60000 : capacity;
+        const amount = Math.floor(Math.min(Math.max(minutes, 0), capacity) * rate);
+        if (amount < 1) raise('VAULT_NOT_READY');
+
+        profile.last_claim_time = nowIso();
+        const balances = ledgerApplyRow(player, { noub: amount }, 'VAULT_CLAIM');
+        const xp = xpApply(player, rewardSetting('xp_vault_claim', 1));
+        return { reward: { noub: amount }, leveled_up: xp.leveled_up, profile: { ...balances, ...xp.profile, last_claim_time: profile.last_claim_time } };
+    });
+}
+
+export function vaultUpgrade() {
+    return write(() => {
+        const { player, profile } = rewardPlayer();
+        const level = profile.idle_generator_level || 1;
+        const cost = Math.floor(rewardSetting('vault_upgrade_cost_base', 1000) * rewardSetting('vault_upgrade_cost_multiplier', 1.5) ** (level - 1));
+        const balances = ledgerApplyRow(player, { noub: -cost }, 'VAULT_UPGRADE', 'vault_level', String(level + 1));
+        profile.idle_generator_level = level + 1;
+        const xp = xpApply(player, rewardSetting('xp_vault_upgrade', 50));
+        return { cost: { noub: cost }, leveled_up: xp.leveled_up, profile: { ...balances, ...xp.profile, idle_generator_level: level + 1 } };
+    });
+}
+
+export function eventClaim(eventId) {
+    return write(() => {
+        const { player } = rewardPlayer();
+        const event = table('game_events').find(e => sameId(e.id, eventId)) || raise('REWARD_UNKNOWN');
+        const today = Date.parse(nowIso().slice(0, 10));
+        const year = new Date(today).getUTCFullYear();
+        const days = Math.abs(Date.UTC(year, event.event_month - 1, event.event_day) - today) / 86400000;
+        if (days > rewardSetting('event_grace_days', 1)) raise('EVENT_NOT_TODAY');
+        if (!rewardClaim(player, 'calendar_event', event.id, String(year))) raise('REWARD_ALREADY_CLAIMED');
+
+        table('player_event_claims').push({ id: nextId('player_event_claims'), player_id: player, event_id: event.id, claimed_year: year, created_at: nowIso() });
+        const reward = { [event.reward_type.toLowerCase()]: event.reward_amount };
+        return { reward, profile: ledgerApplyRow(player, reward, 'CALENDAR_EVENT', 'calendar_event', String(event.id)) };
+    });
+}
+
+export function fetchExchangeRates() {
+    return read(() => table('exchange_rates'));
+}
+
+export function exchangeConvert(from, to, amount) {
+    return write(() => {
+        const { player } = rewardPlayer();
+        const rate = table('exchange_rates').find(r => r.from_currency === from && r.to_currency === to) || raise('EXCHANGE_PAIR_UNKNOWN');
+        const spent = Number(amount);
+        const received = Math.floor(spent * rate.rate);
+        if (!Number.isInteger(spent) || spent < rate.step || spent % rate.step !== 0 || received < 1) {
+            raise(`EXCHANGE_BAD_AMOUNT:${rate.step}`);
+        }
+        const balances = ledgerApplyRow(player, { [from]: -spent, [to]: received }, 'EXCHANGE', 'exchange_pair', `${from}_${to}`);
+        return { received, profile: balances };
+    });
+}
+
+export function tonDepositCreate(packageId, wallet) {
+    return write(() => {
+        const { player } = rewardPlayer();
+        const pack = table('ton_packages').find(p => sameId(p.id, packageId)) || raise('TON_PACKAGE_UNKNOWN');
+        if (!String(wallet || '').trim()) raise('TON_WALLET_REQUIRED');
+        const deposit = {
+            id: crypto.randomUUID(),
+            player_id: player,
+            package_id: pack.id,
+            wallet: String(wallet).trim(),
+            amount_nano: Math.round(pack.ton_amount * 1e9) + 1 + Math.floor(Math.random() * 9999),
+            ankh_amount: pack.ankh_amount,
+            status: 'pending',
+            tx_hash: null,
+            created_at: nowIso(),
+            credited_at: null
+        };
+        table('ton_deposits').push(deposit);
+        return { id: deposit.id, amount_nano: deposit.amount_nano, ankh_amount: deposit.ankh_amount };
+    });
+}
+
+// No chain to watch locally: stands in for the ton-deposit Edge Function and
+// credits as if the transfer had been found
+export function tonDepositVerify(depositId) {
+    return write(() => {
+        const deposit = table('ton_deposits').find(d => d.id === depositId);
+        if (!deposit || deposit.player_id !== authUid()) raise('TON_DEPOSIT_UNKNOWN');
+        if (deposit.status === 'credited') return { status: 'credited' };
+        Object.assign(deposit, { status: 'credited', tx_hash: `local-${deposit.id}`, credited_at: nowIso() });
+        const reward = { ankh: deposit.ankh_amount };
+        return { status: 'credited', reward, profile: ledgerApplyRow(deposit.player_id, reward, 'TON_DEPOSIT', 'ton_tx', deposit.tx_hash) };
+    });
+}
+
+export function fetchPendingTonDeposits(playerId) {
+    return read(() => table('ton_deposits').filter(d => d.player_id === playerId && d.status === 'pending').sort(byNewest('created_at')));
+}
@@ -0,0 +1,93 @@
+/*
+ * Filename: js/backends/local_db.js
+ * Version: NOUB 0.1.0 (Local Table Store)
+ * Description:
+ * In-memory tables for the local backend, persisted on the device through
+ * js/storage.js (IndexedDB, or localStorage where that is unavailable).
+ * The whole database is one object { tableName: rows[] } written back a
+ * moment after each change. transaction() gives the local RPCs the same
+ * all-or-nothing behaviour as the SQL functions: if the body throws, every
+ * table is restored to its state before the call.
+ */
+
+import { MASTER_TABLES, SEED_VERSION } from './local_seed.js';
+import { loadValue, saveValue } from '../storage.js';
+
+const STORAGE_KEY = 'local_db';
+const SAVE_DELAY_MS = 250;
+
+let tables = null;
+let loading = null;
+let saveTimer = null;
+
+// --- Persistence ---
+
+function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+        saveValue(STORAGE_KEY, tables).catch(err => console.error('Local DB save failed:', err));
+    }, SAVE_DELAY_MS);
+}
+
+// Master tables are replaced whenever the seed changes; player rows stay
+function applySeed(db) {
+    if (db._meta?.seed_version === SEED_VERSION) return;
+    for (const [name, rows] of Object.entries(MASTER_TABLES)) {
+        db[name] = structuredClone(rows);
+    }
+    db._meta = { ...(db._meta || {}), seed_version: SEED_VERSION };
+}
+
+// --- Public API ---
+
+/**
+ * Loads the database once. Every local backend call awaits this first.
+ */
+export function ready() {
+    if (!loading) {
+        loading = loadValue(STORAGE_KEY).then(stored => {
+            tables = stored || {};
+            applySeed(tables);
+            scheduleSave();
+        });
+    }
+    return loading;
+}
+
+/**
+ * Rows of a table (created empty on first use). Mutate in place inside
+ * transaction() so the change is persisted.
+ */
+export function table(name) {
+    if (!tables[name]) tables[name] = [];
+    return tables[name];
+}
+
+/**
+ * Next value of a table's serial id (bigserial columns).
+ */
+export function nextId(name) {
+    const meta = tables._meta;
+    meta.sequences = meta.sequences || {};
+    if (meta.sequences[name] == null) {
+        meta.sequences[name] = table(name).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0);
+    }
+    meta.sequences[name]++;
+    return meta.sequences[name];
+}
+
+/**
+ * Runs fn synchronously as one unit. Throwing restores every table.
+ */
+export function transaction(fn) {
+    const snapshot = structuredClone(tables);
+    try {
+        const result = fn();
+        scheduleSave();
+        return result;
+    } catch (err) {
+        tables = snapshot;
+        throw err;
+    }
+}
+
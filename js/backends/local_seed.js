@@ -0,0 +1,363 @@
+/*
+ * Filename: js/backends/local_seed.js
+ * Version: NOUB 0.1.0 (Local Backend Seed)
+ * Description:
+ * Master data for the local backend (js/backends/local.js): the read-only
+ * tables the hosted project fills by hand. Ids match the ones the screens
+ * hard-code (album card ids, starter factories 1-3, specialization factories
+ * 7-15, the Soul Card 9999, the expert names in economy.js).
+ * Bump SEED_VERSION after editing: master tables are replaced on the next
+ * load, player tables are left alone.
+ */
+
+export const SEED_VERSION = 8;
+
+const card = (id, name, rarity_level, image, power_score, description) => ({
+    id, name, rarity_level, power_score, description,
+    image_url: image ? `images/cards/${image}` : 'images/default_card.png'
+});
+
+const CARDS = [
+    // The Sacred Ennead (album 1)
+    card(1, 'Ra', 8, 'ra.png', 95, 'The sun god, first of the Ennead.'),
+    card(2, 'Shu', 4, null, 60, 'God of the air who holds up the sky.'),
+    card(3, 'Tefnut', 4, null, 60, 'Goddess of moisture and rain.'),
+    card(4, 'Geb', 4, null, 65, 'God of the earth.'),
+    card(5, 'Nut', 4, null, 65, 'Goddess of the sky, mother of the stars.'),
+    card(6, 'Osiris (Underworld)', 6, 'osiris.png', 85, 'Lord of the underworld. As an expert he shortens production.'),
+    card(7, 'Isis', 6, 'isis.png', 85, 'Great mother and mistress of magic.'),
+    card(8, 'Set', 6, 'set.png', 80, 'God of storms and the desert.'),
+    card(9, 'Nephthys', 4, null, 70, 'Protector of the dead.'),
+    // Pharaonic Rulers (album 2)
+    card(10, 'Khufu', 6, 'khufu.png', 75, 'Builder of the Great Pyramid.'),
+    card(11, 'Hatshepsut', 6, 'hatshepsut.png', 75, 'The woman who ruled as Pharaoh.'),
+    card(12, 'Ahmose', 4, 'ahmose.png', 60, 'Expelled the Hyksos and founded the New Kingdom.'),
+    card(13, 'Akhenaten', 4, 'akhenaten.png', 60, 'The heretic king of the Aten.'),
+    card(14, 'Nefertiti', 6, 'nefertiti.png', 70, 'Great Royal Wife of Akhenaten.'),
+    card(15, 'Tutankhamun', 8, 'tut.png', 90, 'The boy king of the golden mask.'),
+    card(16, 'Ramesses II', 8, 'ramesses.png', 90, 'Ramesses the Great.'),
+    card(17, 'Tiy', 2, 'tiy.png', 45, 'Queen and trusted adviser of Amenhotep III.'),
+    card(18, 'Cleopatra', 6, 'cleopatra.png', 80, 'The last active ruler of Ptolemaic Egypt.'),
+    // Mythological Creatures (album 3)
+    card(19, 'Sphinx', 4, 'sphinx.png', 55, 'Guardian with a lion\'s body.'),
+    card(20, 'Bennu Bird', 4, 'bennu.png', 50, 'The heron of rebirth.'),
+    card(21, 'Apep', 6, 'apep.png', 70, 'The serpent of chaos.'),
+    card(22, 'Ammit', 4, 'ammit.png', 55, 'Devourer of unworthy hearts.'),
+    card(23, 'Serket', 2, 'serket.png', 40, 'Scorpion goddess of healing.'),
+    card(24, 'Wadjet', 2, 'wadjet.png', 40, 'Cobra protector of Lower Egypt.'),
+    card(25, 'Sacred Scarab', 0, 'scarab.png', 25, 'Symbol of the rising sun.'),
+    card(26, 'Sobek', 2, 'sobek.png', 45, 'Crocodile god of the Nile.'),
+    card(27, 'Sekhmet', 4, 'sekhmet.png', 60, 'Lioness goddess of war.'),
+    // Temple deities and sages
+    card(28, 'Horus', 6, 'horus.png', 80, 'The falcon-headed god of kingship.'),
+    card(29, 'Anubis', 4, 'anubis.png', 65, 'Guide of souls and guardian of tombs.'),
+    card(30, 'Thoth', 4, 'thoth.png', 65, 'God of writing and wisdom.'),
+    card(31, 'Ptah (Creator)', 6, 'ptah.png', 80, 'Patron of craftsmen. As an expert he can double the output.'),
+    card(32, 'Hathor', 2, 'hathor.png', 45, 'Goddess of joy and music.'),
+    card(33, 'Maat', 2, 'maat.png', 45, 'Goddess of truth and order.'),
+    card(34, 'Imhotep', 8, null, 90, 'Architect of the Step Pyramid. As an expert he shortens production.'),
+    card(35, 'Bastet', 0, null, 25, 'Cat goddess of the home.'),
+    card(36, 'Khnum', 0, null, 25, 'Potter who shapes mankind on his wheel.'),
+    // Soul Card (minted per player, never traded)
+    card(9999, 'Soul Card', 8, 'soul_card.png', 0, 'Your unique card, forged from the protocol with Eve.')
+];
+
+const ITEMS = [
+    { id: 1, name: 'Limestone', type: 'RESOURCE', image_url: 'images/items/limestone.png', base_value: 5 },
+    { id: 2, name: 'Papyrus Reed', type: 'RESOURCE', image_url: 'images/items/papyrus_reed.png', base_value: 5 },
+    { id: 3, name: 'Nile Clay', type: 'RESOURCE', image_url: 'images/nile_clay.png', base_value: 5 },
+    { id: 4, name: 'Grain', type: 'RESOURCE', image_url: 'images/field.png', base_value: 6 },
+    { id: 5, name: 'Raw Hide', type: 'RESOURCE', image_url: 'images/default_item.png', base_value: 8 },
+    { id: 6, name: 'Limestone Block', type: 'MATERIAL', image_url: 'images/items/limestone_block.png', base_value: 20 },
+    { id: 7, name: 'Papyrus Scroll', type: 'MATERIAL', image_url: 'images/items/papyrus_scroll.png', base_value: 20 },
+    { id: 8, name: 'Clay Jar', type: 'MATERIAL', image_url: 'images/clay_jar.png', base_value: 22 },
+    { id: 9, name: 'Rations', type: 'MATERIAL', image_url: 'images/items/rations.png', base_value: 25 },
+    { id: 10, name: 'Leather', type: 'MATERIAL', image_url: 'images/items/leather.png', base_value: 30 },
+    { id: 11, name: 'Limestone Tablet', type: 'GOOD', image_url: 'images/items/limestone_tablet.png', base_value: 60 },
+    { id: 12, name: 'Inscribed Text', type: 'GOOD', image_url: 'images/text.png', base_value: 60 },
+    { id: 13, name: 'Pottery Set', type: 'GOOD', image_url: 'images/pottery.png', base_value: 70 },
+    { id: 14, name: 'Small Statue', type: 'GOOD', image_url: 'images/small_statue.png', base_value: 120 },
+    { id: 15, name: 'Pharaoh\'s Mask', type: 'GOOD', image_url: 'images/pharaoh_mask.png', base_value: 300 }
+];
+
+// base_production_time is in minutes
+const FACTORIES = [
+    { id: 1, name: 'Limestone Quarry', output_item_id: 1, base_production_time: 5, type: 'RESOURCE', image_url: 'images/quarry.png', required_level: 1, build_cost_noub: 500 },
+    { id: 2, name: 'Papyrus Field', output_item_id: 2, base_production_time: 5, type: 'RESOURCE', image_url: 'images/factories/papyrus_reeds.png', required_level: 1, build_cost_noub: 500 },
+    { id: 3, name: 'Clay Pit', output_item_id: 3, base_production_time: 5, type: 'RESOURCE', image_url: 'images/factories/clay_pit.png', required_level: 1, build_cost_noub: 500 },
+    { id: 4, name: 'Grain Farm', output_item_id: 4, base_production_time: 8, type: 'RESOURCE', image_url: 'images/field.png', required_level: 3, build_cost_noub: 800 },
+    { id: 5, name: 'Hunting Camp', output_item_id: 5, base_production_time: 10, type: 'RESOURCE', image_url: 'images/default_building.png', required_level: 5, build_cost_noub: 1200 },
+    { id: 6, name: 'Stone Cutter', output_item_id: 6, base_production_time: 15, type: 'MATERIAL', image_url: 'images/cutter.png', required_level: 2, build_cost_noub: 1000 },
+    { id: 7, name: 'Papyrus Workshop', output_item_id: 7, base_production_time: 15, type: 'MATERIAL', image_url: 'images/papyrus_workshop.png', required_level: 4, build_cost_noub: 1500 },
+    { id: 8, name: 'Pottery Wheel', output_item_id: 8, base_production_time: 20, type: 'MATERIAL', image_url: 'images/buildings/pottery_wheel.png', required_level: 6, build_cost_noub: 2000 },
+    { id: 9, name: 'Bakery', output_item_id: 9, base_production_time: 20, type: 'MATERIAL', image_url: 'images/buildings/bakery.png', required_level: 8, build_cost_noub: 2500 },
+    { id: 10, name: 'Tannery', output_item_id: 10, base_production_time: 25, type: 'MATERIAL', image_url: 'images/buildings/tannery.png', required_level: 10, build_cost_noub: 3000 },
+    { id: 11, name: 'Stone Mason Workshop', output_item_id: 11, base_production_time: 45, type: 'GOOD', image_url: 'images/stone_mason_workshop.png', required_level: 15, build_cost_noub: 5000 },
+    { id: 12, name: 'Scribe Hall', output_item_id: 12, base_production_time: 45, type: 'GOOD', image_url: 'images/scribe_hall.png', required_level: 15, build_cost_noub: 5000 },
+    { id: 13, name: 'Potter\'s Studio', output_item_id: 13, base_production_time: 60, type: 'GOOD', image_url: 'images/pottery.png', required_level: 15, build_cost_noub: 6000 },
+    { id: 14, name: 'Sculptor\'s Workshop', output_item_id: 14, base_production_time: 90, type: 'GOOD', image_url: 'images/factories/stone_carver_workshop.png', required_level: 20, build_cost_noub: 8000 },
+    { id: 15, name: 'Royal Atelier', output_item_id: 15, base_production_time: 120, type: 'GOOD', image_url: 'images/pharaoh_mask.png', required_level: 25, build_cost_noub: 12000 }
+];
+
+const FACTORY_RECIPES = [
+    [6, 1, 3], [7, 2, 3], [8, 3, 3], [9, 4, 3], [10, 5, 3],
+    [11, 6, 2], [12, 7, 2], [13, 8, 3], [14, 6, 3], [14, 10, 1], [15, 14, 1], [15, 9, 2]
+].map(([factory_id, input_item_id, input_quantity], index) => ({ id: index + 1, factory_id, input_item_id, input_quantity }));
+
+// value_by_level[n - 1] applies to an expert of level n (capped at 5)
+const FACTORY_EXPERT_EFFECTS = [
+    { card_name: 'Imhotep', effect: 'TIME_REDUCTION_PERCENT', value_by_level: [20, 25, 30, 40, 50] },
+    { card_name: 'Osiris (Underworld)', effect: 'TIME_REDUCTION_PERCENT', value_by_level: [20, 25, 30, 40, 50] },
+    { card_name: 'Ptah (Creator)', effect: 'EXTRA_RESOURCE_CHANCE', value_by_level: [15, 20, 25, 30, 35] }
+];
+
+const SPECIALIZATION_PATHS = [
+    { id: 1, name: 'Path of Ptah', description: 'The builders\' guild: papyrus, pottery and bread.', image_url: 'images/icons/path_ptah.png' },
+    { id: 2, name: 'Path of Osiris', description: 'The providers\' guild: leather, tablets and texts.', image_url: 'images/icons/path_osiris.png' },
+    { id: 3, name: 'Path of Anubis', description: 'The artisans\' guild: pottery sets, statues and masks.', image_url: 'images/icons/path_anubis.png' }
+];
+
+const CONTRACTS = [
+    { id: 1, title: 'Stones for the Causeway', description: 'The vizier needs limestone for the pyramid causeway.', reward_score: 300, reward_prestige: 2 },
+    { id: 2, title: 'Scribes\' Supplies', description: 'The House of Life is short of papyrus.', reward_score: 300, reward_prestige: 2 },
+    { id: 3, title: 'Jars for the Harvest', description: 'Store the grain before the inundation.', reward_score: 450, reward_prestige: 3 },
+    { id: 4, title: 'Workers\' Bread', description: 'Feed the builders of the mortuary temple.', reward_score: 600, reward_prestige: 4 },
+    { id: 5, title: 'Temple Foundations', description: 'Cut blocks for a new shrine to Hathor.', reward_score: 800, reward_prestige: 6 },
+    { id: 6, title: 'Royal Archive', description: 'Record the deeds of the Pharaoh.', reward_score: 1200, reward_prestige: 10 },
+    { id: 7, title: 'Offerings for Karnak', description: 'Pottery and statues for the Opet festival.', reward_score: 2000, reward_prestige: 15 },
+    { id: 8, title: 'The Golden Mask', description: 'A mask fit for a king\'s burial.', reward_score: 5000, reward_prestige: 40 }
+];
+
+const CONTRACT_REQUIREMENTS = [
+    [1, 1, 10], [2, 2, 10], [3, 8, 4], [3, 3, 10], [4, 9, 5], [5, 6, 8], [6, 7, 6], [6, 12, 2],
+    [7, 13, 2], [7, 14, 1], [8, 15, 1]
+].map(([contract_id, item_id, quantity], index) => ({ id: index + 1, contract_id, item_id, quantity }));
+
+const GREAT_PROJECTS = [
+    {
+        id: 1, name: 'Obelisk of the Sun', description: 'Raise a granite needle to Ra at Heliopolis.',
+        cost_noub: 2000, cost_prestige: 5, duration_days: 7, min_player_level: 5, required_specialization_id: null,
+        requirements: { item_requirements: [{ item_id: 6, quantity: 40 }, { item_id: 7, quantity: 10 }] },
+        rewards: { noub: 8000, prestige: 40 }
+    },
+    {
+        id: 2, name: 'Granary of Joseph', description: 'Fill the royal granaries against the lean years.',
+        cost_noub: 3000, cost_prestige: 10, duration_days: 10, min_player_level: 8, required_specialization_id: null,
+        requirements: { item_requirements: [{ item_id: 8, quantity: 30 }, { item_id: 9, quantity: 30 }] },
+        rewards: { noub: 12000, prestige: 60 }
+    },
+    {
+        id: 3, name: 'Library of Alexandria', description: 'Gather the written knowledge of the world.',
+        cost_noub: 6000, cost_prestige: 25, duration_days: 14, min_player_level: 15, required_specialization_id: 2,
+        requirements: { item_requirements: [{ item_id: 12, quantity: 25 }, { item_id: 11, quantity: 15 }] },
+        rewards: { noub: 25000, prestige: 150 }
+    },
+    {
+        id: 4, name: 'Valley Temple', description: 'A temple of statues and gold for the afterlife.',
+        cost_noub: 10000, cost_prestige: 50, duration_days: 21, min_player_level: 20, required_specialization_id: 3,
+        requirements: { item_requirements: [{ item_id: 14, quantity: 10 }, { item_id: 15, quantity: 2 }, { item_id: 13, quantity: 10 }] },
+        rewards: { noub: 50000, prestige: 300 }
+    }
+];
+
+const SLOT_REWARDS = [
+    { id: 1, reward_type: 'noub', reward_value: 100, label: 'Small NOUB Find', weight: 20 },
+    { id: 2, reward_type: 'noub', reward_value: 300, label: '300 NOUB', weight: 15 },
+    { id: 3, reward_type: 'tickets', reward_value: 2, label: '2 Tickets', weight: 12 },
+    { id: 4, reward_type: 'noub', reward_value: 50, label: 'Minor NOUB Find', weight: 20 },
+    { id: 5, reward_type: 'prestige', reward_value: 3, label: '3 Prestige', weight: 10 },
+    { id: 6, reward_type: 'noub', reward_value: 500, label: '500 NOUB', weight: 8 },
+    { id: 7, reward_type: 'ankh', reward_value: 5, label: '5 Ankh', weight: 5 },
+    { id: 8, reward_type: 'card_pack', reward_value: 1, label: '1x Papyrus Pack', weight: 5 },
+    { id: 9, reward_type: 'noub', reward_value: 750, label: 'Major NOUB Find', weight: 4 },
+    { id: 10, reward_type: 'prestige', reward_value: 50, label: '50 Prestige JACKPOT!', weight: 1 }
+];
+
+const GAME_EVENTS = [
+    { id: 1, title: 'New Year', description_lore: 'A fresh cycle of the sun begins.', event_month: 1, event_day: 1, reward_type: 'NOUB', reward_amount: 500 },
+    { id: 2, title: 'Sun Festival of Abu Simbel', description_lore: 'The sun lights the inner sanctuary of Ramesses II.', event_month: 2, event_day: 22, reward_type: 'PRESTIGE', reward_amount: 5 },
+    { id: 3, title: 'Sham El-Nessim', description_lore: 'The breeze of spring, celebrated since the Old Kingdom.', event_month: 4, event_day: 21, reward_type: 'NOUB', reward_amount: 750 },
+    { id: 4, title: 'Wafaa El-Nil', description_lore: 'The Nile floods and the fields are reborn.', event_month: 8, event_day: 15, reward_type: 'NOUB', reward_amount: 1000 },
+    { id: 5, title: 'Nayrouz', description_lore: 'The Coptic New Year, heir to the rising of Sirius.', event_month: 9, event_day: 11, reward_type: 'PRESTIGE', reward_amount: 5 },
+    { id: 6, title: 'Champollion\'s Letter', description_lore: 'The hieroglyphs speak again after fourteen centuries.', event_month: 9, event_day: 27, reward_type: 'PRESTIGE', reward_amount: 10 },
+    { id: 7, title: 'Sun Festival of Abu Simbel', description_lore: 'The second alignment of the year.', event_month: 10, event_day: 22, reward_type: 'PRESTIGE', reward_amount: 5 },
+    { id: 8, title: 'Discovery of Tutankhamun', description_lore: 'Howard Carter finds the first step to the tomb.', event_month: 11, event_day: 4, reward_type: 'NOUB', reward_amount: 1500 }
+];
+
+const MASTER_ALBUMS = [
+    { id: 1, name: 'The Sacred Ennead', card_ids: [1, 2, 3, 4, 5, 6, 7, 8, 9], reward_noub_score: 2500, reward_prestige: 50 },
+    { id: 2, name: 'Pharaonic Rulers', card_ids: [10, 11, 12, 13, 14, 15, 16, 17, 18], reward_noub_score: 4000, reward_prestige: 100 },
+    { id: 3, name: 'Mythological Creatures', card_ids: [19, 20, 21, 22, 23, 24, 25, 26, 27], reward_noub_score: 1500, reward_prestige: 30 },
+    { id: 4, name: 'Dendera Temple', card_ids: [28, 29, 30, 31, 32, 33, 34, 35, 36], reward_noub_score: 6000, reward_prestige: 50 },
+    { id: 5, name: 'Royal Arsenal', card_ids: [37, 38, 39, 40, 41, 42, 43, 44, 45], reward_noub_score: 8000, reward_prestige: 100 }
+];
+
+// Levels 2-5 for every tradeable card; rarer cards cost more
+const CARD_LEVELS = CARDS.filter(c => c.id !== 9999).flatMap(c => [2, 3, 4, 5].map(level => ({
+    id: c.id * 10 + level,
+    card_id: c.id,
+    upgrade_level: level,
+    cost_noub: (level - 1) * (250 + c.rarity_level * 100),
+    cost_prestige: level >= 4 ? level + c.rarity_level : 0,
+    cost_ankh: level === 5 && c.rarity_level >= 6 ? 5 : 0,
+    cost_item_id: level >= 3 ? 6 : null,
+    cost_item_qty: level >= 3 ? (level - 2) * 5 : 0,
+    power_increase: 5 + c.rarity_level
+})));
+
+// Same keys as the market_config rows of sql/003, 004 and 009. The account
+// age, level and card cooldown rules are relaxed so a freshly registered
+// local account can try the market right away.
+const MARKET_CONFIG = [
+    { key: 'fee_percent', value: 5 },
+    { key: 'auction_min_increment_percent', value: 5 },
+    { key: 'trade_min_account_hours', value: 0 },
+    { key: 'trade_min_level', value: 1 },
+    { key: 'trade_daily_cap', value: 20 },
+    { key: 'trade_card_cooldown_hours', value: 0 },
+    { key: 'trade_pair_flag_count', value: 3 },
+    { key: 'trade_review_window_days', value: 7 }
+];
+
+// Same rows as sql/015. The milestone hold is off so local milestones pay at once.
+const REFERRAL_CONFIG = [
+    { key: 'claim_window_hours', value: 24 },
+    { key: 'inviter_daily_cap', value: 10 },
+    { key: 'milestone_min_account_hours', value: 0 }
+];
+
+const REFERRAL_REWARDS = [
+    { level: 1, inviter_reward: { noub: 250 }, referee_reward: { noub: 500, tickets: 2 } },
+    { level: 5, inviter_reward: { noub: 1000 }, referee_reward: {} },
+    { level: 10, inviter_reward: { noub: 2500, prestige: 5 }, referee_reward: {} },
+    { level: 20, inviter_reward: { noub: 5000, prestige: 15 }, referee_reward: {} }
+];
+
+// Same rows as sql/016
+const REWARD_CONFIG = [
+    { key: 'contract_cooldown_seconds', value: 60 },
+    { key: 'contract_bonus_every', value: 10 },
+    { key: 'contract_bonus_noub', value: 500 },
+    { key: 'kv_entry_cost', value: 100 },
+    { key: 'kv_win_base', value: 500 },
+    { key: 'kv_win_step', value: 50 },
+    { key: 'kv_extra_seconds', value: 45 },
+    { key: 'kv_hint_cost_ankh', value: 5 },
+    { key: 'kv_time_cost_ankh', value: 10 },
+    { key: 'wheel_spin_cost', value: 1 },
+    { key: 'vault_base_rate_per_minute', value: 0.25 },
+    { key: 'vault_rate_per_level', value: 0.1 },
+    { key: 'vault_base_capacity_hours', value: 8 },
+    { key: 'vault_capacity_per_level_hours', value: 0.5 },
+    { key: 'vault_upgrade_cost_base', value: 1000 },
+    { key: 'vault_upgrade_cost_multiplier', value: 1.5 },
+    { key: 'event_grace_days', value: 1 },
+    { key: 'xp_contract', value: 10 },
+    { key: 'xp_project', value: 500 },
+    { key: 'xp_kv_win', value: 25 },
+    { key: 'xp_vault_claim', value: 1 },
+    { key: 'xp_vault_upgrade', value: 50 },
+    { key: 'exchange_spread', value: 0.1 }
+];
+
+const progress = (column, type, item) => ({ check: 'progress', column, type, ...(item && { item }) });
+const REWARD_CATALOG = [
+    ['task', 'ucp_task_1', { noub: 500, prestige: 10 }, 0, 'once', { check: 'ucp', sections: [] }],
+    ['task', 'ucp_task_2', { noub: 1500, prestige: 75, tickets: 5 }, 0, 'once', { check: 'ucp', sections: ['eve_general'] }],
+    ['task', 'ucp_task_3', { noub: 5000, prestige: 250, ankh: 5 }, 0, 'once', { check: 'ucp', sections: ['hypatia_philosophical', 'hypatia_scaled'] }],
+    ['task', 'join_chat', { noub: 1000 }, 0, 'once', {}],
+    ['task', 'join_channel', { noub: 1000 }, 0, 'once', {}],
+    ['task', 'daily_claim_3', { noub: 250 }, 3, 'daily', progress('daily_tasks_progress', 'production_claim')],
+    ['task', 'daily_contract_1', { prestige: 20 }, 1, 'daily', progress('daily_tasks_progress', 'contract_complete')],
+    ['task', 'daily_assign_1', { tickets: 2 }, 1, 'daily', progress('daily_tasks_progress', 'assign_expert')],
+    ['task', 'weekly_produce_10', { noub: 2000 }, 10, 'weekly', progress('weekly_tasks_progress', 'production_claim', 'Clay Jar')],
+    ['task', 'weekly_contracts_5', { ankh: 5 }, 5, 'weekly', progress('weekly_tasks_progress', 'contract_complete')],
+    ['task', 'weekly_upgrade_3', { prestige: 100 }, 3, 'weekly', progress('weekly_tasks_progress', 'upgrade_building')],
+    ['task', 'kv_10', { noub: 5000, prestige: 50 }, 10, 'once', { check: 'kv' }],
+    ['task', 'kv_20', { tickets: 20, ankh: 5 }, 20, 'once', { check: 'kv' }],
+    ['task', 'kv_30', { noub: 15000, prestige: 150 }, 30, 'once', { check: 'kv' }],
+    ['task', 'kv_40', { tickets: 50, ankh: 15 }, 40, 'once', { check: 'kv' }],
+    ['task', 'kv_50', { noub: 50000, prestige: 500 }, 50, 'once', { check: 'kv' }],
+    ['task', 'kv_62', { ankh: 100 }, 62, 'once', { check: 'kv' }],
+    ['daily_quest', 'visit_shop', { noub: 50 }, 1, 'daily', {}],
+    ['daily_quest', 'spin_slot', { noub: 150 }, 1, 'daily', {}],
+    ['daily_quest', 'gather_stone', { noub: 75 }, 10, 'daily', {}],
+    ['starter_pack', 'default', { noub: 2000, prestige: 10, tickets: 5 }, 0, 'once', {}],
+    ['card_burn', 'default', { noub: 100 }, 0, 'once', {}]
+].map(([source, ref, rewards, target, period, condition]) => ({ source, ref, rewards, target, period, condition }));
+
+const CURRENCY_VALUES = [
+    { currency: 'noub', noub_value: 1 },
+    { currency: 'prestige', noub_value: 1000 },
+    { currency: 'tickets', noub_value: 100 },
+    { currency: 'ankh', noub_value: 500 }
+];
+
+// Same derivation as sql/016: value(from) / value(to) less exchange_spread,
+// truncated to 6 places; `step` is the smallest lot that buys one unit
+const EXCHANGE_SPREAD = REWARD_CONFIG.find(c => c.key === 'exchange_spread').value;
+const currencyValue = (currency) => CURRENCY_VALUES.find(c => c.currency === currency).noub_value;
+
+const EXCHANGE_RATES = [
+    ['prestige', 'noub'], ['tickets', 'noub'], ['ankh', 'noub'],
+    ['noub', 'prestige'], ['noub', 'tickets'], ['noub', 'ankh'],
+    ['ankh', 'prestige'], ['prestige', 'ankh']
+].map(([from_currency, to_currency]) => {
+    const rate = Math.floor(currencyValue(from_currency) * (1 - EXCHANGE_SPREAD) * 1e6 / currencyValue(to_currency) + 1e-9) / 1e6;
+    return { from_currency, to_currency, rate, step: Math.ceil(1 / rate - 1e-9) };
+});
+
+// Port of guard_exchange_cycles (sql/016): no loop of pairs may pay out
+// more than it took in.
+(function checkExchangeCycles() {
+    const walk = (start, node, product, path) => EXCHANGE_RATES
+        .filter(r => r.from_currency === node)
+        .forEach(r => {
+            if (r.to_currency === start) {
+                if (product * r.rate >= 1) throw new Error('EXCHANGE_PROFITABLE_CYCLE');
+            } else if (!path.includes(r.to_currency)) {
+                walk(start, r.to_currency, product * r.rate, [...path, r.to_currency]);
+            }
+        });
+    CURRENCY_VALUES.forEach(({ currency }) => walk(currency, currency, 1, [currency]));
+})();
+
+const TON_PACKAGES = [
+    { id: 1, name: 'Minor Ankh Deposit', ton_amount: 0.00015, ankh_amount: 100 },
+    { id: 2, name: 'Major Ankh Deposit', ton_amount: 0.00015, ankh_amount: 500 },
+    { id: 3, name: 'Pharaoh\'s Treasury', ton_amount: 0.00015, ankh_amount: 1500 }
+];
+
+const CARD_PACKS = [
+    { id: 'papyrus', name: 'Papyrus Scroll Pack', cost_noub: 250, card_count: 1 },
+    { id: 'canopic', name: 'Canopic Jar Pack', cost_noub: 1000, card_count: 3 },
+    { id: 'sarcophagus', name: 'Sarcophagus Crate', cost_noub: 5000, card_count: 5 }
+];
+
+/**
+ * Table name -> rows. Every table here is overwritten when SEED_VERSION changes.
+ */
+export const MASTER_TABLES = {
+    cards: CARDS,
+    items: ITEMS,
+    factories: FACTORIES,
+    factory_recipes: FACTORY_RECIPES,
+    factory_expert_effects: FACTORY_EXPERT_EFFECTS,
+    specialization_paths: SPECIALIZATION_PATHS,
+    contracts: CONTRACTS,
+    contract_requirements: CONTRACT_REQUIREMENTS,
+    master_great_projects: GREAT_PROJECTS,
+    slot_rewards: SLOT_REWARDS,
+    game_events: GAME_EVENTS,
+    master_albums: MASTER_ALBUMS,
+    card_levels: CARD_LEVELS,
+    market_config: MARKET_CONFIG,
+    referral_config: REFERRAL_CONFIG,
+    referral_rewards: REFERRAL_REWARDS,
+    reward_config: REWARD_CONFIG,
+    reward_catalog: REWARD_CATALOG,
+    currency_values: CURRENCY_VALUES,
+    exchange_rates: EXCHANGE_RATES,
+    ton_packages: TON_PACKAGES,
+    card_packs: CARD_PACKS
+};
@@ -0,0 +1,766 @@
+/*
+ * Filename: js/backends/supabase.js
+ * Version: NOUB 0.1.0 (Supabase Backend)
+ * Description:
+ * The hosted backend: every query and RPC the game sends to Supabase.
+ * Results are returned exactly as supabase-js gives them ({ data, error });
+ * error translation, guards and state sync stay in api.js so both backends
+ * share them. The local stand-in (js/backends/local.js) mirrors this file
+ * method for method.
+ */
+
+import { supabaseClient } from '../config.js';
+
+// =============================================================================
+// SELECT SHAPES
+// =============================================================================
+
+const INVENTORY_COLUMNS = `player_id, quantity, item_id, items (id, name, type, image_url, base_value)`;
+
+const PLAYER_CARD_COLUMNS = `
+    instance_id, player_id, level, card_id, power_score, is_locked,
+    cards (id, name, rarity_level, image_url, power_score, description)
+`;
+
+// CRITICAL: Uses explicit relationships to avoid ambiguous joins.
+const PLAYER_FACTORY_COLUMNS = `
+    id, player_id, level, production_start_time, assigned_card_instance_id,
+    factories!inner (
+        id, name, output_item_id, base_production_time, type, image_url,
+        items!factories_output_item_id_fkey (id, name, image_url, type),
+        factory_recipes (input_quantity, items (id, name, image_url))
+    ),
+    player_cards (
+        instance_id, level, cards (name, image_url, rarity_level)
+    )
+`;
+
+const SWAP_REQUEST_SELECT = `*,
+    offer_card:item_id_offer(name, image_url, rarity_level),
+    request_card:item_id_request(name, image_url, rarity_level),
+    assets:swap_request_assets(side, asset_type, instance_id, card_id, item_id, currency, quantity,
+        card:card_id(name, image_url, rarity_level), item:item_id(name, image_url)),
+    offerer:player_id_offering(username),
+    recipient:recipient_id(username)`;
+
+const AUCTION_SELECT = '*, card:card_id(name, image_url, rarity_level)';
+
+// =============================================================================
+// AUTH & REALTIME
+// =============================================================================
+
+export async function signIn(email, password) {
+    return await supabaseClient.auth.signInWithPassword({ email, password });
+}
+
+export async function signUp(email, password, username) {
+    return await supabaseClient.auth.signUp({
+        email,
+        password,
+        options: { data: { username } }
+    });
+}
+
+export async function signOut() {
+    return await supabaseClient.auth.signOut();
+}
+
+export async function getSession() {
+    return await supabaseClient.auth.getSession();
+}
+
+// Email links lead back to this page. Opened from Telegram, they land in the
+// phone's browser rather than the Mini App.
+function authRedirectUrl() {
+    return `${window.location.origin}${window.location.pathname}`;
+}
+
+export async function sendMagicLink(email) {
+    return await supabaseClient.auth.signInWithOtp({
+        email,
+        options: { shouldCreateUser: false, emailRedirectTo: authRedirectUrl() }
+    });
+}
+
+export async function requestPasswordReset(email) {
+    return await supabaseClient.auth.resetPasswordForEmail(email, { redirectTo: authRedirectUrl() });
+}
+
+export async function updatePassword(password) {
+    return await supabaseClient.auth.updateUser({ password });
+}
+
+export async function signInAsGuest(username) {
+    return await supabaseClient.auth.signInAnonymously({ options: { data: { username } } });
+}
+
+// The password applies at once; the email joins the account once confirmed
+export async function upgradeGuest(email, password) {
+    return await supabaseClient.auth.updateUser({ email, password });
+}
+
+// Fresh from the server, unlike the cached session user
+export async function getUser() {
+    return await supabaseClient.auth.getUser();
+}
+
+export function onAuthChange(callback) {
+    // supabase-js holds its auth lock while listeners run; deferring lets
+    // the callback call the API without deadlocking
+    const { data } = supabaseClient.auth.onAuthStateChange((event, session) => {
+        setTimeout(() => callback(event, session), 0);
+    });
+    return () => data.subscription.unsubscribe();
+}
+
+// The Edge Functions (telegram-auth, ton-deposit) answer failures with { error: CODE }
+async function invokeFunction(name, body) {
+    const { data, error } = await supabaseClient.functions.invoke(name, { body });
+    if (!error) return { data, error: null };
+    const payload = await error.context?.json?.().catch(() => null);
+    return { data: null, error: { message: payload?.error || error.message, status: error.context?.status } };
+}
+
+export async function signInWithTelegram(initData) {
+    const { data, error } = await invokeFunction('telegram-auth', { initData });
+    if (error) return { data: { user: null, session: null }, error };
+    const result = await supabaseClient.auth.setSession(data.session);
+    if (result.error) return result;
+    return { data: { ...result.data, created: data.created }, error: null };
+}
+
+export async function linkTelegram(initData) {
+    return await invokeFunction('telegram-auth', { initData, mode: 'link' });
+}
+
+export async function fetchTelegramIdentity(playerId) {
+    return await supabaseClient
+        .from('telegram_identities')
+        .select('telegram_id, username, linked_at')
+        .eq('player_id', playerId)
+        .maybeSingle();
+}
+
+export function openChannel(name) {
+    return supabaseClient.channel(name);
+}
+
+export function closeChannel(channel) {
+    supabaseClient.removeChannel(channel);
+}
+
+// =============================================================================
+// PROFILE & ACTIVITY
+// =============================================================================
+
+export async function fetchProfile(userId) {
+    return await supabaseClient.from('profiles').select('*').eq('id', userId).single();
+}
+
+// Inserts are revoked: profile_create (sql/016) makes the row from the defaults
+export async function createProfile(username, avatarUrl = null) {
+    return await supabaseClient.rpc('profile_create', { p_username: username, p_avatar_url: avatarUrl });
+}
+
+export async function updateProfile(playerId, changes) {
+    return await supabaseClient
+        .from('profiles')
+        .update(changes)
+        .eq('id', playerId)
+        .select(['id', ...Object.keys(changes)].join(', ')); // only what we wrote, never stale balances
+}
+
+export async function insertActivity(row) {
+    return await supabaseClient.from('activity_log').insert(row);
+}
+
+export async function fetchActivityLog(playerId) {
+    return await supabaseClient
+        .from('activity_log')
+        .select('*')
+        .eq('player_id', playerId)
+        .order('created_at', { ascending: false })
+        .limit(50);
+}
+
+export async function fetchIdleDropState(playerId) {
+    return await supabaseClient.from('profiles').select('last_claim_time, idle_generator_level, noub_score').eq('id', playerId).single();
+}
+
+export async function getDailySpinTickets(playerId) {
+    return await supabaseClient.from('profiles').select('spin_tickets, last_daily_spin').eq('id', playerId).single();
+}
+
+// =============================================================================
+// INVENTORY & CARDS
+// =============================================================================
+
+export async function fetchPlayerInventory(playerId) {
+    return await supabaseClient.from('player_inventory').select(INVENTORY_COLUMNS).eq('player_id', playerId);
+}
+
+// Spending only: player_inventory_guard_writes (sql/016) refuses inserts and increases
+export async function updateInventory(playerId, itemId, quantity) {
+    return await supabaseClient
+        .from('player_inventory')
+        .update({ quantity })
+        .eq('player_id', playerId)
+        .eq('item_id', itemId)
+        .select(INVENTORY_COLUMNS);
+}
+
+export async function fetchPlayerCards(playerId) {
+    return await supabaseClient.from('player_cards').select(PLAYER_CARD_COLUMNS).eq('player_id', playerId);
+}
+
+export async function fetchAllMasterCards() {
+    return await supabaseClient.from('cards').select('*');
+}
+
+export async function updatePlayerCard(instanceId, changes) {
+    return await supabaseClient
+        .from('player_cards')
+        .update(changes)
+        .eq('instance_id', instanceId)
+        .select(PLAYER_CARD_COLUMNS);
+}
+
+export async function deletePlayerCard(instanceId) {
+    return await supabaseClient
+        .from('player_cards')
+        .delete()
+        .eq('instance_id', instanceId)
+        .select('instance_id, player_id');
+}
+
+export async function fetchCardUpgradeRequirements(cardId, nextLevel) {
+    return await supabaseClient
+        .from('card_levels')
+        .select(`*, items:cost_item_id (name)`)
+        .eq('card_id', cardId)
+        .eq('upgrade_level', nextLevel)
+        .single();
+}
+
+// =============================================================================
+// FACTORIES & SPECIALIZATIONS
+// =============================================================================
+
+export async function fetchAllMasterFactories() {
+    // Explicit join on items!factories_output_item_id_fkey to avoid PGRST201 error
+    return await supabaseClient
+        .from('factories')
+        .select(`
+            id, name, output_item_id, base_production_time, type, image_url, required_level, build_cost_noub,
+            items!factories_output_item_id_fkey (id, name, type, image_url, base_value)
+        `)
+        .order('required_level', { ascending: true });
+}
+
+export async function fetchPlayerFactories(playerId) {
+    return await supabaseClient.from('player_factories').select(PLAYER_FACTORY_COLUMNS).eq('player_id', playerId);
+}
+
+export async function insertPlayerFactory(playerId, factoryId) {
+    return await supabaseClient.from('player_factories').insert({
+        player_id: playerId,
+        factory_id: factoryId,
+        level: 1
+    }).select(PLAYER_FACTORY_COLUMNS);
+}
+
+/**
+ * Returns only the written columns, except when the expert changes: then the
+ * full row comes back so the joined card is current.
+ */
+export async function updatePlayerFactory(playerFactoryId, changes) {
+    const columns = 'assigned_card_instance_id' in changes
+        ? PLAYER_FACTORY_COLUMNS
+        : ['id', 'player_id', ...Object.keys(changes)].join(', ');
+    return await supabaseClient.from('player_factories').update(changes).eq('id', playerFactoryId).select(columns);
+}
+
+export async function startFactory(playerFactoryId) {
+    return await supabaseClient.rpc('factory_start', { p_player_factory_id: playerFactoryId });
+}
+
+export async function claimFactory(playerFactoryId) {
+    return await supabaseClient.rpc('factory_claim', { p_player_factory_id: playerFactoryId });
+}
+
+export async function upgradeFactory(playerFactoryId) {
+    return await supabaseClient.rpc('factory_upgrade', { p_player_factory_id: playerFactoryId });
+}
+
+export async function fetchAllItems() {
+    return await supabaseClient.from('items').select('id, name, image_url');
+}
+
+export async function fetchSpecializationPaths() {
+    return await supabaseClient.from('specialization_paths').select('*');
+}
+
+export async function fetchPlayerSpecializations(playerId) {
+    return await supabaseClient
+        .from('player_specializations')
+        .select('*, specialization_paths(*)')
+        .eq('player_id', playerId);
+}
+
+export async function insertPlayerSpecialization(playerId, pathId) {
+    return await supabaseClient
+        .from('player_specializations')
+        .insert({ player_id: playerId, specialization_path_id: pathId, is_active: true });
+}
+
+// =============================================================================
+// CONTRACTS
+// =============================================================================
+
+export async function fetchAvailableContracts(playerId) {
+    const { data: playerContractIds } = await supabaseClient.from('player_contracts').select('contract_id').eq('player_id', playerId);
+    const acceptedIds = playerContractIds ? playerContractIds.map(c => c.contract_id) : [];
+
+    let query = supabaseClient.from('contracts').select('*');
+    if (acceptedIds.length > 0) {
+        query = query.not('id', 'in', `(${acceptedIds.join(',')})`);
+    }
+    return await query;
+}
+
+export async function fetchPlayerContracts(playerId) {
+    return await supabaseClient
+        .from('player_contracts')
+        .select(`id, status, accepted_at, contracts (*)`)
+        .eq('player_id', playerId)
+        .eq('status', 'active');
+}
+
+export async function fetchContractWithRequirements(contractId) {
+    return await supabaseClient
+        .from('contracts')
+        .select(`*, contract_requirements (quantity, items (id, name, image_url))`)
+        .eq('id', contractId)
+        .single();
+}
+
+export async function insertPlayerContract(playerId, contractId, acceptedAt) {
+    return await supabaseClient.from('player_contracts').insert({ player_id: playerId, contract_id: contractId, accepted_at: acceptedAt });
+}
+
+export async function deleteActivePlayerContracts(playerId) {
+    return await supabaseClient.from('player_contracts').delete().eq('player_id', playerId).eq('status', 'active');
+}
+
+// =============================================================================
+// MINIGAMES & EVENTS
+// =============================================================================
+
+export async function fetchKVGameConsumables(playerId) {
+    return await supabaseClient.from('game_consumables').select('item_key, quantity').eq('player_id', playerId);
+}
+
+export async function upsertConsumable(playerId, itemKey, quantity) {
+    return await supabaseClient
+        .from('game_consumables')
+        .upsert({ player_id: playerId, item_key: itemKey, quantity })
+        .select('player_id, item_key, quantity');
+}
+
+export async function fetchKVProgress(playerId) {
+    return await supabaseClient.from('kv_game_progress').select('*').eq('player_id', playerId).single();
+}
+
+export async function insertGameHistory(row) {
+    return await supabaseClient.from('game_history').insert(row);
+}
+
+export async function fetchGameHistory(playerId) {
+    return await supabaseClient.from('game_history').select('*').eq('player_id', playerId).order('date', { ascending: false });
+}
+
+export async function fetchSlotRewards() {
+    return await supabaseClient.from('slot_rewards').select('*');
+}
+
+export async function fetchGameEvents() {
+    return await supabaseClient.from('game_events').select('*').order('event_month').order('event_day');
+}
+
+export async function fetchEventClaims(playerId) {
+    return await supabaseClient.from('player_event_claims').select('*').eq('player_id', playerId);
+}
+
+// =============================================================================
+// PROJECTS, UCP & LIBRARY
+// =============================================================================
+
+export async function fetchAllGreatProjects() {
+    return await supabaseClient.from('master_great_projects').select('*').order('min_player_level', { ascending: true });
+}
+
+export async function fetchPlayerGreatProjects(playerId) {
+    return await supabaseClient.from('player_great_projects').select(`*, master_great_projects (*)`).eq('player_id', playerId);
+}
+
+export async function upsertUCPSection(playerId, sectionKey, sectionData) {
+    return await supabaseClient.from('player_protocol_data').upsert({ player_id: playerId, section_key: sectionKey, section_data: sectionData });
+}
+
+export async function fetchUCPProtocol(playerId) {
+    return await supabaseClient.from('player_protocol_data').select('section_key, section_data').eq('player_id', playerId);
+}
+
+export async function fetchPlayerAlbums(playerId) {
+    return await supabaseClient.from('player_albums').select(`*, master_albums (*)`).eq('player_id', playerId);
+}
+
+export async function fetchPlayerLibrary(playerId) {
+    return await supabaseClient.from('player_library').select('entry_key').eq('player_id', playerId);
+}
+
+export async function upsertLibraryEntry(playerId, entryKey) {
+    return await supabaseClient.from('player_library').upsert({ player_id: playerId, entry_key: entryKey });
+}
+
+// =============================================================================
+// MARKET: CONFIG, TRADE RULES, SWAPS
+// =============================================================================
+
+export async function fetchCatalogVersions() {
+    return await supabaseClient.from('catalog_versions').select('table_name, version');
+}
+
+export async function fetchMarketConfig(key) {
+    return await supabaseClient.from('market_config').select('value').eq('key', key).maybeSingle();
+}
+
+export async function tradeCheck(instanceIds) {
+    return await supabaseClient.rpc('trade_check', { p_instance_ids: instanceIds });
+}
+
+export async function swapCreate(offerInstanceId, requestCardId, priceNoub, expiresInHours) {
+    return await supabaseClient.rpc('swap_create', {
+        p_offer_instance_id: offerInstanceId,
+        p_request_card_id: requestCardId,
+        p_price_noub: priceNoub,
+        p_expires_in_hours: expiresInHours
+    });
+}
+
+export async function swapAccept(requestId, counterInstanceId) {
+    return await supabaseClient.rpc('swap_accept', {
+        p_request_id: requestId,
+        p_counter_instance_id: counterInstanceId
+    });
+}
+
+export async function swapBundleCreate(offer, request, expiresInHours) {
+    return await supabaseClient.rpc('swap_bundle_create', {
+        p_offer: offer,
+        p_request: request,
+        p_expires_in_hours: expiresInHours
+    });
+}
+
+export async function swapBundleAccept(requestId, counterInstanceIds) {
+    return await supabaseClient.rpc('swap_bundle_accept', {
+        p_request_id: requestId,
+        p_counter_instance_ids: counterInstanceIds
+    });
+}
+
+export async function swapCancel(requestId) {
+    return await supabaseClient.rpc('swap_cancel', { p_request_id: requestId });
+}
+
+export async function swapExpireDue() {
+    return await supabaseClient.rpc('swap_expire_due');
+}
+
+export async function swapAckExpired() {
+    return await supabaseClient.rpc('swap_ack_expired');
+}
+
+export async function swapDirectCreate(recipient, offer, request, message, expiresInHours) {
+    return await supabaseClient.rpc('swap_direct_create', {
+        p_recipient: recipient,
+        p_offer: offer,
+        p_request: request,
+        p_message: message,
+        p_expires_in_hours: expiresInHours
+    });
+}
+
+export async function swapDirectCounter(requestId, offer, request, message, expiresInHours) {
+    return await supabaseClient.rpc('swap_direct_counter', {
+        p_request_id: requestId,
+        p_offer: offer,
+        p_request: request,
+        p_message: message,
+        p_expires_in_hours: expiresInHours
+    });
+}
+
+export async function swapDirectDecline(requestId, message) {
+    return await supabaseClient.rpc('swap_direct_decline', {
+        p_request_id: requestId,
+        p_message: message
+    });
+}
+
+export async function fetchSwapRequest(requestId) {
+    return await supabaseClient.from('swap_requests').select(SWAP_REQUEST_SELECT).eq('id', requestId).single();
+}
+
+export async function fetchActiveSwapRequests(playerId) {
+    // Public offers only, excluding the viewer's own (direct offers live in fetchIncomingDirectTrades)
+    return await supabaseClient
+        .from('swap_requests')
+        .select(SWAP_REQUEST_SELECT)
+        .eq('status', 'active')
+        .gt('expires_at', new Date().toISOString())
+        .is('recipient_id', null)
+        .neq('player_id_offering', playerId);
+}
+
+export async function fetchMySwapRequests(playerId) {
+    return await supabaseClient
+        .from('swap_requests')
+        .select(SWAP_REQUEST_SELECT)
+        .eq('status', 'active')
+        .eq('player_id_offering', playerId);
+}
+
+export async function fetchIncomingDirectTrades(playerId) {
+    return await supabaseClient
+        .from('swap_requests')
+        .select(SWAP_REQUEST_SELECT)
+        .eq('status', 'active')
+        .gt('expires_at', new Date().toISOString())
+        .eq('recipient_id', playerId)
+        .order('created_at', { ascending: false });
+}
+
+export async function fetchSwapRequestAssets(requestId) {
+    return await supabaseClient
+        .from('swap_request_assets')
+        .select('side, asset_type, instance_id, card_id, item_id, currency, quantity, card:card_id(name, image_url, rarity_level), item:item_id(name, image_url)')
+        .eq('request_id', requestId);
+}
+
+export async function fetchTradeThread(threadId) {
+    return await supabaseClient
+        .from('swap_negotiations')
+        .select('*, author:author_id(username)')
+        .eq('thread_id', threadId)
+        .order('created_at', { ascending: true });
+}
+
+// =============================================================================
+// CURRENCY LEDGER
+// =============================================================================
+
+export async function ledgerDebit(playerId, amounts, reason, refType, refId) {
+    return await supabaseClient.rpc('ledger_debit', {
+        p_player_id: playerId,
+        p_amounts: amounts,
+        p_reason: reason,
+        p_ref_type: refType,
+        p_ref_id: refId
+    });
+}
+
+export async function fetchLedgerEntries(playerId, limit) {
+    return await supabaseClient
+        .from('currency_ledger')
+        .select('*')
+        .eq('player_id', playerId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+}
+
+// =============================================================================
+// AUCTIONS & ANALYTICS
+// =============================================================================
+
+export async function auctionCreate(instanceId, startPrice, buyoutPrice, durationHours) {
+    return await supabaseClient.rpc('auction_create', {
+        p_instance_id: instanceId,
+        p_start_price: startPrice,
+        p_buyout_price: buyoutPrice,
+        p_duration_hours: durationHours
+    });
+}
+
+export async function auctionBid(auctionId, amount) {
+    return await supabaseClient.rpc('auction_bid', {
+        p_auction_id: auctionId,
+        p_amount: amount
+    });
+}
+
+export async function auctionCancel(auctionId) {
+    return await supabaseClient.rpc('auction_cancel', { p_auction_id: auctionId });
+}
+
+export async function auctionSettleDue() {
+    return await supabaseClient.rpc('auction_settle_due');
+}
+
+export async function fetchActiveAuctions(playerId) {
+    // Running auctions by other players, ending soonest first
+    return await supabaseClient
+        .from('auctions')
+        .select(AUCTION_SELECT)
+        .eq('status', 'active')
+        .neq('seller_id', playerId)
+        .gt('ends_at', new Date().toISOString())
+        .order('ends_at', { ascending: true });
+}
+
+export async function fetchMyAuctions(playerId) {
+    // Auctions created by the viewer, most recent first (all statuses)
+    return await supabaseClient
+        .from('auctions')
+        .select(AUCTION_SELECT)
+        .eq('seller_id', playerId)
+        .order('created_at', { ascending: false })
+        .limit(30);
+}
+
+export async function fetchMyBids(playerId) {
+    return await supabaseClient
+        .from('auction_bids')
+        .select(`amount, created_at, auction:auction_id (${AUCTION_SELECT})`)
+        .eq('bidder_id', playerId)
+        .order('created_at', { ascending: false })
+        .limit(100);
+}
+
+export async function marketCardStats(cardId, days) {
+    return await supabaseClient.rpc('market_card_stats', { p_card_id: cardId, p_days: days });
+}
+
+export async function marketOverview(days) {
+    return await supabaseClient.rpc('market_overview', { p_days: days });
+}
+
+// =============================================================================
+// REFERRALS
+// =============================================================================
+
+export async function referralClaim(referrerId) {
+    return await supabaseClient.rpc('referral_claim', { p_referrer_id: referrerId });
+}
+
+export async function fetchReferrals() {
+    return await supabaseClient.rpc('referral_list');
+}
+
+// =============================================================================
+// SERVER REWARDS
+// =============================================================================
+
+export async function taskClaim(taskId) {
+    return await supabaseClient.rpc('task_claim', { p_task_id: taskId });
+}
+
+export async function dailyQuestClaim(questId) {
+    return await supabaseClient.rpc('daily_quest_claim', { p_quest_id: questId });
+}
+
+export async function starterPackClaim() {
+    return await supabaseClient.rpc('starter_pack_claim');
+}
+
+export async function contractComplete(playerContractId) {
+    return await supabaseClient.rpc('contract_complete', { p_player_contract_id: playerContractId });
+}
+
+export async function albumClaim(albumId) {
+    return await supabaseClient.rpc('album_claim', { p_album_id: albumId });
+}
+
+export async function projectSubscribe(projectId) {
+    return await supabaseClient.rpc('project_subscribe', { p_project_id: projectId });
+}
+
+export async function projectDeliver(playerProjectId, itemId, quantity) {
+    return await supabaseClient.rpc('project_deliver', {
+        p_player_project_id: playerProjectId, p_item_id: itemId, p_quantity: quantity
+    });
+}
+
+export async function projectComplete(playerProjectId) {
+    return await supabaseClient.rpc('project_complete', { p_player_project_id: playerProjectId });
+}
+
+export async function wheelSpin() {
+    return await supabaseClient.rpc('wheel_spin');
+}
+
+export async function kvGameStart() {
+    return await supabaseClient.rpc('kv_game_start');
+}
+
+export async function kvGameGuess(guess) {
+    return await supabaseClient.rpc('kv_game_guess', { p_guess: guess });
+}
+
+export async function kvGameUseItem(itemKey) {
+    return await supabaseClient.rpc('kv_game_use_item', { p_item_key: itemKey });
+}
+
+export async function kvGameEnd() {
+    return await supabaseClient.rpc('kv_game_end');
+}
+
+export async function cardBurn(instanceId) {
+    return await supabaseClient.rpc('card_burn', { p_instance_id: instanceId });
+}
+
+export async function cardPackOpen(packId) {
+    return await supabaseClient.rpc('card_pack_open', { p_pack_id: packId });
+}
+
+export async function soulCardMint() {
+    return await supabaseClient.rpc('soul_card_mint');
+}
+
+export async function vaultClaim() {
+    return await supabaseClient.rpc('vault_claim');
+}
+
+export async function vaultUpgrade() {
+    return await supabaseClient.rpc('vault_upgrade');
+}
+
+export async function eventClaim(eventId) {
+    return await supabaseClient.rpc('event_claim', { p_event_id: eventId });
+}
+
+export async function fetchExchangeRates() {
+    return await supabaseClient.from('exchange_rates').select('*');
+}
+
+export async function exchangeConvert(from, to, amount) {
+    return await supabaseClient.rpc('exchange_convert', { p_from: from, p_to: to, p_amount: amount });
+}
+
+export async function tonDepositCreate(packageId, wallet) {
+    return await supabaseClient.rpc('ton_deposit_create', { p_package_id: packageId, p_wallet: wallet });
+}
+
+export async function tonDepositVerify(depositId) {
+    return await invokeFunction('ton-deposit', { depositId });
+}
+
+export async function fetchPendingTonDeposits(playerId) {
+    return await supabaseClient
+        .from('ton_deposits')
+        .select('*')
+        .eq('player_id', playerId)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false });
+}
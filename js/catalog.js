@@ -0,0 +1,106 @@
+/*
+ * Filename: js/catalog.js
+ * Version: NOUB 0.1.0 (Master-Data Cache)
+ * Description:
+ * Master data (cards, factories, items, specialization paths, great projects,
+ * slot rewards) changes only when the team edits the catalog, yet screens
+ * fetched it on every open. Each catalog is now kept in memory and on the
+ * device (js/storage.js), tagged with the versions of the tables it was read
+ * from. The server bumps a table's version on every change
+ * (sql/012_catalog_versions.sql); the versions are checked at most every few
+ * minutes and a catalog is reloaded only when its tag no longer matches.
+ * When the check fails (offline), the last stored copy is served.
+ */
+
+import { backend } from './backends/index.js';
+import { loadValue, saveValue } from './storage.js';
+
+const STORAGE_KEY = 'catalog';
+const VERSION_CHECK_MS = 5 * 60 * 1000;
+
+// Catalog name -> tables it is read from (factories embed their output item)
+const CATALOG_TABLES = {
+    cards: ['cards'],
+    factories: ['factories', 'items'],
+    items: ['items'],
+    specializationPaths: ['specialization_paths'],
+    greatProjects: ['master_great_projects'],
+    slotRewards: ['slot_rewards']
+};
+
+let entries = {};           // name -> { tag, data, savedAt }
+let loading = null;
+let versions = null;        // table -> version, as last reported by the server
+let checkedAt = 0;
+let checking = null;
+const pending = new Map();  // name -> in-flight load, shared by concurrent callers
+
+function load() {
+    if (!loading) {
+        loading = loadValue(STORAGE_KEY)
+            .then(stored => { entries = stored || {}; })
+            .catch(err => console.error('Catalog cache load failed:', err));
+    }
+    return loading;
+}
+
+function persist() {
+    return saveValue(STORAGE_KEY, entries).catch(err => console.error('Catalog cache save failed:', err));
+}
+
+function tagOf(name, known) {
+    return CATALOG_TABLES[name].map(t => `${t}:${known[t] ?? 0}`).join(',');
+}
+
+/**
+ * The server's table versions, refreshed when older than VERSION_CHECK_MS.
+ * Resolves to the last known versions (or null) when the check fails.
+ */
+async function currentVersions() {
+    if (versions && Date.now() - checkedAt < VERSION_CHECK_MS) return versions;
+    if (!checking) {
+        checking = backend.fetchCatalogVersions()
+            .then(({ data, error }) => {
+                if (error) throw error;
+                versions = Object.fromEntries((data || []).map(row => [row.table_name, Number(row.version)]));
+                checkedAt = Date.now();
+            })
+            .catch(err => console.warn('Catalog version check failed, using cached data:', err))
+            .finally(() => { checking = null; });
+    }
+    await checking;
+    return versions;
+}
+
+async function reload(name, loader, known) {
+    const result = await loader();
+    if (!result.error && known) {
+        entries[name] = { tag: tagOf(name, known), data: result.data, savedAt: new Date().toISOString() };
+        await persist();
+    }
+    return result;
+}
+
+/**
+ * Returns a master-data catalog, from the cache when it is still current.
+ * @param {string} name - A key of CATALOG_TABLES.
+ * @param {Function} loader - Fetches the catalog from the backend ({ data, error }).
+ * @returns {Promise<{data: *, error: object|null}>} A copy callers may sort or modify.
+ */
+export async function cachedCatalog(name, loader) {
+    if (!CATALOG_TABLES[name]) throw new Error(`Unknown catalog '${name}'`);
+    await load();
+    const known = await currentVersions();
+    const cached = entries[name];
+
+    // Unknown versions (offline) keep whatever we have; a stale copy beats an empty shop
+    if (cached && (!known || cached.tag === tagOf(name, known))) {
+        return { data: structuredClone(cached.data), error: null };
+    }
+
+    if (!pending.has(name)) {
+        pending.set(name, reload(name, loader, known).finally(() => pending.delete(name)));
+    }
+    const { data, error } = await pending.get(name);
+    return { data: error ? data : structuredClone(data), error };
+}
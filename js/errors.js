@@ -0,0 +1,243 @@
+/*
+ * Filename: js/errors.js
+ * Version: NOUB 0.1.0 (Errors & Diagnostics)
+ * Description:
+ * One error model for the data layer. Every api.js function resolves to
+ * { data, error }; error is null or an AppError:
+ *   { message, code, category, retryable, details }
+ * category is one of ERROR_CATEGORIES. Named codes (SWAP_NOT_ACTIVE,
+ * INSUFFICIENT_FUNDS, VALIDATION) carry a catalog key (errors.* in
+ * js/locales/) chosen in api.js, and message reads it through t(), so the
+ * text follows the language the player has when it is shown. SQL and HTTP
+ * codes do not, so handleError() shows the category's message for those.
+ * handleError() is the central handler for screens: it logs the error to the
+ * diagnostics buffer and shows a toast (ui.js registers showToast).
+ * The buffer also records uncaught errors; settings.js copies it as a report
+ * players can attach to bug reports.
+ */
+
+import { t } from './i18n.js';
+
+export const ERROR_CATEGORIES = {
+    NETWORK: 'network',
+    CONFLICT: 'conflict',
+    INSUFFICIENT_FUNDS: 'insufficient_funds',
+    VALIDATION: 'validation',
+    AUTH: 'auth',
+    SERVER: 'server'
+};
+
+const DIAGNOSTICS_LIMIT = 100;
+const RETRY_DELAYS_MS = [400, 1200];
+
+// SQL states: serialization failure and deadlock roll back, so any call may be retried
+const ROLLED_BACK_CODES = ['40001', '40P01'];
+
+const diagnostics = [];
+let notify = null;
+
+// --- Classification ---
+
+/**
+ * True for failures worth retrying: no connection, DNS, timeouts, aborted
+ * fetches. Errors the server answered with (RLS, constraints) are not.
+ */
+export function isNetworkError(error) {
+    if (!error) return false;
+    if (error.category) return error.category === ERROR_CATEGORIES.NETWORK;
+    if (navigator.onLine === false) return true;
+    const text = `${error.message || ''} ${error.details || ''} ${error.name || ''}`;
+    return /Failed to fetch|Failed to send a request|NetworkError|Load failed|fetch failed|Network request failed|timed? ?out|AbortError/i.test(text);
+}
+
+function categorize(error) {
+    const text = `${error.message || ''} ${error.code || ''}`;
+    const status = Number(error.status) || 0;
+
+    if (isNetworkError(error)) return ERROR_CATEGORIES.NETWORK;
+    if (status === 401 || status === 403 || ['PGRST301', '42501'].includes(error.code) ||
+        /JWT|not authenticated|Invalid login credentials|Email not confirmed|_FORBIDDEN/i.test(text)) {
+        return ERROR_CATEGORIES.AUTH;
+    }
+    if (/INSUFFICIENT_FUNDS|NOT_ENOUGH|Insufficient/i.test(text)) return ERROR_CATEGORIES.INSUFFICIENT_FUNDS;
+    if (status === 409 || ['23505', ...ROLLED_BACK_CODES].includes(error.code) ||
+        /duplicate key|_NOT_ACTIVE|_CLOSED|ALREADY|_IN_ESCROW|_LOCKED|_HAS_BIDS|ESCROW_MISSING/i.test(text)) {
+        return ERROR_CATEGORIES.CONFLICT;
+    }
+    if ((status >= 400 && status < 500) || /^2[23]/.test(error.code || '') ||
+        /VALIDATION|_BAD_|_EMPTY_|_UNKNOWN_|_WRONG_|_NOT_OWNER|_NOT_RECIPIENT|SOULBOUND|_OWN_|_OWN\b|SELF_|TRADE_|_IS_EXPERT|BALANCE_WRITE_DENIED/.test(text)) {
+        return ERROR_CATEGORIES.VALIDATION;
+    }
+    return ERROR_CATEGORIES.SERVER;
+}
+
+/**
+ * Turns any failure (backend error object, thrown Error, string) into an
+ * AppError. AppErrors pass through unchanged.
+ */
+export function toAppError(error) {
+    if (!error) return null;
+    if (error.category) return error;
+    const raw = typeof error === 'string' ? { message: error } : error;
+    const category = categorize(raw);
+    return {
+        ...raw,
+        message: raw.message || String(error),
+        code: raw.code ?? null,
+        category,
+        retryable: category === ERROR_CATEGORIES.NETWORK || ROLLED_BACK_CODES.includes(raw.code) || Number(raw.status) >= 500,
+        details: raw.details ?? null
+    };
+}
+
+/**
+ * Sets an error's message to a catalog key. message is a getter, so it is
+ * translated each time it is read; copies made with spread keep the key.
+ */
+function withMessageKey(error, key, params) {
+    Object.defineProperty(error, 'message', { get: () => t(key, params), enumerable: true, configurable: true });
+    error.messageKey = key;
+    error.messageParams = params;
+    return error;
+}
+
+/**
+ * An AppError for a request api.js rejects before it reaches the backend.
+ * @param {string} key - Catalog key of the player-facing text.
+ * @param {string} [category] - Defaults to 'validation'.
+ * @param {object} [params] - Placeholder values for the message.
+ */
+export function appError(key, category = ERROR_CATEGORIES.VALIDATION, params = {}) {
+    const code = category === ERROR_CATEGORIES.INSUFFICIENT_FUNDS ? 'INSUFFICIENT_FUNDS' : 'VALIDATION';
+    return withMessageKey({ code, category, retryable: false, details: null }, key, params);
+}
+
+/**
+ * A backend error renamed to one of the named codes api.js knows.
+ * @param {object} error - The AppError the backend returned.
+ * @param {string} code - e.g. 'SWAP_NOT_ACTIVE'.
+ * @param {string} key - Catalog key of the player-facing text.
+ * @param {object} [params] - Placeholder values for the message.
+ */
+export function namedError(error, code, key, params = {}) {
+    return withMessageKey({ ...error, code }, key, params);
+}
+
+// --- Retries ---
+
+/**
+ * Wraps every method of a backend: failures (returned or thrown) become
+ * AppErrors, and transient ones are retried with a short backoff.
+ * A lost response may still have been applied, so network failures are
+ * retried only for methods idempotent(name) accepts; rolled-back
+ * transactions are retried for all.
+ * @param {object} target - A backend module (js/backends/).
+ * @param {Function} idempotent - name => boolean.
+ */
+export function withRetries(target, idempotent) {
+    const wrapped = {};
+    for (const [name, fn] of Object.entries(target)) {
+        if (typeof fn !== 'function') continue;
+
+        const settle = async (pending, args) => {
+            for (let attempt = 0; ; attempt++) {
+                let result;
+                try {
+                    result = await pending;
+                } catch (err) {
+                    result = { data: null, error: err };
+                }
+                if (!result?.error) return result;
+
+                const error = toAppError(result.error);
+                const retry = attempt < RETRY_DELAYS_MS.length && error.retryable &&
+                    (ROLLED_BACK_CODES.includes(error.code) || idempotent(name));
+                if (!retry) {
+                    recordDiagnostic('backend', error, name);
+                    return { ...result, error };
+                }
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAYS_MS[attempt]));
+                pending = fn(...args);
+            }
+        };
+
+        wrapped[name] = (...args) => {
+            const pending = fn(...args);
+            // Synchronous methods (openChannel, closeChannel) pass straight through
+            return typeof pending?.then === 'function' ? settle(pending, args) : pending;
+        };
+    }
+    return wrapped;
+}
+
+// --- Central handler ---
+
+
+/**
+ * The text a player should see for an error.
+ */
+export function userMessage(error) {
+    const appErr = toAppError(error);
+    if (!appErr) return '';
+    if (appErr.messageKey) return t(appErr.messageKey, appErr.messageParams);
+    if (/^[A-Z][A-Z_]+$/.test(appErr.code || '') && appErr.message) return appErr.message;
+    return t(`errors.${appErr.category}`);
+}
+
+/**
+ * Registers the function that shows toasts (ui.js passes showToast).
+ */
+export function setErrorNotifier(fn) {
+    notify = fn;
+}
+
+/**
+ * Central error handler for screens: records the error and tells the player.
+ * @param {*} error - An AppError, backend error or thrown value.
+ * @param {string} [context] - What was being done, e.g. 'claimProduction'.
+ * @param {{silent?: boolean}} [options] - silent: record only, no toast.
+ * @returns {object|null} The AppError, for callers that branch on category.
+ */
+export function handleError(error, context = '', { silent = false } = {}) {
+    const appErr = toAppError(error);
+    if (!appErr) return null;
+    recordDiagnostic('handled', appErr, context);
+    if (!silent && notify) notify(userMessage(appErr), 'error');
+    return appErr;
+}
+
+// --- Diagnostics ---
+
+/**
+ * Adds an entry to the in-memory diagnostics buffer (newest last).
+ */
+export function recordDiagnostic(source, error, context = '') {
+    diagnostics.push({
+        at: new Date().toISOString(),
+        source,
+        context,
+        category: error?.category || null,
+        code: error?.code || null,
+        message: error?.message || String(error)
+    });
+    if (diagnostics.length > DIAGNOSTICS_LIMIT) diagnostics.shift();
+}
+
+/**
+ * A plain-text report of the recent errors, for bug reports.
+ * @param {object} [meta] - Extra lines, e.g. { player: id, backend: 'local' }.
+ */
+export function diagnosticsReport(meta = {}) {
+    const header = {
+        time: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        online: navigator.onLine,
+        ...meta
+    };
+    const lines = Object.entries(header).map(([key, value]) => `${key}: ${value}`);
+    const entries = diagnostics.map(d => `${d.at} [${d.source}] ${d.context} ${d.category || '-'} ${d.code || '-'}: ${d.message}`);
+    return [...lines, '', ...(entries.length ? entries : ['(no errors recorded)'])].join('\n');
+}
+
+window.addEventListener('error', event => recordDiagnostic('uncaught', event.error || { message: event.message }, event.filename || ''));
+window.addEventListener('unhandledrejection', event => recordDiagnostic('unhandled', event.reason));
@@ -0,0 +1,128 @@
+/*
+ * Filename: js/html.js
+ * Version: NOUB 0.1.0 (Safe Templating)
+ * Description:
+ * Usernames, card names, contract titles and chat answers come from other
+ * players, so markup is never built by pasting values into strings. The
+ * html`` tag escapes every interpolated value:
+ *   render(list, html`<li class="${cls}">${offer.username}</li>`);
+ * Nested html`` results and arrays of them are inserted as markup; anything
+ * else is text. Markup from a trusted source (our own constants, icons)
+ * is marked with trusted(). render() and append() only write escaped
+ * templates.
+ *
+ * Events are delegated instead of inline onclick="..." handlers that call
+ * window globals. A screen registers its actions once:
+ *   registerActions({ 'swap.accept': (el) => handleAcceptSwap(el.dataset.offerId) });
+ * and tags the elements:
+ *   html`<button data-action="swap.accept" data-offer-id="${offer.id}">`
+ * data-action fires on click, data-change on change and data-input on
+ * input. Handlers receive (element, event); arguments travel as data-*
+ * attributes, which arrive as strings.
+ */
+
+import { handleError } from './errors.js';
+
+// --- Escaping ---
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+/**
+ * Escapes text for element content and quoted attribute values.
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"'`]/g, char => ESCAPES[char]);
+}
+
+// Markup that html`` and render() insert as is
+class TrustedHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Marks markup as safe to insert unescaped. Only for markup the game itself
+ * wrote; never for values that come from the server or another player.
+ */
+export function trusted(markup) {
+    return new TrustedHtml(String(markup ?? ''));
+}
+
+function toMarkup(value) {
+    if (value == null || value === false) return '';
+    if (value instanceof TrustedHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag: interpolated values are escaped unless they are html``
+ * results or trusted(). null, undefined and false render nothing, so
+ * ${condition && html`...`} works.
+ */
+export function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => { markup += toMarkup(value) + strings[i + 1]; });
+    return new TrustedHtml(markup);
+}
+
+/**
+ * Replaces the element's content. Plain strings are written as text.
+ * @param {Element} element
+ * @param {TrustedHtml|Array|string} template - An html`` result (or a list of them).
+ */
+export function render(element, template) {
+    if (element) element.innerHTML = toMarkup(template);
+}
+
+/**
+ * Adds the template after the element's current content.
+ */
+export function append(element, template) {
+    if (element) element.insertAdjacentHTML('beforeend', toMarkup(template));
+}
+
+// --- Delegated events ---
+
+// DOM event -> the data attribute naming its action
+const DELEGATED_EVENTS = { click: 'action', change: 'change', input: 'input' };
+
+const actions = new Map(); // action name -> handler(element, event)
+
+/**
+ * Registers handlers for data-action / data-change / data-input names.
+ * Names are namespaced by screen ('collection.burn') and registered once,
+ * when the module loads.
+ * @param {Object<string, Function>} handlers - name -> handler(element, event).
+ */
+export function registerActions(handlers) {
+    for (const [name, handler] of Object.entries(handlers)) {
+        if (actions.has(name)) console.warn(`Action "${name}" registered twice.`);
+        actions.set(name, handler);
+    }
+}
+
+function dispatch(event) {
+    const key = DELEGATED_EVENTS[event.type];
+    const element = event.target.closest?.(`[data-${key}]`);
+    if (!element) return;
+    const name = element.dataset[key];
+    const handler = actions.get(name);
+    if (!handler) {
+        console.warn(`No handler for ${event.type} action "${name}".`);
+        return;
+    }
+    // Called synchronously, so handlers can still preventDefault()
+    try {
+        Promise.resolve(handler(element, event)).catch(err => handleError(err, `action ${name}`));
+    } catch (err) {
+        handleError(err, `action ${name}`);
+    }
+}
+
+Object.keys(DELEGATED_EVENTS).forEach(type => document.addEventListener(type, dispatch));
@@ -0,0 +1,139 @@
+/*
+ * Filename: js/i18n.js
+ * Version: NOUB 0.1.0 (Internationalization)
+ * Description:
+ * The game ships in English and Arabic. Player-facing text lives in the
+ * message catalogs (js/locales/<language>.js) and is read with t():
+ *   t('auth.login')                          plain message
+ *   t('settings.usernameSaved', { name })    {name} placeholders
+ *   t('home.guestBanner', { count: 3 })      plural forms, picked by count
+ * A plural message is an object keyed by Intl.PluralRules categories
+ * (zero, one, two, few, many, other); Arabic uses all six, English one/other.
+ * Missing keys fall back to English, then to the key itself.
+ * Numbers in placeholders are formatted for the language (formatNumber).
+ *
+ * setLanguage() sets <html lang dir>: dir="rtl" switches on the [dir="rtl"]
+ * rules in style.css. The choice is kept on the device; the first launch
+ * follows Telegram's language_code, then the browser. state.language changes
+ * with it, so ui.js re-translates index.html (data-i18n attributes) and
+ * redraws the open screen.
+ */
+
+import { setState } from './state.js';
+import { MESSAGES as EN } from './locales/en.js';
+import { MESSAGES as AR } from './locales/ar.js';
+
+export const LANGUAGES = {
+    en: { name: 'English', dir: 'ltr', locale: 'en-US', messages: EN },
+    ar: { name: 'العربية', dir: 'rtl', locale: 'ar-EG-u-nu-latn', messages: AR } // Western digits, like the inputs
+};
+export const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_KEY = 'noub_language';
+
+let current = DEFAULT_LANGUAGE;
+const pluralRules = new Map(); // language -> Intl.PluralRules
+
+// --- Language ---
+
+function supported(code) {
+    const language = String(code || '').slice(0, 2).toLowerCase();
+    return language in LANGUAGES ? language : null;
+}
+
+export function getLanguage() {
+    return current;
+}
+
+/**
+ * Switches the UI language: <html lang dir>, the saved preference and
+ * state.language (subscribers redraw).
+ * @param {string} code - 'en', 'ar' or a longer tag such as 'ar-EG'.
+ * @param {{persist?: boolean}} [options] - persist: false for detected languages.
+ */
+export function setLanguage(code, { persist = true } = {}) {
+    const language = supported(code) || DEFAULT_LANGUAGE;
+    current = language;
+    document.documentElement.lang = language;
+    document.documentElement.dir = LANGUAGES[language].dir;
+    if (persist) localStorage.setItem(LANGUAGE_KEY, language);
+    setState('language', language);
+    return language;
+}
+
+/**
+ * Picks the first language at startup: the player's earlier choice, else
+ * the Telegram client's language, else the browser's.
+ */
+export function initLanguage() {
+    const saved = supported(localStorage.getItem(LANGUAGE_KEY));
+    const detected = supported(window.Telegram?.WebApp?.initDataUnsafe?.user?.language_code)
+        || (navigator.languages || [navigator.language]).map(supported).find(Boolean);
+    setLanguage(saved || detected || DEFAULT_LANGUAGE, { persist: false });
+    applyTranslations();
+}
+
+// --- Messages ---
+
+function pluralForm(language, count) {
+    if (!pluralRules.has(language)) pluralRules.set(language, new Intl.PluralRules(LANGUAGES[language].locale));
+    return pluralRules.get(language).select(count);
+}
+
+function lookup(language, key, params) {
+    const message = LANGUAGES[language].messages[key];
+    if (message == null || typeof message === 'string') return message;
+    const count = Number(params.count) || 0;
+    // Exact 0/1/2 forms are used when a catalog has them, even where the rules say 'other'
+    const exact = { 0: 'zero', 1: 'one', 2: 'two' }[count];
+    return message[exact] ?? message[pluralForm(language, count)] ?? message.other;
+}
+
+/**
+ * The message for key in the current language.
+ * @param {string} key - e.g. 'settings.title'.
+ * @param {object} [params] - Placeholder values; count also picks the plural form.
+ */
+export function t(key, params = {}) {
+    const message = lookup(current, key, params) ?? lookup(DEFAULT_LANGUAGE, key, params);
+    if (message == null) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value == null) return match;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+// --- Formatting ---
+
+export function formatNumber(value, options) {
+    return new Intl.NumberFormat(LANGUAGES[current].locale, options).format(value);
+}
+
+/**
+ * @param {Date|string|number} value
+ * @param {object} [options] - Intl.DateTimeFormat options; a medium date by default.
+ */
+export function formatDate(value, options = { dateStyle: 'medium' }) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return new Intl.DateTimeFormat(LANGUAGES[current].locale, options).format(date);
+}
+
+// --- Static markup ---
+
+/**
+ * Translates the static text of index.html:
+ *   data-i18n="key"             textContent
+ *   data-i18n-placeholder="key" placeholder
+ *   data-i18n-title="key"       title
+ * @param {ParentNode} [root]
+ */
+export function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+}
@@ -0,0 +1,1073 @@
+/*
+ * Filename: js/locales/ar.js
+ * Version: NOUB 0.1.0 (Arabic Messages)
+ * Description: Arabic message catalog for js/i18n.js. Plural messages use
+ * the six Arabic forms (zero, one, two, few, many, other); keys missing
+ * here fall back to English.
+ */
+
+export const MESSAGES = {
+    // --- Shared ---
+    'common.loading': "جارٍ التحميل...",
+    'common.tryAgain': "حاول مجدداً",
+    'common.reloadApp': "إعادة تحميل التطبيق",
+    'common.linkCopied': "تم نسخ الرابط.",
+    'common.confirmTitle': "تأكيد الإجراء",
+    'common.confirm': "تأكيد",
+    'common.cancel': "إلغاء",
+    'common.explorer': "مستكشف",
+    'common.levelUp': "ارتقاء! وصلت إلى المستوى {level}!",
+
+    'errors.network': "مشكلة في الاتصال. تحقق من الإنترنت وحاول مجدداً.",
+    'errors.conflict': "تغيّر هذا في الأثناء. حدّث الصفحة وحاول مجدداً.",
+    'errors.insufficient_funds': "لا توجد موارد كافية لذلك.",
+    'errors.validation': "هذا الطلب غير صالح.",
+    'errors.auth': "انتهت جلستك. يرجى تسجيل الدخول مجدداً.",
+    'errors.server': "حدث خطأ من جهتنا. حاول مجدداً.",
+
+    // --- Data-layer errors (api.js) ---
+    'errors.balanceWriteDenied': "لا تتغير الأرصدة إلا عبر السجل.",
+    'errors.progressWriteDenied': "لا يتغير هذا التقدم إلا عبر اللعب.",
+    'errors.insufficientResources': "الموارد غير كافية.",
+    'errors.currencyUnknown': "عملة غير معروفة: {currency}",
+    'errors.ledgerNegativeAmount': "يجب أن تكون مبالغ السجل موجبة.",
+    'errors.ledgerForbidden': "يمكنك إنفاق رصيدك فقط.",
+    'errors.notEnough.noub': "لا يوجد NOUB كافٍ.",
+    'errors.notEnough.prestige': "لا توجد هيبة كافية.",
+    'errors.notEnough.ankh': "لا يوجد عنخ بريميوم كافٍ.",
+    'errors.notEnough.tickets': "لا توجد تذاكر دوران كافية.",
+    'errors.accountEmailRequired': "أدخل البريد الإلكتروني لحسابك.",
+    'errors.emailInvalid': "أدخل بريداً إلكترونياً صالحاً.",
+    'errors.passwordTooShort': "يجب ألا تقل كلمة المرور عن {min} أحرف.",
+    'errors.authNoAccount': "لا يوجد حساب بهذا البريد. أنشئ حساباً بدلاً من ذلك.",
+    'errors.telegramInvalid': "تعذّر على تيليجرام تأكيد هويتك. أعد فتح اللعبة من البوت وحاول مجدداً.",
+    'errors.telegramAlreadyLinked': "حساب تيليجرام هذا مرتبط بلاعب آخر.",
+    'errors.telegramPlayerLinked': "حسابك مرتبط بحساب تيليجرام آخر.",
+    'errors.telegramLinkAuth': "سجّل الدخول مجدداً قبل ربط تيليجرام.",
+    'errors.telegramSigninFailed': "تسجيل الدخول عبر تيليجرام غير متاح حالياً. استخدم البريد الإلكتروني بدلاً منه.",
+    'errors.telegramVerifierNotConfigured': "تسجيل الدخول عبر تيليجرام غير مُعدّ في هذا الإصدار.",
+    'errors.swapForbidden': "لا يحق لك تغيير هذا العرض.",
+    'errors.swapNotActive': "لم يعد العرض متاحاً.",
+    'errors.swapOwnOffer': "لا يمكنك قبول عرضك.",
+    'errors.swapEscrowMissing': "لم تعد البطاقة المعروضة محجوزة في الضمان.",
+    'errors.swapNotOwner': "أنت لا تملك هذه البطاقة.",
+    'errors.swapCardLocked': "هذه البطاقة مقفلة في صفقة أخرى.",
+    'errors.swapSoulbound': "لا يمكن تداول بطاقة الروح.",
+    'errors.swapCardIsExpert': "هذه البطاقة معيّنة خبيراً في مصنع. أعفِها أولاً.",
+    'errors.swapWrongCard': "هذه البطاقة لا تطابق ما يطلبه العرض.",
+    'errors.swapUnknownCard': "البطاقة المطلوبة غير موجودة.",
+    'errors.swapBadPrice': "يجب أن يكون السعر مبلغاً موجباً من NOUB.",
+    'errors.swapEmptyAsk': "اطلب بطاقة أو سعراً بـ NOUB أو كليهما.",
+    'errors.swapEmptyBundle': "أضف بطاقة أو عنصراً أو مبلغاً من العملة إلى جانبك على الأقل.",
+    'errors.swapNotEnoughItems': "لا توجد عناصر كافية لهذه الصفقة.",
+    'errors.swapBadQuantity': "يجب أن تكون الكميات أعداداً صحيحة موجبة.",
+    'errors.swapBadCurrency': "لا يمكن تداول إلا NOUB والهيبة.",
+    'errors.swapUnknownItem': "العنصر المطلوب غير موجود.",
+    'errors.swapUnknownRecipient': "لا يوجد لاعب بهذا الاسم أو المعرّف.",
+    'errors.swapRecipientAmbiguous': "يشترك عدة لاعبين في هذا الاسم. استخدم معرّف اللاعب بدلاً منه.",
+    'errors.swapSelfRecipient': "لا يمكنك إرسال صفقة إلى نفسك.",
+    'errors.swapNotRecipient': "هذه الصفقة ليست موجهة إليك.",
+    'errors.swapBadExpiry': "تدوم العروض من ساعة واحدة إلى 7 أيام.",
+    'errors.swapExpired': "انتهت صلاحية هذا العرض.",
+    'errors.cardInEscrow': "هذه البطاقة محجوزة في الضمان لصفقة مفتوحة.",
+    'errors.tradeAccountTooNew': {
+        one: "لا يمكن للحسابات الجديدة التداول بعد. حاول مجدداً بعد ساعة تقريباً.",
+        two: "لا يمكن للحسابات الجديدة التداول بعد. حاول مجدداً بعد ساعتين تقريباً.",
+        few: "لا يمكن للحسابات الجديدة التداول بعد. حاول مجدداً بعد {count} ساعات تقريباً.",
+        many: "لا يمكن للحسابات الجديدة التداول بعد. حاول مجدداً بعد {count} ساعة تقريباً.",
+        other: "لا يمكن للحسابات الجديدة التداول بعد. حاول مجدداً بعد {count} ساعة تقريباً."
+    },
+    'errors.tradeLevelTooLow': "بلِّغ المستوى {count} للتداول في السوق.",
+    'errors.tradeDailyCap': "بلغت الحد اليومي: {count} عملية في السوق كل 24 ساعة.",
+    'errors.tradeCardCooldown': {
+        one: "حصلت على هذه البطاقة مؤخراً. يمكن تداولها مجدداً بعد ساعة تقريباً.",
+        two: "حصلت على هذه البطاقة مؤخراً. يمكن تداولها مجدداً بعد ساعتين تقريباً.",
+        few: "حصلت على هذه البطاقة مؤخراً. يمكن تداولها مجدداً بعد {count} ساعات تقريباً.",
+        many: "حصلت على هذه البطاقة مؤخراً. يمكن تداولها مجدداً بعد {count} ساعة تقريباً.",
+        other: "حصلت على هذه البطاقة مؤخراً. يمكن تداولها مجدداً بعد {count} ساعة تقريباً."
+    },
+    'errors.auctionForbidden': "لا يحق لك تغيير هذا المزاد.",
+    'errors.auctionClosed': "انتهى هذا المزاد.",
+    'errors.auctionOwn': "لا يمكنك المزايدة على مزادك.",
+    'errors.auctionAlreadyLeading': "عرضك هو الأعلى بالفعل.",
+    'errors.auctionHasBids': "لا يمكن إلغاء مزاد فيه عروض.",
+    'errors.auctionBadPrice': "يجب ألا يقل سعر البداية عن 1 NOUB.",
+    'errors.auctionBadBuyout': "يجب أن يكون سعر الشراء الفوري أعلى من سعر البداية.",
+    'errors.auctionBadDuration': "تدوم المزادات من ساعة واحدة إلى 7 أيام.",
+    'errors.auctionBidTooLow': "زايد بـ {amount} NOUB على الأقل.",
+    'errors.referralSelf': "لا يمكنك استخدام رابط دعوتك.",
+    'errors.referralUnknown': "رابط الدعوة هذا غير صالح.",
+    'errors.referralAlready': "انضممت عبر دعوة من قبل.",
+    'errors.referralTooLate': "روابط الدعوة تعمل للممالك الجديدة فقط.",
+    'errors.referralLoop': "لا يمكنك الانضمام عبر دعوة صديق دعوته أنت.",
+    'errors.referralDailyCap': "بلغ رابط دعوة صديقك حد اليوم وهو {count}.",
+    'errors.rewardAlreadyClaimed': "لقد استلمت هذه المكافأة من قبل.",
+    'errors.rewardNotReady': "أكمل المهمة قبل استلام مكافأتها.",
+    'errors.rewardUnknown': "هذه المكافأة غير متاحة.",
+    'errors.contractNotFound': "لم يعد هذا العقد لك.",
+    'errors.contractNotActive': "تم تسليم هذا العقد بالفعل.",
+    'errors.contractCooldown': "لا يزال العقد قيد التحضير. حاول مجدداً بعد دقيقة.",
+    'errors.contractMissingItems': "لا تملك كل البضائع التي يطلبها هذا العقد.",
+    'errors.albumIncomplete': "اجمع كل بطاقات الألبوم أولاً.",
+    'errors.projectNotFound': "لم يعد هذا المشروع لك.",
+    'errors.projectNotActive': "اكتمل هذا المشروع بالفعل.",
+    'errors.projectIncomplete': "سلّم كل الموارد قبل إكمال المشروع.",
+    'errors.projectLevelTooLow': "مستواك أقل من المطلوب لهذا المشروع.",
+    'errors.projectSpecializationRequired': "يتطلب هذا المشروع تخصصاً لا تملكه.",
+    'errors.projectAlreadyJoined': "انضممت إلى هذا المشروع من قبل.",
+    'errors.projectItemNotNeeded': "لا يحتاج هذا المشروع إلى هذا المورد.",
+    'errors.projectMissingItems': "لا توجد موارد كافية في مخزونك.",
+    'errors.projectDeliveryTooLarge': "تحتاج إلى تسليم {left} فقط.",
+    'errors.kvNoGame': "انتهت هذه البعثة بالفعل.",
+    'errors.kvAllGatesOpen': "لقد فتحت كل البوابات المعروفة!",
+    'errors.kvItemUnknown': "لا يمكن استخدام هذا العنصر في الوادي.",
+    'errors.kvHintShown': "كُشف تلميح الرقم الأخير من قبل.",
+    'errors.kvBadGuess': "أدخل {count} أرقام بالضبط.",
+    'errors.factoryBusy': "هذا المصنع ينتج بالفعل.",
+    'errors.factoryMissingInputs': "لا تملك الموارد التي يحتاجها هذا الإنتاج.",
+    'errors.factoryNotFound': "لم يعد هذا المصنع لك.",
+    'errors.factoryNotStarted': "هذا المصنع لا ينتج شيئاً.",
+    'errors.factoryNotReady': "لم ينتهِ الإنتاج بعد.",
+    'errors.factoryMaxLevel': "هذا المصنع في أعلى مستوى له.",
+    'errors.factoryMissingMaterials': "تحتاج إلى 10 كتل من الحجر الجيري لهذه الترقية.",
+    'errors.cardNotFound': "لم تعد هذه البطاقة في مجموعتك.",
+    'errors.cardInUse': "تعمل هذه البطاقة خبيراً في مصنع. ألغِ تعيينها أولاً.",
+    'errors.cardSoulbound': "بطاقة الروح مرتبطة بك ولا يمكن التضحية بها.",
+    'errors.cardPackUnknown': "هذه الحزمة غير متاحة.",
+    'errors.soulCardProtocolIncomplete': "البروتوكول غير مكتمل. أكمل UCP مع إيف أولاً.",
+    'errors.soulCardExists': "سُكّت بطاقة الروح من قبل.",
+    'errors.vaultNotReady': "الخزنة فارغة. عد لاحقاً.",
+    'errors.eventNotToday': "لا يمكن استلام هذا الحدث إلا في يومه.",
+    'errors.exchangePairUnknown': "هذا التبادل غير متاح.",
+    'errors.exchangeBadAmount': "بادل مضاعفاً كاملاً لـ {step}.",
+    'errors.tonPackageUnknown': "هذه الباقة غير متاحة.",
+    'errors.tonWalletRequired': "اربط محفظة TON أولاً.",
+    'errors.tonDepositUnknown': "لم يُعثر على عملية الشراء هذه.",
+    'errors.tonDepositAuth': "سجّل الدخول مجدداً لإتمام الشراء.",
+    'errors.tonDepositFailed': "تعذّر التحقق من الدفع الآن. حاول مجدداً بعد قليل.",
+
+    // --- Shell (index.html, ui.js) ---
+    'nav.home': "الرئيسية",
+    'nav.economy': "الاقتصاد",
+    'nav.myCards': "بطاقاتي",
+    'nav.tasks': "المهام",
+    'nav.more': "المزيد",
+    'more.activity': "سجل النشاط",
+    'more.history': "سجل الألعاب",
+    'more.settings': "الإعدادات",
+
+    'sync.offline': "⚠ غير متصل",
+    'sync.offlinePending': "⚠ غير متصل · {count}",
+    'sync.syncing': "⟳ جارٍ مزامنة {count}",
+    'sync.pending': "⟳ {count} قيد الانتظار",
+    'sync.pendingTitle': {
+        one: "سيُحفظ تغيير واحد عند عودة الاتصال.",
+        two: "سيُحفظ تغييران عند عودة الاتصال.",
+        few: "ستُحفظ {count} تغييرات عند عودة الاتصال.",
+        many: "سيُحفظ {count} تغييراً عند عودة الاتصال.",
+        other: "سيُحفظ {count} تغيير عند عودة الاتصال."
+    },
+    'sync.noConnection': "لا يوجد اتصال.",
+
+    // --- Login & accounts (auth.js) ---
+    'auth.continueTelegram': "المتابعة عبر تيليجرام",
+    'auth.playAsGuest': "العب كضيف",
+    'auth.loginTitle': "تسجيل الدخول",
+    'auth.login': "دخول",
+    'auth.email': "البريد الإلكتروني",
+    'auth.password': "كلمة المرور",
+    'auth.username': "اسم المستخدم",
+    'auth.toRegister': "ليس لديك حساب؟ سجّل الآن",
+    'auth.toRecovery': "نسيت كلمة المرور؟ ادخل برابط عبر البريد",
+    'auth.toLogin': "لديك حساب بالفعل؟ سجّل الدخول",
+    'auth.recoveryTitle': "أرسل لي رابطاً",
+    'auth.sendLoginLink': "إرسال رابط الدخول",
+    'auth.resetPassword': "إعادة تعيين كلمة المرور",
+    'auth.backToLogin': "العودة لتسجيل الدخول",
+    'auth.newPasswordTitle': "اختر كلمة مرور جديدة",
+    'auth.newPassword': "كلمة المرور الجديدة",
+    'auth.repeatPassword': "أعد كتابة كلمة المرور",
+    'auth.savePassword': "حفظ كلمة المرور",
+    'auth.registerTitle': "إنشاء حساب جديد",
+    'auth.signUp': "تسجيل",
+    'auth.creating': "جارٍ الإنشاء...",
+    'auth.signupFailed': "فشل التسجيل.",
+    'auth.magicLinkSent': "تفقّد بريدك: الرابط يُدخلك مباشرة.",
+    'auth.resetLinkSent': "إن كان هناك حساب بهذا البريد، فرابط إعادة التعيين في طريقه إليك.",
+    'auth.passwordsMismatch': "كلمتا المرور غير متطابقتين.",
+    'auth.passwordUpdated': "تم تحديث كلمة المرور.",
+    'auth.sessionExpired': "انتهت جلستك. سجّل الدخول مجدداً لتكمل من حيث توقفت.",
+    'auth.initializing': "جارٍ تجهيز المملكة...",
+    'auth.profileCreateFailed': "فشل إنشاء الملف الشخصي. حاول مجدداً.",
+    'auth.referralWelcome': "أهلاً بك! دعاك {name}: أُضيفت مكافأة إلى خزانتك.",
+    'auth.referralWelcomeHeld': "أهلاً بك! دعاك {name}. أمّن حسابك لتحصل على مكافأتك.",
+    'auth.yourFriend': "صديقك",
+    'auth.guestLogoutConfirm': "لا يمكن للضيوف تسجيل الدخول مجدداً: ستفقد هذه المملكة نهائياً. هل تريد الخروج على أي حال؟",
+    'auth.secureTitle': "احمِ مملكتك",
+    'auth.secureIntro': "أنت تلعب كضيف. أضف بريداً إلكترونياً أو تيليجرام لتحتفظ بتقدمك وتلعب من أي جهاز.",
+    'auth.secureRetention': {
+        zero: "تُحذف ممالك الضيوف بعد {days} يوماً: لم يتبقَّ أي يوم.",
+        one: "تُحذف ممالك الضيوف بعد {days} يوماً: تبقّى يوم واحد.",
+        two: "تُحذف ممالك الضيوف بعد {days} يوماً: تبقّى يومان.",
+        few: "تُحذف ممالك الضيوف بعد {days} يوماً: تبقّت {count} أيام.",
+        many: "تُحذف ممالك الضيوف بعد {days} يوماً: تبقّى {count} يوماً.",
+        other: "تُحذف ممالك الضيوف بعد {days} يوماً: تبقّى {count} يوم."
+    },
+    'auth.passwordHint': "كلمة المرور (6 أحرف على الأقل)",
+    'auth.secureWithEmail': "الحماية بالبريد الإلكتروني",
+    'auth.secureWithTelegram': "الحماية عبر تيليجرام",
+    'auth.secureConfirmEmail': "اقتربنا: أكّد الرابط الذي أرسلناه إلى {email}.",
+    'auth.securedEmail': "أصبحت مملكتك محمية! سجّل الدخول ببريدك من الآن.",
+    'auth.securedTelegram': "أصبحت مملكتك محمية! فتح اللعبة من تيليجرام يُدخلك تلقائياً.",
+
+    // --- Home ---
+    'home.activeGameplay': "اللعب النشط",
+    'home.kvGame': "وادي الملوك",
+    'home.royalVault': "الخزانة الملكية",
+    'home.management': "إدارة المملكة",
+    'home.contracts': "العقود",
+    'home.projects': "المشاريع",
+    'home.p2pMarket': "سوق اللاعبين",
+    'home.library': "المكتبة",
+    'home.exchange': "الصرافة",
+    'home.eveChat': "محادثة إيف",
+    'home.guestBanner': {
+        zero: "تلعب كضيف. تُحذف مملكتك اليوم.",
+        one: "تلعب كضيف. تُحفظ مملكتك ليوم واحد آخر.",
+        two: "تلعب كضيف. تُحفظ مملكتك ليومين آخرين.",
+        few: "تلعب كضيف. تُحفظ مملكتك {count} أيام أخرى.",
+        many: "تلعب كضيف. تُحفظ مملكتك {count} يوماً آخر.",
+        other: "تلعب كضيف. تُحفظ مملكتك {count} يوم آخر."
+    },
+    'home.secureIt': "احمِها",
+
+    // --- Screen titles and tabs (index.html) ---
+    'economy.title': "مركز الاقتصاد",
+    'economy.production': "الإنتاج",
+    'economy.resources': "الموارد",
+    'economy.materials': "المواد",
+    'economy.goods': "البضائع",
+    'economy.resourceBuildings': "مباني الموارد",
+    'economy.workshops': "ورش الصناعة",
+    'tasks.title': "المهام اليومية",
+    'contracts.title': "المراسيم الملكية",
+    'contracts.active': "العقود النشطة",
+    'contracts.available': "العقود المتاحة",
+    'contracts.refresh': "تحديث",
+    'kv.title': "وادي الملوك - اكسر الشفرة",
+    'kv.expeditionLogs': "📜 سجل البعثات",
+    'exchange.title': "صرافة العملات",
+    'projects.title': "المشاريع الكبرى",
+    'shop.title': "المتجر",
+    'shop.cardPacks': "حزم البطاقات",
+    'shop.gameItems': "عناصر اللعبة",
+    'shop.tonExchange': "صرافة TON",
+
+    // --- Profile ---
+    'profile.defaultName': "المعماري",
+    'profile.level': "المستوى {level}",
+    'profile.novice': "مبتدئ",
+    'profile.progression': "التقدم (XP)",
+    'profile.identityMatrix': "مصفوفة الهوية",
+    'profile.soulMirrorActive': "مرآة الروح مفعّلة",
+    'profile.analysisComplete': "اكتمل تحليل البروتوكول",
+    'profile.identityMapped': "تم رسم هويتك الفكرية.",
+    'profile.mintSoulCard': "تجسيد بطاقة الروح",
+    'profile.minting': "جارٍ حساب الحمض النووي...",
+    'profile.minted': "تجسّدت الروح! القوة: {power}",
+    'profile.mintFailed': "فشل التجسيد.",
+    'profile.missingProtocol': "البروتوكول غير موجود",
+    'profile.missingProtocolHint': "أكمل مسار UCP مع إيف لتوليد الحمض النووي لروحك.",
+    'profile.statistics': "الإحصائيات",
+    'profile.cards': "البطاقات",
+    'profile.contracts': "العقود",
+    'profile.path': "المسار",
+    'profile.treasury': "الخزانة",
+    'profile.ankh': "عنخ",
+    'profile.prestige': "الهيبة",
+    'profile.tickets': "التذاكر",
+    'profile.logout': "تسجيل الخروج",
+    'profile.friends': "الأصدقاء",
+    'profile.friendsCount': "الأصدقاء ({count})",
+    'profile.friendsLoadFailed': "تعذّر تحميل أصدقائك.",
+    'profile.invite': "دعوة",
+    'profile.inviteText': "ابنِ مملكتك معي في NOUB!",
+    'profile.copyInvite': "انسخ رابط الدعوة أعلاه.",
+    'profile.friendJoins': "انضمام صديق",
+    'profile.friendReaches': "وصول صديق إلى المستوى {level}",
+    'profile.noFriends': "لا أصدقاء بعد. شارك رابطك: يحصلون على {reward} للبداية.",
+    'profile.friendLevel': "مستوى {level}",
+    'profile.friendGuest': "ضيف: تنتظر المكافآت حتى يُحمى الحساب",
+    'profile.bonusPaid': "صُرفت المكافأة",
+    'profile.notReached': "لم يتحقق بعد",
+
+    // --- Settings ---
+    'settings.title': "الإعدادات والتفضيلات",
+    'settings.language': "اللغة",
+    'settings.languageChanged': "تم ضبط اللغة على العربية.",
+    'settings.game': "إعدادات اللعبة",
+    'settings.soundEnabled': "الصوت",
+    'settings.animationEnabled': "الحركة",
+    'settings.toggleOn': "{name}: تشغيل",
+    'settings.toggleOff': "{name}: إيقاف",
+    'settings.toggleSaved': "تم تحديث إعدادات {name}.",
+    'settings.profile': "ملف اللاعب",
+    'settings.explorerName': "اسم المستكشف:",
+    'settings.usernamePlaceholder': "أدخل اسم مستخدم جديداً",
+    'settings.saveName': "حفظ الاسم",
+    'settings.usernameTooShort': "يجب أن يتكون اسم المستخدم من 3 أحرف على الأقل.",
+    'settings.usernameUnchanged': "لم يتغير اسم المستخدم.",
+    'settings.usernameFailed': "خطأ: فشل تحديث اسم المستخدم!",
+    'settings.usernameSaved': "تم تغيير اسم المستخدم إلى {name}!",
+    'settings.avatarTitle': "اختيار الصورة الرمزية",
+    'settings.avatarHint': "اختر صورتك الرمزية ثم اضغط تطبيق.",
+    'settings.applyAvatar': "تطبيق الصورة المختارة",
+    'settings.avatar.default_explorer': "المستكشف الافتراضي",
+    'settings.avatar.pharaoh_mask': "قناع الفرعون",
+    'settings.avatar.eve_guide': "المرشدة إيف (مميز)",
+    'settings.avatar.anubis_icon': "أيقونة أنوبيس",
+    'settings.avatarUnlocked': "مفتوح",
+    'settings.avatarLevelReq': "يتطلب المستوى {level}",
+    'settings.avatarCostAnkh': "{count} عنخ",
+    'settings.avatarCostLevel': "المستوى {level}",
+    'settings.avatarUnlockHint': "افتح {name} مقابل {count} عنخ مميز من المتجر!",
+    'settings.avatarLocked': "هذه الصورة مقفلة!",
+    'settings.avatarSelected': "تم اختيار: {name}",
+    'settings.avatarUnchanged': "الصورة المختارة مستخدمة بالفعل.",
+    'settings.avatarFailed': "خطأ: فشل تحديث الصورة الرمزية!",
+    'settings.avatarSaved': "تم تحديث الصورة الرمزية بنجاح!",
+    'settings.telegramLoadFailed': "تعذّر تحميل ربط تيليجرام.",
+    'settings.telegramLinked': "مرتبط بـ {name}. فتح اللعبة من تيليجرام يُدخلك تلقائياً.",
+    'settings.telegramOpenFromBot': "افتح اللعبة من بوت تيليجرام لربط حسابك.",
+    'settings.telegramLinkHint': "اربط حساب تيليجرام هذا لتدخل بلمسة واحدة في المرة القادمة.",
+    'settings.linkTelegram': "ربط تيليجرام",
+    'settings.telegramLinkedToast': "تم ربط حساب تيليجرام!",
+    'settings.support': "الدعم",
+    'settings.supportHint': "وجدت خطأ؟ انسخ بيانات التشخيص وأرفقها ببلاغك.",
+    'settings.copyDiagnostics': "نسخ بيانات التشخيص",
+    'settings.diagnosticsCopied': "تم نسخ بيانات التشخيص. الصقها في بلاغك.",
+    'settings.diagnosticsManual': "انسخ التقرير أدناه إلى بلاغك.",
+
+    // --- Activity & history (activity.js, history.js) ---
+    'activity.title': "سجل النشاط",
+    'activity.loading': "جارٍ تحميل النشاط...",
+    'activity.loadFailed': "تعذّر تحميل سجل النشاط.",
+    'activity.empty': "لم يُسجَّل أي نشاط بعد.",
+    'history.title': "سجل اللعب (بعثات وادي الملوك)",
+    'history.loading': "جارٍ تحميل السجل...",
+    'history.loadFailed': "تعذّر تحميل سجل اللعب.",
+    'history.empty': "لم تُسجَّل أي بعثة بعد. ابدأ لعبة وادي الملوك!",
+    'history.entryTitle': "{game} - المستوى KV{level}",
+    'history.win': "فوز",
+    'history.lossManual': "خسارة (إنهاء يدوي)",
+    'history.lossTime': "خسارة (انتهاء الوقت)",
+    'history.incomplete': "غير مكتملة",
+    'history.date': "التاريخ: {date}",
+    'history.timeSpent': "الوقت المستغرق: {seconds} ث",
+    'history.code': "الرمز: {code}",
+
+    // --- Albums (albums.js) ---
+    'albums.title': "كتالوج الألبومات",
+    'albums.ennead': "التاسوع المقدس",
+    'albums.enneadDescription': "اجمع آلهة الخلق التسعة المؤسِّسين.",
+    'albums.rulers': "الحكّام الفراعنة",
+    'albums.rulersDescription': "اجمع أعظم تسعة فراعنة وملكات في مصر.",
+    'albums.creatures': "الكائنات الأسطورية",
+    'albums.creaturesDescription': "اجمع الكائنات الأسطورية القديمة التسعة ذات القوة.",
+    'albums.claim': "استلام",
+    'albums.claimed': "تم الاستلام",
+    'albums.progress': "قيد التقدم",
+    'albums.collected': "جُمعت {count}/{total} بطاقات",
+    'albums.notFound': "لم يُعثر على بيانات الألبوم.",
+    'albums.unknownCard': "بطاقة مجهولة رقم {id}",
+    'albums.missing': "مفقودة",
+    'albums.cardLevel': "مستوى {level}",
+    'albums.back': "رجوع",
+    'albums.set': "المجموعة {number}/{total}",
+    'albums.notOwned': "لا تملك هذه البطاقة بعد. ابحث عن {id}!",
+    'albums.openingCard': "جارٍ فتح تفاصيل البطاقة {id}.",
+    'albums.claiming': "جارٍ معالجة مكافأة الألبوم...",
+    'albums.claimedToast': "تم استلام مكافأة الألبوم! +{noub} 🪙، +{prestige} 🐞، +{ankh} ☥",
+    'albums.findCard': "اعثر على هذه البطاقة لفتح تفاصيلها!",
+
+    // --- Auction house (auction_house.js) ---
+    'auction.statusLive': "مباشر",
+    'auction.statusSold': "مُباع",
+    'auction.statusUnsold': "بلا عروض",
+    'auction.statusCancelled': "ملغى",
+    'auction.loading': "جارٍ تحميل المزادات...",
+    'auction.noneRunning': "لا توجد مزادات جارية.",
+    'auction.leading': "عرضك هو الأعلى.",
+    'auction.bid': "زايد",
+    'auction.buyout': "شراء فوري ({amount} 🪙)",
+    'auction.enterBid': "أدخل مبلغ المزايدة.",
+    'auction.bidNeedsNoub': "تحتاج إلى {amount} 🪙 لتقديم هذه المزايدة.",
+    'auction.placingBid': "جارٍ تقديم المزايدة...",
+    'auction.boughtOut': "تم الشراء الفوري! البطاقة لك.",
+    'auction.bidPlaced': "قُدّمت مزايدة بقيمة {amount} 🪙.",
+    'auction.noBids': "لم تزايد على أي مزاد.",
+    'auction.winning': "فائز حالياً",
+    'auction.outbid': "تم تجاوز عرضك (مُسترد)",
+    'auction.won': "فزت",
+    'auction.lost': "خسرت (مُسترد)",
+    'auction.yourBid': "مزايدتك:",
+    'auction.received': "استلمت {amount} 🪙 (أُحرقت رسوم قدرها {fee}).",
+    'auction.cancel': "إلغاء المزاد",
+    'auction.noneListed': "لم تعرض أي مزاد.",
+    'auction.yourAuctions': "مزاداتك",
+    'auction.hoursShort': "{count} س",
+    'auction.daysShort': "{count} ي",
+    'auction.listCard': "اعرض بطاقة",
+    'auction.selectCard': "اختر بطاقة...",
+    'auction.startPlaceholder': "البداية 🪙",
+    'auction.buyoutPlaceholder': "الشراء الفوري 🪙 (اختياري)",
+    'auction.escrowNote': "تُحجز البطاقة في الضمان حتى ينتهي المزاد.",
+    'auction.feeNote': "رسوم السوق: {percent}% من العرض الفائز (تُحرق).",
+    'auction.start': "ابدأ المزاد",
+    'auction.selectCardFirst': "اختر بطاقة للمزاد.",
+    'auction.setStartPrice': "حدّد سعر البداية.",
+    'auction.processing': "جارٍ المعالجة...",
+    'auction.started': "بدأ المزاد!",
+    'auction.cancelConfirm': "إلغاء هذا المزاد؟ ستُعاد إليك بطاقتك.",
+    'auction.cancelled': "أُلغي المزاد.",
+    'auction.noBidsYet': "لا عروض",
+    'auction.card': "بطاقة",
+    'auction.currentBid': "العرض:",
+    'auction.bidCount': {
+        zero: "لا عروض",
+        one: "عرض واحد",
+        two: "عرضان",
+        few: "{count} عروض",
+        many: "{count} عرضاً",
+        other: "{count} عرض"
+    },
+    'auction.buyoutPrice': "شراء فوري {amount} 🪙",
+    'auction.ending': "ينتهي...",
+
+    // --- Collection (collection.js) ---
+    'collection.title': "الخزانة والأرشيف",
+    'collection.albums': "الألبومات",
+    'collection.enneadDescription': "آلهة الخلق التسعة المؤسِّسون.",
+    'collection.rulersDescription': "أعظم ملوك وملكات مصر.",
+    'collection.beasts': "الوحوش الأسطورية",
+    'collection.beastsDescription': "حرّاس وكائنات من الدوات.",
+    'collection.dendera': "معبد دندرة",
+    'collection.denderaDescription': "أسرار الفلك والزمن والعلوم.",
+    'collection.arsenal': "الترسانة الملكية",
+    'collection.arsenalDescription': "أدوات الحرب والقوة العسكرية.",
+    'collection.empty': "المجموعة فارغة",
+    'collection.power': "القوة: {power}",
+    'collection.level': "مستوى {level}",
+    'collection.soulImmutable': "بطاقة الروح لا تتغير.",
+    'collection.ready': "جاهزة",
+    'collection.manage': "إدارة",
+    'collection.busyExpert': "مشغولة (خبير)",
+    'collection.lockedTrade': "مقفلة (صفقة)",
+    'collection.marketPrice': "سعر السوق",
+    'collection.actionTitle': "إجراء: المستوى {level}",
+    'collection.fusionTitle': "ترقية بالدمج ➜ مستوى {level}",
+    'collection.fusionHint': "تدمج بطاقتين من المستوى {level}.",
+    'collection.duplicates': "النسخ المتاحة:",
+    'collection.fuseNow': "ادمج الآن",
+    'collection.needDuplicate': "تحتاج إلى نسخة",
+    'collection.sacrifice': "التضحية",
+    'collection.burnFor': "احرقها مقابل {amount} 🪙",
+    'collection.fusing': "جارٍ دمج الطاقات...",
+    'collection.fused': "نجح الدمج! البطاقة الآن في المستوى {level}",
+    'collection.burnConfirm': "التضحية بهذه البطاقة نهائياً مقابل موارد؟",
+    'collection.burning': "جارٍ التضحية...",
+    'collection.burned': "قُبلت التضحية.",
+    'collection.found': "وُجدت {count} / {total}",
+    'collection.hidden': "مخفية",
+    'collection.claimAlbum': "استلم {amount} 🪙",
+    'collection.collectAll': "اجمعها كلها للاستلام",
+    'collection.claimConfirm': "استلام مكافأة هذا الألبوم؟",
+    'collection.claimed': "تم استلام المكافأة!",
+
+    // --- Contracts (contracts.js) ---
+    'contracts.questVisitShop': "زُر السوق",
+    'contracts.questSpinSlot': "أدر مقبرة الكنوز",
+    'contracts.questGatherStone': "اجمع الحجر الجيري (خام)",
+    'contracts.accepting': "جارٍ قبول العقد...",
+    'contracts.acceptFailed': "تعذّر قبول العقد!",
+    'contracts.accepted': "قُبل العقد! بدأت فترة الانتظار.",
+    'contracts.delivering': "جارٍ تسليم البضائع...",
+    'contracts.cooldownActive': {
+        one: "فترة انتظار التسليم سارية. حاول مجدداً بعد ثانية.",
+        two: "فترة انتظار التسليم سارية. حاول مجدداً بعد ثانيتين.",
+        few: "فترة انتظار التسليم سارية. حاول مجدداً بعد {count} ثوانٍ.",
+        many: "فترة انتظار التسليم سارية. حاول مجدداً بعد {count} ثانية.",
+        other: "فترة انتظار التسليم سارية. حاول مجدداً بعد {count} ثانية."
+    },
+    'contracts.missingResources': "خطأ: الموارد غير كافية لتنفيذ العقد!",
+    'contracts.bonus': "مكافأة العقود! +{amount} NOUB لإكمال {count} عقود!",
+    'contracts.completed': "اكتمل العقد! المكافآت: +{noub} 🪙، +{prestige} 🐞",
+    'contracts.detailsFailed': "تعذّر جلب تفاصيل العقد!",
+    'contracts.deliver': "تسليم",
+    'contracts.cooldown': "انتظار: {seconds} ث",
+    'contracts.accept': "اقبل العقد",
+    'contracts.requirements': "المتطلبات",
+    'contracts.rewards': "المكافآت",
+    'contracts.rewardNoub': "{amount} NOUB",
+    'contracts.rewardPrestige': "{amount} هيبة",
+    'contracts.loadingActive': "جارٍ تحميل العقود النشطة...",
+    'contracts.loadFailed': "تعذّر تحميل العقود.",
+    'contracts.noneActive': "ليس لديك عقود نشطة.",
+    'contracts.loadingAvailable': "جارٍ تحميل العقود المتاحة...",
+    'contracts.noneAvailable': "لا توجد عقود جديدة متاحة حالياً.",
+    'contracts.rewardsLabel': "المكافآت:",
+    'contracts.refreshing': "جارٍ تحديث العقود المتاحة...",
+    'contracts.refreshFailed': "تعذّر تحديث العقود!",
+    'contracts.refreshed': "تم تحديث العقود!",
+
+    // --- Economy (economy.js) ---
+    'economy.guildUnlocking': "جارٍ بدء بروتوكول النقابة...",
+    'economy.guildFailed': "خطأ في البروتوكول: تعذّر الفتح.",
+    'economy.guildTitle': "اختيار النقابة",
+    'economy.guildHint': "اختر مسار الصناعة المتخصص.",
+    'economy.buildNeedsNoub': "الرصيد غير كافٍ. تحتاج إلى {cost} 🪙",
+    'economy.buildConfirm': "بناء {name} مقابل {cost} NOUB؟",
+    'economy.built': "اكتمل البناء.",
+    'economy.maxLevel': "أعلى مستوى.",
+    'economy.upgradeNeeds': "تحتاج إلى {cost}🪙 + {count} كتل",
+    'economy.upgrading': "جارٍ الترقية...",
+    'economy.upgraded': "تمت الترقية إلى المستوى {level}!",
+    'economy.missingResource': "مورد ناقص: {name}",
+    'economy.productionStarted': "بدأ الإنتاج.",
+    'economy.collecting': "جارٍ الجمع...",
+    'economy.expertBonus': "مكافأة الخبير: إنتاج مضاعف!",
+    'economy.received': "استلمت {count}x {name}",
+    'economy.ready': "جاهز",
+    'economy.completed': "مكتمل",
+    'economy.unknownItem': "مجهول",
+    'economy.own': "لديك: {count}",
+    'economy.collectOutput': "اجمع الإنتاج",
+    'economy.workingButton': "قيد العمل...",
+    'economy.startProduction': "ابدأ الإنتاج",
+    'economy.assignedExpert': "الخبير المعيَّن",
+    'economy.dismiss': "إعفاء",
+    'economy.noExpert': "لا يوجد خبير معيَّن",
+    'economy.assignFromDeck': "عيّن من مجموعتك",
+    'economy.factoryLevel': "مستوى {level} / {max}",
+    'economy.upgradeCost': "التكلفة: {cost} 🪙",
+    'economy.upgradeFactory': "ترقية المصنع",
+    'economy.maxLevelReached': "بلغ أعلى مستوى",
+    'economy.noInputs': "لا مدخلات مطلوبة",
+    'economy.expertStats': "مستوى {level} • القوة {power}",
+    'economy.assignExpert': "تعيين خبير",
+    'economy.noExperts': "لا يوجد خبراء متاحون.",
+    'economy.expertAssigned': "عُيّن الخبير",
+    'economy.assignFailed': "خطأ في التعيين",
+    'economy.removeExpertConfirm': "إزالة الخبير؟",
+    'economy.expertRemoved': "أُزيل الخبير",
+    'economy.product': "منتج",
+    'economy.working': "يعمل",
+    'economy.buildCost': "البناء: {cost} 🪙",
+    'economy.empty': "فارغ",
+
+    // --- Exchange (exchange.js) ---
+    'exchange.heading': "مبادلة العملات (على طريقة DEX)",
+    'exchange.stepRequired': "يجب أن يكون مضاعفاً لـ {step}.",
+    'exchange.from': "من",
+    'exchange.to': "إلى",
+    'exchange.balance': "الرصيد: {amount} {icon}",
+    'exchange.max': "الكل",
+    'exchange.continue': "متابعة المبادلة",
+    'exchange.enterAmount': "أدخل مبلغاً لعرض التفاصيل.",
+    'exchange.error': "خطأ: {message}",
+    'exchange.insufficient': "الرصيد غير كافٍ. تحتاج إلى",
+    'exchange.preview': "ستستلم {received} {toIcon} مقابل {required} {fromIcon}.",
+    'exchange.invalidAmount': "فشلت العملية: مبلغ غير صالح أو رصيد غير كافٍ.",
+    'exchange.done': "اكتملت المبادلة! استلمت {amount} {currency}.",
+    'exchange.failed': "تعذّرت معالجة المبادلة!",
+
+    // --- Valley of the Kings (kvgame.js) ---
+    'kv.gateUnknown': "مجهول",
+    'kv.gateSonsOfRamses': "أبناء رمسيس الثاني",
+    'kv.gateTutankhamunCache': "مخبأ توت عنخ آمون؟",
+    'kv.gateAmarnaCache': "مخبأ العمارنة (إخناتون؟)",
+    'kv.gateGoldTomb': "المقبرة الذهبية؟",
+    'kv.gateChariotTomb': "مجهول (مقبرة العربة؟)",
+    'kv.timeLeft': "الوقت المتبقي: {seconds} ث",
+    'kv.hintSumLabel': "التلميح 1 (المجموع):",
+    'kv.hintProductLabel': "التلميح 2 (حاصل الضرب):",
+    'kv.hintParityLabel': "التلميح 3 (زوجي/فردي):",
+    'kv.hintParity': "{odds} فردي / {evens} زوجي",
+    'kv.hintLastDigitLabel': "التلميح 4: الرقم الأخير هو",
+    'kv.hintFree': "(مجاني)",
+    'kv.hintUsed': "(مستخدم)",
+    'kv.useHintScroll': "استخدم لفافة التلميح ({count})",
+    'kv.buyLastDigit': "اشترِ الرقم الأخير ({cost} ☥)",
+    'kv.useTimeAmulet': "استخدم تميمة الوقت ({count})",
+    'kv.buyTime': "اشترِ وقتاً (+45 ث) ({cost} ☥)",
+    'kv.needAnkh': "تحتاج إلى {cost} عنخ (☥) أو العنصر الاستهلاكي.",
+    'kv.hintScroll': "لفافة التلميح",
+    'kv.timeAmulet': "تميمة الوقت",
+    'kv.itemUsed': "استُخدمت {name}!",
+    'kv.itemBought': "اشتُريت {name} بعنخ بريميوم!",
+    'kv.won': "*تهانينا!* فككت رمز KV{gate}! +{noub} 🪙 و+{xp} XP!",
+    'kv.lost': "انتهت البعثة. الرمز الصحيح كان {code}. حاول مجدداً!",
+    'kv.attemptsLeft': "المحاولات المتبقية: {count}",
+    'kv.incorrect': "خطأ! في مكانها: {bulls}، في غير مكانها: {cows}",
+    'kv.codeLength': "الرمز: {count} أرقام",
+    'kv.guessPlaceholder': "أدخل الرمز... ({count} أرقام)",
+    'kv.startGate': "ابدأ بوابة KV{gate}",
+    'kv.allConquered': "فُتحت كل البوابات!",
+    'kv.fullyExplored': "وادي الملوك - مستكشف بالكامل!",
+
+    // --- Tomb Encyclopedia (library.js) ---
+    'library.title': "موسوعة المقابر",
+    'library.loading': "جارٍ تحميل المداخل...",
+    'library.loadFailed': "خطأ في تحميل بيانات الموسوعة.",
+    'library.unlocked': {
+        zero: "لم يُفتح أي مدخل.",
+        one: "معرفة جديدة! فُتح مدخل واحد في الموسوعة.",
+        two: "معرفة جديدة! فُتح مدخلان في الموسوعة.",
+        few: "معرفة جديدة! فُتحت {count} مداخل في الموسوعة.",
+        many: "معرفة جديدة! فُتح {count} مدخلاً في الموسوعة.",
+        other: "معرفة جديدة! فُتح {count} مدخل في الموسوعة."
+    },
+    'library.kvContent': "معلومات مفصلة عن مقبرة {name} وأهميتها.",
+    'library.enneadTitle': "التاسوع العظيم: {name}",
+    'library.unlockUnknown': "شرط الفتح غير معروف.",
+    'library.requiresGate': "يتطلب إكمال بوابة KV{gate}. (التقدم: KV{progress})",
+    'library.requiresPrevious': "يتطلب فتح مدخل التاسوع السابق أولاً.",
+    'library.requiresPurchase': "يُفتح بشراء مدخل '{title}' من المتجر.",
+    'library.lockedTag': "[مقفل]",
+    'library.secretKv62': "سر: نلت بركة الفرعون! تفقد عقودك لتجد مهمة خفية.",
+    'library.noSecret': "لا توجد مكافأة سرية معروفة لهذا المدخل بعد.",
+    'library.godRa': "رع (الشمس)",
+    'library.godRaDescription': "الإله الأعلى، خالق العالم.",
+    'library.godShu': "شو (الهواء)",
+    'library.godShuDescription': "إله الهواء والفصل.",
+    'library.godTefnut': "تفنوت (الرطوبة)",
+    'library.godTefnutDescription': "إلهة الرطوبة والنظام الكوني.",
+    'library.godGeb': "جب (الأرض)",
+    'library.godGebDescription': "إله الأرض والنبات.",
+    'library.godNut': "نوت (السماء)",
+    'library.godNutDescription': "إلهة السماء، تبتلع الشمس كل مساء.",
+    'library.godOsiris': "أوزوريس (العالم السفلي)",
+    'library.godOsirisDescription': "إله الحياة الآخرة والموتى والبعث.",
+    'library.godIsis': "إيزيس (السحر)",
+    'library.godIsisDescription': "إلهة السحر والأمومة والشفاء.",
+    'library.godSet': "ست (الفوضى)",
+    'library.godSetDescription': "إله الفوضى والعواصف والصحراء.",
+    'library.godNephthys': "نفتيس (الحداد)",
+    'library.godNephthysDescription': "إلهة الهواء والليل والحداد.",
+    'library.godHorus': "حورس (الملك)",
+    'library.godHorusDescription': "إله الملكية والسماء والحماية.",
+
+    // --- Market analytics (market_analytics.js) ---
+    'market.sourceSale': "شراء فوري",
+    'market.sourceAuction': "مزاد",
+    'market.sourceSwap': "مبادلة",
+    'market.sourceBundle': "حزمة",
+    'market.loadFailed': "تعذّر تحميل بيانات السوق.",
+    'market.rangeDays': "{count} يوم",
+    'market.lastTraded': "آخر تداول: {date}",
+    'market.never': "أبداً",
+    'market.lastPrice': "آخر سعر",
+    'market.avgPrice': "متوسط السعر",
+    'market.volume': "الحجم",
+    'market.trades': "الصفقات",
+    'market.low': "الأدنى",
+    'market.high': "الأعلى",
+    'market.priceRange': {
+        one: "السعر (آخر يوم)",
+        two: "السعر (آخر يومين)",
+        few: "السعر (آخر {count} أيام)",
+        many: "السعر (آخر {count} يوماً)",
+        other: "السعر (آخر {count} يوم)"
+    },
+    'market.scarcity': "الندرة",
+    'market.copies': "النسخ",
+    'market.owners': "المالكون",
+    'market.rarityRank': "ترتيب الندرة",
+    'market.recentSales': "أحدث المبيعات",
+    'market.noSales': "لا مبيعات بعملة NOUB في هذه الفترة.",
+    'market.loadingPrices': "جارٍ تحميل الأسعار...",
+    'market.scarcest': "الأندر",
+    'market.rowSummary': "{trades} صفقة • {copies} نسخة • {owners} مالك",
+    'market.volumeShort': "الحجم {amount}",
+    'market.noData': "لا توجد بيانات سوق بعد.",
+
+    // --- Royal rewards (ms_game.js) ---
+    'rewards.title': "المكافآت الملكية",
+    'rewards.tabVault': "الخزنة",
+    'rewards.tabDice': "النرد",
+    'rewards.tabCalendar': "التقويم",
+    'rewards.vaultTitle': "الخزنة الملكية (مستوى {level})",
+    'rewards.vaultNotReady': "الخزنة ليست جاهزة.",
+    'rewards.collected': "جُمع {amount} 🪙",
+    'rewards.vaultUpgraded': "رُقّيت إلى المستوى {level}!",
+    'rewards.storageFull': "المخزن ممتلئ",
+    'rewards.fillsIn': "تمتلئ خلال: {time}",
+    'rewards.claimGold': "استلم الذهب",
+    'rewards.upgrade': "ترقية ({cost}🪙)",
+    'rewards.needTickets': "تحتاج إلى تذاكر!",
+    'rewards.rolling': "جارٍ الرمي...",
+    'rewards.win': "فوز: {prize}",
+    'rewards.won': "ربحت: {prize}",
+    'rewards.diceTitle': "نرد الحظ",
+    'rewards.rollPrompt': "ارمِ النرد لتربح المكافآت!",
+    'rewards.tickets': "التذاكر: {count}",
+    'rewards.roll': "ارمِ النرد ({cost} 🎟️)",
+    'rewards.viewPrizes': "عرض الجوائز",
+    'rewards.prizes': "الجوائز",
+    'rewards.claimed': "استُلمت المكافأة!",
+    'rewards.received': "مُستلمة",
+    'rewards.claim': "استلم",
+    'rewards.missed': "فائتة",
+    'rewards.wait': "انتظر",
+
+    // --- Great projects (projects.js) ---
+    'projects.finished': "انتهى",
+    'projects.countdown': "{days}ي {hours}س {minutes}د",
+    'projects.needNoub': "لا يكفي NOUB. المطلوب: {amount}",
+    'projects.needPrestige': "لا تكفي الهيبة. المطلوب: {amount}",
+    'projects.subscribing': "جارٍ الاشتراك في المشروع...",
+    'projects.subscribed': "تم الاشتراك في \"{name}\" بنجاح!",
+    'projects.enterAmount': "يرجى إدخال كمية صحيحة.",
+    'projects.delivering': "جارٍ تسليم الموارد...",
+    'projects.delivered': "سُلّمت الموارد بنجاح!",
+    'projects.completedToast': "اكتمل المشروع: \"{name}\"! جارٍ استلام المكافآت النهائية...",
+    'projects.activeName': "{name} (نشط)",
+    'projects.timeRemaining': "الوقت المتبقي",
+    'projects.calculating': "جارٍ الحساب...",
+    'projects.yourContribution': "مساهمتك",
+    'projects.unknownItem': "العنصر #{id}",
+    'projects.amount': "الكمية",
+    'projects.deliver': "سلّم",
+    'projects.fulfilled': "مكتمل",
+    'projects.completed': "مكتمل",
+    'projects.minLevelShort': "مستوى {level}+",
+    'projects.viewDetails': "عرض التفاصيل",
+    'projects.locked': "مقفل",
+    'projects.none': "لا شيء",
+    'projects.duration': "المدة:",
+    'projects.days': {
+        one: "يوم واحد",
+        two: "يومان",
+        few: "{count} أيام",
+        many: "{count} يوماً",
+        other: "{count} يوم"
+    },
+    'projects.minLevel': "أدنى مستوى:",
+    'projects.subscriptionCost': "تكلفة الاشتراك",
+    'projects.prestigeCost': "{amount} 🐞 هيبة",
+    'projects.finalRewards': "المكافآت النهائية",
+    'projects.requiredMaterials': "المواد المطلوبة",
+    'projects.subscribe': "اشترك وابدأ",
+    'projects.loading': "جارٍ تدقيق حالة المشاريع وتحميلها...",
+    'projects.loadFailed': "خطأ في تحميل بيانات المشاريع.",
+    'projects.correcting': "جارٍ تصحيح حالة المشاريع المكتملة...",
+    'projects.listFailed': "خطأ في تحميل قائمة المشاريع.",
+    'projects.active': "مشاريعك النشطة",
+    'projects.available': "المشاريع المتاحة",
+    'projects.completedHeading': "المشاريع المكتملة",
+    'projects.empty': "لا توجد مشاريع عظيمة متاحة الآن. ارفع مستواك لفتح المزيد!",
+
+    // --- Dice of Destiny (wheel.js) ---
+    'wheel.title': "نرد القدر",
+    'wheel.prompt': "ارمِ النرد لتربح جائزة!",
+    'wheel.roll': {
+        one: "ارمِ النرد (تذكرة واحدة)",
+        two: "ارمِ النرد (تذكرتان)",
+        few: "ارمِ النرد ({count} تذاكر)",
+        many: "ارمِ النرد ({count} تذكرة)",
+        other: "ارمِ النرد ({count} تذكرة)"
+    },
+    'wheel.tickets': "تذاكر الدوران: {count}",
+    'wheel.viewPrizeTable': "عرض جدول الجوائز",
+    'wheel.prizeTable': "جدول الجوائز (1-10)",
+    'wheel.rolling': "جارٍ رمي النرد...",
+    'wheel.rollingFor': "...جارٍ الرمي على الجائزة #{id}...",
+
+    // --- Upgrade hub (upgrade.js) ---
+    'upgrade.processing': "جارٍ ترقية المصنع...",
+    'upgrade.missingCosts': "خطأ: ينقصك {item} أو {cost} NOUB للترقية.",
+    'upgrade.factoryUpgraded': "رُقّي المصنع! {name} مستوى {from} ← مستوى {to}",
+    'upgrade.loading': "جارٍ تحميل البطاقات...",
+    'upgrade.loadFailed': "خطأ في جلب البطاقات.",
+    'upgrade.empty': "ليست لديك بطاقات للترقية. زر المتجر!",
+    'upgrade.cardLevel': "مستوى {level}",
+    'upgrade.useMyCards': "تتم ترقية البطاقات من شاشة \"بطاقاتي\".",
+
+    // --- Tasks (tasks.js) ---
+    'tasks.ucp1': "ابدأ بروتوكولك",
+    'tasks.ucp1Description': "زر شاشة \"الدردشة مع إيف\"...",
+    'tasks.ucp2': "أكمل مقابلة إيف",
+    'tasks.ucp2Description': "أنهِ جميع أقسام إيف الرئيسية...",
+    'tasks.ucp3': "خض التحليل العميق",
+    'tasks.ucp3Description': "أكمل إحدى جلسات هيباتيا...",
+    'tasks.joinChat': "انضم إلى دردشة مجتمع NOUB",
+    'tasks.joinChannel': "اشترك في قناة NOUB NFTs",
+    'tasks.dailyClaim3': "استلم الإنتاج 3 مرات",
+    'tasks.dailyContract1': "أكمل عقداً واحداً",
+    'tasks.dailyAssign1': "عيّن خبيراً",
+    'tasks.weeklyProduce10': "أنتج 10 جرار فخارية",
+    'tasks.weeklyContracts5': "أكمل 5 عقود",
+    'tasks.weeklyUpgrade3': "رقِّ المباني 3 مرات",
+    'tasks.checkAndClaim': "تحقق واستلم",
+    'tasks.rewardClaimed': "استُلمت المكافأة: +{reward}",
+    'tasks.notReady': "المهمة ليست جاهزة للاستلام.",
+    'tasks.libraryUnlocked': "فُتح مدخل جديد في المكتبة: {title}!",
+    'tasks.notComplete': "المهمة لم تكتمل بعد!",
+    'tasks.claimed': "مُستلمة",
+    'tasks.claim': "استلم",
+    'tasks.go': "اذهب",
+    'tasks.working': "قيد التنفيذ...",
+    'tasks.progress': "التقدم: {current} / {target}",
+    'tasks.questClaimed': "استلمت {amount} NOUB!",
+    'tasks.questClaimFailed': "خطأ في استلام المكافأة أو أنها مُستلمة مسبقاً!",
+    'tasks.kvMilestones': "محطات وادي الملوك",
+    'tasks.dailyRewards': "المكافآت اليومية",
+    'tasks.dailyQuests': "المهام اليومية",
+    'tasks.weeklyRewards': "المكافآت الأسبوعية",
+    'tasks.weeklyQuests': "المهام الأسبوعية",
+    'tasks.oneTime': "مهام لمرة واحدة",
+
+    // --- Shop (shop.js) ---
+    'shop.packPapyrus': "حزمة لفافة البردي",
+    'shop.packPapyrusDescription': "تحتوي على بطاقة عشوائية واحدة (عادية مضمونة).",
+    'shop.packCanopic': "حزمة الجرة الكانوبية",
+    'shop.packCanopicDescription': "تحتوي على 3 بطاقات (نادرة مضمونة).",
+    'shop.packSarcophagus': "صندوق التابوت",
+    'shop.packSarcophagusDescription': "يحتوي على 5 بطاقات (ملحمية مضمونة).",
+    'shop.itemHintScroll': "لفافة التلميح (لعبة KV)",
+    'shop.itemHintScrollDescription': "تكشف الرقم الأخير من رمز KV الحالي.",
+    'shop.itemTimeAmulet45s': "تميمة الوقت (+45 ث)",
+    'shop.itemTimeAmulet45sDescription': "تضيف 45 ثانية إلى مؤقت لعبة KV.",
+    'shop.itemHintBundle': "حزمة من 5 تلميحات",
+    'shop.itemHintBundleDescription': "5 لفائف تلميح مقابل 5 عنخ بريميوم.",
+    'shop.itemInstantProd': "لفافة الإنتاج الفوري",
+    'shop.itemInstantProdDescription': "تُكمل فوراً إنتاجاً واحداً جارياً في مصنع.",
+    'shop.itemGodRa': "لفافة رع",
+    'shop.itemGodRaDescription': "يفتح مدخل \"رع\" في الموسوعة.",
+    'shop.itemGodShu': "لفافة شو",
+    'shop.itemGodShuDescription': "يفتح مدخل \"شو\" (يتطلب رع).",
+    'shop.itemGodTefnut': "لفافة تفنوت",
+    'shop.itemGodTefnutDescription': "يفتح مدخل \"تفنوت\".",
+    'shop.itemGodGeb': "لفافة جب",
+    'shop.itemGodGebDescription': "يفتح مدخل \"جب\".",
+    'shop.itemGodNut': "لفافة نوت",
+    'shop.itemGodNutDescription': "يفتح مدخل \"نوت\".",
+    'shop.itemGodOsiris': "لفافة أوزوريس",
+    'shop.itemGodOsirisDescription': "يفتح مدخل \"أوزوريس\".",
+    'shop.itemGodIsis': "لفافة إيزيس",
+    'shop.itemGodIsisDescription': "يفتح مدخل \"إيزيس\".",
+    'shop.itemGodSet': "لفافة ست",
+    'shop.itemGodSetDescription': "يفتح مدخل \"ست\".",
+    'shop.itemGodNephthys': "لفافة نفتيس",
+    'shop.itemGodNephthysDescription': "يفتح مدخل \"نفتيس\".",
+    'shop.itemGodHorus': "لفافة حورس",
+    'shop.itemGodHorusDescription': "يفتح مدخل \"حورس\".",
+    'shop.tonPackage1': "إيداع عنخ صغير",
+    'shop.tonPackage2': "إيداع عنخ كبير",
+    'shop.tonPackage3': "خزينة الفرعون",
+    'shop.balanceFailed': "خطأ في تحديث الرصيد.",
+    'shop.packBought': {
+        one: "اشتريت بطاقة واحدة! تفقد مجموعتك.",
+        two: "اشتريت بطاقتين! تفقد مجموعتك.",
+        few: "اشتريت {count} بطاقات! تفقد مجموعتك.",
+        many: "اشتريت {count} بطاقة! تفقد مجموعتك.",
+        other: "اشتريت {count} بطاقة! تفقد مجموعتك."
+    },
+    'shop.alreadyUnlocked': "هذا المدخل في الموسوعة مفتوح بالفعل!",
+    'shop.missingCurrency': "رصيدك لا يكفي!",
+    'shop.debitFailed': "خطأ في خصم التكلفة!",
+    'shop.unlockFailed': "خطأ في فتح مدخل المكتبة!",
+    'shop.unlocked': "فُتح في الموسوعة: {name}!",
+    'shop.acquired': "حصلت على {count} × {name}!",
+    'shop.tonConfirmed': "تأكد دفع TON! أُضيف {amount} ☥ عنخ بريميوم.",
+    'shop.tonWaitingWallet': "بانتظار تأكيد محفظة TON...",
+    'shop.tonFailed': "أُلغيت معاملة TON أو فشلت. تحقق من العنوان أو الرصيد.",
+    'shop.tonSent': "أُرسل الدفع. بانتظار تأكيد شبكة TON...",
+    'shop.tonPending': "ما زال دفعك قيد التأكيد. سيُضاف العنخ عند فتحك المتجر في المرة القادمة.",
+    'shop.unlockedButton': "مفتوح",
+    'shop.owned': "تملك: {count}",
+    'shop.tonConnectRequired': "يجب ربط محفظة TON لشراء عنخ بريميوم.",
+    'shop.tonConnectHint': "*استخدم زر 'ربط' أعلاه أو في الترويسة.",
+    'shop.tonPackageDescription': "احصل على {amount} ☥ عنخ بريميوم فوراً.",
+    'shop.buyTon': "اشترِ بـ {amount} TON",
+
+    // --- Global exchange (swap_screen.js) ---
+    'swap.expiry1h': "ساعة واحدة",
+    'swap.expiry24h': "24 ساعة",
+    'swap.expiry7d': "7 أيام",
+    'swap.modeCard': "بطاقة ⇄ بطاقة",
+    'swap.modeNoub': "بيع مقابل 🪙",
+    'swap.modeCardNoub': "بطاقة + 🪙",
+    'swap.modeBundle': "حزمة 📦",
+    'swap.title': "البورصة العالمية",
+    'swap.tabMarket': "السوق",
+    'swap.tabMyOffers': "عروضي",
+    'swap.tabPost': "انشر عرضاً",
+    'swap.tabDirect': "مباشر",
+    'swap.tabAuctions': "المزادات",
+    'swap.tabMyBids': "مزايداتي",
+    'swap.tabMyAuctions': "مزاداتي",
+    'swap.tabPrices': "الأسعار",
+    'swap.pricePlaceholder': "السعر 🪙",
+    'swap.createHeading': "أنشئ صفقة جديدة",
+    'swap.youGive': "تعطي",
+    'swap.youWant': "تريد",
+    'swap.note': "ملاحظة:",
+    'swap.escrowNote': "البطاقة التي تعرضها تُحفظ في الضمان.",
+    'swap.escrowNoteUse': "لا يمكن استخدامها حتى تنتهي الصفقة أو تلغيها.",
+    'swap.feeNote': "رسوم السوق: {percent}% (تُحرق). تستلم",
+    'swap.publish': "انشر العرض",
+    'swap.selectOwned': "اختر من مجموعتك",
+    'swap.selectWanted': "اختر البطاقة المطلوبة",
+    'swap.noCards': "لم يُعثر على بطاقات.",
+    'swap.listFailed': "خطأ في تحميل القائمة.",
+    'swap.expiresIn': "ينتهي العرض خلال",
+
+    // --- Global exchange: bundles and market (swap_screen.js) ---
+    'swap.published': "نُشر العرض!",
+    'swap.sendCounter': "أرسل عرضاً مضاداً",
+    'swap.sendDirect': "أرسل عرضاً مباشراً",
+    'swap.publishBundle': "انشر الحزمة",
+    'swap.counterTo': "عرض مضاد إلى {name}",
+    'swap.counterNote': "يُعاد عرضهم إليهم ويُرسل تعديلك بدلاً منه.",
+    'swap.discard': "تجاهل",
+    'swap.bundleEscrowNote': "كل ما تعطيه يُحفظ في الضمان",
+    'swap.bundleEscrowNoteDetail': "(البطاقات مقفلة والعناصر والعملات محجوزة) حتى تنتهي الصفقة أو تلغيها.",
+    'swap.bundleFeeNote': "رسوم السوق: {percent}% من أي NOUB يتبادل (تُحرق).",
+    'swap.recipientPlaceholder': "أرسل إلى لاعب (الاسم أو المعرّف) - اتركه فارغاً للسوق",
+    'swap.messagePlaceholder': "رسالة (اختياري)",
+    'swap.currency.noub': "NOUB",
+    'swap.currency.prestige': "الهيبة",
+    'swap.addCard': "بطاقة",
+    'swap.addItem': "عنصر",
+    'swap.addGive': "أضف شيئاً لتعطيه.",
+    'swap.addWant': "أضف شيئاً تريده.",
+    'swap.notEnoughItem': "لا يكفي {name}.",
+    'swap.cardInBundle': "هذه البطاقة موجودة في الحزمة بالفعل.",
+    'swap.noItems': "لم يُعثر على عناصر.",
+    'swap.selectStored': "اختر من مخزنك",
+    'swap.selectWantedItem': "اختر العنصر المطلوب",
+    'swap.counterSent': "أُرسل العرض المضاد!",
+    'swap.directSent': "أُرسل العرض المباشر!",
+    'swap.bundlePublished': "نُشرت الحزمة!",
+    'swap.refreshing': "جارٍ تحديث السوق...",
+    'swap.marketEmpty': "السوق فارغ حالياً.",
+    'swap.acceptTrade': "اقبل الصفقة",
+    'swap.buyNow': "اشترِ الآن ({amount} 🪙)",
+    'swap.merchant': "التاجر:",
+    'swap.price': "السعر:",
+    'swap.offerTag': "عرض",
+    'swap.item': "عنصر",
+
+    // --- Global exchange: offers (swap_screen.js) ---
+    'swap.bundleTag': "حزمة",
+    'swap.wantTag': "مطلوب",
+    'swap.acceptBundle': "اقبل الحزمة",
+    'swap.share': "شارك العرض",
+    'swap.shareText': "اطّلع على هذا العرض في سوق NOUB!",
+    'swap.shareFailed': "تعذّرت مشاركة رابط العرض.",
+    'swap.ownOffer': "هذا عرضك. تجده في عروضي.",
+    'swap.directOffer': "عرض مباشر",
+    'swap.marketOffer': "عرض في السوق",
+    'swap.priceHistory': "سجل الأسعار",
+    'swap.checking': "جارٍ التحقق من المتطلبات...",
+    'swap.needNoub': "تحتاج إلى {amount} 🪙 لشراء هذه البطاقة.",
+    'swap.buyConfirm': "أتشتري هذه البطاقة مقابل {amount} NOUB؟",
+    'swap.missingCard': "لا تملك البطاقة المطلوبة للمبادلة.",
+    'swap.copyStats': "مستوى {level} • قوة {power}",
+    'swap.select': "اختر",
+    'swap.confirmPayment': "تأكيد الدفع",
+    'swap.pickCopy': "اختر النسخة التي تريد إعطاءها:",
+    'swap.pickCopyPlus': "اختر النسخة التي تريد إعطاءها (مع {amount} 🪙):",
+    'swap.executing': "جارٍ تنفيذ الصفقة...",
+    'swap.tradeComplete': "اكتملت الصفقة! استلمت: {name}",
+    'swap.tradeCompletePaid': "اكتملت الصفقة! استلمت: {name} مقابل {amount} 🪙",
+    'swap.needItem': "تحتاج إلى {count} × {name}.",
+    'swap.needCurrency': "تحتاج إلى {amount} {icon}.",
+    'swap.acceptBundleConfirm': "أتقبل هذه الحزمة؟ ستُدفع العناصر والعملات المطلوبة الآن.",
+    'swap.notEnoughCopies': "لا تملك نسخاً كافية من {name}.",
+    'swap.pickCopies': "اختر النسخ التي تريد إعطاءها:",
+    'swap.pickDifferentCopies': "اختر نسخة مختلفة لكل بطاقة مطلوبة.",
+    'swap.bundleComplete': "اكتملت صفقة الحزمة!",
+    'swap.bundleCompletePaid': "اكتملت صفقة الحزمة! (دُفع {amount} 🪙)",
+    'swap.syncing': "جارٍ المزامنة...",
+    'swap.noActiveOffers': "ليست لديك عروض نشطة.",
+    'swap.activeOffer': "عرض نشط",
+    'swap.youAsk': "تطلب",
+    'swap.cancelOffer': "ألغِ العرض",
+    'swap.directTo': "مباشر إلى {name}",
+    'swap.activeBundle': "حزمة نشطة",
+    'swap.history': "السجل",
+    'swap.cancelConfirm': "أتلغي هذا العرض؟ سيُعاد إليك كل ما في الضمان.",
+    'swap.cancelled': "أُلغي العرض.",
+    'swap.cancelFailed': "تعذّر الإلغاء.",
+    'swap.directIntro': "عروض مرسلة إليك وحدك. لإرسال عرض، ابنِ حزمة في",
+    'swap.directIntroEnd': "وأدخل اسم لاعب.",
+    'swap.noDirect': "لا توجد عروض موجهة إليك.",
+
+    // --- Global exchange: direct trades (swap_screen.js) ---
+    'swap.from': "من:",
+    'swap.youGetTag': "تحصل على",
+    'swap.youGiveTag': "تعطي",
+    'swap.accept': "اقبل",
+    'swap.counter': "عرض مضاد",
+    'swap.decline': "ارفض",
+    'swap.declineConfirm': "أترفض هذا العرض؟ يستعيد المرسل أصوله.",
+    'swap.declined': "رُفض العرض.",
+    'swap.missingForCounter': {
+        one: "لا تملك بطاقة واحدة من البطاقات المطلوبة. عدّل العرض المضاد.",
+        two: "لا تملك بطاقتين من البطاقات المطلوبة. عدّل العرض المضاد.",
+        few: "لا تملك {count} بطاقات من البطاقات المطلوبة. عدّل العرض المضاد.",
+        many: "لا تملك {count} بطاقة من البطاقات المطلوبة. عدّل العرض المضاد.",
+        other: "لا تملك {count} بطاقة من البطاقات المطلوبة. عدّل العرض المضاد."
+    },
+    'swap.threadOffer': "عرض",
+    'swap.threadCounter': "عرض مضاد",
+    'swap.threadAccepted': "مقبول",
+    'swap.threadDeclined': "مرفوض",
+    'swap.threadCancelled': "ملغى",
+    'swap.threadExpired': "منتهٍ",
+    'swap.threadFailed': "تعذّر تحميل سجل الصفقة.",
+    'swap.you': "أنت",
+    'swap.givesTag': "يعطي",
+    'swap.asksTag': "يطلب",
+    'swap.threadTitle': "سجل التفاوض",
+    'swap.threadEmpty': "لا توجد مدخلات بعد.",
+    'swap.expiredToast': "انتهى العرض: {summary}. أُعيد إليك كل شيء.",
+    'swap.expiring': "ينتهي الآن...",
+    'swap.expiresInDays': "ينتهي خلال {days}ي {hours}س",
+    'swap.expiresInHours': "ينتهي خلال {hours}س",
+    'swap.expiresInMinutes': "ينتهي خلال {minutes}د",
+
+    // --- Eve chat (UCP) ---
+    'chat.title': "محادثة مع إيف",
+    'chat.placeholder': "تحدث مع إيف...",
+    'chat.send': "إرسال",
+    'chat.you': "أنت",
+    'chat.myFriend': "يا صديقي",
+    'chat.loadFailed': "خطأ فادح: تعذّر تحميل بيانات البروتوكول!",
+    'chat.answerPlaceholder': "اكتب إجابتك هنا...",
+    'chat.yes': "نعم",
+    'chat.no': "لا",
+    'chat.section': "[القسم: {title}]",
+    'chat.mentalState.question': "أهلاً بك! قبل أن نبدأ، كيف تصف حالتك الذهنية الآن؟",
+    'chat.mentalState.good': "جيدة / مركّز 😊",
+    'chat.mentalState.average': "متوسطة / مشتت قليلاً 😐",
+    'chat.mentalState.bad': "سيئة / غير مركّز 😟",
+    'chat.hypatia.question': "لقد أكملت المرحلة التأسيسية مع إيف. أنا هيباتيا 🦉، وسأساعدك في استكشاف أعمق. أي طريق تختار؟",
+    'chat.hypatia.philosophical': "الاستكشاف الفكري (أسئلة فلسفية)",
+    'chat.hypatia.scaled': "التحليل السلوكي (أسئلة مقياسية)",
+    'chat.hypatia.finish': "إنهاء جمع البيانات الآن",
+    'chat.scaledPrompt': "على مقياس من 1 إلى 5، إلى أي مدى تنطبق عليك العبارة التالية؟",
+    'chat.complete': "ممتاز! لقد أكملنا رحلة بناء بروتوكولك. بصمتك المعرفية جاهزة الآن.",
+    'chat.exportButton': "توليد وتصدير البروتوكول النهائي",
+    'chat.saved': "تم تحديث البروتوكول",
+    'chat.welcomeBack': "أهلاً بعودتك يا {name}! لنكمل من حيث توقفنا.",
+    'chat.generating': "جارٍ توليد البروتوكول...",
+    'chat.exported': "تم تصدير البروتوكول بنجاح!",
+    'chat.export.main': "أقسام البيانات الرئيسية",
+    'chat.export.eve': "أسئلة إيف الإبداعية",
+    'chat.export.hypatia': "تحليل هيباتيا المعمّق",
+    'chat.export.philosophical': "الجلسة الفلسفية",
+    'chat.export.scaled': "جلسة التحليل السلوكي"
+};
@@ -0,0 +1,1030 @@
+/*
+ * Filename: js/locales/en.js
+ * Version: NOUB 0.1.0 (English Messages)
+ * Description: English message catalog for js/i18n.js, and the fallback
+ * for keys another language does not have yet. Plural messages list the
+ * one/other forms; {name} is a placeholder.
+ */
+
+export const MESSAGES = {
+    // --- Shared ---
+    'common.loading': "Loading...",
+    'common.tryAgain': "Try Again",
+    'common.reloadApp': "Reload App",
+    'common.linkCopied': "Link copied.",
+    'common.confirmTitle': "Confirm Action",
+    'common.confirm': "Confirm",
+    'common.cancel': "Cancel",
+    'common.explorer': "Explorer",
+    'common.levelUp': "LEVEL UP! You have reached Level {level}!",
+
+    'errors.network': "Connection problem. Check your internet and try again.",
+    'errors.conflict': "This changed in the meantime. Refresh and try again.",
+    'errors.insufficient_funds': "Not enough resources for this.",
+    'errors.validation': "That request is not valid.",
+    'errors.auth': "Your session has expired. Please log in again.",
+    'errors.server': "Something went wrong on our side. Please try again.",
+
+    // --- Data-layer errors (api.js) ---
+    'errors.balanceWriteDenied': "Balances can only change through the ledger.",
+    'errors.progressWriteDenied': "This progress can only change through the game.",
+    'errors.insufficientResources': "Insufficient resources.",
+    'errors.currencyUnknown': "Unknown currency: {currency}",
+    'errors.ledgerNegativeAmount': "Ledger amounts must be positive.",
+    'errors.ledgerForbidden': "You can only spend your own balance.",
+    'errors.notEnough.noub': "Not enough NOUB.",
+    'errors.notEnough.prestige': "Not enough Prestige.",
+    'errors.notEnough.ankh': "Not enough Ankh Premium.",
+    'errors.notEnough.tickets': "Not enough Spin Tickets.",
+    'errors.accountEmailRequired': "Enter the email address of your account.",
+    'errors.emailInvalid': "Enter a valid email address.",
+    'errors.passwordTooShort': "Password should be at least {min} characters.",
+    'errors.authNoAccount': "No account uses that email. Sign up instead.",
+    'errors.telegramInvalid': "Telegram could not confirm your identity. Reopen the game from the bot and try again.",
+    'errors.telegramAlreadyLinked': "This Telegram account is already linked to another player.",
+    'errors.telegramPlayerLinked': "Your account is already linked to a different Telegram account.",
+    'errors.telegramLinkAuth': "Log in again before linking Telegram.",
+    'errors.telegramSigninFailed': "Telegram sign-in is unavailable right now. Please use email instead.",
+    'errors.telegramVerifierNotConfigured': "Telegram sign-in is not set up for this build.",
+    'errors.swapForbidden': "You are not allowed to change this offer.",
+    'errors.swapNotActive': "Offer is no longer available.",
+    'errors.swapOwnOffer': "You cannot accept your own offer.",
+    'errors.swapEscrowMissing': "The offered card is no longer held in escrow.",
+    'errors.swapNotOwner': "You do not own that card.",
+    'errors.swapCardLocked': "That card is locked in another trade.",
+    'errors.swapSoulbound': "The Soul Card cannot be traded.",
+    'errors.swapCardIsExpert': "That card is assigned as a factory expert. Dismiss it first.",
+    'errors.swapWrongCard': "That card does not match what the offer asks for.",
+    'errors.swapUnknownCard': "The requested card does not exist.",
+    'errors.swapBadPrice': "The price must be a positive amount of NOUB.",
+    'errors.swapEmptyAsk': "Ask for a card, a NOUB price, or both.",
+    'errors.swapEmptyBundle': "Add at least one card, item or currency amount to your side.",
+    'errors.swapNotEnoughItems': "Not enough items for this trade.",
+    'errors.swapBadQuantity': "Quantities must be whole positive numbers.",
+    'errors.swapBadCurrency': "Only NOUB and Prestige can be traded.",
+    'errors.swapUnknownItem': "The requested item does not exist.",
+    'errors.swapUnknownRecipient': "No player found with that name or ID.",
+    'errors.swapRecipientAmbiguous': "Several players share that name. Use their player ID instead.",
+    'errors.swapSelfRecipient': "You cannot send a trade to yourself.",
+    'errors.swapNotRecipient': "This trade was not addressed to you.",
+    'errors.swapBadExpiry': "Offers can last from 1 hour to 7 days.",
+    'errors.swapExpired': "This offer has expired.",
+    'errors.cardInEscrow': "That card is held in escrow by an open trade.",
+    'errors.tradeAccountTooNew': {
+        one: "New accounts cannot trade yet. Try again in about {count} hour.",
+        other: "New accounts cannot trade yet. Try again in about {count} hours."
+    },
+    'errors.tradeLevelTooLow': "Reach level {count} to trade on the market.",
+    'errors.tradeDailyCap': "Daily limit reached: {count} market actions per 24 hours.",
+    'errors.tradeCardCooldown': {
+        one: "That card was acquired recently. It can be traded again in about {count} hour.",
+        other: "That card was acquired recently. It can be traded again in about {count} hours."
+    },
+    'errors.auctionForbidden': "You are not allowed to change this auction.",
+    'errors.auctionClosed': "This auction has already ended.",
+    'errors.auctionOwn': "You cannot bid on your own auction.",
+    'errors.auctionAlreadyLeading': "You already hold the highest bid.",
+    'errors.auctionHasBids': "An auction with bids cannot be cancelled.",
+    'errors.auctionBadPrice': "The start price must be at least 1 NOUB.",
+    'errors.auctionBadBuyout': "The buyout price must be higher than the start price.",
+    'errors.auctionBadDuration': "Auctions can run from 1 hour to 7 days.",
+    'errors.auctionBidTooLow': "Bid at least {amount} NOUB.",
+    'errors.referralSelf': "You cannot use your own invite link.",
+    'errors.referralUnknown': "That invite link is not valid.",
+    'errors.referralAlready': "You have already joined through an invite.",
+    'errors.referralTooLate': "Invite links only work for new kingdoms.",
+    'errors.referralLoop': "You cannot join through the invite of a friend you invited.",
+    'errors.referralDailyCap': "Your friend's invite link has reached today's limit of {count}.",
+    'errors.rewardAlreadyClaimed': "You have already claimed this reward.",
+    'errors.rewardNotReady': "Complete the task before claiming its reward.",
+    'errors.rewardUnknown': "This reward is not available.",
+    'errors.contractNotFound': "This contract is no longer yours.",
+    'errors.contractNotActive': "This contract is already delivered.",
+    'errors.contractCooldown': "The contract is still being prepared. Try again in a minute.",
+    'errors.contractMissingItems': "You do not have all the goods this contract asks for.",
+    'errors.albumIncomplete': "Collect every card of the album first.",
+    'errors.projectNotFound': "This project is no longer yours.",
+    'errors.projectNotActive': "This project is already completed.",
+    'errors.projectIncomplete': "Deliver every resource before completing the project.",
+    'errors.projectLevelTooLow': "Your level is too low for this project.",
+    'errors.projectSpecializationRequired': "This project requires a specialization you do not have.",
+    'errors.projectAlreadyJoined': "You have already joined this project.",
+    'errors.projectItemNotNeeded': "This project does not need that resource.",
+    'errors.projectMissingItems': "Not enough resources in your inventory.",
+    'errors.projectDeliveryTooLarge': "You only need to deliver {left} more.",
+    'errors.kvNoGame': "This expedition has already ended.",
+    'errors.kvAllGatesOpen': "You have conquered all known gates!",
+    'errors.kvItemUnknown': "This item cannot be used in the Valley.",
+    'errors.kvHintShown': "Last digit hint already revealed.",
+    'errors.kvBadGuess': "Enter exactly {count} digits.",
+    'errors.factoryBusy': "This factory is already producing.",
+    'errors.factoryMissingInputs': "You do not have the resources this production needs.",
+    'errors.factoryNotFound': "This factory is no longer yours.",
+    'errors.factoryNotStarted': "This factory is not producing anything.",
+    'errors.factoryNotReady': "Production is not finished yet.",
+    'errors.factoryMaxLevel': "This factory is already at its highest level.",
+    'errors.factoryMissingMaterials': "You need 10 Limestone Blocks for this upgrade.",
+    'errors.cardNotFound': "That card is no longer in your collection.",
+    'errors.cardInUse': "This card works as a factory expert. Unassign it first.",
+    'errors.cardSoulbound': "The Soul Card is bound to you and cannot be sacrificed.",
+    'errors.cardPackUnknown': "This pack is not available.",
+    'errors.soulCardProtocolIncomplete': "Protocol Incomplete. Please finish the UCP with Eve first.",
+    'errors.soulCardExists': "Soul Card already minted.",
+    'errors.vaultNotReady': "The vault is empty. Come back later.",
+    'errors.eventNotToday': "This event can only be claimed on its day.",
+    'errors.exchangePairUnknown': "This exchange is not available.",
+    'errors.exchangeBadAmount': "Exchange a whole multiple of {step}.",
+    'errors.tonPackageUnknown': "This package is not available.",
+    'errors.tonWalletRequired': "Connect your TON wallet first.",
+    'errors.tonDepositUnknown': "This purchase was not found.",
+    'errors.tonDepositAuth': "Sign in again to finish the purchase.",
+    'errors.tonDepositFailed': "The payment could not be checked right now. Try again shortly.",
+
+    // --- Shell (index.html, ui.js) ---
+    'nav.home': "Home",
+    'nav.economy': "Economy",
+    'nav.myCards': "My Cards",
+    'nav.tasks': "Tasks",
+    'nav.more': "More",
+    'more.activity': "Activity Log",
+    'more.history': "Game History",
+    'more.settings': "Settings",
+
+    'sync.offline': "⚠ Offline",
+    'sync.offlinePending': "⚠ Offline · {count}",
+    'sync.syncing': "⟳ Syncing {count}",
+    'sync.pending': "⟳ {count} pending",
+    'sync.pendingTitle': {
+        one: "{count} change will be saved when the connection is back.",
+        other: "{count} changes will be saved when the connection is back."
+    },
+    'sync.noConnection': "No connection.",
+
+    // --- Login & accounts (auth.js) ---
+    'auth.continueTelegram': "Continue with Telegram",
+    'auth.playAsGuest': "Play as Guest",
+    'auth.loginTitle': "Login",
+    'auth.login': "Login",
+    'auth.email': "Email",
+    'auth.password': "Password",
+    'auth.username': "Username",
+    'auth.toRegister': "No account? Sign up now",
+    'auth.toRecovery': "Forgot password? Log in with an email link",
+    'auth.toLogin': "Already have an account? Login",
+    'auth.recoveryTitle': "Email Me a Link",
+    'auth.sendLoginLink': "Send Login Link",
+    'auth.resetPassword': "Reset Password",
+    'auth.backToLogin': "Back to Login",
+    'auth.newPasswordTitle': "Choose a New Password",
+    'auth.newPassword': "New password",
+    'auth.repeatPassword': "Repeat new password",
+    'auth.savePassword': "Save Password",
+    'auth.registerTitle': "Create New Account",
+    'auth.signUp': "Sign Up",
+    'auth.creating': "Creating...",
+    'auth.signupFailed': "Signup failed.",
+    'auth.magicLinkSent': "Check your inbox: the link logs you straight in.",
+    'auth.resetLinkSent': "If an account uses that email, a reset link is on its way.",
+    'auth.passwordsMismatch': "The passwords do not match.",
+    'auth.passwordUpdated': "Password updated.",
+    'auth.sessionExpired': "Your session has expired. Log in again to continue where you left off.",
+    'auth.initializing': "Initializing Kingdom...",
+    'auth.profileCreateFailed': "Could not create your profile. Please try again.",
+    'auth.referralWelcome': "Welcome! {name} invited you: bonus added to your treasury.",
+    'auth.referralWelcomeHeld': "Welcome! {name} invited you. Secure your account to collect your bonus.",
+    'auth.yourFriend': "Your friend",
+    'auth.guestLogoutConfirm': "Guests cannot log back in: this kingdom will be out of reach for good. Log out anyway?",
+    'auth.secureTitle': "Secure Your Kingdom",
+    'auth.secureIntro': "You are playing as a guest. Add an email or Telegram to keep your progress and play on any device.",
+    'auth.secureRetention': {
+        one: "Guest kingdoms are removed after {days} days: {count} day left.",
+        other: "Guest kingdoms are removed after {days} days: {count} days left."
+    },
+    'auth.passwordHint': "Password (6+ characters)",
+    'auth.secureWithEmail': "Secure with Email",
+    'auth.secureWithTelegram': "Secure with Telegram",
+    'auth.secureConfirmEmail': "Almost done: confirm the link we sent to {email}.",
+    'auth.securedEmail': "Kingdom secured! Log in with your email from now on.",
+    'auth.securedTelegram': "Kingdom secured! Opening the game from Telegram signs you in.",
+
+    // --- Home ---
+    'home.activeGameplay': "Active Gameplay",
+    'home.kvGame': "KV Game",
+    'home.royalVault': "Royal Vault",
+    'home.management': "Kingdom Management",
+    'home.contracts': "Contracts",
+    'home.projects': "Projects",
+    'home.p2pMarket': "P2P Market",
+    'home.library': "Library",
+    'home.exchange': "Exchange",
+    'home.eveChat': "Eve Chat",
+    'home.guestBanner': {
+        one: "Playing as a guest. Your kingdom is kept for {count} more day.",
+        other: "Playing as a guest. Your kingdom is kept for {count} more days."
+    },
+    'home.secureIt': "Secure It",
+
+    // --- Screen titles and tabs (index.html) ---
+    'economy.title': "Economy Hub",
+    'economy.production': "Production",
+    'economy.resources': "Resources",
+    'economy.materials': "Materials",
+    'economy.goods': "Goods",
+    'economy.resourceBuildings': "Resource Buildings",
+    'economy.workshops': "Crafting Workshops",
+    'tasks.title': "Daily Tasks",
+    'contracts.title': "Royal Decrees",
+    'contracts.active': "Active Contracts",
+    'contracts.available': "Available Contracts",
+    'contracts.refresh': "Refresh",
+    'kv.title': "Valley of the Kings - Crack the Code",
+    'kv.expeditionLogs': "📜 Review Expedition Logs",
+    'exchange.title': "Currency Exchange",
+    'projects.title': "Great Projects",
+    'shop.title': "Shop",
+    'shop.cardPacks': "Card Packs",
+    'shop.gameItems': "Game Items",
+    'shop.tonExchange': "TON Exchange",
+
+    // --- Profile ---
+    'profile.defaultName': "Architect",
+    'profile.level': "Level {level}",
+    'profile.novice': "Novice",
+    'profile.progression': "Progression (XP)",
+    'profile.identityMatrix': "Identity Matrix",
+    'profile.soulMirrorActive': "Soul Mirror Active",
+    'profile.analysisComplete': "Protocol Analysis Complete",
+    'profile.identityMapped': "Your intellectual identity has been mapped.",
+    'profile.mintSoulCard': "Materialize Soul Card",
+    'profile.minting': "Calculating DNA...",
+    'profile.minted': "Soul Materialized! Power: {power}",
+    'profile.mintFailed': "Minting failed.",
+    'profile.missingProtocol': "Missing Protocol",
+    'profile.missingProtocolHint': "Complete the UCP process with Eve to generate your Soul DNA.",
+    'profile.statistics': "Statistics",
+    'profile.cards': "Cards",
+    'profile.contracts': "Contracts",
+    'profile.path': "Path",
+    'profile.treasury': "Treasury",
+    'profile.ankh': "Ankh",
+    'profile.prestige': "Prestige",
+    'profile.tickets': "Tickets",
+    'profile.logout': "Log Out",
+    'profile.friends': "Friends",
+    'profile.friendsCount': "Friends ({count})",
+    'profile.friendsLoadFailed': "Could not load your friends.",
+    'profile.invite': "Invite",
+    'profile.inviteText': "Build your kingdom with me in NOUB!",
+    'profile.copyInvite': "Copy the invite link above.",
+    'profile.friendJoins': "Friend joins",
+    'profile.friendReaches': "Friend reaches Lv {level}",
+    'profile.noFriends': "No friends yet. Share your link: they get {reward} to start.",
+    'profile.friendLevel': "Lv {level}",
+    'profile.friendGuest': "guest: rewards wait until the account is secured",
+    'profile.bonusPaid': "Bonus paid",
+    'profile.notReached': "Not reached yet",
+
+    // --- Settings ---
+    'settings.title': "Settings & Preferences",
+    'settings.language': "Language",
+    'settings.languageChanged': "Language set to English.",
+    'settings.game': "Game Settings",
+    'settings.soundEnabled': "Sound",
+    'settings.animationEnabled': "Animation",
+    'settings.toggleOn': "{name}: ON",
+    'settings.toggleOff': "{name}: OFF",
+    'settings.toggleSaved': "{name} settings updated.",
+    'settings.profile': "Player Profile",
+    'settings.explorerName': "Explorer Name:",
+    'settings.usernamePlaceholder': "Enter new username",
+    'settings.saveName': "Save Name",
+    'settings.usernameTooShort': "Username must be at least 3 characters.",
+    'settings.usernameUnchanged': "Username not changed.",
+    'settings.usernameFailed': "Error: Failed to update username!",
+    'settings.usernameSaved': "Username updated to {name}!",
+    'settings.avatarTitle': "Avatar Selection",
+    'settings.avatarHint': "Select your avatar and click Apply.",
+    'settings.applyAvatar': "Apply Selected Avatar",
+    'settings.avatar.default_explorer': "Default Explorer",
+    'settings.avatar.pharaoh_mask': "Pharaoh Mask",
+    'settings.avatar.eve_guide': "Eve Guide (Premium)",
+    'settings.avatar.anubis_icon': "Anubis Icon",
+    'settings.avatarUnlocked': "UNLOCKED",
+    'settings.avatarLevelReq': "LVL {level} Req.",
+    'settings.avatarCostAnkh': "{count} Ankh",
+    'settings.avatarCostLevel': "Level {level}",
+    'settings.avatarUnlockHint': "Unlock {name} for {count} Ankh Premium in the Shop!",
+    'settings.avatarLocked': "This avatar is locked!",
+    'settings.avatarSelected': "Selected: {name}",
+    'settings.avatarUnchanged': "Avatar is already set to the selected image.",
+    'settings.avatarFailed': "Error: Failed to update avatar!",
+    'settings.avatarSaved': "Avatar updated successfully!",
+    'settings.telegramLoadFailed': "Could not load the Telegram link.",
+    'settings.telegramLinked': "Linked to {name}. Opening the game from Telegram signs you in.",
+    'settings.telegramOpenFromBot': "Open the game from the Telegram bot to link your Telegram account.",
+    'settings.telegramLinkHint': "Link this Telegram account to sign in with one tap next time.",
+    'settings.linkTelegram': "Link Telegram",
+    'settings.telegramLinkedToast': "Telegram account linked!",
+    'settings.support': "Support",
+    'settings.supportHint': "Found a bug? Copy the diagnostics and attach them to your report.",
+    'settings.copyDiagnostics': "Copy Diagnostics",
+    'settings.diagnosticsCopied': "Diagnostics copied. Paste them into your bug report.",
+    'settings.diagnosticsManual': "Copy the report below into your bug report.",
+
+    // --- Activity & history (activity.js, history.js) ---
+    'activity.title': "Activity Log",
+    'activity.loading': "Loading activity...",
+    'activity.loadFailed': "Error loading activity log.",
+    'activity.empty': "No activities recorded yet.",
+    'history.title': "Game History (KV Expeditions)",
+    'history.loading': "Loading history...",
+    'history.loadFailed': "Error loading game history.",
+    'history.empty': "No expeditions recorded yet. Start a KV Game!",
+    'history.entryTitle': "{game} - Level KV{level}",
+    'history.win': "Win",
+    'history.lossManual': "Loss (Manual)",
+    'history.lossTime': "Loss (Time)",
+    'history.incomplete': "Incomplete",
+    'history.date': "Date: {date}",
+    'history.timeSpent': "Time Spent: {seconds}s",
+    'history.code': "Code: {code}",
+
+    // --- Albums (albums.js) ---
+    'albums.title': "Album Catalog",
+    'albums.ennead': "The Sacred Ennead",
+    'albums.enneadDescription': "Collect the nine foundational deities of creation.",
+    'albums.rulers': "Pharaonic Rulers",
+    'albums.rulersDescription': "Collect the nine greatest Pharaohs and Queens of Egypt.",
+    'albums.creatures': "Mythological Creatures",
+    'albums.creaturesDescription': "Collect the nine powerful and ancient mythical beings.",
+    'albums.claim': "Claim",
+    'albums.claimed': "Claimed",
+    'albums.progress': "Progress",
+    'albums.collected': "{count}/{total} Cards Collected",
+    'albums.notFound': "Album data not found.",
+    'albums.unknownCard': "Unknown Card #{id}",
+    'albums.missing': "MISSING",
+    'albums.cardLevel': "LVL {level}",
+    'albums.back': "Back",
+    'albums.set': "SET {number}/{total}",
+    'albums.notOwned': "You do not own this card yet. Find {id}!",
+    'albums.openingCard': "Opening details for card {id}.",
+    'albums.claiming': "Processing album reward...",
+    'albums.claimedToast': "Album Reward Claimed! +{noub} 🪙, +{prestige} 🐞, +{ankh} ☥",
+    'albums.findCard': "Find this card to unlock details!",
+
+    // --- Auction house (auction_house.js) ---
+    'auction.statusLive': "LIVE",
+    'auction.statusSold': "SOLD",
+    'auction.statusUnsold': "NO BIDS",
+    'auction.statusCancelled': "CANCELLED",
+    'auction.loading': "Loading auctions...",
+    'auction.noneRunning': "No auctions are running.",
+    'auction.leading': "You hold the highest bid.",
+    'auction.bid': "Bid",
+    'auction.buyout': "Buyout ({amount} 🪙)",
+    'auction.enterBid': "Enter a bid amount.",
+    'auction.bidNeedsNoub': "You need {amount} 🪙 to place this bid.",
+    'auction.placingBid': "Placing bid...",
+    'auction.boughtOut': "Bought out! The card is yours.",
+    'auction.bidPlaced': "Bid of {amount} 🪙 placed.",
+    'auction.noBids': "You have not bid on any auctions.",
+    'auction.winning': "Winning",
+    'auction.outbid': "Outbid (refunded)",
+    'auction.won': "Won",
+    'auction.lost': "Lost (refunded)",
+    'auction.yourBid': "Your bid:",
+    'auction.received': "Received {amount} 🪙 (fee {fee} burned).",
+    'auction.cancel': "Cancel Auction",
+    'auction.noneListed': "You have not listed any auctions.",
+    'auction.yourAuctions': "Your Auctions",
+    'auction.hoursShort': "{count}h",
+    'auction.daysShort': "{count}d",
+    'auction.listCard': "List a Card",
+    'auction.selectCard': "Select Card...",
+    'auction.startPlaceholder': "Start 🪙",
+    'auction.buyoutPlaceholder': "Buyout 🪙 (optional)",
+    'auction.escrowNote': "The card is held in escrow until the auction ends.",
+    'auction.feeNote': "Market fee: {percent}% of the winning bid (burned).",
+    'auction.start': "Start Auction",
+    'auction.selectCardFirst': "Select a card to auction.",
+    'auction.setStartPrice': "Set a start price.",
+    'auction.processing': "Processing...",
+    'auction.started': "Auction started!",
+    'auction.cancelConfirm': "Cancel this auction? Your card will be returned to you.",
+    'auction.cancelled': "Auction cancelled.",
+    'auction.noBidsYet': "No bids",
+    'auction.card': "Card",
+    'auction.currentBid': "Bid:",
+    'auction.bidCount': {
+        one: "{count} bid",
+        other: "{count} bids"
+    },
+    'auction.buyoutPrice': "Buyout {amount} 🪙",
+    'auction.ending': "Ending...",
+
+    // --- Collection (collection.js) ---
+    'collection.title': "Treasury & Archives",
+    'collection.albums': "Albums",
+    'collection.enneadDescription': "The nine foundational deities of creation.",
+    'collection.rulersDescription': "Greatest Kings and Queens of Egypt.",
+    'collection.beasts': "Mythological Beasts",
+    'collection.beastsDescription': "Guardians and creatures from the Duat.",
+    'collection.dendera': "Dendera Temple",
+    'collection.denderaDescription': "Secrets of Astronomy, Time, and Science.",
+    'collection.arsenal': "Royal Arsenal",
+    'collection.arsenalDescription': "Tools of War and Military Might.",
+    'collection.empty': "Collection Empty",
+    'collection.power': "PWR: {power}",
+    'collection.level': "Lvl {level}",
+    'collection.soulImmutable': "Soul Card is Immutable.",
+    'collection.ready': "Ready",
+    'collection.manage': "Manage",
+    'collection.busyExpert': "Busy (Expert)",
+    'collection.lockedTrade': "Locked (Trade)",
+    'collection.marketPrice': "Market Price",
+    'collection.actionTitle': "Action: Level {level}",
+    'collection.fusionTitle': "Fusion Upgrade ➜ Lvl {level}",
+    'collection.fusionHint': "Combines 2x Level {level} cards.",
+    'collection.duplicates': "Available Duplicates:",
+    'collection.fuseNow': "Fuse Now",
+    'collection.needDuplicate': "Need Duplicate",
+    'collection.sacrifice': "Sacrifice",
+    'collection.burnFor': "Burn for {amount} 🪙",
+    'collection.fusing': "Fusing Energies...",
+    'collection.fused': "Fusion Successful! Card is now Level {level}",
+    'collection.burnConfirm': "Sacrifice this card permanently for resources?",
+    'collection.burning': "Sacrificing...",
+    'collection.burned': "Sacrifice Accepted.",
+    'collection.found': "{count} / {total} Found",
+    'collection.hidden': "Hidden",
+    'collection.claimAlbum': "Claim {amount} 🪙",
+    'collection.collectAll': "Collect All to Claim",
+    'collection.claimConfirm': "Claim this album reward?",
+    'collection.claimed': "Reward Claimed!",
+
+    // --- Contracts (contracts.js) ---
+    'contracts.questVisitShop': "Visit the Market",
+    'contracts.questSpinSlot': "Spin the Tomb of Treasures",
+    'contracts.questGatherStone': "Gather Limestone (Raw)",
+    'contracts.accepting': "Accepting contract...",
+    'contracts.acceptFailed': "Error accepting contract!",
+    'contracts.accepted': "Contract Accepted! Cooldown started.",
+    'contracts.delivering': "Delivering goods...",
+    'contracts.cooldownActive': {
+        one: "Delivery cooldown active. Try again in {count} second.",
+        other: "Delivery cooldown active. Try again in {count} seconds."
+    },
+    'contracts.missingResources': "Error: Insufficient resources to fulfill the contract!",
+    'contracts.bonus': "Contract Bonus! +{amount} NOUB for completing {count} contracts!",
+    'contracts.completed': "Contract Completed! Rewards: +{noub} 🪙, +{prestige} 🐞",
+    'contracts.detailsFailed': "Error fetching contract details!",
+    'contracts.deliver': "Deliver",
+    'contracts.cooldown': "Cooldown: {seconds}s",
+    'contracts.accept': "Accept Contract",
+    'contracts.requirements': "Requirements",
+    'contracts.rewards': "Rewards",
+    'contracts.rewardNoub': "{amount} NOUB",
+    'contracts.rewardPrestige': "{amount} Prestige",
+    'contracts.loadingActive': "Loading active contracts...",
+    'contracts.loadFailed': "Error loading contracts.",
+    'contracts.noneActive': "You have no active contracts.",
+    'contracts.loadingAvailable': "Loading available contracts...",
+    'contracts.noneAvailable': "No new contracts available at this time.",
+    'contracts.rewardsLabel': "Rewards:",
+    'contracts.refreshing': "Refreshing available contracts...",
+    'contracts.refreshFailed': "Error refreshing contracts!",
+    'contracts.refreshed': "Contracts refreshed!",
+
+    // --- Economy (economy.js) ---
+    'economy.guildUnlocking': "Initiating Guild Protocol...",
+    'economy.guildFailed': "Protocol Error: Failed to unlock.",
+    'economy.guildTitle': "Guild Selection",
+    'economy.guildHint': "Select your specialized crafting path.",
+    'economy.buildNeedsNoub': "Insufficient Funds. Need {cost} 🪙",
+    'economy.buildConfirm': "Construct {name} for {cost} NOUB?",
+    'economy.built': "Construction Complete.",
+    'economy.maxLevel': "Max Level.",
+    'economy.upgradeNeeds': "Need {cost}🪙 + {count} Blocks",
+    'economy.upgrading': "Upgrading...",
+    'economy.upgraded': "Upgraded to Level {level}!",
+    'economy.missingResource': "Missing Resource: {name}",
+    'economy.productionStarted': "Production Started.",
+    'economy.collecting': "Collecting...",
+    'economy.expertBonus': "Expert Bonus: Double Output!",
+    'economy.received': "Received {count}x {name}",
+    'economy.ready': "READY",
+    'economy.completed': "COMPLETED",
+    'economy.unknownItem': "Unknown",
+    'economy.own': "Own: {count}",
+    'economy.collectOutput': "Collect Output",
+    'economy.workingButton': "Working...",
+    'economy.startProduction': "Start Production",
+    'economy.assignedExpert': "Assigned Expert",
+    'economy.dismiss': "Dismiss",
+    'economy.noExpert': "No Expert Assigned",
+    'economy.assignFromDeck': "Assign from Deck",
+    'economy.factoryLevel': "Lvl {level} / {max}",
+    'economy.upgradeCost': "Cost: {cost} 🪙",
+    'economy.upgradeFactory': "Upgrade Factory",
+    'economy.maxLevelReached': "Max Level Reached",
+    'economy.noInputs': "No Inputs Required",
+    'economy.expertStats': "Lvl {level} • Power {power}",
+    'economy.assignExpert': "Assign Expert",
+    'economy.noExperts': "No available experts.",
+    'economy.expertAssigned': "Expert Assigned",
+    'economy.assignFailed': "Assignment Error",
+    'economy.removeExpertConfirm': "Remove expert?",
+    'economy.expertRemoved': "Expert Removed",
+    'economy.product': "Product",
+    'economy.working': "Working",
+    'economy.buildCost': "Build: {cost} 🪙",
+    'economy.empty': "Empty",
+
+    // --- Exchange (exchange.js) ---
+    'exchange.heading': "Currency Swap (DEX Style)",
+    'exchange.stepRequired': "Must be a multiple of {step}.",
+    'exchange.from': "From",
+    'exchange.to': "To",
+    'exchange.balance': "Balance: {amount} {icon}",
+    'exchange.max': "MAX",
+    'exchange.continue': "Continue Swap",
+    'exchange.enterAmount': "Enter an amount to see details.",
+    'exchange.error': "Error: {message}",
+    'exchange.insufficient': "Insufficient Balance. Need",
+    'exchange.preview': "You will receive {received} {toIcon} for {required} {fromIcon}.",
+    'exchange.invalidAmount': "Transaction failed: Invalid amount or insufficient balance.",
+    'exchange.done': "Swap Complete! You received {amount} {currency}.",
+    'exchange.failed': "Error processing swap!",
+
+    // --- Valley of the Kings (kvgame.js) ---
+    'kv.gateUnknown': "Unknown",
+    'kv.gateSonsOfRamses': "Sons of Ramses II",
+    'kv.gateTutankhamunCache': "Tutankhamun cache?",
+    'kv.gateAmarnaCache': "Amarna Cache (Akhenaten?)",
+    'kv.gateGoldTomb': "Gold Tomb?",
+    'kv.gateChariotTomb': "Unknown (Chariot Tomb?)",
+    'kv.timeLeft': "Time Left: {seconds}s",
+    'kv.hintSumLabel': "Hint 1 (Sum):",
+    'kv.hintProductLabel': "Hint 2 (Product):",
+    'kv.hintParityLabel': "Hint 3 (Even/Odd):",
+    'kv.hintParity': "{odds} odd / {evens} even",
+    'kv.hintLastDigitLabel': "Hint 4: Last digit is",
+    'kv.hintFree': "(Free)",
+    'kv.hintUsed': "(Used)",
+    'kv.useHintScroll': "Use Hint Scroll ({count})",
+    'kv.buyLastDigit': "Buy Last Digit ({cost} ☥)",
+    'kv.useTimeAmulet': "Use Time Amulet ({count})",
+    'kv.buyTime': "Buy Time (+45s) ({cost} ☥)",
+    'kv.needAnkh': "Need {cost} Ankh (☥) or the consumable item.",
+    'kv.hintScroll': "Hint Scroll",
+    'kv.timeAmulet': "Time Amulet",
+    'kv.itemUsed': "{name} used!",
+    'kv.itemBought': "{name} purchased with Ankh Premium!",
+    'kv.won': "*Congratulations!* You cracked KV{gate}! +{noub} 🪙 & +{xp} XP!",
+    'kv.lost': "Expedition ended. The correct code was {code}. Try again!",
+    'kv.attemptsLeft': "Attempts Left: {count}",
+    'kv.incorrect': "Incorrect! Bulls: {bulls}, Cows: {cows}",
+    'kv.codeLength': "Code: {count} digits",
+    'kv.guessPlaceholder': "Enter code... ({count} digits)",
+    'kv.startGate': "Start KV Gate {gate}",
+    'kv.allConquered': "All Gates Conquered!",
+    'kv.fullyExplored': "Valley of the Kings - Fully Explored!",
+
+    // --- Tomb Encyclopedia (library.js) ---
+    'library.title': "Tomb Encyclopedia",
+    'library.loading': "Loading entries...",
+    'library.loadFailed': "Error loading Encyclopedia data.",
+    'library.unlocked': {
+        one: "New knowledge unearthed! {count} Encyclopedia entry unlocked.",
+        other: "New knowledge unearthed! {count} Encyclopedia entries unlocked."
+    },
+    'library.kvContent': "Detailed information about the {name} tomb and its significance.",
+    'library.enneadTitle': "The Great Ennead: {name}",
+    'library.unlockUnknown': "Unlock condition unknown.",
+    'library.requiresGate': "Requires completing KV Gate {gate}. (Progress: KV{progress})",
+    'library.requiresPrevious': "Requires unlocking the previous Ennead entry first.",
+    'library.requiresPurchase': "Unlockable by purchasing the '{title}' entry from the Shop.",
+    'library.lockedTag': "[LOCKED]",
+    'library.secretKv62': "SECRET: You have earned the Pharaoh's Blessing! Check your Contracts for a hidden task.",
+    'library.noSecret': "No known secret reward for this entry yet.",
+    'library.godRa': "Ra (The Sun)",
+    'library.godRaDescription': "The Supreme God, creator of the world.",
+    'library.godShu': "Shu (The Air)",
+    'library.godShuDescription': "God of air and separation.",
+    'library.godTefnut': "Tefnut (The Moisture)",
+    'library.godTefnutDescription': "Goddess of moisture and cosmic order.",
+    'library.godGeb': "Geb (The Earth)",
+    'library.godGebDescription': "God of the Earth and vegetation.",
+    'library.godNut': "Nut (The Sky)",
+    'library.godNutDescription': "Goddess of the Sky, swallowing the sun each evening.",
+    'library.godOsiris': "Osiris (The Underworld)",
+    'library.godOsirisDescription': "God of the afterlife, the dead, and the resurrection.",
+    'library.godIsis': "Isis (Magic)",
+    'library.godIsisDescription': "Goddess of magic, motherhood, and healing.",
+    'library.godSet': "Set (Chaos)",
+    'library.godSetDescription': "God of chaos, storms, and the desert.",
+    'library.godNephthys': "Nephthys (Mourning)",
+    'library.godNephthysDescription': "Goddess of the air, the night, and mourning.",
+    'library.godHorus': "Horus (The King)",
+    'library.godHorusDescription': "God of kingship, the sky, and protection.",
+
+    // --- Market analytics (market_analytics.js) ---
+    'market.sourceSale': "Buy Now",
+    'market.sourceAuction': "Auction",
+    'market.sourceSwap': "Swap",
+    'market.sourceBundle': "Bundle",
+    'market.loadFailed': "Could not load market data.",
+    'market.rangeDays': "{count}d",
+    'market.lastTraded': "Last traded: {date}",
+    'market.never': "never",
+    'market.lastPrice': "Last Price",
+    'market.avgPrice': "Avg Price",
+    'market.volume': "Volume",
+    'market.trades': "Trades",
+    'market.low': "Low",
+    'market.high': "High",
+    'market.priceRange': {
+        one: "Price (last day)",
+        other: "Price (last {count} days)"
+    },
+    'market.scarcity': "Scarcity",
+    'market.copies': "Copies",
+    'market.owners': "Owners",
+    'market.rarityRank': "Rarity Rank",
+    'market.recentSales': "Recent Sales",
+    'market.noSales': "No NOUB sales in this period.",
+    'market.loadingPrices': "Loading prices...",
+    'market.scarcest': "Scarcest",
+    'market.rowSummary': "{trades} trades • {copies} copies • {owners} owners",
+    'market.volumeShort': "Vol {amount}",
+    'market.noData': "No market data yet.",
+
+    // --- Royal rewards (ms_game.js) ---
+    'rewards.title': "Royal Rewards",
+    'rewards.tabVault': "Vault",
+    'rewards.tabDice': "Dice",
+    'rewards.tabCalendar': "Calendar",
+    'rewards.vaultTitle': "Royal Vault (Lvl {level})",
+    'rewards.vaultNotReady': "Vault is not ready.",
+    'rewards.collected': "Collected {amount} 🪙",
+    'rewards.vaultUpgraded': "Upgraded to Level {level}!",
+    'rewards.storageFull': "STORAGE FULL",
+    'rewards.fillsIn': "Fills in: {time}",
+    'rewards.claimGold': "Claim Gold",
+    'rewards.upgrade': "Upgrade ({cost}🪙)",
+    'rewards.needTickets': "Need Tickets!",
+    'rewards.rolling': "Rolling...",
+    'rewards.win': "WIN: {prize}",
+    'rewards.won': "Won: {prize}",
+    'rewards.diceTitle': "Fortune Dice",
+    'rewards.rollPrompt': "Roll to win rewards!",
+    'rewards.tickets': "Tickets: {count}",
+    'rewards.roll': "ROLL DICE ({cost} 🎟️)",
+    'rewards.viewPrizes': "View Prizes",
+    'rewards.prizes': "Prizes",
+    'rewards.claimed': "Reward Claimed!",
+    'rewards.received': "RECEIVED",
+    'rewards.claim': "Claim",
+    'rewards.missed': "MISSED",
+    'rewards.wait': "WAIT",
+
+    // --- Great projects (projects.js) ---
+    'projects.finished': "Finished",
+    'projects.countdown': "{days}d {hours}h {minutes}m",
+    'projects.needNoub': "Not enough NOUB. Required: {amount}",
+    'projects.needPrestige': "Not enough Prestige. Required: {amount}",
+    'projects.subscribing': "Subscribing to project...",
+    'projects.subscribed': "Successfully subscribed to \"{name}\"!",
+    'projects.enterAmount': "Please enter a valid amount.",
+    'projects.delivering': "Delivering resources...",
+    'projects.delivered': "Resources delivered successfully!",
+    'projects.completedToast': "Project Completed: \"{name}\"! Claiming final rewards...",
+    'projects.activeName': "{name} (Active)",
+    'projects.timeRemaining': "Time Remaining",
+    'projects.calculating': "Calculating...",
+    'projects.yourContribution': "Your Contribution",
+    'projects.unknownItem': "Item #{id}",
+    'projects.amount': "Amount",
+    'projects.deliver': "Deliver",
+    'projects.fulfilled': "Fulfilled",
+    'projects.completed': "Completed",
+    'projects.minLevelShort': "Lvl {level}+",
+    'projects.viewDetails': "View Details",
+    'projects.locked': "Locked",
+    'projects.none': "None",
+    'projects.duration': "Duration:",
+    'projects.days': {
+        one: "{count} day",
+        other: "{count} days"
+    },
+    'projects.minLevel': "Min. Level:",
+    'projects.subscriptionCost': "Subscription Cost",
+    'projects.prestigeCost': "{amount} 🐞 Prestige",
+    'projects.finalRewards': "Final Rewards",
+    'projects.requiredMaterials': "Required Materials",
+    'projects.subscribe': "Subscribe & Begin",
+    'projects.loading': "Auditing and loading project status...",
+    'projects.loadFailed': "Error loading project data.",
+    'projects.correcting': "Correcting completed project states...",
+    'projects.listFailed': "Error loading master project list.",
+    'projects.active': "Your Active Projects",
+    'projects.available': "Available Projects",
+    'projects.completedHeading': "Completed Projects",
+    'projects.empty': "No great projects are available right now. Level up to unlock more!",
+
+    // --- Dice of Destiny (wheel.js) ---
+    'wheel.title': "Dice of Destiny",
+    'wheel.prompt': "Roll the dice to win a prize!",
+    'wheel.roll': {
+        one: "ROLL DICE ({count} TICKET)",
+        other: "ROLL DICE ({count} TICKETS)"
+    },
+    'wheel.tickets': "Spin Tickets: {count}",
+    'wheel.viewPrizeTable': "View Prize Table",
+    'wheel.prizeTable': "Prize Table (1-10)",
+    'wheel.rolling': "Rolling the dice...",
+    'wheel.rollingFor': "...Rolling for Prize #{id}...",
+
+    // --- Upgrade hub (upgrade.js) ---
+    'upgrade.processing': "Processing factory upgrade...",
+    'upgrade.missingCosts': "Error: Missing {item} or {cost} NOUB for upgrade.",
+    'upgrade.factoryUpgraded': "Factory Upgraded! {name} LVL {from} → LVL {to}",
+    'upgrade.loading': "Loading cards...",
+    'upgrade.loadFailed': "Error fetching cards.",
+    'upgrade.empty': "You have no cards to upgrade. Visit the Shop!",
+    'upgrade.cardLevel': "LVL {level}",
+    'upgrade.useMyCards': "Upgrade cards is done from the \"My Cards\" screen.",
+
+    // --- Tasks (tasks.js) ---
+    'tasks.ucp1': "Begin Your Protocol",
+    'tasks.ucp1Description': "Visit the \"Chat with Eve\" screen...",
+    'tasks.ucp2': "Complete Eve's Interview",
+    'tasks.ucp2Description': "Finish all of Eve's main sections...",
+    'tasks.ucp3': "Embrace Deep Analysis",
+    'tasks.ucp3Description': "Complete one of Hypatia's sessions...",
+    'tasks.joinChat': "Join the NOUB Community Chat",
+    'tasks.joinChannel': "Subscribe to NOUB NFTs Channel",
+    'tasks.dailyClaim3': "Claim Production 3 Times",
+    'tasks.dailyContract1': "Complete 1 Contract",
+    'tasks.dailyAssign1': "Assign an Expert",
+    'tasks.weeklyProduce10': "Produce 10 Clay Jars",
+    'tasks.weeklyContracts5': "Complete 5 Contracts",
+    'tasks.weeklyUpgrade3': "Upgrade Buildings 3 Times",
+    'tasks.checkAndClaim': "Check & Claim",
+    'tasks.rewardClaimed': "Reward Claimed: +{reward}",
+    'tasks.notReady': "Task not ready to be claimed.",
+    'tasks.libraryUnlocked': "New Library Entry Unlocked: {title}!",
+    'tasks.notComplete': "Task is not yet complete!",
+    'tasks.claimed': "Claimed",
+    'tasks.claim': "Claim",
+    'tasks.go': "Go",
+    'tasks.working': "Working...",
+    'tasks.progress': "Progress: {current} / {target}",
+    'tasks.questClaimed': "Claimed {amount} NOUB!",
+    'tasks.questClaimFailed': "Error claiming reward or already claimed!",
+    'tasks.kvMilestones': "Valley of the Kings Milestones",
+    'tasks.dailyRewards': "Daily Rewards",
+    'tasks.dailyQuests': "Daily Quests",
+    'tasks.weeklyRewards': "Weekly Rewards",
+    'tasks.weeklyQuests': "Weekly Quests",
+    'tasks.oneTime': "One-Time Tasks",
+
+    // --- Shop (shop.js) ---
+    'shop.packPapyrus': "Papyrus Scroll Pack",
+    'shop.packPapyrusDescription': "Contains 1 random card (Common guaranteed).",
+    'shop.packCanopic': "Canopic Jar Pack",
+    'shop.packCanopicDescription': "Contains 3 cards (Rare guaranteed).",
+    'shop.packSarcophagus': "Sarcophagus Crate",
+    'shop.packSarcophagusDescription': "Contains 5 cards (Epic guaranteed).",
+    'shop.itemHintScroll': "Hint Scroll (KV Game)",
+    'shop.itemHintScrollDescription': "Reveals the last digit of the current KV code.",
+    'shop.itemTimeAmulet45s': "Time Amulet (+45s)",
+    'shop.itemTimeAmulet45sDescription': "Adds 45 seconds to the KV game timer.",
+    'shop.itemHintBundle': "Bundle of 5 Hints",
+    'shop.itemHintBundleDescription': "5 Hint Scrolls for 5 Ankh Premium.",
+    'shop.itemInstantProd': "Instant Production Scroll",
+    'shop.itemInstantProdDescription': "Instantly completes a single running factory production.",
+    'shop.itemGodRa': "Scroll of Ra",
+    'shop.itemGodRaDescription': "Unlocks the \"Ra\" entry in the Encyclopedia.",
+    'shop.itemGodShu': "Scroll of Shu",
+    'shop.itemGodShuDescription': "Unlocks the \"Shu\" entry (Requires Ra).",
+    'shop.itemGodTefnut': "Scroll of Tefnut",
+    'shop.itemGodTefnutDescription': "Unlocks the \"Tefnut\" entry.",
+    'shop.itemGodGeb': "Scroll of Geb",
+    'shop.itemGodGebDescription': "Unlocks the \"Geb\" entry.",
+    'shop.itemGodNut': "Scroll of Nut",
+    'shop.itemGodNutDescription': "Unlocks the \"Nut\" entry.",
+    'shop.itemGodOsiris': "Scroll of Osiris",
+    'shop.itemGodOsirisDescription': "Unlocks the \"Osiris\" entry.",
+    'shop.itemGodIsis': "Scroll of Isis",
+    'shop.itemGodIsisDescription': "Unlocks the \"Isis\" entry.",
+    'shop.itemGodSet': "Scroll of Set",
+    'shop.itemGodSetDescription': "Unlocks the \"Set\" entry.",
+    'shop.itemGodNephthys': "Scroll of Nephthys",
+    'shop.itemGodNephthysDescription': "Unlocks the \"Nephthys\" entry.",
+    'shop.itemGodHorus': "Scroll of Horus",
+    'shop.itemGodHorusDescription': "Unlocks the \"Horus\" entry.",
+    'shop.tonPackage1': "Minor Ankh Deposit",
+    'shop.tonPackage2': "Major Ankh Deposit",
+    'shop.tonPackage3': "Pharaoh's Treasury",
+    'shop.balanceFailed': "Error updating balance.",
+    'shop.packBought': {
+        one: "Purchased {count} card! Check your collection.",
+        other: "Purchased {count} cards! Check your collection."
+    },
+    'shop.alreadyUnlocked': "This Encyclopedia entry is already unlocked!",
+    'shop.missingCurrency': "Missing currency!",
+    'shop.debitFailed': "Error deducting cost!",
+    'shop.unlockFailed': "Error granting library unlock!",
+    'shop.unlocked': "Encyclopedia unlocked: {name}!",
+    'shop.acquired': "Acquired {count} x {name}!",
+    'shop.tonConfirmed': "TON payment confirmed! Granted {amount} ☥ Ankh Premium.",
+    'shop.tonWaitingWallet': "Waiting for TON wallet confirmation...",
+    'shop.tonFailed': "TON transaction cancelled or failed. Check console for an invalid address or balance.",
+    'shop.tonSent': "Payment sent. Waiting for the TON network to confirm it...",
+    'shop.tonPending': "Your payment is still being confirmed. The Ankh will be added when you next open the Shop.",
+    'shop.unlockedButton': "Unlocked",
+    'shop.owned': "Owned: {count}",
+    'shop.tonConnectRequired': "You must connect your TON wallet to purchase Ankh Premium.",
+    'shop.tonConnectHint': "*Use the 'Connect' button above or in the header.",
+    'shop.tonPackageDescription': "Get {amount} ☥ Ankh Premium instantly.",
+    'shop.buyTon': "BUY {amount} TON",
+
+    // --- Global exchange (swap_screen.js) ---
+    'swap.expiry1h': "1 hour",
+    'swap.expiry24h': "24 hours",
+    'swap.expiry7d': "7 days",
+    'swap.modeCard': "Card ⇄ Card",
+    'swap.modeNoub': "Sell for 🪙",
+    'swap.modeCardNoub': "Card + 🪙",
+    'swap.modeBundle': "Bundle 📦",
+    'swap.title': "Global Exchange",
+    'swap.tabMarket': "Market",
+    'swap.tabMyOffers': "My Offers",
+    'swap.tabPost': "Post Offer",
+    'swap.tabDirect': "Direct",
+    'swap.tabAuctions': "Auctions",
+    'swap.tabMyBids': "My Bids",
+    'swap.tabMyAuctions': "My Auctions",
+    'swap.tabPrices': "Prices",
+    'swap.pricePlaceholder': "Price 🪙",
+    'swap.createHeading': "Create New Trade",
+    'swap.youGive': "You Give",
+    'swap.youWant': "You Want",
+    'swap.note': "Note:",
+    'swap.escrowNote': "The card you offer is held in escrow.",
+    'swap.escrowNoteUse': "It cannot be used until the trade ends or you cancel it.",
+    'swap.feeNote': "Market fee: {percent}% (burned). You receive",
+    'swap.publish': "Publish Offer",
+    'swap.selectOwned': "Select from your Collection",
+    'swap.selectWanted': "Select Desired Card",
+    'swap.noCards': "No cards found.",
+    'swap.listFailed': "Error loading list.",
+    'swap.expiresIn': "Offer Expires In",
+
+    // --- Global exchange: bundles and market (swap_screen.js) ---
+    'swap.published': "Offer published!",
+    'swap.sendCounter': "Send Counter-Offer",
+    'swap.sendDirect': "Send Direct Offer",
+    'swap.publishBundle': "Publish Bundle",
+    'swap.counterTo': "Counter-Offer to {name}",
+    'swap.counterNote': "Their offer is returned to them and your revision is sent instead.",
+    'swap.discard': "Discard",
+    'swap.bundleEscrowNote': "Everything you give is held in escrow",
+    'swap.bundleEscrowNoteDetail': "(cards locked, items and currency set aside) until the trade ends or you cancel it.",
+    'swap.bundleFeeNote': "Market fee: {percent}% of any NOUB that changes hands (burned).",
+    'swap.recipientPlaceholder': "Send to player (name or ID) - leave empty for the market",
+    'swap.messagePlaceholder': "Message (optional)",
+    'swap.currency.noub': "NOUB",
+    'swap.currency.prestige': "Prestige",
+    'swap.addCard': "Card",
+    'swap.addItem': "Item",
+    'swap.addGive': "Add something to give.",
+    'swap.addWant': "Add something you want.",
+    'swap.notEnoughItem': "Not enough {name}.",
+    'swap.cardInBundle': "That card is already in the bundle.",
+    'swap.noItems': "No items found.",
+    'swap.selectStored': "Select from your Storage",
+    'swap.selectWantedItem': "Select Desired Item",
+    'swap.counterSent': "Counter-offer sent!",
+    'swap.directSent': "Direct offer sent!",
+    'swap.bundlePublished': "Bundle published!",
+    'swap.refreshing': "Refreshing market...",
+    'swap.marketEmpty': "Market is currently empty.",
+    'swap.acceptTrade': "Accept Trade",
+    'swap.buyNow': "Buy Now ({amount} 🪙)",
+    'swap.merchant': "Merchant:",
+    'swap.price': "Price:",
+    'swap.offerTag': "OFFER",
+    'swap.item': "Item",
+
+    // --- Global exchange: offers (swap_screen.js) ---
+    'swap.bundleTag': "BUNDLE",
+    'swap.wantTag': "WANT",
+    'swap.acceptBundle': "Accept Bundle",
+    'swap.share': "Share offer",
+    'swap.shareText': "Check out this offer on the NOUB market!",
+    'swap.shareFailed': "Could not share the offer link.",
+    'swap.ownOffer': "This is your own offer. Find it under My Offers.",
+    'swap.directOffer': "Direct Offer",
+    'swap.marketOffer': "Market Offer",
+    'swap.priceHistory': "Price history",
+    'swap.checking': "Checking requirements...",
+    'swap.needNoub': "You need {amount} 🪙 to buy this card.",
+    'swap.buyConfirm': "Buy this card for {amount} NOUB?",
+    'swap.missingCard': "You don't have the required card to trade.",
+    'swap.copyStats': "Lvl {level} • Pwr {power}",
+    'swap.select': "SELECT",
+    'swap.confirmPayment': "Confirm Payment",
+    'swap.pickCopy': "Select which copy you want to give:",
+    'swap.pickCopyPlus': "Select which copy you want to give (plus {amount} 🪙):",
+    'swap.executing': "Executing trade...",
+    'swap.tradeComplete': "Trade Complete! Received: {name}",
+    'swap.tradeCompletePaid': "Trade Complete! Received: {name} for {amount} 🪙",
+    'swap.needItem': "You need {count} x {name}.",
+    'swap.needCurrency': "You need {amount} {icon}.",
+    'swap.acceptBundleConfirm': "Accept this bundle? The requested items and currency will be paid now.",
+    'swap.notEnoughCopies': "You don't have enough copies of {name}.",
+    'swap.pickCopies': "Select which copies you want to give:",
+    'swap.pickDifferentCopies': "Pick a different copy for each requested card.",
+    'swap.bundleComplete': "Bundle trade complete!",
+    'swap.bundleCompletePaid': "Bundle trade complete! ({amount} 🪙 paid)",
+    'swap.syncing': "Syncing...",
+    'swap.noActiveOffers': "You have no active offers.",
+    'swap.activeOffer': "ACTIVE OFFER",
+    'swap.youAsk': "You Ask",
+    'swap.cancelOffer': "Cancel Offer",
+    'swap.directTo': "DIRECT TO {name}",
+    'swap.activeBundle': "ACTIVE BUNDLE",
+    'swap.history': "History",
+    'swap.cancelConfirm': "Cancel this offer? Everything held in escrow will be returned to you.",
+    'swap.cancelled': "Offer cancelled.",
+    'swap.cancelFailed': "Failed to cancel.",
+    'swap.directIntro': "Offers sent only to you. To send one, build a bundle in",
+    'swap.directIntroEnd': "and enter a player name.",
+    'swap.noDirect': "No offers addressed to you.",
+
+    // --- Global exchange: direct trades (swap_screen.js) ---
+    'swap.from': "From:",
+    'swap.youGetTag': "YOU GET",
+    'swap.youGiveTag': "YOU GIVE",
+    'swap.accept': "Accept",
+    'swap.counter': "Counter",
+    'swap.decline': "Decline",
+    'swap.declineConfirm': "Decline this offer? The sender gets their assets back.",
+    'swap.declined': "Offer declined.",
+    'swap.missingForCounter': {
+        one: "You don't own {count} of the requested cards. Adjust the counter-offer.",
+        other: "You don't own {count} of the requested cards. Adjust the counter-offer."
+    },
+    'swap.threadOffer': "Offer",
+    'swap.threadCounter': "Counter-Offer",
+    'swap.threadAccepted': "Accepted",
+    'swap.threadDeclined': "Declined",
+    'swap.threadCancelled': "Cancelled",
+    'swap.threadExpired': "Expired",
+    'swap.threadFailed': "Could not load the trade history.",
+    'swap.you': "You",
+    'swap.givesTag': "GIVES",
+    'swap.asksTag': "ASKS",
+    'swap.threadTitle': "Negotiation History",
+    'swap.threadEmpty': "No entries yet.",
+    'swap.expiredToast': "Offer expired: {summary}. Everything was returned to you.",
+    'swap.expiring': "Expiring...",
+    'swap.expiresInDays': "Expires in {days}d {hours}h",
+    'swap.expiresInHours': "Expires in {hours}h",
+    'swap.expiresInMinutes': "Expires in {minutes}m",
+
+    // --- Eve chat (UCP) ---
+    'chat.title': "Chat with Eve",
+    'chat.placeholder': "Chat with Eve...",
+    'chat.send': "Send",
+    'chat.you': "You",
+    'chat.myFriend': "my friend",
+    'chat.loadFailed': "Fatal Error: Could not load protocol data!",
+    'chat.answerPlaceholder': "Type your answer here...",
+    'chat.yes': "Yes",
+    'chat.no': "No",
+    'chat.section': "[Section: {title}]",
+    'chat.mentalState.question': "Welcome! Before we begin, how would you describe your current mental state?",
+    'chat.mentalState.good': "Good / Focused 😊",
+    'chat.mentalState.average': "Average / A bit distracted 😐",
+    'chat.mentalState.bad': "Poor / Unfocused 😟",
+    'chat.hypatia.question': "You have completed the foundational stage with Eve. I am Hypatia 🦉. I will help you with a deeper exploration. Which path do you choose?",
+    'chat.hypatia.philosophical': "Intellectual Exploration (Philosophical Questions)",
+    'chat.hypatia.scaled': "Behavioral Analysis (Scaled Questions)",
+    'chat.hypatia.finish': "Finish data collection for now",
+    'chat.scaledPrompt': "On a scale of 1 to 5, to what extent does the following statement apply to you?",
+    'chat.complete': "Excellent! We have completed your protocol-building journey. Your cognitive fingerprint is now ready.",
+    'chat.exportButton': "Generate & Export Final Protocol",
+    'chat.saved': "Protocol updated",
+    'chat.welcomeBack': "Welcome back, {name}! Let's continue where we left off.",
+    'chat.generating': "Generating Protocol...",
+    'chat.exported': "Protocol exported successfully!",
+    'chat.export.main': "Main Data Sections",
+    'chat.export.eve': "Eve's Creative Questions",
+    'chat.export.hypatia': "Hypatia's Deep Analysis",
+    'chat.export.philosophical': "Philosophical Session",
+    'chat.export.scaled': "Behavioral Analysis Session"
+};
@@ -0,0 +1,320 @@
+/*
+ * Filename: js/outbox.js
+ * Version: NOUB 0.1.0 (Offline Outbox)
+ * Description:
+ * Telegram's WebView often sits on a shaky mobile connection. Writes whose
+ * outcome the client already knows (UCP answers, inventory and consumable
+ * counts, profile progress, game history) go through submit(): if the device
+ * is offline or the request fails for a network reason, the write is stored
+ * on the device (js/storage.js) and replayed later with exponential backoff,
+ * while local state is patched right away so the player can carry on.
+ * Writes the server has to decide (ledger, trades, builds, claims) are never
+ * queued; they fail as before.
+ *
+ * Each kind of write registers a handler (api.js does this):
+ *   run(args)         performs the write and returns { data, error }
+ *   optimistic(args)  patches local state while the write is pending
+ *   merge(old, new)   folds a newer write for the same key into the queued one
+ *   prepare(entry)    runs before a replay and compares the server with
+ *                     entry.base (the value the change was made against):
+ *                     { args } to send, { args, conflict } when the row changed
+ *                     meanwhile, { conflict } to drop the write
+ *   durable           stored before the first attempt and never dropped (UCP)
+ *
+ * While the session is gone (expired, or signed out in another tab) auth.js
+ * pauses the outbox: writes are queued as if offline and nothing is replayed
+ * or dropped until the player signs in again.
+ */
+
+import { state, setState } from './state.js';
+import { loadValue, saveValue } from './storage.js';
+import { isNetworkError, recordDiagnostic, userMessage } from './errors.js';
+
+const STORAGE_KEY = 'outbox';
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 300000;
+
+const handlers = new Map();
+const inFlight = new Set();
+let entries = [];
+let loading = null;
+let flushing = false;
+let started = false;
+let paused = false;
+let retryTimer = null;
+let onNotice = null;
+
+// --- Persistence & status ---
+
+function load() {
+    if (!loading) {
+        loading = loadValue(STORAGE_KEY)
+            .then(stored => { entries = stored || []; })
+            .catch(err => console.error('Outbox load failed:', err));
+    }
+    return loading;
+}
+
+function persist() {
+    return saveValue(STORAGE_KEY, entries).catch(err => console.error('Outbox save failed:', err));
+}
+
+function isOffline() {
+    return navigator.onLine === false;
+}
+
+function ownEntries() {
+    return entries.filter(entry => entry.owner === state.currentUser?.id);
+}
+
+function updateStatus() {
+    const pending = ownEntries().length;
+    let status = 'idle';
+    if (isOffline()) status = 'offline';
+    else if (flushing && pending) status = 'syncing';
+    else if (pending) status = 'waiting';
+
+    const current = state.syncQueue;
+    if (current?.pending !== pending || current?.status !== status) setState('syncQueue', { pending, status });
+}
+
+function notice(message, type = 'info') {
+    if (message && onNotice) onNotice(message, type);
+}
+
+function backoff(attempts) {
+    return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1)) * (0.75 + Math.random() * 0.5);
+}
+
+function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    const own = ownEntries();
+    if (!own.length || isOffline() || paused) return;
+    const next = Math.min(...own.map(entry => entry.retryAt));
+    retryTimer = setTimeout(flushOutbox, Math.max(0, next - Date.now()));
+}
+
+// --- Queue ---
+
+function enqueue(kind, args, key, base) {
+    const handler = handlers.get(kind);
+    args = structuredClone(args); // callers may keep mutating what they passed (chat.js does)
+    // A write already on its way cannot absorb a newer one; that one queues behind it
+    const existing = key && entries.find(entry => entry.key === key && !inFlight.has(entry.id));
+    let entry = existing;
+
+    if (existing) {
+        existing.args = handler.merge ? handler.merge(existing.args, args) : args;
+        // The oldest base wins: it is what the server held before the first queued change
+        if (existing.base && base && typeof existing.base === 'object') existing.base = { ...base, ...existing.base };
+    } else {
+        entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            kind,
+            key,
+            base,
+            args,
+            owner: state.currentUser?.id || null,
+            attempts: 0,
+            retryAt: 0,
+            lastError: null,
+            fresh: false,
+            createdAt: new Date().toISOString()
+        };
+        entries.push(entry);
+    }
+
+    handler.optimistic?.(args);
+    updateStatus();
+    return entry;
+}
+
+function remove(entry) {
+    entries = entries.filter(e => e !== entry);
+}
+
+/**
+ * Records a failed attempt. Returns false when the network is down, so the
+ * flush stops instead of failing every remaining entry the same way.
+ */
+function fail(entry, error) {
+    entry.attempts++;
+    entry.fresh = false;
+    entry.lastError = error?.message || String(error);
+    entry.retryAt = Date.now() + backoff(entry.attempts);
+    // Without a session every write is refused; that says nothing about this one
+    if (isNetworkError(error) || paused) return false;
+
+    if (handlers.get(entry.kind)?.durable) {
+        console.error(`Outbox: '${entry.kind}' rejected, kept for retry:`, error);
+        recordDiagnostic('outbox', error, `${entry.kind} kept`);
+        return true;
+    }
+    console.error(`Outbox: '${entry.kind}' rejected, dropped:`, error);
+    recordDiagnostic('outbox', error, `${entry.kind} dropped`);
+    remove(entry);
+    notice(`A change made offline could not be saved: ${userMessage(error)}`, 'error');
+    return true;
+}
+
+async function replay(entry) {
+    const handler = handlers.get(entry.kind);
+    if (!handler) {
+        remove(entry); // written by an older version of the app
+        return true;
+    }
+
+    inFlight.add(entry.id);
+    try {
+        let args = entry.args;
+        // A durable write's first attempt was made against current data; replays are checked
+        if (handler.prepare && !entry.fresh) {
+            const prepared = await handler.prepare(entry);
+            if (prepared.error) return fail(entry, prepared.error);
+            notice(prepared.conflict, prepared.args ? 'info' : 'error');
+            if (!prepared.args) {
+                remove(entry);
+                return true;
+            }
+            args = prepared.args;
+        }
+
+        const result = await handler.run(args);
+        if (result?.error) return fail(entry, result.error);
+        remove(entry);
+        return true;
+    } catch (err) {
+        return fail(entry, err);
+    } finally {
+        inFlight.delete(entry.id);
+        await persist();
+    }
+}
+
+// --- Public API ---
+
+/**
+ * Registers how to perform, merge and check one kind of queued write.
+ * @param {string} kind - e.g. 'ucp.section'.
+ * @param {{run: Function, optimistic?: Function, merge?: Function, prepare?: Function, durable?: boolean}} handler
+ */
+export function registerOutboxHandler(kind, handler) {
+    handlers.set(kind, handler);
+}
+
+/**
+ * Performs a write now, or queues it when that is not possible.
+ * @param {string} kind - A registered handler.
+ * @param {Array} args - Arguments for handler.run (must be structured-cloneable).
+ * @param {{key?: string, base?: *}} [options]
+ *        key: writes with the same key are merged while queued (one row, one entry).
+ *        base: the value the change was made against, for conflict checks.
+ * @returns {Promise<{data: *, error: object|null, queued?: boolean}>}
+ *          A queued write resolves without error and with queued: true.
+ */
+export async function submit(kind, args, { key = null, base = null } = {}) {
+    const handler = handlers.get(kind);
+    if (!handler) throw new Error(`No outbox handler for '${kind}'`);
+    await load();
+
+    // Durable writes are stored first, so closing the app mid-request loses nothing
+    if (handler.durable) {
+        const entry = enqueue(kind, args, key, base);
+        if (entry.attempts === 0 && !isOffline() && !paused) entry.fresh = true;
+        await persist();
+        await flushOutbox();
+        const queued = entries.includes(entry);
+        return { data: null, error: null, queued };
+    }
+
+    // Behind a queued write for the same row: keep the order
+    const waiting = key && entries.some(entry => entry.key === key);
+    if (!waiting && !isOffline() && !paused) {
+        const result = await handler.run(args);
+        if (!isNetworkError(result.error)) return result;
+        const entry = enqueue(kind, args, key, base);
+        fail(entry, result.error);
+    } else {
+        enqueue(kind, args, key, base);
+    }
+
+    await persist();
+    scheduleRetry();
+    return { data: null, error: null, queued: true };
+}
+
+/**
+ * Replays every queued write that is due, oldest first.
+ */
+export async function flushOutbox() {
+    await load();
+    if (flushing || isOffline() || paused) return;
+    flushing = true;
+    updateStatus();
+    try {
+        let entry;
+        while ((entry = ownEntries().find(e => e.retryAt <= Date.now() && !inFlight.has(e.id)))) {
+            if (!(await replay(entry))) break;
+        }
+    } finally {
+        flushing = false;
+        updateStatus();
+        scheduleRetry();
+    }
+}
+
+/**
+ * Re-applies pending writes to freshly loaded state. refreshPlayerState()
+ * calls this so a full reload does not show the old server values while
+ * changes are still queued.
+ */
+export function reapplyPending() {
+    ownEntries().forEach(entry => handlers.get(entry.kind)?.optimistic?.(entry.args));
+}
+
+/**
+ * Holds every write on the device until resumeOutbox() (session lost).
+ */
+export function pauseOutbox() {
+    paused = true;
+    clearTimeout(retryTimer);
+    updateStatus();
+}
+
+/**
+ * Replays what was held while paused, right away.
+ */
+export function resumeOutbox() {
+    if (!paused) return;
+    paused = false;
+    entries.forEach(entry => { entry.retryAt = 0; });
+    flushOutbox();
+}
+
+/**
+ * Loads the stored queue and starts replaying it: now, when the connection
+ * returns and when the app comes back to the foreground.
+ * @param {{onNotice?: Function}} [options] - onNotice(message, type) reports
+ *        conflicts and dropped writes (auth.js passes showToast).
+ */
+export async function startOutbox({ onNotice: noticeHandler = null } = {}) {
+    onNotice = noticeHandler;
+    await load();
+    updateStatus();
+    if (!started) {
+        started = true;
+        window.addEventListener('online', () => {
+            entries.forEach(entry => { entry.retryAt = 0; });
+            flushOutbox();
+        });
+        window.addEventListener('offline', () => {
+            clearTimeout(retryTimer);
+            updateStatus();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') flushOutbox();
+        });
+    }
+    flushOutbox();
+}
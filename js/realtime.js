@@ -0,0 +1,198 @@
+/*
+ * Filename: js/realtime.js
+ * Version: NOUB 0.1.0 (Realtime Sync)
+ * Description:
+ * Supabase realtime feed for the current player. Row changes made by another
+ * device, a completed swap or a server job (auction settlement, offer expiry)
+ * are pushed into `state` through the same applyDelta() path as our own
+ * mutations, so every subscribed screen re-renders on its own.
+ * Realtime rows carry no joins: updates are merged into the joined rows we
+ * already hold, and rows we cannot complete (a new card, a new expert) trigger
+ * a short, debounced reload of that one collection.
+ * A dropped channel is rebuilt with exponential backoff; after a reconnect the
+ * full refresh runs once, since events sent while offline are not replayed.
+ * Backends without a live feed (the local stand-in) return no channel; the
+ * feed then stays 'idle' and the store relies on its own mutations.
+ */
+
+import { state, setState, mutateState } from './state.js';
+import { applyDelta } from './sync.js';
+import * as api from './api.js';
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+const RELOAD_DEBOUNCE_MS = 400;
+
+let channel = null;
+let playerId = null;
+let onReconnect = null;
+let retryAttempt = 0;
+let retryTimer = null;
+let hasConnected = false;
+const reloadTimers = {};
+
+// --- Collection reloads (for rows that need joins) ---
+
+const RELOADERS = {
+    playerCards: async () => {
+        const { data } = await api.fetchPlayerCards(playerId);
+        if (data) setState('playerCards', data);
+    },
+    factories: async () => {
+        const { data } = await api.fetchPlayerFactories(playerId);
+        if (data) setState('factories', data);
+    },
+    inventory: async () => {
+        const { data } = await api.fetchPlayerInventory(playerId);
+        if (data) applyDelta(playerId, { inventory: data });
+    }
+};
+
+function scheduleReload(key) {
+    clearTimeout(reloadTimers[key]);
+    reloadTimers[key] = setTimeout(() => RELOADERS[key]().catch(err => console.error(`Realtime reload of ${key} failed:`, err)), RELOAD_DEBOUNCE_MS);
+}
+
+// --- Row handlers ---
+
+function handleProfile({ new: row }) {
+    if (row?.id) applyDelta(playerId, { profile: row });
+}
+
+function handleInventory({ new: row }) {
+    if (!row?.item_id) return;
+    if (!state.inventory.get(row.item_id)?.details) return scheduleReload('inventory'); // unknown item: need its details
+    applyDelta(playerId, { inventory: [row] });
+}
+
+function handleCard({ eventType, new: row, old }) {
+    if (eventType === 'DELETE') {
+        // Delete events cannot be filtered by owner; ids we don't hold are ignored
+        if (state.playerCards.some(card => card.instance_id === old?.instance_id)) {
+            applyDelta(playerId, { removedCards: [old.instance_id] });
+        }
+        return;
+    }
+    const held = state.playerCards.find(card => card.instance_id === row.instance_id);
+    if (held && held.card_id === row.card_id) applyDelta(playerId, { cards: [row] });
+    else scheduleReload('playerCards');
+}
+
+function handleFactory({ eventType, new: row }) {
+    const held = state.factories.find(pf => pf.id === row?.id);
+    if (eventType === 'UPDATE' && held && held.assigned_card_instance_id === row.assigned_card_instance_id) {
+        applyDelta(playerId, { factories: [row] });
+    } else {
+        scheduleReload('factories');
+    }
+}
+
+function handleSwapRequest({ eventType, new: row, old }) {
+    const id = eventType === 'DELETE' ? old?.id : row?.id;
+    if (id == null) return;
+    const previous = state.swapRequests.get(id);
+    mutateState('swapRequests', requests => {
+        if (eventType === 'DELETE') requests.delete(id);
+        else requests.set(id, row);
+    });
+    // Accepted, cancelled or expired offers move cards in or out of escrow
+    if (eventType !== 'INSERT' && previous?.status !== row?.status) scheduleReload('playerCards');
+}
+
+// --- Channel lifecycle ---
+
+function setStatus(status) {
+    if (state.realtimeStatus !== status) setState('realtimeStatus', status);
+}
+
+function connect() {
+    const byOwner = `player_id=eq.${playerId}`;
+    const opened = api.openRealtimeChannel(`player-sync-${playerId}`);
+    if (!opened) return;
+    setStatus('connecting');
+
+    const current = opened
+        .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'profiles', filter: `id=eq.${playerId}` }, handleProfile)
+        .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'player_inventory', filter: byOwner }, handleInventory)
+        .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'player_inventory', filter: byOwner }, handleInventory)
+        .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'player_cards', filter: byOwner }, handleCard)
+        .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'player_cards', filter: byOwner }, handleCard)
+        .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'player_cards' }, handleCard)
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'player_factories', filter: byOwner }, handleFactory)
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'swap_requests', filter: byOwner }, handleSwapRequest)
+        .on('postgres_changes', { event: '*', schema: 'public', table: 'swap_requests', filter: `recipient_id=eq.${playerId}` }, handleSwapRequest);
+    channel = current;
+
+    current.subscribe((status, err) => {
+        if (current !== channel) return; // a channel we already replaced or closed
+        if (status === 'SUBSCRIBED') {
+            setStatus('live');
+            // Events sent while we were away are lost: catch up once
+            if (hasConnected && retryAttempt > 0 && onReconnect) onReconnect();
+            hasConnected = true;
+            retryAttempt = 0;
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+            if (err) console.warn(`Realtime channel ${status}:`, err);
+            scheduleReconnect();
+        }
+    });
+}
+
+function scheduleReconnect() {
+    if (!playerId || retryTimer) return;
+    setStatus('reconnecting');
+    const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** retryAttempt) * (0.75 + Math.random() * 0.5);
+    retryAttempt++;
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        reconnectNow();
+    }, delay);
+}
+
+function reconnectNow() {
+    if (!playerId) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    const stale = channel;
+    channel = null;
+    if (stale) api.closeRealtimeChannel(stale);
+    connect();
+}
+
+function handleBrowserOnline() {
+    if (state.realtimeStatus !== 'live') {
+        retryAttempt = Math.max(retryAttempt, 1); // still counts as a reconnect (catch-up refresh)
+        reconnectNow();
+    }
+}
+
+/**
+ * Opens the realtime feed for a player. Safe to call again (no-op).
+ * @param {string} id - The player's UUID.
+ * @param {Function} [reconnectHandler] - Full refresh, run after a reconnect.
+ */
+export function startRealtime(id, reconnectHandler = null) {
+    if (playerId) return;
+    playerId = id;
+    onReconnect = reconnectHandler;
+    window.addEventListener('online', handleBrowserOnline);
+    connect();
+}
+
+/**
+ * Closes the feed (logout).
+ */
+export function stopRealtime() {
+    if (!playerId) return;
+    playerId = null;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    window.removeEventListener('online', handleBrowserOnline);
+    Object.values(reloadTimers).forEach(clearTimeout);
+    const closing = channel;
+    channel = null;
+    if (closing) api.closeRealtimeChannel(closing);
+    hasConnected = false;
+    retryAttempt = 0;
+    setStatus('idle');
+}
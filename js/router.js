@@ -0,0 +1,202 @@
+/*
+ * Filename: js/router.js
+ * Version: NOUB 0.1.0 (Hash Router)
+ * Description:
+ * Every screen has a route in the URL hash: #/collection, #/swap. The first
+ * segment is the screen's element id without "-screen"; screens register
+ * handlers for deeper paths such as #/collection/card/12 (registerRoute).
+ *
+ * Inside Telegram the Android back gesture goes to Telegram.WebApp.BackButton
+ * (or closes the Mini App when the button is hidden), so the router keeps its
+ * own back stack instead of the browser history. The button is shown while
+ * there is somewhere to go back to: it closes the top modal, or returns to
+ * the previous screen. Modals opened with openModal() are stack entries too,
+ * and the home screen is the root: going home clears the stack.
+ * The hash is rewritten in place (replaceState) so a reload keeps the current
+ * view. Hashes that are not routes (auth redirects, Telegram launch data) are
+ * left alone.
+ *
+ * Deep links: t.me/<bot>/<app>?startapp=swap_offer_<id> opens #/swap/offer/<id>.
+ * Telegram only allows [A-Za-z0-9_-] in start parameters, so "_" stands for
+ * "/". ref_<id> parameters are invite links (auth.js) and open home.
+ */
+
+import { TELEGRAM_MINI_APP_URL } from './config.js';
+
+const HOME_PATH = 'home';
+const MAX_STACK_DEPTH = 30;
+
+// Current view last: { path } for a screen, { path, modalId } for a modal over it
+let stack = [];
+const detailRoutes = [];
+
+// Set by ui.js (initRouter), which owns the screens and modals
+let showScreen = null;
+let hideModal = null;
+
+// --- Paths ---
+
+export function screenIdOf(path) {
+    return `${path.split('/')[0] || HOME_PATH}-screen`;
+}
+
+export function pathOfScreen(screenId) {
+    return screenId.replace(/-screen$/, '');
+}
+
+function normalizePath(path) {
+    return String(path || '').replace(/^#?\/*/, '').replace(/\/+$/, '');
+}
+
+/**
+ * A link that opens the app on this route from anywhere in Telegram.
+ */
+export function deepLink(path) {
+    return `${TELEGRAM_MINI_APP_URL}?startapp=${normalizePath(path).replaceAll('/', '_')}`;
+}
+
+/**
+ * Registers the handler of a detail route. Parameters are ":name" segments:
+ * registerRoute('collection/card/:id', ({ id }) => ...). The handler runs
+ * once the route's screen is shown and usually opens a modal with
+ * openModal(modalId, { route }).
+ */
+export function registerRoute(pattern, handler) {
+    const keys = [];
+    const source = normalizePath(pattern).split('/').map(segment => {
+        if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+    }).join('/');
+    detailRoutes.push({ regex: new RegExp(`^${source}$`), keys, handler });
+}
+
+function runDetailRoute(path) {
+    for (const route of detailRoutes) {
+        const match = route.regex.exec(path);
+        if (!match) continue;
+        const params = Object.fromEntries(route.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+        Promise.resolve(route.handler(params)).catch(err => console.error(`Route #/${path} failed:`, err));
+        return;
+    }
+}
+
+// --- Back stack ---
+
+function currentEntry() {
+    return stack[stack.length - 1] || null;
+}
+
+function pushEntry(entry) {
+    stack.push(entry);
+    if (stack.length > MAX_STACK_DEPTH) stack.splice(1, 1); // keep the root
+}
+
+// Mirrors the stack into the hash and the Telegram BackButton
+function syncLocation() {
+    const entry = currentEntry();
+    if (entry && window.location.hash !== `#/${entry.path}`) {
+        history.replaceState(history.state, '', `#/${entry.path}`);
+    }
+    const backButton = window.Telegram?.WebApp?.BackButton;
+    if (backButton && window.Telegram.WebApp.isVersionAtLeast?.('6.1')) {
+        if (stack.length > 1) backButton.show();
+        else backButton.hide();
+    }
+}
+
+/**
+ * Shows the route's screen, then hands deeper paths to their handler.
+ * Navigating to the screen already on top re-renders it without a new entry.
+ */
+export function navigate(path) {
+    path = normalizePath(path) || HOME_PATH;
+    let screenPath = path.split('/')[0];
+    if (!document.getElementById(screenIdOf(screenPath))) {
+        console.warn(`Unknown route #/${path}`);
+        path = screenPath = HOME_PATH;
+    }
+
+    if (screenPath === HOME_PATH) stack = [];
+    const current = currentEntry();
+    if (!current || current.modalId || current.path !== screenPath) pushEntry({ path: screenPath });
+
+    // Screen modules load on first visit and register their detail routes then
+    const shown = showScreen?.(screenIdOf(screenPath));
+    if (path !== screenPath) Promise.resolve(shown).then(() => runDetailRoute(path));
+    syncLocation();
+}
+
+/**
+ * Records an opened modal. Re-opening a modal that is already open (a
+ * re-render) only updates its route and keeps its place, like ui.js keeps it
+ * in the modal stack.
+ * @param {string} [route] - Path shown while the modal is open, e.g. 'collection/card/12'.
+ */
+export function pushModal(modalId, route) {
+    const open = stack.find(entry => entry.modalId === modalId);
+    if (open) {
+        if (route) open.path = normalizePath(route);
+    } else {
+        pushEntry({ path: normalizePath(route) || currentEntry()?.path || HOME_PATH, modalId });
+    }
+    syncLocation();
+}
+
+/**
+ * Drops a closed modal from the stack (closed by its button, the back button
+ * or the code that opened it).
+ */
+export function popModal(modalId) {
+    if (!stack.some(entry => entry.modalId === modalId)) return;
+    stack = stack.filter(entry => entry.modalId !== modalId);
+    syncLocation();
+}
+
+/**
+ * One step back: closes the top modal, or shows the previous screen.
+ * @returns {boolean} false when there was nothing to go back to.
+ */
+export function goBack() {
+    if (stack.length <= 1) return false;
+    const top = stack.pop();
+    if (top.modalId) {
+        hideModal?.(top.modalId);
+    } else {
+        showScreen?.(screenIdOf(currentEntry().path));
+    }
+    syncLocation();
+    return true;
+}
+
+// --- Setup ---
+
+/**
+ * Connects the router to the UI. Called once at startup by ui.js.
+ * @param {{showScreen: Function, hideModal: Function}} handlers - showScreen(screenId)
+ *        may return a promise that settles once the screen is drawn.
+ */
+export function initRouter(handlers) {
+    ({ showScreen, hideModal } = handlers);
+    window.Telegram?.WebApp?.BackButton?.onClick(goBack);
+    // Route links (<a href="#/...">) and hashes typed in the address bar
+    window.addEventListener('hashchange', () => {
+        const hash = window.location.hash;
+        if (hash.startsWith('#/') && hash !== `#/${currentEntry()?.path}`) navigate(hash);
+    });
+}
+
+/**
+ * Opens the app's first view once the player is signed in: the route in the
+ * hash (a reload or a browser link), else the Telegram start parameter, else
+ * home. Home always sits below, so back leads there.
+ * @param {string} [startParam] - Telegram start_param of this launch.
+ */
+export function openInitialRoute(startParam = '') {
+    const hash = window.location.hash;
+    let path = hash.startsWith('#/') ? normalizePath(hash) : '';
+    if (!path && startParam && !startParam.startsWith('ref_')) path = startParam.replaceAll('_', '/');
+
+    navigate(HOME_PATH);
+    if (normalizePath(path) && normalizePath(path) !== HOME_PATH) navigate(path);
+}
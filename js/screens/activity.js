@@ -8,6 +8,8 @@
 import { state } from '../state.js';
 import * as api from '../api.js';
 import { showToast } from '../ui.js';
+import { html, render } from '../html.js';
+import { t } from '../i18n.js';
 
 const activityContainer = document.getElementById('activity-screen'); 
 
@@ -22,7 +24,7 @@ export async function renderActivity() {
         return;
     }
 
-    activityContainer.innerHTML = '<h2>Activity Log</h2><div id="activity-list-container">Loading activity...</div>';
+    render(activityContainer, html`<h2>${t('activity.title')}</h2><div id="activity-list-container">${t('activity.loading')}</div>`);
     
     const listContainer = document.getElementById('activity-list-container');
     
@@ -30,17 +32,17 @@ export async function renderActivity() {
     const { data: activity, error } = await api.fetchActivityLog(state.currentUser.id);
 
     if (error || !activity) {
-        listContainer.innerHTML = '<p class="error-message">Error loading activity log. (Check API connection and table existence)</p>';
+        render(listContainer, html`<p class="error-message">${t('activity.loadFailed')}</p>`);
         return;
     }
 
     if (activity.length === 0) {
-        listContainer.innerHTML = '<p style="text-align: center; color: var(--text-secondary);">No activities recorded yet.</p>';
+        render(listContainer, html`<p style="text-align: center; color: var(--text-secondary);">${t('activity.empty')}</p>`);
         return;
     }
 
     // 2. Render List
-    const activityListHTML = activity.map(entry => {
+    const activityItems = activity.map(entry => {
         let icon = '📝'; 
         let color = 'var(--text-secondary)';
 
@@ -50,11 +52,12 @@ export async function renderActivity() {
             case 'UPGRADE': icon = '✨'; color = 'var(--success-color)'; break;
             case 'CONTRACT_COMPLETE': icon = '✅'; color = 'var(--success-color)'; break;
             case 'BURN': icon = '🔥'; color = 'var(--danger-color)'; break;
+            case 'AUCTION': icon = '🔨'; color = 'var(--primary-accent)'; break;
             case 'STARTER_PACK': icon = '🎁'; color = 'var(--rarity-legendary)'; break; // Use legend color for starter pack
             default: icon = 'ℹ️'; color = 'var(--text-secondary)'; break;
         }
         
-        return `
+        return html`
             <li style="display: flex; justify-content: space-between; align-items: center; background: var(--surface-dark); padding: 10px; border-radius: 8px; margin-bottom: 8px;">
                 <div style="font-size: 1.2em; margin-right: 15px; color: ${color}; flex-shrink: 0;">${icon}</div>
                 <div style="flex-grow: 1; font-size: 0.9em;">
@@ -65,8 +68,8 @@ export async function renderActivity() {
                 </div>
             </li>
         `;
-    }).join('');
+    });
 
-    listContainer.innerHTML = `<ul style="list-style: none; padding: 0;">${activityListHTML}</ul>`;
+    render(listContainer, html`<ul style="list-style: none; padding: 0;">${activityItems}</ul>`);
 }
 // NO EXPORT HERE
@@ -10,15 +10,16 @@ import { state } from '../state.js';
 import * as api from '../api.js';
 import { showToast, openModal, navigateTo } from '../ui.js';
 import { refreshPlayerState } from '../auth.js';
-import { supabaseClient } from '../config.js';
+import { html, render, registerActions } from '../html.js';
+import { t } from '../i18n.js';
 
 const albumsContainer = document.getElementById('albums-screen');
 
 // --- MASTER ALBUM CONFIGURATION (Used as reference) ---
 const MASTER_ALBUMS = [
-    { id: 1, name: "The Sacred Ennead", icon: "☀️", description: "Collect the nine foundational deities of creation.", card_ids: [1, 2, 3, 4, 5, 6, 7, 8, 9], reward_noub_score: 2500, reward_prestige: 50, reward_ankh_premium: 0 },
-    { id: 2, name: "Pharaonic Rulers", icon: "👑", description: "Collect the nine greatest Pharaohs and Queens of Egypt.", card_ids: [10, 11, 12, 13, 14, 15, 16, 17, 18], reward_noub_score: 4000, reward_prestige: 100, reward_ankh_premium: 0 },
-    { id: 3, name: "Mythological Creatures", icon: "🐉", description: "Collect the nine powerful and ancient mythical beings.", card_ids: [19, 20, 21, 22, 23, 24, 25, 26, 27], reward_noub_score: 1500, reward_prestige: 30, reward_ankh_premium: 0 }
+    { id: 1, nameKey: 'albums.ennead', icon: "☀️", descriptionKey: 'albums.enneadDescription', card_ids: [1, 2, 3, 4, 5, 6, 7, 8, 9], reward_noub_score: 2500, reward_prestige: 50, reward_ankh_premium: 0 },
+    { id: 2, nameKey: 'albums.rulers', icon: "👑", descriptionKey: 'albums.rulersDescription', card_ids: [10, 11, 12, 13, 14, 15, 16, 17, 18], reward_noub_score: 4000, reward_prestige: 100, reward_ankh_premium: 0 },
+    { id: 3, nameKey: 'albums.creatures', icon: "🐉", descriptionKey: 'albums.creaturesDescription', card_ids: [19, 20, 21, 22, 23, 24, 25, 26, 27], reward_noub_score: 1500, reward_prestige: 30, reward_ankh_premium: 0 }
 ];
 
 
@@ -43,7 +44,7 @@ export async function renderAlbums() {
 
 
     // 2. Render List View
-    albumsContainer.innerHTML = '<h2>Album Catalog</h2><div id="albums-list-container"></div>';
+    render(albumsContainer, html`<h2>${t('albums.title')}</h2><div id="albums-list-container"></div>`);
     const listContainer = document.getElementById('albums-list-container');
     
     // Ensure Album Detail Modal exists in DOM
@@ -51,15 +52,15 @@ export async function renderAlbums() {
         const modalContainer = document.createElement('div');
         modalContainer.id = 'album-detail-modal-container';
         modalContainer.className = 'modal-overlay hidden';
-        modalContainer.innerHTML = `
+        render(modalContainer, html`
             <div id="album-detail-modal-content" class="modal-content" style="max-width: 450px; padding: 0;">
                 <!-- Content will be dynamically injected here -->
             </div>
-        `;
+        `);
         document.body.appendChild(modalContainer);
     }
     
-    const albumListHTML = MASTER_ALBUMS.map(album => {
+    const albumItems = MASTER_ALBUMS.map(album => {
         const uniqueCollectedCount = album.card_ids.filter(cardId => playerCardIds.has(cardId)).length;
         const totalRequired = album.card_ids.length;
         const isCompleted = uniqueCollectedCount === totalRequired;
@@ -68,42 +69,42 @@ export async function renderAlbums() {
         let buttonHTML = '';
         const albumStatus = statusMap.get(album.id);
         if (isCompleted && (!albumStatus || !albumStatus.reward_claimed)) {
-            buttonHTML = `<button class="claim-btn ready" onclick="window.handleClaimAlbumReward(${album.id}, ${album.reward_noub_score}, ${album.reward_prestige}, ${album.reward_ankh_premium})">Claim</button>`;
+            buttonHTML = html`<button class="claim-btn ready" data-action="albums.claim" data-album-id="${album.id}">${t('albums.claim')}</button>`;
         } else {
-            buttonHTML = `<button class="claim-btn claimed" disabled>${isCompleted ? 'Claimed' : 'Progress'}</button>`;
+            buttonHTML = html`<button class="claim-btn claimed" disabled>${isCompleted ? t('albums.claimed') : t('albums.progress')}</button>`;
         }
 
-        return `
-            <li class="album-list-item ${isCompleted ? 'completed' : ''}" onclick="window.openAlbumDetail(${album.id}, '${album.name}')" style="cursor: pointer; border-left: 3px solid ${isCompleted ? 'var(--success-color)' : 'var(--primary-accent)'}; margin-bottom: 7px; padding: 10px; background: var(--surface-dark); border-radius: 8px;">
+        return html`
+            <li class="album-list-item ${isCompleted ? 'completed' : ''}" data-action="albums.open" data-album-id="${album.id}" style="cursor: pointer; border-left: 3px solid ${isCompleted ? 'var(--success-color)' : 'var(--primary-accent)'}; margin-bottom: 7px; padding: 10px; background: var(--surface-dark); border-radius: 8px;">
                 <div class="icon" style="font-size: 20px; margin-right: 10px;">${album.icon}</div>
                 <div class="details" style="flex-grow: 1;">
-                    <h4 style="margin: 0 0 3px 0;">${album.name}</h4>
+                    <h4 style="margin: 0 0 3px 0;">${t(album.nameKey)}</h4>
                     <div class="progress-bar">
                         <div class="progress-fill" style="width: ${progressPercent}%; background-color: ${isCompleted ? 'var(--success-color)' : 'var(--primary-accent)'}; height: 5px; border-radius: 3px;"></div>
                     </div>
-                    <div class="count" style="font-size: 0.7em; margin-top: 3px;">${uniqueCollectedCount}/${totalRequired} Cards Collected</div>
+                    <div class="count" style="font-size: 0.7em; margin-top: 3px;">${t('albums.collected', { count: uniqueCollectedCount, total: totalRequired })}</div>
                 </div>
                 ${buttonHTML}
             </li>
         `;
-    }).join('');
+    });
 
-    listContainer.innerHTML = `<ul id="album-ul" style="list-style: none; padding: 0;">${albumListHTML}</ul>`;
+    render(listContainer, html`<ul id="album-ul" style="list-style: none; padding: 0;">${albumItems}</ul>`);
 }
 
 /**
  * Opens the detail modal for a specific album, showing the 9 card slots.
  */
-window.openAlbumDetail = async function(albumId, albumName) {
+async function openAlbumDetail(albumId) {
     const modalContent = document.getElementById('album-detail-modal-content');
 
     const albumData = MASTER_ALBUMS.find(a => a.id === albumId);
-    if (!albumData) { showToast("Album data not found.", 'error'); return; }
+    if (!albumData) { showToast(t('albums.notFound'), 'error'); return; }
     
     // 1. Fetch ALL data needed
     const [allPlayerCardsResult, masterCardDataResult] = await Promise.all([
         api.fetchPlayerCards(state.currentUser.id),
-        supabaseClient.from('cards').select('*')
+        api.fetchAllMasterCards()
     ]);
 
     const allPlayerCards = allPlayerCardsResult.data || [];
@@ -121,7 +122,7 @@ window.openAlbumDetail = async function(albumId, albumName) {
         const ownedInstances = ownedCardMap[cardId] || [];
         const isOwned = ownedInstances.length > 0;
         const masterCard = masterCardData.find(c => c.id === cardId);
-        const cardName = masterCard?.name || `Unknown Card #${cardId}`;
+        const cardName = masterCard?.name || t('albums.unknownCard', { id: cardId });
         
         // Find the highest level card for display power/level
         const displayCard = isOwned ? ownedInstances.reduce((max, current) => (current.power_score > max.power_score ? current : max), ownedInstances[0]) : null;
@@ -129,31 +130,31 @@ window.openAlbumDetail = async function(albumId, albumName) {
         const displayImage = masterCard?.image_url || 'images/default_card.png';
         
         // Final look (Mimicking the Burble Boinker Set #2 image)
-        return `
+        return html`
             <div class="album-slot-card ${isOwned ? 'owned' : 'unowned'}" 
                  data-card-id="${cardId}" 
-                 onclick="${isOwned ? `window.showCardDetailModal(${cardId}, '${displayCard.instance_id}')` : `showToast('Find this card to unlock details!', 'info')`}" 
+                 ${isOwned ? html`data-action="albums.showCard" data-instance-id="${displayCard.instance_id}"` : html`data-action="albums.missingCard"`} 
                  style="cursor: pointer; text-align: center; background: var(--surface-dark); padding: 3px; border-radius: 6px; border: 1px solid ${isOwned ? 'var(--success-color)' : '#444'};">
                 <img src="${isOwned ? displayImage : 'images/default_card.png'}" 
                      alt="${cardName}" 
                      style="width: 100%; aspect-ratio: 1/1; border-radius: 4px; opacity: ${isOwned ? 1 : 0.4};">
                 <h4 style="font-size: 0.7em; margin: 3px 0;">${cardName}</h4>
                 <div style="font-size: 0.8em; font-weight: bold; color: ${isOwned ? 'var(--primary-accent)' : 'var(--danger-color)'};">
-                    ${isOwned ? `x${ownedInstances.length}` : 'MISSING'}
+                    ${isOwned ? `x${ownedInstances.length}` : t('albums.missing')}
                 </div>
-                ${isOwned ? `<div style="position: absolute; top: 0; right: 0; background: var(--success-color); color: white; padding: 1px 3px; border-radius: 0 4px 0 4px; font-size: 0.6em;">LVL ${displayCard?.level || 1}</div>` : ''}
+                ${isOwned ? html`<div style="position: absolute; top: 0; right: 0; background: var(--success-color); color: white; padding: 1px 3px; border-radius: 0 4px 0 4px; font-size: 0.6em;">${t('albums.cardLevel', { level: displayCard?.level || 1 })}</div>` : ''}
             </div>
         `;
-    }).join('');
+    });
 
     // 3. Inject Modal Content
-    modalContent.innerHTML = `
+    render(modalContent, html`
         <div style="padding: 10px; background: var(--background-dark); border-radius: 14px 14px 0 0;">
-            <button class="action-button small" style="position: absolute; top: 10px; left: 10px; background: #555; color: white; padding: 3px 7px;" onclick="window.closeModal('album-detail-modal-container')">← Back</button>
-            <h2 style="text-align: center; margin-top: 0; color: var(--primary-accent);">${albumName}</h2>
+            <button class="action-button small" style="position: absolute; top: 10px; left: 10px; background: #555; color: white; padding: 3px 7px;" data-action="modal.close" data-modal-id="album-detail-modal-container">← ${t('albums.back')}</button>
+            <h2 style="text-align: center; margin-top: 0; color: var(--primary-accent);">${t(albumData.nameKey)}</h2>
             <div style="text-align: center; margin-bottom: 7px;">
                 <span style="font-size: 0.9em; font-weight: bold; color: var(--success-color);">
-                    SET ${albumId}/${MASTER_ALBUMS.length}
+                    ${t('albums.set', { number: albumId, total: MASTER_ALBUMS.length })}
                 </span>
             </div>
         </div>
@@ -163,7 +164,7 @@ window.openAlbumDetail = async function(albumId, albumName) {
                 ${cardSlotsHTML}
             </div>
         </div>
-    `;
+    `);
 
     openModal('album-detail-modal-container');
 }
@@ -171,37 +172,38 @@ window.openAlbumDetail = async function(albumId, albumName) {
 /**
  * MOCK: Function to open a specific card detail modal (needs full implementation in collection.js/upgrade.js)
  */
-window.showCardDetailModal = function(cardId, instanceId) {
+function showCardDetailModal(cardId, instanceId) {
     if (instanceId === 'null') {
-         showToast(`You do not own this card yet. Find ${cardId}!`, 'info');
+         showToast(t('albums.notOwned', { id: cardId }), 'info');
     } else {
-         showToast(`Opening details for Card ID ${cardId} (Instance: ${instanceId}). This will trigger upgrade.js.`, 'success');
+         showToast(t('albums.openingCard', { id: cardId }), 'success');
          navigateTo('card-upgrade-screen'); 
     }
 }
 
 
-window.handleClaimAlbumReward = async function(albumId, noubReward, prestigeReward, ankhPremiumReward) { // Updated rewards
+async function handleClaimAlbumReward(albumId) {
     if (!state.currentUser) return;
     
-    showToast('Processing album reward...', 'info');
+    showToast(t('albums.claiming'), 'info');
 
-    const newNoubScore = (state.playerProfile.noub_score || 0) + noubReward; // Use noub_score
-    const newPrestige = (state.playerProfile.prestige || 0) + prestigeReward;
-    const newAnkhPremium = (state.playerProfile.ankh_premium || 0) + ankhPremiumReward; // Use ankh_premium
-
-    const { error } = await api.updatePlayerProfile(state.currentUser.id, { 
-        noub_score: newNoubScore, 
-        prestige: newPrestige, 
-        ankh_premium: newAnkhPremium // Update ankh_premium
-    });
+    // The server checks the album is complete and pays its configured reward
+    const { data, error } = await api.claimAlbum(state.currentUser.id, albumId);
     
     if (!error) {
-        await api.logActivity(state.currentUser.id, 'ALBUM_CLAIM', `Claimed Album ${albumId} for ${noubReward} NOUB, ${ankhPremiumReward} Ankh Premium.`);
+        const { noub = 0, prestige = 0, ankh = 0 } = data.reward;
+        await api.logActivity(state.currentUser.id, 'ALBUM_CLAIM', `Claimed Album ${albumId} for ${noub} NOUB, ${ankh} Ankh Premium.`);
         await refreshPlayerState();
-        showToast(`Album Reward Claimed! +${noubReward} 🪙, +${prestigeReward} 🐞, +${ankhPremiumReward} ☥`, 'success'); // Updated symbols
+        showToast(t('albums.claimedToast', { noub, prestige, ankh }), 'success');
         renderAlbums(); 
     } else {
-        showToast('Error claiming reward!', 'error');
+        showToast(error.message, 'error');
     }
 }
+
+registerActions({
+    'albums.open': (el) => openAlbumDetail(Number(el.dataset.albumId)),
+    'albums.claim': (el) => handleClaimAlbumReward(Number(el.dataset.albumId)),
+    'albums.showCard': (el) => showCardDetailModal(el.dataset.cardId, el.dataset.instanceId),
+    'albums.missingCard': () => showToast(t('albums.findCard'), 'info')
+});
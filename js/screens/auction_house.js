@@ -0,0 +1,386 @@
+/*
+ * Filename: js/screens/auction_house.js
+ * Version: NOUB v4.4.0 (Timed Auction House)
+ * Description:
+ * Auction tabs of the Global Exchange (rendered inside swap_screen.js).
+ * Sellers list a card with a start price, an optional buyout and a duration;
+ * the card is held in escrow like a swap offer. Bids are paid up-front and
+ * refunded automatically when outbid. Settlement runs server-side
+ * (auction_settle_due); this screen also triggers it on load and whenever a
+ * visible countdown reaches zero.
+ */
+
+import { state } from '../state.js';
+import * as api from '../api.js';
+import { showToast, confirmDialog } from '../ui.js';
+import { html, render, registerActions } from '../html.js';
+import { refreshPlayerState } from '../auth.js';
+import { openCardSelectorModal } from './swap_screen.js';
+import { t } from '../i18n.js';
+
+export const AUCTION_TABS = ['auctions', 'my_bids', 'my_auctions'];
+
+const DURATION_OPTIONS = [1, 6, 12, 24, 48, 72];
+
+const STATUS_LABELS = {
+    active: { key: 'auction.statusLive', color: 'var(--success-color)' },
+    settled: { key: 'auction.statusSold', color: 'var(--primary-accent)' },
+    unsold: { key: 'auction.statusUnsold', color: '#888' },
+    cancelled: { key: 'auction.statusCancelled', color: 'var(--danger-color)' }
+};
+
+// Draft of the "List a Card" form
+const auctionDraft = {
+    instanceId: null,
+    cardName: null,
+    startPrice: 0,
+    buyoutPrice: 0,
+    durationHours: 24
+};
+
+let activeAuctionTab = null;
+let incrementPercent = 5;
+let marketFeePercent = 0;
+let countdownInterval = null;
+let settlingDue = false;
+const settleRequested = new Set(); // Auction ids already sent for settlement by this client
+
+// ========================================================
+// --- 1. TAB ENTRY POINT ---
+// ========================================================
+
+/**
+ * Renders one of the auction tabs into `swap-content-<tabName>`.
+ * Due auctions are settled first so the lists never show a finished timer.
+ */
+export async function renderAuctionTab(tabName) {
+    activeAuctionTab = tabName;
+    const content = document.getElementById(`swap-content-${tabName}`);
+    if (!content) return;
+    render(content, html`<p style="text-align:center; padding:20px;">${t('auction.loading')}</p>`);
+
+    await api.settleDueAuctions();
+    const [{ data: increment }, { data: fee }] = await Promise.all([
+        api.fetchAuctionIncrementPercent(),
+        api.fetchMarketFeePercent()
+    ]);
+    incrementPercent = increment;
+    marketFeePercent = fee || 0;
+
+    if (tabName === 'auctions') await renderBrowseAuctions(content);
+    else if (tabName === 'my_bids') await renderMyBids(content);
+    else if (tabName === 'my_auctions') await renderMyAuctions(content);
+
+    startCountdowns();
+}
+
+// ========================================================
+// --- 2. BROWSE & BID ---
+// ========================================================
+
+async function renderBrowseAuctions(content) {
+    const { data: auctions, error } = await api.fetchActiveAuctions(state.currentUser.id);
+
+    if (error) return render(content, html`<p class="error-text">${t('errors.network')}</p>`);
+    if (!auctions || auctions.length === 0) return render(content, html`<p style="text-align:center; color:#666; padding:20px;">${t('auction.noneRunning')}</p>`);
+
+    render(content, auctions.map(auction => {
+        const minBid = api.getMinimumBid(auction, incrementPercent);
+        const isLeading = auction.current_bidder_id === state.currentUser.id;
+
+        return html`
+            <div class="swap-card" style="background:#1a1a1a; border:1px solid #333; border-radius:12px; padding:12px; margin-bottom:12px;">
+                ${renderAuctionSummary(auction)}
+                ${isLeading
+                    ? html`<p style="text-align:center; color:var(--success-color); font-size:0.8em; margin-top:12px;">${t('auction.leading')}</p>`
+                    : html`
+                    <div style="display:flex; gap:8px; margin-top:12px;">
+                        <input type="number" id="bid-input-${auction.id}" min="${minBid}" step="1" value="${minBid}"
+                            style="flex:1; text-align:center; border:1px dashed var(--primary-accent); border-radius:8px; padding:8px; background:transparent; color:var(--primary-accent); font-weight:bold;">
+                        <button class="action-button small" style="flex:1; background:var(--accent-blue); border:none;"
+                            data-action="auction.bid" data-auction-id="${auction.id}">${t('auction.bid')}</button>
+                    </div>
+                    ${auction.buyout_price != null
+                        ? html`<button class="action-button small" style="width:100%; margin-top:8px;" data-action="auction.buyout" data-auction-id="${auction.id}" data-amount="${auction.buyout_price}">${t('auction.buyout', { amount: auction.buyout_price })}</button>`
+                        : ''}
+                `}
+            </div>
+        `;
+    }));
+}
+
+async function handlePlaceBid(auctionId, fixedAmount = null) {
+    const input = document.getElementById(`bid-input-${auctionId}`);
+    const amount = Math.floor(Number(fixedAmount ?? input?.value) || 0);
+
+    if (amount <= 0) return showToast(t('auction.enterBid'), 'error');
+    if (amount > (state.playerProfile.noub_score || 0)) {
+        return showToast(t('auction.bidNeedsNoub', { amount }), 'error');
+    }
+
+    showToast(t('auction.placingBid'), 'info');
+    const { data, error } = await api.placeBid(auctionId, amount);
+
+    if (error) {
+        showToast(error.message, 'error');
+    } else {
+        showToast(data.boughtOut ? t('auction.boughtOut') : t('auction.bidPlaced', { amount: data.amount }), 'success');
+        await refreshPlayerState();
+    }
+    renderAuctionTab(activeAuctionTab);
+}
+
+// ========================================================
+// --- 3. MY BIDS ---
+// ========================================================
+
+async function renderMyBids(content) {
+    const { data: auctions, error } = await api.fetchMyBids(state.currentUser.id);
+
+    if (error) return render(content, html`<p class="error-text">${t('errors.network')}</p>`);
+    if (!auctions || auctions.length === 0) return render(content, html`<p style="text-align:center; color:#666; padding:20px;">${t('auction.noBids')}</p>`);
+
+    render(content, auctions.map(auction => {
+        const isLeading = auction.current_bidder_id === state.currentUser.id;
+        let outcome;
+        if (auction.status === 'active') {
+            outcome = isLeading
+                ? html`<span style="color:var(--success-color);">${t('auction.winning')}</span>`
+                : html`<span style="color:var(--danger-color);">${t('auction.outbid')}</span>`;
+        } else {
+            outcome = isLeading && auction.status === 'settled'
+                ? html`<span style="color:var(--primary-accent);">${t('auction.won')}</span>`
+                : html`<span style="color:#888;">${t('auction.lost')}</span>`;
+        }
+
+        return html`
+            <div class="swap-card" style="background:#1e1e1e; border-left:4px solid var(--accent-blue); border-radius:10px; padding:12px; margin-bottom:12px;">
+                ${renderAuctionSummary(auction)}
+                <div style="display:flex; justify-content:space-between; font-size:0.8em; margin-top:10px; color:#aaa;">
+                    <span>${t('auction.yourBid')} <b style="color:#fff;">${auction.my_bid}</b> 🪙</span>
+                    ${outcome}
+                </div>
+            </div>
+        `;
+    }));
+}
+
+// ========================================================
+// --- 4. MY AUCTIONS (LIST + CREATE) ---
+// ========================================================
+
+async function renderMyAuctions(content) {
+    const { data: auctions, error } = await api.fetchMyAuctions(state.currentUser.id);
+
+    if (error) return render(content, html`<p class="error-text">${t('errors.network')}</p>`);
+
+    const listHTML = (auctions && auctions.length > 0)
+        ? auctions.map(auction => html`
+            <div class="swap-card" style="background:#1e1e1e; border-left:4px solid var(--primary-accent); border-radius:10px; padding:12px; margin-bottom:12px;">
+                ${renderAuctionSummary(auction)}
+                ${auction.status === 'settled'
+                    ? html`<p style="font-size:0.75em; color:#888; margin-top:8px;">${t('auction.received', { amount: auction.current_bid - auction.fee_noub, fee: auction.fee_noub })}</p>`
+                    : ''}
+                ${auction.status === 'active' && !auction.current_bidder_id
+                    ? html`<button class="action-button small danger" style="width:100%; margin-top:12px;" data-action="auction.cancel" data-auction-id="${auction.id}">${t('auction.cancel')}</button>`
+                    : ''}
+            </div>
+        `)
+        : html`<p style="text-align:center; color:#666; padding:20px;">${t('auction.noneListed')}</p>`;
+
+    render(content, html`
+        <div id="auction-create-form"></div>
+        <h3 style="color:var(--primary-accent); margin:15px 0 10px;">${t('auction.yourAuctions')}</h3>
+        ${listHTML}
+    `);
+    renderCreateAuctionForm();
+}
+
+function renderCreateAuctionForm() {
+    const form = document.getElementById('auction-create-form');
+    if (!form) return;
+
+    const durationButtonsHTML = DURATION_OPTIONS.map(hours => html`
+        <button class="action-button small" data-action="auction.duration" data-hours="${hours}"
+            style="flex:1; padding:6px; font-size:0.75em; ${hours === auctionDraft.durationHours ? '' : 'background:#333; color:#aaa;'}">
+            ${hours < 24 ? t('auction.hoursShort', { count: hours }) : t('auction.daysShort', { count: hours / 24 })}
+        </button>
+    `);
+
+    render(form, html`
+        <div style="background:#1a1a1a; padding:15px; border-radius:12px; border:1px solid #444; text-align:center;">
+            <h3 style="color:var(--accent-blue); margin-bottom:12px;">${t('auction.listCard')}</h3>
+
+            <div style="cursor:pointer; margin-bottom:10px;" data-action="auction.selectCard">
+                <div style="border:1px dashed var(--success-color); padding:12px 5px; border-radius:8px; color:var(--success-color); font-weight:bold;">
+                    ${auctionDraft.cardName || t('auction.selectCard')}
+                </div>
+            </div>
+
+            <div style="display:flex; gap:8px; margin-bottom:10px;">
+                <input type="number" min="1" step="1" value="${auctionDraft.startPrice || ''}" placeholder="${t('auction.startPlaceholder')}"
+                    data-input="auction.price" data-field="startPrice"
+                    style="flex:1; text-align:center; border:1px dashed var(--primary-accent); border-radius:8px; padding:10px 5px; background:transparent; color:var(--primary-accent); font-weight:bold;">
+                <input type="number" min="0" step="1" value="${auctionDraft.buyoutPrice || ''}" placeholder="${t('auction.buyoutPlaceholder')}"
+                    data-input="auction.price" data-field="buyoutPrice"
+                    style="flex:1; text-align:center; border:1px dashed #666; border-radius:8px; padding:10px 5px; background:transparent; color:#ccc;">
+            </div>
+
+            <div style="display:flex; gap:6px; margin-bottom:12px;">
+                ${durationButtonsHTML}
+            </div>
+
+            <p style="font-size:0.75em; color:#666; margin-bottom:12px; line-height:1.4;">
+                ${t('auction.escrowNote')}<br>
+                ${t('auction.feeNote', { percent: marketFeePercent })}
+            </p>
+
+            <button id="create-auction-btn" class="action-button" style="width:100%;" data-action="auction.create">
+                ${t('auction.start')}
+            </button>
+        </div>
+    `);
+}
+
+/**
+ * Updates a draft field. Price inputs pass rerender = false to keep focus.
+ */
+function setAuctionDraft(field, value, rerender = true) {
+    auctionDraft[field] = Math.max(0, Math.floor(Number(value) || 0));
+    if (rerender) renderCreateAuctionForm();
+}
+
+function openAuctionCardSelector() {
+    openCardSelectorModal('offer', (masterId, instanceId, name) => {
+        auctionDraft.instanceId = instanceId;
+        auctionDraft.cardName = name;
+        renderCreateAuctionForm();
+    });
+}
+
+async function finalizeAuction() {
+    const { instanceId, startPrice, buyoutPrice, durationHours } = auctionDraft;
+
+    if (!instanceId) return showToast(t('auction.selectCardFirst'), 'error');
+    if (!(startPrice > 0)) return showToast(t('auction.setStartPrice'), 'error');
+    if (buyoutPrice > 0 && buyoutPrice <= startPrice) {
+        return showToast(t('errors.auctionBadBuyout'), 'error');
+    }
+
+    const btn = document.getElementById('create-auction-btn');
+    btn.disabled = true;
+    btn.innerText = t('auction.processing');
+
+    const { error } = await api.createAuction(instanceId, startPrice, buyoutPrice > 0 ? buyoutPrice : null, durationHours);
+
+    if (error) {
+        showToast(error.message, 'error');
+        btn.disabled = false;
+        btn.innerText = t('auction.start');
+        return;
+    }
+
+    showToast(t('auction.started'), 'success');
+    Object.assign(auctionDraft, { instanceId: null, cardName: null, startPrice: 0, buyoutPrice: 0 });
+    await refreshPlayerState();
+    renderAuctionTab('my_auctions');
+}
+
+async function handleCancelAuction(auctionId) {
+    if (!(await confirmDialog(t('auction.cancelConfirm'), { danger: true }))) return;
+
+    const { error } = await api.cancelAuction(auctionId);
+    if (error) return showToast(error.message, 'error');
+
+    showToast(t('auction.cancelled'), 'success');
+    await refreshPlayerState();
+    renderAuctionTab('my_auctions');
+}
+
+// ========================================================
+// --- 5. SHARED RENDERING & TIMERS ---
+// ========================================================
+
+function renderAuctionSummary(auction) {
+    const card = auction.card || {};
+    const status = STATUS_LABELS[auction.status] || STATUS_LABELS.active;
+    const currentBid = auction.current_bid != null ? `${auction.current_bid} 🪙` : t('auction.noBidsYet');
+
+    return html`
+        <div style="display:flex; align-items:center; gap:12px;">
+            <img src="${card.image_url || 'images/default_card.png'}" style="width:55px; height:55px; border-radius:6px; object-fit:cover;">
+            <div style="flex:1; min-width:0;">
+                <div style="display:flex; justify-content:space-between; font-size:0.75em;">
+                    <span style="color:${status.color}; font-weight:bold;">${t(status.key)}</span>
+                    ${auction.status === 'active'
+                        ? html`<span class="auction-timer" data-auction-id="${auction.id}" data-ends-at="${new Date(auction.ends_at).getTime()}" style="color:#ccc;">--:--:--</span>`
+                        : html`<span style="color:#666;">${new Date(auction.settled_at || auction.ends_at).toLocaleDateString()}</span>`}
+                </div>
+                <div style="font-size:0.9em; color:#fff; margin:4px 0; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${card.name || t('auction.card')}</div>
+                <div style="font-size:0.75em; color:#888;">
+                    ${t('auction.currentBid')} <b style="color:var(--primary-accent);">${currentBid}</b> • ${t('auction.bidCount', { count: auction.bid_count })}
+                    ${auction.buyout_price != null ? ` • ${t('auction.buyoutPrice', { amount: auction.buyout_price })}` : ''}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Ticks every visible auction timer. When one reaches zero the due auctions are
+ * settled and the current tab is reloaded. Stops itself once the auction tabs
+ * are no longer on screen.
+ */
+function startCountdowns() {
+    if (countdownInterval) clearInterval(countdownInterval);
+
+    function update() {
+        const timers = document.querySelectorAll('.auction-timer');
+        const tabVisible = activeAuctionTab && !document.getElementById(`swap-content-${activeAuctionTab}`)?.classList.contains('hidden');
+        if (timers.length === 0 || !tabVisible) {
+            clearInterval(countdownInterval);
+            countdownInterval = null;
+            return;
+        }
+
+        let anyExpired = false;
+        timers.forEach(timerEl => {
+            const remaining = parseInt(timerEl.dataset.endsAt) - Date.now();
+            if (remaining <= 0) {
+                timerEl.textContent = t('auction.ending');
+                if (!settleRequested.has(timerEl.dataset.auctionId)) {
+                    settleRequested.add(timerEl.dataset.auctionId);
+                    anyExpired = true;
+                }
+                return;
+            }
+            const hours = Math.floor(remaining / (1000 * 60 * 60));
+            const minutes = Math.floor((remaining / 1000 / 60) % 60);
+            const seconds = Math.floor((remaining / 1000) % 60);
+            timerEl.textContent = `${String(hours).padStart(2,'0')}:${String(minutes).padStart(2,'0')}:${String(seconds).padStart(2,'0')}`;
+        });
+
+        if (anyExpired && !settlingDue) {
+            settlingDue = true;
+            api.settleDueAuctions()
+                .then(() => refreshPlayerState())
+                .finally(() => {
+                    settlingDue = false;
+                    renderAuctionTab(activeAuctionTab);
+                });
+        }
+    }
+
+    update();
+    countdownInterval = setInterval(update, 1000);
+}
+
+registerActions({
+    'auction.bid': (el) => handlePlaceBid(el.dataset.auctionId),
+    'auction.buyout': (el) => handlePlaceBid(el.dataset.auctionId, Number(el.dataset.amount)),
+    'auction.cancel': (el) => handleCancelAuction(el.dataset.auctionId),
+    'auction.duration': (el) => setAuctionDraft('durationHours', el.dataset.hours),
+    'auction.price': (el) => setAuctionDraft(el.dataset.field, el.value, false),
+    'auction.selectCard': openAuctionCardSelector,
+    'auction.create': finalizeAuction
+});
@@ -1,16 +1,22 @@
 /*
  * Filename: js/screens/chat.js
  * Version: Pharaoh's Legacy 'NOUB' v0.5 (English, Rewards Decoupled)
- * Description: UCP protocol journey is now fully in English.
+ * Description: UCP protocol journey, in the player's language (js/i18n.js).
  * Reward logic has been removed and is now handled by tasks.js.
+ * The question banks are per language (ucp/en, ucp/ar) with the same ids and
+ * order, so saved answers and progress carry over a language switch. The
+ * export template (protocol_preamble/postamble.txt) is shared.
 */
 
-import { state } from '../state.js';
+import { state, mutateState } from '../state.js';
 import * as api from '../api.js';
 import { showToast } from '../ui.js';
 import { refreshPlayerState } from '../auth.js';
+import { t, getLanguage } from '../i18n.js';
+import { html, render, trusted, escapeHtml, registerActions } from '../html.js';
 
 let protocolData = null;
+let protocolLanguage = null; // language of the loaded question banks
 let eveGeneralQuestions = null;
 let hypatiaPhilosophicalQuestions = null;
 let hypatiaScaledQuestions = null;
@@ -46,10 +52,12 @@ const personalities = {
 
 async function loadAllProtocolData() {
     try {
-        if (protocolData) return true;
+        const language = getLanguage();
+        if (protocolData && protocolLanguage === language) return true;
+        const dir = `ucp/${language}`;
         const [protocolRes, eveGeneralRes, hypatiaPhilRes, hypatiaScaledRes, likertRes, mentalStateRes, preambleRes, postambleRes] = await Promise.all([
-            fetch('section_type_data.json'), fetch('eve_general_questions.json'), fetch('hypatia_philosophical_questions.json'),
-            fetch('scaled_questions.json'), fetch('likert_scale_labels.json'), fetch('eve_mental_state_phrases.json'),
+            fetch(`${dir}/section_type_data.json`), fetch(`${dir}/eve_general_questions.json`), fetch(`${dir}/hypatia_philosophical_questions.json`),
+            fetch(`${dir}/scaled_questions.json`), fetch(`${dir}/likert_scale_labels.json`), fetch(`${dir}/eve_mental_state_phrases.json`),
             fetch('protocol_preamble.txt'), fetch('protocol_postamble.txt')
         ]);
         const checkOk = (res, file) => { if (!res.ok) throw new Error(`Failed to load ${file}: ${res.statusText}`); return res; };
@@ -61,23 +69,30 @@ async function loadAllProtocolData() {
         eveMentalStatePhrases = await checkOk(mentalStateRes, 'eve_mental_state_phrases.json').json();
         protocolPreamble = await checkOk(preambleRes, 'protocol_preamble.txt').text();
         protocolPostamble = await checkOk(postambleRes, 'protocol_postamble.txt').text();
-        console.log("All protocol data loaded successfully.");
+        protocolLanguage = language;
+        console.log(`All protocol data loaded successfully (${language}).`);
         return true;
     } catch (error) {
         console.error("Fatal Error: Could not load required protocol data.", error);
-        showToast("Fatal Error: Could not load protocol data!", 'error');
+        showToast(t('chat.loadFailed'), 'error');
         return false;
     }
 }
 
+// Plain text gets **bold** and *italic*; templates (html``) are used as is
+function formatMessage(content) {
+    if (typeof content !== 'string') return content;
+    return trusted(escapeHtml(content).replace(/\*\*(.*?)\*\*/g, '<b>$1</b>').replace(/\*(.*?)\*/g, '<i>$1</i>'));
+}
+
 function addMessage(senderName, text, type = 'eve-bubble') {
     if (!chatMessagesContainer) return;
     const personality = personalities[sessionState.currentPersonality];
-    const sender = (type === 'user-bubble') ? (state.playerProfile?.username || 'You') : personality.name;
+    const sender = (type === 'user-bubble') ? (state.playerProfile?.username || t('chat.you')) : personality.name;
     const avatar = (type === 'user-bubble') ? (state.playerProfile?.avatar_url || 'images/user_avatar.png') : personality.avatar;
     const messageDiv = document.createElement('div');
     messageDiv.classList.add(type);
-    messageDiv.innerHTML = `<p>${text.replace(/\*\*(.*?)\*\*/g, '<b>$1</b>').replace(/\*(.*?)\*/g, '<i>$1</i>')}</p>`;
+    render(messageDiv, html`<p>${formatMessage(text)}</p>`);
     chatMessagesContainer.appendChild(messageDiv);
     chatMessagesContainer.scrollTop = chatMessagesContainer.scrollHeight;
 }
@@ -111,7 +126,7 @@ function renderInputArea(questionConfig) {
             });
             break;
         case 'tf':
-            ['Yes', 'No'].forEach(opt => {
+            [t('chat.yes'), t('chat.no')].forEach(opt => {
                 const btn = document.createElement('button');
                 btn.className = 'action-button small ucp-option-btn';
                 btn.textContent = opt;
@@ -123,7 +138,7 @@ function renderInputArea(questionConfig) {
         case 'textarea':
             chatInputField.style.display = 'block';
             chatSendButton.style.display = 'block';
-            chatInputField.placeholder = questionConfig.placeholder || "Type your answer here...";
+            chatInputField.placeholder = questionConfig.placeholder || t('chat.answerPlaceholder');
             chatInputField.focus();
             break;
         default: // custom_choice
@@ -146,7 +161,7 @@ function askNextQuestion() {
     let currentQuestion;
     switch (sessionState.currentStage) {
         case 'AWAITING_MENTAL_STATE':
-            currentQuestion = { question: "Welcome! Before we begin, how would you describe your current mental state?", type: 'custom_choice', options: [{ text: "Good / Focused 😊", value: 'good' }, { text: "Average / A bit distracted 😐", value: 'average' }, { text: "Poor / Unfocused 😟", value: 'bad' }] };
+            currentQuestion = { question: t('chat.mentalState.question'), type: 'custom_choice', options: [{ text: t('chat.mentalState.good'), value: 'good' }, { text: t('chat.mentalState.average'), value: 'average' }, { text: t('chat.mentalState.bad'), value: 'bad' }] };
             addMessage(personalities.eve.name, currentQuestion.question);
             renderInputArea(currentQuestion);
             break;
@@ -166,7 +181,7 @@ function askNextQuestion() {
                 return;
             }
             currentQuestion = section.fields[sessionState.mainFieldIndex];
-            addMessage(personalities.eve.name, `[Section: ${section.title}]<br>${currentQuestion.label}`);
+            addMessage(personalities.eve.name, html`${t('chat.section', { title: section.title })}<br>${currentQuestion.label}`);
             renderInputArea(currentQuestion);
             break;
         case 'EVE_GENERAL':
@@ -181,7 +196,7 @@ function askNextQuestion() {
             break;
         case 'HYPATIA_CHOICE':
             sessionState.currentPersonality = 'hypatia';
-            currentQuestion = { question: "You have completed the foundational stage with Eve. I am Hypatia 🦉. I will help you with a deeper exploration. Which path do you choose?", type: 'custom_choice', options: [{ text: "Intellectual Exploration (Philosophical Questions)", value: 'HYPATIA_PHILOSOPHICAL' }, { text: "Behavioral Analysis (Scaled Questions)", value: 'HYPATIA_SCALED' }, { text: "Finish data collection for now", value: 'SESSION_COMPLETE' }] };
+            currentQuestion = { question: t('chat.hypatia.question'), type: 'custom_choice', options: [{ text: t('chat.hypatia.philosophical'), value: 'HYPATIA_PHILOSOPHICAL' }, { text: t('chat.hypatia.scaled'), value: 'HYPATIA_SCALED' }, { text: t('chat.hypatia.finish'), value: 'SESSION_COMPLETE' }] };
             addMessage(personalities.hypatia.name, currentQuestion.question);
             renderInputArea(currentQuestion);
             break;
@@ -202,14 +217,14 @@ function askNextQuestion() {
                 return;
             }
             currentQuestion = { ...hypatiaScaledQuestions[sessionState.hypatiaScaledIndex], type: 'scaled' };
-            addMessage(personalities.hypatia.name, `On a scale of 1 to 5, to what extent does the following statement apply to you?<br><b>"${currentQuestion.text}"</b>`);
+            addMessage(personalities.hypatia.name, html`${t('chat.scaledPrompt')}<br><b>"${currentQuestion.text}"</b>`);
             renderInputArea(currentQuestion);
             break;
         case 'SESSION_COMPLETE':
             sessionState.isAwaitingAnswer = false;
-            const finalMessage = "Excellent! We have completed your protocol-building journey. Your cognitive fingerprint is now ready.";
+            const finalMessage = t('chat.complete');
             addMessage(personalities[sessionState.currentPersonality].name, finalMessage);
-            addMessage(personalities[sessionState.currentPersonality].name, `<button class='action-button small' onclick='window.generateAndExportProtocol()' style="background-color: #2ecc71; margin-top: 15px;">Generate & Export Final Protocol</button>`);
+            addMessage(personalities[sessionState.currentPersonality].name, html`<button class='action-button small' data-action="chat.export" style="background-color: #2ecc71; margin-top: 15px;">${t('chat.exportButton')}</button>`);
             const dynamicElements = chatActionArea.querySelectorAll('.ucp-dynamic-element');
             dynamicElements.forEach(el => el.remove());
             break;
@@ -227,7 +242,7 @@ function processUserAnswer(answer) {
         case 'AWAITING_MENTAL_STATE':
             sessionState.selectedMentalState = answer;
             const greeting = eveMentalStatePhrases[answer].greetings[Math.floor(Math.random() * eveMentalStatePhrases[answer].greetings.length)];
-            addMessage(personalities.eve.name, greeting.replace('{name}', state.playerProfile?.username || 'my friend'));
+            addMessage(personalities.eve.name, greeting.replace('{name}', state.playerProfile?.username || t('chat.myFriend')));
             sessionState.currentStage = 'MAIN_SECTIONS';
             break;
 
@@ -272,11 +287,11 @@ function processUserAnswer(answer) {
         Object.assign(localUcpData[sectionKeyForSave], dataToSave);
         
         if (!(state.ucp instanceof Map)) state.ucp = new Map();
-        state.ucp.set(sectionKeyForSave, localUcpData[sectionKeyForSave]);
+        mutateState('ucp', ucp => ucp.set(sectionKeyForSave, localUcpData[sectionKeyForSave]));
 
         api.saveUCPSection(state.currentUser.id, sectionKeyForSave, localUcpData[sectionKeyForSave]);
         
-        showToast('Protocol updated', 'success');
+        showToast(t('chat.saved'), 'success');
     }
 
     setTimeout(askNextQuestion, 300);
@@ -355,7 +370,7 @@ export async function renderChat() {
         console.error("Chat interface elements not found."); return;
     }
 
-    chatMessagesContainer.innerHTML = '';
+    render(chatMessagesContainer, '');
     chatSendButton.onclick = handleChatSend;
     chatInputField.onkeypress = (e) => { if (e.key === 'Enter' && !chatInputField.disabled) handleChatSend(); };
 
@@ -371,7 +386,7 @@ export async function renderChat() {
         });
         console.log("Chat session initialized with previously saved user data.");
         fastForwardSessionState();
-        addMessage(personalities.eve.name, `Welcome back, ${state.playerProfile?.username}! Let's continue where we left off.`);
+        addMessage(personalities.eve.name, t('chat.welcomeBack', { name: state.playerProfile?.username }));
     } else {
         console.log("Starting a fresh chat session.");
     }
@@ -379,17 +394,17 @@ export async function renderChat() {
     askNextQuestion();
 }
 
-window.generateAndExportProtocol = function() {
-    showToast('Generating Protocol...', 'info');
-    const username = state.playerProfile.username || 'Explorer';
+function generateAndExportProtocol() {
+    showToast(t('chat.generating'), 'info');
+    const username = state.playerProfile.username || t('common.explorer');
     let protocolText = protocolPreamble.replace(/{اسم_المستخدم_المفضل}/g, username) + '\n\n';
     
-    protocolText += "--- Main Data Sections ---\n\n";
+    protocolText += `--- ${t('chat.export.main')} ---\n\n`;
     const mainSectionKeys = Object.keys(protocolData);
     mainSectionKeys.forEach(sectionKey => {
         const ucpKey = `main_${sectionKey}`;
         if (localUcpData[ucpKey]) {
-            protocolText += `[Section: ${protocolData[sectionKey].title}]\n`;
+            protocolText += `${t('chat.section', { title: protocolData[sectionKey].title })}\n`;
             const sectionData = localUcpData[ucpKey];
             for (const dataKey in sectionData) {
                 const item = sectionData[dataKey];
@@ -400,7 +415,7 @@ window.generateAndExportProtocol = function() {
     });
 
     if (localUcpData['eve_general']) {
-        protocolText += "--- Eve's Creative Questions ---\n\n";
+        protocolText += `--- ${t('chat.export.eve')} ---\n\n`;
         Object.values(localUcpData['eve_general']).forEach(item => {
             protocolText += `- ${item.question}: ${item.answer}\n`;
         });
@@ -408,16 +423,16 @@ window.generateAndExportProtocol = function() {
     }
 
     if (localUcpData['hypatia_philosophical'] || localUcpData['hypatia_scaled']) {
-        protocolText += "--- Hypatia's Deep Analysis ---\n\n";
+        protocolText += `--- ${t('chat.export.hypatia')} ---\n\n`;
         if (localUcpData['hypatia_philosophical']) {
-            protocolText += "[Philosophical Session]\n";
+            protocolText += `[${t('chat.export.philosophical')}]\n`;
             Object.values(localUcpData['hypatia_philosophical']).forEach(item => {
                 protocolText += `- ${item.question}: ${item.answer}\n`;
             });
             protocolText += '\n';
         }
         if (localUcpData['hypatia_scaled']) {
-            protocolText += "[Behavioral Analysis Session]\n";
+            protocolText += `[${t('chat.export.scaled')}]\n`;
             Object.values(localUcpData['hypatia_scaled']).forEach(item => {
                 protocolText += `- "${item.question}": ${item.answer}/5 (${likertScaleLabels[item.answer]})\n`;
             });
@@ -435,5 +450,9 @@ window.generateAndExportProtocol = function() {
     link.click();
     document.body.removeChild(link);
     
-    showToast('Protocol exported successfully!', 'success');
+    showToast(t('chat.exported'), 'success');
 }
+
+registerActions({
+    'chat.export': generateAndExportProtocol
+});
@@ -19,14 +19,22 @@
  * -----------------------------------------------------------------------------
  */
 
-import { state } from '../state.js';
+import { state, subscribe } from '../state.js';
 import * as api from '../api.js';
-import { showToast, openModal, playSound } from '../ui.js';
+import { showToast, openModal, closeModal, confirmDialog, playSound } from '../ui.js';
+import { html, render, append, registerActions } from '../html.js';
+import { handleError } from '../errors.js';
 import { refreshPlayerState } from '../auth.js';
+import { openCardMarketModal } from './market_analytics.js'; // also registers market.openCard
+import { registerRoute } from '../router.js';
+import { t } from '../i18n.js';
 
 // DOM Reference (The main container div in index.html)
 const collectionContainer = document.getElementById('collection-container');
 
+// The card type whose copies are open in the interaction modal
+let activeCardGroup = null;
+
 // =============================================================================
 // SECTION 1: STATIC DATA CONFIGURATION
 // =============================================================================
@@ -37,46 +45,37 @@ const collectionContainer = document.getElementById('collection-container');
  */
 const MASTER_ALBUMS = [
     { 
-        id: 1, name: "The Sacred Ennead", icon: "☀️", 
-        description: "The nine foundational deities of creation.", 
+        id: 1, nameKey: 'albums.ennead', icon: "☀️", 
+        descriptionKey: 'collection.enneadDescription', 
         card_ids: [1, 2, 3, 4, 5, 6, 7, 8, 9], 
         rewards: { noub: 2500, prestige: 50 } 
     },
     { 
-        id: 2, name: "Pharaonic Rulers", icon: "👑", 
-        description: "Greatest Kings and Queens of Egypt.", 
+        id: 2, nameKey: 'albums.rulers', icon: "👑", 
+        descriptionKey: 'collection.rulersDescription', 
         card_ids: [10, 11, 12, 13, 14, 15, 16, 17, 18], 
         rewards: { noub: 4000, prestige: 100 } 
     },
     { 
-        id: 3, name: "Mythological Beasts", icon: "🐉", 
-        description: "Guardians and creatures from the Duat.", 
+        id: 3, nameKey: 'collection.beasts', icon: "🐉", 
+        descriptionKey: 'collection.beastsDescription', 
         card_ids: [19, 20, 21, 22, 23, 24, 25, 26, 27], 
         rewards: { noub: 1500, prestige: 30 } 
     },
     { 
-        id: 4, name: "Dendera Temple", icon: "🌌", 
-        description: "Secrets of Astronomy, Time, and Science.", 
+        id: 4, nameKey: 'collection.dendera', icon: "🌌", 
+        descriptionKey: 'collection.denderaDescription', 
         card_ids: [28, 29, 30, 31, 32, 33, 34, 35, 36], 
         rewards: { noub: 6000, prestige: 50 } 
     },
     { 
-        id: 5, name: "Royal Arsenal", icon: "⚔️", 
-        description: "Tools of War and Military Might.", 
+        id: 5, nameKey: 'collection.arsenal', icon: "⚔️", 
+        descriptionKey: 'collection.arsenalDescription', 
         card_ids: [37, 38, 39, 40, 41, 42, 43, 44, 45], 
         rewards: { noub: 8000, prestige: 100 } 
     }
 ];
 
-/**
- * Deterministic Reward Table for Card Sacrifice.
- * Key: Card ID (or 'default'), Value: Reward Object.
- */
-const CARD_BURN_REWARDS = {
-    'default': { type: 'CURRENCY', payload: { noub: 100 } }
-    // Specific IDs can be added here if needed in future balancing
-};
-
 // =============================================================================
 // SECTION 2: INITIALIZATION & TAB SYSTEM
 // =============================================================================
@@ -95,18 +94,18 @@ export async function renderCollection() {
 
     // 2. Construct Singleton UI (Header & Tabs)
     if (!document.getElementById('coll-tabs-ctrl')) {
-        collectionContainer.innerHTML = `
-            <h2 class="screen-title" style="text-align:center; color:var(--primary-accent); margin-bottom:15px;">Treasury & Archives</h2>
+        render(collectionContainer, html`
+            <h2 class="screen-title" style="text-align:center; color:var(--primary-accent); margin-bottom:15px;">${t('collection.title')}</h2>
             
             <!-- TAB CONTROLLER -->
             <div id="coll-tabs-ctrl" style="display:flex; justify-content:space-around; margin-bottom:20px; border-bottom:1px solid #444; background:rgba(0,0,0,0.2); border-radius:8px; padding:5px;">
                 <button class="coll-tab-btn active" data-target="inventory" 
                         style="flex:1; background:none; border:none; color:#fff; font-weight:bold; padding:12px; border-bottom:2px solid var(--primary-accent); cursor:pointer;">
-                    My Cards
+                    ${t('nav.myCards')}
                 </button>
                 <button class="coll-tab-btn" data-target="albums" 
                         style="flex:1; background:none; border:none; color:#888; font-weight:bold; padding:12px; cursor:pointer;">
-                    Albums
+                    ${t('collection.albums')}
                 </button>
             </div>
 
@@ -115,7 +114,7 @@ export async function renderCollection() {
 
             <!-- VIEWPORT 2: ALBUMS -->
             <div id="coll-view-albums" style="display:none; flex-direction:column; gap:15px;"></div>
-        `;
+        `);
 
         // 3. Bind Tab Events
         const tabs = collectionContainer.querySelectorAll('.coll-tab-btn');
@@ -159,22 +158,20 @@ export async function renderCollection() {
 
 /**
  * [Function 2] renderInventoryView
- * Fetches Cards + Factories. Aggregates duplicates. Renders the Card Grid.
+ * Reads Cards + Factories from the store. Aggregates duplicates. Renders the Card Grid.
  * Handles the visual priority of the Soul Card.
  */
 async function renderInventoryView() {
     const container = document.getElementById('coll-view-inventory');
-    container.innerHTML = '<div class="loading-spinner" style="grid-column:1/-1; text-align:center; color:#aaa;">Loading...</div>';
+    if (!container) return;
 
-    // Parallel Fetch
-    const [{ data: playerCards }, { data: factories }] = await Promise.all([
-        api.fetchPlayerCards(state.currentUser.id),
-        api.fetchPlayerFactories(state.currentUser.id)
-    ]);
+    // Kept current by the delta sync and the realtime feed
+    const playerCards = state.playerCards;
+    const factories = state.factories;
 
     if (!playerCards || playerCards.length === 0) {
         container.style.display = 'block';
-        return container.innerHTML = '<div class="empty-state" style="text-align:center; color:#666;">Collection Empty</div>';
+        return render(container, html`<div class="empty-state" style="text-align:center; color:#666;">${t('collection.empty')}</div>`);
     } else {
         container.style.display = 'grid'; // Ensure Grid
     }
@@ -196,7 +193,7 @@ async function renderInventoryView() {
         return a.master.id - b.master.id;
     });
 
-    container.innerHTML = '';
+    render(container, '');
     
     sorted.forEach(group => {
         const { master, instances } = group;
@@ -215,24 +212,24 @@ async function renderInventoryView() {
             el.classList.add('soul-card');
             el.style.cssText = "border: 2px solid gold; box-shadow: 0 0 10px rgba(212,175,55,0.5);";
             const dna = state.playerProfile.dna_eve_code || 'DNA';
-            el.innerHTML = `
+            render(el, html`
                 <div class="soul-glow"></div>
                 <img src="${master.image_url}" class="card-image" style="width:100%; border-radius:6px;">
                 <h4 style="color:gold; margin:5px 0; font-size:0.8em;">${master.name}</h4>
-                <div class="card-details"><span style="color:cyan;">PWR: ${displayInst.power_score}</span></div>
+                <div class="card-details"><span style="color:cyan;">${t('collection.power', { power: displayInst.power_score })}</span></div>
                 <div style="font-size:0.5em; color:#aaa;">${dna}</div>
-            `;
+            `);
         } else {
             // Standard Visuals
-            el.innerHTML = `
-                ${isGroupAssigned ? '<div style="position:absolute; top:2px; right:2px; font-size:1.2em;">⭐</div>' : ''}
+            render(el, html`
+                ${isGroupAssigned ? html`<div style="position:absolute; top:2px; right:2px; font-size:1.2em;">⭐</div>` : ''}
                 <img src="${master.image_url || 'images/default_card.png'}" class="card-image" style="width:100%; border-radius:6px;">
                 <h4 style="margin:5px 0 2px 0; font-size:0.8em; color:#fff;">${master.name}</h4>
                 <div class="card-details" style="display:flex; justify-content:space-between; width:100%; font-size:0.7em; color:#aaa;">
-                    <span>Lvl ${displayInst.level}</span>
+                    <span>${t('collection.level', { level: displayInst.level })}</span>
                     <span>x${instances.length}</span>
                 </div>
-            `;
+            `);
         }
 
         el.onclick = () => {
@@ -243,6 +240,15 @@ async function renderInventoryView() {
     });
 }
 
+// Re-render the card grid when cards arrive or leave (swaps, other devices)
+const refreshVisibleInventory = () => {
+    const container = document.getElementById('coll-view-inventory');
+    const screen = document.getElementById('collection-screen');
+    if (container && container.style.display !== 'none' && screen && !screen.classList.contains('hidden')) renderInventoryView();
+};
+subscribe('playerCards', refreshVisibleInventory);
+subscribe('factories', refreshVisibleInventory);
+
 // =============================================================================
 // SECTION 4: INTERACTION & MODALS (Logic Hub)
 // =============================================================================
@@ -256,7 +262,7 @@ function openInstanceSelectionModal(cardGroup, assignedIds) {
     const { master, instances } = cardGroup;
     
     if (master.id == 9999) {
-        alert("Soul Card is Immutable.");
+        showToast(t('collection.soulImmutable'), 'info');
         return;
     }
 
@@ -266,22 +272,22 @@ function openInstanceSelectionModal(cardGroup, assignedIds) {
         const isAssigned = assignedIds.has(inst.instance_id);
         const isLocked = inst.is_locked;
         
-        let statusHTML = '<span style="color:#0f0">Ready</span>';
-        let actionBtn = `<button class="action-button small" onclick="window.selectInstance('${inst.instance_id}')" style="margin-left:10px;">Manage</button>`;
+        let statusHTML = html`<span style="color:#0f0">${t('collection.ready')}</span>`;
+        let actionBtn = html`<button class="action-button small" data-action="collection.selectInstance" data-instance-id="${inst.instance_id}" style="margin-left:10px;">${t('collection.manage')}</button>`;
 
         if (isAssigned) {
-            statusHTML = '<span style="color:gold">Busy (Expert)</span>';
+            statusHTML = html`<span style="color:gold">${t('collection.busyExpert')}</span>`;
             actionBtn = ''; 
         } else if (isLocked) {
-            statusHTML = '<span style="color:red">Locked (Trade)</span>';
+            statusHTML = html`<span style="color:red">${t('collection.lockedTrade')}</span>`;
             actionBtn = '';
         }
 
-        return `
+        return html`
             <div class="instance-row" style="display:flex; justify-content:space-between; align-items:center; background:#222; padding:10px; margin-bottom:5px; border-radius:5px; border:1px solid #444;">
                 <div>
-                    <strong style="color:#fff;">Lvl ${inst.level}</strong> 
-                    <span style="font-size:0.8em; color:#aaa;">(Pwr ${inst.power_score})</span>
+                    <strong style="color:#fff;">${t('collection.level', { level: inst.level })}</strong> 
+                    <span style="font-size:0.8em; color:#aaa;">(${t('collection.power', { power: inst.power_score })})</span>
                 </div>
                 <div style="text-align:right; font-size:0.8em;">
                     ${statusHTML}
@@ -289,22 +295,23 @@ function openInstanceSelectionModal(cardGroup, assignedIds) {
                 </div>
             </div>
         `;
-    }).join('');
+    });
 
     const modal = document.getElementById('card-interaction-modal');
-    modal.innerHTML = `
+    render(modal, html`
         <div class="modal-content">
-            <button class="modal-close-btn" onclick="window.closeModal('card-interaction-modal')">&times;</button>
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="card-interaction-modal">&times;</button>
             <div style="text-align:center; padding-bottom:10px; border-bottom:1px solid #444; margin-bottom:10px;">
                 <img src="${master.image_url}" style="width:60px; border-radius:5px;">
                 <h3 style="margin:5px 0; color:var(--primary-accent);">${master.name}</h3>
+                <button class="action-button small" data-action="market.openCard" data-card-id="${master.id}" style="background:#333; color:#ccc; font-size:0.75em;">📈 ${t('collection.marketPrice')}</button>
             </div>
             <div style="max-height:300px; overflow-y:auto;">${listHTML}</div>
         </div>
-    `;
+    `);
     
-    window.TempCardGroup = cardGroup; 
-    openModal('card-interaction-modal');
+    activeCardGroup = cardGroup;
+    openModal('card-interaction-modal', { route: `collection/card/${master.id}` });
 }
 
 /**
@@ -312,8 +319,8 @@ function openInstanceSelectionModal(cardGroup, assignedIds) {
  * The Decision Logic. Determines if Fusion is possible for the selected card.
  * Looks for duplicates of the same level to act as fuel.
  */
-window.selectInstance = (instanceId) => {
-    const group = window.TempCardGroup;
+function selectInstance(instanceId) {
+    const group = activeCardGroup;
     const target = group.instances.find(i => i.instance_id === instanceId);
     
     // FUSION LOGIC: Find valid sacrifices (Same Level, Not Self, Not Locked)
@@ -328,33 +335,33 @@ window.selectInstance = (instanceId) => {
     const nextLevel = target.level + 1;
 
     const modal = document.getElementById('card-interaction-modal');
-    modal.innerHTML = `
+    render(modal, html`
         <div class="modal-content">
-            <button class="modal-close-btn" onclick="window.closeModal('card-interaction-modal')">&times;</button>
-            <h3 style="text-align:center; color:var(--accent-blue); margin-bottom:15px;">Action: Level ${target.level}</h3>
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="card-interaction-modal">&times;</button>
+            <h3 style="text-align:center; color:var(--accent-blue); margin-bottom:15px;">${t('collection.actionTitle', { level: target.level })}</h3>
             
             <!-- FUSION -->
             <div style="background:rgba(255,255,255,0.05); padding:15px; border-radius:8px; margin-bottom:10px; border:1px solid #444;">
-                <h4 style="margin-top:0;">Fusion Upgrade ➜ Lvl ${nextLevel}</h4>
+                <h4 style="margin-top:0;">${t('collection.fusionTitle', { level: nextLevel })}</h4>
                 <p style="font-size:0.8em; color:#aaa; margin-bottom:10px;">
-                    Combines 2x Level ${target.level} cards.<br>
-                    Available Duplicates: <strong style="color:#fff;">${duplicates.length}</strong>
+                    ${t('collection.fusionHint', { level: target.level })}<br>
+                    ${t('collection.duplicates')} <strong style="color:#fff;">${duplicates.length}</strong>
                 </p>
-                <button class="action-button" onclick="window.executeFusion('${instanceId}', '${duplicates[0]?.instance_id}')" 
-                        ${canFuse ? '' : 'disabled style="opacity:0.5; cursor:not-allowed;"'}>
-                    ${canFuse ? 'Fuse Now' : 'Need Duplicate'}
+                <button class="action-button" data-action="collection.fuse" data-target-id="${instanceId}" data-sacrifice-id="${duplicates[0]?.instance_id}" 
+                        ${canFuse ? '' : html`disabled style="opacity:0.5; cursor:not-allowed;"`}>
+                    ${canFuse ? t('collection.fuseNow') : t('collection.needDuplicate')}
                 </button>
             </div>
 
             <!-- BURN -->
             <div style="background:rgba(255,0,0,0.1); padding:15px; border-radius:8px; border:1px solid var(--danger-color);">
-                <h4 style="margin:0 0 5px 0; color:var(--danger-color);">Sacrifice</h4>
-                <button class="action-button danger small" onclick="window.executeBurn('${instanceId}', ${group.master.id})">
-                    Burn for 100 🪙
+                <h4 style="margin:0 0 5px 0; color:var(--danger-color);">${t('collection.sacrifice')}</h4>
+                <button class="action-button danger small" data-action="collection.burn" data-instance-id="${instanceId}">
+                    ${t('collection.burnFor', { amount: 100 })}
                 </button>
             </div>
         </div>
-    `;
+    `);
 }
 
 // =============================================================================
@@ -365,53 +372,49 @@ window.selectInstance = (instanceId) => {
  * [Function 5] executeFusion
  * Performs the merge: Deletes Sacrifice -> Upgrades Target.
  */
-window.executeFusion = async (targetId, sacrificeId) => {
+async function executeFusion(targetId, sacrificeId) {
     if (!sacrificeId) return;
-    showToast("Fusing Energies...", "info");
+    showToast(t('collection.fusing'), 'info');
 
     // 1. Delete Sacrifice
-    await api.deleteCardInstance(sacrificeId);
+    const { error: deleteError } = await api.deleteCardInstance(sacrificeId);
+    if (deleteError) return handleError(deleteError, 'fusion sacrifice');
     
     // 2. Upgrade Target
-    const group = window.TempCardGroup;
+    const group = activeCardGroup;
     const target = group.instances.find(i => i.instance_id === targetId);
     const newLevel = target.level + 1;
     const newPower = Math.floor(target.power_score * 1.25); // +25% Power Curve
     
-    await api.performCardUpgrade(targetId, newLevel, newPower);
+    const { error: upgradeError } = await api.performCardUpgrade(targetId, newLevel, newPower);
+    if (upgradeError) return handleError(upgradeError, 'performCardUpgrade');
     
     playSound('reward_grand');
-    showToast(`Fusion Successful! Card is now Level ${newLevel}`, 'success');
+    showToast(t('collection.fused', { level: newLevel }), 'success');
     
     await refreshPlayerState();
-    window.closeModal('card-interaction-modal');
+    closeModal('card-interaction-modal');
     renderInventoryView();
-};
+}
 
 /**
  * [Function 6] executeBurn
- * Performs sacrifice: Deletes Card -> Grants Currency.
+ * Performs sacrifice: the server deletes the card and grants its burn
+ * reward (reward_catalog, sql/016) in one call.
  */
-window.executeBurn = async (instanceId, masterId) => {
-    if(!confirm("Sacrifice this card permanently for resources?")) return;
+async function executeBurn(instanceId) {
+    if (!(await confirmDialog(t('collection.burnConfirm'), { danger: true }))) return;
     
-    showToast("Sacrificing...", "info");
-    await api.deleteCardInstance(instanceId);
-    
-    // Reward Logic
-    const reward = CARD_BURN_REWARDS[masterId] || CARD_BURN_REWARDS['default'];
-    if (reward.type === 'CURRENCY') {
-        const updates = {};
-        if(reward.payload.noub) updates.noub_score = (state.playerProfile.noub_score || 0) + reward.payload.noub;
-        await api.updatePlayerProfile(state.currentUser.id, updates);
-    }
+    showToast(t('collection.burning'), 'info');
+    const { error: burnError } = await api.burnCard(state.currentUser.id, instanceId);
+    if (burnError) return handleError(burnError, 'card burn');
     
     playSound('claim_reward');
-    showToast("Sacrifice Accepted.", 'success');
+    showToast(t('collection.burned'), 'success');
     await refreshPlayerState();
-    window.closeModal('card-interaction-modal');
+    closeModal('card-interaction-modal');
     renderInventoryView();
-};
+}
 
 // =============================================================================
 // SECTION 6: ALBUMS VIEW (Tab 2 Logic)
@@ -423,12 +426,12 @@ window.executeBurn = async (instanceId, masterId) => {
  */
 async function renderAlbumsView() {
     const container = document.getElementById('coll-view-albums');
-    container.innerHTML = '<div class="loading-spinner"></div>';
+    render(container, html`<div class="loading-spinner"></div>`);
     
     const { data: playerCards } = await api.fetchPlayerCards(state.currentUser.id);
     const ownedIds = new Set(playerCards.map(c => c.card_id));
     
-    container.innerHTML = `<div style="display:grid; gap:15px;"></div>`;
+    render(container, html`<div style="display:grid; gap:15px;"></div>`);
     const list = container.querySelector('div');
 
     MASTER_ALBUMS.forEach(album => {
@@ -437,22 +440,22 @@ async function renderAlbumsView() {
         const isComplete = collected === total;
         const percent = Math.floor((collected / total) * 100);
         
-        list.innerHTML += `
-            <div class="album-card" onclick="window.openAlbumDetails(${album.id})" 
+        append(list, html`
+            <div class="album-card" data-action="collection.openAlbum" data-album-id="${album.id}" 
                  style="background:#1e1e1e; padding:15px; border-radius:10px; cursor:pointer; border-left:4px solid ${isComplete ? 'var(--success-color)' : 'var(--primary-accent)'}; display:flex; justify-content:space-between; align-items:center;">
                 <div style="display:flex; gap:15px; align-items:center;">
                     <div style="font-size:2.5em;">${album.icon}</div>
                     <div>
-                        <h4 style="margin:0; color:#fff;">${album.name}</h4>
+                        <h4 style="margin:0; color:#fff;">${t(album.nameKey)}</h4>
                         <div style="width:100px; height:8px; background:#333; border-radius:4px; margin-top:5px; overflow:hidden;">
                             <div style="height:100%; width:${percent}%; background:${isComplete ? 'var(--success-color)' : 'var(--primary-accent)'}; transition:width 0.5s;"></div>
                         </div>
-                        <div style="font-size:0.75em; color:#888; margin-top:3px;">${collected} / ${total} Found</div>
+                        <div style="font-size:0.75em; color:#888; margin-top:3px;">${t('collection.found', { count: collected, total })}</div>
                     </div>
                 </div>
                 <div style="color:var(--accent-blue); font-weight:bold; font-size:0.9em;">➜</div>
             </div>
-        `;
+        `);
     });
 }
 
@@ -460,7 +463,7 @@ async function renderAlbumsView() {
  * [Function 8] openAlbumDetails
  * Shows the 3x3 Grid of cards within an album.
  */
-window.openAlbumDetails = async (albumId) => {
+async function openAlbumDetails(albumId) {
     const album = MASTER_ALBUMS.find(a => a.id === albumId);
     const { data: masterCards } = await api.fetchAllMasterCards();
     const { data: playerCards } = await api.fetchPlayerCards(state.currentUser.id);
@@ -472,76 +475,84 @@ window.openAlbumDetails = async (albumId) => {
     const modal = document.getElementById(modalId);
 
     const slotsHTML = album.card_ids.map(id => {
-        const card = masterCards.find(m => m.id === id) || { name: 'Hidden', image_url: 'images/default_card.png' };
+        const card = masterCards.find(m => m.id === id) || { name: t('collection.hidden'), image_url: 'images/default_card.png' };
         const count = ownedMap.get(id) || 0;
         const isOwned = count > 0;
 
-        return `
+        return html`
             <div style="text-align:center; opacity:${isOwned ? 1 : 0.3}; filter:${isOwned ? 'none' : 'grayscale(1)'};">
                 <div style="position:relative; display:inline-block;">
                     <img src="${card.image_url}" style="width:60px; height:60px; border-radius:6px; border:1px solid #555;">
-                    ${isOwned ? `<div style="position:absolute; top:-5px; right:-5px; background:var(--success-color); color:#000; font-weight:bold; font-size:0.7em; padding:0 4px; border-radius:4px;">x${count}</div>` : ''}
+                    ${isOwned ? html`<div style="position:absolute; top:-5px; right:-5px; background:var(--success-color); color:#000; font-weight:bold; font-size:0.7em; padding:0 4px; border-radius:4px;">x${count}</div>` : ''}
                 </div>
                 <div style="font-size:0.6em; margin-top:4px; color:#ccc; max-width:60px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${card.name}</div>
             </div>
         `;
-    }).join('');
+    });
 
     const allCollected = album.card_ids.every(id => ownedMap.get(id) > 0);
 
-    modal.innerHTML = `
+    render(modal, html`
         <div class="modal-content">
-            <button class="modal-close-btn" onclick="window.closeModal('${modalId}')">&times;</button>
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="${modalId}">&times;</button>
             <div style="text-align:center; margin-bottom:20px;">
                 <div style="font-size:3em; margin-bottom:5px;">${album.icon}</div>
-                <h3 style="margin:0; color:var(--primary-accent);">${album.name}</h3>
-                <p style="font-size:0.8em; color:#888;">${album.description}</p>
+                <h3 style="margin:0; color:var(--primary-accent);">${t(album.nameKey)}</h3>
+                <p style="font-size:0.8em; color:#888;">${t(album.descriptionKey)}</p>
             </div>
             <div style="display:grid; grid-template-columns:repeat(3, 1fr); gap:15px; margin-bottom:20px; background:#151515; padding:15px; border-radius:10px; max-height:250px; overflow-y:auto;">
                 ${slotsHTML}
             </div>
             <div style="text-align:center;">
-                <button id="claim-album-btn" class="action-button" ${allCollected ? '' : 'disabled style="opacity:0.5; cursor:not-allowed;"'}>
-                    ${allCollected ? `Claim ${album.rewards.noub} 🪙` : 'Collect All to Claim'}
+                <button id="claim-album-btn" class="action-button" ${allCollected ? '' : html`disabled style="opacity:0.5; cursor:not-allowed;"`}>
+                    ${allCollected ? t('collection.claimAlbum', { amount: album.rewards.noub }) : t('collection.collectAll')}
                 </button>
             </div>
         </div>
-    `;
+    `);
     
     openModal(modalId);
     document.getElementById('claim-album-btn').onclick = () => claimAlbumReward(album);
-};
+}
 
 /**
  * [Function 9] claimAlbumReward
  * Grants the completion bonus.
  */
 async function claimAlbumReward(album) {
-    if (!confirm("Claim this album reward?")) return;
-    
-    const updates = {
-        noub_score: (state.playerProfile.noub_score || 0) + album.rewards.noub,
-        prestige: (state.playerProfile.prestige || 0) + (album.rewards.prestige || 0)
-    };
+    if (!(await confirmDialog(t('collection.claimConfirm')))) return;
     
-    await api.updatePlayerProfile(state.currentUser.id, updates);
-    await api.logActivity(state.currentUser.id, 'ALBUM_COMPLETE', `Completed ${album.name}`);
+    const { error } = await api.claimAlbum(state.currentUser.id, album.id);
+    if (error) return showToast(error.message, 'error');
+    await api.logActivity(state.currentUser.id, 'ALBUM_COMPLETE', `Completed Album ${album.id}`);
     
     playSound('reward_grand');
-    showToast("Reward Claimed!", 'success');
+    showToast(t('collection.claimed'), 'success');
     
     // Close modal
-    window.closeModal('card-interaction-modal');
+    closeModal('card-interaction-modal');
     // Refresh View
     refreshPlayerState();
 }
 
+/**
+ * Deep link #/collection/card/<id>: the player's copies of the card, or its
+ * market prices when they own none.
+ */
+function openCardRoute({ id }) {
+    const instances = (state.playerCards || []).filter(pc => String(pc.card_id) === id);
+    if (instances.length === 0) return openCardMarketModal(Number(id));
+    const assignedIds = new Set((state.factories || []).map(f => f.assigned_card_instance_id).filter(Boolean));
+    openInstanceSelectionModal({ master: instances[0].cards, instances }, assignedIds);
+}
+registerRoute('collection/card/:id', openCardRoute);
+
 // =============================================================================
-// SECTION 7: GLOBAL BINDINGS
+// SECTION 7: ACTIONS
 // =============================================================================
-window.renderCollection = renderCollection;
-window.openInstanceSelectionModal = openInstanceSelectionModal;
-window.selectInstance = selectInstance;
-window.executeFusion = executeFusion;
-window.executeBurn = executeBurn;
-window.openAlbumDetails = openAlbumDetails;
+registerActions({
+    'collection.selectInstance': (el) => selectInstance(el.dataset.instanceId),
+    'collection.fuse': (el) => executeFusion(el.dataset.targetId, el.dataset.sacrificeId),
+    'collection.burn': (el) => executeBurn(el.dataset.instanceId),
+    'collection.openAlbum': (el) => openAlbumDetails(Number(el.dataset.albumId))
+});
@@ -5,12 +5,13 @@
  * the new XP system, granting players experience points upon successful contract completion.
 */
 
-import { state } from '../state.js';
+import { state, subscribe } from '../state.js';
 import * as api from '../api.js';
-import { showToast, updateHeaderUI, openModal } from '../ui.js';
+import { showToast, updateHeaderUI, openModal, closeModal, bindModalToState } from '../ui.js';
+import { html, render } from '../html.js';
 import { refreshPlayerState } from '../auth.js';
 import { TOKEN_RATES } from '../config.js';
-import { trackTaskProgress } from './tasks.js';
+import { t } from '../i18n.js';
 
 const activeContractsContainer = document.getElementById('active-contracts-container');
 const availableContractsContainer = document.getElementById('available-contracts-container');
@@ -22,9 +23,9 @@ const CONTRACT_COOLDOWN_MS = 60 * 1000; // 60 seconds cooldown after acceptance
 // --- Daily Quest Logic ---
 
 const MASTER_DAILY_QUESTS = [
-    { id: 'visit_shop', title: 'Visit the Market', target: 1, reward: 50, type: 'visits' },
-    { id: 'spin_slot', title: 'Spin the Tomb of Treasures', target: 1, reward: 150, type: 'games' },
-    { id: 'gather_stone', title: 'Gather Limestone (Raw)', target: 10, reward: 75, type: 'resources', item_name: 'Limestone' },
+    { id: 'visit_shop', titleKey: 'contracts.questVisitShop', target: 1, reward: 50, type: 'visits' },
+    { id: 'spin_slot', titleKey: 'contracts.questSpinSlot', target: 1, reward: 150, type: 'games' },
+    { id: 'gather_stone', titleKey: 'contracts.questGatherStone', target: 10, reward: 75, type: 'resources', item_name: 'Limestone' },
 ];
 const DAILY_QUEST_STORAGE_KEY = 'noub_daily_quests_v1';
 
@@ -82,9 +83,9 @@ export function fetchDailyQuests() {
 }
 
 /**
- * Completes a daily quest and grants the reward.
+ * Completes a daily quest; the server pays its reward once a day.
  */
-export async function completeDailyQuest(questId, reward) {
+export async function completeDailyQuest(questId) {
     const quests = loadDailyQuests();
     const questIndex = quests.findIndex(q => q.id === questId);
 
@@ -92,8 +93,7 @@ export async function completeDailyQuest(questId, reward) {
         quests[questIndex].completed = true;
         saveDailyQuests(quests);
 
-        const newNoubScore = (state.playerProfile.noub_score || 0) + reward;
-        const { error } = await api.updatePlayerProfile(state.currentUser.id, { noub_score: newNoubScore });
+        const { error } = await api.claimDailyQuest(state.currentUser.id, questId);
 
         if (!error) {
             await refreshPlayerState();
@@ -110,45 +110,20 @@ export async function completeDailyQuest(questId, reward) {
 // --- Royal Decrees (Contracts Logic) ---
 
 async function handleAcceptContract(contractId) {
-    showToast('Accepting contract...');
+    showToast(t('contracts.accepting'));
     const { error } = await api.acceptContract(state.currentUser.id, contractId);
 
     if (error) {
-        showToast('Error accepting contract!', 'error');
+        showToast(t('contracts.acceptFailed'), 'error');
         console.error(error);
     } else {
-        await api.supabaseClient.from('player_contracts')
-            .update({ accepted_at: new Date().toISOString() })
-            .eq('player_id', state.currentUser.id)
-            .eq('contract_id', contractId);
-
-        showToast('Contract Accepted! Cooldown started.', 'success');
-        window.closeModal('contract-detail-modal');
+        showToast(t('contracts.accepted'), 'success');
+        closeModal('contract-detail-modal');
         renderActiveContracts();
         renderAvailableContracts();
     }
 }
 
-async function updateContractCompletionCount(playerId) {
-    let count = state.playerProfile.completed_contracts_count || 0;
-    count++;
-
-    let bonusNoub = 0;
-    if (TOKEN_RATES.CONTRACT_COMPLETION_BONUS_NOUB && TOKEN_RATES.CONTRACT_COMPLETION_BONUS_COUNT && count % TOKEN_RATES.CONTRACT_COMPLETION_BONUS_COUNT === 0) {
-        bonusNoub = TOKEN_RATES.CONTRACT_COMPLETION_BONUS_NOUB;
-        showToast(`Contract Bonus! +${bonusNoub} NOUB for completing ${TOKEN_RATES.CONTRACT_COMPLETION_BONUS_COUNT} contracts!`, 'success');
-    }
-
-    const newNoubScore = (state.playerProfile.noub_score || 0) + bonusNoub;
-
-    await api.updatePlayerProfile(playerId, { 
-        completed_contracts_count: count,
-        noub_score: newNoubScore
-    });
-
-    return { count, bonusNoub };
-}
-
 /**
  * Handles the delivery of resources to complete a contract.
  * NEW: Grants the player +10 XP upon successful completion.
@@ -156,7 +131,7 @@ async function updateContractCompletionCount(playerId) {
  * @param {Array} contractRequirements - The list of required items and quantities.
  */
 async function handleDeliverContract(playerContract, contractRequirements) {
-    showToast('Delivering goods...');
+    showToast(t('contracts.delivering'));
 
     const acceptedTime = new Date(playerContract.accepted_at).getTime();
     const now = Date.now();
@@ -164,7 +139,7 @@ async function handleDeliverContract(playerContract, contractRequirements) {
 
     if (elapsedTime < CONTRACT_COOLDOWN_MS) {
         const remainingTime = Math.ceil((CONTRACT_COOLDOWN_MS - elapsedTime) / 1000);
-        showToast(`Delivery cooldown active. Try again in ${remainingTime} seconds.`, 'error');
+        showToast(t('contracts.cooldownActive', { count: remainingTime }), 'error');
         return;
     }
     
@@ -175,49 +150,33 @@ async function handleDeliverContract(playerContract, contractRequirements) {
     });
 
     if (!allRequirementsMet) {
-         showToast('Error: Insufficient resources to fulfill the contract!', 'error');
+         showToast(t('contracts.missingResources'), 'error');
          return;
     }
 
-    const consumePromises = contractRequirements.map(req => {
-        const currentQty = state.inventory.get(req.items.id)?.qty || 0;
-        const newQty = currentQty - req.quantity;
-        state.inventory.set(req.items.id, { ...state.inventory.get(req.items.id), qty: newQty });
-        return api.updateItemQuantity(state.currentUser.id, req.items.id, newQty);
-    });
-    await Promise.all(consumePromises);
-
-    const contractDetails = playerContract.contracts;
-    
-    let totalNoubReward = contractDetails.reward_score;
-    const newTotals = {
-        noub_score: (state.playerProfile.noub_score || 0) + totalNoubReward,
-        prestige: (state.playerProfile.prestige || 0) + contractDetails.reward_prestige
-    };
-
-    const { error: contractError } = await api.completeContract(state.currentUser.id, playerContract.id, newTotals);
+    // The server takes the goods, pays the contract and every milestone bonus
+    const { data: delivery, error: contractError } = await api.completeContract(state.currentUser.id, playerContract.id);
         
     if (contractError) {
-         showToast('Error completing contract!', 'error');
+         showToast(contractError.message, 'error');
          console.error(contractError);
          return;
     }
 
-    const { bonusNoub } = await updateContractCompletionCount(state.currentUser.id);
-    totalNoubReward += bonusNoub;
+    const bonusNoub = delivery.bonus?.noub || 0;
+    if (bonusNoub > 0) {
+        showToast(t('contracts.bonus', { amount: bonusNoub, count: TOKEN_RATES.CONTRACT_COMPLETION_BONUS_COUNT }), 'success');
+    }
+    const totalNoubReward = (delivery.reward.noub || 0) + bonusNoub;
     
-    // --- NEW: Grant XP for contract completion ---
-    const { leveledUp, newLevel } = await api.addXp(state.currentUser.id, 10);
-    if (leveledUp) {
-        showToast(`LEVEL UP! You have reached Level ${newLevel}!`, 'success');
+    // The contract's XP is granted with the delivery
+    if (delivery.leveled_up) {
+        showToast(t('common.levelUp', { level: state.playerProfile.level }), 'success');
     }
-    // --- END NEW ---
-
-    await trackTaskProgress('contract_complete');
 
     await refreshPlayerState();
-    showToast(`Contract Completed! Rewards: +${totalNoubReward} 🪙, +${contractDetails.reward_prestige} 🐞`, 'success');
-    window.closeModal('contract-detail-modal');
+    showToast(t('contracts.completed', { noub: totalNoubReward, prestige: delivery.reward.prestige || 0 }), 'success');
+    closeModal('contract-detail-modal');
     renderActiveContracts();
 }
 
@@ -226,27 +185,30 @@ async function handleDeliverContract(playerContract, contractRequirements) {
  */
 function renderPlayerStats() {
     const statsContainer = document.getElementById('contracts-player-stats');
-    if (!statsContainer) return;
+    if (!statsContainer || !state.playerProfile) return;
 
     const noub = state.playerProfile.noub_score || 0;
     const ankh = state.playerProfile.ankh_premium || 0;
     const prestige = state.playerProfile.prestige || 0;
     const tickets = state.playerProfile.spin_tickets || 0;
 
-    statsContainer.innerHTML = `
+    render(statsContainer, html`
         <div class="stats-row" style="display: flex; justify-content: space-around; background: var(--surface-dark); padding: 7px; border-radius: 8px; margin-bottom: 10px;">
             <div class="stat-item"><span class="icon">🪙</span> ${noub}</div>
             <div class="stat-item"><span class="icon">☥</span> ${ankh}</div>
             <div class="stat-item"><span class="icon">🐞</span> ${prestige}</div>
             <div class="stat-item"><span class="icon">🎟️</span> ${tickets}</div>
         </div>
-    `;
+    `);
 }
 
+// The balance strip follows the profile on its own
+subscribe('playerProfile', renderPlayerStats);
+
 async function openContractModal(contractId, playerContract = null) {
     const { data: contract, error } = await api.fetchContractWithRequirements(contractId);
     if (error) {
-        showToast('Error fetching contract details!', 'error');
+        showToast(t('contracts.detailsFailed'), 'error');
         return;
     }
 
@@ -256,7 +218,7 @@ async function openContractModal(contractId, playerContract = null) {
         const hasEnough = playerQty >= req.quantity;
         if (!hasEnough) allRequirementsMet = false;
         
-        return `
+        return html`
             <div class="req-item">
                 <div class="req-item-name">
                     <img src="${req.items.image_url || 'images/default_item.png'}" alt="${req.items.name}">
@@ -265,12 +227,12 @@ async function openContractModal(contractId, playerContract = null) {
                 <span class="req-item-progress ${hasEnough ? 'met' : ''}">${playerQty} / ${req.quantity}</span>
             </div>
         `;
-    }).join('');
+    });
 
     const isAccepted = playerContract !== null;
     let actionButtonHTML = '';
     let deliverDisabled = !allRequirementsMet;
-    let buttonText = 'Deliver';
+    let buttonText = t('contracts.deliver');
     
     if (isAccepted) {
         const acceptedTime = new Date(playerContract.accepted_at).getTime();
@@ -280,7 +242,7 @@ async function openContractModal(contractId, playerContract = null) {
         if (elapsedTime < CONTRACT_COOLDOWN_MS) {
             const remainingTime = Math.ceil((CONTRACT_COOLDOWN_MS - elapsedTime) / 1000);
             deliverDisabled = true;
-            buttonText = `Cooldown: ${remainingTime}s`;
+            buttonText = t('contracts.cooldown', { seconds: remainingTime });
             
             setTimeout(() => {
                 // Re-open if modal is still visible to update the timer button
@@ -292,32 +254,32 @@ async function openContractModal(contractId, playerContract = null) {
              deliverDisabled = !allRequirementsMet;
         }
 
-        actionButtonHTML = `<button id="contract-action-btn" class="action-button" ${deliverDisabled ? 'disabled' : ''}>${buttonText}</button>`;
+        actionButtonHTML = html`<button id="contract-action-btn" class="action-button" ${deliverDisabled ? 'disabled' : ''}>${buttonText}</button>`;
         
     } else {
-        actionButtonHTML = `<button id="contract-action-btn" class="action-button">Accept Contract</button>`;
+        actionButtonHTML = html`<button id="contract-action-btn" class="action-button">${t('contracts.accept')}</button>`;
     }
 
-    const modalHTML = `
+    const modalHTML = html`
         <div class="modal-content">
-            <button class="modal-close-btn" onclick="closeModal('contract-detail-modal')">&times;</button>
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="contract-detail-modal">&times;</button>
             <div class="contract-modal-header">
                 <h3>${contract.title}</h3>
             </div>
             <p class="contract-modal-desc">${contract.description}</p>
             
-            <h4 class="contract-modal-subtitle">Requirements</h4>
+            <h4 class="contract-modal-subtitle">${t('contracts.requirements')}</h4>
             <div class="contract-modal-reqs">${requirementsHTML}</div>
             
-            <h4 class="contract-modal-subtitle">Rewards</h4>
+            <h4 class="contract-modal-subtitle">${t('contracts.rewards')}</h4>
             <div class="contract-modal-rewards">
                 <div class="reward-item">
                     <span class="icon">🪙</span>
-                    <div>${contract.reward_score} NOUB</div>
+                    <div>${t('contracts.rewardNoub', { amount: contract.reward_score })}</div>
                 </div>
                 <div class="reward-item">
                     <span class="icon">🐞</span>
-                    <div>${contract.reward_prestige} Prestige</div>
+                    <div>${t('contracts.rewardPrestige', { amount: contract.reward_prestige })}</div>
                 </div>
             </div>
             
@@ -325,8 +287,12 @@ async function openContractModal(contractId, playerContract = null) {
         </div>
     `;
 
-    contractDetailModal.innerHTML = modalHTML;
-    import('../ui.js').then(({ openModal }) => openModal('contract-detail-modal'));
+    render(contractDetailModal, modalHTML);
+    import('../ui.js').then(({ openModal }) => {
+        openModal('contract-detail-modal');
+        // Requirement counts and the Deliver button follow the inventory
+        bindModalToState('contract-detail-modal', ['inventory'], () => openContractModal(contractId, playerContract));
+    });
 
     const actionBtn = document.getElementById('contract-action-btn');
     if (isAccepted) {
@@ -352,30 +318,30 @@ export async function renderActiveContracts() {
     }
     renderPlayerStats();
     
-    activeContractsContainer.innerHTML = 'Loading active contracts...';
+    render(activeContractsContainer, t('contracts.loadingActive'));
 
     const { data: contracts, error } = await api.fetchPlayerContracts(state.currentUser.id);
 
     if (error) {
-        activeContractsContainer.innerHTML = '<p class="error-message">Error loading contracts.</p>';
+        render(activeContractsContainer, html`<p class="error-message">${t('contracts.loadFailed')}</p>`);
         return;
     }
     if (!contracts || contracts.length === 0) {
-        activeContractsContainer.innerHTML = '<p>You have no active contracts.</p>';
+        render(activeContractsContainer, html`<p>${t('contracts.noneActive')}</p>`);
         return;
     }
     
-    activeContractsContainer.innerHTML = '';
+    render(activeContractsContainer, '');
     contracts.forEach(pc => {
         const contract = pc.contracts;
         const card = document.createElement('div');
         card.className = 'contract-card';
-        card.innerHTML = `
+        render(card, html`
             <h4>${contract.title}</h4>
             <div class="contract-rewards">
-                Rewards: <span>${contract.reward_score} 🪙</span> | <span>${contract.reward_prestige} 🐞</span>
+                ${t('contracts.rewardsLabel')} <span>${contract.reward_score} 🪙</span> | <span>${contract.reward_prestige} 🐞</span>
             </div>
-        `;
+        `);
         card.onclick = () => openContractModal(contract.id, pc);
         activeContractsContainer.appendChild(card);
     });
@@ -383,7 +349,7 @@ export async function renderActiveContracts() {
 
 export async function renderAvailableContracts() {
     if (!state.currentUser) return;
-    availableContractsContainer.innerHTML = 'Loading available contracts...';
+    render(availableContractsContainer, t('contracts.loadingAvailable'));
 
     const refreshBtn = document.getElementById('refresh-contracts-btn');
     if (refreshBtn) refreshBtn.onclick = handleRefreshContracts;
@@ -391,24 +357,24 @@ export async function renderAvailableContracts() {
     const { data: contracts, error } = await api.fetchAvailableContracts(state.currentUser.id);
     
     if (error) {
-        availableContractsContainer.innerHTML = '<p class="error-message">Error loading contracts.</p>';
+        render(availableContractsContainer, html`<p class="error-message">${t('contracts.loadFailed')}</p>`);
         return;
     }
     if (!contracts || contracts.length === 0) {
-        availableContractsContainer.innerHTML = '<p>No new contracts available at this time.</p>';
+        render(availableContractsContainer, html`<p>${t('contracts.noneAvailable')}</p>`);
         return;
     }
 
-    availableContractsContainer.innerHTML = '';
+    render(availableContractsContainer, '');
     contracts.forEach(contract => {
         const card = document.createElement('div');
         card.className = 'contract-card';
-        card.innerHTML = `
+        render(card, html`
             <h4>${contract.title}</h4>
             <div class="contract-rewards">
-                Rewards: <span>${contract.reward_score} 🪙</span> | <span>${contract.reward_prestige} 🐞</span>
+                ${t('contracts.rewardsLabel')} <span>${contract.reward_score} 🪙</span> | <span>${contract.reward_prestige} 🐞</span>
             </div>
-        `;
+        `);
         card.onclick = () => openContractModal(contract.id);
         availableContractsContainer.appendChild(card);
     });
@@ -419,15 +385,15 @@ async function handleRefreshContracts() {
     if (!refreshBtn) return;
     
     refreshBtn.disabled = true;
-    showToast('Refreshing available contracts...');
+    showToast(t('contracts.refreshing'));
     
     const { error } = await api.refreshAvailableContracts(state.currentUser.id);
 
     if (error) {
-        showToast('Error refreshing contracts!', 'error');
+        showToast(t('contracts.refreshFailed'), 'error');
         console.error(error);
     } else {
-        showToast('Contracts refreshed!', 'success');
+        showToast(t('contracts.refreshed'), 'success');
         renderAvailableContracts();
     }
 
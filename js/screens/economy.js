@@ -30,12 +30,14 @@
  * -----------------------------------------------------------------------------
  */
 
-import { state } from '../state.js';
+import { state, derive, subscribe } from '../state.js';
 import * as api from '../api.js';
-import { showToast, openModal, navigateTo, playSound } from '../ui.js';
+import { showToast, openModal, closeModal, confirmDialog, ensureModal, navigateTo, playSound, bindModalToState, setNavBadge } from '../ui.js';
+import { html, render, append, registerActions } from '../html.js';
+import { handleError } from '../errors.js';
 import { refreshPlayerState } from '../auth.js';
-import { trackDailyActivity } from './contracts.js'; 
-import { trackTaskProgress } from './tasks.js';
+import { trackDailyActivity } from './contracts.js';
+import { t } from '../i18n.js'; 
 
 // ========================================================
 // --- 1. SYSTEM CONSTANTS & CONFIGURATION ---
@@ -47,6 +49,7 @@ import { trackTaskProgress } from './tasks.js';
 // ========================================================
 
 // Expert Curves: Level 1 (20%) -> Level 5 (50%) -> Level 10 (95%)
+// Display copy: factory_claim reads factory_expert_effects (sql/010), capped at level 5
 const EXPERT_EFFECTS = {
     'Imhotep': { 
         type: 'TIME_REDUCTION_PERCENT', 
@@ -98,6 +101,9 @@ const UI = {
 // Global Timer Reference (to cancel animation frames on close)
 let timerAnimationFrameId = null;
 
+// Master factories are static data: fetched once per session
+let masterFactoriesCache = null;
+
 // ========================================================
 // --- 2. HELPER UTILITIES ---
 // ========================================================
@@ -117,24 +123,45 @@ function formatTime(ms) {
     return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
 }
 
+/**
+ * Production time of a player factory in ms, including the expert's time buff.
+ * @param {object} playerFactory - Row from fetchPlayerFactories (factories + player_cards joins).
+ * @returns {number}
+ */
+function getProductionDuration(playerFactory) {
+    let duration = playerFactory.factories.base_production_time * TIME_CONSTANTS.ONE_MINUTE_MS;
+    const expert = playerFactory.player_cards;
+    if (expert && EXPERT_EFFECTS[expert.cards.name]?.type === 'TIME_REDUCTION_PERCENT') {
+        const reduction = EXPERT_EFFECTS[expert.cards.name].values[Math.min(expert.level-1, 4)];
+        duration -= duration * (reduction / 100);
+    }
+    return duration;
+}
+
+// Ids of factories whose production can be collected (Economy nav badge).
+derive('readyFactories', ['factories', 'clock'], ({ factories }) => factories
+    .filter(pf => pf.production_start_time && Date.now() - new Date(pf.production_start_time).getTime() >= getProductionDuration(pf))
+    .map(pf => pf.id));
+subscribe('derived.readyFactories', ids => setNavBadge('economy-screen', ids.length));
+
 // ========================================================
 // --- 3. SPECIALIZATION LOGIC (Guilds) ---
 // ========================================================
 
 async function handleSelectSpecialization(pathId) {
     if (!state.currentUser) return;
-    showToast('Initiating Guild Protocol...', 'info');
+    showToast(t('economy.guildUnlocking'), 'info');
     
     const { error } = await api.unlockSpecialization(state.currentUser.id, pathId);
-    if (error) return showToast('Protocol Error: Failed to unlock.', 'error');
+    if (error) return showToast(t('economy.guildFailed'), 'error');
 
     const factoryIds = SPECIALIZATION_MAP[pathId];
     if (factoryIds) {
-        for (const fid of factoryIds) await api.buildFactory(state.currentUser.id, fid);
+        await Promise.all(factoryIds.map(fid => api.buildFactory(state.currentUser.id, fid)));
     }
     
-    await refreshPlayerState(); 
-    window.closeModal('specialization-choice-modal');
+    await refreshPlayerState(); // specializations are not part of the delta sync
+    closeModal('specialization-choice-modal');
     renderProduction();
 }
 
@@ -152,23 +179,21 @@ function renderSpecializationChoice() {
         const available = paths.filter(p => !owned.has(p.id));
         if (available.length === 0) return;
 
-        modal.innerHTML = `
+        render(modal, html`
             <div class="modal-content" style="text-align:center;">
-                <h2 style="color:var(--primary-accent);">Guild Selection</h2>
-                <p style="color:#ccc; font-size:0.9em; margin-bottom:15px;">Select your specialized crafting path.</p>
+                <h2 style="color:var(--primary-accent);">${t('economy.guildTitle')}</h2>
+                <p style="color:#ccc; font-size:0.9em; margin-bottom:15px;">${t('economy.guildHint')}</p>
                 <div style="display:grid; gap:10px;">
-                    ${available.map(p => `
-                        <div class="specialization-card" onclick="window.selectSpec('${p.id}')" 
+                    ${available.map(p => html`
+                        <div class="specialization-card" data-action="economy.selectSpec" data-path-id="${p.id}" 
                              style="background:#222; border:1px solid #444; padding:15px; border-radius:8px; cursor:pointer;">
                             <h3 style="margin:0; color:var(--accent-blue);">${p.name}</h3>
                             <p style="font-size:0.8em; color:#888;">${p.description}</p>
                         </div>
-                    `).join('')}
+                    `)}
                 </div>
             </div>
-        `;
-        // Attach global handler for HTML onclick
-        window.selectSpec = handleSelectSpecialization;
+        `);
         openModal(modalId);
     });
 }
@@ -180,26 +205,23 @@ function renderSpecializationChoice() {
 async function handleBuildFactory(masterFactory) {
     const cost = masterFactory.build_cost_noub || 1000;
     if ((state.playerProfile.noub_score || 0) < cost) {
-        return showToast(`Insufficient Funds. Need ${cost} 🪙`, 'error');
+        return showToast(t('economy.buildNeedsNoub', { cost }), 'error');
     }
 
-    if (!confirm(`Construct ${masterFactory.name} for ${cost} NOUB?`)) return;
+    if (!(await confirmDialog(t('economy.buildConfirm', { name: masterFactory.name, cost })))) return;
 
-    const { error } = await api.updatePlayerProfile(state.currentUser.id, {
-        noub_score: state.playerProfile.noub_score - cost
-    });
-    if (error) return showToast('Transaction Failed.', 'error');
+    const { error } = await api.debit(state.currentUser.id, { noub: cost }, 'FACTORY_BUILD', { type: 'factory', id: masterFactory.id });
+    if (error) return handleError(error, 'FACTORY_BUILD debit');
 
-    await api.buildFactory(state.currentUser.id, masterFactory.id);
+    const { error: buildError } = await api.buildFactory(state.currentUser.id, masterFactory.id);
+    if (buildError) return handleError(buildError, 'buildFactory');
     
     playSound('click'); // Reverting to standard sound to avoid 404
-    showToast('Construction Complete.', 'success');
-    await refreshPlayerState();
-    renderProduction();
+    showToast(t('economy.built'), 'success');
 }
 
 async function executeFactoryUpgrade(playerFactory) {
-    if (playerFactory.level >= UPGRADE_CONFIG.MAX_LEVEL) return showToast('Max Level.', 'info');
+    if (playerFactory.level >= UPGRADE_CONFIG.MAX_LEVEL) return showToast(t('economy.maxLevel'), 'info');
 
     // Check Materials
     const mat = Array.from(state.inventory.values()).find(i => i.details.name === UPGRADE_CONFIG.MATERIAL_NAME);
@@ -207,19 +229,17 @@ async function executeFactoryUpgrade(playerFactory) {
     const money = state.playerProfile.noub_score || 0;
 
     if (!mat || matQty < UPGRADE_CONFIG.MATERIAL_QTY || money < UPGRADE_CONFIG.COST) {
-        return showToast(`Need ${UPGRADE_CONFIG.COST}🪙 + ${UPGRADE_CONFIG.MATERIAL_QTY} Blocks`, 'error');
+        return showToast(t('economy.upgradeNeeds', { cost: UPGRADE_CONFIG.COST, count: UPGRADE_CONFIG.MATERIAL_QTY }), 'error');
     }
 
-    showToast('Upgrading...', 'info');
+    showToast(t('economy.upgrading'), 'info');
     
-    await api.updatePlayerProfile(state.currentUser.id, { noub_score: money - UPGRADE_CONFIG.COST });
-    await api.updateItemQuantity(state.currentUser.id, mat.details.id, matQty - UPGRADE_CONFIG.MATERIAL_QTY);
-    await api.updatePlayerFactoryLevel(playerFactory.id, playerFactory.level + 1);
-    await api.addXp(state.currentUser.id, 20);
+    // One server call takes the NOUB and blocks, raises the level and grants the XP
+    const { data, error } = await api.upgradeFactory(state.currentUser.id, playerFactory.id);
+    if (error) return handleError(error, 'upgradeFactory');
 
-    showToast(`Upgraded to Level ${playerFactory.level + 1}!`, 'success');
-    await refreshPlayerState();
-    renderProduction();
+    showToast(t('economy.upgraded', { level: data.level }), 'success');
+    if (data.leveled_up) showToast(t('common.levelUp', { level: state.playerProfile.level }), 'success');
 }
 
 // ========================================================
@@ -230,55 +250,35 @@ async function handleStartProduction(factoryId, recipes) {
     // 1. Validate Resources
     for (const r of recipes) {
         const stock = state.inventory.get(r.items.id)?.qty || 0;
-        if (stock < r.input_quantity) return showToast(`Missing Resource: ${r.items.name}`, 'error');
+        if (stock < r.input_quantity) return showToast(t('economy.missingResource', { name: r.items.name }), 'error');
     }
 
-    // 2. Deduct Resources
-    for (const r of recipes) {
-        const stock = state.inventory.get(r.items.id)?.qty || 0;
-        await api.updateItemQuantity(state.currentUser.id, r.items.id, stock - r.input_quantity);
-    }
-
-    // 3. Start Logic
-    const now = new Date().toISOString();
-    const { error } = await api.startProduction(factoryId, now);
+    // 2. factory_start takes the inputs and starts the timer in one server call
+    const { error } = await api.startProduction(state.currentUser.id, factoryId);
     
-    if (error) return showToast('Server Error.', 'error');
+    if (error) return handleError(error, 'startProduction');
     
-    showToast('Production Started.', 'success');
-    await refreshPlayerState();
-    window.closeModal('production-modal'); // Close to refresh state correctly
-    renderProduction();
+    showToast(t('economy.productionStarted'), 'success');
+    closeModal('production-modal'); // The grid re-renders from the store
 }
 
 async function handleClaimProduction(playerFactory, outputItem) {
-    showToast('Collecting...', 'info');
-    
-    let qty = 1;
-    // Expert Bonus Logic
-    const expert = playerFactory.player_cards;
-    if (expert && EXPERT_EFFECTS[expert.cards.name]?.type === 'EXTRA_RESOURCE_CHANCE') {
-        const chance = EXPERT_EFFECTS[expert.cards.name].values[Math.min(expert.level-1, 4)];
-        if (Math.random() * 100 < chance) {
-            qty = 2;
-            showToast('Expert Bonus: Double Output!', 'success');
-        }
-    }
+    showToast(t('economy.collecting'), 'info');
 
-    const currentStock = state.inventory.get(outputItem.id)?.qty || 0;
-    const { error } = await api.claimProduction(state.currentUser.id, playerFactory.id, outputItem.id, currentStock + qty);
+    // One round-trip: inventory, timer and XP come back as a delta for the store.
+    // The server rolls the expert bonus (factory_expert_effects)
+    const { data, error } = await api.claimProduction(state.currentUser.id, playerFactory.id);
     
-    if (error) return showToast('Claim Error.', 'error');
+    if (error) return handleError(error, 'claimProduction');
 
+    const qty = data.quantity;
+    if (qty > 1) showToast(t('economy.expertBonus'), 'success');
     playSound('claim_reward');
-    await trackDailyActivity('resources', qty, outputItem.name);
-    await trackTaskProgress('production_claim', 1);
-    await api.addXp(state.currentUser.id, 5);
+    showToast(t('economy.received', { count: qty, name: outputItem.name }), 'success');
+    if (data.leveled_up) showToast(t('common.levelUp', { level: state.playerProfile.level }), 'success');
+    closeModal('production-modal');
 
-    showToast(`Received ${qty}x ${outputItem.name}`, 'success');
-    await refreshPlayerState();
-    window.closeModal('production-modal');
-    renderProduction();
+    trackDailyActivity('resources', qty, outputItem.name);
 }
 
 // ========================================================
@@ -306,7 +306,7 @@ function updateLiveTimer(factory, totalTimeMs) {
         const status = cardEl.querySelector('.status');
         const bar = cardEl.querySelector('.progress-bar-inner');
         if (isDone) {
-            status.textContent = "READY";
+            status.textContent = t('economy.ready');
             status.style.color = "var(--success-color)";
         } else {
             status.textContent = formatTime(remaining);
@@ -320,7 +320,7 @@ function updateLiveTimer(factory, totalTimeMs) {
         const mTime = modalTimerEl.querySelector('.time-left');
         const mBar = modalTimerEl.querySelector('.progress-bar-inner');
         if (isDone) {
-            if (mTime) mTime.innerHTML = "<span style='color:#0f0'>COMPLETED</span>";
+            if (mTime) render(mTime, html`<span style='color:#0f0'>${t('economy.completed')}</span>`);
         } else {
             if (mTime) mTime.textContent = formatTime(remaining);
         }
@@ -334,17 +334,13 @@ function updateLiveTimer(factory, totalTimeMs) {
 
 function openProductionModal(playerFactory, outputItem) {
     // 1. Data Validation (Prevent Crash)
-    if (!outputItem) outputItem = { id: 0, name: 'Unknown', image_url: 'images/default_item.png' };
+    if (!outputItem) outputItem = { id: 0, name: t('economy.unknownItem'), image_url: 'images/default_item.png' };
     
     const factory = playerFactory.factories;
     const expert = playerFactory.player_cards;
     
     // 2. Calculate Duration (with Expert Buffs)
-    let duration = factory.base_production_time * TIME_CONSTANTS.ONE_MINUTE_MS;
-    if (expert && EXPERT_EFFECTS[expert.cards.name]?.type === 'TIME_REDUCTION_PERCENT') {
-        const reduction = EXPERT_EFFECTS[expert.cards.name].values[Math.min(expert.level-1, 4)];
-        duration -= duration * (reduction / 100);
-    }
+    const duration = getProductionDuration(playerFactory);
 
     // 3. Recipes UI
     const recipes = factory.factory_recipes || [];
@@ -352,14 +348,14 @@ function openProductionModal(playerFactory, outputItem) {
     const ingredientsHTML = recipes.map(r => {
         const stock = state.inventory.get(r.items.id)?.qty || 0;
         if (stock < r.input_quantity) canProduce = false;
-        return `
+        return html`
             <div class="prod-item" style="text-align:center;">
                 <img src="${r.items.image_url || 'images/default_item.png'}" style="width:35px;">
                 <div style="font-size:0.7em;">${r.input_quantity}x ${r.items.name}</div>
-                <div style="font-size:0.6em; color:${stock >= r.input_quantity ? '#0f0':'#f00'}">Own: ${stock}</div>
+                <div style="font-size:0.6em; color:${stock >= r.input_quantity ? '#0f0':'#f00'}">${t('economy.own', { count: stock })}</div>
             </div>
         `;
-    }).join('') || '<div style="font-size:0.8em; color:#888;">No Inputs Required</div>';
+    });
 
     // 4. Action Buttons
     const isRunning = !!playerFactory.production_start_time;
@@ -372,38 +368,38 @@ function openProductionModal(playerFactory, outputItem) {
     let actionBtn = '';
     if (isRunning) {
         if (timeLeft <= 0) {
-            actionBtn = `<button id="claim-btn" class="action-button" style="background:var(--success-color);">Collect Output</button>`;
+            actionBtn = html`<button id="claim-btn" class="action-button" style="background:var(--success-color);">${t('economy.collectOutput')}</button>`;
         } else {
-            actionBtn = `<button class="action-button" disabled style="opacity:0.5;">Working...</button>`;
+            actionBtn = html`<button class="action-button" disabled style="opacity:0.5;">${t('economy.workingButton')}</button>`;
         }
     } else {
-        actionBtn = `<button id="start-btn" class="action-button" ${canProduce ? '' : 'disabled style="opacity:0.5;"'}>Start Production</button>`;
+        actionBtn = html`<button id="start-btn" class="action-button" ${canProduce ? '' : html`disabled style="opacity:0.5;"`}>${t('economy.startProduction')}</button>`;
     }
 
     // 5. Expert Slot UI
     let expertHTML = '';
     if (expert) {
-        expertHTML = `
+        expertHTML = html`
             <div class="expert-slot" style="margin-top:15px; border-top:1px solid #444; padding-top:10px;">
-                <div style="font-size:0.8em; color:#aaa; margin-bottom:5px;">Assigned Expert</div>
+                <div style="font-size:0.8em; color:#aaa; margin-bottom:5px;">${t('economy.assignedExpert')}</div>
                 <div style="display:flex; align-items:center; justify-content:space-between; background:#222; padding:8px; border-radius:6px; border:1px solid var(--primary-accent);">
                     <div style="display:flex; align-items:center; gap:10px;">
                         <img src="${expert.cards.image_url}" style="width:40px; border-radius:4px;">
                         <div>
                             <div style="color:#fff; font-size:0.9em;">${expert.cards.name}</div>
-                            <div style="color:#0f0; font-size:0.7em;">Lvl ${expert.level}</div>
+                            <div style="color:#0f0; font-size:0.7em;">${t('collection.level', { level: expert.level })}</div>
                         </div>
                     </div>
-                    <button id="dismiss-btn" class="action-button small danger" style="padding:4px 8px; width:auto;">Dismiss</button>
+                    <button id="dismiss-btn" class="action-button small danger" style="padding:4px 8px; width:auto;">${t('economy.dismiss')}</button>
                 </div>
             </div>
         `;
     } else {
-        expertHTML = `
+        expertHTML = html`
             <div style="margin-top:15px; border-top:1px solid #444; padding-top:10px;">
                 <div style="border:1px dashed #666; border-radius:6px; padding:15px; text-align:center; color:#888; font-size:0.8em;">
-                    No Expert Assigned<br>
-                    <span style="color:var(--primary-accent); cursor:pointer; text-decoration:underline;" id="assign-btn">Assign from Deck</span>
+                    ${t('economy.noExpert')}<br>
+                    <span style="color:var(--primary-accent); cursor:pointer; text-decoration:underline;" id="assign-btn">${t('economy.assignFromDeck')}</span>
                 </div>
             </div>
         `;
@@ -411,23 +407,23 @@ function openProductionModal(playerFactory, outputItem) {
 
     // 6. Upgrade UI
     const canUpgrade = playerFactory.level < UPGRADE_CONFIG.MAX_LEVEL;
-    const upgradeHTML = `
+    const upgradeHTML = html`
         <div style="margin-top:15px; text-align:center; font-size:0.8em;">
             <hr style="border:0; border-top:1px solid #333; margin:10px 0;">
             <div style="display:flex; justify-content:space-between; color:#aaa;">
-                <span>Lvl ${playerFactory.level} / ${UPGRADE_CONFIG.MAX_LEVEL}</span>
-                <span>Cost: ${UPGRADE_CONFIG.COST} 🪙</span>
+                <span>${t('economy.factoryLevel', { level: playerFactory.level, max: UPGRADE_CONFIG.MAX_LEVEL })}</span>
+                <span>${t('economy.upgradeCost', { cost: UPGRADE_CONFIG.COST })}</span>
             </div>
             <button id="upgrade-btn" class="text-button" ${canUpgrade ? '' : 'disabled'} style="width:100%; margin-top:5px; color:var(--accent-blue);">
-                ${canUpgrade ? '⬆ Upgrade Factory' : 'Max Level Reached'}
+                ${canUpgrade ? `⬆ ${t('economy.upgradeFactory')}` : t('economy.maxLevelReached')}
             </button>
         </div>
     `;
 
     // 7. Assemble Modal
-    UI.modal.innerHTML = `
+    render(UI.modal, html`
         <div class="modal-content">
-            <button class="modal-close-btn" onclick="window.closeModal('production-modal')">&times;</button>
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="production-modal">&times;</button>
             
             <div style="text-align:center; margin-bottom:15px;">
                 <img src="${factory.image_url || 'images/default_building.png'}" style="width:60px; border-radius:8px; box-shadow:0 0 10px rgba(0,0,0,0.5);">
@@ -436,7 +432,7 @@ function openProductionModal(playerFactory, outputItem) {
             
             <div class="prod-modal-body">
                 <div style="display:flex; justify-content:center; align-items:center; gap:15px; margin-bottom:15px; background:rgba(255,255,255,0.05); padding:10px; border-radius:8px;">
-                    ${ingredientsHTML}
+                    ${ingredientsHTML.length ? ingredientsHTML : html`<div style="font-size:0.8em; color:#888;">${t('economy.noInputs')}</div>`}
                     <span style="font-size:1.5em; color:#666;">➜</span>
                     <div style="text-align:center;">
                         <img src="${outputItem.image_url || 'images/default_item.png'}" style="width:40px;">
@@ -445,7 +441,7 @@ function openProductionModal(playerFactory, outputItem) {
                 </div>
                 
                 <div class="prod-timer" style="margin-bottom:15px;">
-                    ${isRunning ? `<div class="time-left" style="text-align:center; font-weight:bold; margin-bottom:5px;">${formatTime(timeLeft)}</div>` : ''}
+                    ${isRunning ? html`<div class="time-left" style="text-align:center; font-weight:bold; margin-bottom:5px;">${formatTime(timeLeft)}</div>` : ''}
                     <div class="progress-bar" style="background:#333; height:8px; border-radius:4px; overflow:hidden;">
                         <div class="progress-bar-inner" style="height:100%; width:${isRunning ? ((duration - timeLeft)/duration)*100 : 0}%; background:var(--success-color);"></div>
                     </div>
@@ -456,7 +452,7 @@ function openProductionModal(playerFactory, outputItem) {
                 ${upgradeHTML}
             </div>
         </div>
-    `;
+    `);
     openModal('production-modal');
 
     // 8. Bind Handlers
@@ -465,9 +461,15 @@ function openProductionModal(playerFactory, outputItem) {
     document.getElementById('assign-btn')?.addEventListener('click', () => openExpertSelector(playerFactory.id));
     document.getElementById('dismiss-btn')?.addEventListener('click', () => unassignExpert(playerFactory.id));
     document.getElementById('upgrade-btn')?.addEventListener('click', () => {
-        window.closeModal('production-modal');
+        closeModal('production-modal');
         executeFactoryUpgrade(playerFactory);
     });
+
+    // 9. Stay current while open (stock, production status, expert)
+    bindModalToState('production-modal', ['inventory', 'factories'], () => {
+        const latest = state.factories.find(pf => pf.id === playerFactory.id) || playerFactory;
+        openProductionModal(latest, outputItem);
+    });
 }
 
 // ========================================================
@@ -475,83 +477,67 @@ function openProductionModal(playerFactory, outputItem) {
 // ========================================================
 
 async function openExpertSelector(factoryId) {
-    const [{ data: cards }, { data: factories }] = await Promise.all([
-        api.fetchPlayerCards(state.currentUser.id),
-        api.fetchPlayerFactories(state.currentUser.id)
-    ]);
-
-    const busyCards = new Set(factories.map(f => f.assigned_card_instance_id).filter(Boolean));
+    const busyCards = new Set(state.factories.map(f => f.assigned_card_instance_id).filter(Boolean));
     
     // Filter: Unlocked, Not Busy, Not Soul Card
-    const candidates = cards.filter(c => !busyCards.has(c.instance_id) && c.card_id !== 9999 && !c.is_locked);
+    const candidates = state.playerCards.filter(c => !busyCards.has(c.instance_id) && c.card_id !== 9999 && !c.is_locked);
 
-    // Create Temp Modal
     const modalId = 'expert-selector';
-    let modal = document.getElementById(modalId);
-    if(!modal) {
-        modal = document.createElement('div');
-        modal.id = modalId;
-        modal.className = 'modal-overlay hidden';
-        document.body.appendChild(modal);
-    }
+    const modal = ensureModal(modalId);
 
-    const listHTML = candidates.map(c => `
-        <div onclick="window.selectExpert('${factoryId}', '${c.instance_id}')" 
+    const listHTML = candidates.map(c => html`
+        <div data-action="economy.selectExpert" data-factory-id="${factoryId}" data-instance-id="${c.instance_id}" 
              style="background:#222; padding:10px; border-radius:6px; margin-bottom:5px; cursor:pointer; display:flex; align-items:center; gap:10px; border:1px solid #444;">
             <img src="${c.cards.image_url || 'images/default_card.png'}" style="width:40px;">
             <div>
                 <div style="color:#fff;">${c.cards.name}</div>
-                <div style="font-size:0.7em; color:#aaa;">Lvl ${c.level} • Power ${c.power_score}</div>
+                <div style="font-size:0.7em; color:#aaa;">${t('economy.expertStats', { level: c.level, power: c.power_score })}</div>
             </div>
         </div>
-    `).join('');
+    `);
 
-    modal.innerHTML = `
+    render(modal, html`
         <div class="modal-content">
-            <button class="modal-close-btn" onclick="window.closeModal('${modalId}')">&times;</button>
-            <h3>Assign Expert</h3>
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="${modalId}">&times;</button>
+            <h3>${t('economy.assignExpert')}</h3>
             <div style="max-height:50vh; overflow-y:auto; margin-top:15px;">
-                ${candidates.length ? listHTML : '<p style="text-align:center; color:#666;">No available experts.</p>'}
+                ${candidates.length ? listHTML : html`<p style="text-align:center; color:#666;">${t('economy.noExperts')}</p>`}
             </div>
         </div>
-    `;
+    `);
     openModal(modalId);
 }
 
-// Exposed Handler
-window.selectExpert = async (fid, cid) => {
-    window.closeModal('expert-selector');
-    window.closeModal('production-modal');
+async function selectExpert(fid, cid) {
+    closeModal('expert-selector');
+    closeModal('production-modal');
     
-    const { error } = await api.supabaseClient
-        .from('player_factories')
-        .update({ assigned_card_instance_id: cid })
-        .eq('id', fid);
+    const { error } = await api.assignFactoryExpert(fid, cid);
 
     if (!error) {
-        showToast('Expert Assigned', 'success');
-        await refreshPlayerState();
-        renderProduction();
+        showToast(t('economy.expertAssigned'), 'success');
+        // The server counts the assignment towards the expert tasks on the profile
+        refreshPlayerState();
     } else {
-        showToast('Assignment Error', 'error');
+        showToast(t('economy.assignFailed'), 'error');
     }
-};
+}
 
 async function unassignExpert(fid) {
-    if (!confirm("Remove expert?")) return;
-    const { error } = await api.supabaseClient
-        .from('player_factories')
-        .update({ assigned_card_instance_id: null })
-        .eq('id', fid);
+    if (!(await confirmDialog(t('economy.removeExpertConfirm'), { danger: true }))) return;
+    const { error } = await api.assignFactoryExpert(fid, null);
         
     if (!error) {
-        showToast('Expert Removed', 'success');
-        await refreshPlayerState();
-        window.closeModal('production-modal');
-        renderProduction();
+        showToast(t('economy.expertRemoved'), 'success');
+        closeModal('production-modal');
     }
 }
 
+registerActions({
+    'economy.selectSpec': (el) => handleSelectSpecialization(el.dataset.pathId),
+    'economy.selectExpert': (el) => selectExpert(el.dataset.factoryId, el.dataset.instanceId)
+});
+
 // ========================================================
 // --- 8. MAIN RENDER LOOP ---
 // ========================================================
@@ -567,17 +553,20 @@ export async function renderProduction() {
         }
     }
 
-    UI.resources.innerHTML = '<div class="loading-spinner"></div>';
-    UI.workshops.innerHTML = '';
-
-    const [{ data: pFacts }, { data: mFacts }] = await Promise.all([
-        api.fetchPlayerFactories(state.currentUser.id),
-        api.fetchAllMasterFactories()
-    ]);
+    if (!masterFactoriesCache) {
+        render(UI.resources, html`<div class="loading-spinner"></div>`);
+        render(UI.workshops, '');
+        const { data } = await api.fetchAllMasterFactories();
+        if (!data) return;
+        masterFactoriesCache = data;
+    }
 
-    if (!pFacts || !mFacts) return;
+    // Player factories come from the store, kept current by the delta sync
+    const pFacts = state.factories;
+    const mFacts = [...masterFactoriesCache];
 
-    UI.resources.innerHTML = '';
+    render(UI.resources, '');
+    render(UI.workshops, '');
     const pFactMap = new Map(pFacts.map(pf => [pf.factories.id, pf]));
     const pLevel = state.playerProfile.level || 1;
 
@@ -594,46 +583,40 @@ export async function renderProduction() {
 
         if (isOwned) {
             // Robust access to output item via Join or fallback
-            const output = pf.factories.items || { name: 'Product', image_url: 'images/default_item.png', id: pf.factories.output_item_id };
+            const output = pf.factories.items || { name: t('economy.product'), image_url: 'images/default_item.png', id: pf.factories.output_item_id };
             
             const expertBadge = pf.assigned_card_instance_id 
-                ? `<div class="expert-badge" style="position:absolute; top:5px; right:5px; font-size:1.2em; text-shadow:0 0 5px gold;">⭐</div>` 
+                ? html`<div class="expert-badge" style="position:absolute; top:5px; right:5px; font-size:1.2em; text-shadow:0 0 5px gold;">⭐</div>` 
                 : '';
 
-            card.innerHTML = `
+            render(card, html`
                 ${expertBadge}
                 <img src="${master.image_url || 'images/default_building.png'}" style="width:100%; border-radius:6px;">
                 <h4>${master.name}</h4>
-                <div class="level">Lvl ${pf.level}</div>
+                <div class="level">${t('collection.level', { level: pf.level })}</div>
                 <div class="status" style="font-weight:bold; color:${pf.production_start_time ? 'var(--accent-blue)' : 'var(--success-color)'}">
-                    ${pf.production_start_time ? 'Working' : 'Ready'}
+                    ${pf.production_start_time ? t('economy.working') : t('collection.ready')}
                 </div>
                 <div class="progress-bar"><div class="progress-bar-inner" style="width:0%"></div></div>
-            `;
+            `);
             card.onclick = () => openProductionModal(pf, output);
 
             // Init Timer
             if (pf.production_start_time) {
                 // Calculate duration with potential expert buffs
-                let duration = master.base_production_time * TIME_CONSTANTS.ONE_MINUTE_MS;
-                const expert = pf.player_cards;
-                if (expert && EXPERT_EFFECTS[expert.cards.name]?.type === 'TIME_REDUCTION_PERCENT') {
-                    const red = EXPERT_EFFECTS[expert.cards.name].values[Math.min(expert.level-1, 4)];
-                    duration -= duration * (red/100);
-                }
-                updateLiveTimer(pf, duration);
+                updateLiveTimer(pf, getProductionDuration(pf));
             }
 
         } else {
             const unlockable = pLevel >= master.required_level;
             card.classList.add(unlockable ? 'unlockable' : 'locked');
-            card.innerHTML = `
+            render(card, html`
                 <img src="${master.image_url || 'images/default_building.png'}" style="width:100%; filter:grayscale(${unlockable?0:1}); border-radius:6px;">
                 <h4>${master.name}</h4>
                 <div class="status" style="margin-top:5px; color:${unlockable?'#fff':'#888'}; font-size:0.8em;">
-                    ${unlockable ? `Build: ${master.build_cost_noub} 🪙` : `Lvl ${master.required_level}`}
+                    ${unlockable ? t('economy.buildCost', { cost: master.build_cost_noub }) : t('collection.level', { level: master.required_level })}
                 </div>
-            `;
+            `);
             if (unlockable) card.onclick = () => handleBuildFactory(master);
         }
         container.appendChild(card);
@@ -642,14 +625,22 @@ export async function renderProduction() {
     renderStock();
 }
 
+// Re-render while the screen is visible (claims, builds, reconcile)
+subscribe('factories', () => {
+    if (!document.getElementById('economy-screen')?.classList.contains('hidden')) renderProduction();
+});
+subscribe('inventory', () => {
+    if (!document.getElementById('economy-screen')?.classList.contains('hidden')) renderStock();
+});
+
 function renderStock() {
     const fill = (container, type) => {
-        container.innerHTML = '';
+        render(container, '');
         let has = false;
         state.inventory.forEach(i => {
             if (i.qty > 0 && i.details && i.details.type === type) {
                 has = true;
-                container.innerHTML += `
+                append(container, html`
                     <div class="stock-item">
                         <img src="${i.details.image_url || 'images/default_item.png'}" style="width:35px;">
                         <div style="font-size:0.7em; margin-top:2px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">
@@ -657,10 +648,10 @@ function renderStock() {
                         </div>
                         <strong style="color:var(--primary-accent);">x${i.qty}</strong>
                     </div>
-                `;
+                `);
             }
         });
-        if (!has) container.innerHTML = '<p style="color:#666; font-size:0.8em; padding:10px;">Empty</p>';
+        if (!has) render(container, html`<p style="color:#666; font-size:0.8em; padding:10px;">${t('economy.empty')}</p>`);
     };
 
     fill(UI.stock.resources, 'RESOURCE');
@@ -2,7 +2,7 @@
  * Filename: js/screens/exchange.js
  * Version: Pharaoh's Legacy 'NOUB' v0.2 (OVERHAUL: Full Currency Swap Logic)
  * Description: Implements a single-page swap interface (like a DEX) for currency conversion.
- * FIXED: Uses the unified CURRENCY_MAP and dynamically calculates all conversion rates.
+ * FIXED: Uses the unified CURRENCY_MAP; rates and lot sizes are the server's exchange_rates rows.
 */
 
 
@@ -10,21 +10,14 @@ import { state } from '../state.js';
 import * as api from '../api.js';
 import { showToast, updateHeaderUI } from '../ui.js';
 import { refreshPlayerState } from '../auth.js';
-import { TOKEN_RATES, CURRENCY_MAP } from '../config.js'; // Import new constants
+import { CURRENCY_MAP } from '../config.js';
+import { html, render, registerActions } from '../html.js';
+import { t } from '../i18n.js';
 
 const exchangeContainer = document.getElementById('exchange-screen');
 
-// --- EXCHANGE RATES (Base rates are NOUB-centric) ---
-const RATES = {
-    // NOUB to other currencies (Cost in NOUB to BUY 1 unit)
-    NOUB_PER_PRESTIGE: TOKEN_RATES.NOUB_PER_PRESTIGE,
-    NOUB_PER_TICKET: TOKEN_RATES.NOUB_PER_TICKET,
-    NOUB_PER_ANKH: TOKEN_RATES.NOUB_PER_ANKH_PREMIUM, 
-    
-    // Cross-Currency Rates (These are defined for logic clarity, not config)
-    ANKH_TO_PRESTIGE: 0.005, // Arbitrary base rate
-    PRESTIGE_TO_ANKH: 200,   // Arbitrary base rate
-};
+// --- EXCHANGE RATES (exchange_rates rows, loaded on every render) ---
+let rates = [];
 const MIN_CONVERSION_AMOUNT = 1;
 
 let fromToken = 'ANKH';
@@ -43,58 +36,41 @@ function getBalance(tokenName) {
 }
 
 /**
- * Calculates the amount received and required based on current conversion.
+ * Finds the exchange_rates row for a pair of tokens.
+ */
+function findRate(fromToken, toToken) {
+    const from = CURRENCY_MAP[fromToken.toUpperCase()]?.ledger;
+    const to = CURRENCY_MAP[toToken.toUpperCase()]?.ledger;
+    return rates.find(r => r.from_currency === from && r.to_currency === to);
+}
+
+/**
+ * Calculates the amount received and required, the way exchange_convert prices it.
  */
 function calculateConversion(inputAmount, fromToken, toToken) {
-    // Normalize tokens
-    fromToken = fromToken.toUpperCase();
-    toToken = toToken.toUpperCase();
-    
     if (fromToken === toToken || isNaN(inputAmount) || inputAmount <= 0) {
         return { received: 0, required: 0 };
     }
 
-    // --- Core Logic: All conversions route through NOUB first for simplicity ---
-    let received = 0;
-    let required = inputAmount;
-
-    // 1. Conversion to NOUB (Selling the FROM token)
-    if (toToken === 'NOUB') {
-        const rate = RATES[`NOUB_PER_${fromToken}`]; // Cost to buy 1 unit of FROM is the sale price of FROM to NOUB
-        if (!rate) return { received: 0, required: inputAmount, error: 'Conversion rate not defined.' };
-
-        // Selling 1 unit of FROM gives 1 unit of NOUB at the cost rate
-        // Sell FROM for NOUB (e.g., sell 1 Prestige for 1000 NOUB)
-        received = inputAmount * rate;
-    
-    // 2. Conversion from NOUB (Buying the TO token)
-    } else if (fromToken === 'NOUB') {
-        const costPerUnit = RATES[`NOUB_PER_${toToken}`];
-        if (!costPerUnit) return { received: 0, required: inputAmount, error: 'Conversion rate not defined.' };
-        
-        // Buying TO with NOUB (e.g., buy Prestige with 1000 NOUB)
-        if (inputAmount % costPerUnit !== 0) {
-            return { received: 0, required: inputAmount, error: `Must be a multiple of ${costPerUnit}.` };
-        }
-        received = inputAmount / costPerUnit;
+    const rate = findRate(fromToken, toToken);
+    if (!rate) return { received: 0, required: inputAmount, error: t('errors.exchangePairUnknown') };
 
-    // 3. Cross-Conversion (FROM -> NOUB -> TO)
-    } else {
-         // This is complex and usually requires a fixed market rate for Cross-currency.
-         // For stability, we'll use a hardcoded internal rate (e.g., Ankh/Prestige) if defined
-         const rateKey = `${fromToken}_TO_${toToken}`;
-         let fixedRate = RATES[rateKey];
-         
-         if (fixedRate) {
-              // Direct fixed cross-rate exists
-              received = inputAmount * fixedRate;
-         } else {
-              // No direct rate: Block or use NOUB as intermediate (more complex)
-              return { received: 0, required: inputAmount, error: 'Cross-conversion not directly supported.' };
-         }
+    // Whole lots of the spent currency only (e.g. 1112 NOUB buys 1 Prestige)
+    const step = Number(rate.step);
+    if (inputAmount % step !== 0) {
+        return { received: 0, required: inputAmount, error: t('exchange.stepRequired', { step }) };
     }
-    
-    return { received: Math.floor(received), required: required };
+    return { received: Math.floor(inputAmount * Number(rate.rate)), required: inputAmount };
+}
+
+/**
+ * Text of the current pair's rate: one lot of FROM and what it buys.
+ */
+function describeRate() {
+    const rate = findRate(fromToken, toToken);
+    if (!rate) return t('errors.exchangePairUnknown');
+    const step = Number(rate.step);
+    return `${step} ${CURRENCY_MAP[fromToken].icon} = ${Math.floor(step * Number(rate.rate))} ${CURRENCY_MAP[toToken].icon}`;
 }
 
 
@@ -108,29 +84,12 @@ export async function renderExchange() {
     
     await refreshPlayerState();
 
-    // Get Conversion Details for display
-    const rateKey = `${fromToken.toUpperCase()}_PER_${toToken.toUpperCase()}`;
-    const directRate = RATES[rateKey] || 'N/A';
-    
-    // Determine the exchange direction and display rate clearly
-    let displayRate = 'N/A';
-    if (fromToken === 'NOUB') {
-        displayRate = `1 ${CURRENCY_MAP[toToken].icon} = ${RATES[`NOUB_PER_${toToken}`]} 🪙`;
-    } else if (toToken === 'NOUB') {
-        displayRate = `1 ${CURRENCY_MAP[fromToken].icon} = ${RATES[`NOUB_PER_${fromToken}`]} 🪙`;
-    } else {
-        // Fallback for cross-conversion to display an estimate if possible
-        const directRateValue = RATES[`${fromToken}_TO_${toToken}`];
-        if (directRateValue) {
-             displayRate = `1 ${CURRENCY_MAP[fromToken].icon} ≈ ${directRateValue} ${CURRENCY_MAP[toToken].icon}`;
-        } else {
-             displayRate = "Cross-Conversion is rate-locked.";
-        }
-    }
-    
+    const { data: rateRows } = await api.fetchExchangeRates();
+    rates = rateRows || [];
+    const displayRate = describeRate();
 
-    exchangeContainer.innerHTML = `
-        <h2 style="text-align: center;">Currency Swap (DEX Style)</h2>
+    render(exchangeContainer, html`
+        <h2 style="text-align: center;">${t('exchange.heading')}</h2>
         
         <div style="text-align: center; margin-bottom: 15px;">
             <p id="conversion-display-rate" style="color: var(--primary-accent); font-weight: bold; font-size: 1.1em;">${displayRate}</p>
@@ -139,25 +98,25 @@ export async function renderExchange() {
         <!-- FROM BOX -->
         <div class="swap-box">
             <div class="swap-header">
-                <span>From</span>
-                <span class="swap-balance">Balance: ${getBalance(fromToken)} ${CURRENCY_MAP[fromToken].icon}</span>
+                <span>${t('exchange.from')}</span>
+                <span class="swap-balance">${t('exchange.balance', { amount: getBalance(fromToken), icon: CURRENCY_MAP[fromToken].icon })}</span>
             </div>
             <div class="swap-input-row">
-                <input type="number" id="swap-input-from" placeholder="0.0" oninput="window.updateSwapOutput()" min="${MIN_CONVERSION_AMOUNT}">
-                <select id="select-from-token" onchange="window.selectToken('from', this.value)">
+                <input type="number" id="swap-input-from" placeholder="0.0" data-input="exchange.updateOutput" min="${MIN_CONVERSION_AMOUNT}">
+                <select id="select-from-token" data-change="exchange.selectToken" data-box="from">
                     <!-- Options populated dynamically -->
                 </select>
             </div>
             <div class="swap-percent-row">
-                <button class="action-button small" onclick="window.setSwapPercentage(0.25)">25%</button>
-                <button class="action-button small" onclick="window.setSwapPercentage(0.50)">50%</button>
-                <button class="action-button small" onclick="window.setSwapPercentage(1.0)">MAX</button>
+                <button class="action-button small" data-action="exchange.percent" data-percent="0.25">25%</button>
+                <button class="action-button small" data-action="exchange.percent" data-percent="0.50">50%</button>
+                <button class="action-button small" data-action="exchange.percent" data-percent="1.0">${t('exchange.max')}</button>
             </div>
         </div>
 
         <!-- SWAP BUTTON -->
         <div class="swap-icon-container">
-            <button id="swap-icon-btn" class="action-button small" onclick="window.swapTokens()">
+            <button id="swap-icon-btn" class="action-button small" data-action="exchange.flip">
                 <div style="font-size: 20px;">⇅</div>
             </button>
         </div>
@@ -165,24 +124,24 @@ export async function renderExchange() {
         <!-- TO BOX -->
         <div class="swap-box">
             <div class="swap-header">
-                <span>To</span>
-                <span class="swap-balance">Balance: ${getBalance(toToken)} ${CURRENCY_MAP[toToken].icon}</span>
+                <span>${t('exchange.to')}</span>
+                <span class="swap-balance">${t('exchange.balance', { amount: getBalance(toToken), icon: CURRENCY_MAP[toToken].icon })}</span>
             </div>
             <div class="swap-input-row">
                 <input type="number" id="swap-input-to" placeholder="0.0" readonly>
-                <select id="select-to-token" onchange="window.selectToken('to', this.value)">
+                <select id="select-to-token" data-change="exchange.selectToken" data-box="to">
                     <!-- Options populated dynamically -->
                 </select>
             </div>
         </div>
 
         <!-- CONTINUE BUTTON -->
-        <button id="continue-swap-btn" class="action-button" onclick="window.executeSwap()">Continue Swap</button>
+        <button id="continue-swap-btn" class="action-button" data-action="exchange.execute">${t('exchange.continue')}</button>
 
         <div style="text-align: center; margin-top: 20px;">
             <p id="conversion-details" style="color: var(--text-secondary);"></p>
         </div>
-    `;
+    `);
 
     // 1. Populate token dropdowns and select current tokens
     const fromSelect = document.getElementById('select-from-token');
@@ -203,13 +162,13 @@ export async function renderExchange() {
     });
     
     // 2. Initial UI update
-    window.updateSwapOutput();
+    updateSwapOutput();
 }
 
 /**
  * Updates the output field and conversion details based on input.
  */
-window.updateSwapOutput = function() {
+function updateSwapOutput() {
     const inputElement = document.getElementById('swap-input-from');
     const outputElement = document.getElementById('swap-input-to');
     const detailsElement = document.getElementById('conversion-details');
@@ -218,34 +177,16 @@ window.updateSwapOutput = function() {
     const inputAmount = parseInt(inputElement.value);
     
     // Update balances and rates first
-    document.querySelector('.swap-box:first-child .swap-balance').textContent = `Balance: ${getBalance(fromToken)} ${CURRENCY_MAP[fromToken].icon}`;
-    document.querySelector('.swap-box:last-child .swap-balance').textContent = `Balance: ${getBalance(toToken)} ${CURRENCY_MAP[toToken].icon}`;
+    document.querySelector('.swap-box:first-child .swap-balance').textContent = t('exchange.balance', { amount: getBalance(fromToken), icon: CURRENCY_MAP[fromToken].icon });
+    document.querySelector('.swap-box:last-child .swap-balance').textContent = t('exchange.balance', { amount: getBalance(toToken), icon: CURRENCY_MAP[toToken].icon });
     
-    // Update rate display in the middle (re-render for rate logic)
-    const newRate = calculateConversion(1, fromToken, toToken); // Calculate rate for 1 unit
-    
-    let displayRate = 'N/A';
-    if (fromToken === 'NOUB') {
-        displayRate = `1 ${CURRENCY_MAP[toToken].icon} = ${RATES[`NOUB_PER_${toToken}`]} 🪙`;
-    } else if (toToken === 'NOUB') {
-        displayRate = `1 ${CURRENCY_MAP[fromToken].icon} = ${RATES[`NOUB_PER_${fromToken}`]} 🪙`;
-    } else {
-         const rateValue = RATES[`${fromToken}_TO_${toToken}`];
-         const inverseRateValue = RATES[`${toToken}_TO_${fromToken}`];
-         if(rateValue) {
-            displayRate = `1 ${CURRENCY_MAP[fromToken].icon} ≈ ${rateValue} ${CURRENCY_MAP[toToken].icon}`;
-         } else if (inverseRateValue) {
-            displayRate = `1 ${CURRENCY_MAP[toToken].icon} ≈ ${inverseRateValue} ${CURRENCY_MAP[fromToken].icon}`;
-         } else {
-             displayRate = "Cross-Conversion Rate Missing.";
-         }
-    }
-    rateDisplayElement.textContent = displayRate;
+    // Update rate display in the middle
+    rateDisplayElement.textContent = describeRate();
 
 
     if (isNaN(inputAmount) || inputAmount <= 0) {
         outputElement.value = '0.0';
-        detailsElement.textContent = 'Enter an amount to see details.';
+        detailsElement.textContent = t('exchange.enterAmount');
         continueBtn.disabled = true;
         return;
     }
@@ -254,18 +195,18 @@ window.updateSwapOutput = function() {
     
     if (result.error) {
         outputElement.value = '0.0';
-        detailsElement.textContent = `Error: ${result.error}`;
+        detailsElement.textContent = t('exchange.error', { message: result.error });
         continueBtn.disabled = true;
     } else if (result.required > getBalance(fromToken)) {
         outputElement.value = '0.0';
-        detailsElement.innerHTML = `Insufficient Balance. Need <span style="color: var(--danger-color);">${result.required} ${CURRENCY_MAP[fromToken].icon}</span>.`;
+        render(detailsElement, html`${t('exchange.insufficient')} <span style="color: var(--danger-color);">${result.required} ${CURRENCY_MAP[fromToken].icon}</span>`);
         continueBtn.disabled = true;
     } else {
         outputElement.value = result.received.toString();
         const fromIcon = CURRENCY_MAP[fromToken].icon;
         const toIcon = CURRENCY_MAP[toToken].icon;
         
-        detailsElement.innerHTML = `You will receive ${result.received} ${toIcon} for ${result.required} ${fromIcon}.`;
+        render(detailsElement, t('exchange.preview', { received: result.received, toIcon, required: result.required, fromIcon }));
         continueBtn.disabled = result.received === 0;
     }
 }
@@ -273,13 +214,13 @@ window.updateSwapOutput = function() {
 /**
  * Sets the token for a specific swap box and updates the UI.
  */
-window.selectToken = function(box, newToken) {
+function selectToken(box, newToken) {
     if (box === 'from') {
         fromToken = newToken;
-        if (fromToken === toToken) window.swapTokens(); 
+        if (fromToken === toToken) swapTokens(); 
     } else {
         toToken = newToken;
-        if (fromToken === toToken) window.swapTokens();
+        if (fromToken === toToken) swapTokens();
     }
     renderExchange(); 
 }
@@ -287,7 +228,7 @@ window.selectToken = function(box, newToken) {
 /**
  * Swaps the From and To tokens.
  */
-window.swapTokens = function() {
+function swapTokens() {
     const temp = fromToken;
     fromToken = toToken;
     toToken = temp;
@@ -297,27 +238,26 @@ window.swapTokens = function() {
 /**
  * Sets the input amount to a percentage of the max balance.
  */
-window.setSwapPercentage = function(percentage) {
+function setSwapPercentage(percentage) {
     const maxBalance = getBalance(fromToken);
     let amount = Math.floor(maxBalance * percentage);
     
-    // Enforce divisibility for NOUB conversions (buying non-NOUB items)
-    if (fromToken === 'NOUB' && toToken !== 'NOUB') {
-        const costPerUnit = RATES[`NOUB_PER_${toToken}`];
-        if (costPerUnit) {
-            amount = Math.floor(amount / costPerUnit) * costPerUnit;
-        }
-    } 
+    // Round down to whole lots of the spent currency
+    const rate = findRate(fromToken, toToken);
+    if (rate) {
+        const step = Number(rate.step);
+        amount = Math.floor(amount / step) * step;
+    }
     
     document.getElementById('swap-input-from').value = amount;
     
-    window.updateSwapOutput();
+    updateSwapOutput();
 }
 
 /**
  * Executes the final swap transaction.
  */
-window.executeSwap = async function() {
+async function executeSwap() {
     const inputElement = document.getElementById('swap-input-from');
     const amountDeducted = parseInt(inputElement.value);
     
@@ -325,38 +265,39 @@ window.executeSwap = async function() {
     
     const result = calculateConversion(amountDeducted, fromToken, toToken);
     if (result.required > getBalance(fromToken) || result.received === 0) {
-        showToast("Transaction failed: Invalid amount or insufficient balance.", 'error');
+        showToast(t('exchange.invalidAmount'), 'error');
         return;
     }
 
-    const updateObject = {};
-    
-    // Deduct from source
-    const deductedKey = CURRENCY_MAP[fromToken].key;
-    updateObject[deductedKey] = getBalance(fromToken) - amountDeducted;
-    
-    // Add to destination
-    const receivedKey = CURRENCY_MAP[toToken].key;
-    const currentReceivedBalance = getBalance(toToken);
-    
-    updateObject[receivedKey] = currentReceivedBalance + result.received;
-
-    
-    // 1. Execute database update
-    const { error } = await api.updatePlayerProfile(state.currentUser.id, updateObject);
+    // 1. The server prices the swap from exchange_rates and runs both legs in one ledger call
+    const { data, error } = await api.convertCurrency(
+        state.currentUser.id,
+        CURRENCY_MAP[fromToken].ledger,
+        CURRENCY_MAP[toToken].ledger,
+        amountDeducted
+    );
     
     if (!error) {
         // 2. Log the activity
-        const description = `Swap: ${amountDeducted} ${fromToken} → ${result.received} ${toToken}.`;
+        const description = `Swap: ${amountDeducted} ${fromToken} → ${data.received} ${toToken}.`;
         await api.logActivity(state.currentUser.id, 'EXCHANGE', description);
         
-        showToast(`Swap Complete! You received ${result.received} ${toToken}.`, 'success');
+        showToast(t('exchange.done', { amount: data.received, currency: toToken }), 'success');
         
         // 3. Update UI
         await refreshPlayerState();
         renderExchange(); 
     } else {
-        showToast('Error processing swap!', 'error');
+        showToast(error.message || t('exchange.failed'), 'error');
     }
 }
 
+
+
+registerActions({
+    'exchange.updateOutput': updateSwapOutput,
+    'exchange.selectToken': (el) => selectToken(el.dataset.box, el.value),
+    'exchange.percent': (el) => setSwapPercentage(Number(el.dataset.percent)),
+    'exchange.flip': swapTokens,
+    'exchange.execute': executeSwap
+});
@@ -8,9 +8,14 @@
 import { state } from '../state.js';
 import * as api from '../api.js';
 import { showToast } from '../ui.js';
+import { html, render } from '../html.js';
+import { t } from '../i18n.js';
 
 const historyContainer = document.getElementById('history-screen');
 
+// result_status as kvgame.js stores it
+const RESULT_KEYS = { 'Win': 'history.win', 'Loss (Manual)': 'history.lossManual', 'Loss (Time)': 'history.lossTime' };
+
 /**
  * Renders the player's game history (KV Game attempts).
  */
@@ -22,7 +27,7 @@ export async function renderHistory() {
         return;
     }
 
-    historyContainer.innerHTML = '<h2>Game History (KV Expeditions)</h2><div id="history-list-container">Loading history...</div>';
+    render(historyContainer, html`<h2>${t('history.title')}</h2><div id="history-list-container">${t('history.loading')}</div>`);
     
     const listContainer = document.getElementById('history-list-container');
     
@@ -30,39 +35,39 @@ export async function renderHistory() {
     const { data: history, error } = await api.fetchGameHistory(state.currentUser.id);
 
     if (error || !history) {
-        listContainer.innerHTML = '<p class="error-message">Error loading game history. (Check API connection and table existence)</p>';
+        render(listContainer, html`<p class="error-message">${t('history.loadFailed')}</p>`);
         return;
     }
 
     if (history.length === 0) {
-        listContainer.innerHTML = '<p>No expeditions recorded yet. Start a KV Game!</p>';
+        render(listContainer, html`<p>${t('history.empty')}</p>`);
         return;
     }
 
     // 2. Render List (Styled to be clean and mobile-friendly)
-    const historyListHTML = history.map(entry => {
+    const historyItems = history.map(entry => {
         const isWin = entry.result_status === 'Win';
         const resultColor = isWin ? 'var(--success-color)' : 'var(--danger-color)';
         const borderColor = isWin ? 'var(--primary-accent)' : '#7f8c8d';
         
-        return `
+        return html`
             <li class="history-entry" style="border-left: 5px solid ${borderColor}; margin-bottom: 10px; padding: 10px; background: var(--surface-dark); border-radius: 8px;">
                 <div style="display: flex; justify-content: space-between; align-items: center;">
                     <div style="font-size: 1em; font-weight: bold;">
-                        ${entry.game_type || 'KV Game'} - Level KV${entry.level_kv || '??'}
+                        ${t('history.entryTitle', { game: t('home.kvGame'), level: entry.level_kv || '??' })}
                     </div>
                     <span style="color: ${resultColor}; font-weight: bold;">
-                        ${entry.result_status || 'Incomplete'}
+                        ${entry.result_status ? t(RESULT_KEYS[entry.result_status] || entry.result_status) : t('history.incomplete')}
                     </span>
                 </div>
                 <div style="font-size: 0.9em; color: var(--text-secondary); margin-top: 5px;">
-                    <span style="margin-right: 15px;">Date: ${new Date(entry.date).toLocaleDateString()}</span>
-                    <span>Time Spent: ${entry.time_taken || '--'}s</span>
+                    <span style="margin-right: 15px;">${t('history.date', { date: new Date(entry.date).toLocaleDateString() })}</span>
+                    <span>${t('history.timeSpent', { seconds: entry.time_taken ?? '--' })}</span>
                 </div>
-                ${entry.code ? `<div style="font-size: 0.8em; color: var(--primary-accent); margin-top: 5px;">Code: ${entry.code}</div>` : ''}
+                ${entry.code && html`<div style="font-size: 0.8em; color: var(--primary-accent); margin-top: 5px;">${t('history.code', { code: entry.code })}</div>`}
             </li>
         `;
-    }).join('');
+    });
 
-    listContainer.innerHTML = `<ul style="list-style: none; padding: 0;">${historyListHTML}</ul>`;
+    render(listContainer, html`<ul style="list-style: none; padding: 0;">${historyItems}</ul>`);
 }
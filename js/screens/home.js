@@ -7,6 +7,25 @@
 
 import { state } from '../state.js';
 import * as api from '../api.js';
+import { isGuest, guestDaysLeft, openSecureAccountModal } from '../auth.js';
+import { t } from '../i18n.js';
+import { html, render } from '../html.js';
+
+/**
+ * Reminds guests to convert the account before it is purged.
+ */
+function renderGuestBanner() {
+    const banner = document.getElementById('guest-banner');
+    if (!banner) return;
+    banner.classList.toggle('hidden', !isGuest());
+    if (!isGuest()) return;
+
+    render(banner, html`
+        <span>${t('home.guestBanner', { count: guestDaysLeft() })}</span>
+        <button id="secure-account-btn" class="action-button small">${t('home.secureIt')}</button>
+    `);
+    document.getElementById('secure-account-btn').onclick = openSecureAccountModal;
+}
 
 /**
  * Renders the home screen. Currently, it's a static screen with action icons.
@@ -22,6 +41,8 @@ export async function renderHome() {
     // This function is kept for consistency and can be used for any dynamic content 
     // that might be added to the home screen in the future (e.g., special event banners, player greetings).
     
+    renderGuestBanner();
+
     // For now, we can simply log that the screen has been rendered successfully.
     console.log("Home screen rendered successfully.");
 }
@@ -6,179 +6,71 @@
  * winning a game, making it a core part of player progression.
 */
 
-import { state } from '../state.js';
+import { state, subscribe } from '../state.js';
 import * as api from '../api.js';
 import { showToast, updateHeaderUI, openModal, navigateTo } from '../ui.js';
-import { refreshPlayerState } from '../auth.js';
 import { trackDailyActivity } from './contracts.js'; 
 import { checkAndUnlockLibrary } from './library.js';
+import { t } from '../i18n.js';
+import { html, render, append } from '../html.js';
 
 // --- KV Game Constants & State ---
-const LEVEL_COST = 100;
-const WIN_REWARD_BASE = 500;
 const HINT_SCROLL_ITEM_KEY = 'hint_scroll';
 const HINT_SCROLL_COST_ANKH_PREMIUM = 5;
 const TIME_AMULET_ITEM_KEY = 'time_amulet_45s';
 const TIME_AMULET_COST_ANKH_PREMIUM = 10;
 
+// The code itself stays on the server (kv_sessions, sql/016); the screen
+// only holds what the server has revealed so far
 let kvGameState = {
     active: false,
-    code: '',
+    hints: null,
+    lastDigit: null,
+    digits: 0,
+    seconds: 0,
     timeLeft: 0,
+    deadline: 0,
+    serverExpiresAt: 0,
     interval: null,
     levelIndex: 0,
     attemptsLeft: 0,
-    hintsRevealed: [true, true, true, false],
 };
 
 const kvGatesData = [
-    { kv: 1, name: "Ramses VII" }, { kv: 2, name: "Ramses IV" }, { kv: 3, name: "Sons of Ramses II" },
-    { kv: 4, name: "Ramses XI" }, { kv: 5, name: "Sons of Ramses II" }, { kv: 6, name: "Ramses IX" },
+    { kv: 1, name: "Ramses VII" }, { kv: 2, name: "Ramses IV" }, { kv: 3, nameKey: 'kv.gateSonsOfRamses' },
+    { kv: 4, name: "Ramses XI" }, { kv: 5, nameKey: 'kv.gateSonsOfRamses' }, { kv: 6, name: "Ramses IX" },
     { kv: 7, name: "Ramses I" }, { kv: 8, name: "Merenptah" }, { kv: 9, name: "Ramses V & VI" },
-    { kv: 10, name: "Amenmesses" }, { kv: 11, name: "Ramses III" }, { kv: 12, name: "Unknown" },
+    { kv: 10, name: "Amenmesses" }, { kv: 11, name: "Ramses III" }, { kv: 12 },
     { kv: 13, name: "Bay" }, { kv: 14, name: "Tausert & Setnakht" }, { kv: 15, name: "Seti II" },
     { kv: 16, name: "Ramses" }, { kv: 17, name: "Seti I" }, { kv: 18, name: "Ramses X" },
-    { kv: 19, name: "Montuherkhepshef" }, { kv: 20, name: "Thutmose I & Hatshepsut" }, { kv: 21, name: "Unknown" },
-    { kv: 22, name: "Amenhotep III" }, { kv: 23, name: "Ay" }, { kv: 24, name: "Unknown" },
-    { kv: 25, name: "Unknown" }, { kv: 26, name: "Unknown" }, { kv: 27, name: "Unknown" }, { kv: 28, name: "Unknown" },
-    { kv: 29, name: "Unknown" }, { kv: 30, name: "Unknown" }, { kv: 31, name: "Unknown" }, { kv: 32, name: "Tia'a" },
-    { kv: 33, name: "Unknown" },
+    { kv: 19, name: "Montuherkhepshef" }, { kv: 20, name: "Thutmose I & Hatshepsut" }, { kv: 21 },
+    { kv: 22, name: "Amenhotep III" }, { kv: 23, name: "Ay" }, { kv: 24 },
+    { kv: 25 }, { kv: 26 }, { kv: 27 }, { kv: 28 },
+    { kv: 29 }, { kv: 30 }, { kv: 31 }, { kv: 32, name: "Tia'a" },
+    { kv: 33 },
     { kv: 34, name: "Thutmose III" }, { kv: 35, name: "Amenhotep II" }, { kv: 36, name: "Maiherpri" },
-    { kv: 37, name: "Unknown" }, { kv: 38, name: "Thutmose I" }, { kv: 39, name: "Unknown" }, { kv: 40, name: "Unknown" },
-    { kv: 41, name: "Unknown" }, { kv: 42, name: "Hatshepsut-Meryet-Ra" }, { kv: 43, name: "Thutmose IV" }, { kv: 44, name: "Unknown" },
+    { kv: 37 }, { kv: 38, name: "Thutmose I" }, { kv: 39 }, { kv: 40 },
+    { kv: 41 }, { kv: 42, name: "Hatshepsut-Meryet-Ra" }, { kv: 43, name: "Thutmose IV" }, { kv: 44 },
     { kv: 45, name: "Userhet" }, { kv: 46, name: "Yuya & Thuya" }, { kv: 47, name: "Siptah" },
-    { kv: 48, name: "Amenemope" }, { kv: 49, name: "Unknown" }, { kv: 50, name: "Unknown" }, { kv: 51, name: "Unknown" },
-    { kv: 52, name: "Unknown" },
-    { kv: 53, name: "Unknown" }, { kv: 54, name: "Tutankhamun cache?" }, { kv: 55, name: "Amarna Cache (Akhenaten?)" }, { kv: 56, name: "Gold Tomb?" },
-    { kv: 57, name: "Horemheb" }, { kv: 58, name: "Unknown (Chariot Tomb?)" }, { kv: 59, name: "Unknown" }, { kv: 60, name: "Sitre" },
-    { kv: 61, name: "Unknown" }, { kv: 62, name: "Tutankhamun" }
+    { kv: 48, name: "Amenemope" }, { kv: 49 }, { kv: 50 }, { kv: 51 },
+    { kv: 52 },
+    { kv: 53 }, { kv: 54, nameKey: 'kv.gateTutankhamunCache' }, { kv: 55, nameKey: 'kv.gateAmarnaCache' }, { kv: 56, nameKey: 'kv.gateGoldTomb' },
+    { kv: 57, name: "Horemheb" }, { kv: 58, nameKey: 'kv.gateChariotTomb' }, { kv: 59 }, { kv: 60, name: "Sitre" },
+    { kv: 61 }, { kv: 62, name: "Tutankhamun" }
 ];
 
-let levelNameEl, timerDisplayEl, guessInputEl, submitGuessBtn, newGameBtn, endGameBtn, progressInfoDiv, hintDisplayDiv, kvGameControlsEl, kvMessageLabel;
-
-// --- CORE LOGIC FUNCTIONS ---
-
-function getLevelConfig(levelIndex) {
-    const level = levelIndex + 1;
-    let digits = 3;
-    let time = 70;
-    let attempts = 4;
-
-    if (level >= 53) { digits = 6; time = 160; attempts = 5; }
-    else if (level >= 41) { digits = 5; time = 120; attempts = 5; }
-    else if (level >= 25) { digits = 4; time = 90; attempts = 5; }
-
-    return { digits, time, attempts };
-}
-
-function generateCode(digits) {
-    let code = '';
-    for (let i = 0; i < digits; i++) {
-        code += Math.floor(Math.random() * 10);
-    }
-    return code;
-}
-
-function calculateCodeHints(code) {
-    const digits = code.split('').map(Number);
-    const sum = digits.reduce((a, b) => a + b, 0);
-    const product = digits.reduce((a, b) => a * b, 1);
-    const evens = digits.filter(d => d % 2 === 0).length;
-    const odds = digits.length - evens;
-    const lastDigit = digits[digits.length - 1];
-
-    return { sum, product, evens, odds, lastDigit };
+// Royal names are shown as they are; the other gates have a catalog name
+function gateName(gate) {
+    return gate.name || t(gate.nameKey || 'kv.gateUnknown');
 }
 
-function getBullAndCowFeedback(secret, guess) {
-    let bulls = 0;
-    let cows = 0;
-    const secretArr = secret.split('');
-    const guessArr = guess.split('');
-    const secretMap = new Map();
-
-    for (let i = 0; i < secretArr.length; i++) {
-        if (secretArr[i] === guessArr[i]) {
-            bulls++;
-            secretArr[i] = '#'; 
-            guessArr[i] = '@';
-        } else {
-            secretMap.set(secretArr[i], (secretMap.get(secretArr[i]) || 0) + 1);
-        }
-    }
-
-    for (let i = 0; i < guessArr.length; i++) {
-        const digit = guessArr[i];
-        if (digit !== '@' && secretMap.has(digit) && secretMap.get(digit) > 0) {
-            cows++;
-            secretMap.set(digit, secretMap.get(digit) - 1);
-        }
-    }
-
-    return { bulls, cows };
-}
-
-async function updateKVProgress(isWin) {
-    if (!state.currentUser) return;
-
-    let { data: progress } = await api.fetchKVProgress(state.currentUser.id);
-
-    if (!progress) {
-        progress = {
-            player_id: state.currentUser.id,
-            current_kv_level: 1,
-            last_game_result: null,
-            unlocked_levels_json: '[]'
-        };
-        const { error: insertError } = await api.updateKVProgress(state.currentUser.id, progress);
-        if (insertError) {
-             console.error("Failed to initialize KV progress:", insertError);
-             showToast("Error initializing game progress.", 'error');
-             return;
-        }
-        ({ data: progress } = await api.fetchKVProgress(state.currentUser.id));
-        if (!progress) {
-            console.error("Failed to retrieve game progress.");
-            showToast("Error retrieving game progress.", 'error');
-            return;
-        }
-    }
-
-    let unlockedLevels = [];
-    try {
-        unlockedLevels = JSON.parse(progress.unlocked_levels_json || '[]');
-    } catch (e) {
-        console.error("Error parsing unlocked_levels_json:", e, "Raw data:", progress.unlocked_levels_json);
-        unlockedLevels = [];
-    }
-
-    const currentLevel = kvGameState.levelIndex + 1;
-    let updateObject = {
-        player_id: state.currentUser.id,
-        current_kv_level: progress.current_kv_level,
-        last_game_result: isWin ? 'Win' : 'Loss',
-        unlocked_levels_json: progress.unlocked_levels_json
-    };
-
-    if (isWin) {
-        const nextLevel = currentLevel + 1;
-        if (nextLevel > progress.current_kv_level) {
-            updateObject.current_kv_level = nextLevel;
-        }
-
-        if (!unlockedLevels.includes(currentLevel)) {
-            unlockedLevels.push(currentLevel);
-            updateObject.unlocked_levels_json = JSON.stringify(unlockedLevels);
-        }
-    }
+let levelNameEl, timerDisplayEl, guessInputEl, submitGuessBtn, newGameBtn, endGameBtn, progressInfoDiv, hintDisplayDiv, kvGameControlsEl, kvMessageLabel;
 
-    await api.updateKVProgress(state.currentUser.id, updateObject);
-    await refreshPlayerState();
-}
+// --- CORE LOGIC FUNCTIONS ---
 
 function timerTick() {
-    kvGameState.timeLeft--;
-    if (timerDisplayEl) timerDisplayEl.textContent = `Time Left: ${kvGameState.timeLeft}s`;
+    kvGameState.timeLeft = Math.max(0, Math.ceil((kvGameState.deadline - Date.now()) / 1000));
+    if (timerDisplayEl) timerDisplayEl.textContent = t('kv.timeLeft', { seconds: kvGameState.timeLeft });
 
     if (kvGameState.timeLeft <= 0) {
         endCurrentKVGame('lose_time');
@@ -194,28 +86,28 @@ function timerTick() {
 }
 
 function updateHintDisplay() {
-    if (!hintDisplayDiv || !kvGameState.code) return;
+    if (!hintDisplayDiv || !kvGameState.hints) return;
 
-    hintDisplayDiv.innerHTML = '';
-    const hints = calculateCodeHints(kvGameState.code);
+    render(hintDisplayDiv, '');
+    const hints = kvGameState.hints;
     const buttonContainer = document.createElement('div');
     buttonContainer.id = 'kv-use-item-button-container';
     buttonContainer.style.cssText = 'display: flex; justify-content: center; flex-wrap: wrap; gap: 7px; margin-top: 10px;';
 
-    hintDisplayDiv.innerHTML += `<li class="kv-hint-item">Hint 1 (Sum): <span>${hints.sum}</span>. (Free)</li>`;
-    hintDisplayDiv.innerHTML += `<li class="kv-hint-item">Hint 2 (Product): <span>${hints.product}</span>. (Free)</li>`;
-    hintDisplayDiv.innerHTML += `<li class="kv-hint-item">Hint 3 (Even/Odd): <span>${hints.odds} odd / ${hints.evens} even</span>. (Free)</li>`;
+    append(hintDisplayDiv, html`<li class="kv-hint-item">${t('kv.hintSumLabel')} <span>${hints.sum}</span> ${t('kv.hintFree')}</li>`);
+    append(hintDisplayDiv, html`<li class="kv-hint-item">${t('kv.hintProductLabel')} <span>${hints.product}</span> ${t('kv.hintFree')}</li>`);
+    append(hintDisplayDiv, html`<li class="kv-hint-item">${t('kv.hintParityLabel')} <span>${t('kv.hintParity', { odds: hints.odds, evens: hints.evens })}</span> ${t('kv.hintFree')}</li>`);
 
-    if (kvGameState.hintsRevealed[3]) {
-        hintDisplayDiv.innerHTML += `<li class="kv-hint-item" style="border-left-color: var(--success-color);">Hint 4: Last digit is <span>${hints.lastDigit}</span>. (Used)</li>`;
+    if (kvGameState.lastDigit !== null) {
+        append(hintDisplayDiv, html`<li class="kv-hint-item" style="border-left-color: var(--success-color);">${t('kv.hintLastDigitLabel')} <span>${kvGameState.lastDigit}</span> ${t('kv.hintUsed')}</li>`);
     } else {
         const scrollCount = state.consumables.get(HINT_SCROLL_ITEM_KEY) || 0;
         const hintBtn = document.createElement('button');
         hintBtn.className = 'action-button small';
         hintBtn.style.backgroundColor = 'var(--kv-gate-color)';
         hintBtn.textContent = (scrollCount > 0)
-            ? `Use Hint Scroll (${scrollCount})`
-            : `Buy Last Digit (${HINT_SCROLL_COST_ANKH_PREMIUM} ☥)`;
+            ? t('kv.useHintScroll', { count: scrollCount })
+            : t('kv.buyLastDigit', { cost: HINT_SCROLL_COST_ANKH_PREMIUM });
 
         hintBtn.disabled = !kvGameState.active;
         hintBtn.onclick = () => handlePurchaseAndUseItem(HINT_SCROLL_ITEM_KEY, HINT_SCROLL_COST_ANKH_PREMIUM, 'hint');
@@ -227,8 +119,8 @@ function updateHintDisplay() {
     timeBtn.className = 'action-button small';
     timeBtn.style.backgroundColor = '#95a5a6';
     timeBtn.textContent = (amuletCount > 0)
-        ? `Use Time Amulet (${amuletCount})`
-        : `Buy Time (+45s) (${TIME_AMULET_COST_ANKH_PREMIUM} ☥)`;
+        ? t('kv.useTimeAmulet', { count: amuletCount })
+        : t('kv.buyTime', { cost: TIME_AMULET_COST_ANKH_PREMIUM });
 
     timeBtn.disabled = !kvGameState.active;
     timeBtn.onclick = () => handlePurchaseAndUseItem(TIME_AMULET_ITEM_KEY, TIME_AMULET_COST_ANKH_PREMIUM, 'time');
@@ -237,182 +129,174 @@ function updateHintDisplay() {
     hintDisplayDiv.appendChild(buttonContainer);
 }
 
+// Scroll / amulet counts on the buttons follow the consumables
+subscribe('consumables', updateHintDisplay);
+
 async function handlePurchaseAndUseItem(itemKey, ankhPremiumCost, itemType) {
     if (!kvGameState.active) return;
 
     const consumableCount = state.consumables.get(itemKey) || 0;
-    const isHint = itemType === 'hint';
-    const isTime = itemType === 'time';
 
-    if (isHint && kvGameState.hintsRevealed[3]) {
-        showToast("Last digit hint already revealed.", 'info');
+    if (itemType === 'hint' && kvGameState.lastDigit !== null) {
+        showToast(t('errors.kvHintShown'), 'info');
         return;
     }
-
-    let itemUsedSuccessfully = false;
-
-    if (consumableCount > 0) {
-        await api.updateConsumableQuantity(state.currentUser.id, itemKey, consumableCount - 1);
-        showToast(`${itemKey.split('_')[0]} used!`, 'success');
-        itemUsedSuccessfully = true;
-    } else if ((state.playerProfile.ankh_premium || 0) >= ankhPremiumCost) {
-        const newAnkhPremium = state.playerProfile.ankh_premium - ankhPremiumCost;
-        await api.updatePlayerProfile(state.currentUser.id, { ankh_premium: newAnkhPremium });
-        showToast(`${itemType} purchased with Ankh Premium!`, 'success');
-        itemUsedSuccessfully = true;
-    } else {
-        showToast(`Need ${ankhPremiumCost} Ankh (☥) or the consumable item.`, 'error');
+    if (consumableCount <= 0 && (state.playerProfile.ankh_premium || 0) < ankhPremiumCost) {
+        showToast(t('kv.needAnkh', { cost: ankhPremiumCost }), 'error');
         return;
     }
 
-    if (itemUsedSuccessfully) {
-        if (isHint) kvGameState.hintsRevealed[3] = true;
-        if (isTime) kvGameState.timeLeft += 45;
+    // kv_game_use_item spends the consumable, or the Ankh when there is none
+    const { data, error } = await api.useKVItem(state.currentUser.id, itemKey);
+    if (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    const itemName = t(itemType === 'hint' ? 'kv.hintScroll' : 'kv.timeAmulet');
+    showToast(t(data.consumables ? 'kv.itemUsed' : 'kv.itemBought', { name: itemName }), 'success');
+
+    if (data.last_digit != null) kvGameState.lastDigit = data.last_digit;
+    if (data.expires_at) {
+        const expiresAt = Date.parse(data.expires_at);
+        kvGameState.deadline += expiresAt - kvGameState.serverExpiresAt;
+        kvGameState.serverExpiresAt = expiresAt;
     }
 
-    await refreshPlayerState();
     updateHintDisplay();
 }
 
 /**
- * Ends the current KV game session and processes the result.
- * NEW: Grants the player +25 XP upon a successful win.
- * @param {string} result - The outcome of the game ('win', 'lose_time', 'lose_attempts', 'manual').
+ * Shows how a game ended and records it in the expedition history.
+ * @param {object} outcome - What the server answered: result ('win', 'lose_time', 'lose_attempts', 'manual'),
+ * gate and code, plus reward and leveled_up on a win.
  */
-async function endCurrentKVGame(result) {
-    if (!kvGameState.active) return;
+async function finishKVGame(outcome) {
     kvGameState.active = false;
-
     if (kvGameState.interval) clearInterval(kvGameState.interval);
 
-    const gateInfo = kvGatesData[kvGameState.levelIndex];
-    let isWin = (result === 'win');
-    const timeSpent = getLevelConfig(kvGameState.levelIndex).time - kvGameState.timeLeft;
-
-    const gameDetails = {
-        player_id: state.currentUser.id,
-        game_type: 'KV Game',
-        level_kv: gateInfo.kv,
-        result_status: isWin ? 'Win' : ((result === 'manual') ? 'Loss (Manual)' : 'Loss (Time)'),
-        time_taken: timeSpent < 0 ? 0 : timeSpent, 
-        code: kvGameState.code,
-        date: new Date().toISOString()
-    };
-    await api.insertGameHistory(gameDetails);
+    const gateInfo = kvGatesData[outcome.gate - 1];
+    const isWin = outcome.result === 'win';
+    const timeSpent = kvGameState.seconds - kvGameState.timeLeft;
 
-    await updateKVProgress(isWin);
+    await Promise.all([
+        api.insertGameHistory({
+            player_id: state.currentUser.id,
+            game_type: 'KV Game',
+            level_kv: gateInfo.kv,
+            result_status: isWin ? 'Win' : ((outcome.result === 'manual') ? 'Loss (Manual)' : 'Loss (Time)'),
+            time_taken: timeSpent < 0 ? 0 : timeSpent,
+            code: outcome.code,
+            date: new Date().toISOString()
+        }),
+        isWin && checkAndUnlockLibrary(gateInfo.kv)
+    ]);
 
     if (isWin) {
-        await checkAndUnlockLibrary(kvGameState.levelIndex + 1); 
-
-        const reward = WIN_REWARD_BASE + (kvGameState.levelIndex * 50);
-        const newNoubScore = (state.playerProfile.noub_score || 0) + reward;
-        await api.updatePlayerProfile(state.currentUser.id, { noub_score: newNoubScore });
-        
-        // --- NEW: Grant XP for winning the KV game ---
-        const { leveledUp, newLevel } = await api.addXp(state.currentUser.id, 25);
-        if (leveledUp) {
-            showToast(`LEVEL UP! You have reached Level ${newLevel}!`, 'success');
+        if (outcome.leveled_up) {
+            showToast(t('common.levelUp', { level: state.playerProfile.level }), 'success');
         }
-        // --- END NEW ---
-
-        showToast(`*Congratulations!* You cracked KV${gateInfo.kv}! +${reward} 🪙 & +25 XP!`, 'success');
+        showToast(t('kv.won', { gate: gateInfo.kv, noub: outcome.reward.noub, xp: 25 }), 'success');
     } else {
-        showToast(`Expedition ended. The correct code was ${kvGameState.code}. Try again!`, 'error');
+        showToast(t('kv.lost', { code: outcome.code }), 'error');
     }
 
-    await refreshPlayerState();
     renderKVGameContent();
 }
 
-function handleSubmitGuess() {
+/**
+ * Ends the open game early (time ran out or the player gave up).
+ * @param {string} result - 'lose_time' or 'manual'.
+ */
+async function endCurrentKVGame(result) {
+    if (!kvGameState.active) return;
+    kvGameState.active = false;
+    if (kvGameState.interval) clearInterval(kvGameState.interval);
+
+    const { data, error } = await api.endKVGame(state.currentUser.id);
+    if (error) {
+        // A guess already settled the game
+        renderKVGameContent();
+        return;
+    }
+    await finishKVGame({ ...data, result });
+}
+
+async function handleSubmitGuess() {
     if (!kvGameState.active || !guessInputEl) return;
 
     const guess = guessInputEl.value;
-    const config = getLevelConfig(kvGameState.levelIndex);
 
-    if (guess.length !== config.digits || !/^\d+$/.test(guess)) {
-        showToast(`Enter exactly ${config.digits} digits.`, 'error');
+    if (guess.length !== kvGameState.digits || !/^\d+$/.test(guess)) {
+        showToast(t('errors.kvBadGuess', { count: kvGameState.digits }), 'error');
         return;
     }
 
-    kvGameState.attemptsLeft--;
-    document.getElementById('kv-attempts-display').textContent = `Attempts Left: ${kvGameState.attemptsLeft}`;
+    const { data, error } = await api.guessKVCode(state.currentUser.id, guess);
+    if (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    if (data.result !== 'miss') {
+        await finishKVGame(data);
+        return;
+    }
 
-    if (guess === kvGameState.code) {
-        endCurrentKVGame('win');
-    } else if (kvGameState.attemptsLeft <= 0) {
-        endCurrentKVGame('lose_attempts'); 
-    } else {
-        const feedback = getBullAndCowFeedback(kvGameState.code, guess);
-        
-        if (kvMessageLabel) {
-             kvMessageLabel.textContent = `Incorrect! Bulls: ${feedback.bulls}, Cows: ${feedback.cows}`;
-        }
+    kvGameState.attemptsLeft = data.attempts_left;
+    document.getElementById('kv-attempts-display').textContent = t('kv.attemptsLeft', { count: kvGameState.attemptsLeft });
 
-        showToast(`Incorrect! Bulls: ${feedback.bulls}, Cows: ${feedback.cows}`, 'info');
-        guessInputEl.value = '';
-        guessInputEl.focus();
+    if (kvMessageLabel) {
+         kvMessageLabel.textContent = t('kv.incorrect', { bulls: data.bulls, cows: data.cows });
     }
+
+    showToast(t('kv.incorrect', { bulls: data.bulls, cows: data.cows }), 'info');
+    guessInputEl.value = '';
+    guessInputEl.focus();
 }
 
 async function startNewKVGame() {
     if (!state.currentUser || kvGameState.active) return;
 
-    let { data: progress } = await api.fetchKVProgress(state.currentUser.id);
-    if (!progress) {
-        await api.updateKVProgress(state.currentUser.id, {
-            player_id: state.currentUser.id,
-            current_kv_level: 1,
-            last_game_result: null,
-            unlocked_levels_json: '[]'
-        });
-        ({ data: progress } = await api.fetchKVProgress(state.currentUser.id));
-        if (!progress) {
-            console.error("Failed to initialize KV progress for new player.");
-            showToast("Error preparing game progress.", 'error');
-            return;
-        }
-    }
-
-    kvGameState.levelIndex = (progress.current_kv_level || 1) - 1;
-
     if (kvGameState.levelIndex >= kvGatesData.length) {
-        showToast("Congratulations! You've conquered all known gates!", 'success');
+        showToast(t('errors.kvAllGatesOpen'), 'success');
         return;
     }
 
-    if ((state.playerProfile.noub_score || 0) < LEVEL_COST) {
-        showToast(`You need ${LEVEL_COST} NOUB (🪙) to start.`, 'error');
+    // kv_game_start takes the entry fee and draws the code for the next sealed gate
+    const { data: game, error } = await api.startKVGame(state.currentUser.id);
+    if (error) {
+        showToast(error.message, 'error');
         return;
     }
 
-    const newNoubScore = (state.playerProfile.noub_score || 0) - LEVEL_COST;
-    await api.updatePlayerProfile(state.currentUser.id, { noub_score: newNoubScore });
-    await refreshPlayerState();
-
-    kvGameState.active = true;
-    kvGameState.hintsRevealed = [true, true, true, false];
+    kvGameState = {
+        ...kvGameState,
+        active: true,
+        hints: game.hints,
+        lastDigit: null,
+        digits: game.digits,
+        seconds: game.seconds,
+        timeLeft: game.seconds,
+        deadline: Date.now() + game.seconds * 1000,
+        serverExpiresAt: Date.parse(game.expires_at),
+        levelIndex: game.gate - 1,
+        attemptsLeft: game.attempts
+    };
 
     const gateInfo = kvGatesData[kvGameState.levelIndex];
-    const config = getLevelConfig(kvGameState.levelIndex);
-    kvGameState.code = generateCode(config.digits);
-    kvGameState.timeLeft = config.time;
-    kvGameState.attemptsLeft = config.attempts;
 
     const kvGameIntroContent = document.getElementById('kv-game-intro-content');
     const kvGameActiveContent = document.getElementById('kv-game-controls-content');
     if (kvGameIntroContent) kvGameIntroContent.classList.add('hidden');
     if (kvGameActiveContent) kvGameActiveContent.classList.remove('hidden');
 
-    document.getElementById('kv-level-name-display').textContent = `KV${gateInfo.kv}: ${gateInfo.name}`;
-    document.getElementById('kv-attempts-display').textContent = `Attempts Left: ${kvGameState.attemptsLeft}`;
-    document.getElementById('kv-message-label').textContent = `Code: ${config.digits} digits`;
+    document.getElementById('kv-level-name-display').textContent = `KV${gateInfo.kv}: ${gateName(gateInfo)}`;
+    document.getElementById('kv-attempts-display').textContent = t('kv.attemptsLeft', { count: kvGameState.attemptsLeft });
+    document.getElementById('kv-message-label').textContent = t('kv.codeLength', { count: game.digits });
 
     if (guessInputEl) {
         guessInputEl.value = '';
-        guessInputEl.maxLength = config.digits;
-        guessInputEl.placeholder = `Enter code... (${config.digits} digits)`;
+        guessInputEl.maxLength = game.digits;
+        guessInputEl.placeholder = t('kv.guessPlaceholder', { count: game.digits });
         guessInputEl.disabled = false;
         guessInputEl.focus();
     }
@@ -425,10 +309,10 @@ async function startNewKVGame() {
     updateHintDisplay();
     trackDailyActivity('games', 1);
 
-    const hints = calculateCodeHints(kvGameState.code);
-    showToast(`Hint 1 (Sum): ${hints.sum}`, 'info');
-    setTimeout(() => { showToast(`Hint 2 (Product): ${hints.product}`, 'info'); }, 500);
-    setTimeout(() => { showToast(`Hint 3 (Even/Odd): ${hints.odds} odd / ${hints.evens} even`, 'info'); }, 1000);
+    const hints = game.hints;
+    showToast(`${t('kv.hintSumLabel')} ${hints.sum}`, 'info');
+    setTimeout(() => { showToast(`${t('kv.hintProductLabel')} ${hints.product}`, 'info'); }, 500);
+    setTimeout(() => { showToast(`${t('kv.hintParityLabel')} ${t('kv.hintParity', { odds: hints.odds, evens: hints.evens })}`, 'info'); }, 1000);
 }
 
 // --- MAIN SCREEN RENDER & UI SETUP ---
@@ -443,28 +327,28 @@ function renderKVGameContent() {
     hintDisplayDiv = document.getElementById('kv-hints-list');
     kvGameControlsEl = document.getElementById('kv-game-controls-content');
     kvMessageLabel = document.getElementById('kv-message-label');
-        // التأكد من وجود الحاويات
+    // The intro container holds the start button
     const introContainer = document.getElementById('kv-game-intro-content');
     
-    // 1. إضافة زر الهيستوري في شاشة البداية (Intro)
+    // 1. History button on the intro screen
     if (introContainer) {
-        // تنظيف أي أزرار قديمة مكررة (Best Practice)
+        // Remove the button left by an earlier render
         const oldHistoryBtn = document.getElementById('kv-history-btn');
         if (oldHistoryBtn) oldHistoryBtn.remove();
 
-        // إنشاء الزر الجديد
+        // Create the button
         const historyBtn = document.createElement('button');
         historyBtn.id = 'kv-history-btn';
         historyBtn.className = 'action-button small';
         historyBtn.style.cssText = "margin-top: 10px; background-color: #444; border: 1px solid #666;";
-        historyBtn.textContent = "📜 Review Expedition Logs"; // أو "سجل البعثات"
+        historyBtn.textContent = t('kv.expeditionLogs');
         
-        // ربط الزر
+        // Wire it up
         historyBtn.onclick = () => {
-            navigateTo('history-screen'); // يذهب لشاشة السجل
+            navigateTo('history-screen'); // Opens the expedition history
         };
 
-        // إضافته تحت زر "Start"
+        // Place it under the "Start" button
         if (newGameBtn && newGameBtn.parentNode === introContainer) {
             introContainer.insertBefore(historyBtn, newGameBtn.nextSibling);
         } else {
@@ -492,35 +376,23 @@ async function updateKVProgressInfo() {
     const kvGameIntroContent = document.getElementById('kv-game-intro-content');
     const kvGameActiveContent = document.getElementById('kv-game-controls-content'); 
 
-    let { data: progress } = await api.fetchKVProgress(state.currentUser.id);
-    if (!progress) {
-        await api.updateKVProgress(state.currentUser.id, {
-            player_id: state.currentUser.id,
-            current_kv_level: 1,
-            last_game_result: null,
-            unlocked_levels_json: '[]'
-        });
-        ({ data: progress } = await api.fetchKVProgress(state.currentUser.id));
-        if (!progress) {
-            console.error("Failed to initialize KV progress for UI info.");
-            return;
-        }
-    }
+    // The row appears with the first game (kv_game_start)
+    const { data: progress } = await api.fetchKVProgress(state.currentUser.id);
 
-    kvGameState.levelIndex = (progress.current_kv_level || 1) - 1;
+    kvGameState.levelIndex = (progress?.current_kv_level || 1) - 1;
     const nextGate = kvGatesData[kvGameState.levelIndex];
 
     if (nextGate) {
         if(kvGameIntroContent) kvGameIntroContent.classList.remove('hidden');
         if(kvGameActiveContent) kvGameActiveContent.classList.add('hidden');
 
-        startBtn.textContent = `Start KV Gate ${nextGate.kv}`;
+        startBtn.textContent = t('kv.startGate', { gate: nextGate.kv });
         startBtn.disabled = false;
-        if (levelNameEl) levelNameEl.textContent = `KV${nextGate.kv}: ${nextGate.name}`;
+        if (levelNameEl) levelNameEl.textContent = `KV${nextGate.kv}: ${gateName(nextGate)}`;
     } else {
-        startBtn.textContent = `All Gates Conquered!`;
+        startBtn.textContent = t('kv.allConquered');
         startBtn.disabled = true;
-        if (levelNameEl) levelNameEl.textContent = `Valley of the Kings - Fully Explored!`;
+        if (levelNameEl) levelNameEl.textContent = t('kv.fullyExplored');
     }
 }
 
@@ -8,7 +8,8 @@
 import { state } from '../state.js';
 import * as api from '../api.js';
 import { showToast, openModal, navigateTo } from '../ui.js';
-import { supabaseClient } from '../api.js';
+import { html, render, registerActions } from '../html.js';
+import { t } from '../i18n.js';
 
 const libraryContainer = document.getElementById('library-screen');
 
@@ -17,25 +18,26 @@ const MASTER_LIBRARY_DATA = {};
 
 // Helper function to generate 62 KV entries
 function generateKVEntries() {
+    // Royal names stay as written; catalog keys mark the rest, null an unattributed tomb
     const kvData = [
-        "KV1: Ramses VII", "KV2: Ramses IV", "KV3: Sons of Ramses II", "KV4: Ramses XI", "KV5: Sons of Ramses II", "KV6: Ramses IX",
-        "KV7: Ramses I", "KV8: Merenptah", "KV9: Ramses V & VI", "KV10: Amenmesses", "KV11: Ramses III", "KV12: Unknown",
-        "KV13: Bay", "KV14: Tausert & Setnakht", "KV15: Seti II", "KV16: Ramses", "KV17: Seti I", "KV18: Ramses X",
-        "KV19: Montuherkhepshef", "KV20: Thutmose I & Hatshepsut", "KV21: Unknown", "KV22: Amenhotep III", "KV23: Ay", "KV24: Unknown",
-        "KV25: Unknown", "KV26: Unknown", "KV27: Unknown", "KV28: Unknown", "KV29: Unknown", "KV30: Unknown", "KV31: Unknown", "KV32: Tia'a",
-        "KV33: Unknown", "KV34: Thutmose III", "KV35: Amenhotep II", "KV36: Maiherpri", "KV37: Unknown", "KV38: Thutmose I", "KV39: Unknown", "KV40: Unknown",
-        "KV41: Unknown", "KV42: Hatshepsut-Meryet-Ra", "KV43: Thutmose IV", "KV44: Unknown", "KV45: Userhet", "KV46: Yuya & Thuya", "KV47: Siptah",
-        "KV48: Amenemope", "KV49: Unknown", "KV50: Unknown", "KV51: Unknown", "KV52: Unknown", "KV53: Unknown", "KV54: Tutankhamun cache?",
-        "KV55: Amarna Cache (Akhenaten?)", "KV56: Gold Tomb?", "KV57: Horemheb", "KV58: Unknown (Chariot Tomb?)", "KV59: Unknown", "KV60: Sitre",
-        "KV61: Unknown", "KV62: Tutankhamun"
+        "Ramses VII", "Ramses IV", { key: 'kv.gateSonsOfRamses' }, "Ramses XI", { key: 'kv.gateSonsOfRamses' }, "Ramses IX",
+        "Ramses I", "Merenptah", "Ramses V & VI", "Amenmesses", "Ramses III", null,
+        "Bay", "Tausert & Setnakht", "Seti II", "Ramses", "Seti I", "Ramses X",
+        "Montuherkhepshef", "Thutmose I & Hatshepsut", null, "Amenhotep III", "Ay", null,
+        null, null, null, null, null, null, null, "Tia'a",
+        null, "Thutmose III", "Amenhotep II", "Maiherpri", null, "Thutmose I", null, null,
+        null, "Hatshepsut-Meryet-Ra", "Thutmose IV", null, "Userhet", "Yuya & Thuya", "Siptah",
+        "Amenemope", null, null, null, null, null, { key: 'kv.gateTutankhamunCache' },
+        { key: 'kv.gateAmarnaCache' }, { key: 'kv.gateGoldTomb' }, "Horemheb", { key: 'kv.gateChariotTomb' }, null, "Sitre",
+        null, "Tutankhamun"
     ];
     
     kvData.forEach((name, index) => {
         const id = `kv${index + 1}`;
         MASTER_LIBRARY_DATA[id] = { 
             id: id, 
-            title: name, 
-            content: `Detailed information about the ${name} tomb and its significance.`, 
+            name: typeof name === 'string' ? name : null,
+            nameKey: typeof name === 'string' ? null : (name?.key || 'kv.gateUnknown'),
             unlockCondition: { type: 'kv_completion', level: index + 1 } 
         };
     });
@@ -44,24 +46,24 @@ function generateKVEntries() {
 // Helper function to generate 10 Ennead entries (purchase unlocks)
 function generateEnneadEntries() {
     const enneadGods = [
-        { key: 'god_ra', name: 'Ra (The Sun)', desc: 'The Supreme God, creator of the world.' },
-        { key: 'god_shu', name: 'Shu (The Air)', desc: 'God of air and separation.' },
-        { key: 'god_tefnut', name: 'Tefnut (The Moisture)', desc: 'Goddess of moisture and cosmic order.' },
-        { key: 'god_geb', name: 'Geb (The Earth)', desc: 'God of the Earth and vegetation.' },
-        { key: 'god_nut', name: 'Nut (The Sky)', desc: 'Goddess of the Sky, swallowing the sun each evening.' },
-        { key: 'god_osiris', name: 'Osiris (The Underworld)', desc: 'God of the afterlife, the dead, and the resurrection.' },
-        { key: 'god_isis', name: 'Isis (Magic)', desc: 'Goddess of magic, motherhood, and healing.' },
-        { key: 'god_set', name: 'Set (Chaos)', desc: 'God of chaos, storms, and the desert.' },
-        { key: 'god_nephthys', name: 'Nephthys (Mourning)', desc: 'Goddess of the air, the night, and mourning.' },
-        { key: 'god_horus', name: 'Horus (The King)', desc: 'God of kingship, the sky, and protection.' }
+        { key: 'god_ra', name: 'library.godRa', desc: 'library.godRaDescription' },
+        { key: 'god_shu', name: 'library.godShu', desc: 'library.godShuDescription' },
+        { key: 'god_tefnut', name: 'library.godTefnut', desc: 'library.godTefnutDescription' },
+        { key: 'god_geb', name: 'library.godGeb', desc: 'library.godGebDescription' },
+        { key: 'god_nut', name: 'library.godNut', desc: 'library.godNutDescription' },
+        { key: 'god_osiris', name: 'library.godOsiris', desc: 'library.godOsirisDescription' },
+        { key: 'god_isis', name: 'library.godIsis', desc: 'library.godIsisDescription' },
+        { key: 'god_set', name: 'library.godSet', desc: 'library.godSetDescription' },
+        { key: 'god_nephthys', name: 'library.godNephthys', desc: 'library.godNephthysDescription' },
+        { key: 'god_horus', name: 'library.godHorus', desc: 'library.godHorusDescription' }
     ];
     
     let previousKey = null;
     enneadGods.forEach((god, index) => {
         MASTER_LIBRARY_DATA[god.key] = {
             id: god.key,
-            title: `The Great Ennead: ${god.name}`,
-            content: god.desc,
+            nameKey: god.name,
+            descKey: god.desc,
             unlockCondition: { type: 'item_purchase', previous: previousKey }
         };
         previousKey = god.key;
@@ -72,6 +74,21 @@ function generateEnneadEntries() {
 generateKVEntries();
 generateEnneadEntries();
 
+// Entry texts are resolved when shown so they follow the current language
+function entryName(entry) {
+    return entry.nameKey ? t(entry.nameKey) : entry.name;
+}
+
+function entryTitle(entry) {
+    if (entry.unlockCondition.type === 'kv_completion') return `KV${entry.unlockCondition.level}: ${entryName(entry)}`;
+    return t('library.enneadTitle', { name: entryName(entry) });
+}
+
+function entryContent(entry) {
+    if (entry.unlockCondition.type === 'kv_completion') return t('library.kvContent', { name: entryTitle(entry) });
+    return t(entry.descKey);
+}
+
 
 /**
  * Checks KV completion and updates library.
@@ -92,17 +109,14 @@ async function checkAndUnlockLibrary(kvLevelCompleted) {
     // Only unlock the completed KV gate
     if (entry && entry.unlockCondition.type === 'kv_completion' && !unlockedKeys.has(kvEntryKey)) {
         unlockPromises.push(
-            supabaseClient.from('player_library').insert({
-                player_id: state.currentUser.id,
-                entry_key: kvEntryKey
-            })
+            api.unlockLibraryEntry(state.currentUser.id, kvEntryKey)
         );
         newUnlockCount++;
     }
 
     if (newUnlockCount > 0) {
         await Promise.all(unlockPromises);
-        showToast(`New knowledge unearthed! ${newUnlockCount} Encyclopedia entries unlocked.`, 'success');
+        showToast(t('library.unlocked', { count: newUnlockCount }), 'success');
     }
 }
 export { checkAndUnlockLibrary };
@@ -118,7 +132,7 @@ export async function renderLibrary() {
         return;
     }
 
-    libraryContainer.innerHTML = '<h2>Tomb Encyclopedia</h2><div id="library-list-container">Loading entries...</div>';
+    render(libraryContainer, html`<h2>${t('library.title')}</h2><div id="library-list-container">${t('library.loading')}</div>`);
     
     const listContainer = document.getElementById('library-list-container');
     
@@ -128,7 +142,7 @@ export async function renderLibrary() {
     ]);
     
     if (error) {
-        listContainer.innerHTML = '<p class="error-message">Error loading Encyclopedia data.</p>';
+        render(listContainer, html`<p class="error-message">${t('library.loadFailed')}</p>`);
         return;
     }
     
@@ -156,21 +170,23 @@ export async function renderLibrary() {
         return a.localeCompare(b); 
     });
 
-    const libraryListHTML = sortedEntryKeys.map(key => {
+    const libraryItems = sortedEntryKeys.map(key => {
         const entry = MASTER_LIBRARY_DATA[key];
         let isUnlocked = unlockedKeys.has(entry.id);
-        let unlockText = 'Unlock condition unknown.';
+        const title = entryTitle(entry);
+        const content = entryContent(entry);
+        let unlockText = t('library.unlockUnknown');
 
         // Check unlock status for display
         if (entry.unlockCondition.type === 'kv_completion') {
             if (highestKVCompleted >= entry.unlockCondition.level) isUnlocked = true;
-            unlockText = `Requires completing KV Gate ${entry.unlockCondition.level}. (Progress: KV${highestKVCompleted})`;
+            unlockText = t('library.requiresGate', { gate: entry.unlockCondition.level, progress: highestKVCompleted });
         } else if (entry.unlockCondition.type === 'item_purchase') {
             const isSequentialLocked = entry.unlockCondition.previous && !unlockedKeys.has(entry.unlockCondition.previous);
             if (!isUnlocked && isSequentialLocked) {
-                unlockText = `Requires unlocking the previous Ennead entry first.`;
+                unlockText = t('library.requiresPrevious');
             } else if (!isUnlocked) {
-                 unlockText = `Unlockable by purchasing the '${entry.title}' entry from the Shop.`;
+                 unlockText = t('library.requiresPurchase', { title });
             }
         }
         
@@ -178,23 +194,23 @@ export async function renderLibrary() {
         if (unlockedKeys.has(entry.id)) isUnlocked = true;
 
 
-        return `
-            <li class="library-entry ${isUnlocked ? '' : 'locked'}" onclick="${isUnlocked ? `window.openLibraryDetail('${entry.id}', '${entry.title}')` : `showToast('${unlockText.replace(/'/g, "\\'")}', 'info')`}" style="border-left: 5px solid ${isUnlocked ? 'var(--primary-accent)' : 'var(--text-secondary)'}; margin-bottom: 10px; padding: 10px; background: var(--surface-dark); border-radius: 8px; cursor: pointer;">
-                <h4 style="color: ${isUnlocked ? 'var(--text-primary)' : 'var(--text-secondary)'}; margin-top: 0; margin-bottom: 5px;">${entry.title}</h4>
+        return html`
+            <li class="library-entry ${isUnlocked ? '' : 'locked'}" ${isUnlocked ? html`data-action="library.open" data-entry-id="${entry.id}"` : html`data-action="library.locked" data-hint="${unlockText}"`} style="border-left: 5px solid ${isUnlocked ? 'var(--primary-accent)' : 'var(--text-secondary)'}; margin-bottom: 10px; padding: 10px; background: var(--surface-dark); border-radius: 8px; cursor: pointer;">
+                <h4 style="color: ${isUnlocked ? 'var(--text-primary)' : 'var(--text-secondary)'}; margin-top: 0; margin-bottom: 5px;">${title}</h4>
                 <div class="entry-content" style="font-size: 0.9em; color: ${isUnlocked ? 'var(--text-secondary)' : '#606c6d'};">
-                    ${isUnlocked ? (entry.content.length > 50 ? entry.content.substring(0, 50) + '...' : entry.content) : `[LOCKED] - ${unlockText}`}
+                    ${isUnlocked ? (content.length > 50 ? content.substring(0, 50) + '...' : content) : `${t('library.lockedTag')} - ${unlockText}`}
                 </div>
             </li>
         `;
-    }).join('');
+    });
 
-    listContainer.innerHTML = `<ul style="list-style: none; padding: 0;">${libraryListHTML}</ul>`;
+    render(listContainer, html`<ul style="list-style: none; padding: 0;">${libraryItems}</ul>`);
 }
 
 /**
- * NEW: Global function to open a detail modal for a library entry.
+ * Opens the detail modal of an unlocked library entry.
  */
-window.openLibraryDetail = function(entryId, entryTitle) {
+function openLibraryDetail(entryId) {
     const entry = MASTER_LIBRARY_DATA[entryId];
     if (!entry) return;
     
@@ -204,28 +220,33 @@ window.openLibraryDetail = function(entryId, entryTitle) {
         modal = document.createElement('div');
         modal.id = 'library-detail-modal';
         modal.className = 'modal-overlay hidden';
-        modal.innerHTML = `
+        render(modal, html`
             <div id="library-detail-modal-content" class="modal-content">
-                <button class="modal-close-btn" onclick="closeModal('library-detail-modal')">&times;</button>
+                <button class="modal-close-btn" data-action="modal.close" data-modal-id="library-detail-modal">&times;</button>
                 <h2></h2>
                 <p></p>
                 <div class="library-rewards"></div>
             </div>
-        `;
+        `);
         document.body.appendChild(modal);
     }
     
-    document.querySelector('#library-detail-modal-content h2').textContent = entryTitle;
-    document.querySelector('#library-detail-modal-content p').textContent = entry.content;
+    document.querySelector('#library-detail-modal-content h2').textContent = entryTitle(entry);
+    document.querySelector('#library-detail-modal-content p').textContent = entryContent(entry);
     
     // Example of potential secret reward/link display
     let rewardHTML = '';
     if (entryId === 'kv62') {
-         rewardHTML = '<p style="color:var(--success-color); font-weight:bold;">SECRET: You have earned the Pharaoh\'s Blessing! Check your Contracts for a hidden task.</p>';
+         rewardHTML = html`<p style="color:var(--success-color); font-weight:bold;">${t('library.secretKv62')}</p>`;
     } else {
-         rewardHTML = '<p style="color:var(--primary-accent);">No known secret reward for this entry yet.</p>';
+         rewardHTML = html`<p style="color:var(--primary-accent);">${t('library.noSecret')}</p>`;
     }
-    document.querySelector('.library-rewards').innerHTML = rewardHTML;
+    render(document.querySelector('.library-rewards'), rewardHTML);
     
     openModal('library-detail-modal');
 }
+
+registerActions({
+    'library.open': (el) => openLibraryDetail(el.dataset.entryId),
+    'library.locked': (el) => showToast(el.dataset.hint, 'info')
+});
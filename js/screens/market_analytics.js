@@ -0,0 +1,212 @@
+/*
+ * Filename: js/screens/market_analytics.js
+ * Version: NOUB v4.8.0 (Market Analytics)
+ * Description:
+ * What is a card worth? Per-card price history, volume and scarcity
+ * (openCardMarketModal) and an overview of all cards (the "Prices" tab of the
+ * Global Exchange). Data comes from the market_* RPCs, which aggregate swaps,
+ * buy-now sales, bundles and auctions server-side.
+ */
+
+import * as api from '../api.js';
+import { showToast, openModal, ensureModal } from '../ui.js';
+import { html, render, registerActions } from '../html.js';
+import { t } from '../i18n.js';
+
+const RANGE_OPTIONS = [7, 30, 90];
+const MODAL_ID = 'card-market-modal';
+
+const SOURCE_LABELS = { sale: 'market.sourceSale', auction: 'market.sourceAuction', swap: 'market.sourceSwap', bundle: 'market.sourceBundle' };
+
+let masterCardsCache = null;
+let overviewDays = 30;
+let overviewSort = 'volume';
+
+async function getMasterCards() {
+    if (!masterCardsCache) {
+        const { data } = await api.fetchAllMasterCards();
+        masterCardsCache = new Map((data || []).map(card => [card.id, card]));
+    }
+    return masterCardsCache;
+}
+
+function formatNoub(value) {
+    return value == null ? '—' : `${Math.round(Number(value)).toLocaleString()} 🪙`;
+}
+
+// ========================================================
+// --- 1. CARD DETAIL MODAL ---
+// ========================================================
+
+/**
+ * Opens the analytics view for one master card.
+ */
+export async function openCardMarketModal(cardId, days = 30) {
+    const [cards, { data: stats, error }] = await Promise.all([
+        getMasterCards(),
+        api.fetchCardMarketStats(cardId, days)
+    ]);
+    if (error || !stats) return showToast(t('market.loadFailed'), 'error');
+
+    const card = cards.get(Number(cardId)) || { name: t('auction.card'), image_url: null };
+
+    const modal = ensureModal(MODAL_ID);
+
+    const rangeButtonsHTML = RANGE_OPTIONS.map(d => html`
+        <button class="action-button small" data-action="market.openCard" data-card-id="${cardId}" data-days="${d}"
+            style="flex:1; padding:5px; font-size:0.75em; ${d === days ? '' : 'background:#333; color:#aaa;'}">${t('market.rangeDays', { count: d })}</button>
+    `);
+
+    const statTile = (label, value) => html`
+        <div style="background:#222; border-radius:8px; padding:8px; text-align:center;">
+            <div style="font-size:0.65em; color:#888; text-transform:uppercase;">${label}</div>
+            <div style="font-size:0.9em; color:#fff; font-weight:bold; margin-top:3px;">${value}</div>
+        </div>
+    `;
+
+    const recentHTML = stats.history.slice(-5).reverse().map(point => html`
+        <div style="display:flex; justify-content:space-between; font-size:0.75em; padding:4px 0; border-bottom:1px solid #333;">
+            <span style="color:#aaa;">${new Date(point.t).toLocaleDateString()} • ${SOURCE_LABELS[point.source] ? t(SOURCE_LABELS[point.source]) : point.source}</span>
+            <span style="color:var(--primary-accent);">${formatNoub(point.price)}</span>
+        </div>
+    `);
+
+    render(modal, html`
+        <div class="modal-content" style="max-height:80vh; overflow-y:auto;">
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="${MODAL_ID}">&times;</button>
+            <div style="display:flex; align-items:center; gap:12px; margin-bottom:12px;">
+                <img src="${card.image_url || 'images/default_card.png'}" style="width:50px; height:50px; border-radius:6px; object-fit:cover;">
+                <div>
+                    <h3 style="margin:0; color:var(--primary-accent);">${card.name}</h3>
+                    <div style="font-size:0.75em; color:#888;">${t('market.lastTraded', { date: stats.last_traded_at ? new Date(stats.last_traded_at).toLocaleDateString() : t('market.never') })}</div>
+                </div>
+            </div>
+
+            <div style="display:flex; gap:6px; margin-bottom:12px;">${rangeButtonsHTML}</div>
+
+            <div style="display:grid; grid-template-columns:repeat(3,1fr); gap:6px; margin-bottom:12px;">
+                ${statTile(t('market.lastPrice'), formatNoub(stats.last_price))}
+                ${statTile(t('market.avgPrice'), formatNoub(stats.avg_price))}
+                ${statTile(t('market.volume'), formatNoub(stats.volume_noub))}
+                ${statTile(t('market.trades'), stats.trade_count)}
+                ${statTile(t('market.low'), formatNoub(stats.low_price))}
+                ${statTile(t('market.high'), formatNoub(stats.high_price))}
+            </div>
+
+            <h4 style="margin:0 0 6px; font-size:0.85em; color:#ccc;">${t('market.priceRange', { count: days })}</h4>
+            ${renderPriceChart(stats.history)}
+
+            <h4 style="margin:12px 0 6px; font-size:0.85em; color:#ccc;">${t('market.scarcity')}</h4>
+            <div style="display:grid; grid-template-columns:repeat(3,1fr); gap:6px; margin-bottom:12px;">
+                ${statTile(t('market.copies'), stats.supply)}
+                ${statTile(t('market.owners'), `${stats.holders} (${stats.holder_percent}%)`)}
+                ${statTile(t('market.rarityRank'), `#${stats.scarcity_rank} / ${stats.card_count}`)}
+            </div>
+
+            ${recentHTML.length ? html`<h4 style="margin:0 0 6px; font-size:0.85em; color:#ccc;">${t('market.recentSales')}</h4>${recentHTML}` : ''}
+        </div>
+    `);
+    openModal(MODAL_ID);
+}
+
+/**
+ * Inline SVG line chart of priced trades (no chart library in the app).
+ */
+function renderPriceChart(history) {
+    if (!history || history.length === 0) {
+        return html`<p style="text-align:center; color:#666; font-size:0.8em; padding:20px 0; background:#1a1a1a; border-radius:8px;">${t('market.noSales')}</p>`;
+    }
+
+    const width = 300, height = 120, pad = 10;
+    const times = history.map(p => new Date(p.t).getTime());
+    const prices = history.map(p => Number(p.price));
+    const minT = Math.min(...times), maxT = Math.max(...times);
+    const minP = Math.min(...prices), maxP = Math.max(...prices);
+
+    const x = time => maxT === minT ? width / 2 : pad + (time - minT) / (maxT - minT) * (width - 2 * pad);
+    const y = p => maxP === minP ? height / 2 : height - pad - (p - minP) / (maxP - minP) * (height - 2 * pad);
+
+    const points = history.map((p, i) => `${x(times[i]).toFixed(1)},${y(prices[i]).toFixed(1)}`);
+    const dots = history.map((p, i) => html`<circle cx="${x(times[i]).toFixed(1)}" cy="${y(prices[i]).toFixed(1)}" r="3" fill="var(--primary-accent)"><title>${formatNoub(p.price)} • ${new Date(p.t).toLocaleString()}</title></circle>`);
+
+    return html`
+        <div style="background:#1a1a1a; border-radius:8px; padding:6px;">
+            <div style="display:flex; justify-content:space-between; font-size:0.65em; color:#888;">
+                <span>${t('market.high')} ${formatNoub(maxP)}</span><span>${t('market.low')} ${formatNoub(minP)}</span>
+            </div>
+            <svg viewBox="0 0 ${width} ${height}" style="width:100%; height:${height}px;">
+                <polyline points="${points.join(' ')}" fill="none" stroke="var(--primary-accent)" stroke-width="2" opacity="0.8"/>
+                ${dots}
+            </svg>
+            <div style="display:flex; justify-content:space-between; font-size:0.65em; color:#888;">
+                <span>${new Date(minT).toLocaleDateString()}</span><span>${new Date(maxT).toLocaleDateString()}</span>
+            </div>
+        </div>
+    `;
+}
+
+// ========================================================
+// --- 2. OVERVIEW (EXCHANGE TAB) ---
+// ========================================================
+
+/**
+ * Renders the all-cards price table into `swap-content-<tabName>`.
+ */
+export async function renderMarketOverview(tabName) {
+    const content = document.getElementById(`swap-content-${tabName}`);
+    if (!content) return;
+    render(content, html`<p style="text-align:center; padding:20px;">${t('market.loadingPrices')}</p>`);
+
+    const [cards, { data: rows, error }] = await Promise.all([
+        getMasterCards(),
+        api.fetchMarketOverview(overviewDays)
+    ]);
+    if (error) return render(content, html`<p class="error-text">${t('errors.network')}</p>`);
+
+    const sorters = {
+        volume: (a, b) => b.volume_noub - a.volume_noub || b.trade_count - a.trade_count,
+        trades: (a, b) => b.trade_count - a.trade_count,
+        scarce: (a, b) => a.supply - b.supply
+    };
+    const sorted = (rows || []).filter(r => cards.has(r.card_id) && r.card_id !== 9999).sort(sorters[overviewSort]);
+
+    const controlsHTML = html`
+        <div style="display:flex; gap:6px; margin-bottom:6px;">
+            ${RANGE_OPTIONS.map(d => html`<button class="action-button small" data-action="market.overviewDays" data-days="${d}" data-tab="${tabName}" style="flex:1; padding:5px; font-size:0.75em; ${d === overviewDays ? '' : 'background:#333; color:#aaa;'}">${t('market.rangeDays', { count: d })}</button>`)}
+        </div>
+        <div style="display:flex; gap:6px; margin-bottom:12px;">
+            ${[['volume', 'market.volume'], ['trades', 'market.trades'], ['scarce', 'market.scarcest']].map(([key, label]) => html`<button class="action-button small" data-action="market.overviewSort" data-sort="${key}" data-tab="${tabName}" style="flex:1; padding:5px; font-size:0.75em; ${key === overviewSort ? '' : 'background:#333; color:#aaa;'}">${t(label)}</button>`)}
+        </div>
+    `;
+
+    const rowsHTML = sorted.map(row => {
+        const card = cards.get(row.card_id);
+        return html`
+            <div data-action="market.openCard" data-card-id="${row.card_id}" style="display:flex; align-items:center; gap:10px; background:#1a1a1a; border:1px solid #333; border-radius:8px; padding:8px; margin-bottom:6px; cursor:pointer;">
+                <img src="${card.image_url || 'images/default_card.png'}" style="width:36px; height:36px; border-radius:4px; object-fit:cover;">
+                <div style="flex:1; min-width:0;">
+                    <div style="font-size:0.85em; color:#fff; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${card.name}</div>
+                    <div style="font-size:0.7em; color:#888;">${t('market.rowSummary', { trades: row.trade_count, copies: row.supply, owners: row.holders })}</div>
+                </div>
+                <div style="text-align:right;">
+                    <div style="font-size:0.8em; color:var(--primary-accent); font-weight:bold;">${formatNoub(row.last_price)}</div>
+                    <div style="font-size:0.65em; color:#666;">${t('market.volumeShort', { amount: formatNoub(row.volume_noub) })}</div>
+                </div>
+            </div>
+        `;
+    });
+
+    render(content, html`${controlsHTML}${rowsHTML.length ? rowsHTML : html`<p style="text-align:center; color:#666; padding:20px;">${t('market.noData')}</p>`}`);
+}
+
+function setMarketOverview(field, value, tabName) {
+    if (field === 'days') overviewDays = value;
+    else overviewSort = value;
+    renderMarketOverview(tabName);
+}
+
+registerActions({
+    'market.openCard': (el) => openCardMarketModal(Number(el.dataset.cardId), Number(el.dataset.days) || undefined),
+    'market.overviewDays': (el) => setMarketOverview('days', Number(el.dataset.days), el.dataset.tab),
+    'market.overviewSort': (el) => setMarketOverview('sort', el.dataset.sort, el.dataset.tab)
+});
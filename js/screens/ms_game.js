@@ -9,8 +9,11 @@
 
 import { state } from '../state.js';
 import * as api from '../api.js';
-import { showToast, playSound, openModal } from '../ui.js'; // Removed triggerHaptic to match original requests if preferred, or keep if standard.
+import { showToast, playSound, openModal, ensureModal } from '../ui.js'; // Removed triggerHaptic to match original requests if preferred, or keep if standard.
 import { refreshPlayerState } from '../auth.js';
+import { handleError } from '../errors.js';
+import { html, render } from '../html.js';
+import { t } from '../i18n.js';
 
 const msGameContainer = document.getElementById('ms-game-screen');
 const ONE_SECOND = 1000;
@@ -19,7 +22,7 @@ const ONE_SECOND = 1000;
 // 1. CONFIGURATION
 // =============================================================================
 
-// --- Vault Config ---
+// --- Vault Config (display only: vault_claim / vault_upgrade use reward_config, sql/016) ---
 const IDLE_GENERATOR_CONFIG = {
     BASE_RATE_PER_MINUTE: 0.25, 
     BASE_CAPACITY_HOURS: 8,     
@@ -29,20 +32,11 @@ const IDLE_GENERATOR_CONFIG = {
     UPGRADE_COST_MULTIPLIER: 1.5,
 };
 
-// --- Wheel Config (Original Emojis) ---
+// --- Wheel Config (Original Emojis by slot_rewards id; the prizes are the
+// slot_rewards rows the server draws from) ---
 const SPIN_COST = 1; 
-const WHEEL_PRIZES = [
-    { id: 1, type: 'noub', value: 100, label: 'Small NOUB Find', icon: '🐍' }, 
-    { id: 2, type: 'noub', value: 300, label: '300 NOUB', icon: '🏺' }, 
-    { id: 3, type: 'spin_ticket', value: 2, label: '2 Tickets', icon: '📜' }, 
-    { id: 4, type: 'noub', value: 50, label: 'Minor NOUB Find', icon: '𓋹' }, 
-    { id: 5, type: 'prestige', value: 3, label: '3 Prestige', icon: '🐞' }, 
-    { id: 6, type: 'noub', value: 500, label: '500 NOUB', icon: '🪙' }, 
-    { id: 7, type: 'ankh_premium', value: 5, label: '5 Ankh', icon: '☥' }, 
-    { id: 8, type: 'card_pack', value: 1, label: '1x Papyrus Pack', icon: '🏛️' }, 
-    { id: 9, type: 'noub', value: 750, label: 'Major NOUB Find', icon: '👑' }, 
-    { id: 10, type: 'jackpot', value: 50, label: '50 Prestige JACKPOT!', icon: '🌟' } 
-];
+const PRIZE_ICONS = { 1: '🐍', 2: '🏺', 3: '📜', 4: '𓋹', 5: '🐞', 6: '🪙', 7: '☥', 8: '🏛️', 9: '👑', 10: '🌟' };
+let wheelPrizes = [];
 
 // State
 let idleGeneratorInterval = null;
@@ -78,11 +72,6 @@ function calculateIdleDrop(level) {
     };
 }
 
-function getSimpleRandomPrize() {
-    const rollResult = Math.floor(Math.random() * 10) + 1;
-    return WHEEL_PRIZES.find(p => p.id === rollResult);
-}
-
 // =============================================================================
 // 3. TAB 1 LOGIC: ROYAL VAULT
 // =============================================================================
@@ -96,34 +85,30 @@ async function handleClaimIdleDrop() {
     const timeToCount = Math.min(elapsed, stats.capacityMs);
     const amount = Math.floor(timeToCount * stats.ratePerMs);
 
-    if (amount < 1) return showToast("Vault is not ready.", 'info');
+    if (amount < 1) return showToast(t('rewards.vaultNotReady'), 'info');
 
-    await api.updatePlayerProfile(state.currentUser.id, {
-        noub_score: (profile.noub_score || 0) + amount,
-        last_claim_time: new Date().toISOString()
-    });
+    // The server counts the vault again and resets its timer
+    const { data, error } = await api.claimVault(state.currentUser.id);
+    if (error) return handleError(error, 'vault claim');
+    const collected = data.reward.noub;
 
-    await api.logActivity(state.currentUser.id, 'VAULT_CLAIM', `Collected ${amount} NOUB.`);
+    await api.logActivity(state.currentUser.id, 'VAULT_CLAIM', `Collected ${collected} NOUB.`);
     
     playSound('claim_reward');
-    showToast(`Collected ${amount} 🪙`, 'success');
+    showToast(t('rewards.collected', { amount: collected }), 'success');
     
-    await api.addXp(state.currentUser.id, 1);
     await refreshPlayerState();
     renderVaultTab(); 
 }
 
 async function handleUpgradeIdleDrop(currentLevel, upgradeCost) {
-    if ((state.playerProfile.noub_score || 0) < upgradeCost) return showToast("Insufficient Gold.", 'error');
+    if ((state.playerProfile.noub_score || 0) < upgradeCost) return showToast(t('errors.notEnough.noub'), 'error');
     
-    await api.updatePlayerProfile(state.currentUser.id, {
-        noub_score: state.playerProfile.noub_score - upgradeCost,
-        idle_generator_level: currentLevel + 1
-    });
+    const { error } = await api.upgradeVault(state.currentUser.id);
+    if (error) return handleError(error, 'vault upgrade');
 
     playSound('construction'); // Using available sound logic
-    showToast(`Upgraded to Level ${currentLevel + 1}!`, 'success');
-    await api.addXp(state.currentUser.id, 50);
+    showToast(t('rewards.vaultUpgraded', { level: currentLevel + 1 }), 'success');
     await refreshPlayerState();
     renderVaultTab();
 }
@@ -144,10 +129,10 @@ function renderVaultTab() {
 
     // Using textContent update logic where possible would be better, 
     // but for tab switching we re-render HTML to ensure clean state.
-    content.innerHTML = `
+    render(content, html`
         <div class="idle-generator-card game-container" style="margin-bottom: 20px; padding: 15px;">
             <div class="generator-header" style="border-bottom: 1px solid #333; padding-bottom: 10px; margin-bottom: 10px; text-align: center;">
-                <h3 style="margin:0; color: var(--primary-accent); font-size:1.1em;">Royal Vault (Lvl ${level})</h3>
+                <h3 style="margin:0; color: var(--primary-accent); font-size:1.1em;">${t('rewards.vaultTitle', { level })}</h3>
                 <div style="font-size: 2em; margin-top: 5px;">🏺</div>
             </div>
             
@@ -156,7 +141,7 @@ function renderVaultTab() {
                     ${noubGenerated} / ${generatorState.maxNoub} 🪙
                 </div>
                 <div style="font-size: 0.7em; color: #aaa;">
-                    ${isFull ? 'STORAGE FULL' : `Fills in: ${formatTime(remainingMs)}`}
+                    ${isFull ? t('rewards.storageFull') : t('rewards.fillsIn', { time: formatTime(remainingMs) })}
                 </div>
             </div>
             
@@ -165,11 +150,11 @@ function renderVaultTab() {
             </div>
 
             <div style="display: flex; gap: 10px;">
-                <button id="claim-idle-btn" class="action-button" ${noubGenerated < 1 ? 'disabled' : ''} style="flex:2;">Claim Gold</button>
-                <button id="upgrade-idle-btn" class="action-button small" style="background:#444; border:1px solid #666; flex:1; font-size:0.8em;">Upgrade (${generatorState.upgradeCost}🪙)</button>
+                <button id="claim-idle-btn" class="action-button" ${noubGenerated < 1 ? 'disabled' : ''} style="flex:2;">${t('rewards.claimGold')}</button>
+                <button id="upgrade-idle-btn" class="action-button small" style="background:#444; border:1px solid #666; flex:1; font-size:0.8em;">${t('rewards.upgrade', { cost: generatorState.upgradeCost })}</button>
             </div>
         </div>
-    `;
+    `);
 
     document.getElementById('claim-idle-btn').onclick = handleClaimIdleDrop;
     document.getElementById('upgrade-idle-btn').onclick = () => handleUpgradeIdleDrop(level, generatorState.upgradeCost);
@@ -184,26 +169,31 @@ function renderVaultTab() {
 
 async function runWheelSpin() {
     const spins = state.playerProfile.spin_tickets || 0;
-    if (isSpinning || spins < SPIN_COST) return showToast('Need Tickets!', 'error');
+    if (isSpinning || spins < SPIN_COST) return showToast(t('rewards.needTickets'), 'error');
     
     isSpinning = true;
     const btn = document.getElementById('wheel-spin-button');
     if (btn) btn.disabled = true;
 
-    // 1. Deduct Ticket
-    await api.updatePlayerProfile(state.currentUser.id, { spin_tickets: spins - SPIN_COST });
+    // 1. Spend the ticket; the server rolls and pays the prize
+    const { data: spin, error: spinError } = await api.spinWheel(state.currentUser.id);
+    if (spinError) {
+        isSpinning = false;
+        if (btn) btn.disabled = false;
+        return showToast(spinError.message, 'error');
+    }
     
     // 2. Animation (Original HSL Flash)
     const diceEl = document.getElementById('dice-icon-display');
     const prizeDesc = document.getElementById('prize-description');
     
-    if(prizeDesc) prizeDesc.textContent = "Rolling...";
+    if(prizeDesc) prizeDesc.textContent = t('rewards.rolling');
     
     let frames = 0;
     const anim = setInterval(() => {
-        const r = WHEEL_PRIZES[Math.floor(Math.random() * WHEEL_PRIZES.length)];
+        const r = wheelPrizes[Math.floor(Math.random() * wheelPrizes.length)];
         if (diceEl) {
-            diceEl.textContent = r.icon;
+            diceEl.textContent = r?.icon || '🎲';
             // RESTORED: HSL Flash
             diceEl.style.color = `hsl(${Math.random() * 360}, 70%, 70%)`;
             diceEl.style.transform = `scale(${1 + Math.random() * 0.2})`;
@@ -211,27 +201,13 @@ async function runWheelSpin() {
         frames++;
         if (frames > 20) {
             clearInterval(anim);
-            finalizeSpin();
+            finalizeSpin(spin.prize);
         }
     }, 80);
 }
 
-async function finalizeSpin() {
-    const rollResult = Math.floor(Math.random() * 10) + 1;
-    const prize = WHEEL_PRIZES.find(p => p.id === rollResult);
-
-    let updates = {};
-    if (prize.type === 'noub') updates.noub_score = (state.playerProfile.noub_score || 0) + prize.value;
-    else if (prize.type === 'prestige') updates.prestige = (state.playerProfile.prestige || 0) + prize.value;
-    else if (prize.type === 'ankh_premium') updates.ankh_premium = (state.playerProfile.ankh_premium || 0) + prize.value;
-    else if (prize.type === 'spin_ticket') updates.spin_tickets = (state.playerProfile.spin_tickets || 0) + prize.value;
-    else if (prize.type === 'card_pack') {
-        const { data } = await api.fetchAllMasterCards();
-        if (data) await api.addCardToPlayerCollection(state.currentUser.id, data[0].id); 
-    }
-    if (prize.type === 'jackpot') updates.prestige = (state.playerProfile.prestige || 0) + prize.value;
-
-    if (Object.keys(updates).length > 0) await api.updatePlayerProfile(state.currentUser.id, updates);
+async function finalizeSpin(rolled) {
+    const prize = { ...rolled, icon: PRIZE_ICONS[rolled.id] || '🎲' };
     
     // RESTORED: Activity Log
     await api.logActivity(state.currentUser.id, 'WHEEL_ROLL', `Rolled and won ${prize.label}.`);
@@ -244,10 +220,10 @@ async function finalizeSpin() {
         diceEl.style.color = 'var(--primary-accent)'; // Reset color
         diceEl.style.transform = 'scale(1.5)';
     }
-    if (prizeDesc) prizeDesc.textContent = `WIN: ${prize.label}`;
+    if (prizeDesc) prizeDesc.textContent = t('rewards.win', { prize: prize.label });
 
     playSound('reward_grand'); // Winning Sound
-    showToast(`Won: ${prize.label}`, 'success');
+    showToast(t('rewards.won', { prize: prize.label }), 'success');
     
     isSpinning = false;
     if (document.getElementById('wheel-spin-button')) document.getElementById('wheel-spin-button').disabled = false;
@@ -256,52 +232,52 @@ async function finalizeSpin() {
     renderWheelContent();
 }
 
-function renderWheelContent() {
+async function renderWheelContent() {
     const content = document.getElementById('ms-content-dice');
     if (!content) return;
 
+    const { data: slotRewards } = await api.fetchSlotRewards();
+    wheelPrizes = (slotRewards || [])
+        .filter(p => p.weight > 0)
+        .sort((a, b) => a.id - b.id)
+        .map(p => ({ ...p, icon: PRIZE_ICONS[p.id] || '🎲' }));
+
     const spins = state.playerProfile.spin_tickets || 0;
 
     // RESTORED: Using 'dice-result-container' ID for strict CSS adherence
-    content.innerHTML = `
+    render(content, html`
         <div class="wheel-container game-container" style="text-align: center; padding: 20px;">
-            <h3 style="color: var(--primary-accent); margin-bottom: 15px;">Fortune Dice</h3>
+            <h3 style="color: var(--primary-accent); margin-bottom: 15px;">${t('rewards.diceTitle')}</h3>
             
             <div id="dice-result-container" class="dice-result-container" style="margin: 0 auto 15px auto;">
                 <span id="dice-icon-display" class="icon-lg">🎲</span>
             </div>
             
-            <p id="prize-description" style="color: #aaa; margin-bottom: 15px; min-height: 20px;">Roll to win rewards!</p>
+            <p id="prize-description" style="color: #aaa; margin-bottom: 15px; min-height: 20px;">${t('rewards.rollPrompt')}</p>
             
-            <p id="wheel-spins-left" class="balance-info">Tickets: ${spins}</p>
+            <p id="wheel-spins-left" class="balance-info">${t('rewards.tickets', { count: spins })}</p>
 
             <button id="wheel-spin-button" class="action-button spin-button" ${isSpinning || spins < SPIN_COST ? 'disabled' : ''}>
-                ROLL DICE (${SPIN_COST} 🎟️)
+                ${t('rewards.roll', { cost: SPIN_COST })}
             </button>
             
-            <button id="prize-info-btn" class="text-button" style="margin-top: 10px;">View Prizes</button>
+            <button id="prize-info-btn" class="text-button" style="margin-top: 10px;">${t('rewards.viewPrizes')}</button>
         </div>
-    `;
+    `);
 
     document.getElementById('wheel-spin-button').onclick = runWheelSpin;
     
     document.getElementById('prize-info-btn').onclick = () => {
-        let modal = document.getElementById('wheel-prize-modal');
-        if (!modal) {
-            modal = document.createElement('div');
-            modal.id = 'wheel-prize-modal';
-            modal.className = 'modal-overlay hidden';
-            document.body.appendChild(modal);
-        }
-        modal.innerHTML = `
+        const modal = ensureModal('wheel-prize-modal');
+        render(modal, html`
             <div class="modal-content">
-                <button class="modal-close-btn" onclick="document.getElementById('wheel-prize-modal').classList.add('hidden')">&times;</button>
-                <h3>Prizes</h3>
+                <button class="modal-close-btn" data-action="modal.close" data-modal-id="wheel-prize-modal">&times;</button>
+                <h3>${t('rewards.prizes')}</h3>
                 <ul style="list-style:none; padding:0; text-align:left; max-height:300px; overflow-y:auto;">
-                    ${WHEEL_PRIZES.map(p => `<li style="padding:8px; border-bottom:1px solid #444; font-size:0.9em;">${p.icon} ${p.label}</li>`).join('')}
+                    ${wheelPrizes.map(p => html`<li style="padding:8px; border-bottom:1px solid #444; font-size:0.9em;">${p.icon} ${p.label}</li>`)}
                 </ul>
             </div>
-        `;
+        `);
         modal.classList.remove('hidden');
     };
 }
@@ -312,22 +288,13 @@ function renderWheelContent() {
 
 async function handleClaimEvent(event) {
     if (!state.currentUser) return;
-    const today = new Date();
-    const year = today.getFullYear();
 
-    const profileUpdate = {};
-    if (event.reward_type === 'NOUB') profileUpdate.noub_score = (state.playerProfile.noub_score || 0) + Number(event.reward_amount);
-    if (event.reward_type === 'PRESTIGE') profileUpdate.prestige = (state.playerProfile.prestige || 0) + Number(event.reward_amount);
-    
-    await api.updatePlayerProfile(state.currentUser.id, profileUpdate);
-    await api.supabaseClient.from('player_event_claims').insert({
-        player_id: state.currentUser.id,
-        event_id: event.id,
-        claimed_year: year
-    });
+    // The server checks the date and pays each event once a year
+    const { error: claimError } = await api.claimGameEvent(state.currentUser.id, event.id);
+    if (claimError) return handleError(claimError, 'claimGameEvent');
 
     playSound('claim_reward');
-    showToast('Reward Claimed!', 'success');
+    showToast(t('rewards.claimed'), 'success');
     
     await refreshPlayerState();
     renderCalendarContent();
@@ -336,21 +303,21 @@ async function handleClaimEvent(event) {
 async function renderCalendarContent() {
     const content = document.getElementById('ms-content-events');
     if (!content) return;
-    content.innerHTML = '<div class="loading-spinner"></div>';
+    render(content, html`<div class="loading-spinner"></div>`);
 
     const [{ data: events }, { data: claims }] = await Promise.all([
-        api.supabaseClient.from('game_events').select('*').order('event_month').order('event_day'),
-        api.supabaseClient.from('player_event_claims').select('*').eq('player_id', state.currentUser.id)
+        api.fetchGameEvents(),
+        api.fetchPlayerEventClaims(state.currentUser.id)
     ]);
 
-    if (!events) return content.innerHTML = '<p>Offline.</p>';
+    if (!events) return render(content, html`<p>${t('errors.network')}</p>`);
 
     const claimSet = new Set(claims ? claims.map(c => c.event_id + '-' + c.claimed_year) : []);
     const todayDate = new Date();
     const currentYear = todayDate.getFullYear();
     todayDate.setHours(0,0,0,0);
 
-    content.innerHTML = `<div style="display:flex; flex-direction:column; gap:8px;"></div>`;
+    render(content, html`<div style="display:flex; flex-direction:column; gap:8px;"></div>`);
     const list = content.querySelector('div');
 
     events.forEach(ev => {
@@ -366,27 +333,27 @@ async function renderCalendarContent() {
         if (isClaimed) {
             stateClass = 'claimed';
             borderColor = 'var(--success-color)';
-            actionHTML = `<span style="color:#aaa; font-size:0.7em;">✓ RECEIVED</span>`;
+            actionHTML = html`<span style="color:#aaa; font-size:0.7em;">✓ ${t('rewards.received')}</span>`;
         } else if (evDate.getTime() === todayDate.getTime()) {
             stateClass = 'claimable';
             borderColor = 'gold';
-            actionHTML = `<button id="claim-ev-${ev.id}" class="action-button small" style="padding:4px 10px;">Claim</button>`;
+            actionHTML = html`<button id="claim-ev-${ev.id}" class="action-button small" style="padding:4px 10px;">${t('rewards.claim')}</button>`;
         } else if (evDate < todayDate) {
             // RESTORED: Missed Logic
             stateClass = 'missed';
             borderColor = 'var(--danger-color)';
-            actionHTML = `<span style="color:var(--danger-color); font-size:0.7em;">✕ MISSED</span>`;
+            actionHTML = html`<span style="color:var(--danger-color); font-size:0.7em;">✕ ${t('rewards.missed')}</span>`;
         } else {
             // RESTORED: Wait Logic
             stateClass = 'locked';
             borderColor = '#555';
-            actionHTML = `<span style="color:#666; font-size:0.7em;">⏳ WAIT</span>`;
+            actionHTML = html`<span style="color:#666; font-size:0.7em;">⏳ ${t('rewards.wait')}</span>`;
         }
 
         const item = document.createElement('div');
         item.style.cssText = `background:#1a1a1a; padding:12px; border-radius:8px; border-left:4px solid ${borderColor}; opacity:${stateClass==='claimed'||stateClass==='missed'?0.6:1}; display:flex; justify-content:space-between; align-items:center;`;
 
-        item.innerHTML = `
+        render(item, html`
             <div>
                 <div style="font-weight:bold; color:${stateClass==='missed'?'#f88':'#fff'};">${ev.title}</div>
                 <div style="font-size:0.75em; color:#888;">${ev.event_day}/${ev.event_month} - ${ev.description_lore || ''}</div>
@@ -395,7 +362,7 @@ async function renderCalendarContent() {
                 <div style="font-size:0.8em; color:var(--success-color); margin-bottom:5px;">+${ev.reward_amount}</div>
                 ${actionHTML}
             </div>
-        `;
+        `);
         
         if (stateClass === 'claimable') {
             setTimeout(() => {
@@ -417,19 +384,19 @@ export function renderMsGame() {
     
     // Setup 3-Tabs Structure
     if (!document.getElementById('ms-tabs-ctrl')) {
-        msGameContainer.innerHTML = `
-            <h2 class="screen-title" style="text-align: center;">Royal Rewards</h2>
+        render(msGameContainer, html`
+            <h2 class="screen-title" style="text-align: center;">${t('rewards.title')}</h2>
             
             <div id="ms-tabs-ctrl" style="display: flex; justify-content: space-between; gap: 10px; margin-bottom: 20px; border-bottom:1px solid #333; padding-bottom:15px;">
-                <button class="ms-tab-btn active" data-target="drop" style="flex:1; padding:8px 0; background:#333; border:1px solid gold; color:gold; border-radius:10px; cursor:pointer; font-size:0.9em;">Vault</button>
-                <button class="ms-tab-btn" data-target="dice" style="flex:1; padding:8px 0; background:transparent; border:1px solid #444; color:#888; border-radius:10px; cursor:pointer; font-size:0.9em;">Dice</button>
-                <button class="ms-tab-btn" data-target="events" style="flex:1; padding:8px 0; background:transparent; border:1px solid #444; color:#888; border-radius:10px; cursor:pointer; font-size:0.9em;">Calendar</button>
+                <button class="ms-tab-btn active" data-target="drop" style="flex:1; padding:8px 0; background:#333; border:1px solid gold; color:gold; border-radius:10px; cursor:pointer; font-size:0.9em;">${t('rewards.tabVault')}</button>
+                <button class="ms-tab-btn" data-target="dice" style="flex:1; padding:8px 0; background:transparent; border:1px solid #444; color:#888; border-radius:10px; cursor:pointer; font-size:0.9em;">${t('rewards.tabDice')}</button>
+                <button class="ms-tab-btn" data-target="events" style="flex:1; padding:8px 0; background:transparent; border:1px solid #444; color:#888; border-radius:10px; cursor:pointer; font-size:0.9em;">${t('rewards.tabCalendar')}</button>
             </div>
 
             <div id="ms-content-drop" class="ms-view"></div>
             <div id="ms-content-dice" class="ms-view hidden"></div>
             <div id="ms-content-events" class="ms-view hidden"></div>
-        `;
+        `);
 
         // Bind Switcher
         msGameContainer.querySelectorAll('.ms-tab-btn').forEach(btn => {
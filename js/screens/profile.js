@@ -7,10 +7,15 @@
 import { state } from '../state.js';
 import * as api from '../api.js';
 import { logout, refreshPlayerState } from '../auth.js';
-import { playSound, showToast } from '../ui.js';
+import { playSound, showToast, shareLink } from '../ui.js';
+import { TELEGRAM_MINI_APP_URL } from '../config.js';
+import { t, formatNumber } from '../i18n.js';
+import { html, render } from '../html.js';
 
 const profileContainer = document.querySelector('#profile-screen .profile-container');
 
+const REWARD_ICONS = { noub: '🪙', prestige: '🐞', tickets: '🎟️', ankh: '☥' };
+
 export async function renderProfile() {
     if (!state.currentUser) return;
 
@@ -41,111 +46,192 @@ export async function renderProfile() {
     
     const currentSpec = playerSpecs && playerSpecs.length > 0 
         ? playerSpecs[0].specialization_paths.name 
-        : 'Novice';
+        : t('profile.novice');
 
     // --- DYNAMIC SOUL SECTION ---
     let soulHTML = '';
     
     if (hasSoulCard) {
         // CASE A: Has Soul Card
-        soulHTML = `
+        soulHTML = html`
             <div class="profile-section" style="border: 1px solid var(--primary-accent); background: linear-gradient(45deg, rgba(0,0,0,0.6), rgba(212,175,55,0.1));">
-                <h3 style="color: var(--primary-accent); margin-bottom: 5px;">🧬 Identity Matrix</h3>
+                <h3 style="color: var(--primary-accent); margin-bottom: 5px;">🧬 ${t('profile.identityMatrix')}</h3>
                 <div style="font-family: 'Courier New', monospace; color: #fff; text-align: center; letter-spacing: 2px; font-size: 1.1em; text-shadow: 0 0 5px cyan;">
                     ${profile.dna_eve_code || 'GENESIS-CODE'}
                 </div>
                 <div style="text-align:center; font-size: 0.8em; color: var(--success-color); margin-top: 5px;">
-                    ✨ Soul Mirror Active
+                    ✨ ${t('profile.soulMirrorActive')}
                 </div>
             </div>
         `;
     } else if (hasDNA) {
         // CASE B: Has Protocol but NO Card -> Show Mint Button
-        soulHTML = `
+        soulHTML = html`
             <div class="profile-section" style="text-align: center;">
-                <h3 style="color: cyan;">Protocol Analysis Complete</h3>
+                <h3 style="color: cyan;">${t('profile.analysisComplete')}</h3>
                 <p style="font-size: 0.85em; color: #ccc; margin-bottom: 15px;">
-                    Your intellectual identity has been mapped.
+                    ${t('profile.identityMapped')}
                 </p>
                 <button id="mint-soul-btn" class="action-button" style="background: linear-gradient(90deg, #000, var(--primary-accent)); border: 1px solid gold; box-shadow: 0 0 10px gold;">
-                    ⚡ Materialize Soul Card
+                    ⚡ ${t('profile.mintSoulCard')}
                 </button>
             </div>
         `;
     } else {
         // CASE C: No Protocol
-        soulHTML = `
+        soulHTML = html`
             <div class="profile-section" style="opacity: 0.6; text-align: center;">
-                <h3 style="color: #888;">Missing Protocol</h3>
-                <p style="font-size: 0.8em;">Complete the UCP process with Eve to generate your Soul DNA.</p>
+                <h3 style="color: #888;">${t('profile.missingProtocol')}</h3>
+                <p style="font-size: 0.8em;">${t('profile.missingProtocolHint')}</p>
             </div>
         `;
     }
 
     // 5. HTML Assembly
-    profileContainer.innerHTML = `
+    render(profileContainer, html`
         <div class="profile-header">
             <img src="${profile.avatar_url || 'images/user_avatar.png'}" class="avatar">
-            <h2>${profile.username || 'Architect'}</h2>
-            <p class="player-level">Level ${level}</p>
+            <h2>${profile.username || t('profile.defaultName')}</h2>
+            <p class="player-level">${t('profile.level', { level })}</p>
         </div>
 
         <div class="profile-section" style="width:100%">
-            <h3 style="color:var(--success-color)">Progression (XP)</h3>
+            <h3 style="color:var(--success-color)">${t('profile.progression')}</h3>
             <div class="xp-progress-container">
                 <div class="progress-bar" style="background:#222; height:10px; border-radius:5px; overflow:hidden;">
                     <div style="width:${xpPercent}%; height:100%; background:var(--success-color); transition: width 0.5s;"></div>
                 </div>
-                <div style="text-align:center; font-size:0.8em; margin-top:4px;">${xp} / ${nextXp}</div>
+                <div style="text-align:center; font-size:0.8em; margin-top:4px;">${formatNumber(xp)} / ${formatNumber(nextXp)}</div>
             </div>
         </div>
 
         ${soulHTML}
 
         <div class="profile-section" style="width:100%">
-            <h3 style="color:var(--accent-blue)">Statistics</h3>
+            <h3 style="color:var(--accent-blue)">${t('profile.statistics')}</h3>
             <div class="profile-stats-grid main-stats">
-                <div class="stat-box"><div class="value">${totalCards}</div><div class="label">Cards</div></div>
-                <div class="stat-box"><div class="value">${contractsDone}</div><div class="label">Contracts</div></div>
-                <div class="stat-box" style="grid-column:span 2"><div class="value" style="font-size:1em">${currentSpec}</div><div class="label">Path</div></div>
+                <div class="stat-box"><div class="value">${totalCards}</div><div class="label">${t('profile.cards')}</div></div>
+                <div class="stat-box"><div class="value">${contractsDone}</div><div class="label">${t('profile.contracts')}</div></div>
+                <div class="stat-box" style="grid-column:span 2"><div class="value" style="font-size:1em">${currentSpec}</div><div class="label">${t('profile.path')}</div></div>
             </div>
         </div>
 
         <div class="profile-section" style="width:100%">
-            <h3 style="color:var(--primary-accent)">Treasury</h3>
+            <h3 style="color:var(--primary-accent)">${t('profile.treasury')}</h3>
             <div class="profile-stats-grid currency-stats">
-                <div class="stat-box"><div class="value">${profile.ankh_premium || 0} ☥</div><div class="label">Ankh</div></div>
-                <div class="stat-box"><div class="value">${profile.prestige || 0} 🐞</div><div class="label">Prestige</div></div>
-                <div class="stat-box"><div class="value">${profile.spin_tickets || 0} 🎟️</div><div class="label">Tickets</div></div>
-                <div class="stat-box"><div class="value">${Math.floor(profile.noub_score || 0)} 🪙</div><div class="label">NOUB</div></div>
+                <div class="stat-box"><div class="value">${formatNumber(profile.ankh_premium || 0)} ☥</div><div class="label">${t('profile.ankh')}</div></div>
+                <div class="stat-box"><div class="value">${formatNumber(profile.prestige || 0)} 🐞</div><div class="label">${t('profile.prestige')}</div></div>
+                <div class="stat-box"><div class="value">${formatNumber(profile.spin_tickets || 0)} 🎟️</div><div class="label">${t('profile.tickets')}</div></div>
+                <div class="stat-box"><div class="value">${formatNumber(Math.floor(profile.noub_score || 0))} 🪙</div><div class="label">NOUB</div></div>
             </div>
         </div>
         
-        <button id="logout-btn" class="action-button danger" style="margin-top:20px; width:100%">Log Out</button>
-    `;
+        <div class="profile-section friends-section" id="friends-section" style="width:100%">
+            <h3 style="color:var(--accent-blue)">${t('profile.friends')}</h3>
+            <p style="text-align:center; font-size:0.8em; color:#888;">${t('common.loading')}</p>
+        </div>
+
+        <button id="logout-btn" class="action-button danger" style="margin-top:20px; width:100%">${t('profile.logout')}</button>
+    `);
 
     // 6. Event Binding
     document.getElementById('logout-btn').onclick = logout;
+    renderFriends();
 
     const mintBtn = document.getElementById('mint-soul-btn');
     if (mintBtn) {
         mintBtn.onclick = async () => {
             mintBtn.disabled = true;
-            mintBtn.innerText = "Calculating DNA...";
+            mintBtn.innerText = t('profile.minting');
             
-            // Calls the new JS-based API function
+            // The server computes the power and mints the card
             const { data, error } = await api.mintUserSoulCard(state.currentUser.id);
             
             if (!error && data) {
                 playSound('reward_grand');
-                showToast(`Soul Materialized! Power: ${data.power_score}`, 'success');
+                showToast(t('profile.minted', { power: data.power_score }), 'success');
                 // Slight delay to show success state
                 setTimeout(() => renderProfile(), 1500);
             } else {
-                showToast(error?.message || "Minting failed.", 'error');
+                showToast(error?.message || t('profile.mintFailed'), 'error');
                 mintBtn.disabled = false;
-                mintBtn.innerText = "Try Again";
+                mintBtn.innerText = t('common.tryAgain');
             }
         };
     }
 }
+
+
+// --- FRIENDS (referrals, sql/015_referrals.sql) ---
+
+function inviteLink() {
+    return `${TELEGRAM_MINI_APP_URL}?startapp=ref_${state.currentUser.id}`;
+}
+
+function formatReward(reward) {
+    return Object.entries(reward || {}).map(([currency, amount]) => `${formatNumber(amount)} ${REWARD_ICONS[currency] || currency}`).join(' + ');
+}
+
+async function handleShareInvite() {
+    if (await shareLink(inviteLink(), t('profile.inviteText'))) return;
+    document.getElementById('invite-link-input').select();
+    showToast(t('profile.copyInvite'), 'info');
+}
+
+/**
+ * The Friends panel: the invite link, the inviter's reward table and every
+ * referee with their progress toward the next milestone. Loaded after the
+ * rest of the profile, since it settles any rewards that became due.
+ */
+async function renderFriends() {
+    const section = document.getElementById('friends-section');
+    const { data, error } = await api.fetchReferrals();
+    if (!section?.isConnected) return;
+    if (error) {
+        section.querySelector('p').textContent = t('profile.friendsLoadFailed');
+        return;
+    }
+
+    const friends = data?.friends || [];
+    const rewards = data?.rewards || [];
+    const milestones = rewards.map(r => r.level);
+    const joinReward = rewards.find(r => r.level === 1);
+
+    const rewardsHTML = rewards.map(r => html`
+        <div class="friends-reward"><span>${r.level === 1 ? t('profile.friendJoins') : t('profile.friendReaches', { level: r.level })}</span><span>${formatReward(r.inviter_reward)}</span></div>
+    `);
+
+    const friendsHTML = friends.length === 0
+        ? html`<p style="text-align:center; font-size:0.8em; color:#888;">${t('profile.noFriends', { reward: formatReward(joinReward?.referee_reward) })}</p>`
+        : friends.map(friend => {
+            const nextMilestone = milestones.find(level => level > friend.level);
+            const progress = nextMilestone ? Math.min(100, (friend.level / nextMilestone) * 100) : 100;
+            const badges = milestones.filter(level => level > 1).map(level => {
+                const paid = (friend.paid_levels || []).includes(level);
+                return html`<span class="milestone-badge ${paid ? 'paid' : ''}" title="${t(paid ? 'profile.bonusPaid' : 'profile.notReached')}">${level}</span>`;
+            });
+            return html`
+                <div class="friend-row">
+                    <div class="friend-info">
+                        <strong>${friend.username || t('common.explorer')}</strong>
+                        <span>${t('profile.friendLevel', { level: friend.level })}${friend.is_guest ? ` · ${t('profile.friendGuest')}` : ''}</span>
+                    </div>
+                    <div class="progress-bar" style="background:#222; height:6px; border-radius:3px; overflow:hidden;">
+                        <div style="width:${progress}%; height:100%; background:var(--accent-blue);"></div>
+                    </div>
+                    <div class="friend-milestones">${badges}</div>
+                </div>
+            `;
+        });
+
+    render(section, html`
+        <h3 style="color:var(--accent-blue)">${t('profile.friendsCount', { count: friends.length })}</h3>
+        <div class="invite-link-row">
+            <input type="text" id="invite-link-input" readonly value="${inviteLink()}">
+            <button id="share-invite-btn" class="action-button small">${t('profile.invite')}</button>
+        </div>
+        <div class="friends-rewards">${rewardsHTML}</div>
+        ${friendsHTML}
+    `);
+    document.getElementById('share-invite-btn').onclick = handleShareInvite;
+}
@@ -8,8 +8,10 @@
 
 import { state } from '../state.js';
 import * as api from '../api.js';
-import { showToast, openModal, playSound, triggerNotificationHaptic } from '../ui.js';
+import { showToast, openModal, closeModal, playSound, triggerNotificationHaptic } from '../ui.js';
 import { refreshPlayerState } from '../auth.js';
+import { html, render } from '../html.js';
+import { t } from '../i18n.js';
 
 // --- Module-level State ---
 const projectsContainer = document.getElementById('projects-container');
@@ -17,57 +19,50 @@ let projectCountdownInterval = null;
 
 // --- Helper Functions ---
 function formatTime(ms) {
-    if (ms <= 0) return "Finished";
+    if (ms <= 0) return t('projects.finished');
     const days = Math.floor(ms / (1000 * 60 * 60 * 24));
     const hours = Math.floor((ms / (1000 * 60 * 60)) % 24);
     const minutes = Math.floor((ms / 1000 / 60) % 60);
-    return `${days}d ${hours}h ${minutes}m`;
+    return t('projects.countdown', { days, hours, minutes });
 }
 
 // --- Core Logic: Project Interaction ---
 async function handleSubscribe(project) {
     const playerProfile = state.playerProfile;
-    if ((playerProfile.noub_score || 0) < project.cost_noub) return showToast(`Not enough NOUB. Required: ${project.cost_noub}`, 'error');
-    if ((playerProfile.prestige || 0) < project.cost_prestige) return showToast(`Not enough Prestige. Required: ${project.cost_prestige}`, 'error');
-    if (project.required_specialization_id && !state.specializations.has(project.required_specialization_id)) return showToast("This project requires a specialization you do not have.", 'error');
-    showToast("Subscribing to project...", 'info');
-    const { error: profileError } = await api.updatePlayerProfile(state.currentUser.id, { noub_score: playerProfile.noub_score - project.cost_noub, prestige: playerProfile.prestige - project.cost_prestige });
-    if (profileError) return showToast("Failed to deduct subscription costs.", 'error');
+    if ((playerProfile.noub_score || 0) < project.cost_noub) return showToast(t('projects.needNoub', { amount: project.cost_noub }), 'error');
+    if ((playerProfile.prestige || 0) < project.cost_prestige) return showToast(t('projects.needPrestige', { amount: project.cost_prestige }), 'error');
+    if (project.required_specialization_id && !state.specializations.has(project.required_specialization_id)) return showToast(t('errors.projectSpecializationRequired'), 'error');
+    showToast(t('projects.subscribing'), 'info');
+    // project_subscribe checks the level and specialization and takes the cost
     const { error: subscribeError } = await api.subscribeToProject(state.currentUser.id, project.id);
-    if (subscribeError) return showToast("An error occurred during subscription.", 'error');
-    showToast(`Successfully subscribed to "${project.name}"!`, 'success');
+    if (subscribeError) return showToast(subscribeError.message, 'error');
+    showToast(t('projects.subscribed', { name: project.name }), 'success');
     await refreshPlayerState();
-    window.closeModal('project-detail-modal');
+    closeModal('project-detail-modal');
     renderProjects();
 }
 
 async function handleDeliver(activeProject, itemId, amount) {
-    if (isNaN(amount) || amount <= 0) return showToast("Please enter a valid amount.", 'error');
+    if (isNaN(amount) || amount <= 0) return showToast(t('projects.enterAmount'), 'error');
     const playerItem = state.inventory.get(parseInt(itemId));
-    if (!playerItem || playerItem.qty < amount) return showToast("Not enough resources in your inventory.", 'error');
+    if (!playerItem || playerItem.qty < amount) return showToast(t('errors.projectMissingItems'), 'error');
     
     const masterProject = activeProject.master_great_projects;
     const requirement = masterProject.requirements.item_requirements.find(r => r.item_id == itemId);
     const deliveredAmount = activeProject.progress[itemId] || 0;
     const neededAmount = requirement.quantity - deliveredAmount;
 
-    if (amount > neededAmount) return showToast(`You only need to deliver ${neededAmount} more.`, 'error');
+    if (amount > neededAmount) return showToast(t('errors.projectDeliveryTooLarge', { left: neededAmount }), 'error');
 
-    showToast("Delivering resources...", 'info');
-    const updatedProgress = { ...activeProject.progress };
-    updatedProgress[itemId] = (updatedProgress[itemId] || 0) + amount;
+    showToast(t('projects.delivering'), 'info');
+    // project_deliver moves the goods from the inventory into the project
+    const { data: delivery, error: deliverError } = await api.deliverToProject(state.currentUser.id, activeProject.id, itemId, amount);
+    if (deliverError) return showToast(deliverError.message, 'error');
 
-    const [{ error: deliverError }, { error: inventoryError }] = await Promise.all([
-        api.deliverToProject(activeProject.id, updatedProgress),
-        api.updateItemQuantity(state.currentUser.id, parseInt(itemId), playerItem.qty - amount)
-    ]);
-
-    if (deliverError || inventoryError) return showToast("Failed to deliver resources.", 'error');
-
-    showToast("Resources delivered successfully!", 'success');
+    showToast(t('projects.delivered'), 'success');
     
     // Check for completion immediately after the state update
-    const wasCompleted = await checkForCompletionAndFinalize(activeProject, updatedProgress);
+    await checkForCompletionAndFinalize(activeProject, delivery.progress);
 
     // Re-render the screen to show the updated progress
     await refreshPlayerState();
@@ -92,15 +87,15 @@ async function checkForCompletionAndFinalize(projectInstance, currentProgress) {
     if (allRequirementsMet) {
         playSound('reward_grand');
         triggerNotificationHaptic('success');
-        showToast(`Project Completed: "${masterProject.name}"! Claiming final rewards...`, 'success');
+        showToast(t('projects.completedToast', { name: masterProject.name }), 'success');
         
-        const { error: completionError } = await api.completeGreatProject(projectInstance.id, masterProject.rewards);
+        // The server re-checks the deliveries and pays the project's rewards and XP
+        const { data: completion, error: completionError } = await api.completeGreatProject(state.currentUser.id, projectInstance.id);
         
         if (completionError) {
-            showToast("Error finalizing project completion!", 'error');
-        } else {
-            const { leveledUp, newLevel } = await api.addXp(state.currentUser.id, 500); 
-            if (leveledUp) showToast(`LEVEL UP! You have reached Level ${newLevel}!`, 'success');
+            showToast(completionError.message, 'error');
+        } else if (completion.leveled_up) {
+            showToast(t('common.levelUp', { level: state.playerProfile.level }), 'success');
         }
         return true;
     }
@@ -115,30 +110,30 @@ function renderActiveProjectView(container, projectInstance) {
     projectView.className = 'active-project-view';
     projectView.style.cssText = `background: var(--surface-dark); padding: 15px; border-radius: 8px; margin-bottom: 20px; border-left: 3px solid var(--primary-accent);`;
     
-    projectView.innerHTML = `
-        <h3>${masterProject.name} (Active)</h3>
-        <div class="project-timer"><h4>Time Remaining</h4><p class="project-countdown" data-start-time="${projectInstance.start_time}" data-duration-days="${masterProject.duration_days}">Calculating...</p></div>
-        <div class="project-contribution"><h4>Your Contribution</h4><div class="project-requirements-list"></div></div>`;
+    render(projectView, html`
+        <h3>${t('projects.activeName', { name: masterProject.name })}</h3>
+        <div class="project-timer"><h4>${t('projects.timeRemaining')}</h4><p class="project-countdown" data-start-time="${projectInstance.start_time}" data-duration-days="${masterProject.duration_days}">${t('projects.calculating')}</p></div>
+        <div class="project-contribution"><h4>${t('projects.yourContribution')}</h4><div class="project-requirements-list"></div></div>`);
     
     const requirementsList = projectView.querySelector('.project-requirements-list');
     (masterProject.requirements?.item_requirements || []).forEach(req => {
         const deliveredAmount = projectInstance.progress[req.item_id] || 0;
         const progressPercent = Math.min(100, (deliveredAmount / req.quantity) * 100);
-        const itemName = state.masterItems.get(req.item_id)?.name || `Item ID ${req.item_id}`;
+        const itemName = state.masterItems.get(req.item_id)?.name || t('projects.unknownItem', { id: req.item_id });
         
         const reqElement = document.createElement('div');
         reqElement.className = 'requirement-item';
-        reqElement.innerHTML = `
+        render(reqElement, html`
             <p><span>${itemName}</span><strong>${deliveredAmount} / ${req.quantity}</strong></p>
             <div class="progress-bar"><div class="progress-bar-inner" style="width: ${progressPercent}%;"></div></div>
             <div class="delivery-controls">
-                <input type="number" class="delivery-input" placeholder="Amount">
-                <button class="action-button small deliver-btn">Deliver</button>
-            </div>`;
+                <input type="number" class="delivery-input" placeholder="${t('projects.amount')}">
+                <button class="action-button small deliver-btn">${t('projects.deliver')}</button>
+            </div>`);
         if (progressPercent >= 100) {
             reqElement.querySelector('.delivery-input').disabled = true;
             reqElement.querySelector('.deliver-btn').disabled = true;
-            reqElement.querySelector('.deliver-btn').textContent = 'Fulfilled';
+            reqElement.querySelector('.deliver-btn').textContent = t('projects.fulfilled');
         }
 
         // --- DEFINITIVE FIX: Bind the event listener directly after creating the button ---
@@ -162,7 +157,7 @@ function renderCompletedProjectView(container, projectInstance) {
     const masterProject = projectInstance.master_great_projects;
     const projectView = document.createElement('div');
     projectView.className = 'completed-project-view';
-    projectView.innerHTML = `<div><h4>${masterProject.name}</h4><span>✔ Completed</span></div>`;
+    render(projectView, html`<div><h4>${masterProject.name}</h4><span>✔ ${t('projects.completed')}</span></div>`);
     container.appendChild(projectView);
 }
 
@@ -173,10 +168,10 @@ function renderAvailableProjectCard(container, project) {
     card.className = 'project-card';
     card.style.opacity = canSubscribe ? '1' : '0.6';
     
-    card.innerHTML = `
-        <div><h4>${project.name}</h4><span>Lvl ${project.min_player_level}+</span></div>
+    render(card, html`
+        <div><h4>${project.name}</h4><span>${t('projects.minLevelShort', { level: project.min_player_level })}</span></div>
         <p>${project.description}</p>
-        <button class="action-button small" ${!canSubscribe ? 'disabled' : ''}>${canSubscribe ? 'View Details' : 'Locked'}</button>`;
+        <button class="action-button small" ${!canSubscribe ? 'disabled' : ''}>${canSubscribe ? t('projects.viewDetails') : t('projects.locked')}</button>`);
 
     if (canSubscribe) card.querySelector('button').onclick = () => openProjectDetailsModal(project);
     container.appendChild(card);
@@ -187,21 +182,23 @@ function openProjectDetailsModal(project) {
     const requirements = project.requirements?.item_requirements || [];
     const rewards = project.rewards || {};
     
-    const rewardsHTML = rewards ? Object.entries(rewards).map(([key, value]) => `<li>${value} ${key.replace("_", " ").toUpperCase()}</li>`).join('') : '<li>None</li>';
-    const requirementsHTML = requirements.map(req => `<li>${req.quantity} x ${state.masterItems.get(req.item_id)?.name || `Item #${req.item_id}`}</li>`).join('') || '<li>None</li>';
+    const rewardsHTML = rewards ? Object.entries(rewards).map(([key, value]) => html`<li>${value} ${key.replace("_", " ").toUpperCase()}</li>`) : html`<li>${t('projects.none')}</li>`;
+    const requirementsHTML = requirements.length
+        ? requirements.map(req => html`<li>${req.quantity} x ${state.masterItems.get(req.item_id)?.name || t('projects.unknownItem', { id: req.item_id })}</li>`)
+        : html`<li>${t('projects.none')}</li>`;
     
-    modal.innerHTML = `
+    render(modal, html`
         <div class="modal-content">
-            <button class="modal-close-btn" onclick="window.closeModal('project-detail-modal')">&times;</button>
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="project-detail-modal">&times;</button>
             <h2>${project.name}</h2>
             <p>${project.description}</p>
-            <div><strong>Duration:</strong> ${project.duration_days} days</div>
-            <div><strong>Min. Level:</strong> ${project.min_player_level}</div>
-            <div><h4>Subscription Cost</h4><ul><li>${project.cost_noub} 🪙 NOUB</li><li>${project.cost_prestige} 🐞 Prestige</li></ul></div>
-            <div><h4>Final Rewards</h4><ul>${rewardsHTML}</ul></div>
-            <div><h4>Required Materials</h4><ul>${requirementsHTML}</ul></div>
-            <button id="subscribe-btn" class="action-button">Subscribe & Begin</button>
-        </div>`;
+            <div><strong>${t('projects.duration')}</strong> ${t('projects.days', { count: project.duration_days })}</div>
+            <div><strong>${t('projects.minLevel')}</strong> ${project.min_player_level}</div>
+            <div><h4>${t('projects.subscriptionCost')}</h4><ul><li>${project.cost_noub} 🪙 NOUB</li><li>${t('projects.prestigeCost', { amount: project.cost_prestige })}</li></ul></div>
+            <div><h4>${t('projects.finalRewards')}</h4><ul>${rewardsHTML}</ul></div>
+            <div><h4>${t('projects.requiredMaterials')}</h4><ul>${requirementsHTML}</ul></div>
+            <button id="subscribe-btn" class="action-button">${t('projects.subscribe')}</button>
+        </div>`);
     modal.querySelector('#subscribe-btn').onclick = () => handleSubscribe(project);
     openModal('project-detail-modal');
 }
@@ -222,7 +219,7 @@ function startProjectTimers() {
 
 export async function renderProjects() {
     if (!state.currentUser || !projectsContainer) return;
-    projectsContainer.innerHTML = '<p>Auditing and loading project status...</p>';
+    render(projectsContainer, html`<p>${t('projects.loading')}</p>`);
 
     if (!state.masterItems || state.masterItems.size === 0) {
         state.masterItems = new Map();
@@ -232,7 +229,7 @@ export async function renderProjects() {
 
     let { data: playerProjects, error: playerProjectsError } = await api.fetchPlayerGreatProjects(state.currentUser.id);
     if (playerProjectsError) {
-        projectsContainer.innerHTML = '<p class="error-message">Error loading project data.</p>';
+        render(projectsContainer, html`<p class="error-message">${t('projects.loadFailed')}</p>`);
         return;
     }
     
@@ -247,17 +244,17 @@ export async function renderProjects() {
     }
     
     if (correctionNeeded) {
-        showToast("Correcting completed project states...", "info");
+        showToast(t('projects.correcting'), "info");
         const { data: correctedProjects } = await api.fetchPlayerGreatProjects(state.currentUser.id);
         playerProjects = correctedProjects;
         await refreshPlayerState();
     }
 
-    projectsContainer.innerHTML = '';
+    render(projectsContainer, '');
     
     const { data: allProjects, error: allProjectsError } = await api.fetchAllGreatProjects();
     if (allProjectsError) {
-        projectsContainer.innerHTML = '<p class="error-message">Error loading master project list.</p>';
+        render(projectsContainer, html`<p class="error-message">${t('projects.listFailed')}</p>`);
         return;
     }
 
@@ -268,14 +265,14 @@ export async function renderProjects() {
 
     if (activeProjects.length > 0) {
         const title = document.createElement('h3');
-        title.textContent = "Your Active Projects";
+        title.textContent = t('projects.active');
         projectsContainer.appendChild(title);
         activeProjects.forEach(p => renderActiveProjectView(projectsContainer, p));
     }
 
     if (availableProjects.length > 0) {
         const title = document.createElement('h3');
-        title.textContent = "Available Projects";
+        title.textContent = t('projects.available');
         title.style.marginTop = '30px';
         projectsContainer.appendChild(title);
         availableProjects.forEach(p => renderAvailableProjectCard(projectsContainer, p));
@@ -283,14 +280,14 @@ export async function renderProjects() {
 
     if (completedProjects.length > 0) {
         const title = document.createElement('h3');
-        title.textContent = "Completed Projects";
+        title.textContent = t('projects.completedHeading');
         title.style.marginTop = '30px';
         projectsContainer.appendChild(title);
         completedProjects.forEach(p => renderCompletedProjectView(projectsContainer, p));
     }
 
     if (projectsContainer.innerHTML === '') {
-        projectsContainer.innerHTML = '<p>No great projects are available right now. Level up to unlock more!</p>';
+        render(projectsContainer, html`<p>${t('projects.empty')}</p>`);
     }
 
     startProjectTimers();
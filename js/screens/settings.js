@@ -4,22 +4,28 @@
  * Description: View Logic Module for the Player Settings screen. This version
  * implements functional avatar selection, username changes, and introduces
  * toggles for sound and animation effects, saving these preferences to localStorage.
+ * The language switch flips the whole interface between English and Arabic (js/i18n.js).
 */
 
 import { state } from '../state.js';
 import * as api from '../api.js';
-import { showToast, updateHeaderUI } from '../ui.js';
-import { refreshPlayerState } from '../auth.js';
+import { showToast } from '../ui.js';
+import { refreshPlayerState, telegramInitData } from '../auth.js';
+import { diagnosticsReport, handleError } from '../errors.js';
+import { DATA_BACKEND } from '../config.js';
+import { t, getLanguage, setLanguage, LANGUAGES } from '../i18n.js';
+import { html, render } from '../html.js';
 
 // --- Module-level State & Constants ---
 const settingsContainer = document.getElementById('settings-screen');
 
 // Master list of available avatars. In a larger game, this could be fetched from a database.
+// Names are the settings.avatar.<id> messages.
 const MASTER_AVATARS = [
-    { id: 'default_explorer', name: 'Default Explorer', image_url: 'images/user_avatar.png', is_unlocked: true, level_req: 0 },
-    { id: 'pharaoh_mask', name: 'Pharaoh Mask', image_url: 'images/pharaoh_mask.png', is_unlocked: false, level_req: 10 },
-    { id: 'eve_guide', name: 'Eve Guide (Premium)', image_url: 'images/eve_avatar.png', is_unlocked: false, ankh_cost: 50 },
-    { id: 'anubis_icon', name: 'Anubis Icon', image_url: 'images/anubis_icon.png', is_unlocked: false, level_req: 62 },
+    { id: 'default_explorer', image_url: 'images/user_avatar.png', is_unlocked: true, level_req: 0 },
+    { id: 'pharaoh_mask', image_url: 'images/pharaoh_mask.png', is_unlocked: false, level_req: 10 },
+    { id: 'eve_guide', image_url: 'images/eve_avatar.png', is_unlocked: false, ankh_cost: 50 },
+    { id: 'anubis_icon', image_url: 'images/anubis_icon.png', is_unlocked: false, level_req: 62 },
 ];
 
 let selectedAvatarUrl = 'images/user_avatar.png'; // Local state to track the user's selection before saving.
@@ -34,8 +40,7 @@ let selectedAvatarUrl = 'images/user_avatar.png'; // Local state to track the us
  */
 function updateToggleButton(key, button) {
     const isEnabled = localStorage.getItem(key) === 'true';
-    const settingName = key.replace('Enabled', '');
-    button.textContent = `${settingName.charAt(0).toUpperCase() + settingName.slice(1)}: ${isEnabled ? 'ON' : 'OFF'}`;
+    button.textContent = t(isEnabled ? 'settings.toggleOn' : 'settings.toggleOff', { name: t(`settings.${key}`) });
     button.style.backgroundColor = isEnabled ? 'var(--success-color)' : 'var(--danger-color)';
 }
 
@@ -48,8 +53,18 @@ function handleToggle(key, button) {
     const currentValue = localStorage.getItem(key) === 'true';
     localStorage.setItem(key, !currentValue); // Invert the boolean value
     updateToggleButton(key, button);
-    const settingName = key.replace('Enabled', '');
-    showToast(`${settingName.charAt(0).toUpperCase() + settingName.slice(1)} settings updated.`, 'info');
+    showToast(t('settings.toggleSaved', { name: t(`settings.${key}`) }), 'info');
+}
+
+/**
+ * Switches the interface language. ui.js redraws this screen in the new
+ * language once state.language changes.
+ * @param {string} code - A LANGUAGES key.
+ */
+function handleLanguageSelect(code) {
+    if (code === getLanguage()) return;
+    setLanguage(code);
+    showToast(t('settings.languageChanged'), 'success');
 }
 
 /**
@@ -61,12 +76,13 @@ function handleToggle(key, button) {
 function renderAvatarSelection(playerLevel, playerAnkhPremium, currentAvatarUrl) {
     const avatarGrid = document.getElementById('avatar-selection-grid');
     if (!avatarGrid) return;
-    avatarGrid.innerHTML = '';
+    render(avatarGrid, '');
 
     MASTER_AVATARS.forEach(avatar => {
         const isUnlocked = avatar.is_unlocked || (avatar.level_req && playerLevel >= avatar.level_req);
-        const statusText = isUnlocked ? 'UNLOCKED' : (avatar.level_req ? `LVL ${avatar.level_req} Req.` : `${avatar.ankh_cost} ☥`);
-        const cost = avatar.ankh_cost ? `${avatar.ankh_cost} Ankh` : (avatar.level_req ? `Level ${avatar.level_req}` : 'N/A');
+        const name = t(`settings.avatar.${avatar.id}`);
+        const statusText = isUnlocked ? t('settings.avatarUnlocked') : (avatar.level_req ? t('settings.avatarLevelReq', { level: avatar.level_req }) : `${avatar.ankh_cost} ☥`);
+        const cost = avatar.ankh_cost ? t('settings.avatarCostAnkh', { count: avatar.ankh_cost }) : (avatar.level_req ? t('settings.avatarCostLevel', { level: avatar.level_req }) : 'N/A');
         
         const isCurrentlySelected = currentAvatarUrl === avatar.image_url;
         const avatarElement = document.createElement('div');
@@ -74,20 +90,20 @@ function renderAvatarSelection(playerLevel, playerAnkhPremium, currentAvatarUrl)
         avatarElement.dataset.avatarId = avatar.id;
         avatarElement.dataset.imageUrl = avatar.image_url;
         avatarElement.dataset.unlocked = isUnlocked;
-        avatarElement.dataset.name = avatar.name;
+        avatarElement.dataset.name = name;
         avatarElement.dataset.cost = cost;
         
-        avatarElement.innerHTML = `
-            <img src="${avatar.image_url || 'images/user_avatar.png'}" alt="${avatar.name}" class="card-image">
-            <h4>${avatar.name}</h4>
+        render(avatarElement, html`
+            <img src="${avatar.image_url || 'images/user_avatar.png'}" alt="${name}" class="card-image">
+            <h4>${name}</h4>
             <p style="font-size: 0.7em; margin: 0; color: ${isUnlocked ? 'var(--success-color)' : 'var(--danger-color)'};">${statusText}</p>
-        `;
+        `);
         
         if (isUnlocked) {
             avatarElement.addEventListener('click', handleAvatarSelect);
         } else if (avatar.ankh_cost) {
             avatarElement.addEventListener('click', () => {
-                showToast(`Unlock ${avatar.name} for ${avatar.ankh_cost} Ankh Premium in the Shop!`, 'info');
+                showToast(t('settings.avatarUnlockHint', { name, count: avatar.ankh_cost }), 'info');
             });
         }
 
@@ -108,7 +124,7 @@ function handleAvatarSelect(event) {
     const isUnlocked = avatarItem.dataset.unlocked === 'true';
 
     if (!isUnlocked) {
-        showToast(`This avatar is locked!`, 'error');
+        showToast(t('settings.avatarLocked'), 'error');
         return;
     }
 
@@ -117,7 +133,7 @@ function handleAvatarSelect(event) {
     selectedAvatarUrl = avatarItem.dataset.imageUrl;
 
     document.getElementById('save-avatar-btn').disabled = false;
-    showToast(`Selected: ${avatarItem.dataset.name}`, 'info');
+    showToast(t('settings.avatarSelected', { name: avatarItem.dataset.name }), 'info');
 }
 
 /**
@@ -126,23 +142,22 @@ function handleAvatarSelect(event) {
 async function handleSaveUsername() {
     const newUsername = document.getElementById('username-input').value.trim();
     if (!newUsername || newUsername.length < 3) {
-        showToast("Username must be at least 3 characters.", 'error');
+        showToast(t('settings.usernameTooShort'), 'error');
         return;
     }
     if (newUsername === state.playerProfile.username) {
-        showToast("Username not changed.", 'info');
+        showToast(t('settings.usernameUnchanged'), 'info');
         return;
     }
     
     const { error } = await api.updatePlayerProfile(state.currentUser.id, { username: newUsername });
 
     if (error) {
-        showToast(`Error: Failed to update username!`, 'error');
+        showToast(t('settings.usernameFailed'), 'error');
         console.error('Update Username Error:', error);
     } else {
         await refreshPlayerState();
-        showToast(`Username updated to ${newUsername}!`, 'success');
-        updateHeaderUI(state.playerProfile);
+        showToast(t('settings.usernameSaved', { name: newUsername }), 'success');
     }
 }
 
@@ -151,7 +166,7 @@ async function handleSaveUsername() {
  */
 async function handleSaveAvatar() {
     if (selectedAvatarUrl === state.playerProfile.avatar_url) {
-        showToast("Avatar is already set to the selected image.", 'info');
+        showToast(t('settings.avatarUnchanged'), 'info');
         document.getElementById('save-avatar-btn').disabled = true;
         return;
     }
@@ -159,13 +174,74 @@ async function handleSaveAvatar() {
     const { error } = await api.updatePlayerProfile(state.currentUser.id, { avatar_url: selectedAvatarUrl });
 
     if (error) {
-        showToast(`Error: Failed to update avatar!`, 'error');
+        showToast(t('settings.avatarFailed'), 'error');
         console.error('Update Avatar Error:', error);
     } else {
         await refreshPlayerState();
-        showToast(`Avatar updated successfully!`, 'success');
+        showToast(t('settings.avatarSaved'), 'success');
         document.getElementById('save-avatar-btn').disabled = true;
-        updateHeaderUI(state.playerProfile);
+    }
+}
+
+/**
+ * Fills the Telegram section: the linked account, a link button when the
+ * game runs inside Telegram, or a hint to open it from the bot.
+ */
+async function renderTelegramLink() {
+    const container = document.getElementById('telegram-link-status');
+    if (!container) return;
+
+    const { data: identity, error } = await api.fetchTelegramIdentity(state.currentUser.id);
+    if (error) {
+        render(container, html`<p style="color: var(--text-secondary); font-size:0.8em;">${t('settings.telegramLoadFailed')}</p>`);
+        return;
+    }
+    if (identity) {
+        const name = identity.username ? `@${identity.username}` : `ID ${identity.telegram_id}`;
+        render(container, html`<p style="color: var(--success-color); font-size:0.9em;">${t('settings.telegramLinked', { name })}</p>`);
+        return;
+    }
+    if (!telegramInitData()) {
+        render(container, html`<p style="color: var(--text-secondary); font-size:0.8em;">${t('settings.telegramOpenFromBot')}</p>`);
+        return;
+    }
+    render(container, html`
+        <p style="color: var(--text-secondary); font-size:0.8em;">${t('settings.telegramLinkHint')}</p>
+        <button id="link-telegram-btn" class="action-button small">${t('settings.linkTelegram')}</button>
+    `);
+    document.getElementById('link-telegram-btn').addEventListener('click', handleLinkTelegram);
+}
+
+/**
+ * Links the Telegram user the game was opened by to the current account.
+ */
+async function handleLinkTelegram(e) {
+    e.target.disabled = true;
+    const { error } = await api.linkTelegramAccount(telegramInitData());
+    if (error) {
+        handleError(error, 'linkTelegram');
+        e.target.disabled = false;
+        return;
+    }
+    showToast(t('settings.telegramLinkedToast'), 'success');
+    await renderTelegramLink();
+}
+
+/**
+ * Copies the recent-errors report (js/errors.js) for the player to paste into
+ * a bug report. Falls back to showing it when the clipboard is blocked.
+ */
+async function handleCopyDiagnostics() {
+    const report = diagnosticsReport({ player: state.currentUser?.id, backend: DATA_BACKEND });
+    try {
+        await navigator.clipboard.writeText(report);
+        showToast(t('settings.diagnosticsCopied'), 'success');
+    } catch (err) {
+        const output = document.getElementById('diagnostics-output');
+        output.value = report;
+        output.classList.remove('hidden');
+        output.select();
+        showToast(t('settings.diagnosticsManual'), 'info');
     }
 }
 
@@ -179,12 +255,22 @@ export async function renderSettings() {
 
     const currentAvatar = state.playerProfile.avatar_url || MASTER_AVATARS[0].image_url;
 
-    settingsContainer.innerHTML = `
-        <h2>Settings & Preferences</h2>
+    render(settingsContainer, html`
+        <h2>${t('settings.title')}</h2>
         
+        <!-- Language Section: switches the interface between English and Arabic -->
+        <div class="settings-section">
+            <h3>${t('settings.language')}</h3>
+            <div class="language-switch" style="margin-bottom: 20px;">
+                ${Object.entries(LANGUAGES).map(([code, language]) => html`
+                    <button class="action-button small ${code === getLanguage() ? 'active' : ''}" data-language="${code}" lang="${code}">${language.name}</button>
+                `)}
+            </div>
+        </div>
+
         <!-- Game Settings Section for sound and animation toggles -->
         <div class="settings-section">
-            <h3>Game Settings</h3>
+            <h3>${t('settings.game')}</h3>
             <div style="display: flex; gap: 10px; margin-bottom: 20px;">
                 <button id="toggle-sound-btn" class="action-button small"></button>
                 <button id="toggle-animation-btn" class="action-button small"></button>
@@ -193,17 +279,31 @@ export async function renderSettings() {
 
         <!-- Player Profile Section for username and avatar changes -->
         <div class="settings-section">
-            <h3>Player Profile</h3>
-            <label for="username-input">Explorer Name:</label>
-            <input type="text" id="username-input" value="${state.playerProfile.username || ''}" placeholder="Enter new username" required>
-            <button id="save-username-btn" class="action-button small upgrade-button">Save Name</button>
+            <h3>${t('settings.profile')}</h3>
+            <label for="username-input">${t('settings.explorerName')}</label>
+            <input type="text" id="username-input" value="${state.playerProfile.username || ''}" placeholder="${t('settings.usernamePlaceholder')}" required>
+            <button id="save-username-btn" class="action-button small upgrade-button">${t('settings.saveName')}</button>
             
-            <h3 style="margin-top: 20px;">Avatar Selection</h3>
-            <p style="color: var(--text-secondary); font-size:0.8em;">Select your avatar and click Apply.</p>
+            <h3 style="margin-top: 20px;">${t('settings.avatarTitle')}</h3>
+            <p style="color: var(--text-secondary); font-size:0.8em;">${t('settings.avatarHint')}</p>
             <div id="avatar-selection-grid" class="card-grid" style="grid-template-columns: repeat(auto-fill, minmax(80px, 1fr));"></div>
-            <button id="save-avatar-btn" class="action-button small upgrade-button" style="margin-top: 10px;" disabled>Apply Selected Avatar</button>
+            <button id="save-avatar-btn" class="action-button small upgrade-button" style="margin-top: 10px;" disabled>${t('settings.applyAvatar')}</button>
+        </div>
+
+        <!-- Telegram Section: link the account for one-tap sign-in -->
+        <div class="settings-section">
+            <h3>Telegram</h3>
+            <div id="telegram-link-status"></div>
+        </div>
+
+        <!-- Support Section: recent errors for bug reports -->
+        <div class="settings-section">
+            <h3>${t('settings.support')}</h3>
+            <p style="color: var(--text-secondary); font-size:0.8em;">${t('settings.supportHint')}</p>
+            <button id="copy-diagnostics-btn" class="action-button small">${t('settings.copyDiagnostics')}</button>
+            <textarea id="diagnostics-output" class="hidden" readonly rows="8" style="width: 100%; margin-top: 10px; font-size: 0.7em;"></textarea>
         </div>
-    `;
+    `);
 
     // 1. Initialize and attach listeners for Game Settings buttons
     const soundBtn = document.getElementById('toggle-sound-btn');
@@ -218,10 +318,18 @@ export async function renderSettings() {
         animationBtn.onclick = () => handleToggle('animationEnabled', animationBtn);
     }
 
+    settingsContainer.querySelectorAll('[data-language]').forEach(button => {
+        button.addEventListener('click', () => handleLanguageSelect(button.dataset.language));
+    });
+
     // 2. Render the avatar selection grid
     renderAvatarSelection(state.playerProfile.level, state.playerProfile.ankh_premium, currentAvatar);
 
     // 3. Attach listeners for profile action buttons
     document.getElementById('save-username-btn')?.addEventListener('click', handleSaveUsername);
     document.getElementById('save-avatar-btn')?.addEventListener('click', handleSaveAvatar);
+    document.getElementById('copy-diagnostics-btn')?.addEventListener('click', handleCopyDiagnostics);
+
+    // 4. Telegram link status (loads after the rest of the screen)
+    renderTelegramLink();
 }
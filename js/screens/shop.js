@@ -8,42 +8,47 @@
 
 import { state } from '../state.js';
 import * as api from '../api.js';
-import { showToast, openModal } from '../ui.js';
+import { showToast, openModal, bindModalToState } from '../ui.js';
 import { refreshPlayerState } from '../auth.js';
+import { handleError } from '../errors.js';
 import { trackDailyActivity } from './contracts.js';
+import { html, render, registerActions } from '../html.js';
+import { t, formatNumber } from '../i18n.js';
 
 const shopModal = document.getElementById('shop-modal');
 
 // --- Shop Item Data ---
 
+// Display copy of card_packs (sql/016); the server charges and draws by id
 const CARD_PACKS = [
-    { id: 'papyrus', name: 'Papyrus Scroll Pack', cost: 250, reward_count: 1, desc: 'Contains 1 random card (Common guaranteed).', icon: '📜' },
-    { id: 'canopic', name: 'Canopic Jar Pack', cost: 1000, reward_count: 3, desc: 'Contains 3 cards (Rare guaranteed).', icon: '🏺' },
-    { id: 'sarcophagus', name: 'Sarcophagus Crate', cost: 5000, reward_count: 5, desc: 'Contains 5 cards (Epic guaranteed).', icon: '⚰️' }
+    { id: 'papyrus', nameKey: 'shop.packPapyrus', cost: 250, reward_count: 1, descKey: 'shop.packPapyrusDescription', icon: '📜' },
+    { id: 'canopic', nameKey: 'shop.packCanopic', cost: 1000, reward_count: 3, descKey: 'shop.packCanopicDescription', icon: '🏺' },
+    { id: 'sarcophagus', nameKey: 'shop.packSarcophagus', cost: 5000, reward_count: 5, descKey: 'shop.packSarcophagusDescription', icon: '⚰️' }
 ];
 
 const GAME_ITEMS = [
-    { key: 'hint_scroll', name: 'Hint Scroll (KV Game)', costNoub: 150, costAnkhPremium: 0, quantity: 1, desc: 'Reveals the last digit of the current KV code.', icon: '💡', type: 'consumable' },
-    { key: 'time_amulet_45s', name: 'Time Amulet (+45s)', costNoub: 250, costAnkhPremium: 0, quantity: 1, desc: 'Adds 45 seconds to the KV game timer.', icon: '⏱️', type: 'consumable' },
-    { key: 'hint_bundle', name: 'Bundle of 5 Hints', costNoub: 0, costAnkhPremium: 5, quantity: 5, desc: '5 Hint Scrolls for 5 Ankh Premium.', icon: '✨', type: 'consumable' },
-    { key: 'instant_prod', name: 'Instant Production Scroll', costNoub: 0, costAnkhPremium: 10, quantity: 1, desc: 'Instantly completes a single running factory production.', icon: '⚡', type: 'consumable' },
+    { key: 'hint_scroll', nameKey: 'shop.itemHintScroll', costNoub: 150, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemHintScrollDescription', icon: '💡', type: 'consumable' },
+    { key: 'time_amulet_45s', nameKey: 'shop.itemTimeAmulet45s', costNoub: 250, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemTimeAmulet45sDescription', icon: '⏱️', type: 'consumable' },
+    { key: 'hint_bundle', nameKey: 'shop.itemHintBundle', costNoub: 0, costAnkhPremium: 5, quantity: 5, descKey: 'shop.itemHintBundleDescription', icon: '✨', type: 'consumable' },
+    { key: 'instant_prod', nameKey: 'shop.itemInstantProd', costNoub: 0, costAnkhPremium: 10, quantity: 1, descKey: 'shop.itemInstantProdDescription', icon: '⚡', type: 'consumable' },
     // NEW: Library Unlock Items (The Great Ennead)
-    { key: 'god_ra', name: 'Scroll of Ra', costNoub: 1000, costAnkhPremium: 0, quantity: 1, desc: 'Unlocks the "Ra" entry in the Encyclopedia.', icon: '📚', type: 'library_unlock' },
-    { key: 'god_shu', name: 'Scroll of Shu', costNoub: 1000, costAnkhPremium: 0, quantity: 1, desc: 'Unlocks the "Shu" entry (Requires Ra).', icon: '📚', type: 'library_unlock' },
-    { key: 'god_tefnut', name: 'Scroll of Tefnut', costNoub: 1000, costAnkhPremium: 0, quantity: 1, desc: 'Unlocks the "Tefnut" entry.', icon: '📚', type: 'library_unlock' },
-    { key: 'god_geb', name: 'Scroll of Geb', costNoub: 1000, costAnkhPremium: 0, quantity: 1, desc: 'Unlocks the "Geb" entry.', icon: '📚', type: 'library_unlock' },
-    { key: 'god_nut', name: 'Scroll of Nut', costNoub: 1000, costAnkhPremium: 0, quantity: 1, desc: 'Unlocks the "Nut" entry.', icon: '📚', type: 'library_unlock' },
-    { key: 'god_osiris', name: 'Scroll of Osiris', costNoub: 1000, costAnkhPremium: 0, quantity: 1, desc: 'Unlocks the "Osiris" entry.', icon: '📚', type: 'library_unlock' },
-    { key: 'god_isis', name: 'Scroll of Isis', costNoub: 1000, costAnkhPremium: 0, quantity: 1, desc: 'Unlocks the "Isis" entry.', icon: '📚', type: 'library_unlock' },
-    { key: 'god_set', name: 'Scroll of Set', costNoub: 1000, costAnkhPremium: 0, quantity: 1, desc: 'Unlocks the "Set" entry.', icon: '📚', type: 'library_unlock' },
-    { key: 'god_nephthys', name: 'Scroll of Nephthys', costNoub: 1000, costAnkhPremium: 0, quantity: 1, desc: 'Unlocks the "Nephthys" entry.', icon: '📚', type: 'library_unlock' },
-    { key: 'god_horus', name: 'Scroll of Horus', costNoub: 1000, costAnkhPremium: 0, quantity: 1, desc: 'Unlocks the "Horus" entry.', icon: '📚', type: 'library_unlock' },
+    { key: 'god_ra', nameKey: 'shop.itemGodRa', costNoub: 1000, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemGodRaDescription', icon: '📚', type: 'library_unlock' },
+    { key: 'god_shu', nameKey: 'shop.itemGodShu', costNoub: 1000, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemGodShuDescription', icon: '📚', type: 'library_unlock' },
+    { key: 'god_tefnut', nameKey: 'shop.itemGodTefnut', costNoub: 1000, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemGodTefnutDescription', icon: '📚', type: 'library_unlock' },
+    { key: 'god_geb', nameKey: 'shop.itemGodGeb', costNoub: 1000, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemGodGebDescription', icon: '📚', type: 'library_unlock' },
+    { key: 'god_nut', nameKey: 'shop.itemGodNut', costNoub: 1000, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemGodNutDescription', icon: '📚', type: 'library_unlock' },
+    { key: 'god_osiris', nameKey: 'shop.itemGodOsiris', costNoub: 1000, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemGodOsirisDescription', icon: '📚', type: 'library_unlock' },
+    { key: 'god_isis', nameKey: 'shop.itemGodIsis', costNoub: 1000, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemGodIsisDescription', icon: '📚', type: 'library_unlock' },
+    { key: 'god_set', nameKey: 'shop.itemGodSet', costNoub: 1000, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemGodSetDescription', icon: '📚', type: 'library_unlock' },
+    { key: 'god_nephthys', nameKey: 'shop.itemGodNephthys', costNoub: 1000, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemGodNephthysDescription', icon: '📚', type: 'library_unlock' },
+    { key: 'god_horus', nameKey: 'shop.itemGodHorus', costNoub: 1000, costAnkhPremium: 0, quantity: 1, descKey: 'shop.itemGodHorusDescription', icon: '📚', type: 'library_unlock' },
 ];
 
+// Display copy of ton_packages (sql/016); the server prices the deposit by id
 const TON_PACKAGES = [
-    { name: 'Minor Ankh Deposit', ton_amount: 0.00015, ankh_amount: 100 },
-    { name: 'Major Ankh Deposit', ton_amount: 0.00015, ankh_amount: 500 },
-    { name: 'Pharaoh\'s Treasury', ton_amount: 0.00015, ankh_amount: 1500 }
+    { id: 1, nameKey: 'shop.tonPackage1', ton_amount: 0.00015, ankh_amount: 100 },
+    { id: 2, nameKey: 'shop.tonPackage2', ton_amount: 0.00015, ankh_amount: 500 },
+    { id: 3, nameKey: 'shop.tonPackage3', ton_amount: 0.00015, ankh_amount: 1500 }
 ];
 
 
@@ -51,32 +56,18 @@ const TON_PACKAGES = [
 
 async function handleBuyCardPack(packCost, packId) {
     if (!state.currentUser || (state.playerProfile.noub_score || 0) < packCost) {
-        showToast("Not enough NOUB (🪙)!", 'error');
+        showToast(t('errors.notEnough.noub'), 'error');
         return;
     }
 
-    const newNoubScore = (state.playerProfile.noub_score || 0) - packCost;
-    const { error: scoreError } = await api.updatePlayerProfile(state.currentUser.id, { noub_score: newNoubScore });
-
-    if (scoreError) {
-        showToast("Error updating balance.", 'error');
+    // One server call takes the NOUB and draws the cards
+    const { data, error } = await api.openCardPack(state.currentUser.id, packId);
+    if (error) {
+        showToast(error.message || t('shop.balanceFailed'), 'error');
         return;
     }
 
-    const { data: masterCards } = await api.fetchAllMasterCards();
-    if (!masterCards || masterCards.length === 0) return;
-
-    let rewardCount = CARD_PACKS.find(p => p.id === packId)?.reward_count || 1;
-    const insertPromises = [];
-
-    for (let i = 0; i < rewardCount; i++) {
-        const randomCard = masterCards[Math.floor(Math.random() * masterCards.length)];
-        insertPromises.push(api.addCardToPlayerCollection(state.currentUser.id, randomCard.id));
-    }
-    await Promise.all(insertPromises);
-
-    showToast(`Purchased ${rewardCount} card(s)! Check your collection.`, 'success');
-    await refreshPlayerState();
+    showToast(t('shop.packBought', { count: data.cards.length }), 'success');
     if (!shopModal.classList.contains('hidden')) renderCardPacks();
 }
 
@@ -95,7 +86,7 @@ async function handleBuyGameItem(item) {
          const isUnlocked = libraryData.some(entry => entry.entry_key === key);
 
          if (isUnlocked) {
-             showToast("This Encyclopedia entry is already unlocked!", 'info');
+             showToast(t('shop.alreadyUnlocked'), 'info');
              return;
          }
          
@@ -104,36 +95,34 @@ async function handleBuyGameItem(item) {
     }
 
     if (currentNoub < costNoub || currentAnkhPremium < costAnkhPremium) {
-        showToast("Missing currency!", 'error');
+        showToast(t('shop.missingCurrency'), 'error');
         return;
     }
 
     // 2. Deduct costs
-    const profileUpdate = {
-        noub_score: currentNoub - costNoub,
-        ankh_premium: currentAnkhPremium - costAnkhPremium
-    };
-    const { error: profileError } = await api.updatePlayerProfile(state.currentUser.id, profileUpdate);
+    const { error: profileError } = await api.debit(
+        state.currentUser.id,
+        { noub: costNoub, ankh: costAnkhPremium },
+        'SHOP_ITEM',
+        { type: type, id: key }
+    );
 
     if (profileError) {
-        showToast("Error deducting cost!", 'error');
+        showToast(profileError.message || t('shop.debitFailed'), 'error');
         return;
     }
 
     // 3. Handle item grant based on type
     if (type === 'library_unlock') {
          // Grant library unlock directly to player_library table
-         const { error: unlockError } = await api.supabaseClient.from('player_library').insert({
-             player_id: state.currentUser.id,
-             entry_key: key
-         });
+         const { error: unlockError } = await api.unlockLibraryEntry(state.currentUser.id, key);
          
          if (unlockError) {
-             showToast("Error granting library unlock!", 'error');
+             showToast(t('shop.unlockFailed'), 'error');
              console.error("Library Unlock Error:", unlockError);
              return;
          }
-         showToast(`Encyclopedia unlocked: ${item.name}!`, 'success');
+         showToast(t('shop.unlocked', { name: t(item.nameKey) }), 'success');
          // Redirect user to the library to see the new content
          import('../ui.js').then(({ navigateTo, closeModal }) => {
              closeModal('shop-modal');
@@ -142,8 +131,9 @@ async function handleBuyGameItem(item) {
     } else { // 'consumable' type
         const currentConsumableQty = state.consumables.get(key) || 0;
         const newConsumableQty = currentConsumableQty + quantity;
-        await api.updateConsumableQuantity(state.currentUser.id, key, newConsumableQty);
-        showToast(`Acquired ${quantity} x ${item.name}!`, 'success');
+        const { error: consumableError } = await api.updateConsumableQuantity(state.currentUser.id, key, newConsumableQty);
+        if (consumableError) return handleError(consumableError, 'updateConsumableQuantity');
+        showToast(t('shop.acquired', { count: quantity, name: t(item.nameKey) }), 'success');
     }
     
     // 4. Success and Refresh
@@ -152,46 +142,70 @@ async function handleBuyGameItem(item) {
 }
 
 
-// --- TON EXCHANGE Logic (Unchanged) ---
+// --- TON EXCHANGE Logic ---
+
+// Must match the TON_GAME_WALLET secret of the ton-deposit Edge Function
+const GAME_WALLET_ADDRESS = "UQDYpGLl1efwDOSJb_vFnbAZ5Rz5z-AmSzrbRwM5IcNN_erF";
+
+/**
+ * Asks the server to credit a paid deposit and reports the outcome.
+ * Ankh is only granted once the server has found the transfer on chain.
+ */
+async function settleTonDeposit(depositId, attempts) {
+    const { data, error } = await api.verifyTonDeposit(state.currentUser.id, depositId, attempts);
+    if (error) return handleError(error, `verifyTonDeposit (${depositId})`);
+    if (data.status !== 'credited') return false;
+
+    if (data.reward) showToast(t('shop.tonConfirmed', { amount: data.reward.ankh }), 'success');
+    await refreshPlayerState();
+    if (!shopModal.classList.contains('hidden')) renderTonExchange();
+    return true;
+}
 
-async function handleTonExchange(tonAmount, ankhAmount) {
+async function handleTonExchange(packageId) {
     if (!window.TonConnectUI || !window.TonConnectUI.connected) {
-        showToast("Please connect your TON wallet first!", 'error');
+        showToast(t('errors.tonWalletRequired'), 'error');
         return;
     }
 
-    // CRITICAL: Replace this with your actual TON wallet address!
-    const gameWalletAddress = "UQDYpGLl1efwDOSJb_vFnbAZ5Rz5z-AmSzrbRwM5IcNN_erF"; 
-
-    const amountNanos = (tonAmount * 1e9).toFixed(0); 
+    // 1. Record the purchase: the server fixes the exact amount this wallet must send
+    const { data: deposit, error } = await api.createTonDeposit(state.currentUser.id, packageId, TonConnectUI.account.address);
+    if (error) return handleError(error, 'createTonDeposit');
 
     const transaction = {
         validUntil: Math.floor(Date.now() / 1000) + 60, 
         messages: [{
-            address: gameWalletAddress,
-            amount: amountNanos,
+            address: GAME_WALLET_ADDRESS,
+            amount: String(deposit.amount_nano),
         }]
     };
 
     try {
-        showToast("Waiting for TON wallet confirmation...", 'info');
-        const result = await TonConnectUI.sendTransaction(transaction);
-        const txId = result.boc.substring(0, 10); 
-
-        // 1. Record transaction (Mocked API call)
-        await api.saveTonTransaction(state.currentUser.id, txId, tonAmount, ankhAmount);
-        
-        // 2. Grant Ankh Premium
-        const newAnkhPremium = (state.playerProfile.ankh_premium || 0) + ankhAmount;
-        await api.updatePlayerProfile(state.currentUser.id, { ankh_premium: newAnkhPremium });
-
-        showToast(`TON Transaction successful! Granted ${ankhAmount} ☥ Ankh Premium.`, 'success');
-        await refreshPlayerState();
-        if (!shopModal.classList.contains('hidden')) renderTonExchange();
-
+        showToast(t('shop.tonWaitingWallet'), 'info');
+        await TonConnectUI.sendTransaction(transaction);
     } catch (error) {
         console.error("TON Transaction Failed:", error);
-        showToast("TON transaction cancelled or failed. Check console for an invalid address or balance.", 'error');
+        showToast(t('shop.tonFailed'), 'error');
+        return;
+    }
+
+    // 2. Credit once the transfer is on chain
+    showToast(t('shop.tonSent'), 'info');
+    const credited = await settleTonDeposit(deposit.id);
+    if (credited === false) {
+        showToast(t('shop.tonPending'), 'info');
+    }
+}
+
+/**
+ * Credits purchases paid while the app was closed or confirmed after
+ * handleTonExchange stopped waiting.
+ */
+async function resumePendingTonDeposits() {
+    const { data: pending, error } = await api.fetchPendingTonDeposits(state.currentUser.id);
+    if (error) return console.error('fetchPendingTonDeposits:', error);
+    for (const deposit of pending || []) {
+        await settleTonDeposit(deposit.id, 1);
     }
 }
 
@@ -202,18 +216,18 @@ function renderCardPacks() {
     const shopItemsCardsContainer = document.getElementById('shop-items-cards-container');
     if (!shopItemsCardsContainer) return;
     
-    shopItemsCardsContainer.innerHTML = CARD_PACKS.map(pack => `
+    render(shopItemsCardsContainer, CARD_PACKS.map(pack => html`
         <div class="shop-item">
             <div class="icon">${pack.icon}</div>
             <div class="details">
-                <h4>${pack.name}</h4>
-                <p>${pack.desc}</p>
+                <h4>${t(pack.nameKey)}</h4>
+                <p>${t(pack.descKey)}</p>
             </div>
-            <button class="buy-btn" onclick="window.handleBuyCardPack(${pack.cost}, '${pack.id}')">
+            <button class="buy-btn" data-action="shop.buyPack" data-pack-id="${pack.id}" style="opacity:${state.derived.canAfford({ noub: pack.cost }) ? 1 : 0.5};">
                 ${pack.cost} 🪙
             </button>
         </div>
-    `).join('');
+    `));
 }
 
 /**
@@ -227,33 +241,35 @@ function renderGameItems() {
      api.fetchPlayerLibrary(state.currentUser.id).then(({ data: libraryData }) => {
          const unlockedKeys = new Set(libraryData.map(entry => entry.entry_key));
          
-         shopItemsGameItemsContainer.innerHTML = GAME_ITEMS.map(item => {
+         render(shopItemsGameItemsContainer, GAME_ITEMS.map(item => {
              const costDisplay = item.costNoub > 0 ? `${item.costNoub} 🪙` : `${item.costAnkhPremium} ☥`;
              const isLibraryUnlock = item.type === 'library_unlock';
              const isUnlocked = isLibraryUnlock && unlockedKeys.has(item.key);
              
              let buttonHTML;
              if (isUnlocked) {
-                 buttonHTML = `<button class="buy-btn" disabled style="background-color: var(--success-color);">Unlocked</button>`;
+                 buttonHTML = html`<button class="buy-btn" disabled style="background-color: var(--success-color);">${t('shop.unlockedButton')}</button>`;
              } else {
-                 buttonHTML = `<button class="buy-btn" 
-                     onclick='window.handleBuyGameItem(${JSON.stringify(item)})'
+                 const affordable = state.derived.canAfford({ noub: item.costNoub, ankh: item.costAnkhPremium });
+                 buttonHTML = html`<button class="buy-btn" 
+                     data-action="shop.buyItem" data-item-key="${item.key}" style="opacity:${affordable ? 1 : 0.5};"
                  >
                      ${costDisplay}
                  </button>`;
              }
 
-             return `
+             return html`
                  <div class="shop-item">
                      <div class="icon">${item.icon}</div>
                      <div class="details">
-                         <h4>${item.name}</h4>
-                         <p>${item.desc}</p>
+                         <h4>${t(item.nameKey)}</h4>
+                         <p>${t(item.descKey)}</p>
+                         ${item.type === 'consumable' && state.consumables.has(item.key) ? html`<p style="color:var(--primary-accent);">${t('shop.owned', { count: state.consumables.get(item.key) })}</p>` : ''}
                      </div>
                      ${buttonHTML}
                  </div>
              `;
-         }).join('');
+         }));
      });
 }
 
@@ -264,15 +280,15 @@ function renderTonExchange() {
      const isConnected = window.TonConnectUI && window.TonConnectUI.connected;
      
      if (!isConnected) {
-         shopItemsTonExchangeContainer.innerHTML = `
+         render(shopItemsTonExchangeContainer, html`
              <p style="text-align: center; color: var(--danger-color); margin-bottom: 20px;">
-                 You must connect your TON wallet to purchase Ankh Premium.
+                 ${t('shop.tonConnectRequired')}
              </p>
              <div id="connectButtonTonExchange" style="margin: 0 auto; width: 250px;"></div>
              <p style="margin-top: 15px; font-size: 0.9em; color: var(--text-secondary); text-align: center;">
-                 *Use the 'Connect' button above or in the header.
+                 ${t('shop.tonConnectHint')}
              </p>
-         `;
+         `);
          if (window.TonConnectUI) {
              window.TonConnectUI.uiOptions = {
                  ...window.TonConnectUI.uiOptions,
@@ -282,20 +298,20 @@ function renderTonExchange() {
          return;
      }
 
-     shopItemsTonExchangeContainer.innerHTML = TON_PACKAGES.map(pkg => `
+     render(shopItemsTonExchangeContainer, TON_PACKAGES.map((pkg, index) => html`
          <div class="shop-item">
              <div class="icon">💎</div>
              <div class="details">
-                 <h4>${pkg.name}</h4>
-                 <p>Get ${pkg.ankh_amount} ☥ Ankh Premium instantly.</p>
+                 <h4>${t(pkg.nameKey)}</h4>
+                 <p>${t('shop.tonPackageDescription', { amount: pkg.ankh_amount })}</p>
              </div>
              <button class="buy-btn" style="background-color: var(--ankh-premium-color); color: var(--background-dark);"
-                 onclick="window.handleTonExchange(${pkg.ton_amount}, ${pkg.ankh_amount})"
+                 data-action="shop.buyAnkh" data-package-index="${index}"
              >
-                 BUY ${pkg.ton_amount} TON
+                 ${t('shop.buyTon', { amount: formatNumber(pkg.ton_amount, { maximumFractionDigits: 9 }) })}
              </button>
          </div>
-     `).join('');
+     `));
 }
 
 function handleTabSwitch(tabName) {
@@ -328,10 +344,27 @@ export async function openShopModal() {
     
     trackDailyActivity('visits', 1);
     openModal('shop-modal');
+    resumePendingTonDeposits();
+
+    // Affordability and owned counts follow balances and consumables
+    bindModalToState('shop-modal', ['playerProfile', 'consumables'], () => {
+        renderCardPacks();
+        renderGameItems();
+    });
 }
 
-// CRITICAL: Attach global handlers
-window.handleBuyCardPack = handleBuyCardPack;
-window.handleBuyGameItem = handleBuyGameItem;
-window.handleTonExchange = handleTonExchange;
+registerActions({
+    'shop.buyPack': (el) => {
+        const pack = CARD_PACKS.find(p => p.id === el.dataset.packId);
+        if (pack) handleBuyCardPack(pack.cost, pack.id);
+    },
+    'shop.buyItem': (el) => {
+        const item = GAME_ITEMS.find(i => i.key === el.dataset.itemKey);
+        if (item) handleBuyGameItem(item);
+    },
+    'shop.buyAnkh': (el) => {
+        const pkg = TON_PACKAGES[Number(el.dataset.packageIndex)];
+        if (pkg) handleTonExchange(pkg.id);
+    }
+});
 
@@ -5,32 +5,92 @@
  * 
  * Description: 
  * Manages the Player-to-Player (P2P) Swap Market UI.
- * This module is purely Client-Side Logic acting as a controller for the new Pure JS API.
- * It handles the full trade lifecycle: Create, Browse, Accept, Cancel.
+ * It is a controller over js/api.js; the trades themselves run as server functions (escrow).
+ * It handles the full trade lifecycle: Create (single card or bundle), Browse, Accept, Cancel.
+ * The auction tabs share this screen; their logic lives in auction_house.js.
  */
 
-import { state } from '../state.js';
+import { state, subscribe } from '../state.js';
 import * as api from '../api.js';
-import { showToast, openModal } from '../ui.js';
+import { showToast, openModal, closeModal, ensureModal, confirmDialog, shareLink } from '../ui.js';
+import { html, render, registerActions } from '../html.js';
+import { registerRoute, deepLink } from '../router.js';
+import { handleError } from '../errors.js';
 import { refreshPlayerState } from '../auth.js';
+import { CURRENCY_MAP } from '../config.js';
+import { renderAuctionTab, AUCTION_TABS } from './auction_house.js';
+import { renderMarketOverview } from './market_analytics.js';
+import { t } from '../i18n.js';
 
 // --- Module Scope Variables ---
 let swapContainer;
 let cardSelectorModal;
 let acceptSelectorModal;
+let cardSelectionHandler = null; // Set when another flow (e.g. auctions) borrows the card selector
 
 /**
- * Global State for "Create Offer" Flow.
+ * Draft of the "Create Offer" flow.
  * Stores temporary selections before the user clicks "Publish".
  */
-window.SwapOfferData = {
+let swapOfferData = {
+    mode: 'card',          // 'card' (card ⇄ card) | 'noub' (card → NOUB) | 'card_noub' (card → card + NOUB)
     offerInstanceId: null, // UUID of the card to give (Owned)
     offerCardId: null,     // Master ID of the card to give
     offerCardName: null,
     requestCardId: null,   // Master ID of the card to receive
-    requestCardName: null
+    requestCardName: null,
+    priceNoub: 0,          // NOUB asked from the buyer (modes 'noub' and 'card_noub')
+    expiresInHours: 24     // Offer lifetime; escrow is released when it runs out (also used by bundles)
 };
 
+const EXPIRY_OPTIONS = [
+    { hours: 1, label: 'swap.expiry1h' },
+    { hours: 24, label: 'swap.expiry24h' },
+    { hours: 168, label: 'swap.expiry7d' }
+];
+
+// How often the client sweeps expired offers (the server job may also run)
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+let expirySweepInterval = null;
+
+// Market fee (percent of the NOUB price, burned). Loaded from the server on first render.
+let marketFeePercent = 0;
+
+const LISTING_MODES = {
+    card: { label: 'swap.modeCard', wantsCard: true, wantsNoub: false },
+    noub: { label: 'swap.modeNoub', wantsCard: false, wantsNoub: true },
+    card_noub: { label: 'swap.modeCardNoub', wantsCard: true, wantsNoub: true },
+    bundle: { label: 'swap.modeBundle', wantsCard: false, wantsNoub: false, isBundle: true }
+};
+
+// Currencies that can be put into a bundle (the server accepts the same two)
+const BUNDLE_CURRENCIES = [CURRENCY_MAP.NOUB, CURRENCY_MAP.PRESTIGE];
+
+function createEmptyBundleSide() {
+    return { cards: [], items: {}, currency: { noub: 0, prestige: 0 } };
+}
+
+function createEmptyBundleDraft() {
+    return {
+        give: createEmptyBundleSide(),
+        want: createEmptyBundleSide(),
+        recipient: '',     // Username or player id; empty = public market
+        message: '',
+        counterOf: null,   // Request id when this draft answers a direct offer
+        counterName: null
+    };
+}
+
+/**
+ * Draft of the Bundle Builder.
+ * give.cards: [{ instanceId, cardId, name }] | want.cards: [{ cardId, name }]
+ * items: { [itemId]: { qty, name } } | currency: { noub, prestige }
+ */
+let swapBundleData = createEmptyBundleDraft();
+
+// Last loaded incoming direct offers (used to pre-fill counter-offers)
+let incomingDirectTrades = [];
+
 // ========================================================
 // --- 1. NAVIGATION & TABS ---
 // ========================================================
@@ -41,26 +101,41 @@ export async function renderSwapScreen() {
     // Singleton Render: Only build layout if missing
     if (!document.getElementById('swap-tabs-container')) {
         swapContainer = document.getElementById('swap-screen');
-        swapContainer.innerHTML = `
-            <h2 class="screen-title" style="text-align:center; color:var(--primary-accent); margin-bottom:15px;">Global Exchange</h2>
+        render(swapContainer, html`
+            <h2 class="screen-title" style="text-align:center; color:var(--primary-accent); margin-bottom:15px;">${t('swap.title')}</h2>
             
             <!-- Tab Navigation -->
             <div id="swap-tabs-container" class="tabs-header" style="display:flex; justify-content:space-around; margin-bottom:15px; border-bottom:1px solid #333; padding-bottom:5px;">
-                <button class="swap-tab-btn active" data-swap-tab="browse" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">Market</button>
-                <button class="swap-tab-btn" data-swap-tab="my_requests" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">My Offers</button>
-                <button class="swap-tab-btn" data-swap-tab="create" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">Post Offer</button>
+                <button class="swap-tab-btn active" data-swap-tab="browse" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">${t('swap.tabMarket')}</button>
+                <button class="swap-tab-btn" data-swap-tab="my_requests" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">${t('swap.tabMyOffers')}</button>
+                <button class="swap-tab-btn" data-swap-tab="create" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">${t('swap.tabPost')}</button>
+                <button class="swap-tab-btn" data-swap-tab="direct" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">${t('swap.tabDirect')}</button>
+            </div>
+            <div id="auction-tabs-container" class="tabs-header" style="display:flex; justify-content:space-around; margin-bottom:15px; border-bottom:1px solid #333; padding-bottom:5px;">
+                <button class="swap-tab-btn" data-swap-tab="auctions" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">${t('swap.tabAuctions')}</button>
+                <button class="swap-tab-btn" data-swap-tab="my_bids" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">${t('swap.tabMyBids')}</button>
+                <button class="swap-tab-btn" data-swap-tab="my_auctions" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">${t('swap.tabMyAuctions')}</button>
+                <button class="swap-tab-btn" data-swap-tab="prices" style="flex:1; padding:10px; background:none; border:none; color:#888; cursor:pointer; font-weight:bold;">${t('swap.tabPrices')}</button>
             </div>
             
             <!-- Content Containers -->
             <div id="swap-content-browse" class="swap-content-tab"></div>
             <div id="swap-content-my_requests" class="swap-content-tab hidden"></div>
             <div id="swap-content-create" class="swap-content-tab hidden"></div>
-        `;
+            <div id="swap-content-direct" class="swap-content-tab hidden"></div>
+            <div id="swap-content-auctions" class="swap-content-tab hidden"></div>
+            <div id="swap-content-my_bids" class="swap-content-tab hidden"></div>
+            <div id="swap-content-my_auctions" class="swap-content-tab hidden"></div>
+            <div id="swap-content-prices" class="swap-content-tab hidden"></div>
+        `);
         
         // Event Delegation for Tabs
         document.querySelectorAll('.swap-tab-btn').forEach(btn => {
             btn.addEventListener('click', (e) => handleSwapTabSwitch(e.target.dataset.swapTab));
         });
+
+        const { data: feePercent } = await api.fetchMarketFeePercent();
+        marketFeePercent = feePercent || 0;
     }
 
     // Initial Load
@@ -85,8 +160,22 @@ function handleSwapTabSwitch(tabName) {
     if (tabName === 'browse') renderBrowseRequests();
     else if (tabName === 'my_requests') renderMyRequests();
     else if (tabName === 'create') renderCreateRequestUI();
+    else if (tabName === 'direct') renderDirectTrades();
+    else if (AUCTION_TABS.includes(tabName)) renderAuctionTab(tabName);
+    else if (tabName === 'prices') renderMarketOverview(tabName);
 }
 
+// Tabs listing the player's own offers, refreshed when the realtime feed
+// reports a change to one of them (accepted, countered, expired elsewhere)
+const LIVE_SWAP_TABS = ['my_requests', 'direct'];
+
+subscribe('swapRequests', () => {
+    const screen = document.getElementById('swap-screen');
+    if (!screen || screen.classList.contains('hidden')) return;
+    const activeTab = document.querySelector('.swap-tab-btn.active')?.dataset.swapTab;
+    if (LIVE_SWAP_TABS.includes(activeTab)) handleSwapTabSwitch(activeTab);
+});
+
 // ========================================================
 // --- 2. CREATE REQUEST UI ---
 // ========================================================
@@ -95,26 +184,61 @@ function renderCreateRequestUI() {
     const content = document.getElementById('swap-content-create');
     
     // Restore or Reset State
-    if (!window.SwapOfferData) window.SwapOfferData = {};
+    if (!LISTING_MODES[swapOfferData.mode]) swapOfferData.mode = 'card';
     
-    const offerName = window.SwapOfferData.offerCardName || "Select Card...";
-    const requestName = window.SwapOfferData.requestCardName || "Select Card...";
+    const mode = LISTING_MODES[swapOfferData.mode];
+    const modeButtonsHTML = Object.entries(LISTING_MODES).map(([key, m]) => html`
+        <button class="action-button small" data-action="swap.listingMode" data-mode="${key}"
+            style="flex:1; padding:6px; font-size:0.75em; ${key === swapOfferData.mode ? '' : 'background:#333; color:#aaa;'}">
+            ${t(m.label)}
+        </button>
+    `);
+
+    if (mode.isBundle) return renderBundleBuilder(content, modeButtonsHTML);
+
+    const offerName = swapOfferData.offerCardName || t('auction.selectCard');
+    const requestName = swapOfferData.requestCardName || t('auction.selectCard');
+    const price = swapOfferData.priceNoub || 0;
+    const fee = Math.floor(price * marketFeePercent / 100);
     
     // Validation
-    const isValid = window.SwapOfferData.offerInstanceId && window.SwapOfferData.requestCardId;
+    const isValid = swapOfferData.offerInstanceId
+        && (!mode.wantsCard || swapOfferData.requestCardId)
+        && (!mode.wantsNoub || price > 0);
     const btnOpacity = isValid ? '1' : '0.5';
     const btnCursor = isValid ? 'pointer' : 'not-allowed';
 
-    content.innerHTML = `
+    const requestCardHTML = html`
+        <div style="cursor:pointer;" data-action="swap.selectCard" data-mode="request">
+            <div style="border:1px dashed var(--accent-blue); padding:15px 5px; border-radius:8px; color:var(--accent-blue); font-weight:bold; min-height:50px; display:flex; align-items:center; justify-content:center;">
+                ${requestName}
+            </div>
+        </div>
+    `;
+
+    const priceHTML = html`
+        <div style="margin-top:${mode.wantsCard ? '8px' : '0'};">
+            <input type="number" id="swap-price-input" min="1" step="1" value="${price || ''}" placeholder="${t('swap.pricePlaceholder')}"
+                data-input="swap.price"
+                style="width:100%; text-align:center; border:1px dashed var(--primary-accent); border-radius:8px; padding:12px 5px; background:transparent; color:var(--primary-accent); font-weight:bold;">
+        </div>
+    `;
+
+    render(content, html`
         <div class="create-ui" style="text-align:center; padding:10px;">
-            <h3 style="color:var(--accent-blue); margin-bottom:20px;">Create New Trade</h3>
+            <h3 style="color:var(--accent-blue); margin-bottom:12px;">${t('swap.createHeading')}</h3>
+
+            <!-- Listing Type -->
+            <div style="display:flex; gap:6px; margin-bottom:15px;">
+                ${modeButtonsHTML}
+            </div>
             
             <!-- Trade Visualizer -->
             <div style="display:flex; align-items:center; justify-content:space-between; background:#1a1a1a; padding:15px; border-radius:12px; margin-bottom:20px; border:1px solid #444;">
                 
                 <!-- OFFER SIDE -->
-                <div style="width:40%; cursor:pointer;" onclick="window.openCardSelectorModal('offer')">
-                    <p style="font-size:0.7em; color:#aaa; margin-bottom:5px; text-transform:uppercase;">You Give</p>
+                <div style="width:40%; cursor:pointer;" data-action="swap.selectCard" data-mode="offer">
+                    <p style="font-size:0.7em; color:#aaa; margin-bottom:5px; text-transform:uppercase;">${t('swap.youGive')}</p>
                     <div style="border:1px dashed var(--success-color); padding:15px 5px; border-radius:8px; color:var(--success-color); font-weight:bold; min-height:50px; display:flex; align-items:center; justify-content:center;">
                         ${offerName}
                     </div>
@@ -123,42 +247,80 @@ function renderCreateRequestUI() {
                 <div style="font-size:1.5em; color:#666;">⇄</div>
                 
                 <!-- REQUEST SIDE -->
-                <div style="width:40%; cursor:pointer;" onclick="window.openCardSelectorModal('request')">
-                    <p style="font-size:0.7em; color:#aaa; margin-bottom:5px; text-transform:uppercase;">You Want</p>
-                    <div style="border:1px dashed var(--accent-blue); padding:15px 5px; border-radius:8px; color:var(--accent-blue); font-weight:bold; min-height:50px; display:flex; align-items:center; justify-content:center;">
-                        ${requestName}
-                    </div>
+                <div style="width:40%;">
+                    <p style="font-size:0.7em; color:#aaa; margin-bottom:5px; text-transform:uppercase;">${t('swap.youWant')}</p>
+                    ${mode.wantsCard ? requestCardHTML : ''}
+                    ${mode.wantsNoub ? priceHTML : ''}
                 </div>
             </div>
             
+            ${renderExpiryPicker()}
+
             <!-- Info & Action -->
             <p style="font-size:0.75em; color:#666; margin-bottom:20px; line-height:1.4;">
-                <span style="color:var(--danger-color);">Note:</span> The card you offer will be locked.<br>
-                It cannot be used until the trade ends.
+                <span style="color:var(--danger-color);">${t('swap.note')}</span> ${t('swap.escrowNote')}<br>
+                ${t('swap.escrowNoteUse')}
+                ${mode.wantsNoub ? html`<br>${t('swap.feeNote', { percent: marketFeePercent })} <b id="swap-net-display">${price - fee}</b> 🪙.` : ''}
             </p>
 
             <button id="finalize-swap-btn" class="action-button" style="width:100%; opacity:${btnOpacity}; cursor:${btnCursor};" 
-                onclick="window.finalizeSwapRequest()" ${isValid ? '' : 'disabled'}>
-                Publish Offer
+                data-action="swap.publish" ${isValid ? '' : 'disabled'}>
+                ${t('swap.publish')}
             </button>
         </div>
-    `;
+    `);
+}
+
+function setSwapListingMode(modeKey) {
+    if (!LISTING_MODES[modeKey]) return;
+    swapOfferData.mode = modeKey;
+    if (!LISTING_MODES[modeKey].wantsCard) {
+        swapOfferData.requestCardId = null;
+        swapOfferData.requestCardName = null;
+    }
+    if (!LISTING_MODES[modeKey].wantsNoub) swapOfferData.priceNoub = 0;
+    renderCreateRequestUI();
+}
+
+/**
+ * Updates the asking price without re-rendering (keeps input focus).
+ */
+function setSwapPrice(value) {
+    const price = Math.max(0, Math.floor(Number(value) || 0));
+    swapOfferData.priceNoub = price;
+
+    const mode = LISTING_MODES[swapOfferData.mode];
+    const netDisplay = document.getElementById('swap-net-display');
+    if (netDisplay) netDisplay.textContent = price - Math.floor(price * marketFeePercent / 100);
+
+    const btn = document.getElementById('finalize-swap-btn');
+    if (btn) {
+        const isValid = swapOfferData.offerInstanceId
+            && (!mode.wantsCard || swapOfferData.requestCardId)
+            && price > 0;
+        btn.disabled = !isValid;
+        btn.style.opacity = isValid ? '1' : '0.5';
+        btn.style.cursor = isValid ? 'pointer' : 'not-allowed';
+    }
 }
 
 /**
  * Opens modal to select cards.
  * Mode 'offer' = From User Inventory.
  * Mode 'request' = From Master Game Catalog.
+ * onSelect(masterId, instanceId, name) replaces the default "Post Offer"
+ * handling, so other flows can reuse the selector.
  */
-async function openCardSelectorModal(mode) {
-    showToast("Loading...", "info");
+export async function openCardSelectorModal(mode, onSelect = null) {
+    cardSelectionHandler = onSelect;
+    showToast(t('common.loading'), "info");
     
     let listData = [];
     let modalTitle = "";
 
     try {
         if (mode === 'offer') {
-            modalTitle = "Select from your Collection";
+            modalTitle = t('swap.selectOwned');
             const { data } = await api.fetchPlayerCards(state.currentUser.id);
             
             // Filter: Show unlocked cards only
@@ -172,7 +334,7 @@ async function openCardSelectorModal(mode) {
                 }));
             }
         } else {
-            modalTitle = "Select Desired Card";
+            modalTitle = t('swap.selectWanted');
             const { data } = await api.fetchAllMasterCards();
             
             if (data) {
@@ -186,22 +348,16 @@ async function openCardSelectorModal(mode) {
             }
         }
 
-        if (listData.length === 0) return showToast("No cards found.", 'error');
+        if (listData.length === 0) return showToast(t('swap.noCards'), 'error');
 
         // DOM Creation
         const modalId = 'card-selector-modal';
-        let modal = document.getElementById(modalId);
-        if (!modal) {
-            modal = document.createElement('div');
-            modal.id = modalId;
-            modal.className = 'modal-overlay hidden';
-            document.body.appendChild(modal);
-        }
+        const modal = ensureModal(modalId);
 
         const gridHTML = listData.map(c => {
             const rarityColor = getRarityColor(c.rarity);
-            return `
-                <div onclick="window.selectCardForSwap('${mode}', ${c.id}, '${c.uniqueId}', '${c.name}')" 
+            return html`
+                <div data-action="swap.pickCard" data-mode="${mode}" data-card-id="${c.id}" data-instance-id="${c.uniqueId}" data-name="${c.name}" 
                      style="text-align:center; cursor:pointer; padding:8px; background:#222; border-radius:8px; border:1px solid ${rarityColor};">
                     <img src="${c.img || 'images/default_card.png'}" style="width:50px; height:50px; border-radius:4px; object-fit:cover;">
                     <div style="font-size:0.7em; margin-top:5px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; color:#ddd;">
@@ -209,255 +365,1020 @@ async function openCardSelectorModal(mode) {
                     </div>
                 </div>
             `;
-        }).join('');
+        });
 
-        modal.innerHTML = `
+        render(modal, html`
             <div class="modal-content" style="max-height:70vh;">
-                <button class="modal-close-btn" onclick="window.closeModal('${modalId}')">&times;</button>
+                <button class="modal-close-btn" data-action="modal.close" data-modal-id="${modalId}">&times;</button>
                 <h3 style="text-align:center; color:#fff; margin-bottom:15px;">${modalTitle}</h3>
                 <div style="display:grid; grid-template-columns:repeat(4,1fr); gap:10px; overflow-y:auto; max-height:50vh; padding-right:5px;">
                     ${gridHTML}
                 </div>
             </div>
-        `;
+        `);
         openModal(modalId);
 
     } catch (e) {
         console.error(e);
-        showToast("Error loading list.", 'error');
+        showToast(t('swap.listFailed'), 'error');
     }
 }
 
-window.selectCardForSwap = (mode, masterId, uniqueId, name) => {
-    if (mode === 'offer') {
-        window.SwapOfferData.offerCardId = masterId;
-        window.SwapOfferData.offerInstanceId = uniqueId;
-        window.SwapOfferData.offerCardName = name;
-    } else {
-        window.SwapOfferData.requestCardId = masterId;
-        window.SwapOfferData.requestCardName = name;
-    }
-    window.closeModal('card-selector-modal');
+function renderExpiryPicker() {
+    const selected = swapOfferData.expiresInHours || 24;
+    const buttonsHTML = EXPIRY_OPTIONS.map(opt => html`
+        <button class="action-button small" data-action="swap.expiry" data-hours="${opt.hours}"
+            style="flex:1; padding:6px; font-size:0.75em; ${opt.hours === selected ? '' : 'background:#333; color:#aaa;'}">
+            ${t(opt.label)}
+        </button>
+    `);
+
+    return html`
+        <div style="margin-bottom:15px;">
+            <p style="font-size:0.7em; color:#aaa; margin-bottom:5px; text-transform:uppercase;">${t('swap.expiresIn')}</p>
+            <div style="display:flex; gap:6px;">${buttonsHTML}</div>
+        </div>
+    `;
+}
+
+function setSwapExpiry(hours) {
+    swapOfferData.expiresInHours = hours;
     renderCreateRequestUI();
-};
+}
+
+/**
+ * Runs the trade safety rules before posting or accepting and shows the
+ * reason when the player is blocked.
+ */
+async function passesTradeRules(instanceIds = []) {
+    const { data: check, error } = await api.checkTradeRules(instanceIds);
+    if (error) {
+        showToast(error.message, 'error');
+        return false;
+    }
+    if (!check.allowed) {
+        showToast(check.message, 'error');
+        return false;
+    }
+    return true;
+}
 
 async function finalizeSwapRequest() {
-    const { offerInstanceId, offerCardId, requestCardId } = window.SwapOfferData;
+    const { offerInstanceId, offerCardId, requestCardId, priceNoub } = swapOfferData;
+    const mode = LISTING_MODES[swapOfferData.mode] || LISTING_MODES.card;
     
-    if (!offerInstanceId || !requestCardId) return;
+    if (!offerInstanceId) return;
+    if (mode.wantsCard && !requestCardId) return;
+    if (mode.wantsNoub && !(priceNoub > 0)) return;
+    if (!(await passesTradeRules([offerInstanceId]))) return;
     
     const btn = document.getElementById('finalize-swap-btn');
     btn.disabled = true;
-    btn.innerText = "Processing...";
+    btn.innerText = t('auction.processing');
 
     const { error } = await api.createSwapRequest(
         state.currentUser.id,
         offerInstanceId,
         offerCardId,
-        requestCardId
+        mode.wantsCard ? requestCardId : null,
+        mode.wantsNoub ? priceNoub : 0,
+        swapOfferData.expiresInHours || 24
     );
 
     if (error) {
         showToast(error.message, 'error');
         btn.disabled = false;
-        btn.innerText = "Publish Offer";
+        btn.innerText = t('swap.publish');
     } else {
-        showToast("Offer published!", 'success');
-        window.SwapOfferData = { offerInstanceId: null, requestCardId: null }; // Reset
+        showToast(t('swap.published'), 'success');
+        swapOfferData = { mode: swapOfferData.mode, offerInstanceId: null, requestCardId: null, priceNoub: 0, expiresInHours: swapOfferData.expiresInHours }; // Reset
         await refreshPlayerState();
         handleSwapTabSwitch('my_requests');
     }
 }
 
+// ========================================================
+// --- 2b. BUNDLE BUILDER ---
+// ========================================================
+
+function renderBundleBuilder(content, modeButtonsHTML) {
+    const draft = swapBundleData;
+    const publishLabel = t(draft.counterOf ? 'swap.sendCounter' : (draft.recipient ? 'swap.sendDirect' : 'swap.publishBundle'));
+
+    render(content, html`
+        <div class="create-ui" style="text-align:center; padding:10px;">
+            <h3 style="color:var(--accent-blue); margin-bottom:12px;">${draft.counterOf ? t('swap.counterTo', { name: draft.counterName }) : t('swap.createHeading')}</h3>
+            ${draft.counterOf ? html`
+                <p style="font-size:0.75em; color:#aaa; margin-bottom:12px;">
+                    ${t('swap.counterNote')}
+                    <span style="cursor:pointer; color:var(--danger-color);" data-action="swap.discardCounter">${t('swap.discard')}</span>
+                </p>` : ''}
+
+            <!-- Listing Type -->
+            <div style="display:flex; gap:6px; margin-bottom:15px;">
+                ${modeButtonsHTML}
+            </div>
+
+            <div style="display:flex; gap:10px; margin-bottom:20px;">
+                ${renderBundleSideEditor('give', t('swap.youGive'), 'var(--success-color)')}
+                ${renderBundleSideEditor('want', t('swap.youWant'), 'var(--accent-blue)')}
+            </div>
+
+            <p style="font-size:0.75em; color:#666; margin-bottom:20px; line-height:1.4;">
+                <span style="color:var(--danger-color);">${t('swap.note')}</span> ${t('swap.bundleEscrowNote')}<br>
+                ${t('swap.bundleEscrowNoteDetail')}
+                <br>${t('swap.bundleFeeNote', { percent: marketFeePercent })}
+            </p>
+
+            ${renderExpiryPicker()}
+
+            <!-- Direct Trade (optional) -->
+            <div style="margin-bottom:15px; text-align:left;">
+                <input type="text" value="${draft.recipient}" placeholder="${t('swap.recipientPlaceholder')}"
+                    data-input="swap.bundleField" data-field="recipient" ${draft.counterOf ? 'disabled' : ''}
+                    style="width:100%; padding:10px; margin-bottom:6px; background:#1a1a1a; border:1px solid #444; border-radius:8px; color:#fff; font-size:0.8em;">
+                <input type="text" value="${draft.message}" maxlength="200" placeholder="${t('swap.messagePlaceholder')}"
+                    data-input="swap.bundleField" data-field="message"
+                    style="width:100%; padding:10px; background:#1a1a1a; border:1px solid #444; border-radius:8px; color:#fff; font-size:0.8em;">
+            </div>
+
+            <button id="finalize-swap-btn" class="action-button" style="width:100%;" data-action="swap.publishBundle">
+                ${publishLabel}
+            </button>
+        </div>
+    `);
+    updateBundlePublishButton();
+}
+
+function renderBundleSideEditor(sideKey, title, color) {
+    const side = swapBundleData[sideKey];
+
+    const cardsHTML = side.cards.map((c, index) => html`
+        <div style="display:flex; justify-content:space-between; align-items:center; background:#252525; padding:5px 8px; border-radius:6px; margin-bottom:5px; font-size:0.75em;">
+            <span style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">🃏 ${c.name}</span>
+            <span style="cursor:pointer; color:var(--danger-color);" data-action="swap.removeAsset" data-side="${sideKey}" data-type="card" data-key="${index}">&times;</span>
+        </div>
+    `);
+
+    const itemsHTML = Object.entries(side.items).map(([itemId, item]) => html`
+        <div style="display:flex; justify-content:space-between; align-items:center; gap:4px; background:#252525; padding:5px 8px; border-radius:6px; margin-bottom:5px; font-size:0.75em;">
+            <span style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">📦 ${item.name}</span>
+            <input type="number" min="1" step="1" value="${item.qty}" data-input="swap.itemQty" data-side="${sideKey}" data-item-id="${itemId}"
+                style="width:45px; text-align:center; background:transparent; border:1px solid #444; border-radius:4px; color:#fff;">
+            <span style="cursor:pointer; color:var(--danger-color);" data-action="swap.removeAsset" data-side="${sideKey}" data-type="item" data-key="${itemId}">&times;</span>
+        </div>
+    `);
+
+    const currencyHTML = BUNDLE_CURRENCIES.map(cur => html`
+        <input type="number" min="0" step="1" value="${side.currency[cur.ledger] || ''}" placeholder="${t(`swap.currency.${cur.ledger}`)} ${cur.icon}"
+            data-input="swap.currency" data-side="${sideKey}" data-ledger="${cur.ledger}"
+            style="width:100%; text-align:center; border:1px dashed #555; border-radius:6px; padding:6px 4px; margin-bottom:5px; background:transparent; color:var(--primary-accent); font-size:0.8em;">
+    `);
+
+    return html`
+        <div style="flex:1; background:#1a1a1a; padding:10px; border-radius:12px; border:1px solid #444; min-width:0;">
+            <p style="font-size:0.7em; color:#aaa; margin-bottom:8px; text-transform:uppercase;">${title}</p>
+            ${cardsHTML}
+            ${itemsHTML}
+            <div style="display:flex; gap:4px; margin-bottom:8px;">
+                <button class="action-button small" style="flex:1; padding:5px; font-size:0.7em; background:#333; color:${color};" data-action="swap.addCard" data-side="${sideKey}">+ ${t('swap.addCard')}</button>
+                <button class="action-button small" style="flex:1; padding:5px; font-size:0.7em; background:#333; color:${color};" data-action="swap.addItem" data-side="${sideKey}">+ ${t('swap.addItem')}</button>
+            </div>
+            ${currencyHTML}
+        </div>
+    `;
+}
+
+/**
+ * Returns an error message for the current bundle draft, or null if it can be published.
+ */
+function validateBundleDraft() {
+    const { give, want } = swapBundleData;
+    const countAssets = side => side.cards.length + Object.keys(side.items).length
+        + Object.values(side.currency).filter(v => v > 0).length;
+
+    if (countAssets(give) === 0) return t('swap.addGive');
+    if (countAssets(want) === 0) return t('swap.addWant');
+
+    for (const [itemId, item] of Object.entries(give.items)) {
+        if ((state.inventory.get(Number(itemId))?.qty || 0) < item.qty) return t('swap.notEnoughItem', { name: item.name });
+    }
+    for (const cur of BUNDLE_CURRENCIES) {
+        if ((give.currency[cur.ledger] || 0) > (state.playerProfile[cur.key] || 0)) return t(`errors.notEnough.${cur.ledger}`);
+    }
+    return null;
+}
+
+function updateBundlePublishButton() {
+    const btn = document.getElementById('finalize-swap-btn');
+    if (!btn) return;
+    const isValid = !validateBundleDraft();
+    btn.disabled = !isValid;
+    btn.style.opacity = isValid ? '1' : '0.5';
+    btn.style.cursor = isValid ? 'pointer' : 'not-allowed';
+}
+
+function addBundleCard(sideKey) {
+    const side = swapBundleData[sideKey];
+    openCardSelectorModal(sideKey === 'give' ? 'offer' : 'request', (masterId, instanceId, name) => {
+        if (sideKey === 'give') {
+            if (side.cards.some(c => c.instanceId === instanceId)) return showToast(t('swap.cardInBundle'), 'info');
+            side.cards.push({ instanceId, cardId: masterId, name });
+        } else {
+            side.cards.push({ cardId: masterId, name });
+        }
+        renderCreateRequestUI();
+    });
+}
+
+/**
+ * Item picker. 'give' lists the player's own stock (state.inventory),
+ * 'want' lists the master item catalog.
+ */
+async function openItemSelectorModal(sideKey) {
+    let listData = [];
+
+    if (sideKey === 'give') {
+        state.inventory.forEach((entry, itemId) => {
+            if (entry.qty > 0 && entry.details) {
+                listData.push({ id: itemId, name: entry.details.name, img: entry.details.image_url, qty: entry.qty });
+            }
+        });
+    } else {
+        const { data } = await api.fetchAllItems();
+        listData = (data || []).map(item => ({ id: item.id, name: item.name, img: item.image_url, qty: null }));
+    }
+
+    if (listData.length === 0) return showToast(t('swap.noItems'), 'error');
+
+    const modalId = 'item-selector-modal';
+    const modal = ensureModal(modalId);
+
+    const gridHTML = listData.map(item => html`
+        <div data-action="swap.pickItem" data-side="${sideKey}" data-item-id="${item.id}" data-name="${item.name}"
+             style="text-align:center; cursor:pointer; padding:8px; background:#222; border-radius:8px; border:1px solid #444;">
+            <img src="${item.img || 'images/default_item.png'}" style="width:40px; height:40px; object-fit:contain;">
+            <div style="font-size:0.7em; margin-top:5px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; color:#ddd;">${item.name}</div>
+            ${item.qty !== null ? html`<div style="font-size:0.65em; color:#888;">x${item.qty}</div>` : ''}
+        </div>
+    `);
+
+    render(modal, html`
+        <div class="modal-content" style="max-height:70vh;">
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="${modalId}">&times;</button>
+            <h3 style="text-align:center; color:#fff; margin-bottom:15px;">${sideKey === 'give' ? t('swap.selectStored') : t('swap.selectWantedItem')}</h3>
+            <div style="display:grid; grid-template-columns:repeat(4,1fr); gap:10px; overflow-y:auto; max-height:50vh; padding-right:5px;">
+                ${gridHTML}
+            </div>
+        </div>
+    `);
+    openModal(modalId);
+}
+
+function selectBundleItem(sideKey, itemId, name) {
+    const items = swapBundleData[sideKey].items;
+    if (!items[itemId]) items[itemId] = { qty: 1, name };
+    closeModal('item-selector-modal');
+    renderCreateRequestUI();
+}
+
+function removeBundleAsset(sideKey, type, key) {
+    const side = swapBundleData[sideKey];
+    if (type === 'card') side.cards.splice(key, 1);
+    else delete side.items[key];
+    renderCreateRequestUI();
+}
+
+/**
+ * Quantity and currency inputs update the draft without re-rendering (keeps focus).
+ */
+function setBundleItemQty(sideKey, itemId, value) {
+    const item = swapBundleData[sideKey].items[itemId];
+    if (item) item.qty = Math.max(1, Math.floor(Number(value) || 1));
+    updateBundlePublishButton();
+}
+
+function setBundleCurrency(sideKey, code, value) {
+    swapBundleData[sideKey].currency[code] = Math.max(0, Math.floor(Number(value) || 0));
+    updateBundlePublishButton();
+}
+
+/**
+ * Converts a bundle side from the builder into the RPC payload.
+ */
+function buildBundlePayload(side, cardKey) {
+    const currency = {};
+    for (const [code, amount] of Object.entries(side.currency)) {
+        if (amount > 0) currency[code] = amount;
+    }
+    const items = {};
+    for (const [itemId, item] of Object.entries(side.items)) items[itemId] = item.qty;
+    return { cards: side.cards.map(c => c[cardKey]), items, currency };
+}
+
+/**
+ * Updates the recipient / message fields without re-rendering (keeps focus).
+ */
+function setBundleField(field, value) {
+    swapBundleData[field] = value;
+    const btn = document.getElementById('finalize-swap-btn');
+    if (btn && field === 'recipient' && !swapBundleData.counterOf) {
+        btn.innerText = value.trim() ? t('swap.sendDirect') : t('swap.publishBundle');
+    }
+}
+
+async function finalizeBundleRequest() {
+    const problem = validateBundleDraft();
+    if (problem) return showToast(problem, 'error');
+
+    const draft = swapBundleData;
+    if (!(await passesTradeRules(draft.give.cards.map(c => c.instanceId)))) return;
+
+    const offer = buildBundlePayload(draft.give, 'instanceId');
+    const request = buildBundlePayload(draft.want, 'cardId');
+    const recipient = draft.recipient.trim();
+    const message = draft.message.trim() || null;
+
+    const btn = document.getElementById('finalize-swap-btn');
+    const originalLabel = btn.innerText;
+    btn.disabled = true;
+    btn.innerText = t('auction.processing');
+
+    const expiresInHours = swapOfferData.expiresInHours || 24;
+
+    let result;
+    if (draft.counterOf) result = await api.counterDirectTrade(draft.counterOf, offer, request, message, expiresInHours);
+    else if (recipient) result = await api.createDirectTrade(state.currentUser.id, recipient, offer, request, message, expiresInHours);
+    else result = await api.createSwapBundle(state.currentUser.id, offer, request, expiresInHours);
+
+    if (result.error) {
+        showToast(result.error.message, 'error');
+        btn.disabled = false;
+        btn.innerText = originalLabel;
+        return;
+    }
+
+    const isDirect = draft.counterOf || recipient;
+    showToast(t(draft.counterOf ? 'swap.counterSent' : (isDirect ? 'swap.directSent' : 'swap.bundlePublished')), 'success');
+    swapBundleData = createEmptyBundleDraft(); // Reset
+    await refreshPlayerState();
+    handleSwapTabSwitch(isDirect ? 'direct' : 'my_requests');
+}
+
 // ========================================================
 // --- 3. BROWSE UI ---
 // ========================================================
 
 async function renderBrowseRequests() {
     const content = document.getElementById('swap-content-browse');
-    content.innerHTML = '<p style="text-align:center; padding:20px;">Refreshing market...</p>';
+    render(content, html`<p style="text-align:center; padding:20px;">${t('swap.refreshing')}</p>`);
     
     const { data: requests, error } = await api.fetchActiveSwapRequests(state.currentUser.id);
 
-    if (error) return content.innerHTML = `<p class="error-text">Connection error.</p>`;
-    if (!requests || requests.length === 0) return content.innerHTML = '<p style="text-align:center; color:#666; padding:20px;">Market is currently empty.</p>';
+    if (error) return render(content, html`<p class="error-text">${t('errors.network')}</p>`);
+    if (!requests || requests.length === 0) return render(content, html`<p style="text-align:center; color:#666; padding:20px;">${t('swap.marketEmpty')}</p>`);
 
-    content.innerHTML = requests.map(req => {
-        const shortUser = req.player_id_offering.slice(0, 6);
-        const offerColor = getRarityColor(req.offer_card.rarity_level);
-        const requestColor = getRarityColor(req.request_card.rarity_level);
+    render(content, requests.map(req => req.is_bundle ? renderBundleListing(req) : renderSwapListing(req)));
+}
 
-        return `
-            <div class="swap-card" style="background:#1a1a1a; border:1px solid #333; border-radius:12px; padding:12px; margin-bottom:12px;">
-                <div style="display:flex; justify-content:space-between; font-size:0.75em; color:#666; margin-bottom:10px;">
-                    <span>Merchant: <b style="color:#ccc;">${shortUser}</b></span>
-                    <span>Price: 0 🪙</span> <!-- Placeholder for future pricing -->
-                </div>
-                
-                <div style="display:flex; align-items:center; justify-content:space-between;">
-                    <!-- OFFER -->
-                    <div style="text-align:center; width:40%;">
-                        <div style="position:relative; display:inline-block;">
-                            <img src="${req.offer_card.image_url}" style="width:55px; height:55px; border-radius:6px; border:2px solid ${offerColor};">
-                            <div style="font-size:0.6em; background:#333; color:#fff; padding:1px 4px; border-radius:4px; position:absolute; bottom:-5px; left:50%; transform:translateX(-50%);">OFFER</div>
-                        </div>
-                        <div style="font-size:0.75em; margin-top:8px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${req.offer_card.name}</div>
+/**
+ * One public single-card offer, as listed in the market.
+ */
+function renderSwapListing(req) {
+    const shortUser = req.player_id_offering.slice(0, 6);
+    const offerColor = getRarityColor(req.offer_card.rarity_level);
+    const price = Number(req.price_noub || 0);
+    const actionLabel = req.request_card ? t('swap.acceptTrade') : t('swap.buyNow', { amount: price });
+
+    return html`
+        <div class="swap-card" style="background:#1a1a1a; border:1px solid #333; border-radius:12px; padding:12px; margin-bottom:12px;">
+            <div style="display:flex; justify-content:space-between; font-size:0.75em; color:#666; margin-bottom:10px;">
+                <span>${t('swap.merchant')} <b style="color:#ccc;">${shortUser}</b> ${renderShareLink(req.id)}</span>
+                <span>${t('swap.price')} <b style="color:var(--primary-accent);">${price}</b> 🪙</span>
+            </div>
+            
+            <div style="display:flex; align-items:center; justify-content:space-between;">
+                <!-- OFFER -->
+                <div style="text-align:center; width:40%;">
+                    <div style="position:relative; display:inline-block;">
+                        <img src="${req.offer_card.image_url}" style="width:55px; height:55px; border-radius:6px; border:2px solid ${offerColor};">
+                        <div style="font-size:0.6em; background:#333; color:#fff; padding:1px 4px; border-radius:4px; position:absolute; bottom:-5px; left:50%; transform:translateX(-50%);">${t('swap.offerTag')}</div>
                     </div>
+                    <div style="font-size:0.75em; margin-top:8px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${req.offer_card.name}</div>
+                    ${renderPriceLink(req.item_id_offer)}
+                </div>
 
-                    <div style="color:var(--primary-accent); font-size:1.5em;">➜</div>
+                <div style="color:var(--primary-accent); font-size:1.5em;">➜</div>
 
-                    <!-- REQUEST -->
-                    <div style="text-align:center; width:40%;">
-                        <div style="position:relative; display:inline-block;">
-                            <img src="${req.request_card.image_url}" style="width:55px; height:55px; border-radius:6px; border:2px dashed ${requestColor}; opacity:0.8;">
-                            <div style="font-size:0.6em; background:#333; color:#fff; padding:1px 4px; border-radius:4px; position:absolute; bottom:-5px; left:50%; transform:translateX(-50%);">WANT</div>
-                        </div>
-                        <div style="font-size:0.75em; margin-top:8px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${req.request_card.name}</div>
-                    </div>
+                <!-- REQUEST -->
+                ${renderAskBlock(req)}
+            </div>
+
+            <button class="action-button small" style="width:100%; margin-top:15px; background:var(--accent-blue); border:none;" 
+                data-action="swap.accept" data-request-id="${req.id}">
+                ${actionLabel}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Renders a bundle's assets as a compact list (cards, items, currency).
+ */
+function renderAssetChips(assets) {
+    return assets.map(asset => {
+        let label;
+        if (asset.asset_type === 'card') {
+            label = html`<img src="${asset.card?.image_url || 'images/default_card.png'}" style="width:18px; height:18px; border-radius:3px; vertical-align:middle; border:1px solid ${getRarityColor(asset.card?.rarity_level)};"> ${asset.card?.name || t('auction.card')}`;
+        } else if (asset.asset_type === 'item') {
+            label = `📦 ${asset.item?.name || t('swap.item')} ×${asset.quantity}`;
+        } else {
+            const cur = BUNDLE_CURRENCIES.find(c => c.ledger === asset.currency);
+            label = `${asset.quantity} ${cur?.icon || asset.currency}`;
+        }
+        return html`<div style="font-size:0.72em; background:#252525; padding:4px 6px; border-radius:5px; margin-bottom:4px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${label}</div>`;
+    });
+}
+
+function renderBundleListing(req) {
+    const assets = req.assets || [];
+    const shortUser = req.player_id_offering.slice(0, 6);
+
+    return html`
+        <div class="swap-card" style="background:#1a1a1a; border:1px solid #333; border-radius:12px; padding:12px; margin-bottom:12px;">
+            <div style="display:flex; justify-content:space-between; font-size:0.75em; color:#666; margin-bottom:10px;">
+                <span>${t('swap.merchant')} <b style="color:#ccc;">${shortUser}</b> ${renderShareLink(req.id)}</span>
+                <span style="color:var(--primary-accent); font-weight:bold;">📦 ${t('swap.bundleTag')}</span>
+            </div>
+
+            <div style="display:flex; align-items:flex-start; justify-content:space-between; gap:8px;">
+                <div style="width:45%; min-width:0;">
+                    <div style="font-size:0.65em; color:#888; margin-bottom:4px;">${t('swap.offerTag')}</div>
+                    ${renderAssetChips(assets.filter(a => a.side === 'offer'))}
+                </div>
+                <div style="color:var(--primary-accent); font-size:1.5em; align-self:center;">➜</div>
+                <div style="width:45%; min-width:0;">
+                    <div style="font-size:0.65em; color:#888; margin-bottom:4px;">${t('swap.wantTag')}</div>
+                    ${renderAssetChips(assets.filter(a => a.side === 'request'))}
                 </div>
+            </div>
 
-                <button class="action-button small" style="width:100%; margin-top:15px; background:var(--accent-blue); border:none;" 
-                    onclick="window.handleAcceptSwap('${req.id}')">
-                    Accept Trade
-                </button>
+            <button class="action-button small" style="width:100%; margin-top:15px; background:var(--accent-blue); border:none;"
+                data-action="swap.accept" data-request-id="${req.id}">
+                ${t('swap.acceptBundle')}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Shares a link that opens this offer (#/swap/offer/<id>).
+ */
+function renderShareLink(requestId) {
+    return html`<span data-action="swap.share" data-request-id="${requestId}" title="${t('swap.share')}" style="cursor:pointer; margin-left:4px;">🔗</span>`;
+}
+
+async function shareSwapOffer(requestId) {
+    if (!(await shareLink(deepLink(`swap/offer/${requestId}`), t('swap.shareText')))) {
+        showToast(t('swap.shareFailed'), 'error');
+    }
+}
+
+const OFFER_MODAL_ID = 'offer-detail-modal';
+
+/**
+ * Deep link #/swap/offer/<id>: shows one public offer with its accept button.
+ * The player's own offers are managed under "My Offers" instead.
+ */
+async function openOfferRoute({ id }) {
+    const { data: request } = await api.fetchSwapRequest(id);
+    const isOpen = request && request.status === 'active' && new Date(request.expires_at) > new Date();
+    if (!isOpen) return showToast(t('errors.swapNotActive'), 'error');
+    if (request.player_id_offering === state.currentUser.id) {
+        return showToast(t('swap.ownOffer'), 'info');
+    }
+
+    const modal = ensureModal(OFFER_MODAL_ID);
+    render(modal, html`
+        <div class="modal-content">
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="${OFFER_MODAL_ID}">&times;</button>
+            <h3 style="text-align:center; margin-bottom:15px;">${request.recipient_id ? t('swap.directOffer') : t('swap.marketOffer')}</h3>
+            ${request.is_bundle ? renderBundleListing(request) : renderSwapListing(request)}
+            <p style="font-size:0.7em; color:#888; text-align:center;">${formatExpiry(request.expires_at)}</p>
+        </div>
+    `);
+    openModal(OFFER_MODAL_ID, { route: `swap/offer/${id}` });
+}
+registerRoute('swap/offer/:id', openOfferRoute);
+
+/**
+ * Small link into the card's market analytics, so buyers can judge the price.
+ */
+function renderPriceLink(cardId) {
+    return html`<div data-action="market.openCard" data-card-id="${cardId}" style="font-size:0.65em; color:#888; margin-top:4px; cursor:pointer; text-decoration:underline;">📈 ${t('swap.priceHistory')}</div>`;
+}
+
+/**
+ * Renders the "WANT" side of a listing: a card, a NOUB price, or both.
+ */
+function renderAskBlock(req) {
+    const price = Number(req.price_noub || 0);
+    const priceTag = price > 0
+        ? html`<div style="font-size:0.8em; margin-top:4px; color:var(--primary-accent); font-weight:bold;">${req.request_card ? '+ ' : ''}${price} 🪙</div>`
+        : '';
+
+    if (!req.request_card) {
+        return html`
+            <div style="text-align:center; width:40%;">
+                <div style="width:55px; height:55px; margin:0 auto; border-radius:6px; border:2px dashed var(--primary-accent); display:flex; align-items:center; justify-content:center; font-size:1.8em;">🪙</div>
+                ${priceTag}
             </div>
         `;
-    }).join('');
+    }
+
+    const requestColor = getRarityColor(req.request_card.rarity_level);
+    return html`
+        <div style="text-align:center; width:40%;">
+            <div style="position:relative; display:inline-block;">
+                <img src="${req.request_card.image_url}" style="width:55px; height:55px; border-radius:6px; border:2px dashed ${requestColor}; opacity:0.8;">
+                <div style="font-size:0.6em; background:#333; color:#fff; padding:1px 4px; border-radius:4px; position:absolute; bottom:-5px; left:50%; transform:translateX(-50%);">${t('swap.wantTag')}</div>
+            </div>
+            <div style="font-size:0.75em; margin-top:8px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${req.request_card.name}</div>
+            ${priceTag}
+            ${renderPriceLink(req.item_id_request)}
+        </div>
+    `;
 }
 
 /**
- * User clicks "Accept Trade".
- * Validates ownership of the requested card before executing.
+ * User clicks "Accept Trade" / "Buy Now".
+ * Validates the NOUB balance and ownership of the requested card before executing.
  */
 async function handleAcceptSwap(requestId) {
-    showToast("Checking requirements...", 'info');
+    closeModal(OFFER_MODAL_ID); // when accepting from a shared link
+    showToast(t('swap.checking'), 'info');
+
+    const { data: request } = await api.fetchSwapRequest(requestId);
+    if (!request) return showToast(t('errors.swapExpired'), 'error');
+    if (!(await passesTradeRules())) return;
+    if (request.is_bundle) return handleAcceptBundle(requestId);
+
+    const price = Number(request.price_noub || 0);
+    if (price > (state.playerProfile.noub_score || 0)) {
+        return showToast(t('swap.needNoub', { amount: price }), 'error');
+    }
 
-    const { data: request } = await api.supabaseClient.from('swap_requests').select('*, item_id_request').eq('id', requestId).single();
-    if (!request) return showToast("Offer expired.", 'error');
+    // Buy-now listing: no card to select, confirm the price directly
+    if (!request.item_id_request) {
+        if (!(await confirmDialog(t('swap.buyConfirm', { amount: price })))) return;
+        return executeAcceptance(requestId, null);
+    }
 
     // Check Inventory
     const { data: myCards } = await api.fetchPlayerCards(state.currentUser.id);
     const matching = myCards.filter(c => c.card_id === request.item_id_request && !c.is_locked);
 
     if (matching.length === 0) {
-        return showToast("You don't have the required card to trade.", 'error');
+        return showToast(t('swap.missingCard'), 'error');
     }
 
     // Show Instance Selector
     const modalId = 'accept-selector-modal';
-    let modal = document.getElementById(modalId);
-    if (!modal) {
-        modal = document.createElement('div');
-        modal.id = modalId;
-        modal.className = 'modal-overlay hidden';
-        document.body.appendChild(modal);
-    }
+    const modal = ensureModal(modalId);
 
-    const listHTML = matching.map(c => `
-        <div onclick="window.executeAcceptance('${requestId}', '${c.instance_id}')" 
+    const listHTML = matching.map(c => html`
+        <div data-action="swap.payWith" data-request-id="${requestId}" data-instance-id="${c.instance_id}" 
              style="background:#252525; padding:10px; margin-bottom:8px; border-radius:6px; display:flex; justify-content:space-between; align-items:center; cursor:pointer; border:1px solid #444;">
              <div style="display:flex; align-items:center; gap:10px;">
                 <img src="${c.cards.image_url}" style="width:40px; height:40px; border-radius:4px;">
                 <div>
                     <div style="color:#fff; font-size:0.9em;">${c.cards.name}</div>
-                    <div style="font-size:0.75em; color:#888;">Lvl ${c.level} • Pwr ${c.power_score}</div>
+                    <div style="font-size:0.75em; color:#888;">${t('swap.copyStats', { level: c.level, power: c.power_score })}</div>
                 </div>
              </div>
-             <div style="color:var(--success-color); font-weight:bold; font-size:0.8em;">SELECT</div>
+             <div style="color:var(--success-color); font-weight:bold; font-size:0.8em;">${t('swap.select')}</div>
         </div>
-    `).join('');
+    `);
 
-    modal.innerHTML = `
+    render(modal, html`
         <div class="modal-content">
-            <button class="modal-close-btn" onclick="window.closeModal('${modalId}')">&times;</button>
-            <h3>Confirm Payment</h3>
-            <p style="font-size:0.85em; color:#aaa; margin-bottom:15px;">Select which copy you want to give:</p>
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="${modalId}">&times;</button>
+            <h3>${t('swap.confirmPayment')}</h3>
+            <p style="font-size:0.85em; color:#aaa; margin-bottom:15px;">${price > 0 ? t('swap.pickCopyPlus', { amount: price }) : t('swap.pickCopy')}</p>
             <div style="max-height:300px; overflow-y:auto;">
                 ${listHTML}
             </div>
         </div>
-    `;
+    `);
     openModal(modalId);
 }
 
 async function executeAcceptance(requestId, paymentInstanceId) {
-    window.closeModal('accept-selector-modal');
-    showToast("Executing trade...", 'info');
+    closeModal('accept-selector-modal');
+    showToast(t('swap.executing'), 'info');
 
-    const { error, newCardName } = await api.acceptSwapRequest(
+    const { data, error } = await api.acceptSwapRequest(
         requestId,
         state.currentUser.id,
         paymentInstanceId
     );
 
     if (error) {
-        showToast(error.message, 'error');
+        handleError(error, 'acceptSwapRequest');
     } else {
-        showToast(`Trade Complete! Received: ${newCardName}`, 'success');
+        const { newCardName, pricePaid } = data;
+        showToast(pricePaid > 0 ? t('swap.tradeCompletePaid', { name: newCardName, amount: pricePaid }) : t('swap.tradeComplete', { name: newCardName }), 'success');
         await refreshPlayerState();
         renderBrowseRequests();
     }
 }
 
+/**
+ * Bundle acceptance: checks the requested items and currency against local
+ * state, then asks which owned copy to hand over for every requested card.
+ */
+async function handleAcceptBundle(requestId) {
+    const { data: assets } = await api.fetchSwapRequestAssets(requestId);
+    const wanted = (assets || []).filter(a => a.side === 'request');
+
+    for (const asset of wanted) {
+        if (asset.asset_type === 'item' && (state.inventory.get(asset.item_id)?.qty || 0) < asset.quantity) {
+            return showToast(t('swap.needItem', { count: asset.quantity, name: asset.item?.name || t('swap.item') }), 'error');
+        }
+        if (asset.asset_type === 'currency') {
+            const cur = BUNDLE_CURRENCIES.find(c => c.ledger === asset.currency);
+            if ((state.playerProfile[cur?.key] || 0) < asset.quantity) return showToast(t('swap.needCurrency', { amount: asset.quantity, icon: cur?.icon || '' }), 'error');
+        }
+    }
+
+    const wantedCards = wanted.filter(a => a.asset_type === 'card');
+    if (wantedCards.length === 0) {
+        if (!(await confirmDialog(t('swap.acceptBundleConfirm')))) return;
+        return executeBundleAcceptance(requestId, []);
+    }
+
+    const { data: myCards } = await api.fetchPlayerCards(state.currentUser.id);
+    const usedPerCard = {};
+    const slotsHTML = [];
+
+    for (const [index, asset] of wantedCards.entries()) {
+        const copies = (myCards || []).filter(c => c.card_id === asset.card_id && !c.is_locked);
+        const offset = usedPerCard[asset.card_id] || 0;
+        if (copies.length <= offset) return showToast(t('swap.notEnoughCopies', { name: asset.card?.name || t('auction.card') }), 'error');
+        usedPerCard[asset.card_id] = offset + 1;
+
+        // Pre-select a different copy for each slot of the same card
+        const optionsHTML = copies.map((c, i) => html`
+            <option value="${c.instance_id}" ${i === offset ? 'selected' : ''}>${t('swap.copyStats', { level: c.level, power: c.power_score })}</option>
+        `);
+
+        slotsHTML.push(html`
+            <div style="display:flex; justify-content:space-between; align-items:center; background:#252525; padding:8px 10px; margin-bottom:8px; border-radius:6px;">
+                <div style="color:#fff; font-size:0.85em;">${asset.card?.name || t('auction.card')}</div>
+                <select id="bundle-copy-${index}" style="background:#111; color:#fff; border:1px solid #444; border-radius:4px; padding:4px;">
+                    ${optionsHTML}
+                </select>
+            </div>
+        `);
+    }
+
+    const modalId = 'accept-selector-modal';
+    const modal = ensureModal(modalId);
+
+    render(modal, html`
+        <div class="modal-content">
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="${modalId}">&times;</button>
+            <h3>${t('swap.confirmPayment')}</h3>
+            <p style="font-size:0.85em; color:#aaa; margin-bottom:15px;">${t('swap.pickCopies')}</p>
+            <div style="max-height:300px; overflow-y:auto;">
+                ${slotsHTML}
+            </div>
+            <button class="action-button" style="width:100%; margin-top:10px;" data-action="swap.acceptBundle" data-request-id="${requestId}" data-slots="${wantedCards.length}">
+                ${t('swap.acceptBundle')}
+            </button>
+        </div>
+    `);
+    openModal(modalId);
+}
+
+function confirmBundleAcceptance(requestId, slotCount) {
+    const instanceIds = [];
+    for (let i = 0; i < slotCount; i++) instanceIds.push(document.getElementById(`bundle-copy-${i}`)?.value);
+    if (new Set(instanceIds).size !== instanceIds.length) return showToast(t('swap.pickDifferentCopies'), 'error');
+    executeBundleAcceptance(requestId, instanceIds);
+}
+
+async function executeBundleAcceptance(requestId, counterInstanceIds) {
+    closeModal('accept-selector-modal');
+    showToast(t('swap.executing'), 'info');
+
+    const { data, error } = await api.acceptSwapBundle(requestId, state.currentUser.id, counterInstanceIds);
+
+    if (error) {
+        handleError(error, 'acceptSwapBundle');
+    } else {
+        showToast(data.pricePaid > 0 ? t('swap.bundleCompletePaid', { amount: data.pricePaid }) : t('swap.bundleComplete'), 'success');
+        await refreshPlayerState();
+        const directTab = document.getElementById('swap-content-direct');
+        if (directTab && !directTab.classList.contains('hidden')) renderDirectTrades();
+        else renderBrowseRequests();
+    }
+}
+
 // ========================================================
 // --- 4. MY REQUESTS UI ---
 // ========================================================
 
 async function renderMyRequests() {
     const content = document.getElementById('swap-content-my_requests');
-    content.innerHTML = '<p style="text-align:center;">Syncing...</p>';
+    render(content, html`<p style="text-align:center;">${t('swap.syncing')}</p>`);
     
     const { data: requests, error } = await api.fetchMySwapRequests(state.currentUser.id);
 
-    if (error) return content.innerHTML = '<p class="error-text">Network error.</p>';
-    if (!requests || requests.length === 0) return content.innerHTML = '<p style="text-align:center; color:#666; padding:20px;">You have no active offers.</p>';
+    if (error) return render(content, html`<p class="error-text">${t('errors.network')}</p>`);
+    if (!requests || requests.length === 0) return render(content, html`<p style="text-align:center; color:#666; padding:20px;">${t('swap.noActiveOffers')}</p>`);
 
-    content.innerHTML = requests.map(req => `
+    render(content, requests.map(req => req.is_bundle ? renderMyBundleOffer(req) : html`
         <div class="swap-card" style="background:#1e1e1e; border-left:4px solid var(--primary-accent); border-radius:10px; padding:15px; margin-bottom:12px;">
             <div style="display:flex; justify-content:space-between; font-size:0.8em; color:#888; margin-bottom:10px;">
-                <span style="color:var(--primary-accent); font-weight:bold;">ACTIVE OFFER</span>
-                <span>${new Date(req.created_at).toLocaleDateString()}</span>
+                <span style="color:var(--primary-accent); font-weight:bold;">${t('swap.activeOffer')}</span>
+                <span>${formatExpiry(req.expires_at)}</span>
             </div>
             
             <div style="display:flex; align-items:center; justify-content:space-around;">
                 <div style="text-align:center;">
                     <img src="${req.offer_card.image_url}" style="width:45px; height:45px; border-radius:5px; opacity:0.7;">
-                    <div style="font-size:0.7em;">You Give</div>
+                    <div style="font-size:0.7em;">${t('swap.youGive')}</div>
                 </div>
                 <div style="font-size:1.2em;">➜</div>
                 <div style="text-align:center;">
-                    <img src="${req.request_card.image_url}" style="width:45px; height:45px; border-radius:5px; opacity:0.7;">
-                    <div style="font-size:0.7em;">You Ask</div>
+                    ${req.request_card
+                        ? html`<img src="${req.request_card.image_url}" style="width:45px; height:45px; border-radius:5px; opacity:0.7;">`
+                        : ''}
+                    ${Number(req.price_noub) > 0 ? html`<div style="font-size:0.8em; color:var(--primary-accent); font-weight:bold;">${req.price_noub} 🪙</div>` : ''}
+                    <div style="font-size:0.7em;">${t('swap.youAsk')}</div>
                 </div>
             </div>
 
-            <button class="action-button small danger" style="width:100%; margin-top:15px;" onclick="window.handleCancelOffer('${req.id}')">
-                Cancel Offer
+            <button class="action-button small danger" style="width:100%; margin-top:15px;" data-action="swap.cancel" data-request-id="${req.id}">
+                ${t('swap.cancelOffer')}
             </button>
         </div>
-    `).join('');
+    `));
+}
+
+function renderMyBundleOffer(req) {
+    const assets = req.assets || [];
+    return html`
+        <div class="swap-card" style="background:#1e1e1e; border-left:4px solid var(--primary-accent); border-radius:10px; padding:15px; margin-bottom:12px;">
+            <div style="display:flex; justify-content:space-between; font-size:0.8em; color:#888; margin-bottom:10px;">
+                <span style="color:var(--primary-accent); font-weight:bold;">${req.recipient_id ? t('swap.directTo', { name: req.recipient?.username || req.recipient_id.slice(0, 6) }) : t('swap.activeBundle')}</span>
+                <span>${formatExpiry(req.expires_at)}</span>
+            </div>
+            ${req.message ? html`<p style="font-size:0.75em; color:#aaa; font-style:italic; margin-bottom:8px;">"${req.message}"</p>` : ''}
+
+            <div style="display:flex; align-items:flex-start; justify-content:space-between; gap:8px;">
+                <div style="width:45%; min-width:0;">
+                    <div style="font-size:0.7em; margin-bottom:4px;">${t('swap.youGive')}</div>
+                    ${renderAssetChips(assets.filter(a => a.side === 'offer'))}
+                </div>
+                <div style="font-size:1.2em; align-self:center;">➜</div>
+                <div style="width:45%; min-width:0;">
+                    <div style="font-size:0.7em; margin-bottom:4px;">${t('swap.youAsk')}</div>
+                    ${renderAssetChips(assets.filter(a => a.side === 'request'))}
+                </div>
+            </div>
+
+            <div style="display:flex; gap:8px; margin-top:15px;">
+                ${req.thread_id ? html`<button class="action-button small" style="flex:1; background:#333;" data-action="swap.thread" data-thread-id="${req.thread_id}">${t('swap.history')}</button>` : ''}
+                <button class="action-button small danger" style="flex:1;" data-action="swap.cancel" data-request-id="${req.id}">
+                    ${t('swap.cancelOffer')}
+                </button>
+            </div>
+        </div>
+    `;
 }
 
 export async function handleCancelOffer(requestId) {
-    if (!confirm("Cancel this offer? Your card will be returned to you.")) return;
+    if (!(await confirmDialog(t('swap.cancelConfirm'), { danger: true }))) return;
 
-    // Need to fetch request first to know which instance to unlock
-    const { data: request } = await api.supabaseClient.from('swap_requests').select('card_instance_id_offer, player_id_offering').eq('id', requestId).single();
-    
-    if (request) {
-        const { error } = await api.cancelSwapRequest(requestId, request.player_id_offering, request.card_instance_id_offer);
-        if (!error) {
-            showToast("Offer cancelled.", 'success');
-            await refreshPlayerState();
-            renderMyRequests();
+    // The server releases the escrow (cards, items, currency) and closes the request in one step
+    const { error } = await api.cancelSwapRequest(requestId);
+    if (!error) {
+        showToast(t('swap.cancelled'), 'success');
+        await refreshPlayerState();
+        renderMyRequests();
+    } else {
+        showToast(error.message || t('swap.cancelFailed'), 'error');
+    }
+}
+
+// ========================================================
+// --- 5. DIRECT TRADES ---
+// ========================================================
+
+async function renderDirectTrades() {
+    const content = document.getElementById('swap-content-direct');
+    render(content, html`<p style="text-align:center;">${t('swap.syncing')}</p>`);
+
+    const { data: requests, error } = await api.fetchIncomingDirectTrades(state.currentUser.id);
+
+    if (error) return render(content, html`<p class="error-text">${t('errors.network')}</p>`);
+    incomingDirectTrades = requests || [];
+
+    const introHTML = html`
+        <p style="font-size:0.75em; color:#888; text-align:center; margin-bottom:12px;">
+            ${t('swap.directIntro')} <b>${t('swap.tabPost')}</b> ${t('swap.directIntroEnd')}
+        </p>
+    `;
+    if (incomingDirectTrades.length === 0) {
+        return render(content, html`${introHTML}<p style="text-align:center; color:#666; padding:20px;">${t('swap.noDirect')}</p>`);
+    }
+
+    render(content, [introHTML, ...incomingDirectTrades.map(req => {
+        const assets = req.assets || [];
+        const sender = req.offerer?.username || req.player_id_offering.slice(0, 6);
+        return html`
+            <div class="swap-card" style="background:#1a1a1a; border:1px solid var(--accent-blue); border-radius:12px; padding:12px; margin-bottom:12px;">
+                <div style="display:flex; justify-content:space-between; font-size:0.75em; color:#666; margin-bottom:10px;">
+                    <span>${t('swap.from')} <b style="color:#ccc;">${sender}</b></span>
+                    <span>${new Date(req.created_at).toLocaleDateString()}</span>
+                </div>
+                ${req.message ? html`<p style="font-size:0.75em; color:#aaa; font-style:italic; margin-bottom:8px;">"${req.message}"</p>` : ''}
+
+                <div style="display:flex; align-items:flex-start; justify-content:space-between; gap:8px;">
+                    <div style="width:45%; min-width:0;">
+                        <div style="font-size:0.65em; color:#888; margin-bottom:4px;">${t('swap.youGetTag')}</div>
+                        ${renderAssetChips(assets.filter(a => a.side === 'offer'))}
+                    </div>
+                    <div style="color:var(--primary-accent); font-size:1.5em; align-self:center;">⇄</div>
+                    <div style="width:45%; min-width:0;">
+                        <div style="font-size:0.65em; color:#888; margin-bottom:4px;">${t('swap.youGiveTag')}</div>
+                        ${renderAssetChips(assets.filter(a => a.side === 'request'))}
+                    </div>
+                </div>
+
+                <div style="display:flex; gap:6px; margin-top:15px;">
+                    <button class="action-button small" style="flex:1; background:var(--accent-blue); border:none;" data-action="swap.accept" data-request-id="${req.id}">${t('swap.accept')}</button>
+                    <button class="action-button small" style="flex:1;" data-action="swap.counter" data-request-id="${req.id}">${t('swap.counter')}</button>
+                    <button class="action-button small danger" style="flex:1;" data-action="swap.decline" data-request-id="${req.id}">${t('swap.decline')}</button>
+                </div>
+                <button class="action-button small" style="width:100%; margin-top:6px; background:#333;" data-action="swap.thread" data-thread-id="${req.thread_id}">${t('swap.history')}</button>
+            </div>
+        `;
+    })]);
+}
+
+async function handleDeclineDirect(requestId) {
+    if (!(await confirmDialog(t('swap.declineConfirm'), { danger: true }))) return;
+
+    const { error } = await api.declineDirectTrade(requestId);
+    if (error) return showToast(error.message, 'error');
+
+    showToast(t('swap.declined'), 'success');
+    renderDirectTrades();
+}
+
+/**
+ * Opens the bundle builder pre-filled with the mirror of a direct offer:
+ * what they asked for becomes what you give (using your own unlocked copies),
+ * what they offered becomes what you want. Everything stays editable.
+ */
+async function startCounterOffer(requestId) {
+    const req = incomingDirectTrades.find(r => r.id === requestId);
+    if (!req) return showToast(t('errors.swapNotActive'), 'error');
+
+    const draft = createEmptyBundleDraft();
+    draft.counterOf = req.id;
+    draft.counterName = req.offerer?.username || req.player_id_offering.slice(0, 6);
+    draft.recipient = req.player_id_offering;
+
+    const { data: myCards } = await api.fetchPlayerCards(state.currentUser.id);
+    const usedInstances = new Set();
+    let missingCards = 0;
+
+    for (const asset of req.assets || []) {
+        const target = asset.side === 'offer' ? draft.want : draft.give;
+        if (asset.asset_type === 'card') {
+            if (asset.side === 'offer') {
+                target.cards.push({ cardId: asset.card_id, name: asset.card?.name || t('auction.card') });
+            } else {
+                const copy = (myCards || []).find(c => c.card_id === asset.card_id && !c.is_locked && !usedInstances.has(c.instance_id));
+                if (!copy) { missingCards++; continue; }
+                usedInstances.add(copy.instance_id);
+                target.cards.push({ instanceId: copy.instance_id, cardId: asset.card_id, name: asset.card?.name || t('auction.card') });
+            }
+        } else if (asset.asset_type === 'item') {
+            target.items[asset.item_id] = { qty: Number(asset.quantity), name: asset.item?.name || t('swap.item') };
         } else {
-            showToast("Failed to cancel.", 'error');
+            target.currency[asset.currency] = Number(asset.quantity);
         }
     }
+
+    swapBundleData = draft;
+    swapOfferData.mode = 'bundle';
+    if (missingCards > 0) showToast(t('swap.missingForCounter', { count: missingCards }), 'info');
+    handleSwapTabSwitch('create');
+}
+
+function discardCounterOffer() {
+    swapBundleData = createEmptyBundleDraft();
+    handleSwapTabSwitch('direct');
+}
+
+const THREAD_ACTIONS = {
+    offer: { label: 'swap.threadOffer', color: 'var(--accent-blue)' },
+    counter: { label: 'swap.threadCounter', color: 'var(--primary-accent)' },
+    accept: { label: 'swap.threadAccepted', color: 'var(--success-color)' },
+    decline: { label: 'swap.threadDeclined', color: 'var(--danger-color)' },
+    cancel: { label: 'swap.threadCancelled', color: '#888' },
+    expire: { label: 'swap.threadExpired', color: '#888' }
+};
+
+/**
+ * Shows every revision of a negotiation with the assets each side put on the table.
+ */
+async function openTradeThread(threadId) {
+    const { data: entries, error } = await api.fetchTradeThread(threadId);
+    if (error || !entries) return showToast(t('swap.threadFailed'), 'error');
+
+    const modalId = 'trade-thread-modal';
+    const modal = ensureModal(modalId);
+
+    const entriesHTML = entries.map(entry => {
+        const action = THREAD_ACTIONS[entry.action] || THREAD_ACTIONS.offer;
+        const author = entry.author_id === state.currentUser.id ? t('swap.you') : (entry.author?.username || entry.author_id.slice(0, 6));
+        const showAssets = entry.action === 'offer' || entry.action === 'counter';
+        return html`
+            <div style="background:#252525; border-left:3px solid ${action.color}; padding:8px 10px; margin-bottom:8px; border-radius:6px;">
+                <div style="display:flex; justify-content:space-between; font-size:0.75em;">
+                    <span style="color:${action.color}; font-weight:bold;">${t(action.label)}</span>
+                    <span style="color:#888;">${author} • ${new Date(entry.created_at).toLocaleString()}</span>
+                </div>
+                ${entry.message ? html`<p style="font-size:0.75em; color:#aaa; font-style:italic; margin:6px 0 0;">"${entry.message}"</p>` : ''}
+                ${showAssets ? html`
+                    <div style="display:flex; gap:8px; margin-top:6px;">
+                        <div style="flex:1; min-width:0;"><div style="font-size:0.65em; color:#888;">${t('swap.givesTag')}</div>${renderAssetChips(entry.snapshot.filter(a => a.side === 'offer'))}</div>
+                        <div style="flex:1; min-width:0;"><div style="font-size:0.65em; color:#888;">${t('swap.asksTag')}</div>${renderAssetChips(entry.snapshot.filter(a => a.side === 'request'))}</div>
+                    </div>` : ''}
+            </div>
+        `;
+    });
+
+    render(modal, html`
+        <div class="modal-content" style="max-height:75vh;">
+            <button class="modal-close-btn" data-action="modal.close" data-modal-id="${modalId}">&times;</button>
+            <h3 style="text-align:center; margin-bottom:15px;">${t('swap.threadTitle')}</h3>
+            <div style="max-height:55vh; overflow-y:auto;">
+                ${entriesHTML.length ? entriesHTML : html`<p style="text-align:center; color:#666;">${t('swap.threadEmpty')}</p>`}
+            </div>
+        </div>
+    `);
+    openModal(modalId);
+}
+
+// ========================================================
+// --- 6. OFFER EXPIRY ---
+// ========================================================
+
+/**
+ * Starts the client-side expiry sweep: runs once now and then on a timer.
+ * The server expires the offers and returns the escrow; this only reports
+ * the player's own expired offers and refreshes the affected views.
+ */
+export function startSwapExpiryWatcher() {
+    if (expirySweepInterval) clearInterval(expirySweepInterval);
+    sweepExpiredOffers();
+    expirySweepInterval = setInterval(sweepExpiredOffers, EXPIRY_SWEEP_INTERVAL_MS);
+}
+
+async function sweepExpiredOffers() {
+    if (!state.currentUser) return;
+
+    await api.expireDueSwapRequests();
+    const { data: expired } = await api.acknowledgeExpiredOffers();
+    if (!expired || expired.length === 0) return;
+
+    const summary = expired.map(e => e.summary).join('; ');
+    showToast(t('swap.expiredToast', { summary }), 'info');
+    await refreshPlayerState();
+
+    const myOffersTab = document.getElementById('swap-content-my_requests');
+    if (myOffersTab && !myOffersTab.classList.contains('hidden')) renderMyRequests();
+}
+
+function formatExpiry(expiresAt) {
+    if (!expiresAt) return '';
+    const remaining = new Date(expiresAt).getTime() - Date.now();
+    if (remaining <= 0) return t('swap.expiring');
+    const hours = Math.floor(remaining / (1000 * 60 * 60));
+    if (hours >= 24) return t('swap.expiresInDays', { days: Math.floor(hours / 24), hours: hours % 24 });
+    if (hours >= 1) return t('swap.expiresInHours', { hours });
+    return t('swap.expiresInMinutes', { minutes: Math.max(1, Math.floor(remaining / (1000 * 60))) });
 }
 
 // ========================================================
-// --- HELPER & BINDING ---
+// --- HELPERS & ACTIONS ---
 // ========================================================
 
 function getRarityColor(level) {
@@ -471,21 +1392,49 @@ function getRarityColor(level) {
     }
 }
 
-// Export global handlers for HTML onclick
-window.openCardSelectorModal = openCardSelectorModal;
-window.selectCardForSwap = (mode, masterId, uniqueId, name) => {
+function selectCardForSwap(mode, masterId, uniqueId, name) {
+    closeModal('card-selector-modal');
+    if (cardSelectionHandler) {
+        const handler = cardSelectionHandler;
+        cardSelectionHandler = null;
+        return handler(masterId, uniqueId, name);
+    }
     if (mode === 'offer') {
-        window.SwapOfferData.offerCardId = masterId;
-        window.SwapOfferData.offerInstanceId = uniqueId;
-        window.SwapOfferData.offerCardName = name;
+        swapOfferData.offerCardId = masterId;
+        swapOfferData.offerInstanceId = uniqueId;
+        swapOfferData.offerCardName = name;
     } else {
-        window.SwapOfferData.requestCardId = masterId;
-        window.SwapOfferData.requestCardName = name;
+        swapOfferData.requestCardId = masterId;
+        swapOfferData.requestCardName = name;
     }
-    window.closeModal('card-selector-modal');
     renderCreateRequestUI();
-};
-window.finalizeSwapRequest = finalizeSwapRequest;
-window.handleAcceptSwap = handleAcceptSwap;
-window.executeAcceptance = executeAcceptance;
-window.handleCancelOffer = handleCancelOffer;
+}
+
+registerActions({
+    // Create offer
+    'swap.listingMode': (el) => setSwapListingMode(el.dataset.mode),
+    'swap.selectCard': (el) => openCardSelectorModal(el.dataset.mode),
+    'swap.pickCard': (el) => selectCardForSwap(el.dataset.mode, Number(el.dataset.cardId), el.dataset.instanceId || null, el.dataset.name),
+    'swap.price': (el) => setSwapPrice(el.value),
+    'swap.expiry': (el) => setSwapExpiry(Number(el.dataset.hours)),
+    'swap.publish': finalizeSwapRequest,
+    // Bundle builder
+    'swap.addCard': (el) => addBundleCard(el.dataset.side),
+    'swap.addItem': (el) => openItemSelectorModal(el.dataset.side),
+    'swap.pickItem': (el) => selectBundleItem(el.dataset.side, Number(el.dataset.itemId), el.dataset.name),
+    'swap.removeAsset': (el) => removeBundleAsset(el.dataset.side, el.dataset.type, el.dataset.type === 'card' ? Number(el.dataset.key) : el.dataset.key),
+    'swap.itemQty': (el) => setBundleItemQty(el.dataset.side, el.dataset.itemId, el.value),
+    'swap.currency': (el) => setBundleCurrency(el.dataset.side, el.dataset.ledger, el.value),
+    'swap.bundleField': (el) => setBundleField(el.dataset.field, el.value),
+    'swap.publishBundle': finalizeBundleRequest,
+    'swap.discardCounter': discardCounterOffer,
+    // Offers
+    'swap.accept': (el) => handleAcceptSwap(el.dataset.requestId),
+    'swap.payWith': (el) => executeAcceptance(el.dataset.requestId, el.dataset.instanceId),
+    'swap.acceptBundle': (el) => confirmBundleAcceptance(el.dataset.requestId, Number(el.dataset.slots)),
+    'swap.cancel': (el) => handleCancelOffer(el.dataset.requestId),
+    'swap.counter': (el) => startCounterOffer(el.dataset.requestId),
+    'swap.decline': (el) => handleDeclineDirect(el.dataset.requestId),
+    'swap.thread': (el) => openTradeThread(el.dataset.threadId),
+    'swap.share': (el) => shareSwapOffer(el.dataset.requestId)
+});
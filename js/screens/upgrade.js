@@ -9,6 +9,8 @@ import { state } from '../state.js';
 import * as api from '../api.js';
 import { showToast, navigateTo } from '../ui.js';
 import { refreshPlayerState } from '../auth.js';
+import { html, render } from '../html.js';
+import { t } from '../i18n.js';
 
 const upgradeSelectionContainer = document.getElementById('upgrade-card-selection-container');
 const upgradeDetailArea = document.getElementById('upgrade-detail-area');
@@ -30,11 +32,11 @@ export async function executeFactoryUpgrade(playerFactory) {
     if (!state.currentUser || !playerFactory) return;
 
     if (playerFactory.level >= FACTORY_UPGRADE_LEVEL_CAP) {
-        showToast('Factory has reached its maximum level.', 'error');
+        showToast(t('errors.factoryMaxLevel'), 'error');
         return;
     }
 
-    showToast('Processing factory upgrade...', 'info');
+    showToast(t('upgrade.processing'), 'info');
     
     // 1. Find the required material in player's inventory
     const requiredMaterialEntry = Array.from(state.inventory.values()).find(item => 
@@ -47,38 +49,19 @@ export async function executeFactoryUpgrade(playerFactory) {
 
     // Check costs against player state
     if (!materialId || playerNoub < FACTORY_UPGRADE_COST || playerMaterialQty < FACTORY_UPGRADE_QTY) {
-        showToast(`Error: Missing ${FACTORY_UPGRADE_ITEM_NAME} or ${FACTORY_UPGRADE_COST} NOUB for upgrade.`, 'error');
+        showToast(t('upgrade.missingCosts', { item: FACTORY_UPGRADE_ITEM_NAME, cost: FACTORY_UPGRADE_COST }), 'error');
         return;
     }
 
-    // 2. Consume Currencies and Materials
-    const newNoub = playerNoub - FACTORY_UPGRADE_COST;
-    const newMaterialQty = playerMaterialQty - FACTORY_UPGRADE_QTY;
-    
-    // Update profile (NOUB)
-    const profileUpdate = { noub_score: newNoub };
-    const { error: profileError } = await api.updatePlayerProfile(state.currentUser.id, profileUpdate);
-    
-    // Update inventory (Material)
-    const { error: inventoryError } = await api.updateItemQuantity(state.currentUser.id, materialId, newMaterialQty);
-
-    if (profileError || inventoryError) {
-        showToast('Error consuming resources for upgrade!', 'error');
-        return;
-    }
-    
-    // 3. Update Factory Level
-    const newLevel = playerFactory.level + 1;
-    const { error: factoryError } = await api.updatePlayerFactoryLevel(playerFactory.id, newLevel); 
-    
-    if (factoryError) {
-        showToast('Error updating factory level!', 'error');
+    // 2. Consume Currencies and Materials, raise the level and grant the XP (one server call)
+    const { data, error: upgradeError } = await api.upgradeFactory(state.currentUser.id, playerFactory.id);
+    if (upgradeError) {
+        showToast(upgradeError.message, 'error');
         return;
     }
-    // --- ADD XP FOR UPGRADE ---
-    await api.addXp(state.currentUser.id, 20); // Grant 20 XP for a factory upgrade (example value)
 
-    showToast(`Factory Upgraded! ${playerFactory.factories.name} LVL ${playerFactory.level} → LVL ${newLevel}`, 'success');
+    showToast(t('upgrade.factoryUpgraded', { name: playerFactory.factories.name, from: playerFactory.level, to: data.level }), 'success');
+    if (data.leveled_up) showToast(t('common.levelUp', { level: state.playerProfile.level }), 'success');
     
     await refreshPlayerState(); 
     
@@ -100,17 +83,17 @@ export async function renderUpgrade() {
 
     // Clear previous details
     upgradeDetailArea.classList.add('hidden'); 
-    upgradeSelectionContainer.innerHTML = 'Loading cards...';
+    render(upgradeSelectionContainer, t('upgrade.loading'));
 
     const { data: playerCards, error } = await api.fetchPlayerCards(state.currentUser.id);
 
     if (error || !playerCards) {
-        upgradeSelectionContainer.innerHTML = '<p class="error-message">Error fetching cards.</p>';
+        render(upgradeSelectionContainer, html`<p class="error-message">${t('upgrade.loadFailed')}</p>`);
         return;
     }
 
     if (playerCards.length === 0) {
-        upgradeSelectionContainer.innerHTML = '<p style="grid-column: 1 / -1; text-align: center;">You have no cards to upgrade. Visit the Shop!</p>';
+        render(upgradeSelectionContainer, html`<p style="grid-column: 1 / -1; text-align: center;">${t('upgrade.empty')}</p>`);
         return;
     }
     
@@ -122,7 +105,7 @@ export async function renderUpgrade() {
         }
     });
 
-    upgradeSelectionContainer.innerHTML = '';
+    render(upgradeSelectionContainer, '');
 
     for (const [cardId, pc] of cardTypes.entries()) {
         const card = pc.cards;
@@ -131,16 +114,16 @@ export async function renderUpgrade() {
         cardElement.className = `card-stack`;
         cardElement.setAttribute('data-rarity', card.rarity_level || 0);
         
-        cardElement.innerHTML = `
+        render(cardElement, html`
             <img src="${card.image_url || 'images/default_card.png'}" alt="${card.name}" class="card-image">
             <h4>${card.name}</h4>
             <div class="card-details">
-                <span class="card-level">LVL ${pc.level}</span>
+                <span class="card-level">${t('upgrade.cardLevel', { level: pc.level })}</span>
             </div>
-        `;
+        `);
         
         cardElement.onclick = () => {
-            showToast('Upgrade cards is done from the "My Cards" screen.', 'info');
+            showToast(t('upgrade.useMyCards'), 'info');
             navigateTo('collection-screen'); 
         };
         
@@ -7,42 +7,43 @@
 
 import { state } from '../state.js';
 import * as api from '../api.js';
-import { showToast, updateHeaderUI } from '../ui.js';
+import { showToast, updateHeaderUI, openModal } from '../ui.js';
+import { html, render, registerActions } from '../html.js';
 import { refreshPlayerState } from '../auth.js';
 import { trackDailyActivity } from './contracts.js';
+import { t } from '../i18n.js';
 
 const wheelContainer = document.getElementById('wheel-screen');
 
-// --- Simple 1-10 Thematic Dice Roll Prizes (IDs correspond to the 1-10 roll result) ---
-const WHEEL_PRIZES = [
-    { id: 1, type: 'noub', value: 100, label: 'Small NOUB Find', icon: '🐍' }, // Snake
-    { id: 2, type: 'noub', value: 300, label: '300 NOUB', icon: '🏺' }, // Jar
-    { id: 3, type: 'spin_ticket', value: 2, label: '2 Tickets', icon: '📜' }, // Papyrus Scroll
-    { id: 4, type: 'noub', value: 50, label: 'Minor NOUB Find', icon: '𓋹' }, // Djed Pillar (Stability)
-    { id: 5, type: 'prestige', value: 3, label: '3 Prestige', icon: '🐞' }, // Scarab
-    { id: 6, type: 'noub', value: 500, label: '500 NOUB', icon: '🪙' }, // NOUB Coin
-    { id: 7, type: 'ankh_premium', value: 5, label: '5 Ankh', icon: '☥' }, // Ankh
-    { id: 8, type: 'card_pack', value: 1, label: '1x Papyrus Pack', icon: '🏛️' }, // Temple/Collection
-    { id: 9, type: 'noub', value: 750, label: 'Major NOUB Find', icon: '👑' }, // Crown
-    { id: 10, type: 'jackpot', value: 50, label: '50 Prestige JACKPOT!', icon: '🌟' } // Star/Jackpot
-];
+// --- Thematic icons of the prizes, by slot_rewards id. The prizes themselves
+// are the slot_rewards rows the server draws from (wheel_spin, sql/016) ---
+const PRIZE_ICONS = {
+    1: '🐍', // Snake
+    2: '🏺', // Jar
+    3: '📜', // Papyrus Scroll
+    4: '𓋹', // Djed Pillar (Stability)
+    5: '🐞', // Scarab
+    6: '🪙', // NOUB Coin
+    7: '☥', // Ankh
+    8: '🏛️', // Temple/Collection
+    9: '👑', // Crown
+    10: '🌟' // Star/Jackpot
+};
+
+let wheelPrizes = [];
 
 const SPIN_COST = 1; 
 
 let isSpinning = false;
 
 
-/**
- * Selects a prize based on a simple 1-10 dice roll.
- */
-function getSimpleRandomPrize() {
-    const rollResult = Math.floor(Math.random() * 10) + 1;
-    return WHEEL_PRIZES.find(p => p.id === rollResult);
-}
-
 /**
  * Renders the base wheel structure and view elements.
  */
+registerActions({
+    'wheel.openPrizes': () => openModal('wheel-prize-modal')
+});
+
 export async function renderWheel() {
     if (!state.currentUser) return;
 
@@ -53,36 +54,36 @@ export async function renderWheel() {
     
     // Inject core structure if it doesn't exist
     if (!wheelContainer.querySelector('.wheel-container')) {
-        wheelContainer.innerHTML = `
+        render(wheelContainer, html`
             <div class="wheel-container game-container" style="text-align: center;">
-                <h2>Dice of Destiny</h2>
+                <h2>${t('wheel.title')}</h2>
                 <!-- NEW: Dice Result Display uses Icon and Number -->
                 <div id="dice-result-container" class="dice-result-container">
                     <span id="dice-icon-display" class="icon-lg">🎲</span>
                 </div>
                 
-                <div id="prize-description" style="min-height: 20px; color: var(--text-secondary); margin-bottom: 15px;">Roll the dice to win a prize!</div>
+                <div id="prize-description" style="min-height: 20px; color: var(--text-secondary); margin-bottom: 15px;">${t('wheel.prompt')}</div>
                 
-                <button id="wheel-spin-button" class="action-button spin-button">ROLL DICE (${SPIN_COST} TICKET)</button>
-                <p id="wheel-spins-left" class="balance-info">Spin Tickets: 0</p>
+                <button id="wheel-spin-button" class="action-button spin-button">${t('wheel.roll', { count: SPIN_COST })}</button>
+                <p id="wheel-spins-left" class="balance-info">${t('wheel.tickets', { count: 0 })}</p>
                 
                 <!-- NEW: Info Button to open prize list -->
-                <button id="prize-info-btn" class="text-button" onclick="window.openPrizeModal()">View Prize Table</button>
+                <button id="prize-info-btn" class="text-button" data-action="wheel.openPrizes">${t('wheel.viewPrizeTable')}</button>
             </div>
-        `;
+        `);
         
         // Inject the Prize Modal structure (since this is simpler than a separate file)
         if (!document.getElementById('wheel-prize-modal')) {
              const modal = document.createElement('div');
              modal.id = 'wheel-prize-modal';
              modal.className = 'modal-overlay hidden';
-             modal.innerHTML = `
+             render(modal, html`
                  <div class="modal-content">
-                     <button class="modal-close-btn" onclick="window.closeModal('wheel-prize-modal')">&times;</button>
-                     <h2>Prize Table (1-10)</h2>
+                     <button class="modal-close-btn" data-action="modal.close" data-modal-id="wheel-prize-modal">&times;</button>
+                     <h2>${t('wheel.prizeTable')}</h2>
                      <ul id="prize-table-list" style="list-style: none; padding: 0;"></ul>
                  </div>
-             `;
+             `);
              document.body.appendChild(modal);
         }
     }
@@ -92,15 +93,18 @@ export async function renderWheel() {
     
     if (!spinBtn || !prizeListEl) return;
     
-    // 1. Render Prize Table in Modal
-    prizeListEl.innerHTML = WHEEL_PRIZES.map(p => `
+    // 1. Render Prize Table in Modal (the prizes that can still be drawn)
+    const { data: slotRewards } = await api.fetchSlotRewards();
+    wheelPrizes = (slotRewards || [])
+        .filter(p => p.weight > 0)
+        .sort((a, b) => a.id - b.id)
+        .map(p => ({ ...p, icon: PRIZE_ICONS[p.id] || '🎲' }));
+    render(prizeListEl, wheelPrizes.map(p => html`
         <li style="display: flex; justify-content: space-between; padding: 5px; border-bottom: 1px dashed #3a3a3c;">
             <span style="font-weight: bold; color: var(--kv-gate-color);">[${p.id}] ${p.icon}</span>
             <span>${p.label}</span>
         </li>
-    `).join('');
-    
-    window.openPrizeModal = () => window.openModal('wheel-prize-modal');
+    `));
 
     // 2. Attach Listener
     spinBtn.onclick = runWheelSpin;
@@ -114,10 +118,10 @@ function updateWheelUIState() {
     const spinBtn = document.getElementById('wheel-spin-button');
     const spinsDisplay = document.getElementById('wheel-spins-left');
 
-    if (spinsDisplay) spinsDisplay.textContent = `Spin Tickets: ${spins}`;
+    if (spinsDisplay) spinsDisplay.textContent = t('wheel.tickets', { count: spins });
     if (spinBtn) {
         spinBtn.disabled = isSpinning || spins < SPIN_COST;
-        spinBtn.textContent = `ROLL DICE (${SPIN_COST} TICKET)`;
+        spinBtn.textContent = t('wheel.roll', { count: SPIN_COST });
     }
 }
 
@@ -130,7 +134,7 @@ async function runWheelSpin() {
     const spinBtn = document.getElementById('wheel-spin-button');
 
     if (isSpinning || spins < SPIN_COST) {
-        showToast('Not enough Spin Tickets!', 'error');
+        showToast(t('errors.notEnough.tickets'), 'error');
         return;
     }
     
@@ -139,22 +143,27 @@ async function runWheelSpin() {
     const diceResultEl = document.getElementById('dice-icon-display');
     const prizeDescEl = document.getElementById('prize-description');
 
-    // 1. Consume ticket
-    const newTickets = spins - SPIN_COST;
-    await api.updatePlayerProfile(state.currentUser.id, { spin_tickets: newTickets });
+    // 1. Spend the ticket; the server rolls and pays the prize
+    const { data: spin, error: spinError } = await api.spinWheel(state.currentUser.id);
+    if (spinError) {
+        showToast(spinError.message, 'error');
+        isSpinning = false;
+        updateWheelUIState();
+        return;
+    }
     
-    showToast("Rolling the dice...", 'info');
+    showToast(t('wheel.rolling'), 'info');
     trackDailyActivity('games', 1, 'wheel');
 
-    // 2. Simple Random Roll
-    const prize = getSimpleRandomPrize();
+    // 2. The rolled prize, with its icon
+    const prize = { ...spin.prize, icon: PRIZE_ICONS[spin.prize.id] || '🎲' };
     const rollResult = prize.id;
     
     // 3. Simple Visual Animation (Fast counting for effect)
     let animationCount = 0;
     const animationInterval = setInterval(() => {
-        const tempPrize = WHEEL_PRIZES[Math.floor(Math.random() * WHEEL_PRIZES.length)];
-        diceResultEl.textContent = tempPrize.icon;
+        const tempPrize = wheelPrizes[Math.floor(Math.random() * wheelPrizes.length)];
+        diceResultEl.textContent = tempPrize?.icon || '🎲';
         diceResultEl.style.color = `hsl(${Math.random() * 360}, 70%, 70%)`; // Flash colors
         animationCount++;
         if (animationCount > 30) { 
@@ -172,52 +181,15 @@ async function runWheelSpin() {
         }
     }, 50);
 
-    prizeDescEl.textContent = `...Rolling for Prize #${rollResult}...`;
+    prizeDescEl.textContent = t('wheel.rollingFor', { id: rollResult });
 }
 
 /**
- * Awards the prize based on the roll result.
+ * Announces the prize the server has already paid.
  */
 async function handleWheelPrize(prize) {
     if (!state.currentUser || !prize) return;
     
-    let profileUpdates = {};
-    const prizeDescEl = document.getElementById('prize-description');
-
-    switch (prize.type) {
-        case 'noub':
-            profileUpdates.noub_score = (state.playerProfile.noub_score || 0) + prize.value;
-            break;
-        case 'prestige':
-            profileUpdates.prestige = (state.playerProfile.prestige || 0) + prize.value;
-            break;
-        case 'ankh_premium':
-            profileUpdates.ankh_premium = (state.playerProfile.ankh_premium || 0) + prize.value;
-            break;
-        case 'spin_ticket':
-            profileUpdates.spin_tickets = (state.playerProfile.spin_tickets || 0) + prize.value;
-            break;
-        case 'card_pack':
-            const { data: masterCards } = await api.fetchAllMasterCards();
-            if (masterCards && masterCards.length > 0) {
-                const randomCard = masterCards[Math.floor(Math.random() * masterCards.length)];
-                await api.addCardToPlayerCollection(state.currentUser.id, randomCard.id);
-            }
-            break;
-        case 'jackpot':
-            profileUpdates.prestige = (state.playerProfile.prestige || 0) + prize.value;
-            break;
-    }
-    
-    if (Object.keys(profileUpdates).length > 0) {
-        const { error } = await api.updatePlayerProfile(state.currentUser.id, profileUpdates);
-        
-        if (error) {
-            showToast('Error awarding prize!', 'error');
-            return;
-        }
-    }
-    
     await api.logActivity(state.currentUser.id, 'WHEEL_ROLL', `Rolled a ${prize.id} and won ${prize.label}.`);
-    showToast(`WIN: ${prize.label}`, 'success');
+    showToast(t('rewards.win', { prize: prize.label }), 'success');
 }
@@ -1,10 +1,18 @@
 /*
  * Filename: js/state.js
- * Version: NOUB 0.0.6 (Core State - NOUB & ANKH Rework)
+ * Version: NOUB 0.1.0 (Reactive Store)
  * Description: Holds the shared state of the application.
- * Updated: Player profile currencies to reflect NOUB and ANKH premium.
+ * Reads stay plain (`state.playerProfile.noub_score`). Writes go through
+ * setState / mutateState so that subscribers are told about them:
+ *   - subscribe(path, cb)  'playerProfile', 'playerProfile.noub_score', 'derived.canAfford'
+ *   - batch(fn)            one notification round for many writes
+ *   - derive(name, deps, compute)  cached values under state.derived
+ * Notifications are delivered once per microtask, so several writes in the
+ * same tick also collapse into one round.
 */
 
+import { CURRENCY_MAP } from './config.js';
+
 // Create the state object once as a constant.
 const state = {
     currentUser: null,       // Supabase user object
@@ -12,7 +20,161 @@ const state = {
     inventory: new Map(),    // Player's inventory (Resources, Materials, Goods)
     consumables: new Map(),  // Game consumable items (Hints, Time Amulets)
     ucp: new Map(),          // UCP protocol data (Eve's answers)
+    playerCards: [],         // Owned card instances (with their master card)
+    factories: [],           // Owned factories (with recipes and assigned expert)
+    swapRequests: new Map(), // Live swap_requests rows involving the player (realtime feed)
+    realtimeStatus: 'idle',  // 'idle' | 'connecting' | 'live' | 'reconnecting'
+    syncQueue: { pending: 0, status: 'idle' }, // Offline outbox (js/outbox.js): 'idle' | 'syncing' | 'waiting' | 'offline'
+    clock: Date.now(),       // Ticks every 30s so time-based derived values refresh
+    language: 'en',          // UI language (js/i18n.js): 'en' | 'ar'
+    derived: {},             // Values registered with derive()
 };
 
+// --- Store internals ---
+
+const subscribers = new Set();   // { path, root, cb, last }
+const derivations = [];          // { name, deps, compute }
+const pendingRoots = new Set();
+let batchDepth = 0;
+let flushScheduled = false;
+let clockTimer = null;
+
+function rootOf(path) {
+    const parts = path.split('.');
+    return parts[0] === 'derived' ? parts.slice(0, 2).join('.') : parts[0];
+}
+
+function readPath(path) {
+    return path.split('.').reduce((value, key) => {
+        if (value == null) return undefined;
+        return value instanceof Map ? value.get(key) : value[key];
+    }, state);
+}
+
+function sameValue(a, b) {
+    if (Object.is(a, b)) return true;
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => Object.is(v, b[i]));
+}
+
+function scheduleFlush() {
+    if (batchDepth > 0 || flushScheduled) return;
+    flushScheduled = true;
+    queueMicrotask(flush);
+}
+
+function flush() {
+    flushScheduled = false;
+    if (pendingRoots.size === 0) return;
+    const changed = new Set(pendingRoots);
+    pendingRoots.clear();
+
+    // Derived values first (in registration order, so they may depend on each other)
+    for (const d of derivations) {
+        if (!d.deps.some(dep => changed.has(rootOf(dep)))) continue;
+        const next = d.compute(state);
+        if (!sameValue(next, state.derived[d.name])) {
+            state.derived[d.name] = next;
+            changed.add(`derived.${d.name}`);
+        }
+    }
+
+    for (const sub of [...subscribers]) {
+        if (!changed.has(sub.root) || !subscribers.has(sub)) continue;
+        const value = readPath(sub.path);
+        // Whole collections are mutated in place, so a root subscriber always hears about it
+        if (sub.path !== sub.root && sameValue(value, sub.last)) continue;
+        sub.last = value;
+        try {
+            sub.cb(value, state);
+        } catch (err) {
+            console.error(`State subscriber for '${sub.path}' failed:`, err);
+        }
+    }
+}
+
+// --- Public API ---
+
+/**
+ * Marks a top-level key (or a derived name, 'derived.x') as changed.
+ */
+function notify(key) {
+    pendingRoots.add(rootOf(key));
+    scheduleFlush();
+}
+
+/**
+ * Replaces a top-level value and notifies its subscribers.
+ */
+function setState(key, value) {
+    state[key] = value;
+    notify(key);
+}
+
+/**
+ * Changes a collection in place (Map.set, array push, object field) and
+ * notifies its subscribers. The mutator receives the current value.
+ */
+function mutateState(key, mutator) {
+    const result = mutator(state[key]);
+    notify(key);
+    return result;
+}
+
+/**
+ * Runs fn (sync or async) and delivers all notifications it causes in one
+ * round once it finishes.
+ */
+async function batch(fn) {
+    batchDepth++;
+    try {
+        return await fn();
+    } finally {
+        batchDepth--;
+        if (batchDepth === 0) scheduleFlush();
+    }
+}
+
+/**
+ * Calls cb(value, state) whenever the value at path changes.
+ * @param {string} path - e.g. 'playerProfile', 'playerProfile.level', 'derived.readyFactories'.
+ * @param {Function} cb
+ * @param {{immediate?: boolean}} [options] - immediate: also call once right away.
+ * @returns {Function} Unsubscribe.
+ */
+function subscribe(path, cb, { immediate = false } = {}) {
+    const sub = { path, root: rootOf(path), cb, last: readPath(path) };
+    subscribers.add(sub);
+    if (immediate) cb(sub.last, state);
+    return () => subscribers.delete(sub);
+}
+
+/**
+ * Registers a derived value, recomputed whenever one of its dependencies
+ * changes and readable as state.derived[name].
+ */
+function derive(name, deps, compute) {
+    derivations.push({ name, deps, compute });
+    state.derived[name] = compute(state);
+}
+
+/**
+ * Starts the 30s clock that refreshes time-based derived values.
+ */
+function startStateClock(intervalMs = 30000) {
+    if (clockTimer) return;
+    clockTimer = setInterval(() => setState('clock', Date.now()), intervalMs);
+}
+
+// --- Shared derived values ---
+
+// state.derived.canAfford({ noub: 500, prestige: 10 }) -> boolean
+derive('canAfford', ['playerProfile'], ({ playerProfile }) => (cost = {}) => {
+    if (!playerProfile) return false;
+    return Object.entries(cost).every(([ledger, amount]) => {
+        const currency = Object.values(CURRENCY_MAP).find(c => c.ledger === ledger);
+        return (playerProfile[currency?.key] || 0) >= amount;
+    });
+});
+
 // Export the single, shared instance of the state object.
-export { state };
+export { state, setState, mutateState, batch, subscribe, derive, notify, startStateClock };
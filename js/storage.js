@@ -0,0 +1,65 @@
+/*
+ * Filename: js/storage.js
+ * Version: NOUB 0.1.0 (Device Storage)
+ * Description:
+ * A small key/value store on the device for data that must survive a reload
+ * or a closed Telegram WebView (the offline outbox, the local backend's
+ * tables). Values go to IndexedDB; where it is unavailable (some private
+ * modes) they fall back to localStorage as JSON.
+ */
+
+const IDB_NAME = 'noub';
+const IDB_STORE = 'kv';
+const STORAGE_PREFIX = 'noub_';
+
+let opening = null;
+
+function openIndexedDb() {
+    if (!opening) {
+        opening = new Promise((resolve, reject) => {
+            if (!window.indexedDB) return reject(new Error('IndexedDB unavailable'));
+            const request = indexedDB.open(IDB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        opening.catch(() => {}); // remembered: every later call uses the fallback
+    }
+    return opening;
+}
+
+/**
+ * Reads a stored value.
+ * @returns {Promise<*>} The value, or null if nothing was stored.
+ */
+export async function loadValue(key) {
+    try {
+        const idb = await openIndexedDb();
+        return await new Promise((resolve, reject) => {
+            const request = idb.transaction(IDB_STORE, 'readonly').objectStore(IDB_STORE).get(key);
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => reject(request.error);
+        });
+    } catch (err) {
+        const raw = localStorage.getItem(STORAGE_PREFIX + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+}
+
+/**
+ * Stores a value (structured-cloneable; plain JSON when falling back).
+ * Resolves once the write is durable.
+ */
+export async function saveValue(key, value) {
+    try {
+        const idb = await openIndexedDb();
+        await new Promise((resolve, reject) => {
+            const tx = idb.transaction(IDB_STORE, 'readwrite');
+            tx.objectStore(IDB_STORE).put(value, key);
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    } catch (err) {
+        localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    }
+}
@@ -0,0 +1,113 @@
+/*
+ * Filename: js/sync.js
+ * Version: NOUB 0.1.0 (Delta Sync)
+ * Description:
+ * Keeps the store current without reloading everything after each click.
+ * Mutations in api.js ask Supabase to return the rows they changed and hand
+ * them to applyDelta(), which patches only those entries of `state`.
+ * Changes made elsewhere arrive through js/realtime.js.
+ * refreshPlayerState() stays the source of truth: startReconcile() runs it
+ * every few minutes and whenever the app comes back to the foreground, so
+ * anything the realtime feed missed is caught up.
+ */
+
+import { state, setState, mutateState, batch } from './state.js';
+
+const RECONCILE_INTERVAL_MS = 120000;
+
+let reconcileTimer = null;
+let lastReconcileAt = 0;
+
+function isCurrentPlayer(playerId) {
+    return !!playerId && state.currentUser?.id === playerId;
+}
+
+/**
+ * Merges rows into an array state key by id. Rows that only carry some
+ * columns (e.g. an update returning `production_start_time`) keep the joined
+ * data of the existing entry.
+ */
+function mergeRows(key, idKey, rows) {
+    mutateState(key, list => {
+        rows.forEach(row => {
+            const existing = list.find(entry => entry[idKey] === row[idKey]);
+            if (existing) Object.assign(existing, row);
+            else list.push(row);
+        });
+    });
+}
+
+/**
+ * Applies the rows returned by a mutation to local state in one batch.
+ * Deltas for other players (the far side of a trade) are ignored.
+ * @param {string} playerId - Owner of the changed rows.
+ * @param {object} delta
+ * @param {object} [delta.profile] - Changed profile columns.
+ * @param {object[]} [delta.inventory] - player_inventory rows ({ item_id, quantity, items? }).
+ * @param {object[]} [delta.consumables] - game_consumables rows ({ item_key, quantity }).
+ * @param {object[]} [delta.cards] - player_cards rows (inserted or updated).
+ * @param {string[]} [delta.removedCards] - Deleted card instance ids.
+ * @param {object[]} [delta.factories] - player_factories rows (inserted or updated).
+ */
+export function applyDelta(playerId, delta) {
+    if (!delta || !isCurrentPlayer(playerId)) return;
+
+    batch(() => {
+        if (delta.profile && state.playerProfile) {
+            mutateState('playerProfile', profile => Object.assign(profile, delta.profile));
+        }
+
+        if (delta.inventory?.length) {
+            mutateState('inventory', inventory => {
+                delta.inventory.forEach(row => {
+                    const details = row.items || inventory.get(row.item_id)?.details || null;
+                    inventory.set(row.item_id, { qty: row.quantity, details });
+                });
+            });
+        }
+
+        if (delta.consumables?.length) {
+            mutateState('consumables', consumables => {
+                delta.consumables.forEach(row => consumables.set(row.item_key, row.quantity));
+            });
+        }
+
+        if (delta.cards?.length) mergeRows('playerCards', 'instance_id', delta.cards);
+        if (delta.removedCards?.length) {
+            const removed = new Set(delta.removedCards);
+            setState('playerCards', state.playerCards.filter(card => !removed.has(card.instance_id)));
+        }
+
+        if (delta.factories?.length) mergeRows('factories', 'id', delta.factories);
+    });
+}
+
+/**
+ * Starts the background reconcile. The refresh function is passed in by
+ * auth.js (which owns refreshPlayerState) to keep this module import-free
+ * of the screens.
+ * @param {Function} refresh - Full reload, i.e. refreshPlayerState.
+ * @param {number} [intervalMs]
+ */
+export function startReconcile(refresh, intervalMs = RECONCILE_INTERVAL_MS) {
+    if (reconcileTimer) return;
+
+    const run = async () => {
+        lastReconcileAt = Date.now();
+        try {
+            await refresh();
+        } catch (err) {
+            console.error('State reconcile failed:', err);
+        }
+    };
+
+    lastReconcileAt = Date.now();
+    reconcileTimer = setInterval(() => {
+        if (document.visibilityState === 'visible') run();
+    }, intervalMs);
+
+    // Telegram keeps the WebView alive in the background; catch up on return
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && Date.now() - lastReconcileAt > intervalMs / 4) run();
+    });
+}
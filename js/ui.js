@@ -7,45 +7,39 @@
 */
 
 // --- Core Imports ---
-import { state } from './state.js';
+import { state, subscribe } from './state.js';
 import { ASSET_PATHS } from './config.js';
-
-// --- Screen Module Imports ---
-import * as collectionModule from './screens/collection.js';
-// import * as upgradeModule from './screens/upgrade.js'; // DEPRECATED: Upgrade logic is now in collection.js
-import * as historyModule from './screens/history.js';
-import * as libraryModule from './screens/library.js';
-import * as settingsModule from './screens/settings.js';
-import * as albumsModule from './screens/albums.js';
-import * as wheelModule from './screens/wheel.js';
-import * as exchangeModule from './screens/exchange.js';
-import * as activityModule from './screens/activity.js';
-import * as tasksModule from './screens/tasks.js';
-import * as projectsModule from './screens/projects.js';
-import { renderProfile } from './screens/profile.js';
-import { openShopModal } from './screens/shop.js';
-import { renderProduction } from './screens/economy.js';
-import { renderActiveContracts, renderAvailableContracts } from './screens/contracts.js';
-import { renderKVGame } from './screens/kvgame.js';
-import { renderChat } from './screens/chat.js';
-import { renderHome } from './screens/home.js';
-import { renderMsGame } from './screens/ms_game.js'; 
-// ADD THIS LINE: Import the new render function (if you decide to use it)
-import { renderSwapScreen, handleCancelOffer } from './screens/swap_screen.js'; // <-- ADD handleCancelOffer HERE
-
-
-// --- Re-exporting render functions for standardized access ---
-export const renderCollection = collectionModule.renderCollection;
-// export const renderUpgrade = upgradeModule.renderUpgrade; // DEPRECATED
-export const renderHistory = historyModule.renderHistory;
-export const renderLibrary = libraryModule.renderLibrary;
-export const renderSettings = settingsModule.renderSettings;
-export const renderAlbums = albumsModule.renderAlbums;
-export const renderWheel = wheelModule.renderWheel;
-export const renderActivity = activityModule.renderActivity;
-export const renderExchange = exchangeModule.renderExchange;
-export const renderTasks = tasksModule.renderTasks;
-export const renderProjects = projectsModule.renderProjects;
+import { setErrorNotifier, handleError, userMessage } from './errors.js';
+import { initRouter, navigate, pathOfScreen, pushModal, popModal } from './router.js';
+import { t, applyTranslations } from './i18n.js';
+import { html, render, registerActions } from './html.js';
+
+// --- Screen Modules ---
+// Each screen's module is fetched with import() on its first visit, so the
+// boot only pays for the home screen. render(module) draws the screen.
+const SCREEN_MODULES = {
+    'home-screen': { load: () => import('./screens/home.js'), render: m => m.renderHome() },
+    'collection-screen': { load: () => import('./screens/collection.js'), render: m => m.renderCollection() },
+    'economy-screen': { load: () => import('./screens/economy.js'), render: m => m.renderProduction() },
+    'albums-screen': { load: () => import('./screens/albums.js'), render: m => m.renderAlbums() },
+    'tasks-screen': { load: () => import('./screens/tasks.js'), render: m => m.renderTasks() },
+    'projects-screen': { load: () => import('./screens/projects.js'), render: m => m.renderProjects() },
+    'contracts-screen': {
+        load: () => import('./screens/contracts.js'),
+        render: m => { m.renderActiveContracts(); m.renderAvailableContracts(); }
+    },
+    'kv-game-screen': { load: () => import('./screens/kvgame.js'), render: m => m.renderKVGame() },
+    'profile-screen': { load: () => import('./screens/profile.js'), render: m => m.renderProfile() },
+    'chat-screen': { load: () => import('./screens/chat.js'), render: m => m.renderChat() },
+    'history-screen': { load: () => import('./screens/history.js'), render: m => m.renderHistory() },
+    'library-screen': { load: () => import('./screens/library.js'), render: m => m.renderLibrary() },
+    'settings-screen': { load: () => import('./screens/settings.js'), render: m => m.renderSettings() },
+    'wheel-screen': { load: () => import('./screens/wheel.js'), render: m => m.renderWheel() },
+    'exchange-screen': { load: () => import('./screens/exchange.js'), render: m => m.renderExchange() },
+    'activity-screen': { load: () => import('./screens/activity.js'), render: m => m.renderActivity() },
+    'ms-game-screen': { load: () => import('./screens/ms_game.js'), render: m => m.renderMsGame() }, // Idle Drop Generator
+    'swap-screen': { load: () => import('./screens/swap_screen.js'), render: m => m.renderSwapScreen() } // P2P Swap Market
+};
 
 
 // --- Game Juice & Effects Helper Functions ---
@@ -106,22 +100,299 @@ export function triggerNotificationHaptic(notificationType = 'success') {
 }
 
 
-// --- Core UI Utility Functions ---
+// --- Modal Manager ---
+// Modals stack: the one opened last is drawn on top, takes the keyboard focus
+// (Tab stays inside it) and is the one that Escape, a tap on the backdrop or
+// the Telegram back button closes. Closing it hands the focus back to
+// whatever had it before.
+
+const MODAL_BASE_Z_INDEX = 200; // .modal-overlay in style.css
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Open modals, bottom first: { id, returnFocus, onClose, mainButton }
+const modalStack = [];
+
+function topModal() {
+    return modalStack[modalStack.length - 1] || null;
+}
+
+/**
+ * The modal's overlay element. Modals without a placeholder in index.html
+ * get an empty one on first use.
+ */
+export function ensureModal(modalId) {
+    let modal = document.getElementById(modalId);
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = modalId;
+        modal.className = 'modal-overlay hidden';
+        document.body.appendChild(modal);
+    }
+    return modal;
+}
+
+function restackModals() {
+    modalStack.forEach((entry, i) => {
+        const modal = document.getElementById(entry.id);
+        if (modal) modal.style.zIndex = String(MODAL_BASE_Z_INDEX + i);
+    });
+}
+
+// Focuses the element marked data-autofocus, else the modal's panel
+function focusModal(modal) {
+    const target = modal.querySelector('[data-autofocus]') || modal.querySelector('.modal-content') || modal;
+    if (!target.matches(FOCUSABLE)) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+}
+
+function trapFocus(modal, event) {
+    const focusable = [...modal.querySelectorAll(FOCUSABLE)].filter(el => el.offsetParent !== null);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = modal.contains(document.activeElement);
+    if (event.shiftKey && (!inside || document.activeElement === first)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (!inside || document.activeElement === last)) {
+        event.preventDefault();
+        first.focus();
+    }
+}
 
-window.closeModal = function(modalId) {
+/**
+ * Inside Telegram the MainButton stands in for the top modal's main action
+ * (openModal's mainButton option); the modal then hides its own copy of the
+ * button (.uses-main-button in style.css).
+ */
+function syncMainButton() {
+    const tg = window.Telegram?.WebApp;
+    if (!tg?.initData || !tg.MainButton) return;
+    const top = topModal();
+    modalStack.forEach(entry => {
+        document.getElementById(entry.id)?.classList.toggle('uses-main-button', entry === top && !!entry.mainButton);
+    });
+    if (!top?.mainButton) {
+        tg.MainButton.hide();
+        return;
+    }
+    const danger = getComputedStyle(document.documentElement).getPropertyValue('--danger-color').trim();
+    tg.MainButton.setParams({
+        text: top.mainButton.text,
+        color: top.mainButton.danger ? danger : (tg.themeParams?.button_color || '#D4AF37'),
+        is_visible: true,
+        is_active: true
+    });
+}
+
+export function closeModal(modalId) {
     const modal = document.getElementById(modalId);
     if (modal) {
         modal.classList.add('hidden');
+        modal.classList.remove('uses-main-button');
+        modal.style.zIndex = '';
     }
+    releaseModalBinding(modalId);
+
+    const index = modalStack.findIndex(entry => entry.id === modalId);
+    if (index !== -1) {
+        const [entry] = modalStack.splice(index, 1);
+        restackModals();
+        syncMainButton();
+        if (index === modalStack.length) {
+            const below = topModal();
+            if (entry.returnFocus?.isConnected) entry.returnFocus.focus({ preventScroll: true });
+            else if (below) focusModal(document.getElementById(below.id));
+        }
+        popModal(modalId);
+        entry.onClose?.();
+        return;
+    }
+    popModal(modalId);
 }
 
-export function openModal(modalId) {
+/**
+ * Shows a modal on top of the open ones and adds it to the back stack
+ * (js/router.js), so the Telegram back button closes it. Opening a modal that
+ * is already open (to redraw it) keeps its place in the stack.
+ * @param {string} modalId
+ * @param {object} [options]
+ * @param {string} [options.route] - The path the modal stands for, e.g.
+ *        'collection/card/12', shown in the URL while it is open.
+ * @param {Function} [options.onClose] - Called once the modal is closed, however that happens.
+ * @param {{text: string, onClick: Function, danger?: boolean}} [options.mainButton] -
+ *        The modal's main action, shown as the Telegram MainButton while the modal is on top.
+ */
+export function openModal(modalId, { route, onClose, mainButton } = {}) {
     const modal = document.getElementById(modalId);
-    if (modal) {
-        modal.classList.remove('hidden');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+
+    let entry = modalStack.find(e => e.id === modalId);
+    if (entry) {
+        if (onClose) entry.onClose = onClose;
+        if (mainButton) entry.mainButton = mainButton;
+    } else {
+        entry = { id: modalId, returnFocus: document.activeElement, onClose, mainButton };
+        modalStack.push(entry);
+        restackModals();
+    }
+    syncMainButton();
+    // A redraw replaces the focused element; keep the focus inside the modal
+    if (entry === topModal() && !modal.contains(document.activeElement)) focusModal(modal);
+    pushModal(modalId, route);
+}
+
+// Close buttons: <button class="modal-close-btn" data-action="modal.close" data-modal-id="...">
+registerActions({
+    'modal.close': (el) => closeModal(el.dataset.modalId)
+});
+
+function setupModalEvents() {
+    document.addEventListener('keydown', (event) => {
+        const top = topModal();
+        if (!top) return;
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            closeModal(top.id);
+        } else if (event.key === 'Tab') {
+            trapFocus(document.getElementById(top.id), event);
+        } else if (event.key === 'Enter' && event.target.matches?.('.dialog-input')) {
+            event.preventDefault();
+            confirmOpenDialog?.();
+        }
+    });
+
+    // A tap on the dimmed backdrop closes the top modal. Both ends of the tap
+    // must be on the backdrop, so a drag out of the panel does not.
+    let pressedOn = null;
+    document.addEventListener('pointerdown', (event) => { pressedOn = event.target; }, { passive: true });
+    document.addEventListener('click', (event) => {
+        const top = topModal();
+        if (top && event.target.id === top.id && pressedOn === event.target) closeModal(top.id);
+    });
+
+    window.Telegram?.WebApp?.MainButton?.onClick(() => topModal()?.mainButton?.onClick());
+}
+
+// --- Dialogs ---
+// Themed replacements for confirm() and prompt(), which look out of place
+// (or do nothing) inside Telegram. They use the #confirmation-modal host and
+// resolve when it closes; a new dialog cancels one that is still open.
+
+const DIALOG_ID = 'confirmation-modal';
+let confirmOpenDialog = null; // Confirms the open dialog (its button, Enter or the MainButton)
+
+function openDialog({ title, message, confirmText, cancelText, danger, input, readValue, cancelValue }) {
+    if (modalStack.some(entry => entry.id === DIALOG_ID)) closeModal(DIALOG_ID);
+    const modal = ensureModal(DIALOG_ID);
+    render(modal, html`
+        <div class="modal-content dialog" role="alertdialog" aria-modal="true" aria-labelledby="dialog-title" aria-describedby="dialog-message">
+            <h3 id="dialog-title">${title}</h3>
+            <p id="dialog-message" class="dialog-message">${message}</p>
+            ${input}
+            <div class="dialog-actions">
+                <button class="action-button small dialog-cancel" data-action="dialog.cancel" ${input ? '' : 'data-autofocus'}>${cancelText}</button>
+                <button class="action-button small dialog-confirm ${danger ? 'danger' : ''}" data-action="dialog.confirm">${confirmText}</button>
+            </div>
+        </div>
+    `);
+
+    return new Promise(resolve => {
+        let result = cancelValue;
+        const confirm = () => {
+            result = readValue(modal);
+            closeModal(DIALOG_ID);
+        };
+        confirmOpenDialog = confirm;
+        openModal(DIALOG_ID, {
+            mainButton: { text: confirmText, danger, onClick: confirm },
+            onClose: () => {
+                if (confirmOpenDialog === confirm) confirmOpenDialog = null;
+                resolve(result);
+            }
+        });
+    });
+}
+
+/**
+ * Asks the player to confirm an action.
+ *   if (!(await confirmDialog("Burn this card?", { danger: true }))) return;
+ * @param {string} message
+ * @param {{title?: string, confirmText?: string, cancelText?: string, danger?: boolean}} [options] -
+ *        danger: paints the confirm button red, for actions that cannot be undone.
+ * @returns {Promise<boolean>} true when confirmed; Cancel, Escape, the backdrop and back resolve false.
+ */
+export function confirmDialog(message, { title = t('common.confirmTitle'), confirmText = t('common.confirm'), cancelText = t('common.cancel'), danger = false } = {}) {
+    return openDialog({ title, message, confirmText, cancelText, danger, input: null, readValue: () => true, cancelValue: false });
+}
+
+/**
+ * Asks the player for a line of text.
+ * @param {string} message
+ * @param {{title?: string, defaultValue?: string, placeholder?: string, type?: string,
+ *          confirmText?: string, cancelText?: string}} [options] - type: the input type, e.g. 'number'.
+ * @returns {Promise<string|null>} The entered text, or null when cancelled.
+ */
+export function promptDialog(message, { title = t('common.confirmTitle'), defaultValue = '', placeholder = '', type = 'text', confirmText = t('common.confirm'), cancelText = t('common.cancel') } = {}) {
+    const input = html`<input class="dialog-input" type="${type}" value="${defaultValue}" placeholder="${placeholder}" data-autofocus>`;
+    return openDialog({
+        title, message, confirmText, cancelText, danger: false, input,
+        readValue: modal => modal.querySelector('.dialog-input').value,
+        cancelValue: null
+    });
+}
+
+registerActions({
+    'dialog.confirm': () => confirmOpenDialog?.(),
+    'dialog.cancel': () => closeModal(DIALOG_ID)
+});
+
+// modalId -> unsubscribe functions of the modal's state bindings
+const modalBindings = new Map();
+
+function releaseModalBinding(modalId) {
+    (modalBindings.get(modalId) || []).forEach(unsubscribe => unsubscribe());
+    modalBindings.delete(modalId);
+}
+
+/**
+ * Keeps an open modal in sync with the store: render() runs whenever one of
+ * the state paths changes, until the modal is closed. Re-binding the same
+ * modal replaces the previous binding.
+ * @param {string} modalId
+ * @param {string[]} paths - State paths, e.g. ['inventory', 'playerProfile'].
+ * @param {Function} render - Rebuilds the modal content.
+ */
+export function bindModalToState(modalId, paths, render) {
+    releaseModalBinding(modalId);
+    const onChange = () => {
+        const modal = document.getElementById(modalId);
+        if (!modal || modal.classList.contains('hidden')) return releaseModalBinding(modalId);
+        render();
+    };
+    modalBindings.set(modalId, paths.map(path => subscribe(path, onChange)));
+}
+
+/**
+ * Shows a count bubble on a bottom-nav item (hidden when count is 0).
+ * @param {string} targetId - The nav item's data-target, e.g. 'tasks-screen'.
+ */
+export function setNavBadge(targetId, count) {
+    const navItem = document.querySelector(`.nav-item[data-target="${targetId}"]`);
+    if (!navItem) return;
+    let badge = navItem.querySelector('.nav-badge');
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'nav-badge';
+        navItem.appendChild(badge);
     }
+    badge.textContent = count > 9 ? '9+' : String(count);
+    badge.classList.toggle('hidden', !count);
 }
-window.openModal = openModal;
 
 export function showToast(message, type = 'info') {
     const toastContainer = document.getElementById('toast-container');
@@ -132,7 +403,26 @@ export function showToast(message, type = 'info') {
     toastContainer.appendChild(toast);
     setTimeout(() => toast.remove(), 3000);
 }
-window.showToast = showToast;
+
+/**
+ * Shares a link through Telegram's share sheet, or copies it outside Telegram.
+ * @returns {Promise<boolean>} false when neither worked (clipboard blocked).
+ */
+export async function shareLink(url, text = '') {
+    const tg = window.Telegram?.WebApp;
+    if (tg?.initData && tg.openTelegramLink) {
+        tg.openTelegramLink(`https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`);
+        return true;
+    }
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast(t('common.linkCopied'), 'success');
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+setErrorNotifier(showToast); // handleError() (js/errors.js) reports through the toasts
 
 const contentContainer = document.getElementById('content-container');
 const navItems = document.querySelectorAll('.nav-item');
@@ -144,13 +434,22 @@ const navItems = document.querySelectorAll('.nav-item');
 let isFirstNavigation = true;
 
 /**
- * The main navigation router for the application.
+ * Opens a screen as a new step in the back stack (js/router.js).
+ * @param {string} targetId - The ID of the screen element to navigate to.
+ */
+export function navigateTo(targetId) {
+    navigate(pathOfScreen(targetId));
+}
+
+/**
+ * Shows a screen for the router.
  * It manages screen visibility, updates the active state of navigation buttons,
  * and calls the appropriate render function for the target screen.
  * This version includes a fix to prevent sound playback on initial load.
- * @param {string} targetId - The ID of the screen element to navigate to.
+ * @param {string} targetId - The ID of the screen element to show.
+ * @returns {Promise} Settles once the screen's module is loaded and drawn.
  */
-export function navigateTo(targetId) {
+function showScreen(targetId) {
     // 1. Manage Screen Visibility: Hide all screens, then show the target screen.
     contentContainer.querySelectorAll('.screen').forEach(s => s.classList.add('hidden'));
     const screen = document.getElementById(targetId);
@@ -176,70 +475,111 @@ export function navigateTo(targetId) {
     // After the first programmatic navigation, all subsequent calls will be from user actions.
     isFirstNavigation = false;
 
-    // 4. Render Screen Content: Call the specific render function for the target screen.
-    switch (targetId) {
-        case 'home-screen':
-            renderHome();
-            break;
-        case 'collection-screen':
-            collectionModule.renderCollection();
-            break;
-        case 'economy-screen':
-            renderProduction();
-            break;
-        case 'albums-screen':
-            albumsModule.renderAlbums();
-            break;
-        case 'tasks-screen':
-            tasksModule.renderTasks();
-            break;
-        case 'projects-screen':
-            projectsModule.renderProjects();
-            break;
-        case 'contracts-screen':
-            renderActiveContracts();
-            renderAvailableContracts();
-            break;
-        case 'kv-game-screen':
-            renderKVGame();
-            break;
-        case 'profile-screen':
-            renderProfile();
-            break;
-        case 'chat-screen':
-            renderChat();
-            break;
-        case 'history-screen':
-            historyModule.renderHistory();
-            break;
-        case 'library-screen':
-            libraryModule.renderLibrary();
-            break;
-        case 'settings-screen':
-            settingsModule.renderSettings();
-            break;
-        case 'wheel-screen':
-            wheelModule.renderWheel();
-            break;
-        case 'exchange-screen':
-            exchangeModule.renderExchange();
-            break;
-        case 'activity-screen':
-            activityModule.renderActivity();
-            break;
-        
-        // --- NEW: Idle Drop and P2P Swap Screen Links ---
-        case 'ms-game-screen': // Idle Drop Generator
-            // Assuming the render function is available (via import or global scope)
-            renderMsGame(); 
-            break;
-        case 'swap-screen': // P2P Swap Market
-            renderSwapScreen(); // <--- Call the new render function
-            // For now, it could be empty or navigate to an existing screen for temporary use
-            // If you have a temporary render function, use it here, otherwise just leave it to load the empty screen
-            break;
-        // --- END NEW ---
+    // 4. Render Screen Content: loads the screen's module on its first visit
+    return renderScreen(targetId);
+}
+
+// --- Screen Loading ---
+
+const SKELETON_DELAY_MS = 150; // cached modules resolve sooner: no skeleton flash
+
+const screenLoads = new Map(); // targetId -> Promise of the module
+const failedLoads = new Map(); // targetId -> number of failed attempts
+
+/**
+ * Imports a screen's module once; later calls share the same promise.
+ * A failed import is forgotten, so the next call tries again.
+ */
+export function loadScreen(targetId) {
+    const entry = SCREEN_MODULES[targetId];
+    if (!entry) return Promise.resolve(null);
+    if (!screenLoads.has(targetId)) {
+        const loading = entry.load();
+        loading.catch(() => screenLoads.delete(targetId));
+        screenLoads.set(targetId, loading);
     }
+    return screenLoads.get(targetId);
+}
+
+async function renderScreen(targetId) {
+    const entry = SCREEN_MODULES[targetId];
+    const screen = document.getElementById(targetId);
+    if (!entry || !screen) return;
+
+    const skeletonTimer = setTimeout(() => showScreenPlaceholder(screen, SKELETON_HTML), SKELETON_DELAY_MS);
+    try {
+        const module = await loadScreen(targetId);
+        clearTimeout(skeletonTimer);
+        screen.querySelector('.screen-placeholder')?.remove();
+        failedLoads.delete(targetId);
+        if (screen.classList.contains('hidden')) return; // the player moved on meanwhile
+        entry.render(module);
+        prefetchLikelyScreens();
+    } catch (err) {
+        clearTimeout(skeletonTimer);
+        showScreenLoadError(screen, targetId, err);
+    }
+}
+
+const SKELETON_HTML = html`
+    <div class="skeleton-line wide"></div>
+    <div class="skeleton-block"></div>
+    <div class="skeleton-line"></div>
+    <div class="skeleton-line"></div>
+`;
+
+function showScreenPlaceholder(screen, content) {
+    let placeholder = screen.querySelector('.screen-placeholder');
+    if (!placeholder) {
+        placeholder = document.createElement('div');
+        placeholder.className = 'screen-placeholder';
+        screen.prepend(placeholder);
+    }
+    render(placeholder, content);
+    return placeholder;
+}
+
+/**
+ * Replaces the skeleton with the reason and a retry button. Some browsers
+ * remember a failed module fetch for the whole page, so after a second
+ * failure the button reloads the app instead (the route is kept in the hash).
+ */
+function showScreenLoadError(screen, targetId, err) {
+    const appErr = handleError(err, `loadScreen ${targetId}`, { silent: true });
+    const attempts = (failedLoads.get(targetId) || 0) + 1;
+    failedLoads.set(targetId, attempts);
+
+    const placeholder = showScreenPlaceholder(screen, html`
+        <p class="screen-load-error">${userMessage(appErr)}</p>
+        <button class="action-button small">${t(attempts > 1 ? 'common.reloadApp' : 'common.tryAgain')}</button>
+    `);
+    placeholder.querySelector('button').addEventListener('click', () => {
+        if (attempts > 1) return window.location.reload();
+        showScreenPlaceholder(screen, SKELETON_HTML);
+        renderScreen(targetId);
+    });
+}
+
+// --- Prefetching ---
+
+let prefetchStarted = false;
+
+/**
+ * After the first screen is drawn, loads the bottom-nav screens one by one
+ * while the device is idle: they are the likeliest next taps, and the
+ * economy and tasks modules keep the nav badges up to date once loaded.
+ */
+function prefetchLikelyScreens() {
+    if (prefetchStarted) return;
+    prefetchStarted = true;
+    const queue = [...document.querySelectorAll('.bottom-nav a[data-target]')].map(item => item.dataset.target);
+    const whenIdle = window.requestIdleCallback || (callback => setTimeout(callback, 200));
+    const next = () => {
+        const targetId = queue.shift();
+        if (!targetId) return;
+        whenIdle(() => loadScreen(targetId).catch(() => {}).finally(next));
+    };
+    next();
 }
 
 
@@ -255,6 +595,37 @@ export function updateHeaderUI(profile) {
     }
 }
 
+// The header follows the profile on its own
+subscribe('playerProfile', updateHeaderUI);
+
+/**
+ * Shows how many changes are still waiting in the offline outbox.
+ */
+function updateSyncIndicator(syncQueue) {
+    const indicator = document.getElementById('sync-indicator');
+    if (!indicator) return;
+    const { pending = 0, status = 'idle' } = syncQueue || {};
+    indicator.classList.toggle('hidden', !pending && status !== 'offline');
+    indicator.classList.toggle('offline', status === 'offline');
+    if (status === 'offline') indicator.textContent = pending ? t('sync.offlinePending', { count: pending }) : t('sync.offline');
+    else if (status === 'syncing') indicator.textContent = t('sync.syncing', { count: pending });
+    else indicator.textContent = t('sync.pending', { count: pending });
+    indicator.title = pending ? t('sync.pendingTitle', { count: pending }) : t('sync.noConnection');
+}
+subscribe('syncQueue', updateSyncIndicator);
+
+/**
+ * A language switch (js/i18n.js) re-translates the static markup and
+ * redraws the open screen in the new language.
+ */
+function handleLanguageChange() {
+    applyTranslations();
+    updateSyncIndicator(state.syncQueue);
+    const openScreen = contentContainer.querySelector('.screen:not(.hidden)');
+    if (openScreen && state.playerProfile) renderScreen(openScreen.id);
+}
+subscribe('language', handleLanguageChange);
+
 function setupNavEvents() {
     document.querySelectorAll('.bottom-nav a[data-target]').forEach(item => {
         item.addEventListener('click', () => navigateTo(item.dataset.target));
@@ -273,9 +644,14 @@ function setupNavEvents() {
         });
     }
     const bottomShopBtn = document.getElementById('bottom-shop-btn');
-    if (bottomShopBtn) bottomShopBtn.addEventListener('click', () => {
+    if (bottomShopBtn) bottomShopBtn.addEventListener('click', async () => {
         playSound('click');
-        openShopModal();
+        try {
+            const { openShopModal } = await import('./screens/shop.js');
+            openShopModal();
+        } catch (err) {
+            handleError(err, 'loadShop');
+        }
     });
     const moreBtn = document.getElementById('more-nav-btn');
     if (moreBtn) moreBtn.addEventListener('click', () => {
@@ -288,7 +664,7 @@ function setupMoreMenuEvents() {
     const handleMoreClick = (event) => {
         event.preventDefault();
         const targetId = event.currentTarget.dataset.target;
-        window.closeModal('more-modal');
+        closeModal('more-modal');
         navigateTo(targetId);
     };
     const moreMenuItems = document.querySelectorAll('#more-modal .more-menu-item');
@@ -303,8 +679,17 @@ function setupMoreMenuEvents() {
  * A global setup function that initializes all static event listeners for the UI.
  */
 export function setupEventListeners() {
+    initRouter({ showScreen, hideModal: closeModal });
     setupNavEvents();
     setupMoreMenuEvents();
+    setupModalEvents();
+
+    // A touch on a screen link starts loading its module before the click lands
+    document.addEventListener('pointerdown', (event) => {
+        const link = event.target.closest?.('a[data-target]');
+        if (link) loadScreen(link.dataset.target).catch(() => {});
+    }, { passive: true });
+    loadScreen('home-screen').catch(() => {}); // fetched while the session is checked
 
     const stockTabs = document.querySelectorAll('.stock-tab-btn');
     stockTabs.forEach(tab => {
@@ -0,0 +1,185 @@
+/*
+ * Filename: sql/001_currency_ledger.sql
+ * Version: NOUB v4.1.0 (Server-Authoritative Currency Ledger)
+ * Description:
+ * Every NOUB / Prestige / Ankh Premium / Spin Ticket change goes through the
+ * functions below. Balances on `profiles` are guarded by a trigger, so a client
+ * can no longer write an absolute balance with a plain UPDATE. Clients may only
+ * debit themselves (ledger_debit); credits come from server functions that
+ * compute the amount for their own source.
+ *
+ * Currency codes match the reward objects used by the client:
+ *   noub -> noub_score | prestige -> prestige | ankh -> ankh_premium | tickets -> spin_tickets
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. LEDGER TABLE
+-- -----------------------------------------------------------------------------
+create table if not exists public.currency_ledger (
+    id            bigserial primary key,
+    player_id     uuid        not null references public.profiles(id) on delete cascade,
+    currency      text        not null check (currency in ('noub', 'prestige', 'ankh', 'tickets')),
+    delta         numeric     not null,
+    balance_after numeric     not null,
+    reason        text        not null,
+    ref_type      text,
+    ref_id        text,
+    transfer_id   uuid,
+    created_at    timestamptz not null default now()
+);
+
+create index if not exists currency_ledger_player_idx on public.currency_ledger (player_id, created_at desc);
+create index if not exists currency_ledger_ref_idx on public.currency_ledger (ref_type, ref_id);
+
+alter table public.currency_ledger enable row level security;
+
+drop policy if exists "ledger_read_own" on public.currency_ledger;
+create policy "ledger_read_own" on public.currency_ledger
+    for select using (auth.uid() = player_id);
+
+-- -----------------------------------------------------------------------------
+-- 2. BALANCE GUARD
+-- Only code running inside _ledger_apply (which raises the transaction-local
+-- flag) may change a balance column.
+-- -----------------------------------------------------------------------------
+create or replace function public.guard_profile_balances()
+returns trigger
+language plpgsql
+as $$
+begin
+    if coalesce(current_setting('noub.ledger_write', true), '') <> 'on' and (
+           new.noub_score   is distinct from old.noub_score
+        or new.prestige     is distinct from old.prestige
+        or new.ankh_premium is distinct from old.ankh_premium
+        or new.spin_tickets is distinct from old.spin_tickets
+    ) then
+        raise exception 'BALANCE_WRITE_DENIED: balances change only through the currency ledger';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_balances on public.profiles;
+create trigger profiles_guard_balances
+    before update on public.profiles
+    for each row execute function public.guard_profile_balances();
+
+-- -----------------------------------------------------------------------------
+-- 3. CORE APPLY (internal, not callable by clients)
+-- p_deltas: {"noub": -250, "prestige": 5}. Raises INSUFFICIENT_FUNDS:<code>
+-- when any balance would go negative; the whole call is rolled back.
+-- Returns the new balances keyed by column name.
+-- -----------------------------------------------------------------------------
+create or replace function public._ledger_apply(
+    p_player_id   uuid,
+    p_deltas      jsonb,
+    p_reason      text,
+    p_ref_type    text default null,
+    p_ref_id      text default null,
+    p_transfer_id uuid default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_columns  constant jsonb := '{"noub":"noub_score","prestige":"prestige","ankh":"ankh_premium","tickets":"spin_tickets"}';
+    v_currency text;
+    v_delta    numeric;
+    v_column   text;
+    v_balance  numeric;
+    v_result   jsonb;
+begin
+    if p_reason is null or length(trim(p_reason)) = 0 then
+        raise exception 'LEDGER_REASON_REQUIRED';
+    end if;
+
+    perform 1 from profiles where id = p_player_id for update;
+    if not found then
+        raise exception 'LEDGER_NO_PROFILE';
+    end if;
+
+    perform set_config('noub.ledger_write', 'on', true);
+
+    for v_currency, v_delta in
+        select key, value::numeric from jsonb_each_text(coalesce(p_deltas, '{}'::jsonb))
+    loop
+        v_column := v_columns ->> v_currency;
+        if v_column is null then
+            raise exception 'LEDGER_UNKNOWN_CURRENCY:%', v_currency;
+        end if;
+        continue when v_delta = 0;
+
+        execute format('update profiles set %1$I = coalesce(%1$I, 0) + $1 where id = $2 returning %1$I', v_column)
+            into v_balance
+            using v_delta, p_player_id;
+
+        if v_balance < 0 then
+            raise exception 'INSUFFICIENT_FUNDS:%', v_currency;
+        end if;
+
+        insert into currency_ledger (player_id, currency, delta, balance_after, reason, ref_type, ref_id, transfer_id)
+        values (p_player_id, v_currency, v_delta, v_balance, p_reason, p_ref_type, p_ref_id, p_transfer_id);
+    end loop;
+
+    perform set_config('noub.ledger_write', 'off', true);
+
+    select jsonb_build_object(
+        'noub_score',   coalesce(noub_score, 0),
+        'prestige',     coalesce(prestige, 0),
+        'ankh_premium', coalesce(ankh_premium, 0),
+        'spin_tickets', coalesce(spin_tickets, 0)
+    ) into v_result
+    from profiles where id = p_player_id;
+
+    return v_result;
+end;
+$$;
+
+revoke all on function public._ledger_apply(uuid, jsonb, text, text, text, uuid) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 4. CLIENT ENTRY POINTS
+-- -----------------------------------------------------------------------------
+
+-- Debits the caller's own balances (costs, fees, entry tickets). Amounts are
+-- positive and are subtracted; every credit is computed by a server function
+-- for its own reward source (see 016), so no client call can mint currency.
+create or replace function public.ledger_debit(
+    p_player_id uuid,
+    p_amounts   jsonb,
+    p_reason    text,
+    p_ref_type  text default null,
+    p_ref_id    text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_debits jsonb;
+begin
+    if auth.uid() is distinct from p_player_id then
+        raise exception 'LEDGER_FORBIDDEN';
+    end if;
+    if exists (select 1 from jsonb_each_text(coalesce(p_amounts, '{}'::jsonb)) where value::numeric < 0) then
+        raise exception 'LEDGER_NEGATIVE_AMOUNT';
+    end if;
+
+    select coalesce(jsonb_object_agg(key, -(value::numeric)), '{}'::jsonb)
+      into v_debits
+      from jsonb_each_text(coalesce(p_amounts, '{}'::jsonb));
+
+    return _ledger_apply(p_player_id, v_debits, p_reason, p_ref_type, p_ref_id, null);
+end;
+$$;
+
+-- Player-to-player movements (market, auctions, swaps) happen only inside the
+-- trade functions of 002 - 006, which call _ledger_apply with a shared
+-- transfer_id.
+drop function if exists public.ledger_apply(uuid, jsonb, text, text, text);
+drop function if exists public.ledger_transfer(uuid, uuid, jsonb, text, text, text);
+
+grant execute on function public.ledger_debit(uuid, jsonb, text, text, text) to authenticated;
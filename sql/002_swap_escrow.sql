@@ -0,0 +1,243 @@
+/*
+ * Filename: sql/002_swap_escrow.sql
+ * Version: NOUB v4.2.0 (Escrowed P2P Swaps)
+ * Description:
+ * The offered card of a swap request is held in `card_escrow` from the moment
+ * the offer is published. Accepting an offer runs as one transaction: both
+ * cards move, the escrow is released, the request is closed and the
+ * `swap_transactions` row is written - or nothing happens at all.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. ESCROW TABLE
+-- -----------------------------------------------------------------------------
+create table if not exists public.card_escrow (
+    instance_id uuid        primary key references public.player_cards(instance_id) on delete restrict,
+    owner_id    uuid        not null references public.profiles(id) on delete cascade,
+    request_id  uuid        not null references public.swap_requests(id) on delete cascade,
+    created_at  timestamptz not null default now()
+);
+
+create index if not exists card_escrow_request_idx on public.card_escrow (request_id);
+
+alter table public.card_escrow enable row level security;
+
+drop policy if exists "escrow_read_own" on public.card_escrow;
+create policy "escrow_read_own" on public.card_escrow
+    for select using (auth.uid() = owner_id);
+
+-- -----------------------------------------------------------------------------
+-- 2. ESCROW GUARD
+-- An escrowed card cannot be unlocked, transferred or deleted except by the
+-- swap functions below (which raise the transaction-local flag).
+-- -----------------------------------------------------------------------------
+create or replace function public.guard_escrowed_cards()
+returns trigger
+language plpgsql
+as $$
+begin
+    if coalesce(current_setting('noub.swap_write', true), '') = 'on' then
+        return coalesce(new, old);
+    end if;
+
+    if exists (select 1 from card_escrow where instance_id = old.instance_id) then
+        if tg_op = 'DELETE'
+           or new.player_id is distinct from old.player_id
+           or new.is_locked is distinct from old.is_locked then
+            raise exception 'CARD_IN_ESCROW';
+        end if;
+    end if;
+    return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists player_cards_guard_escrow on public.player_cards;
+create trigger player_cards_guard_escrow
+    before update or delete on public.player_cards
+    for each row execute function public.guard_escrowed_cards();
+
+-- -----------------------------------------------------------------------------
+-- 3. SHARED HELPERS (internal)
+-- -----------------------------------------------------------------------------
+
+-- Raises unless the instance belongs to p_owner, is unlocked, is not the Soul
+-- Card and is not working as a factory expert. Returns the master card id.
+create or replace function public._swap_assert_tradeable(p_instance_id uuid, p_owner uuid)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_card player_cards%rowtype;
+begin
+    select * into v_card from player_cards where instance_id = p_instance_id for update;
+    if not found or v_card.player_id is distinct from p_owner then
+        raise exception 'SWAP_NOT_OWNER';
+    end if;
+    if v_card.is_locked then
+        raise exception 'SWAP_CARD_LOCKED';
+    end if;
+    if v_card.card_id = 9999 then
+        raise exception 'SWAP_SOULBOUND';
+    end if;
+    if exists (select 1 from player_factories where assigned_card_instance_id = p_instance_id) then
+        raise exception 'SWAP_CARD_IS_EXPERT';
+    end if;
+    return v_card.card_id;
+end;
+$$;
+
+-- Returns the escrowed card of a request to its owner and sets the final status.
+-- Shared by cancellation (and any future expiry job).
+create or replace function public._swap_release_escrow(p_request_id uuid, p_status text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform set_config('noub.swap_write', 'on', true);
+
+    update player_cards pc
+       set is_locked = false
+      from card_escrow e
+     where e.request_id = p_request_id
+       and pc.instance_id = e.instance_id;
+
+    delete from card_escrow where request_id = p_request_id;
+
+    update swap_requests set status = p_status where id = p_request_id;
+
+    perform set_config('noub.swap_write', 'off', true);
+end;
+$$;
+
+revoke all on function public._swap_assert_tradeable(uuid, uuid) from public, anon, authenticated;
+revoke all on function public._swap_release_escrow(uuid, text) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 4. CLIENT ENTRY POINTS
+-- -----------------------------------------------------------------------------
+
+create or replace function public.swap_create(
+    p_offer_instance_id uuid,
+    p_request_card_id   bigint,
+    p_price_noub        numeric default 0
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player     uuid := auth.uid();
+    v_offer_card bigint;
+    v_request_id uuid;
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+    if not exists (select 1 from cards where id = p_request_card_id) then
+        raise exception 'SWAP_UNKNOWN_CARD';
+    end if;
+
+    v_offer_card := _swap_assert_tradeable(p_offer_instance_id, v_player);
+
+    insert into swap_requests (player_id_offering, card_instance_id_offer, item_id_offer, item_id_request, price_noub, status)
+    values (v_player, p_offer_instance_id, v_offer_card, p_request_card_id, coalesce(p_price_noub, 0), 'active')
+    returning id into v_request_id;
+
+    perform set_config('noub.swap_write', 'on', true);
+    update player_cards set is_locked = true where instance_id = p_offer_instance_id;
+    insert into card_escrow (instance_id, owner_id, request_id) values (p_offer_instance_id, v_player, v_request_id);
+    perform set_config('noub.swap_write', 'off', true);
+
+    return v_request_id;
+end;
+$$;
+
+create or replace function public.swap_accept(
+    p_request_id          uuid,
+    p_counter_instance_id uuid
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player       uuid := auth.uid();
+    v_request      swap_requests%rowtype;
+    v_counter_card bigint;
+    v_card_name    text;
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+
+    select * into v_request from swap_requests where id = p_request_id for update;
+    if not found or v_request.status <> 'active' then
+        raise exception 'SWAP_NOT_ACTIVE';
+    end if;
+    if v_request.player_id_offering = v_player then
+        raise exception 'SWAP_OWN_OFFER';
+    end if;
+    if not exists (select 1 from card_escrow where request_id = p_request_id and instance_id = v_request.card_instance_id_offer) then
+        raise exception 'SWAP_ESCROW_MISSING';
+    end if;
+
+    v_counter_card := _swap_assert_tradeable(p_counter_instance_id, v_player);
+    if v_counter_card is distinct from v_request.item_id_request then
+        raise exception 'SWAP_WRONG_CARD';
+    end if;
+
+    perform set_config('noub.swap_write', 'on', true);
+
+    -- Escrowed card -> acceptor
+    update player_cards
+       set player_id = v_player, is_locked = false, acquired_at = now()
+     where instance_id = v_request.card_instance_id_offer;
+
+    -- Counter-offered card -> offerer
+    update player_cards
+       set player_id = v_request.player_id_offering, is_locked = false, acquired_at = now()
+     where instance_id = p_counter_instance_id;
+
+    delete from card_escrow where request_id = p_request_id;
+    update swap_requests set status = 'completed' where id = p_request_id;
+
+    insert into swap_transactions (request_id, player_offering_id, player_accepting_id, card_instance_offered_instance, card_instance_received_instance)
+    values (p_request_id, v_request.player_id_offering, v_player, v_request.card_instance_id_offer, p_counter_instance_id);
+
+    perform set_config('noub.swap_write', 'off', true);
+
+    select name into v_card_name from cards where id = v_request.item_id_offer;
+    return jsonb_build_object('request_id', p_request_id, 'new_card_name', v_card_name);
+end;
+$$;
+
+create or replace function public.swap_cancel(p_request_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_request swap_requests%rowtype;
+begin
+    select * into v_request from swap_requests where id = p_request_id for update;
+    if not found or v_request.player_id_offering is distinct from auth.uid() then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+    if v_request.status <> 'active' then
+        raise exception 'SWAP_NOT_ACTIVE';
+    end if;
+
+    perform _swap_release_escrow(p_request_id, 'cancelled');
+end;
+$$;
+
+grant execute on function public.swap_create(uuid, bigint, numeric) to authenticated;
+grant execute on function public.swap_accept(uuid, uuid) to authenticated;
+grant execute on function public.swap_cancel(uuid) to authenticated;
@@ -0,0 +1,190 @@
+/*
+ * Filename: sql/003_market_listings.sql
+ * Version: NOUB v4.3.0 (NOUB Buy-Now Listings)
+ * Description:
+ * A swap request may now ask for NOUB instead of (or on top of) a card:
+ *   - item_id_request only          -> card for card (unchanged)
+ *   - price_noub only               -> card for NOUB (buy now)
+ *   - item_id_request + price_noub  -> card for card + NOUB
+ * The buyer pays the full price through the ledger; the seller receives the
+ * price minus the market fee, and the fee is burned (never credited).
+ * Requires 001_currency_ledger.sql and 002_swap_escrow.sql.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. SCHEMA
+-- -----------------------------------------------------------------------------
+alter table public.swap_requests alter column item_id_request drop not null;
+alter table public.swap_requests alter column price_noub set default 0;
+
+alter table public.swap_transactions alter column card_instance_received_instance drop not null;
+alter table public.swap_transactions add column if not exists price_noub numeric not null default 0;
+alter table public.swap_transactions add column if not exists fee_noub   numeric not null default 0;
+
+create table if not exists public.market_config (
+    key   text primary key,
+    value numeric not null
+);
+
+insert into public.market_config (key, value) values ('fee_percent', 5)
+on conflict (key) do nothing;
+
+alter table public.market_config enable row level security;
+
+drop policy if exists "market_config_read" on public.market_config;
+create policy "market_config_read" on public.market_config for select using (true);
+
+create or replace function public._market_fee_percent()
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce((select value from market_config where key = 'fee_percent'), 0);
+$$;
+
+-- -----------------------------------------------------------------------------
+-- 2. CREATE (replaces the 002 version: request card is now optional)
+-- -----------------------------------------------------------------------------
+create or replace function public.swap_create(
+    p_offer_instance_id uuid,
+    p_request_card_id   bigint,
+    p_price_noub        numeric default 0
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player     uuid := auth.uid();
+    v_price      numeric := floor(coalesce(p_price_noub, 0));
+    v_offer_card bigint;
+    v_request_id uuid;
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+    if v_price < 0 then
+        raise exception 'SWAP_BAD_PRICE';
+    end if;
+    if p_request_card_id is null and v_price = 0 then
+        raise exception 'SWAP_EMPTY_ASK';
+    end if;
+    if p_request_card_id is not null and not exists (select 1 from cards where id = p_request_card_id) then
+        raise exception 'SWAP_UNKNOWN_CARD';
+    end if;
+
+    v_offer_card := _swap_assert_tradeable(p_offer_instance_id, v_player);
+
+    insert into swap_requests (player_id_offering, card_instance_id_offer, item_id_offer, item_id_request, price_noub, status)
+    values (v_player, p_offer_instance_id, v_offer_card, p_request_card_id, v_price, 'active')
+    returning id into v_request_id;
+
+    perform set_config('noub.swap_write', 'on', true);
+    update player_cards set is_locked = true where instance_id = p_offer_instance_id;
+    insert into card_escrow (instance_id, owner_id, request_id) values (p_offer_instance_id, v_player, v_request_id);
+    perform set_config('noub.swap_write', 'off', true);
+
+    return v_request_id;
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- 3. ACCEPT (replaces the 002 version: settles the NOUB leg and logs both sides)
+-- p_counter_instance_id is null for NOUB-only listings.
+-- -----------------------------------------------------------------------------
+create or replace function public.swap_accept(
+    p_request_id          uuid,
+    p_counter_instance_id uuid
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player       uuid := auth.uid();
+    v_request      swap_requests%rowtype;
+    v_counter_card bigint;
+    v_card_name    text;
+    v_price        numeric;
+    v_fee          numeric := 0;
+    v_transfer_id  uuid := gen_random_uuid();
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+
+    select * into v_request from swap_requests where id = p_request_id for update;
+    if not found or v_request.status <> 'active' then
+        raise exception 'SWAP_NOT_ACTIVE';
+    end if;
+    if v_request.player_id_offering = v_player then
+        raise exception 'SWAP_OWN_OFFER';
+    end if;
+    if not exists (select 1 from card_escrow where request_id = p_request_id and instance_id = v_request.card_instance_id_offer) then
+        raise exception 'SWAP_ESCROW_MISSING';
+    end if;
+
+    -- Card leg
+    if v_request.item_id_request is not null then
+        if p_counter_instance_id is null then
+            raise exception 'SWAP_WRONG_CARD';
+        end if;
+        v_counter_card := _swap_assert_tradeable(p_counter_instance_id, v_player);
+        if v_counter_card is distinct from v_request.item_id_request then
+            raise exception 'SWAP_WRONG_CARD';
+        end if;
+    elsif p_counter_instance_id is not null then
+        raise exception 'SWAP_WRONG_CARD';
+    end if;
+
+    -- NOUB leg: buyer pays net + fee, seller receives net, fee is burned
+    v_price := coalesce(v_request.price_noub, 0);
+    if v_price > 0 then
+        v_fee := floor(v_price * _market_fee_percent() / 100);
+        perform 1 from profiles where id in (v_player, v_request.player_id_offering) order by id for update;
+        perform _ledger_apply(v_player, jsonb_build_object('noub', -(v_price - v_fee)), 'MARKET_PURCHASE', 'swap_request', p_request_id::text, v_transfer_id);
+        if v_fee > 0 then
+            perform _ledger_apply(v_player, jsonb_build_object('noub', -v_fee), 'MARKET_FEE', 'swap_request', p_request_id::text, v_transfer_id);
+        end if;
+        perform _ledger_apply(v_request.player_id_offering, jsonb_build_object('noub', v_price - v_fee), 'MARKET_SALE', 'swap_request', p_request_id::text, v_transfer_id);
+    end if;
+
+    perform set_config('noub.swap_write', 'on', true);
+
+    update player_cards
+       set player_id = v_player, is_locked = false, acquired_at = now()
+     where instance_id = v_request.card_instance_id_offer;
+
+    if p_counter_instance_id is not null then
+        update player_cards
+           set player_id = v_request.player_id_offering, is_locked = false, acquired_at = now()
+         where instance_id = p_counter_instance_id;
+    end if;
+
+    delete from card_escrow where request_id = p_request_id;
+    update swap_requests set status = 'completed' where id = p_request_id;
+
+    insert into swap_transactions (request_id, player_offering_id, player_accepting_id, card_instance_offered_instance, card_instance_received_instance, price_noub, fee_noub)
+    values (p_request_id, v_request.player_id_offering, v_player, v_request.card_instance_id_offer, p_counter_instance_id, v_price, v_fee);
+
+    perform set_config('noub.swap_write', 'off', true);
+
+    select name into v_card_name from cards where id = v_request.item_id_offer;
+
+    insert into activity_log (player_id, activity_type, description) values
+        (v_request.player_id_offering, 'SWAP',
+         case when v_price > 0
+              then format('Sold %s for %s NOUB (fee %s burned).', v_card_name, v_price - v_fee, v_fee)
+              else format('Traded away %s.', v_card_name) end),
+        (v_player, 'SWAP',
+         case when v_price > 0
+              then format('Bought %s for %s NOUB.', v_card_name, v_price)
+              else format('Received %s in a trade.', v_card_name) end);
+
+    return jsonb_build_object('request_id', p_request_id, 'new_card_name', v_card_name, 'price_noub', v_price, 'fee_noub', v_fee);
+end;
+$$;
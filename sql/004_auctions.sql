@@ -0,0 +1,309 @@
+/*
+ * Filename: sql/004_auctions.sql
+ * Version: NOUB v4.4.0 (Timed Auction House)
+ * Description:
+ * A seller puts a card into escrow (same card_escrow table as swap offers)
+ * with a start price, an optional buyout and a duration. Bids are debited
+ * from the bidder immediately through the ledger; when someone outbids them
+ * the previous bidder is refunded in the same transaction. When the timer
+ * ends, auction_settle_due() hands the card to the winner and pays the seller
+ * (minus the burned market fee), or returns the card if nobody bid.
+ * Requires 001 - 003.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. SCHEMA
+-- -----------------------------------------------------------------------------
+create table if not exists public.auctions (
+    id                uuid        primary key default gen_random_uuid(),
+    seller_id         uuid        not null references public.profiles(id) on delete cascade,
+    card_instance_id  uuid        not null references public.player_cards(instance_id),
+    card_id           bigint      not null references public.cards(id),
+    start_price       numeric     not null check (start_price > 0),
+    buyout_price      numeric     check (buyout_price is null or buyout_price > start_price),
+    current_bid       numeric,
+    current_bidder_id uuid        references public.profiles(id),
+    bid_count         integer     not null default 0,
+    ends_at           timestamptz not null,
+    status            text        not null default 'active' check (status in ('active', 'settled', 'unsold', 'cancelled')),
+    fee_noub          numeric     not null default 0,
+    created_at        timestamptz not null default now(),
+    settled_at        timestamptz
+);
+
+create index if not exists auctions_active_idx on public.auctions (status, ends_at);
+create index if not exists auctions_seller_idx on public.auctions (seller_id, created_at desc);
+
+create table if not exists public.auction_bids (
+    id         bigserial   primary key,
+    auction_id uuid        not null references public.auctions(id) on delete cascade,
+    bidder_id  uuid        not null references public.profiles(id) on delete cascade,
+    amount     numeric     not null,
+    refunded   boolean     not null default false,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists auction_bids_bidder_idx on public.auction_bids (bidder_id, created_at desc);
+
+alter table public.auctions enable row level security;
+alter table public.auction_bids enable row level security;
+
+drop policy if exists "auctions_read_all" on public.auctions;
+create policy "auctions_read_all" on public.auctions for select using (true);
+
+drop policy if exists "auction_bids_read_all" on public.auction_bids;
+create policy "auction_bids_read_all" on public.auction_bids for select using (true);
+
+-- Escrow rows now belong to either a swap request or an auction.
+alter table public.card_escrow alter column request_id drop not null;
+alter table public.card_escrow add column if not exists auction_id uuid references public.auctions(id) on delete cascade;
+alter table public.card_escrow drop constraint if exists card_escrow_single_owner;
+alter table public.card_escrow add constraint card_escrow_single_owner
+    check ((request_id is null) <> (auction_id is null));
+
+insert into public.market_config (key, value) values ('auction_min_increment_percent', 5)
+on conflict (key) do nothing;
+
+-- -----------------------------------------------------------------------------
+-- 2. SETTLEMENT (internal)
+-- -----------------------------------------------------------------------------
+create or replace function public._auction_settle(p_auction_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_auction   auctions%rowtype;
+    v_fee       numeric := 0;
+    v_card_name text;
+begin
+    select * into v_auction from auctions where id = p_auction_id for update;
+    if not found or v_auction.status <> 'active' then
+        return null;
+    end if;
+
+    select name into v_card_name from cards where id = v_auction.card_id;
+
+    perform set_config('noub.swap_write', 'on', true);
+
+    if v_auction.current_bidder_id is null then
+        -- Nobody bid: the card goes back to the seller
+        update player_cards set is_locked = false where instance_id = v_auction.card_instance_id;
+        delete from card_escrow where auction_id = p_auction_id;
+        update auctions set status = 'unsold', settled_at = now() where id = p_auction_id;
+
+        insert into activity_log (player_id, activity_type, description)
+        values (v_auction.seller_id, 'AUCTION', format('Auction for %s ended without bids. Card returned.', v_card_name));
+
+        perform set_config('noub.swap_write', 'off', true);
+        return 'unsold';
+    end if;
+
+    -- The winning bid is already held by the house; pay the seller net of the fee
+    v_fee := floor(v_auction.current_bid * _market_fee_percent() / 100);
+    perform _ledger_apply(v_auction.seller_id, jsonb_build_object('noub', v_auction.current_bid - v_fee),
+                          'AUCTION_SALE', 'auction', p_auction_id::text, null);
+
+    update player_cards
+       set player_id = v_auction.current_bidder_id, is_locked = false, acquired_at = now()
+     where instance_id = v_auction.card_instance_id;
+
+    delete from card_escrow where auction_id = p_auction_id;
+    update auctions set status = 'settled', fee_noub = v_fee, settled_at = now() where id = p_auction_id;
+
+    insert into activity_log (player_id, activity_type, description) values
+        (v_auction.seller_id, 'AUCTION', format('Auctioned %s for %s NOUB (fee %s burned).', v_card_name, v_auction.current_bid - v_fee, v_fee)),
+        (v_auction.current_bidder_id, 'AUCTION', format('Won the auction for %s at %s NOUB.', v_card_name, v_auction.current_bid));
+
+    perform set_config('noub.swap_write', 'off', true);
+    return 'settled';
+end;
+$$;
+
+revoke all on function public._auction_settle(uuid) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 3. CLIENT ENTRY POINTS
+-- -----------------------------------------------------------------------------
+
+create or replace function public.auction_create(
+    p_instance_id    uuid,
+    p_start_price    numeric,
+    p_buyout_price   numeric default null,
+    p_duration_hours integer default 24
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player     uuid := auth.uid();
+    v_card_id    bigint;
+    v_auction_id uuid;
+begin
+    if v_player is null then
+        raise exception 'AUCTION_FORBIDDEN';
+    end if;
+    if coalesce(p_start_price, 0) < 1 then
+        raise exception 'AUCTION_BAD_PRICE';
+    end if;
+    if p_buyout_price is not null and p_buyout_price <= p_start_price then
+        raise exception 'AUCTION_BAD_BUYOUT';
+    end if;
+    if p_duration_hours is null or p_duration_hours < 1 or p_duration_hours > 168 then
+        raise exception 'AUCTION_BAD_DURATION';
+    end if;
+
+    v_card_id := _swap_assert_tradeable(p_instance_id, v_player);
+
+    insert into auctions (seller_id, card_instance_id, card_id, start_price, buyout_price, ends_at)
+    values (v_player, p_instance_id, v_card_id, floor(p_start_price), floor(p_buyout_price),
+            now() + make_interval(hours => p_duration_hours))
+    returning id into v_auction_id;
+
+    perform set_config('noub.swap_write', 'on', true);
+    update player_cards set is_locked = true where instance_id = p_instance_id;
+    insert into card_escrow (instance_id, owner_id, auction_id) values (p_instance_id, v_player, v_auction_id);
+    perform set_config('noub.swap_write', 'off', true);
+
+    return v_auction_id;
+end;
+$$;
+
+create or replace function public.auction_bid(p_auction_id uuid, p_amount numeric)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player    uuid := auth.uid();
+    v_auction   auctions%rowtype;
+    v_amount    numeric := floor(coalesce(p_amount, 0));
+    v_min_bid   numeric;
+    v_increment numeric;
+    v_result    text;
+begin
+    if v_player is null then
+        raise exception 'AUCTION_FORBIDDEN';
+    end if;
+
+    select * into v_auction from auctions where id = p_auction_id for update;
+    if not found or v_auction.status <> 'active' or v_auction.ends_at <= now() then
+        raise exception 'AUCTION_CLOSED';
+    end if;
+    if v_auction.seller_id = v_player then
+        raise exception 'AUCTION_OWN';
+    end if;
+    if v_auction.current_bidder_id = v_player then
+        raise exception 'AUCTION_ALREADY_LEADING';
+    end if;
+
+    if v_auction.current_bid is null then
+        v_min_bid := v_auction.start_price;
+    else
+        v_increment := coalesce((select value from market_config where key = 'auction_min_increment_percent'), 5);
+        v_min_bid := greatest(v_auction.current_bid + 1, ceil(v_auction.current_bid * (1 + v_increment / 100)));
+    end if;
+    if v_auction.buyout_price is not null then
+        v_min_bid := least(v_min_bid, v_auction.buyout_price);
+        v_amount := least(v_amount, v_auction.buyout_price);
+    end if;
+    if v_amount < v_min_bid then
+        raise exception 'AUCTION_BID_TOO_LOW:%', v_min_bid;
+    end if;
+
+    -- Hold the new bid, refund the previous leader
+    perform _ledger_apply(v_player, jsonb_build_object('noub', -v_amount), 'AUCTION_BID', 'auction', p_auction_id::text, null);
+    if v_auction.current_bidder_id is not null then
+        perform _ledger_apply(v_auction.current_bidder_id, jsonb_build_object('noub', v_auction.current_bid),
+                              'AUCTION_REFUND', 'auction', p_auction_id::text, null);
+        update auction_bids set refunded = true
+         where auction_id = p_auction_id and bidder_id = v_auction.current_bidder_id and refunded = false;
+        insert into activity_log (player_id, activity_type, description)
+        values (v_auction.current_bidder_id, 'AUCTION', format('You were outbid. %s NOUB refunded.', v_auction.current_bid));
+    end if;
+
+    insert into auction_bids (auction_id, bidder_id, amount) values (p_auction_id, v_player, v_amount);
+    update auctions
+       set current_bid = v_amount, current_bidder_id = v_player, bid_count = bid_count + 1
+     where id = p_auction_id;
+
+    -- Buyout ends the auction immediately
+    if v_auction.buyout_price is not null and v_amount >= v_auction.buyout_price then
+        v_result := _auction_settle(p_auction_id);
+        return jsonb_build_object('amount', v_amount, 'bought_out', true, 'status', v_result);
+    end if;
+
+    return jsonb_build_object('amount', v_amount, 'bought_out', false, 'status', 'active');
+end;
+$$;
+
+create or replace function public.auction_cancel(p_auction_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_auction auctions%rowtype;
+begin
+    select * into v_auction from auctions where id = p_auction_id for update;
+    if not found or v_auction.seller_id is distinct from auth.uid() then
+        raise exception 'AUCTION_FORBIDDEN';
+    end if;
+    if v_auction.status <> 'active' then
+        raise exception 'AUCTION_CLOSED';
+    end if;
+    if v_auction.current_bidder_id is not null then
+        raise exception 'AUCTION_HAS_BIDS';
+    end if;
+
+    perform set_config('noub.swap_write', 'on', true);
+    update player_cards set is_locked = false where instance_id = v_auction.card_instance_id;
+    delete from card_escrow where auction_id = p_auction_id;
+    update auctions set status = 'cancelled', settled_at = now() where id = p_auction_id;
+    perform set_config('noub.swap_write', 'off', true);
+end;
+$$;
+
+-- Settles every auction whose timer has run out. Idempotent: safe to call from
+-- the client on screen open, from a timer, and from pg_cron at the same time.
+create or replace function public.auction_settle_due()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_id    uuid;
+    v_count integer := 0;
+begin
+    for v_id in
+        select id from auctions where status = 'active' and ends_at <= now() order by ends_at limit 100
+    loop
+        if _auction_settle(v_id) is not null then
+            v_count := v_count + 1;
+        end if;
+    end loop;
+    return v_count;
+end;
+$$;
+
+grant execute on function public.auction_create(uuid, numeric, numeric, integer) to authenticated;
+grant execute on function public.auction_bid(uuid, numeric) to authenticated;
+grant execute on function public.auction_cancel(uuid) to authenticated;
+grant execute on function public.auction_settle_due() to authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 4. SERVER JOB (only when pg_cron is enabled on the project)
+-- -----------------------------------------------------------------------------
+do $$
+begin
+    if exists (select 1 from pg_extension where extname = 'pg_cron') then
+        perform cron.schedule('noub-settle-auctions', '* * * * *', 'select public.auction_settle_due()');
+    end if;
+end;
+$$;
@@ -0,0 +1,345 @@
+/*
+ * Filename: sql/005_bundle_trades.sql
+ * Version: NOUB v4.5.0 (Bundle Trades)
+ * Description:
+ * A bundle offer can hold any number of card instances, inventory items and
+ * currency amounts on each side. Everything on the offer side is taken into
+ * escrow when the offer is published: cards are locked (card_escrow), items
+ * are removed from player_inventory and currency is debited through the
+ * ledger. The request side is validated and moved in the same transaction
+ * that accepts the offer. Cancelling (or any future expiry) hands every
+ * escrowed asset back through _swap_release_escrow.
+ *
+ * Payload shapes (jsonb):
+ *   offer   {"cards": [instance_uuid, ...], "items": {"<item_id>": qty}, "currency": {"noub": 100}}
+ *   request {"cards": [card_id, ...],       "items": {"<item_id>": qty}, "currency": {"prestige": 5}}
+ * Requires 001 - 004.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. SCHEMA
+-- -----------------------------------------------------------------------------
+alter table public.swap_requests alter column card_instance_id_offer drop not null;
+alter table public.swap_requests alter column item_id_offer drop not null;
+alter table public.swap_requests add column if not exists is_bundle boolean not null default false;
+
+alter table public.swap_transactions alter column card_instance_offered_instance drop not null;
+
+create table if not exists public.swap_request_assets (
+    id          bigserial   primary key,
+    request_id  uuid        not null references public.swap_requests(id) on delete cascade,
+    side        text        not null check (side in ('offer', 'request')),
+    asset_type  text        not null check (asset_type in ('card', 'item', 'currency')),
+    instance_id uuid        references public.player_cards(instance_id),
+    card_id     bigint      references public.cards(id),
+    item_id     bigint      references public.items(id),
+    currency    text        check (currency in ('noub', 'prestige')),
+    quantity    numeric     not null default 1 check (quantity > 0),
+    escrowed    boolean     not null default false
+);
+
+create index if not exists swap_request_assets_request_idx on public.swap_request_assets (request_id, side);
+
+alter table public.swap_request_assets enable row level security;
+
+drop policy if exists "swap_assets_read_all" on public.swap_request_assets;
+create policy "swap_assets_read_all" on public.swap_request_assets for select using (true);
+
+-- -----------------------------------------------------------------------------
+-- 2. INVENTORY HELPERS (internal)
+-- -----------------------------------------------------------------------------
+create or replace function public._inventory_take(p_player_id uuid, p_item_id bigint, p_quantity numeric)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    update player_inventory
+       set quantity = quantity - p_quantity
+     where player_id = p_player_id and item_id = p_item_id and quantity >= p_quantity;
+    if not found then
+        raise exception 'SWAP_NOT_ENOUGH_ITEMS';
+    end if;
+end;
+$$;
+
+create or replace function public._inventory_give(p_player_id uuid, p_item_id bigint, p_quantity numeric)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into player_inventory (player_id, item_id, quantity)
+    values (p_player_id, p_item_id, p_quantity)
+    on conflict (player_id, item_id) do update set quantity = player_inventory.quantity + excluded.quantity;
+end;
+$$;
+
+revoke all on function public._inventory_take(uuid, bigint, numeric) from public, anon, authenticated;
+revoke all on function public._inventory_give(uuid, bigint, numeric) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 3. RELEASE (replaces the 002 version: also returns bundle items and currency)
+-- -----------------------------------------------------------------------------
+create or replace function public._swap_release_escrow(p_request_id uuid, p_status text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_owner uuid;
+    v_asset swap_request_assets%rowtype;
+begin
+    select player_id_offering into v_owner from swap_requests where id = p_request_id;
+
+    perform set_config('noub.swap_write', 'on', true);
+
+    update player_cards pc
+       set is_locked = false
+      from card_escrow e
+     where e.request_id = p_request_id
+       and pc.instance_id = e.instance_id;
+
+    delete from card_escrow where request_id = p_request_id;
+
+    for v_asset in
+        select * from swap_request_assets
+         where request_id = p_request_id and side = 'offer' and escrowed and asset_type in ('item', 'currency')
+    loop
+        if v_asset.asset_type = 'item' then
+            perform _inventory_give(v_owner, v_asset.item_id, v_asset.quantity);
+        else
+            perform _ledger_apply(v_owner, jsonb_build_object(v_asset.currency, v_asset.quantity),
+                                  'SWAP_ESCROW_REFUND', 'swap_request', p_request_id::text, null);
+        end if;
+    end loop;
+
+    update swap_request_assets set escrowed = false where request_id = p_request_id;
+    update swap_requests set status = p_status where id = p_request_id;
+
+    perform set_config('noub.swap_write', 'off', true);
+end;
+$$;
+
+revoke all on function public._swap_release_escrow(uuid, text) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 4. CLIENT ENTRY POINTS
+-- -----------------------------------------------------------------------------
+
+create or replace function public.swap_bundle_create(p_offer jsonb, p_request jsonb)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player     uuid := auth.uid();
+    v_request_id uuid;
+    v_instance   uuid;
+    v_card_id    bigint;
+    v_key        text;
+    v_value      numeric;
+    v_assets     integer;
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+
+    -- Both sides need at least one asset
+    if coalesce(jsonb_array_length(p_offer -> 'cards'), 0)
+       + (select count(*) from jsonb_each(coalesce(p_offer -> 'items', '{}')))
+       + (select count(*) from jsonb_each(coalesce(p_offer -> 'currency', '{}'))) = 0 then
+        raise exception 'SWAP_EMPTY_BUNDLE';
+    end if;
+    if coalesce(jsonb_array_length(p_request -> 'cards'), 0)
+       + (select count(*) from jsonb_each(coalesce(p_request -> 'items', '{}')))
+       + (select count(*) from jsonb_each(coalesce(p_request -> 'currency', '{}'))) = 0 then
+        raise exception 'SWAP_EMPTY_ASK';
+    end if;
+
+    insert into swap_requests (player_id_offering, status, is_bundle, price_noub)
+    values (v_player, 'active', true, floor(coalesce((p_request -> 'currency' ->> 'noub')::numeric, 0)))
+    returning id into v_request_id;
+
+    perform set_config('noub.swap_write', 'on', true);
+
+    -- Offer side: everything goes into escrow now
+    for v_instance in select value::uuid from jsonb_array_elements_text(coalesce(p_offer -> 'cards', '[]')) loop
+        v_card_id := _swap_assert_tradeable(v_instance, v_player);
+        update player_cards set is_locked = true where instance_id = v_instance;
+        insert into card_escrow (instance_id, owner_id, request_id) values (v_instance, v_player, v_request_id);
+        insert into swap_request_assets (request_id, side, asset_type, instance_id, card_id, escrowed)
+        values (v_request_id, 'offer', 'card', v_instance, v_card_id, true);
+    end loop;
+
+    for v_key, v_value in select key, value::numeric from jsonb_each_text(coalesce(p_offer -> 'items', '{}')) loop
+        if v_value <> floor(v_value) or v_value <= 0 then
+            raise exception 'SWAP_BAD_QUANTITY';
+        end if;
+        perform _inventory_take(v_player, v_key::bigint, v_value);
+        insert into swap_request_assets (request_id, side, asset_type, item_id, quantity, escrowed)
+        values (v_request_id, 'offer', 'item', v_key::bigint, v_value, true);
+    end loop;
+
+    for v_key, v_value in select key, value::numeric from jsonb_each_text(coalesce(p_offer -> 'currency', '{}')) loop
+        if v_key not in ('noub', 'prestige') then
+            raise exception 'SWAP_BAD_CURRENCY';
+        end if;
+        if v_value <> floor(v_value) or v_value <= 0 then
+            raise exception 'SWAP_BAD_QUANTITY';
+        end if;
+        perform _ledger_apply(v_player, jsonb_build_object(v_key, -v_value), 'SWAP_ESCROW', 'swap_request', v_request_id::text, null);
+        insert into swap_request_assets (request_id, side, asset_type, currency, quantity, escrowed)
+        values (v_request_id, 'offer', 'currency', v_key, v_value, true);
+    end loop;
+
+    perform set_config('noub.swap_write', 'off', true);
+
+    -- Request side: validated now, collected on acceptance
+    for v_card_id in select value::bigint from jsonb_array_elements_text(coalesce(p_request -> 'cards', '[]')) loop
+        if not exists (select 1 from cards where id = v_card_id) then
+            raise exception 'SWAP_UNKNOWN_CARD';
+        end if;
+        insert into swap_request_assets (request_id, side, asset_type, card_id)
+        values (v_request_id, 'request', 'card', v_card_id);
+    end loop;
+
+    for v_key, v_value in select key, value::numeric from jsonb_each_text(coalesce(p_request -> 'items', '{}')) loop
+        if v_value <> floor(v_value) or v_value <= 0 then
+            raise exception 'SWAP_BAD_QUANTITY';
+        end if;
+        if not exists (select 1 from items where id = v_key::bigint) then
+            raise exception 'SWAP_UNKNOWN_ITEM';
+        end if;
+        insert into swap_request_assets (request_id, side, asset_type, item_id, quantity)
+        values (v_request_id, 'request', 'item', v_key::bigint, v_value);
+    end loop;
+
+    for v_key, v_value in select key, value::numeric from jsonb_each_text(coalesce(p_request -> 'currency', '{}')) loop
+        if v_key not in ('noub', 'prestige') then
+            raise exception 'SWAP_BAD_CURRENCY';
+        end if;
+        if v_value <> floor(v_value) or v_value <= 0 then
+            raise exception 'SWAP_BAD_QUANTITY';
+        end if;
+        insert into swap_request_assets (request_id, side, asset_type, currency, quantity)
+        values (v_request_id, 'request', 'currency', v_key, v_value);
+    end loop;
+
+    return v_request_id;
+end;
+$$;
+
+-- p_counter_instance_ids: one owned instance for every requested card (any order).
+create or replace function public.swap_bundle_accept(p_request_id uuid, p_counter_instance_ids uuid[])
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player      uuid := auth.uid();
+    v_request     swap_requests%rowtype;
+    v_asset       swap_request_assets%rowtype;
+    v_instance    uuid;
+    v_given       bigint[] := '{}';
+    v_wanted      bigint[];
+    v_fee         numeric := 0;
+    v_leg_fee     numeric;
+    v_price       numeric := 0;
+    v_transfer_id uuid := gen_random_uuid();
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+
+    select * into v_request from swap_requests where id = p_request_id for update;
+    if not found or v_request.status <> 'active' or not v_request.is_bundle then
+        raise exception 'SWAP_NOT_ACTIVE';
+    end if;
+    if v_request.player_id_offering = v_player then
+        raise exception 'SWAP_OWN_OFFER';
+    end if;
+
+    -- Requested cards: the counter instances must cover them exactly
+    if (select count(distinct i) from unnest(p_counter_instance_ids) i) <> coalesce(array_length(p_counter_instance_ids, 1), 0) then
+        raise exception 'SWAP_WRONG_CARD';
+    end if;
+    foreach v_instance in array coalesce(p_counter_instance_ids, '{}') loop
+        v_given := v_given || _swap_assert_tradeable(v_instance, v_player);
+    end loop;
+    select coalesce(array_agg(card_id order by card_id), '{}') into v_wanted
+      from swap_request_assets where request_id = p_request_id and side = 'request' and asset_type = 'card';
+    if (select coalesce(array_agg(c order by c), '{}') from unnest(v_given) c) is distinct from v_wanted then
+        raise exception 'SWAP_WRONG_CARD';
+    end if;
+
+    perform 1 from profiles where id in (v_player, v_request.player_id_offering) order by id for update;
+    perform set_config('noub.swap_write', 'on', true);
+
+    -- Request side: acceptor -> offerer
+    if array_length(p_counter_instance_ids, 1) > 0 then
+        update player_cards
+           set player_id = v_request.player_id_offering, is_locked = false, acquired_at = now()
+         where instance_id = any(p_counter_instance_ids);
+    end if;
+
+    for v_asset in select * from swap_request_assets where request_id = p_request_id and side = 'request' and asset_type <> 'card' loop
+        if v_asset.asset_type = 'item' then
+            perform _inventory_take(v_player, v_asset.item_id, v_asset.quantity);
+            perform _inventory_give(v_request.player_id_offering, v_asset.item_id, v_asset.quantity);
+        else
+            v_leg_fee := case when v_asset.currency = 'noub' then floor(v_asset.quantity * _market_fee_percent() / 100) else 0 end;
+            if v_asset.currency = 'noub' then
+                v_price := v_asset.quantity;
+            end if;
+            perform _ledger_apply(v_player, jsonb_build_object(v_asset.currency, -(v_asset.quantity - v_leg_fee)),
+                                  'MARKET_PURCHASE', 'swap_request', p_request_id::text, v_transfer_id);
+            if v_leg_fee > 0 then
+                perform _ledger_apply(v_player, jsonb_build_object('noub', -v_leg_fee), 'MARKET_FEE', 'swap_request', p_request_id::text, v_transfer_id);
+            end if;
+            perform _ledger_apply(v_request.player_id_offering, jsonb_build_object(v_asset.currency, v_asset.quantity - v_leg_fee),
+                                  'MARKET_SALE', 'swap_request', p_request_id::text, v_transfer_id);
+            v_fee := v_fee + v_leg_fee;
+        end if;
+    end loop;
+
+    -- Offer side: escrow -> acceptor (escrowed NOUB also pays the market fee)
+    for v_asset in select * from swap_request_assets where request_id = p_request_id and side = 'offer' and escrowed loop
+        if v_asset.asset_type = 'card' then
+            update player_cards
+               set player_id = v_player, is_locked = false, acquired_at = now()
+             where instance_id = v_asset.instance_id;
+        elsif v_asset.asset_type = 'item' then
+            perform _inventory_give(v_player, v_asset.item_id, v_asset.quantity);
+        else
+            v_leg_fee := case when v_asset.currency = 'noub' then floor(v_asset.quantity * _market_fee_percent() / 100) else 0 end;
+            perform _ledger_apply(v_player, jsonb_build_object(v_asset.currency, v_asset.quantity - v_leg_fee),
+                                  'MARKET_SALE', 'swap_request', p_request_id::text, v_transfer_id);
+            v_fee := v_fee + v_leg_fee;
+        end if;
+    end loop;
+
+    delete from card_escrow where request_id = p_request_id;
+    update swap_request_assets set escrowed = false where request_id = p_request_id;
+    update swap_requests set status = 'completed' where id = p_request_id;
+
+    insert into swap_transactions (request_id, player_offering_id, player_accepting_id, card_instance_offered_instance, card_instance_received_instance, price_noub, fee_noub)
+    values (p_request_id, v_request.player_id_offering, v_player, null, null, v_price, v_fee);
+
+    perform set_config('noub.swap_write', 'off', true);
+
+    insert into activity_log (player_id, activity_type, description) values
+        (v_request.player_id_offering, 'SWAP', 'Your bundle offer was accepted.'),
+        (v_player, 'SWAP', 'Bundle trade completed.');
+
+    return jsonb_build_object('request_id', p_request_id, 'price_noub', v_price, 'fee_noub', v_fee);
+end;
+$$;
+
+grant execute on function public.swap_bundle_create(jsonb, jsonb) to authenticated;
+grant execute on function public.swap_bundle_accept(uuid, uuid[]) to authenticated;
@@ -0,0 +1,425 @@
+/*
+ * Filename: sql/006_direct_trades.sql
+ * Version: NOUB v4.6.0 (Direct Trades & Negotiation)
+ * Description:
+ * A bundle offer can be addressed to one player (recipient_id). Such offers
+ * are only visible to the two parties and only the recipient can accept them.
+ * The recipient can also decline, or counter: a counter releases the current
+ * offer (status 'countered') and opens a new escrowed offer in the opposite
+ * direction on the same thread. Every step is written to swap_negotiations
+ * together with a snapshot of the assets, so the thread reads as a history
+ * of revisions.
+ * Requires 001 - 005.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. SCHEMA
+-- -----------------------------------------------------------------------------
+alter table public.swap_requests add column if not exists recipient_id uuid references public.profiles(id) on delete cascade;
+alter table public.swap_requests add column if not exists thread_id    uuid;
+alter table public.swap_requests add column if not exists message      text;
+
+create index if not exists swap_requests_recipient_idx on public.swap_requests (recipient_id, status);
+create index if not exists swap_requests_thread_idx on public.swap_requests (thread_id);
+
+create table if not exists public.swap_negotiations (
+    id             bigserial   primary key,
+    thread_id      uuid        not null,
+    request_id     uuid        not null references public.swap_requests(id) on delete cascade,
+    author_id      uuid        not null references public.profiles(id) on delete cascade,
+    counterpart_id uuid        not null references public.profiles(id) on delete cascade,
+    action         text        not null check (action in ('offer', 'counter', 'accept', 'decline', 'cancel', 'expire')),
+    message        text,
+    snapshot       jsonb       not null default '[]',
+    created_at     timestamptz not null default now()
+);
+
+create index if not exists swap_negotiations_thread_idx on public.swap_negotiations (thread_id, created_at);
+
+alter table public.swap_negotiations enable row level security;
+
+drop policy if exists "negotiations_read_parties" on public.swap_negotiations;
+create policy "negotiations_read_parties" on public.swap_negotiations
+    for select using (auth.uid() in (author_id, counterpart_id));
+
+-- Direct offers are visible to their two parties only. All writes go through
+-- the SECURITY DEFINER functions, so only a select policy is needed.
+-- NOTE: drop any older "read all" select policy on swap_requests, otherwise
+-- the permissive policies are OR-ed and direct offers leak to everyone.
+alter table public.swap_requests enable row level security;
+
+drop policy if exists "swap_requests_visibility" on public.swap_requests;
+create policy "swap_requests_visibility" on public.swap_requests
+    for select using (recipient_id is null or auth.uid() in (player_id_offering, recipient_id));
+
+drop policy if exists "swap_assets_read_all" on public.swap_request_assets;
+drop policy if exists "swap_assets_read_visible" on public.swap_request_assets;
+create policy "swap_assets_read_visible" on public.swap_request_assets
+    for select using (exists (select 1 from public.swap_requests r where r.id = request_id));
+
+-- -----------------------------------------------------------------------------
+-- 2. SHARED HELPERS (internal)
+-- -----------------------------------------------------------------------------
+
+-- Opens an escrowed bundle offer for p_player. Body of the 005 swap_bundle_create,
+-- extended with the direct-trade columns.
+create or replace function public._swap_bundle_open(
+    p_player       uuid,
+    p_offer        jsonb,
+    p_request      jsonb,
+    p_recipient_id uuid default null,
+    p_thread_id    uuid default null,
+    p_message      text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player     uuid := p_player;
+    v_request_id uuid;
+    v_instance   uuid;
+    v_card_id    bigint;
+    v_key        text;
+    v_value      numeric;
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+
+    -- Both sides need at least one asset
+    if coalesce(jsonb_array_length(p_offer -> 'cards'), 0)
+       + (select count(*) from jsonb_each(coalesce(p_offer -> 'items', '{}')))
+       + (select count(*) from jsonb_each(coalesce(p_offer -> 'currency', '{}'))) = 0 then
+        raise exception 'SWAP_EMPTY_BUNDLE';
+    end if;
+    if coalesce(jsonb_array_length(p_request -> 'cards'), 0)
+       + (select count(*) from jsonb_each(coalesce(p_request -> 'items', '{}')))
+       + (select count(*) from jsonb_each(coalesce(p_request -> 'currency', '{}'))) = 0 then
+        raise exception 'SWAP_EMPTY_ASK';
+    end if;
+
+    insert into swap_requests (player_id_offering, status, is_bundle, price_noub, recipient_id, thread_id, message)
+    values (v_player, 'active', true, floor(coalesce((p_request -> 'currency' ->> 'noub')::numeric, 0)),
+            p_recipient_id, p_thread_id, nullif(trim(p_message), ''))
+    returning id into v_request_id;
+
+    perform set_config('noub.swap_write', 'on', true);
+
+    -- Offer side: everything goes into escrow now
+    for v_instance in select value::uuid from jsonb_array_elements_text(coalesce(p_offer -> 'cards', '[]')) loop
+        v_card_id := _swap_assert_tradeable(v_instance, v_player);
+        update player_cards set is_locked = true where instance_id = v_instance;
+        insert into card_escrow (instance_id, owner_id, request_id) values (v_instance, v_player, v_request_id);
+        insert into swap_request_assets (request_id, side, asset_type, instance_id, card_id, escrowed)
+        values (v_request_id, 'offer', 'card', v_instance, v_card_id, true);
+    end loop;
+
+    for v_key, v_value in select key, value::numeric from jsonb_each_text(coalesce(p_offer -> 'items', '{}')) loop
+        if v_value <> floor(v_value) or v_value <= 0 then
+            raise exception 'SWAP_BAD_QUANTITY';
+        end if;
+        perform _inventory_take(v_player, v_key::bigint, v_value);
+        insert into swap_request_assets (request_id, side, asset_type, item_id, quantity, escrowed)
+        values (v_request_id, 'offer', 'item', v_key::bigint, v_value, true);
+    end loop;
+
+    for v_key, v_value in select key, value::numeric from jsonb_each_text(coalesce(p_offer -> 'currency', '{}')) loop
+        if v_key not in ('noub', 'prestige') then
+            raise exception 'SWAP_BAD_CURRENCY';
+        end if;
+        if v_value <> floor(v_value) or v_value <= 0 then
+            raise exception 'SWAP_BAD_QUANTITY';
+        end if;
+        perform _ledger_apply(v_player, jsonb_build_object(v_key, -v_value), 'SWAP_ESCROW', 'swap_request', v_request_id::text, null);
+        insert into swap_request_assets (request_id, side, asset_type, currency, quantity, escrowed)
+        values (v_request_id, 'offer', 'currency', v_key, v_value, true);
+    end loop;
+
+    perform set_config('noub.swap_write', 'off', true);
+
+    -- Request side: validated now, collected on acceptance
+    for v_card_id in select value::bigint from jsonb_array_elements_text(coalesce(p_request -> 'cards', '[]')) loop
+        if not exists (select 1 from cards where id = v_card_id) then
+            raise exception 'SWAP_UNKNOWN_CARD';
+        end if;
+        insert into swap_request_assets (request_id, side, asset_type, card_id)
+        values (v_request_id, 'request', 'card', v_card_id);
+    end loop;
+
+    for v_key, v_value in select key, value::numeric from jsonb_each_text(coalesce(p_request -> 'items', '{}')) loop
+        if v_value <> floor(v_value) or v_value <= 0 then
+            raise exception 'SWAP_BAD_QUANTITY';
+        end if;
+        if not exists (select 1 from items where id = v_key::bigint) then
+            raise exception 'SWAP_UNKNOWN_ITEM';
+        end if;
+        insert into swap_request_assets (request_id, side, asset_type, item_id, quantity)
+        values (v_request_id, 'request', 'item', v_key::bigint, v_value);
+    end loop;
+
+    for v_key, v_value in select key, value::numeric from jsonb_each_text(coalesce(p_request -> 'currency', '{}')) loop
+        if v_key not in ('noub', 'prestige') then
+            raise exception 'SWAP_BAD_CURRENCY';
+        end if;
+        if v_value <> floor(v_value) or v_value <= 0 then
+            raise exception 'SWAP_BAD_QUANTITY';
+        end if;
+        insert into swap_request_assets (request_id, side, asset_type, currency, quantity)
+        values (v_request_id, 'request', 'currency', v_key, v_value);
+    end loop;
+
+    return v_request_id;
+end;
+$$;
+create or replace function public.swap_bundle_create(p_offer jsonb, p_request jsonb)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+    return _swap_bundle_open(auth.uid(), p_offer, p_request);
+end;
+$$;
+
+-- Assets of a request in the same shape the client selects them in.
+create or replace function public._swap_thread_snapshot(p_request_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce(jsonb_agg(jsonb_build_object(
+               'side', a.side,
+               'asset_type', a.asset_type,
+               'card_id', a.card_id,
+               'item_id', a.item_id,
+               'currency', a.currency,
+               'quantity', a.quantity,
+               'card', case when c.id is null then null
+                            else jsonb_build_object('name', c.name, 'image_url', c.image_url, 'rarity_level', c.rarity_level) end,
+               'item', case when i.id is null then null
+                            else jsonb_build_object('name', i.name, 'image_url', i.image_url) end
+           ) order by a.id), '[]'::jsonb)
+      from swap_request_assets a
+      left join cards c on c.id = a.card_id
+      left join items i on i.id = a.item_id
+     where a.request_id = p_request_id;
+$$;
+
+create or replace function public._swap_thread_log(p_request_id uuid, p_author uuid, p_action text, p_message text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_request swap_requests%rowtype;
+begin
+    select * into v_request from swap_requests where id = p_request_id;
+    if v_request.thread_id is null then
+        return;
+    end if;
+
+    insert into swap_negotiations (thread_id, request_id, author_id, counterpart_id, action, message, snapshot)
+    values (v_request.thread_id, p_request_id, p_author,
+            case when p_author = v_request.player_id_offering then v_request.recipient_id else v_request.player_id_offering end,
+            p_action, nullif(trim(p_message), ''), _swap_thread_snapshot(p_request_id));
+end;
+$$;
+
+-- Accepts "username" or a player uuid. Usernames are not unique, so an
+-- ambiguous name is rejected instead of guessing.
+create or replace function public._swap_resolve_recipient(p_recipient text)
+returns uuid
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_ids uuid[];
+begin
+    if p_recipient ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' then
+        select array_agg(id) into v_ids from profiles where id = p_recipient::uuid;
+    else
+        select array_agg(id) into v_ids from profiles where lower(username) = lower(trim(p_recipient));
+    end if;
+
+    if v_ids is null then
+        raise exception 'SWAP_UNKNOWN_RECIPIENT';
+    end if;
+    if array_length(v_ids, 1) > 1 then
+        raise exception 'SWAP_RECIPIENT_AMBIGUOUS';
+    end if;
+    return v_ids[1];
+end;
+$$;
+
+revoke all on function public._swap_bundle_open(uuid, jsonb, jsonb, uuid, uuid, text) from public, anon, authenticated;
+revoke all on function public._swap_thread_snapshot(uuid) from public, anon, authenticated;
+revoke all on function public._swap_thread_log(uuid, uuid, text, text) from public, anon, authenticated;
+revoke all on function public._swap_resolve_recipient(text) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 3. RECIPIENT GUARD & THREAD LOG
+-- Only the recipient may complete a direct offer, whichever accept function
+-- is used. Completion and cancellation are logged to the thread here so the
+-- accept/cancel functions stay unchanged.
+-- -----------------------------------------------------------------------------
+create or replace function public.guard_direct_swaps()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.recipient_id is not null and old.status = 'active' and new.status = 'completed'
+       and auth.uid() is distinct from new.recipient_id then
+        raise exception 'SWAP_NOT_RECIPIENT';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists swap_requests_guard_direct on public.swap_requests;
+create trigger swap_requests_guard_direct
+    before update on public.swap_requests
+    for each row execute function public.guard_direct_swaps();
+
+create or replace function public.log_direct_swap_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.thread_id is not null and old.status = 'active' and new.status in ('completed', 'cancelled', 'expired') then
+        perform _swap_thread_log(
+            new.id,
+            case when new.status = 'completed' then new.recipient_id else new.player_id_offering end,
+            case new.status when 'completed' then 'accept' when 'cancelled' then 'cancel' else 'expire' end
+        );
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists swap_requests_log_direct on public.swap_requests;
+create trigger swap_requests_log_direct
+    after update on public.swap_requests
+    for each row execute function public.log_direct_swap_status();
+
+-- -----------------------------------------------------------------------------
+-- 4. CLIENT ENTRY POINTS
+-- -----------------------------------------------------------------------------
+
+create or replace function public.swap_direct_create(
+    p_recipient text,
+    p_offer     jsonb,
+    p_request   jsonb,
+    p_message   text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player       uuid := auth.uid();
+    v_recipient_id uuid;
+    v_request_id   uuid;
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+
+    v_recipient_id := _swap_resolve_recipient(p_recipient);
+    if v_recipient_id = v_player then
+        raise exception 'SWAP_SELF_RECIPIENT';
+    end if;
+
+    v_request_id := _swap_bundle_open(v_player, p_offer, p_request, v_recipient_id, null, p_message);
+    update swap_requests set thread_id = v_request_id where id = v_request_id;
+
+    perform _swap_thread_log(v_request_id, v_player, 'offer', p_message);
+
+    insert into activity_log (player_id, activity_type, description)
+    values (v_recipient_id, 'SWAP', 'You received a direct trade offer.');
+
+    return v_request_id;
+end;
+$$;
+
+-- The recipient answers with a revised offer from their own side: the current
+-- offer is released to its owner and a new one opens on the same thread.
+create or replace function public.swap_direct_counter(
+    p_request_id uuid,
+    p_offer      jsonb,
+    p_request    jsonb,
+    p_message    text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player     uuid := auth.uid();
+    v_request    swap_requests%rowtype;
+    v_counter_id uuid;
+begin
+    select * into v_request from swap_requests where id = p_request_id for update;
+    if not found or v_request.recipient_id is distinct from v_player then
+        raise exception 'SWAP_NOT_RECIPIENT';
+    end if;
+    if v_request.status <> 'active' then
+        raise exception 'SWAP_NOT_ACTIVE';
+    end if;
+
+    perform _swap_release_escrow(p_request_id, 'countered');
+
+    v_counter_id := _swap_bundle_open(v_player, p_offer, p_request, v_request.player_id_offering, v_request.thread_id, p_message);
+    perform _swap_thread_log(v_counter_id, v_player, 'counter', p_message);
+
+    insert into activity_log (player_id, activity_type, description)
+    values (v_request.player_id_offering, 'SWAP', 'Your direct trade offer received a counter-offer.');
+
+    return v_counter_id;
+end;
+$$;
+
+create or replace function public.swap_direct_decline(p_request_id uuid, p_message text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_request swap_requests%rowtype;
+begin
+    select * into v_request from swap_requests where id = p_request_id for update;
+    if not found or v_request.recipient_id is distinct from auth.uid() then
+        raise exception 'SWAP_NOT_RECIPIENT';
+    end if;
+    if v_request.status <> 'active' then
+        raise exception 'SWAP_NOT_ACTIVE';
+    end if;
+
+    perform _swap_release_escrow(p_request_id, 'declined');
+    perform _swap_thread_log(p_request_id, auth.uid(), 'decline', p_message);
+
+    insert into activity_log (player_id, activity_type, description)
+    values (v_request.player_id_offering, 'SWAP', 'Your direct trade offer was declined. Your assets were returned.');
+end;
+$$;
+
+grant execute on function public.swap_direct_create(text, jsonb, jsonb, text) to authenticated;
+grant execute on function public.swap_direct_counter(uuid, jsonb, jsonb, text) to authenticated;
+grant execute on function public.swap_direct_decline(uuid, text) to authenticated;
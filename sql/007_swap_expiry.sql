@@ -0,0 +1,295 @@
+/*
+ * Filename: sql/007_swap_expiry.sql
+ * Version: NOUB v4.7.0 (Swap Offer Expiry)
+ * Description:
+ * Every swap offer now carries expires_at, chosen at creation (1 hour to 7
+ * days). swap_expire_due() closes overdue offers with status 'expired' and
+ * returns everything in escrow through _swap_release_escrow - the same path
+ * as a manual cancel. The offerer gets an activity entry listing what
+ * expired; swap_ack_expired() hands the same summaries to the client once
+ * for a toast.
+ * All creation RPCs gain p_expires_in_hours (default 24), so their old
+ * signatures are dropped first.
+ * Requires 001 - 006.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. SCHEMA
+-- -----------------------------------------------------------------------------
+-- Existing offers get a week from the moment this migration runs.
+alter table public.swap_requests add column if not exists expires_at timestamptz not null default (now() + interval '7 days');
+alter table public.swap_requests add column if not exists expiry_notified boolean not null default false;
+
+create index if not exists swap_requests_expiry_idx on public.swap_requests (status, expires_at);
+
+-- -----------------------------------------------------------------------------
+-- 2. SHARED HELPERS (internal)
+-- -----------------------------------------------------------------------------
+create or replace function public._swap_set_expiry(p_request_id uuid, p_hours integer)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if p_hours is null or p_hours < 1 or p_hours > 168 then
+        raise exception 'SWAP_BAD_EXPIRY';
+    end if;
+    update swap_requests set expires_at = now() + make_interval(hours => p_hours) where id = p_request_id;
+end;
+$$;
+
+-- "Hatshepsut, 3 x Limestone, 100 noub" - what the offerer put into escrow.
+create or replace function public._swap_describe_offer(p_request_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce(
+        (select string_agg(
+                    case a.asset_type
+                        when 'card' then c.name
+                        when 'item' then format('%s x %s', a.quantity, i.name)
+                        else format('%s %s', a.quantity, a.currency)
+                    end, ', ' order by a.id)
+           from swap_request_assets a
+           left join cards c on c.id = a.card_id
+           left join items i on i.id = a.item_id
+          where a.request_id = p_request_id and a.side = 'offer'),
+        (select c.name from swap_requests r join cards c on c.id = r.item_id_offer where r.id = p_request_id),
+        'your offer'
+    );
+$$;
+
+revoke all on function public._swap_set_expiry(uuid, integer) from public, anon, authenticated;
+revoke all on function public._swap_describe_offer(uuid) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 3. CREATION RPCs WITH EXPIRY
+-- -----------------------------------------------------------------------------
+drop function if exists public.swap_create(uuid, bigint, numeric);
+drop function if exists public.swap_bundle_create(jsonb, jsonb);
+drop function if exists public.swap_direct_create(text, jsonb, jsonb, text);
+drop function if exists public.swap_direct_counter(uuid, jsonb, jsonb, text);
+
+-- Same as the 003 version plus the expiry.
+create or replace function public.swap_create(
+    p_offer_instance_id uuid,
+    p_request_card_id   bigint,
+    p_price_noub        numeric default 0,
+    p_expires_in_hours  integer default 24
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player     uuid := auth.uid();
+    v_price      numeric := floor(coalesce(p_price_noub, 0));
+    v_offer_card bigint;
+    v_request_id uuid;
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+    if v_price < 0 then
+        raise exception 'SWAP_BAD_PRICE';
+    end if;
+    if p_request_card_id is null and v_price = 0 then
+        raise exception 'SWAP_EMPTY_ASK';
+    end if;
+    if p_request_card_id is not null and not exists (select 1 from cards where id = p_request_card_id) then
+        raise exception 'SWAP_UNKNOWN_CARD';
+    end if;
+
+    v_offer_card := _swap_assert_tradeable(p_offer_instance_id, v_player);
+
+    insert into swap_requests (player_id_offering, card_instance_id_offer, item_id_offer, item_id_request, price_noub, status)
+    values (v_player, p_offer_instance_id, v_offer_card, p_request_card_id, v_price, 'active')
+    returning id into v_request_id;
+
+    perform _swap_set_expiry(v_request_id, p_expires_in_hours);
+
+    perform set_config('noub.swap_write', 'on', true);
+    update player_cards set is_locked = true where instance_id = p_offer_instance_id;
+    insert into card_escrow (instance_id, owner_id, request_id) values (p_offer_instance_id, v_player, v_request_id);
+    perform set_config('noub.swap_write', 'off', true);
+
+    return v_request_id;
+end;
+$$;
+
+create or replace function public.swap_bundle_create(p_offer jsonb, p_request jsonb, p_expires_in_hours integer default 24)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_request_id uuid;
+begin
+    if auth.uid() is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+    v_request_id := _swap_bundle_open(auth.uid(), p_offer, p_request);
+    perform _swap_set_expiry(v_request_id, p_expires_in_hours);
+    return v_request_id;
+end;
+$$;
+
+create or replace function public.swap_direct_create(
+    p_recipient        text,
+    p_offer            jsonb,
+    p_request          jsonb,
+    p_message          text default null,
+    p_expires_in_hours integer default 24
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player       uuid := auth.uid();
+    v_recipient_id uuid;
+    v_request_id   uuid;
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+
+    v_recipient_id := _swap_resolve_recipient(p_recipient);
+    if v_recipient_id = v_player then
+        raise exception 'SWAP_SELF_RECIPIENT';
+    end if;
+
+    v_request_id := _swap_bundle_open(v_player, p_offer, p_request, v_recipient_id, null, p_message);
+    update swap_requests set thread_id = v_request_id where id = v_request_id;
+    perform _swap_set_expiry(v_request_id, p_expires_in_hours);
+
+    perform _swap_thread_log(v_request_id, v_player, 'offer', p_message);
+
+    insert into activity_log (player_id, activity_type, description)
+    values (v_recipient_id, 'SWAP', 'You received a direct trade offer.');
+
+    return v_request_id;
+end;
+$$;
+
+create or replace function public.swap_direct_counter(
+    p_request_id       uuid,
+    p_offer            jsonb,
+    p_request          jsonb,
+    p_message          text default null,
+    p_expires_in_hours integer default 24
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player     uuid := auth.uid();
+    v_request    swap_requests%rowtype;
+    v_counter_id uuid;
+begin
+    select * into v_request from swap_requests where id = p_request_id for update;
+    if not found or v_request.recipient_id is distinct from v_player then
+        raise exception 'SWAP_NOT_RECIPIENT';
+    end if;
+    if v_request.status <> 'active' then
+        raise exception 'SWAP_NOT_ACTIVE';
+    end if;
+
+    perform _swap_release_escrow(p_request_id, 'countered');
+
+    v_counter_id := _swap_bundle_open(v_player, p_offer, p_request, v_request.player_id_offering, v_request.thread_id, p_message);
+    perform _swap_set_expiry(v_counter_id, p_expires_in_hours);
+    perform _swap_thread_log(v_counter_id, v_player, 'counter', p_message);
+
+    insert into activity_log (player_id, activity_type, description)
+    values (v_request.player_id_offering, 'SWAP', 'Your direct trade offer received a counter-offer.');
+
+    return v_counter_id;
+end;
+$$;
+
+grant execute on function public.swap_create(uuid, bigint, numeric, integer) to authenticated;
+grant execute on function public.swap_bundle_create(jsonb, jsonb, integer) to authenticated;
+grant execute on function public.swap_direct_create(text, jsonb, jsonb, text, integer) to authenticated;
+grant execute on function public.swap_direct_counter(uuid, jsonb, jsonb, text, integer) to authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 4. SWEEPER
+-- -----------------------------------------------------------------------------
+
+-- Expires every overdue offer. Idempotent and safe to run concurrently from
+-- clients and pg_cron (rows another sweeper is handling are skipped).
+create or replace function public.swap_expire_due()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_request swap_requests%rowtype;
+    v_count   integer := 0;
+begin
+    for v_request in
+        select * from swap_requests
+         where status = 'active' and expires_at <= now()
+         order by expires_at
+         limit 200
+         for update skip locked
+    loop
+        insert into activity_log (player_id, activity_type, description)
+        values (v_request.player_id_offering, 'SWAP',
+                format('Offer expired: %s. Everything was returned to you.', _swap_describe_offer(v_request.id)));
+
+        perform _swap_release_escrow(v_request.id, 'expired');
+        v_count := v_count + 1;
+    end loop;
+    return v_count;
+end;
+$$;
+
+-- Returns the caller's expired offers they have not been told about yet
+-- ([{id, summary}]) and marks them as notified.
+create or replace function public.swap_ack_expired()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_result jsonb;
+begin
+    with pending as (
+        update swap_requests
+           set expiry_notified = true
+         where player_id_offering = auth.uid() and status = 'expired' and not expiry_notified
+        returning id
+    )
+    select coalesce(jsonb_agg(jsonb_build_object('id', id, 'summary', _swap_describe_offer(id))), '[]'::jsonb)
+      into v_result
+      from pending;
+    return v_result;
+end;
+$$;
+
+grant execute on function public.swap_expire_due() to authenticated;
+grant execute on function public.swap_ack_expired() to authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 5. SERVER JOB (only when pg_cron is enabled on the project)
+-- -----------------------------------------------------------------------------
+do $$
+begin
+    if exists (select 1 from pg_extension where extname = 'pg_cron') then
+        perform cron.schedule('noub-expire-swaps', '* * * * *', 'select public.swap_expire_due()');
+    end if;
+end;
+$$;
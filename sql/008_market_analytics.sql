@@ -0,0 +1,165 @@
+/*
+ * Filename: sql/008_market_analytics.sql
+ * Version: NOUB v4.8.0 (Market Analytics)
+ * Description:
+ * Read-only market statistics per master card, built from every completed
+ * trade: swaps and buy-now listings (swap_transactions), bundle trades
+ * (swap_request_assets) and settled auctions. A trade only carries a price
+ * when NOUB was the whole consideration (buy-now, auction); card-for-card
+ * and bundle trades count towards activity but not towards price.
+ * Scarcity comes from player_cards across all players, which clients
+ * cannot read directly - hence SECURITY DEFINER functions returning only
+ * aggregates (no player ids).
+ * Requires 001 - 007.
+ */
+
+alter table public.swap_transactions add column if not exists created_at timestamptz not null default now();
+
+create index if not exists player_cards_card_idx on public.player_cards (card_id);
+
+-- -----------------------------------------------------------------------------
+-- 1. TRADE FEED (internal)
+-- -----------------------------------------------------------------------------
+create or replace function public._market_trades(p_since timestamptz)
+returns table (card_id bigint, price_noub numeric, source text, traded_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    -- Single-card swaps: the offered card always moves...
+    select r.item_id_offer,
+           case when r.item_id_request is null and t.price_noub > 0 then t.price_noub end,
+           case when r.item_id_request is null then 'sale' else 'swap' end,
+           t.created_at
+      from swap_transactions t
+      join swap_requests r on r.id = t.request_id
+     where not r.is_bundle and r.item_id_offer is not null and t.created_at >= p_since
+    union all
+    -- ...and so does the counter card of a card-for-card swap
+    select r.item_id_request, null, 'swap', t.created_at
+      from swap_transactions t
+      join swap_requests r on r.id = t.request_id
+     where not r.is_bundle and r.item_id_request is not null and t.created_at >= p_since
+    union all
+    -- Bundles: every card on either side
+    select a.card_id, null, 'bundle', t.created_at
+      from swap_transactions t
+      join swap_requests r on r.id = t.request_id
+      join swap_request_assets a on a.request_id = r.id and a.asset_type = 'card'
+     where r.is_bundle and t.created_at >= p_since
+    union all
+    select au.card_id, au.current_bid, 'auction', au.settled_at
+      from auctions au
+     where au.status = 'settled' and au.settled_at >= p_since;
+$$;
+
+revoke all on function public._market_trades(timestamptz) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 2. CLIENT ENTRY POINTS
+-- -----------------------------------------------------------------------------
+
+-- Full analytics for one card over the last p_days (history + scarcity).
+create or replace function public.market_card_stats(p_card_id bigint, p_days integer default 30)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_since   timestamptz := now() - make_interval(days => greatest(1, least(coalesce(p_days, 30), 365)));
+    v_last    record;
+    v_window  record;
+    v_supply  record;
+    v_players bigint;
+    v_rank    bigint;
+    v_cards   bigint;
+    v_history jsonb;
+begin
+    select price_noub, traded_at into v_last
+      from _market_trades('-infinity') where card_id = p_card_id and price_noub is not null
+     order by traded_at desc limit 1;
+
+    select count(*) as trades, coalesce(sum(price_noub), 0) as volume, round(avg(price_noub)) as avg_price,
+           min(price_noub) as low, max(price_noub) as high
+      into v_window
+      from _market_trades(v_since) where card_id = p_card_id;
+
+    select count(*) as copies, count(distinct player_id) as holders
+      into v_supply
+      from player_cards where card_id = p_card_id;
+
+    select count(*) into v_players from profiles;
+
+    -- 1 = scarcest card in circulation
+    select count(*) + 1 into v_rank
+      from (select card_id, count(*) as copies from player_cards group by card_id) s
+     where s.copies < v_supply.copies;
+    select count(*) into v_cards from cards;
+
+    select coalesce(jsonb_agg(jsonb_build_object('t', traded_at, 'price', price_noub, 'source', source) order by traded_at), '[]'::jsonb)
+      into v_history
+      from _market_trades(v_since) where card_id = p_card_id and price_noub is not null;
+
+    return jsonb_build_object(
+        'card_id', p_card_id,
+        'days', extract(day from now() - v_since)::integer,
+        'last_price', v_last.price_noub,
+        'last_traded_at', v_last.traded_at,
+        'trade_count', v_window.trades,
+        'volume_noub', v_window.volume,
+        'avg_price', v_window.avg_price,
+        'low_price', v_window.low,
+        'high_price', v_window.high,
+        'supply', v_supply.copies,
+        'holders', v_supply.holders,
+        'holder_percent', case when v_players > 0 then round(100.0 * v_supply.holders / v_players, 1) else 0 end,
+        'scarcity_rank', v_rank,
+        'card_count', v_cards,
+        'history', v_history
+    );
+end;
+$$;
+
+-- One row per master card for the overview list.
+create or replace function public.market_overview(p_days integer default 30)
+returns table (
+    card_id        bigint,
+    trade_count    bigint,
+    volume_noub    numeric,
+    last_price     numeric,
+    supply         bigint,
+    holders        bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    with trades as (
+        select * from _market_trades(now() - make_interval(days => greatest(1, least(coalesce(p_days, 30), 365))))
+    ),
+    last_prices as (
+        select distinct on (card_id) card_id, price_noub
+          from _market_trades('-infinity') where price_noub is not null
+         order by card_id, traded_at desc
+    ),
+    supply as (
+        select card_id, count(*) as copies, count(distinct player_id) as holders
+          from player_cards group by card_id
+    )
+    select c.id,
+           (select count(*) from trades t where t.card_id = c.id),
+           (select coalesce(sum(t.price_noub), 0) from trades t where t.card_id = c.id),
+           lp.price_noub,
+           coalesce(s.copies, 0),
+           coalesce(s.holders, 0)
+      from cards c
+      left join last_prices lp on lp.card_id = c.id
+      left join supply s on s.card_id = c.id;
+$$;
+
+grant execute on function public.market_card_stats(bigint, integer) to authenticated;
+grant execute on function public.market_overview(integer) to authenticated;
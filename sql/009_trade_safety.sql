@@ -0,0 +1,402 @@
+/*
+ * Filename: sql/009_trade_safety.sql
+ * Version: NOUB v4.9.0 (Trade Safety Rules)
+ * Description:
+ * Rule engine for the P2P market. Blocking rules reject a trade with a
+ * TRADE_* code the client turns into a readable reason:
+ *   - TRADE_ACCOUNT_TOO_NEW:<hours left>  account younger than the minimum age
+ *   - TRADE_LEVEL_TOO_LOW:<level>         player below the minimum level
+ *   - TRADE_DAILY_CAP:<cap>               too many market actions in 24 hours
+ *   - TRADE_CARD_COOLDOWN:<hours left>    card acquired too recently to re-trade
+ * Market actions are posting an offer, accepting one and listing an auction.
+ * The account rules run from triggers on swap_requests, swap_transactions and
+ * auctions, so every existing RPC is covered without being rewritten; the
+ * card cooldown lives in _swap_assert_tradeable, which every path already
+ * calls for each card it takes.
+ * Review rules never block. Repeated trades between the same two players and
+ * cards returning to a recent owner are written to trade_review_flags.
+ * Thresholds are rows in market_config.
+ * Requires 001 - 008.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. SCHEMA
+-- -----------------------------------------------------------------------------
+alter table public.swap_requests add column if not exists created_at timestamptz not null default now();
+
+create index if not exists swap_requests_offerer_recent_idx on public.swap_requests (player_id_offering, created_at desc);
+create index if not exists swap_transactions_accepter_recent_idx on public.swap_transactions (player_accepting_id, created_at desc);
+
+insert into public.market_config (key, value) values
+    ('trade_min_account_hours', 24),
+    ('trade_min_level', 2),
+    ('trade_daily_cap', 20),
+    ('trade_card_cooldown_hours', 24),
+    ('trade_pair_flag_count', 3),
+    ('trade_review_window_days', 7)
+on conflict (key) do nothing;
+
+-- Every change of ownership, for provenance and circular-trade detection.
+create table if not exists public.card_transfers (
+    id          bigserial primary key,
+    instance_id uuid not null,
+    card_id     bigint not null,
+    from_player uuid not null,
+    to_player   uuid not null,
+    created_at  timestamptz not null default now()
+);
+
+create index if not exists card_transfers_instance_idx on public.card_transfers (instance_id, created_at desc);
+
+-- Review queue. No client policies: read and resolved with the service role.
+create table if not exists public.trade_review_flags (
+    id          bigserial primary key,
+    kind        text not null check (kind in ('same_pair', 'circular')),
+    player_a    uuid not null references public.profiles(id) on delete cascade,
+    player_b    uuid not null references public.profiles(id) on delete cascade,
+    ref_type    text,
+    ref_id      text,
+    details     jsonb not null default '{}'::jsonb,
+    status      text not null default 'open' check (status in ('open', 'cleared', 'actioned')),
+    created_at  timestamptz not null default now(),
+    reviewed_at timestamptz
+);
+
+create index if not exists trade_review_flags_open_idx on public.trade_review_flags (status, created_at desc);
+
+alter table public.card_transfers enable row level security;
+alter table public.trade_review_flags enable row level security;
+
+-- -----------------------------------------------------------------------------
+-- 2. RULES (internal)
+-- -----------------------------------------------------------------------------
+create or replace function public._market_setting(p_key text, p_default numeric)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce((select value from market_config where key = p_key), p_default);
+$$;
+
+-- Offers posted, offers accepted and auctions listed in the last 24 hours.
+create or replace function public._trade_actions_today(p_player uuid)
+returns bigint
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select (select count(*) from swap_requests where player_id_offering = p_player and created_at > now() - interval '24 hours')
+         + (select count(*) from swap_transactions where player_accepting_id = p_player and created_at > now() - interval '24 hours')
+         + (select count(*) from auctions where seller_id = p_player and created_at > now() - interval '24 hours');
+$$;
+
+-- First blocking account rule the player breaks, as 'TRADE_*:<n>', or null.
+create or replace function public._trade_rule_violation(p_player uuid)
+returns text
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_profile   profiles%rowtype;
+    v_min_hours numeric := _market_setting('trade_min_account_hours', 0);
+    v_min_level numeric := _market_setting('trade_min_level', 1);
+    v_cap       numeric := _market_setting('trade_daily_cap', 0);
+    v_age_hours numeric;
+begin
+    select * into v_profile from profiles where id = p_player;
+    if not found then
+        return 'SWAP_FORBIDDEN';
+    end if;
+
+    v_age_hours := extract(epoch from now() - coalesce(v_profile.created_at, now())) / 3600;
+    if v_age_hours < v_min_hours then
+        return 'TRADE_ACCOUNT_TOO_NEW:' || ceil(v_min_hours - v_age_hours);
+    end if;
+
+    if coalesce(v_profile.level, 1) < v_min_level then
+        return 'TRADE_LEVEL_TOO_LOW:' || v_min_level;
+    end if;
+
+    if v_cap > 0 and _trade_actions_today(p_player) >= v_cap then
+        return 'TRADE_DAILY_CAP:' || v_cap;
+    end if;
+
+    return null;
+end;
+$$;
+
+create or replace function public._trade_assert_allowed(p_player uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_violation text := _trade_rule_violation(p_player);
+begin
+    if v_violation is not null then
+        raise exception '%', v_violation;
+    end if;
+end;
+$$;
+
+-- Hours left before a card may be traded again (0 when it is free to go).
+create or replace function public._trade_card_cooldown_left(p_instance_id uuid)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce(greatest(0, ceil(extract(epoch from
+               acquired_at + make_interval(hours => _market_setting('trade_card_cooldown_hours', 0)::integer) - now()) / 3600))::integer, 0)
+      from player_cards where instance_id = p_instance_id;
+$$;
+
+-- Replaces the 002 version: same checks plus the re-trade cooldown.
+create or replace function public._swap_assert_tradeable(p_instance_id uuid, p_owner uuid)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_card     player_cards%rowtype;
+    v_cooldown integer;
+begin
+    select * into v_card from player_cards where instance_id = p_instance_id for update;
+    if not found or v_card.player_id is distinct from p_owner then
+        raise exception 'SWAP_NOT_OWNER';
+    end if;
+    if v_card.is_locked then
+        raise exception 'SWAP_CARD_LOCKED';
+    end if;
+    if v_card.card_id = 9999 then
+        raise exception 'SWAP_SOULBOUND';
+    end if;
+    if exists (select 1 from player_factories where assigned_card_instance_id = p_instance_id) then
+        raise exception 'SWAP_CARD_IS_EXPERT';
+    end if;
+    v_cooldown := _trade_card_cooldown_left(p_instance_id);
+    if v_cooldown > 0 then
+        raise exception 'TRADE_CARD_COOLDOWN:%', v_cooldown;
+    end if;
+    return v_card.card_id;
+end;
+$$;
+
+-- One open flag per kind and pair within the review window.
+create or replace function public._trade_flag(p_kind text, p_a uuid, p_b uuid, p_ref_type text, p_ref_id text, p_details jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if exists (
+        select 1 from trade_review_flags
+         where kind = p_kind and status = 'open'
+           and least(player_a, player_b) = least(p_a, p_b) and greatest(player_a, player_b) = greatest(p_a, p_b)
+           and created_at > now() - make_interval(days => _market_setting('trade_review_window_days', 7)::integer)
+    ) then
+        return;
+    end if;
+    insert into trade_review_flags (kind, player_a, player_b, ref_type, ref_id, details)
+    values (p_kind, p_a, p_b, p_ref_type, p_ref_id, p_details);
+end;
+$$;
+
+-- Flags the pair once they have traded with each other too often.
+create or replace function public._trade_scan_pair(p_a uuid, p_b uuid, p_ref_type text, p_ref_id text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_days   integer := _market_setting('trade_review_window_days', 7)::integer;
+    v_since  timestamptz := now() - make_interval(days => v_days);
+    v_trades bigint;
+begin
+    select (select count(*) from swap_transactions
+             where created_at > v_since
+               and ((player_offering_id = p_a and player_accepting_id = p_b) or (player_offering_id = p_b and player_accepting_id = p_a)))
+         + (select count(*) from auctions
+             where status = 'settled' and settled_at > v_since
+               and ((seller_id = p_a and current_bidder_id = p_b) or (seller_id = p_b and current_bidder_id = p_a)))
+      into v_trades;
+
+    if v_trades >= _market_setting('trade_pair_flag_count', 3) then
+        perform _trade_flag('same_pair', p_a, p_b, p_ref_type, p_ref_id,
+                            jsonb_build_object('trades', v_trades, 'window_days', v_days));
+    end if;
+end;
+$$;
+
+revoke all on function public._market_setting(text, numeric) from public, anon, authenticated;
+revoke all on function public._trade_actions_today(uuid) from public, anon, authenticated;
+revoke all on function public._trade_rule_violation(uuid) from public, anon, authenticated;
+revoke all on function public._trade_assert_allowed(uuid) from public, anon, authenticated;
+revoke all on function public._trade_card_cooldown_left(uuid) from public, anon, authenticated;
+revoke all on function public._swap_assert_tradeable(uuid, uuid) from public, anon, authenticated;
+revoke all on function public._trade_flag(text, uuid, uuid, text, text, jsonb) from public, anon, authenticated;
+revoke all on function public._trade_scan_pair(uuid, uuid, text, text) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 3. ENFORCEMENT TRIGGERS
+-- -----------------------------------------------------------------------------
+
+-- Posting an offer (public, direct or counter).
+create or replace function public.enforce_trade_rules_on_offer()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform _trade_assert_allowed(new.player_id_offering);
+    return new;
+end;
+$$;
+
+drop trigger if exists swap_requests_trade_rules on public.swap_requests;
+create trigger swap_requests_trade_rules
+    before insert on public.swap_requests
+    for each row execute function public.enforce_trade_rules_on_offer();
+
+-- Accepting an offer: checked for the accepter before the trade is recorded,
+-- flagged for review once it is.
+create or replace function public.enforce_trade_rules_on_accept()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'INSERT' and tg_when = 'BEFORE' then
+        perform _trade_assert_allowed(new.player_accepting_id);
+    else
+        perform _trade_scan_pair(new.player_offering_id, new.player_accepting_id, 'swap_request', new.request_id::text);
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists swap_transactions_trade_rules on public.swap_transactions;
+create trigger swap_transactions_trade_rules
+    before insert on public.swap_transactions
+    for each row execute function public.enforce_trade_rules_on_accept();
+
+drop trigger if exists swap_transactions_trade_review on public.swap_transactions;
+create trigger swap_transactions_trade_review
+    after insert on public.swap_transactions
+    for each row execute function public.enforce_trade_rules_on_accept();
+
+-- Listing an auction; a settled auction counts towards the pair check.
+create or replace function public.enforce_trade_rules_on_auction()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'INSERT' then
+        perform _trade_assert_allowed(new.seller_id);
+    elsif new.status = 'settled' and old.status <> 'settled' and new.current_bidder_id is not null then
+        perform _trade_scan_pair(new.seller_id, new.current_bidder_id, 'auction', new.id::text);
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists auctions_trade_rules on public.auctions;
+create trigger auctions_trade_rules
+    before insert on public.auctions
+    for each row execute function public.enforce_trade_rules_on_auction();
+
+drop trigger if exists auctions_trade_review on public.auctions;
+create trigger auctions_trade_review
+    after update of status on public.auctions
+    for each row execute function public.enforce_trade_rules_on_auction();
+
+-- Logs every ownership change and flags a card that comes back to a player
+-- who gave it away inside the review window (A -> B -> A, A -> B -> C -> A).
+create or replace function public.log_card_transfer()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_days integer := _market_setting('trade_review_window_days', 7)::integer;
+    v_left timestamptz;
+begin
+    select created_at into v_left
+      from card_transfers
+     where instance_id = new.instance_id and from_player = new.player_id
+       and created_at > now() - make_interval(days => v_days)
+     order by created_at desc limit 1;
+
+    insert into card_transfers (instance_id, card_id, from_player, to_player)
+    values (new.instance_id, new.card_id, old.player_id, new.player_id);
+
+    if v_left is not null then
+        perform _trade_flag('circular', new.player_id, old.player_id, 'card_instance', new.instance_id::text,
+                            jsonb_build_object('card_id', new.card_id, 'left_owner_at', v_left));
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists player_cards_log_transfer on public.player_cards;
+create trigger player_cards_log_transfer
+    after update of player_id on public.player_cards
+    for each row
+    when (old.player_id is distinct from new.player_id)
+    execute function public.log_card_transfer();
+
+-- -----------------------------------------------------------------------------
+-- 4. CLIENT ENTRY POINT
+-- -----------------------------------------------------------------------------
+
+-- Dry run of the blocking rules for the caller, optionally for the cards they
+-- are about to give. Returns {allowed, reason, trades_today, daily_cap}.
+create or replace function public.trade_check(p_instance_ids uuid[] default '{}')
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_player    uuid := auth.uid();
+    v_reason    text := _trade_rule_violation(v_player);
+    v_instance  uuid;
+    v_cooldown  integer;
+begin
+    if v_reason is null then
+        foreach v_instance in array coalesce(p_instance_ids, '{}') loop
+            v_cooldown := _trade_card_cooldown_left(v_instance);
+            if v_cooldown > 0 then
+                v_reason := 'TRADE_CARD_COOLDOWN:' || v_cooldown;
+                exit;
+            end if;
+        end loop;
+    end if;
+
+
+    return jsonb_build_object(
+        'allowed', v_reason is null,
+        'reason', v_reason,
+        'trades_today', _trade_actions_today(v_player),
+        'daily_cap', _market_setting('trade_daily_cap', 0)
+    );
+end;
+$$;
+
+grant execute on function public.trade_check(uuid[]) to authenticated;
@@ -0,0 +1,256 @@
+/*
+ * Filename: sql/010_delta_sync.sql
+ * Version: NOUB v5.1.0 (Delta Sync)
+ * Description:
+ * Collecting factory output used to take six sequential requests (inventory
+ * upsert, factory reset, XP write, then a full state reload). factory_claim
+ * does the inventory, factory and XP writes in one transaction and returns
+ * the changed rows, which the client patches into its store (js/sync.js).
+ * The server decides everything the claim pays: production must have run
+ * base_production_time minutes (less an assigned expert's time reduction),
+ * the expert's chance of a double output is rolled here, and the XP comes
+ * from factory_claim_xp. production_start_time is stamped with now() by a
+ * trigger, so a client cannot backdate a run.
+ * factory_upgrade takes the NOUB and Limestone Blocks of a factory level.
+ * _xp_apply is the level curve every XP grant goes through
+ * (xp_to_next_level grows by 15%); xp, level and xp_to_next_level are
+ * guarded by profiles_guard_progress (sql/016), so only the game actions
+ * that call it can raise a level.
+ * Requires 001 - 009.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. EXPERT EFFECTS
+-- -----------------------------------------------------------------------------
+-- value_by_level[n] applies to an expert of level n (capped at 5)
+create table if not exists public.factory_expert_effects (
+    card_name      text primary key,
+    effect         text not null check (effect in ('TIME_REDUCTION_PERCENT', 'EXTRA_RESOURCE_CHANCE')),
+    value_by_level integer[] not null
+);
+
+insert into public.factory_expert_effects (card_name, effect, value_by_level) values
+    ('Imhotep',             'TIME_REDUCTION_PERCENT', '{20, 25, 30, 40, 50}'),
+    ('Osiris (Underworld)', 'TIME_REDUCTION_PERCENT', '{20, 25, 30, 40, 50}'),
+    ('Ptah (Creator)',      'EXTRA_RESOURCE_CHANCE',  '{15, 20, 25, 30, 35}')
+on conflict (card_name) do nothing;
+
+alter table public.factory_expert_effects enable row level security;
+drop policy if exists "factory_expert_effects_read" on public.factory_expert_effects;
+create policy "factory_expert_effects_read" on public.factory_expert_effects for select using (true);
+
+-- -----------------------------------------------------------------------------
+-- 2. PRODUCTION START TIME
+-- -----------------------------------------------------------------------------
+create or replace function public.stamp_production_start()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.production_start_time is not null
+       and (tg_op = 'INSERT' or new.production_start_time is distinct from old.production_start_time) then
+        new.production_start_time := now();
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists player_factories_stamp_start on public.player_factories;
+create trigger player_factories_stamp_start
+    before insert or update of production_start_time on public.player_factories
+    for each row execute function public.stamp_production_start();
+
+-- -----------------------------------------------------------------------------
+-- 3. EXPERIENCE (internal)
+-- -----------------------------------------------------------------------------
+-- Adds XP and rolls the level over; returns the changed profile columns and
+-- whether the player levelled up.
+create or replace function public._xp_apply(p_player_id uuid, p_xp integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_profile profiles%rowtype;
+    v_xp integer;
+    v_level integer;
+    v_xp_next integer;
+begin
+    select * into v_profile from profiles where id = p_player_id for update;
+    v_xp := coalesce(v_profile.xp, 0) + greatest(coalesce(p_xp, 0), 0);
+    v_level := coalesce(v_profile.level, 1);
+    v_xp_next := coalesce(v_profile.xp_to_next_level, 100);
+    while v_xp >= v_xp_next loop
+        v_level := v_level + 1;
+        v_xp := v_xp - v_xp_next;
+        v_xp_next := floor(v_xp_next * 1.15);
+    end loop;
+
+    perform set_config('noub.progress_write', 'on', true);
+    update profiles
+       set xp = v_xp, level = v_level, xp_to_next_level = v_xp_next
+     where id = p_player_id;
+    perform set_config('noub.progress_write', 'off', true);
+
+    return jsonb_build_object(
+        'leveled_up', v_level > coalesce(v_profile.level, 1),
+        'profile', jsonb_build_object('xp', v_xp, 'level', v_level, 'xp_to_next_level', v_xp_next)
+    );
+end;
+$$;
+
+revoke all on function public._xp_apply(uuid, integer) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 4. FACTORY CLAIM
+-- -----------------------------------------------------------------------------
+-- Earlier builds took the quantity and XP from the client
+drop function if exists public.factory_claim(public.player_factories.id%type, integer, integer);
+
+create or replace function public.factory_claim(
+    p_player_factory_id public.player_factories.id%type
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player uuid := auth.uid();
+    v_factory player_factories%rowtype;
+    v_base_minutes numeric;
+    v_item items%rowtype;
+    v_effect text;
+    v_effect_value integer;
+    v_reduction integer := 0;
+    v_quantity integer := 1;
+    v_new_quantity integer;
+    v_xp jsonb;
+begin
+    select * into v_factory
+      from player_factories
+     where id = p_player_factory_id
+       for update;
+
+    if not found or v_factory.player_id is distinct from v_player then
+        raise exception 'FACTORY_NOT_FOUND';
+    end if;
+    if v_factory.production_start_time is null then
+        raise exception 'FACTORY_NOT_STARTED';
+    end if;
+
+    select base_production_time into v_base_minutes from factories where id = v_factory.factory_id;
+    select i.* into v_item
+      from factories f
+      join items i on i.id = f.output_item_id
+     where f.id = v_factory.factory_id;
+
+    select e.effect, e.value_by_level[least(greatest(coalesce(pc.level, 1), 1), 5)]
+      into v_effect, v_effect_value
+      from player_cards pc
+      join cards c on c.id = pc.card_id
+      join factory_expert_effects e on e.card_name = c.name
+     where pc.instance_id = v_factory.assigned_card_instance_id;
+
+    if v_effect = 'TIME_REDUCTION_PERCENT' then
+        v_reduction := coalesce(v_effect_value, 0);
+    end if;
+    if v_factory.production_start_time
+       + make_interval(secs => v_base_minutes * 60 * (100 - v_reduction) / 100.0) > now() then
+        raise exception 'FACTORY_NOT_READY';
+    end if;
+    if v_effect = 'EXTRA_RESOURCE_CHANCE' and random() * 100 < coalesce(v_effect_value, 0) then
+        v_quantity := 2;
+    end if;
+
+    -- 1. Output into the inventory
+    insert into player_inventory (player_id, item_id, quantity)
+    values (v_player, v_item.id, v_quantity)
+    on conflict (player_id, item_id)
+    do update set quantity = player_inventory.quantity + excluded.quantity
+    returning quantity into v_new_quantity;
+
+    -- 2. Reset the production timer
+    update player_factories set production_start_time = null where id = v_factory.id;
+
+    -- 3. Experience
+    v_xp := _xp_apply(v_player, 5);
+
+    return jsonb_build_object(
+        'quantity', v_quantity,
+        'leveled_up', v_xp -> 'leveled_up',
+        'profile', v_xp -> 'profile',
+        'inventory', jsonb_build_array(jsonb_build_object(
+            'item_id', v_item.id,
+            'quantity', v_new_quantity,
+            'items', jsonb_build_object('id', v_item.id, 'name', v_item.name, 'type', v_item.type,
+                                        'image_url', v_item.image_url, 'base_value', v_item.base_value)
+        )),
+        'factories', jsonb_build_array(jsonb_build_object('id', v_factory.id, 'production_start_time', null))
+    );
+end;
+$$;
+
+grant execute on function public.factory_claim(public.player_factories.id%type) to authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 5. FACTORY UPGRADE
+-- -----------------------------------------------------------------------------
+create or replace function public.factory_upgrade(
+    p_player_factory_id public.player_factories.id%type
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    c_cost constant numeric := 500;
+    c_material constant text := 'Limestone Block';
+    c_material_qty constant integer := 10;
+    c_max_level constant integer := 10;
+    v_player uuid := auth.uid();
+    v_factory player_factories%rowtype;
+    v_material_id items.id%type;
+    v_left integer;
+    v_balances jsonb;
+    v_xp jsonb;
+begin
+    select * into v_factory
+      from player_factories
+     where id = p_player_factory_id
+       for update;
+
+    if not found or v_factory.player_id is distinct from v_player then
+        raise exception 'FACTORY_NOT_FOUND';
+    end if;
+    if coalesce(v_factory.level, 1) >= c_max_level then
+        raise exception 'FACTORY_MAX_LEVEL';
+    end if;
+
+    select id into v_material_id from items where name = c_material;
+    update player_inventory
+       set quantity = quantity - c_material_qty
+     where player_id = v_player and item_id = v_material_id and quantity >= c_material_qty
+    returning quantity into v_left;
+    if not found then
+        raise exception 'FACTORY_MISSING_MATERIALS';
+    end if;
+
+    v_balances := _ledger_apply(v_player, jsonb_build_object('noub', -c_cost), 'FACTORY_UPGRADE',
+                                'player_factory', v_factory.id::text, null);
+    update player_factories set level = coalesce(level, 1) + 1 where id = v_factory.id;
+    v_xp := _xp_apply(v_player, 20);
+
+    return jsonb_build_object(
+        'level', coalesce(v_factory.level, 1) + 1,
+        'leveled_up', v_xp -> 'leveled_up',
+        'profile', v_balances || (v_xp -> 'profile'),
+        'inventory', jsonb_build_array(jsonb_build_object('item_id', v_material_id, 'quantity', v_left)),
+        'factories', jsonb_build_array(jsonb_build_object('id', v_factory.id, 'level', coalesce(v_factory.level, 1) + 1))
+    );
+end;
+$$;
+
+grant execute on function public.factory_upgrade(public.player_factories.id%type) to authenticated;
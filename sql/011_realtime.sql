@@ -0,0 +1,30 @@
+/*
+ * Filename: sql/011_realtime.sql
+ * Version: NOUB v5.2.0 (Realtime Sync)
+ * Description:
+ * Publishes the player-owned tables to Supabase realtime (js/realtime.js).
+ * Realtime applies the tables' RLS policies to every event, so a client only
+ * receives rows it could select anyway. Delete events carry the primary key
+ * only and cannot be filtered per player; the client ignores ids it does not
+ * hold.
+ * Requires 001 - 010.
+ */
+
+do $$
+declare
+    v_table text;
+begin
+    if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+        create publication supabase_realtime;
+    end if;
+
+    foreach v_table in array array['profiles', 'player_inventory', 'player_cards', 'player_factories', 'swap_requests'] loop
+        if not exists (
+            select 1 from pg_publication_tables
+             where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = v_table
+        ) then
+            execute format('alter publication supabase_realtime add table public.%I', v_table);
+        end if;
+    end loop;
+end;
+$$;
@@ -0,0 +1,62 @@
+/*
+ * Filename: sql/012_catalog_versions.sql
+ * Version: NOUB v5.3.0 (Catalog Versions)
+ * Description:
+ * The client caches master data on the device (js/catalog.js) and needs a
+ * cheap way to tell whether its copy is still current. Every master table
+ * gets a version number here, bumped by a statement trigger on any insert,
+ * update, delete or truncate. The client reads this small table instead of
+ * the catalogs and refetches only the ones whose version moved.
+ * Requires 001 - 011.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. SCHEMA
+-- -----------------------------------------------------------------------------
+create table if not exists public.catalog_versions (
+    table_name text primary key,
+    version    bigint not null default 1,
+    updated_at timestamptz not null default now()
+);
+
+alter table public.catalog_versions enable row level security;
+
+drop policy if exists "catalog_versions_read" on public.catalog_versions;
+create policy "catalog_versions_read" on public.catalog_versions for select using (true);
+
+-- -----------------------------------------------------------------------------
+-- 2. VERSION BUMP
+-- Statement level, so a bulk edit of the catalog costs one bump.
+-- -----------------------------------------------------------------------------
+create or replace function public.bump_catalog_version()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into catalog_versions (table_name) values (tg_table_name)
+    on conflict (table_name) do update
+        set version = catalog_versions.version + 1,
+            updated_at = now();
+    return null;
+end;
+$$;
+
+do $$
+declare
+    v_table text;
+begin
+    foreach v_table in array array['cards', 'items', 'factories', 'specialization_paths', 'master_great_projects', 'slot_rewards'] loop
+        insert into public.catalog_versions (table_name) values (v_table)
+        on conflict (table_name) do nothing;
+
+        execute format('drop trigger if exists %I on public.%I', v_table || '_catalog_version', v_table);
+        execute format(
+            'create trigger %I after insert or update or delete or truncate on public.%I
+                 for each statement execute function public.bump_catalog_version()',
+            v_table || '_catalog_version', v_table
+        );
+    end loop;
+end;
+$$;
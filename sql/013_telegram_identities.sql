@@ -0,0 +1,24 @@
+/*
+ * Filename: sql/013_telegram_identities.sql
+ * Version: NOUB v5.4.0 (Telegram Identities)
+ * Description:
+ * Links Telegram accounts to players for one-tap sign-in from the Mini App.
+ * Rows are written only by the telegram-auth Edge Function
+ * (supabase/functions/telegram-auth), which verifies Telegram's initData
+ * signature first; clients may read their own row, never write one.
+ * A Telegram id belongs to one player and a player has one Telegram id.
+ * Requires 001 - 012.
+ */
+
+create table if not exists public.telegram_identities (
+    telegram_id bigint primary key,
+    player_id   uuid not null unique references auth.users (id) on delete cascade,
+    username    text,
+    linked_at   timestamptz not null default now()
+);
+
+alter table public.telegram_identities enable row level security;
+
+drop policy if exists "telegram_identities_read_own" on public.telegram_identities;
+create policy "telegram_identities_read_own" on public.telegram_identities
+    for select using (player_id = auth.uid());
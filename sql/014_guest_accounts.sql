@@ -0,0 +1,89 @@
+/*
+ * Filename: sql/014_guest_accounts.sql
+ * Version: NOUB v5.5.0 (Guest Accounts)
+ * Description:
+ * Guests play on Supabase anonymous users (auth.users.is_anonymous) and are
+ * seeded like any new player. A guest becomes permanent by adding an email
+ * (auth.updateUser) or by linking Telegram (telegram-auth Edge Function).
+ * purge_stale_guests() deletes guests still unconverted after p_days
+ * (GUEST_RETENTION_DAYS in js/config.js shows the same deadline to the
+ * player). Guests with an open offer or auction are skipped until it closes,
+ * so no counterparty loses a trade mid-way. Player rows reference profiles
+ * with on delete cascade; the profile goes with its auth user. Closed
+ * auctions and bundle offers are history of the other player too, so their
+ * references to a guest's cards and bids are cleared instead (card_id
+ * stays). A guest that still cannot be deleted is skipped with a warning
+ * rather than failing the whole batch.
+ * Requires 001 - 013. Enable "Anonymous sign-ins" under Authentication.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. FOREIGN KEYS
+-- -----------------------------------------------------------------------------
+alter table public.auctions alter column card_instance_id drop not null;
+alter table public.auctions drop constraint if exists auctions_card_instance_id_fkey;
+alter table public.auctions
+    add constraint auctions_card_instance_id_fkey
+    foreign key (card_instance_id) references public.player_cards(instance_id) on delete set null;
+
+alter table public.auctions drop constraint if exists auctions_current_bidder_id_fkey;
+alter table public.auctions
+    add constraint auctions_current_bidder_id_fkey
+    foreign key (current_bidder_id) references public.profiles(id) on delete set null;
+
+alter table public.swap_request_assets drop constraint if exists swap_request_assets_instance_id_fkey;
+alter table public.swap_request_assets
+    add constraint swap_request_assets_instance_id_fkey
+    foreign key (instance_id) references public.player_cards(instance_id) on delete set null;
+
+-- -----------------------------------------------------------------------------
+-- 2. PURGE
+-- -----------------------------------------------------------------------------
+create or replace function public.purge_stale_guests(p_days integer default 30)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_guest uuid;
+    v_count integer := 0;
+begin
+    for v_guest in
+        select u.id
+          from auth.users u
+         where u.is_anonymous
+           and u.email is null
+           and u.created_at < now() - make_interval(days => p_days)
+           and not exists (select 1 from telegram_identities t where t.player_id = u.id)
+           and not exists (select 1 from swap_requests s
+                            where s.status = 'active' and (s.player_id_offering = u.id or s.recipient_id = u.id))
+           and not exists (select 1 from auctions a
+                            where a.status = 'active' and (a.seller_id = u.id or a.current_bidder_id = u.id))
+         limit 500
+    loop
+        begin
+            delete from profiles where id = v_guest;
+            delete from auth.users where id = v_guest;
+            v_count := v_count + 1;
+        exception when foreign_key_violation then
+            raise warning 'purge_stale_guests: kept guest % (%)', v_guest, sqlerrm;
+        end;
+    end loop;
+    return v_count;
+end;
+$$;
+
+-- Server job only: a client must never delete accounts
+revoke execute on function public.purge_stale_guests(integer) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 3. SERVER JOB (only when pg_cron is enabled on the project)
+-- -----------------------------------------------------------------------------
+do $$
+begin
+    if exists (select 1 from pg_extension where extname = 'pg_cron') then
+        perform cron.schedule('noub-purge-guests', '17 3 * * *', 'select public.purge_stale_guests(30)');
+    end if;
+end;
+$$;
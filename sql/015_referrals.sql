@@ -0,0 +1,298 @@
+/*
+ * Filename: sql/015_referrals.sql
+ * Version: NOUB v5.6.0 (Referrals)
+ * Description:
+ * Invite links carry the inviter's id as a Telegram start parameter
+ * (startapp=ref_<uuid>). On first login the new player's client calls
+ * referral_claim(); the inviter is then paid as the referee levels up.
+ * Rewards are rows in referral_rewards, one per referee level:
+ *   level 1       paid when the referral is recorded (both sides)
+ *   5, 10, 20     milestone bonuses for the inviter
+ * Anti-abuse rules (codes the client turns into readable reasons):
+ *   - REFERRAL_SELF                     inviting yourself
+ *   - REFERRAL_UNKNOWN                  no such inviter
+ *   - REFERRAL_ALREADY                  the player already has an inviter
+ *   - REFERRAL_TOO_LATE                 only accounts younger than claim_window_hours
+ *   - REFERRAL_LOOP                     the inviter was invited by this player
+ *   - REFERRAL_DAILY_CAP:<cap>          too many referrals for one inviter in 24 hours
+ * Both shares are held while the referee is a guest, and milestones wait
+ * until the referee account is milestone_min_account_hours old, so
+ * throwaway accounts earn nothing. Held rewards are paid by the next
+ * settle: the guest securing the account, a level-up of the referee or the
+ * inviter opening the Friends panel (referral_list). Account age is read
+ * from auth.users, which the client cannot write, unlike
+ * profiles.created_at; levels only rise through _xp_apply (sql/010).
+ * Thresholds are rows in referral_config.
+ * Requires 001 - 014.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. SCHEMA
+-- -----------------------------------------------------------------------------
+create table if not exists public.referral_config (
+    key   text primary key,
+    value numeric not null
+);
+
+insert into public.referral_config (key, value) values
+    ('claim_window_hours', 24),
+    ('inviter_daily_cap', 10),
+    ('milestone_min_account_hours', 24)
+on conflict (key) do nothing;
+
+create table if not exists public.referral_rewards (
+    level          integer primary key check (level >= 1),
+    inviter_reward jsonb not null default '{}'::jsonb,
+    referee_reward jsonb not null default '{}'::jsonb
+);
+
+insert into public.referral_rewards (level, inviter_reward, referee_reward) values
+    (1,  '{"noub": 250}',                  '{"noub": 500, "tickets": 2}'),
+    (5,  '{"noub": 1000}',                 '{}'),
+    (10, '{"noub": 2500, "prestige": 5}',  '{}'),
+    (20, '{"noub": 5000, "prestige": 15}', '{}')
+on conflict (level) do nothing;
+
+create table if not exists public.referrals (
+    referee_id  uuid primary key references public.profiles(id) on delete cascade,
+    referrer_id uuid not null references public.profiles(id) on delete cascade,
+    paid_levels integer[] not null default '{}',
+    welcome_paid boolean not null default false,
+    created_at  timestamptz not null default now()
+);
+
+-- Referrals recorded before the welcome was held were paid on the spot
+alter table public.referrals add column if not exists welcome_paid boolean not null default true;
+alter table public.referrals alter column welcome_paid set default false;
+
+create index if not exists referrals_referrer_idx on public.referrals (referrer_id, created_at desc);
+
+alter table public.referral_config enable row level security;
+alter table public.referral_rewards enable row level security;
+alter table public.referrals enable row level security;
+
+drop policy if exists "referral_config_read" on public.referral_config;
+create policy "referral_config_read" on public.referral_config for select using (true);
+drop policy if exists "referral_rewards_read" on public.referral_rewards;
+create policy "referral_rewards_read" on public.referral_rewards for select using (true);
+
+-- Rows are written by the functions below only
+drop policy if exists "referrals_read_own" on public.referrals;
+create policy "referrals_read_own" on public.referrals
+    for select using (referee_id = auth.uid() or referrer_id = auth.uid());
+
+-- -----------------------------------------------------------------------------
+-- 2. SETTLEMENT (internal)
+-- -----------------------------------------------------------------------------
+create or replace function public._referral_setting(p_key text, p_default numeric)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce((select value from referral_config where key = p_key), p_default);
+$$;
+
+-- Pays the referee's held welcome and the inviter every reward the referee
+-- has reached and that is not held.
+create or replace function public._referral_settle(p_referee_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_referral referrals%rowtype;
+    v_profile  profiles%rowtype;
+    v_reward   referral_rewards%rowtype;
+    v_user     auth.users%rowtype;
+    v_welcome  jsonb;
+    v_min_age  interval := make_interval(hours => _referral_setting('milestone_min_account_hours', 24)::integer);
+begin
+    select * into v_referral from referrals where referee_id = p_referee_id for update;
+    if not found then
+        return;
+    end if;
+    -- Guests may be throwaway accounts: their inviter waits for the conversion
+    select * into v_user from auth.users where id = p_referee_id;
+    if v_user.is_anonymous then
+        return;
+    end if;
+    select * into v_profile from profiles where id = p_referee_id;
+
+    if not v_referral.welcome_paid then
+        select referee_reward into v_welcome from referral_rewards where level = 1;
+        if v_welcome is not null and v_welcome <> '{}'::jsonb then
+            perform _ledger_apply(p_referee_id, v_welcome, 'REFERRAL_WELCOME', 'referral', v_referral.referrer_id::text, null);
+        end if;
+        v_referral.welcome_paid := true;
+    end if;
+
+    for v_reward in
+        select * from referral_rewards
+         where level <= coalesce(v_profile.level, 1)
+           and not (level = any (v_referral.paid_levels))
+         order by level
+    loop
+        continue when v_reward.level > 1 and v_user.created_at > now() - v_min_age;
+
+        perform _ledger_apply(v_referral.referrer_id, v_reward.inviter_reward,
+                              case when v_reward.level = 1 then 'REFERRAL_JOIN' else 'REFERRAL_MILESTONE' end,
+                              'referral', p_referee_id::text, null);
+        insert into activity_log (player_id, activity_type, description)
+        values (v_referral.referrer_id, 'REFERRAL',
+                case when v_reward.level = 1
+                     then format('%s joined through your invite.', coalesce(v_profile.username, 'A friend'))
+                     else format('%s reached level %s. Referral bonus paid.', coalesce(v_profile.username, 'A friend'), v_reward.level)
+                end);
+        v_referral.paid_levels := array_append(v_referral.paid_levels, v_reward.level);
+    end loop;
+
+    update referrals
+       set paid_levels = v_referral.paid_levels, welcome_paid = v_referral.welcome_paid
+     where referee_id = p_referee_id;
+end;
+$$;
+
+revoke all on function public._referral_settle(uuid) from public, anon, authenticated;
+
+create or replace function public._referral_on_level_up()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform _referral_settle(new.id);
+    return new;
+end;
+$$;
+
+drop trigger if exists profiles_referral_level_up on public.profiles;
+create trigger profiles_referral_level_up
+    after update of level on public.profiles
+    for each row
+    when (new.level > old.level)
+    execute function public._referral_on_level_up();
+
+-- A guest that adds an email or Telegram login collects what was held
+create or replace function public._referral_on_account_secured()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform _referral_settle(new.id);
+    return new;
+end;
+$$;
+
+drop trigger if exists auth_users_referral_secured on auth.users;
+create trigger auth_users_referral_secured
+    after update of is_anonymous on auth.users
+    for each row
+    when (old.is_anonymous and not new.is_anonymous)
+    execute function public._referral_on_account_secured();
+
+-- -----------------------------------------------------------------------------
+-- 3. CLIENT ENTRY POINTS
+-- -----------------------------------------------------------------------------
+
+-- Records the caller's inviter and pays the caller's welcome reward, or
+-- holds it while the caller is a guest.
+-- Returns { referrer_username, reward, held }.
+create or replace function public.referral_claim(p_referrer_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   profiles%rowtype;
+    v_referrer profiles%rowtype;
+    v_cap      integer := _referral_setting('inviter_daily_cap', 10)::integer;
+    v_reward   jsonb;
+    v_held     boolean;
+begin
+    if p_referrer_id = auth.uid() then
+        raise exception 'REFERRAL_SELF';
+    end if;
+    select * into v_player from profiles where id = auth.uid();
+    if not found then
+        raise exception 'LEDGER_NO_PROFILE';
+    end if;
+    select * into v_referrer from profiles where id = p_referrer_id for update;
+    if not found then
+        raise exception 'REFERRAL_UNKNOWN';
+    end if;
+    if exists (select 1 from referrals where referee_id = auth.uid()) then
+        raise exception 'REFERRAL_ALREADY';
+    end if;
+    if (select created_at from auth.users where id = auth.uid())
+           < now() - make_interval(hours => _referral_setting('claim_window_hours', 24)::integer) then
+        raise exception 'REFERRAL_TOO_LATE';
+    end if;
+    if exists (select 1 from referrals where referee_id = p_referrer_id and referrer_id = auth.uid()) then
+        raise exception 'REFERRAL_LOOP';
+    end if;
+    if (select count(*) from referrals
+         where referrer_id = p_referrer_id and created_at > now() - interval '24 hours') >= v_cap then
+        raise exception 'REFERRAL_DAILY_CAP:%', v_cap;
+    end if;
+
+    insert into referrals (referee_id, referrer_id) values (auth.uid(), p_referrer_id);
+    perform _referral_settle(auth.uid());
+
+    select referee_reward into v_reward from referral_rewards where level = 1;
+    select not welcome_paid into v_held from referrals where referee_id = auth.uid();
+
+    return jsonb_build_object('referrer_username', v_referrer.username,
+                              'reward', coalesce(v_reward, '{}'::jsonb),
+                              'held', v_held);
+end;
+$$;
+
+-- The caller's referees for the Friends panel, after paying anything due:
+-- { friends: [{ id, username, level, joined_at, paid_levels, is_guest }], rewards: [...] }
+create or replace function public.referral_list()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_referee uuid;
+    v_result  jsonb;
+begin
+    for v_referee in select referee_id from referrals where referrer_id = auth.uid() loop
+        perform _referral_settle(v_referee);
+    end loop;
+
+    select jsonb_build_object(
+        'friends', coalesce((
+            select jsonb_agg(jsonb_build_object(
+                       'id', p.id,
+                       'username', p.username,
+                       'level', coalesce(p.level, 1),
+                       'joined_at', r.created_at,
+                       'paid_levels', to_jsonb(r.paid_levels),
+                       'is_guest', coalesce(u.is_anonymous, false)
+                   ) order by r.created_at desc)
+              from referrals r
+              join profiles p on p.id = r.referee_id
+              left join auth.users u on u.id = r.referee_id
+             where r.referrer_id = auth.uid()
+        ), '[]'::jsonb),
+        'rewards', coalesce((
+            select jsonb_agg(jsonb_build_object('level', level, 'inviter_reward', inviter_reward, 'referee_reward', referee_reward) order by level)
+              from referral_rewards
+        ), '[]'::jsonb)
+    ) into v_result;
+    return v_result;
+end;
+$$;
+
+grant execute on function public.referral_claim(uuid) to authenticated;
+grant execute on function public.referral_list() to authenticated;
@@ -0,0 +1,1954 @@
+/*
+ * Filename: sql/016_server_rewards.sql
+ * Version: NOUB v5.7.0 (Server-Side Rewards)
+ * Description:
+ * Every currency credit is computed here, by one function per reward source;
+ * clients can only debit themselves (ledger_debit, sql/001). Each function
+ * checks the source itself (a finished contract, a complete album, a vault
+ * that filled, today's calendar date), reads the amount from a table and
+ * pays through _ledger_apply. Results are deltas for js/sync.js:
+ *   { reward, profile: {balances, changed columns}, inventory?, cards?, removedCards? }
+ * One-time and periodic rewards are recorded in reward_claims, keyed by
+ * source, reference and period ('' once, '2025-03-14' daily, '2025-W11'
+ * weekly, UTC), so a second claim raises REWARD_ALREADY_CLAIMED.
+ *   task_claim            one-time, social, daily, weekly and KV milestone tasks
+ *   daily_quest_claim     the three daily quests of the Tasks screen
+ *   contract_complete     delivers the goods, pays the contract and every 10th bonus
+ *   album_claim           an album whose cards the player all owns
+ *   profile_create        the player's profile, always from the default balances
+ *                         and progress (profiles_guard_insert)
+ *   starter_pack_claim    once per player
+ *   wheel_spin            pays a ticket, draws a weighted slot_rewards row
+ *   kv_game_start / kv_game_guess / kv_game_use_item / kv_game_end
+ *                         a Valley of the Kings game with the code kept in
+ *                         kv_sessions; a cracked code opens and pays its gate
+ *   card_burn             sacrifices a card for reward_catalog('card_burn')
+ *   card_pack_open        sells a Shop card pack (card_packs) and draws its cards
+ *   soul_card_mint        the player's Soul Card, once, from the protocol answers
+ *   vault_claim / vault_upgrade   the Royal Vault, from last_claim_time
+ *   event_claim           a calendar event on its day (one day of grace)
+ *   exchange_convert      fixed pairs of exchange_rates, priced from
+ *                         currency_values less exchange_spread
+ *   project_subscribe / project_deliver   join a Great Project, move goods into it
+ *   project_complete      a Great Project whose deliveries are complete
+ *   ton_deposit_create    records a pending TON purchase
+ *   ton_deposit_confirm   service role only: the ton-deposit Edge Function
+ *                         calls it once the transfer is found on chain
+ * Contracts, projects, KV wins and the vault also grant XP through
+ * _xp_apply (sql/010), with the amounts in reward_config. xp, level,
+ * xp_to_next_level, idle_generator_level and last_claim_time are guarded
+ * like the balances, so referral milestones (sql/015) only follow levels
+ * the server granted. New cards come only from these functions
+ * (player_cards_guard_writes), so card_burn pays for no card a client made.
+ * What the rewards read is written only here as well: the daily / weekly
+ * task counts (_task_progress_add, from factory_claim, factory_upgrade,
+ * contract_complete and expert assignments), the gates of kv_game_progress,
+ * player_great_projects and production runs (factory_start takes the recipe
+ * inputs). player_inventory only grows through these functions and trades.
+ * exchange_rates refuses any set of pairs with a profitable cycle
+ * (exchange_rates_guard_cycles).
+ * Amounts and rules are rows in reward_config, reward_catalog,
+ * currency_values, exchange_rates, slot_rewards, ton_packages and card_packs.
+ * Requires 001 - 015.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. SCHEMA
+-- -----------------------------------------------------------------------------
+create table if not exists public.reward_config (
+    key   text primary key,
+    value numeric not null
+);
+
+insert into public.reward_config (key, value) values
+    ('contract_cooldown_seconds', 60),
+    ('contract_bonus_every', 10),
+    ('contract_bonus_noub', 500),
+    ('kv_entry_cost', 100),
+    ('kv_win_base', 500),
+    ('kv_win_step', 50),
+    ('kv_extra_seconds', 45),
+    ('kv_hint_cost_ankh', 5),
+    ('kv_time_cost_ankh', 10),
+    ('wheel_spin_cost', 1),
+    ('vault_base_rate_per_minute', 0.25),
+    ('vault_rate_per_level', 0.1),
+    ('vault_base_capacity_hours', 8),
+    ('vault_capacity_per_level_hours', 0.5),
+    ('vault_upgrade_cost_base', 1000),
+    ('vault_upgrade_cost_multiplier', 1.5),
+    ('event_grace_days', 1),
+    ('xp_contract', 10),
+    ('xp_project', 500),
+    ('xp_kv_win', 25),
+    ('xp_vault_claim', 1),
+    ('xp_vault_upgrade', 50),
+    ('exchange_spread', 0.1)
+on conflict (key) do nothing;
+
+-- check: 'ucp' (sections, [] = any), 'progress' (profile column of counts,
+-- kept by _task_progress_add for the game action `type`, of `item` if set),
+-- 'kv' (gates opened), absent = no condition (social links)
+create table if not exists public.reward_catalog (
+    source    text    not null,
+    ref       text    not null,
+    rewards   jsonb   not null default '{}'::jsonb,
+    target    integer not null default 0,
+    period    text    not null default 'once' check (period in ('once', 'daily', 'weekly')),
+    condition jsonb   not null default '{}'::jsonb,
+    primary key (source, ref)
+);
+
+insert into public.reward_catalog (source, ref, rewards, target, period, condition) values
+    ('task', 'ucp_task_1',         '{"noub": 500, "prestige": 10}',               0,  'once',   '{"check": "ucp", "sections": []}'),
+    ('task', 'ucp_task_2',         '{"noub": 1500, "prestige": 75, "tickets": 5}', 0,  'once',   '{"check": "ucp", "sections": ["eve_general"]}'),
+    ('task', 'ucp_task_3',         '{"noub": 5000, "prestige": 250, "ankh": 5}',   0,  'once',   '{"check": "ucp", "sections": ["hypatia_philosophical", "hypatia_scaled"]}'),
+    ('task', 'join_chat',          '{"noub": 1000}',                               0,  'once',   '{}'),
+    ('task', 'join_channel',       '{"noub": 1000}',                               0,  'once',   '{}'),
+    ('task', 'daily_claim_3',      '{"noub": 250}',                                3,  'daily',  '{"check": "progress", "column": "daily_tasks_progress", "type": "production_claim"}'),
+    ('task', 'daily_contract_1',   '{"prestige": 20}',                             1,  'daily',  '{"check": "progress", "column": "daily_tasks_progress", "type": "contract_complete"}'),
+    ('task', 'daily_assign_1',     '{"tickets": 2}',                               1,  'daily',  '{"check": "progress", "column": "daily_tasks_progress", "type": "assign_expert"}'),
+    ('task', 'weekly_produce_10',  '{"noub": 2000}',                               10, 'weekly', '{"check": "progress", "column": "weekly_tasks_progress", "type": "production_claim", "item": "Clay Jar"}'),
+    ('task', 'weekly_contracts_5', '{"ankh": 5}',                                  5,  'weekly', '{"check": "progress", "column": "weekly_tasks_progress", "type": "contract_complete"}'),
+    ('task', 'weekly_upgrade_3',   '{"prestige": 100}',                            3,  'weekly', '{"check": "progress", "column": "weekly_tasks_progress", "type": "upgrade_building"}'),
+    ('task', 'kv_10',              '{"noub": 5000, "prestige": 50}',               10, 'once',   '{"check": "kv"}'),
+    ('task', 'kv_20',              '{"tickets": 20, "ankh": 5}',                   20, 'once',   '{"check": "kv"}'),
+    ('task', 'kv_30',              '{"noub": 15000, "prestige": 150}',             30, 'once',   '{"check": "kv"}'),
+    ('task', 'kv_40',              '{"tickets": 50, "ankh": 15}',                  40, 'once',   '{"check": "kv"}'),
+    ('task', 'kv_50',              '{"noub": 50000, "prestige": 500}',             50, 'once',   '{"check": "kv"}'),
+    ('task', 'kv_62',              '{"ankh": 100}',                                62, 'once',   '{"check": "kv"}'),
+    ('daily_quest', 'visit_shop',   '{"noub": 50}',  1,  'daily', '{}'),
+    ('daily_quest', 'spin_slot',    '{"noub": 150}', 1,  'daily', '{}'),
+    ('daily_quest', 'gather_stone', '{"noub": 75}',  10, 'daily', '{}'),
+    ('starter_pack', 'default', '{"noub": 2000, "prestige": 10, "tickets": 5}', 0, 'once', '{}'),
+    ('card_burn',    'default', '{"noub": 100}',                                0, 'once', '{}')
+on conflict (source, ref) do nothing;
+
+create table if not exists public.reward_claims (
+    player_id  uuid        not null references public.profiles(id) on delete cascade,
+    source     text        not null,
+    ref        text        not null,
+    period     text        not null default '',
+    created_at timestamptz not null default now(),
+    primary key (player_id, source, ref, period)
+);
+
+create table if not exists public.exchange_rates (
+    from_currency text    not null,
+    to_currency   text    not null,
+    rate          numeric not null check (rate > 0),
+    step          numeric not null default 1 check (step >= 1),
+    primary key (from_currency, to_currency)
+);
+
+-- Worth of one unit of each currency, in NOUB
+create table if not exists public.currency_values (
+    currency   text    primary key,
+    noub_value numeric not null check (noub_value > 0)
+);
+
+insert into public.currency_values (currency, noub_value) values
+    ('noub',     1),
+    ('prestige', 1000),
+    ('tickets',  100),
+    ('ankh',     500)
+on conflict (currency) do nothing;
+
+-- A profitable loop of swaps would mint currency, so every edit of
+-- exchange_rates is checked: no cycle of pairs may multiply to 1 or more.
+create or replace function public.guard_exchange_cycles()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+    if exists (
+        with recursive walk (start, node, product, path) as (
+            select from_currency, to_currency, rate, array[from_currency, to_currency]
+            from exchange_rates
+            union all
+            select w.start, r.to_currency, w.product * r.rate, w.path || r.to_currency
+            from walk w
+            join exchange_rates r on r.from_currency = w.node
+            where w.node <> w.start
+              and not r.to_currency = any (w.path[2:])
+        )
+        select 1 from walk where node = start and product >= 1
+    ) then
+        raise exception 'EXCHANGE_PROFITABLE_CYCLE';
+    end if;
+    return null;
+end;
+$$;
+
+drop trigger if exists exchange_rates_guard_cycles on public.exchange_rates;
+create trigger exchange_rates_guard_cycles
+    after insert or update or delete on public.exchange_rates
+    for each statement execute function public.guard_exchange_cycles();
+
+-- Every pair is value(from) / value(to) less exchange_spread, so any round
+-- trip ends below where it started; `step` is the smallest lot of the spent
+-- currency that buys one whole unit. Re-run after editing currency_values.
+insert into public.exchange_rates (from_currency, to_currency, rate, step)
+select pairs.from_currency, pairs.to_currency, priced.rate, ceil(1 / priced.rate)
+from (values
+    ('prestige', 'noub'),
+    ('tickets',  'noub'),
+    ('ankh',     'noub'),
+    ('noub',     'prestige'),
+    ('noub',     'tickets'),
+    ('noub',     'ankh'),
+    ('ankh',     'prestige'),
+    ('prestige', 'ankh')
+) as pairs (from_currency, to_currency)
+join public.currency_values f on f.currency = pairs.from_currency
+join public.currency_values t on t.currency = pairs.to_currency
+cross join lateral (
+    select trunc(f.noub_value / t.noub_value
+                 * (1 - (select value from public.reward_config where key = 'exchange_spread')), 6) as rate
+) priced
+on conflict (from_currency, to_currency) do update
+    set rate = excluded.rate, step = excluded.step;
+
+create table if not exists public.ton_packages (
+    id          integer primary key,
+    name        text    not null,
+    ton_amount  numeric not null check (ton_amount > 0),
+    ankh_amount numeric not null check (ankh_amount > 0)
+);
+
+insert into public.ton_packages (id, name, ton_amount, ankh_amount) values
+    (1, 'Minor Ankh Deposit', 0.00015, 100),
+    (2, 'Major Ankh Deposit', 0.00015, 500),
+    (3, 'Pharaoh''s Treasury', 0.00015, 1500)
+on conflict (id) do nothing;
+
+-- wallet is the payer's raw address (TonConnect account.address)
+create table if not exists public.ton_deposits (
+    id          uuid        primary key default gen_random_uuid(),
+    player_id   uuid        not null references public.profiles(id) on delete cascade,
+    package_id  integer     not null references public.ton_packages(id),
+    wallet      text        not null,
+    amount_nano bigint      not null,
+    ankh_amount numeric     not null,
+    status      text        not null default 'pending' check (status in ('pending', 'credited')),
+    tx_hash     text        unique,
+    created_at  timestamptz not null default now(),
+    credited_at timestamptz
+);
+
+create index if not exists ton_deposits_player_idx on public.ton_deposits (player_id, created_at desc);
+
+-- The open Valley of the Kings game of each player. The code never leaves
+-- the server until the game ends (no policies: clients cannot read it).
+create table if not exists public.kv_sessions (
+    player_id          uuid        primary key references public.profiles(id) on delete cascade,
+    gate               integer     not null,
+    code               text        not null,
+    attempts_left      integer     not null,
+    last_digit_shown   boolean     not null default false,
+    expires_at         timestamptz not null,
+    created_at         timestamptz not null default now()
+);
+
+-- Card packs of the Shop
+create table if not exists public.card_packs (
+    id         text    primary key,
+    name       text    not null,
+    cost_noub  numeric not null check (cost_noub > 0),
+    card_count integer not null check (card_count > 0)
+);
+
+insert into public.card_packs (id, name, cost_noub, card_count) values
+    ('papyrus',     'Papyrus Scroll Pack', 250,  1),
+    ('canopic',     'Canopic Jar Pack',    1000, 3),
+    ('sarcophagus', 'Sarcophagus Crate',   5000, 5)
+on conflict (id) do nothing;
+
+-- Prizes of the Wheel of Fortune (wheel_spin). reward_type is a ledger
+-- currency, or card_pack (reward_value cards); weight is the relative
+-- chance. Older projects keep their table and gain the weight column;
+-- rows 1 - 10 are rewritten with ledger codes.
+create table if not exists public.slot_rewards (
+    id           integer primary key,
+    reward_type  text    not null,
+    reward_value numeric not null check (reward_value > 0),
+    label        text    not null,
+    weight       integer not null default 0 check (weight >= 0)
+);
+
+alter table public.slot_rewards add column if not exists weight integer not null default 0;
+
+insert into public.slot_rewards (id, reward_type, reward_value, label, weight) values
+    (1,  'noub',      100, 'Small NOUB Find',      20),
+    (2,  'noub',      300, '300 NOUB',             15),
+    (3,  'tickets',   2,   '2 Tickets',            12),
+    (4,  'noub',      50,  'Minor NOUB Find',      20),
+    (5,  'prestige',  3,   '3 Prestige',           10),
+    (6,  'noub',      500, '500 NOUB',             8),
+    (7,  'ankh',      5,   '5 Ankh',               5),
+    (8,  'card_pack', 1,   '1x Papyrus Pack',      5),
+    (9,  'noub',      750, 'Major NOUB Find',      4),
+    (10, 'prestige',  50,  '50 Prestige JACKPOT!', 1)
+on conflict (id) do update
+    set reward_type = excluded.reward_type, reward_value = excluded.reward_value,
+        label = excluded.label, weight = excluded.weight;
+
+-- wheel_spin could not pay any other type
+update public.slot_rewards set weight = 0
+ where reward_type not in ('noub', 'prestige', 'ankh', 'tickets', 'card_pack');
+
+-- Albums 4 and 5 of the Collection screen
+insert into public.master_albums (id, name, card_ids, reward_noub_score, reward_prestige) values
+    (4, 'Dendera Temple', '{28, 29, 30, 31, 32, 33, 34, 35, 36}', 6000, 50),
+    (5, 'Royal Arsenal', '{37, 38, 39, 40, 41, 42, 43, 44, 45}', 8000, 100)
+on conflict (id) do nothing;
+
+alter table public.reward_config enable row level security;
+alter table public.reward_catalog enable row level security;
+alter table public.reward_claims enable row level security;
+alter table public.exchange_rates enable row level security;
+alter table public.currency_values enable row level security;
+alter table public.ton_packages enable row level security;
+alter table public.ton_deposits enable row level security;
+alter table public.card_packs enable row level security;
+alter table public.kv_sessions enable row level security;
+alter table public.slot_rewards enable row level security;
+
+drop policy if exists "reward_config_read" on public.reward_config;
+create policy "reward_config_read" on public.reward_config for select using (true);
+drop policy if exists "reward_catalog_read" on public.reward_catalog;
+create policy "reward_catalog_read" on public.reward_catalog for select using (true);
+drop policy if exists "exchange_rates_read" on public.exchange_rates;
+create policy "exchange_rates_read" on public.exchange_rates for select using (true);
+drop policy if exists "currency_values_read" on public.currency_values;
+create policy "currency_values_read" on public.currency_values for select using (true);
+drop policy if exists "ton_packages_read" on public.ton_packages;
+create policy "ton_packages_read" on public.ton_packages for select using (true);
+drop policy if exists "card_packs_read" on public.card_packs;
+create policy "card_packs_read" on public.card_packs for select using (true);
+drop policy if exists "slot_rewards_read" on public.slot_rewards;
+create policy "slot_rewards_read" on public.slot_rewards for select using (true);
+
+-- Rows are written by the functions below only
+drop policy if exists "reward_claims_read_own" on public.reward_claims;
+create policy "reward_claims_read_own" on public.reward_claims for select using (player_id = auth.uid());
+drop policy if exists "ton_deposits_read_own" on public.ton_deposits;
+create policy "ton_deposits_read_own" on public.ton_deposits for select using (player_id = auth.uid());
+
+-- -----------------------------------------------------------------------------
+-- 2. GUARDS
+-- The Royal Vault, the level rewards and the daily / weekly tasks pay from
+-- these columns, so only the functions that grant them (which raise
+-- noub.progress_write) may change them.
+-- -----------------------------------------------------------------------------
+create or replace function public.guard_profile_progress()
+returns trigger
+language plpgsql
+as $$
+begin
+    if coalesce(current_setting('noub.progress_write', true), '') <> 'on' and (
+           new.idle_generator_level is distinct from old.idle_generator_level
+        or new.last_claim_time      is distinct from old.last_claim_time
+        or new.xp                   is distinct from old.xp
+        or new.level                is distinct from old.level
+        or new.xp_to_next_level     is distinct from old.xp_to_next_level
+        or new.daily_tasks_progress  is distinct from old.daily_tasks_progress
+        or new.weekly_tasks_progress is distinct from old.weekly_tasks_progress
+    ) then
+        raise exception 'PROGRESS_WRITE_DENIED: this column changes only through its game action';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_progress on public.profiles;
+create trigger profiles_guard_progress
+    before update on public.profiles
+    for each row execute function public.guard_profile_progress();
+
+-- The update guards above would let a new row carry any balance or level,
+-- so a profile always starts from the defaults; balances arrive with
+-- starter_pack_claim. Profiles are made by profile_create.
+create or replace function public.guard_profile_insert()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.noub_score            := 0;
+    new.prestige              := 0;
+    new.ankh_premium          := 0;
+    new.spin_tickets          := 0;
+    new.idle_generator_level  := 1;
+    new.last_claim_time       := null;
+    new.xp                    := 0;
+    new.level                 := 1;
+    new.xp_to_next_level      := 100;
+    new.daily_tasks_progress  := '{}';
+    new.weekly_tasks_progress := '{}';
+    return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_insert on public.profiles;
+create trigger profiles_guard_insert
+    before insert on public.profiles
+    for each row execute function public.guard_profile_insert();
+
+revoke insert on public.profiles from anon, authenticated;
+
+-- card_burn and album_claim pay by card_id, so cards are created only by
+-- the functions here (which raise noub.card_write) and never turn into
+-- another card. Trades move existing rows and are not affected.
+create or replace function public.guard_card_writes()
+returns trigger
+language plpgsql
+as $$
+begin
+    if coalesce(current_setting('noub.card_write', true), '') <> 'on'
+       and (tg_op = 'INSERT' or new.card_id is distinct from old.card_id) then
+        raise exception 'CARD_WRITE_DENIED: cards come only from packs, rewards and trades';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists player_cards_guard_writes on public.player_cards;
+create trigger player_cards_guard_writes
+    before insert or update of card_id on public.player_cards
+    for each row execute function public.guard_card_writes();
+
+revoke insert on public.player_cards from anon, authenticated;
+
+-- The gates opened pay the KV milestone tasks: only a game won through
+-- kv_game_guess opens one. A client-made row starts at the first gate.
+create or replace function public.guard_kv_progress()
+returns trigger
+language plpgsql
+as $$
+begin
+    if coalesce(current_setting('noub.progress_write', true), '') = 'on' then
+        return new;
+    end if;
+    if tg_op = 'INSERT' then
+        new.current_kv_level := 1;
+        new.unlocked_levels_json := '[]';
+    elsif new.current_kv_level is distinct from old.current_kv_level
+       or new.unlocked_levels_json is distinct from old.unlocked_levels_json then
+        raise exception 'PROGRESS_WRITE_DENIED: gates open only by winning their game';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists kv_game_progress_guard on public.kv_game_progress;
+create trigger kv_game_progress_guard
+    before insert or update on public.kv_game_progress
+    for each row execute function public.guard_kv_progress();
+
+-- Contracts and projects take goods from the inventory, so items are added
+-- only by production, trades and rewards (which raise noub.inventory_write).
+-- Clients may still spend what they hold.
+create or replace function public.guard_inventory_writes()
+returns trigger
+language plpgsql
+as $$
+begin
+    if coalesce(current_setting('noub.inventory_write', true), '') <> 'on'
+       and (tg_op = 'INSERT' or new.quantity > old.quantity) then
+        raise exception 'INVENTORY_WRITE_DENIED: items come only from production, trades and rewards';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists player_inventory_guard_writes on public.player_inventory;
+create trigger player_inventory_guard_writes
+    before insert or update of quantity on public.player_inventory
+    for each row execute function public.guard_inventory_writes();
+
+-- A run is started by factory_start, which takes the recipe inputs, and
+-- reset by factory_claim (both raise noub.production_write)
+create or replace function public.guard_production_start()
+returns trigger
+language plpgsql
+as $$
+begin
+    if coalesce(current_setting('noub.production_write', true), '') <> 'on'
+       and ((tg_op = 'INSERT' and new.production_start_time is not null)
+            or (tg_op = 'UPDATE' and new.production_start_time is distinct from old.production_start_time)) then
+        raise exception 'PRODUCTION_WRITE_DENIED: production starts only through factory_start';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists player_factories_guard_start on public.player_factories;
+create trigger player_factories_guard_start
+    before insert or update of production_start_time on public.player_factories
+    for each row execute function public.guard_production_start();
+
+-- project_complete pays from the delivered progress, so projects are joined
+-- and filled only by project_subscribe / project_deliver (noub.project_write)
+create or replace function public.guard_project_writes()
+returns trigger
+language plpgsql
+as $$
+begin
+    if coalesce(current_setting('noub.project_write', true), '') <> 'on'
+       and (tg_op = 'INSERT'
+            or new.progress is distinct from old.progress
+            or new.status is distinct from old.status) then
+        raise exception 'PROJECT_WRITE_DENIED: projects change only through their game actions';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists player_great_projects_guard_writes on public.player_great_projects;
+create trigger player_great_projects_guard_writes
+    before insert or update on public.player_great_projects
+    for each row execute function public.guard_project_writes();
+
+-- -----------------------------------------------------------------------------
+-- 3. HELPERS (internal)
+-- -----------------------------------------------------------------------------
+create or replace function public._reward_setting(p_key text, p_default numeric)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce((select value from reward_config where key = p_key), p_default);
+$$;
+
+-- '' for one-time rewards, the UTC day or ISO week otherwise
+create or replace function public._reward_period(p_period text)
+returns text
+language sql
+stable
+set search_path = public
+as $$
+    select case p_period
+        when 'daily'  then to_char(now() at time zone 'utc', 'YYYY-MM-DD')
+        when 'weekly' then to_char(now() at time zone 'utc', 'IYYY-"W"IW')
+        else ''
+    end;
+$$;
+
+-- Records a claim; false when this player already has it
+create or replace function public._reward_claim(p_player_id uuid, p_source text, p_ref text, p_period text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into reward_claims (player_id, source, ref, period)
+    values (p_player_id, p_source, p_ref, coalesce(p_period, ''))
+    on conflict do nothing;
+    return found;
+end;
+$$;
+
+create or replace function public._reward_catalog_row(p_source text, p_ref text)
+returns public.reward_catalog
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_row reward_catalog%rowtype;
+begin
+    select * into v_row from reward_catalog where source = p_source and ref = p_ref;
+    if not found then
+        raise exception 'REWARD_UNKNOWN';
+    end if;
+    return v_row;
+end;
+$$;
+
+revoke all on function public._reward_setting(text, numeric) from public, anon, authenticated;
+-- Adds p_count random cards (never the Soul Card); returns the rows with
+-- their master card, as js/sync.js takes them
+create or replace function public._cards_draw(p_player_id uuid, p_count integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_cards jsonb;
+begin
+    perform set_config('noub.card_write', 'on', true);
+    with drawn as (
+        insert into player_cards (player_id, card_id, level, power_score, is_locked)
+        select p_player_id, c.id, 1, 10, false
+          from generate_series(1, greatest(p_count, 1)) g
+         cross join lateral (select id from cards where id <> 9999 and g > 0 order by random() limit 1) c
+        returning *
+    )
+    select coalesce(jsonb_agg(to_jsonb(d) || jsonb_build_object('cards', to_jsonb(c))), '[]'::jsonb)
+      into v_cards
+      from drawn d join cards c on c.id = d.card_id;
+    perform set_config('noub.card_write', 'off', true);
+    return v_cards;
+end;
+$$;
+
+-- Replaces the 005 version: raises noub.inventory_write for
+-- player_inventory_guard_writes
+create or replace function public._inventory_give(p_player_id uuid, p_item_id bigint, p_quantity numeric)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform set_config('noub.inventory_write', 'on', true);
+    insert into player_inventory (player_id, item_id, quantity)
+    values (p_player_id, p_item_id, p_quantity)
+    on conflict (player_id, item_id) do update set quantity = player_inventory.quantity + excluded.quantity;
+    perform set_config('noub.inventory_write', 'off', true);
+end;
+$$;
+
+-- Counts a game action towards the daily and weekly 'progress' tasks.
+-- Each column carries the period it counts ({"period": "2025-W11", ...})
+-- and starts over when a new one begins. Returns both columns.
+create or replace function public._task_progress_add(p_player_id uuid, p_type text, p_amount integer, p_item_name text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_task     reward_catalog%rowtype;
+    v_columns  jsonb;
+    v_column   text;
+    v_period   text;
+    v_progress jsonb;
+begin
+    select jsonb_build_object('daily_tasks_progress', coalesce(daily_tasks_progress, '{}'::jsonb),
+                              'weekly_tasks_progress', coalesce(weekly_tasks_progress, '{}'::jsonb))
+      into v_columns
+      from profiles where id = p_player_id for update;
+    if not found then
+        return '{}'::jsonb;
+    end if;
+
+    for v_task in
+        select * from reward_catalog
+         where source = 'task'
+           and condition ->> 'check' = 'progress'
+           and condition ->> 'type' = p_type
+           and (condition ->> 'item' is null or condition ->> 'item' = p_item_name)
+    loop
+        v_column := v_task.condition ->> 'column';
+        v_period := _reward_period(v_task.period);
+        v_progress := v_columns -> v_column;
+        if v_progress ->> 'period' is distinct from v_period then
+            v_progress := jsonb_build_object('period', v_period);
+        end if;
+        v_progress := v_progress || jsonb_build_object(v_task.ref,
+            least(v_task.target, coalesce((v_progress ->> v_task.ref)::integer, 0) + p_amount));
+        v_columns := v_columns || jsonb_build_object(v_column, v_progress);
+    end loop;
+
+    perform set_config('noub.progress_write', 'on', true);
+    update profiles
+       set daily_tasks_progress = v_columns -> 'daily_tasks_progress',
+           weekly_tasks_progress = v_columns -> 'weekly_tasks_progress'
+     where id = p_player_id;
+    perform set_config('noub.progress_write', 'off', true);
+    return v_columns;
+end;
+$$;
+
+-- 'assign_expert' tasks count every expert placed in a factory
+create or replace function public._task_on_expert_assigned()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.assigned_card_instance_id is not null
+       and new.assigned_card_instance_id is distinct from old.assigned_card_instance_id then
+        perform _task_progress_add(new.player_id, 'assign_expert', 1, null);
+    end if;
+    return null;
+end;
+$$;
+
+drop trigger if exists player_factories_task_assign on public.player_factories;
+create trigger player_factories_task_assign
+    after update of assigned_card_instance_id on public.player_factories
+    for each row execute function public._task_on_expert_assigned();
+
+-- Digits, seconds and attempts of a Valley of the Kings gate
+create or replace function public._kv_gate_config(p_gate integer)
+returns jsonb
+language sql
+immutable
+as $$
+    select case
+        when p_gate >= 53 then '{"digits": 6, "seconds": 160, "attempts": 5}'::jsonb
+        when p_gate >= 41 then '{"digits": 5, "seconds": 120, "attempts": 5}'::jsonb
+        when p_gate >= 25 then '{"digits": 4, "seconds": 90, "attempts": 5}'::jsonb
+        else '{"digits": 3, "seconds": 70, "attempts": 4}'::jsonb
+    end;
+$$;
+
+-- The free hints of a code: digit sum and product, odd and even digits
+create or replace function public._kv_code_hints(p_code text)
+returns jsonb
+language plpgsql
+immutable
+as $$
+declare
+    v_digit   integer;
+    v_sum     integer := 0;
+    v_product bigint := 1;
+    v_evens   integer := 0;
+begin
+    for i in 1 .. length(p_code) loop
+        v_digit := substr(p_code, i, 1)::integer;
+        v_sum := v_sum + v_digit;
+        v_product := v_product * v_digit;
+        if v_digit % 2 = 0 then
+            v_evens := v_evens + 1;
+        end if;
+    end loop;
+    return jsonb_build_object('sum', v_sum, 'product', v_product, 'evens', v_evens, 'odds', length(p_code) - v_evens);
+end;
+$$;
+
+-- Bulls (right digit, right place) and cows (right digit, wrong place)
+create or replace function public._kv_feedback(p_code text, p_guess text)
+returns jsonb
+language plpgsql
+immutable
+as $$
+declare
+    v_bulls  integer := 0;
+    v_cows   integer := 0;
+    v_left   integer[] := array_fill(0, array[10]);
+    v_missed text := '';
+    v_digit  integer;
+begin
+    for i in 1 .. length(p_code) loop
+        if substr(p_code, i, 1) = substr(p_guess, i, 1) then
+            v_bulls := v_bulls + 1;
+        else
+            v_digit := substr(p_code, i, 1)::integer;
+            v_left[v_digit + 1] := v_left[v_digit + 1] + 1;
+            v_missed := v_missed || substr(p_guess, i, 1);
+        end if;
+    end loop;
+    for i in 1 .. length(v_missed) loop
+        v_digit := substr(v_missed, i, 1)::integer;
+        if v_left[v_digit + 1] > 0 then
+            v_cows := v_cows + 1;
+            v_left[v_digit + 1] := v_left[v_digit + 1] - 1;
+        end if;
+    end loop;
+    return jsonb_build_object('bulls', v_bulls, 'cows', v_cows);
+end;
+$$;
+
+revoke all on function public._reward_claim(uuid, text, text, text) from public, anon, authenticated;
+revoke all on function public._reward_catalog_row(text, text) from public, anon, authenticated;
+revoke all on function public._cards_draw(uuid, integer) from public, anon, authenticated;
+revoke all on function public._inventory_give(uuid, bigint, numeric) from public, anon, authenticated;
+revoke all on function public._task_progress_add(uuid, text, integer, text) from public, anon, authenticated;
+
+-- -----------------------------------------------------------------------------
+-- 4. TASKS, QUESTS, STARTER PACK
+-- -----------------------------------------------------------------------------
+
+-- The claimed flags the Tasks screen reads are set here as well; daily and
+-- weekly ones carry their period like the progress (_task_progress_add)
+create or replace function public.task_claim(p_task_id text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_task     reward_catalog%rowtype := _reward_catalog_row('task', p_task_id);
+    v_profile  profiles%rowtype;
+    v_check    text := v_task.condition ->> 'check';
+    v_period   text := _reward_period(v_task.period);
+    v_claimed  jsonb;
+    v_done     boolean;
+    v_changes  jsonb;
+    v_balances jsonb;
+begin
+    select * into v_profile from profiles where id = v_player for update;
+    if not found then
+        raise exception 'LEDGER_NO_PROFILE';
+    end if;
+
+    v_done := case v_check
+        when 'ucp' then exists (
+            select 1 from player_protocol_data d
+             where d.player_id = v_player
+               and (jsonb_array_length(v_task.condition -> 'sections') = 0
+                    or d.section_key in (select jsonb_array_elements_text(v_task.condition -> 'sections'))))
+        when 'progress' then
+            to_jsonb(v_profile) -> (v_task.condition ->> 'column') ->> 'period' = v_period
+            and coalesce((to_jsonb(v_profile) -> (v_task.condition ->> 'column') ->> p_task_id)::numeric, 0) >= v_task.target
+        when 'kv' then
+            coalesce((select current_kv_level - 1 from kv_game_progress where player_id = v_player), 0) >= v_task.target
+        else true
+    end;
+    if not v_done then
+        raise exception 'REWARD_NOT_READY';
+    end if;
+    if not _reward_claim(v_player, 'task', p_task_id, v_period) then
+        raise exception 'REWARD_ALREADY_CLAIMED';
+    end if;
+
+    v_claimed := case v_task.period
+        when 'daily' then coalesce(to_jsonb(v_profile.daily_tasks_claimed), '{}'::jsonb)
+        when 'weekly' then coalesce(to_jsonb(v_profile.weekly_tasks_claimed), '{}'::jsonb)
+    end;
+    if v_claimed ->> 'period' is distinct from v_period then
+        v_claimed := jsonb_build_object('period', v_period);
+    end if;
+
+    v_changes := case
+        when v_check = 'ucp' then jsonb_build_object(p_task_id || '_claimed', true)
+        when v_check = 'kv' then jsonb_build_object('kv_milestones_claimed',
+            coalesce(to_jsonb(v_profile.kv_milestones_claimed), '[]'::jsonb) || to_jsonb(v_task.target))
+        when v_task.period = 'daily' then jsonb_build_object(
+            'daily_tasks_claimed', v_claimed || jsonb_build_object(p_task_id, true),
+            'daily_track_progress', coalesce(v_profile.daily_track_progress, 0) + 1)
+        when v_task.period = 'weekly' then jsonb_build_object(
+            'weekly_tasks_claimed', v_claimed || jsonb_build_object(p_task_id, true),
+            'weekly_track_progress', coalesce(v_profile.weekly_track_progress, 0) + 1)
+        else jsonb_build_object('social_tasks_claimed',
+            coalesce(to_jsonb(v_profile.social_tasks_claimed), '{}'::jsonb) || jsonb_build_object(p_task_id, true))
+    end;
+
+    -- Cast through the row type so each column keeps its own type
+    v_profile := jsonb_populate_record(v_profile, v_changes);
+    update profiles set
+        ucp_task_1_claimed    = v_profile.ucp_task_1_claimed,
+        ucp_task_2_claimed    = v_profile.ucp_task_2_claimed,
+        ucp_task_3_claimed    = v_profile.ucp_task_3_claimed,
+        kv_milestones_claimed = v_profile.kv_milestones_claimed,
+        daily_tasks_claimed   = v_profile.daily_tasks_claimed,
+        daily_track_progress  = v_profile.daily_track_progress,
+        weekly_tasks_claimed  = v_profile.weekly_tasks_claimed,
+        weekly_track_progress = v_profile.weekly_track_progress,
+        social_tasks_claimed  = v_profile.social_tasks_claimed
+    where id = v_player;
+
+    v_balances := _ledger_apply(v_player, v_task.rewards, 'TASK_REWARD', 'task', p_task_id, null);
+    return jsonb_build_object('reward', v_task.rewards, 'profile', v_balances || v_changes);
+end;
+$$;
+
+-- Quest progress is kept on the device, so the server caps each quest at once a day
+create or replace function public.daily_quest_claim(p_quest_id text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_quest    reward_catalog%rowtype := _reward_catalog_row('daily_quest', p_quest_id);
+    v_balances jsonb;
+begin
+    if not _reward_claim(v_player, 'daily_quest', p_quest_id, _reward_period(v_quest.period)) then
+        raise exception 'REWARD_ALREADY_CLAIMED';
+    end if;
+    v_balances := _ledger_apply(v_player, v_quest.rewards, 'DAILY_QUEST', 'daily_quest', p_quest_id, null);
+    return jsonb_build_object('reward', v_quest.rewards, 'profile', v_balances);
+end;
+$$;
+
+-- Creates the signed-in player's profile; a second call returns the
+-- existing row unchanged. The balances come from starter_pack_claim.
+create or replace function public.profile_create(p_username text, p_avatar_url text default null)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player  uuid := auth.uid();
+    v_profile profiles%rowtype;
+begin
+    insert into profiles (id, username, avatar_url, is_new_player, created_at)
+    values (v_player, coalesce(nullif(btrim(p_username), ''), 'Explorer'), p_avatar_url, false, now())
+    on conflict (id) do nothing;
+    select * into v_profile from profiles where id = v_player;
+    return to_jsonb(v_profile);
+end;
+$$;
+
+create or replace function public.starter_pack_claim()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_pack     reward_catalog%rowtype := _reward_catalog_row('starter_pack', 'default');
+    v_balances jsonb;
+begin
+    if not _reward_claim(v_player, 'starter_pack', 'default', '') then
+        raise exception 'REWARD_ALREADY_CLAIMED';
+    end if;
+    v_balances := _ledger_apply(v_player, v_pack.rewards, 'STARTER_PACK', null, null, null);
+    return jsonb_build_object('reward', v_pack.rewards, 'profile', v_balances);
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- 5. CONTRACTS, ALBUMS, PROJECTS
+-- -----------------------------------------------------------------------------
+create or replace function public.contract_complete(p_player_contract_id public.player_contracts.id%type)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player    uuid := auth.uid();
+    v_entry     player_contracts%rowtype;
+    v_contract  contracts%rowtype;
+    v_req       record;
+    v_left      numeric;
+    v_inventory jsonb := '[]'::jsonb;
+    v_count     integer;
+    v_every     integer := _reward_setting('contract_bonus_every', 10)::integer;
+    v_reward    jsonb;
+    v_bonus     jsonb := '{}'::jsonb;
+    v_balances  jsonb;
+    v_xp        jsonb;
+    v_tasks     jsonb;
+begin
+    select * into v_entry from player_contracts where id = p_player_contract_id for update;
+    if not found or v_entry.player_id is distinct from v_player then
+        raise exception 'CONTRACT_NOT_FOUND';
+    end if;
+    if v_entry.status <> 'active' then
+        raise exception 'CONTRACT_NOT_ACTIVE';
+    end if;
+    if v_entry.accepted_at > now() - make_interval(secs => _reward_setting('contract_cooldown_seconds', 60)) then
+        raise exception 'CONTRACT_COOLDOWN';
+    end if;
+    select * into v_contract from contracts where id = v_entry.contract_id;
+
+    for v_req in
+        select item_id, quantity from contract_requirements where contract_id = v_entry.contract_id
+    loop
+        update player_inventory
+           set quantity = quantity - v_req.quantity
+         where player_id = v_player and item_id = v_req.item_id and quantity >= v_req.quantity
+        returning quantity into v_left;
+        if not found then
+            raise exception 'CONTRACT_MISSING_ITEMS';
+        end if;
+        v_inventory := v_inventory || jsonb_build_object('item_id', v_req.item_id, 'quantity', v_left);
+    end loop;
+
+    update player_contracts set status = 'completed' where id = p_player_contract_id;
+    select count(*) into v_count from player_contracts where player_id = v_player and status = 'completed';
+    update profiles set completed_contracts_count = v_count where id = v_player;
+
+    v_reward := jsonb_strip_nulls(jsonb_build_object('noub', v_contract.reward_score, 'prestige', v_contract.reward_prestige));
+    v_balances := _ledger_apply(v_player, v_reward, 'CONTRACT_REWARD', 'player_contract', p_player_contract_id::text, null);
+
+    if v_every > 0 and v_count % v_every = 0
+       and _reward_claim(v_player, 'contract_bonus', v_count::text, '') then
+        v_bonus := jsonb_build_object('noub', _reward_setting('contract_bonus_noub', 500));
+        v_balances := _ledger_apply(v_player, v_bonus, 'CONTRACT_BONUS', 'contract_milestone', v_count::text, null);
+    end if;
+    v_xp := _xp_apply(v_player, _reward_setting('xp_contract', 10)::integer);
+    v_tasks := _task_progress_add(v_player, 'contract_complete', 1, null);
+
+    return jsonb_build_object(
+        'reward', v_reward,
+        'bonus', v_bonus,
+        'leveled_up', v_xp -> 'leveled_up',
+        'profile', v_balances || (v_xp -> 'profile') || v_tasks || jsonb_build_object('completed_contracts_count', v_count),
+        'inventory', v_inventory
+    );
+end;
+$$;
+
+create or replace function public.album_claim(p_album_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_album    jsonb;
+    v_reward   jsonb;
+    v_balances jsonb;
+begin
+    -- As jsonb, so a reward column this deployment lacks simply reads as null
+    select to_jsonb(a) into v_album from master_albums a where id = p_album_id;
+    if v_album is null then
+        raise exception 'REWARD_UNKNOWN';
+    end if;
+    if exists (
+        select 1 from jsonb_array_elements_text(v_album -> 'card_ids') c(card_id)
+         where not exists (select 1 from player_cards pc where pc.player_id = v_player and pc.card_id::text = c.card_id)
+    ) then
+        raise exception 'ALBUM_INCOMPLETE';
+    end if;
+    if not _reward_claim(v_player, 'album', p_album_id::text, '') then
+        raise exception 'REWARD_ALREADY_CLAIMED';
+    end if;
+
+    -- The Albums screen reads the claim from player_albums
+    update player_albums set reward_claimed = true where player_id = v_player and album_id = p_album_id;
+    if not found then
+        insert into player_albums (player_id, album_id, reward_claimed) values (v_player, p_album_id, true);
+    end if;
+
+    v_reward := jsonb_strip_nulls(jsonb_build_object(
+        'noub', v_album -> 'reward_noub_score',
+        'prestige', v_album -> 'reward_prestige',
+        'ankh', v_album -> 'reward_ankh_premium'
+    ));
+    v_balances := _ledger_apply(v_player, v_reward, 'ALBUM_REWARD', 'album', p_album_id::text, null);
+    return jsonb_build_object('reward', v_reward, 'profile', v_balances);
+end;
+$$;
+
+-- Joins a Great Project: takes its NOUB / Prestige cost once the player
+-- meets its level and specialization
+create or replace function public.project_subscribe(p_project_id public.master_great_projects.id%type)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_project  master_great_projects%rowtype;
+    v_level    integer;
+    v_entry    player_great_projects%rowtype;
+    v_balances jsonb;
+begin
+    select * into v_project from master_great_projects where id = p_project_id;
+    if not found then
+        raise exception 'PROJECT_NOT_FOUND';
+    end if;
+    select coalesce(level, 1) into v_level from profiles where id = v_player for update;
+    if not found then
+        raise exception 'LEDGER_NO_PROFILE';
+    end if;
+    if v_level < coalesce(v_project.min_player_level, 1) then
+        raise exception 'PROJECT_LEVEL_TOO_LOW';
+    end if;
+    if v_project.required_specialization_id is not null and not exists (
+        select 1 from player_specializations
+         where player_id = v_player and specialization_path_id = v_project.required_specialization_id
+    ) then
+        raise exception 'PROJECT_SPECIALIZATION_REQUIRED';
+    end if;
+    if exists (select 1 from player_great_projects where player_id = v_player and project_id = p_project_id) then
+        raise exception 'PROJECT_ALREADY_JOINED';
+    end if;
+
+    v_balances := _ledger_apply(v_player,
+        jsonb_strip_nulls(jsonb_build_object('noub', -v_project.cost_noub, 'prestige', -v_project.cost_prestige)),
+        'PROJECT_SUBSCRIBE', 'great_project', p_project_id::text, null);
+
+    perform set_config('noub.project_write', 'on', true);
+    insert into player_great_projects (player_id, project_id, start_time, status, progress)
+    values (v_player, p_project_id, now(), 'active', '{}'::jsonb)
+    returning * into v_entry;
+    perform set_config('noub.project_write', 'off', true);
+
+    return jsonb_build_object('project', to_jsonb(v_entry), 'profile', v_balances);
+end;
+$$;
+
+-- Moves goods from the inventory into an active project, up to what it
+-- still needs
+create or replace function public.project_deliver(
+    p_player_project_id public.player_great_projects.id%type,
+    p_item_id bigint,
+    p_quantity integer
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player    uuid := auth.uid();
+    v_entry     player_great_projects%rowtype;
+    v_needed    numeric;
+    v_delivered numeric;
+    v_left      numeric;
+    v_progress  jsonb;
+begin
+    select * into v_entry from player_great_projects where id = p_player_project_id for update;
+    if not found or v_entry.player_id is distinct from v_player then
+        raise exception 'PROJECT_NOT_FOUND';
+    end if;
+    if v_entry.status <> 'active' then
+        raise exception 'PROJECT_NOT_ACTIVE';
+    end if;
+
+    select (r ->> 'quantity')::numeric into v_needed
+      from master_great_projects m, jsonb_array_elements(m.requirements -> 'item_requirements') r
+     where m.id = v_entry.project_id and (r ->> 'item_id')::bigint = p_item_id;
+    if v_needed is null then
+        raise exception 'PROJECT_ITEM_NOT_NEEDED';
+    end if;
+    v_delivered := coalesce((v_entry.progress ->> p_item_id::text)::numeric, 0);
+    if p_quantity is null or p_quantity < 1 or v_delivered + p_quantity > v_needed then
+        raise exception 'PROJECT_DELIVERY_TOO_LARGE:%', greatest(v_needed - v_delivered, 0);
+    end if;
+
+    update player_inventory
+       set quantity = quantity - p_quantity
+     where player_id = v_player and item_id = p_item_id and quantity >= p_quantity
+    returning quantity into v_left;
+    if not found then
+        raise exception 'PROJECT_MISSING_ITEMS';
+    end if;
+
+    v_progress := coalesce(v_entry.progress, '{}'::jsonb) || jsonb_build_object(p_item_id::text, v_delivered + p_quantity);
+    perform set_config('noub.project_write', 'on', true);
+    update player_great_projects set progress = v_progress where id = p_player_project_id;
+    perform set_config('noub.project_write', 'off', true);
+
+    return jsonb_build_object(
+        'progress', v_progress,
+        'inventory', jsonb_build_array(jsonb_build_object('item_id', p_item_id, 'quantity', v_left))
+    );
+end;
+$$;
+
+create or replace function public.project_complete(p_player_project_id public.player_great_projects.id%type)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_entry    player_great_projects%rowtype;
+    v_project  master_great_projects%rowtype;
+    v_reward   jsonb;
+    v_balances jsonb;
+    v_xp       jsonb;
+begin
+    select * into v_entry from player_great_projects where id = p_player_project_id for update;
+    if not found or v_entry.player_id is distinct from v_player then
+        raise exception 'PROJECT_NOT_FOUND';
+    end if;
+    if v_entry.status <> 'active' then
+        raise exception 'PROJECT_NOT_ACTIVE';
+    end if;
+    select * into v_project from master_great_projects where id = v_entry.project_id;
+
+    if v_project.requirements -> 'item_requirements' is null or exists (
+        select 1 from jsonb_array_elements(v_project.requirements -> 'item_requirements') r
+         where coalesce((v_entry.progress ->> (r ->> 'item_id'))::numeric, 0) < (r ->> 'quantity')::numeric
+    ) then
+        raise exception 'PROJECT_INCOMPLETE';
+    end if;
+
+    perform set_config('noub.project_write', 'on', true);
+    update player_great_projects set status = 'completed' where id = p_player_project_id;
+    perform set_config('noub.project_write', 'off', true);
+    v_reward := coalesce(v_project.rewards, '{}'::jsonb);
+    v_balances := _ledger_apply(v_player, v_reward, 'PROJECT_REWARD', 'player_great_project', p_player_project_id::text, null);
+    v_xp := _xp_apply(v_player, _reward_setting('xp_project', 500)::integer);
+    return jsonb_build_object('reward', v_reward, 'leveled_up', v_xp -> 'leveled_up',
+                              'profile', v_balances || (v_xp -> 'profile'));
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- 6. MINIGAMES, CARDS, CALENDAR
+-- -----------------------------------------------------------------------------
+create or replace function public.wheel_spin()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_prize    slot_rewards%rowtype;
+    v_reward   jsonb := '{}'::jsonb;
+    v_cards    jsonb := '[]'::jsonb;
+    v_balances jsonb;
+begin
+    v_balances := _ledger_apply(v_player, jsonb_build_object('tickets', -_reward_setting('wheel_spin_cost', 1)), 'WHEEL_SPIN', null, null, null);
+
+    -- Weighted draw (exponential keys): each row wins in proportion to its weight
+    select * into v_prize from slot_rewards where weight > 0 order by -ln(1 - random()) / weight limit 1;
+    if not found then
+        raise exception 'REWARD_UNKNOWN';
+    end if;
+
+    if v_prize.reward_type = 'card_pack' then
+        v_cards := _cards_draw(v_player, v_prize.reward_value::integer);
+    else
+        v_reward := jsonb_build_object(v_prize.reward_type, v_prize.reward_value);
+        v_balances := _ledger_apply(v_player, v_reward, 'WHEEL_PRIZE', 'wheel_prize', v_prize.id::text, null);
+    end if;
+
+    return jsonb_build_object(
+        'prize', jsonb_build_object('id', v_prize.id, 'reward_type', v_prize.reward_type,
+                                    'reward_value', v_prize.reward_value, 'label', v_prize.label),
+        'reward', v_reward,
+        'profile', v_balances,
+        'cards', v_cards
+    );
+end;
+$$;
+
+-- Valley of the Kings: the server draws the code, answers each guess and
+-- opens the gate on a win, so a gate pays only when its code was cracked
+drop function if exists public.kv_win_claim(integer);
+
+-- Takes the entry fee for the next sealed gate and starts its game; a game
+-- still open is given up. Returns the rules and the free hints.
+create or replace function public.kv_game_start()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_gate     integer;
+    v_config   jsonb;
+    v_code     text;
+    v_expires  timestamptz;
+    v_balances jsonb;
+begin
+    select coalesce(current_kv_level, 1) into v_gate from kv_game_progress where player_id = v_player;
+    v_gate := coalesce(v_gate, 1);
+    if v_gate > 62 then
+        raise exception 'KV_ALL_GATES_OPEN';
+    end if;
+    v_config := _kv_gate_config(v_gate);
+
+    v_balances := _ledger_apply(v_player, jsonb_build_object('noub', -_reward_setting('kv_entry_cost', 100)),
+                                'KV_ENTRY', 'kv_gate', v_gate::text, null);
+
+    select string_agg(floor(random() * 10)::integer::text, '')
+      into v_code
+      from generate_series(1, (v_config ->> 'digits')::integer);
+    v_expires := now() + make_interval(secs => (v_config ->> 'seconds')::integer);
+
+    insert into kv_sessions (player_id, gate, code, attempts_left, last_digit_shown, expires_at, created_at)
+    values (v_player, v_gate, v_code, (v_config ->> 'attempts')::integer, false, v_expires, now())
+    on conflict (player_id) do update
+        set gate = excluded.gate, code = excluded.code, attempts_left = excluded.attempts_left,
+            last_digit_shown = false, expires_at = excluded.expires_at, created_at = excluded.created_at;
+
+    perform set_config('noub.progress_write', 'on', true);
+    insert into kv_game_progress (player_id, current_kv_level, unlocked_levels_json)
+    values (v_player, 1, '[]')
+    on conflict (player_id) do nothing;
+    perform set_config('noub.progress_write', 'off', true);
+
+    return v_config || jsonb_build_object(
+        'gate', v_gate,
+        'expires_at', v_expires,
+        'hints', _kv_code_hints(v_code),
+        'profile', v_balances
+    );
+end;
+$$;
+
+-- Answers one guess. A win opens the gate and pays it with its XP; a game
+-- that ends (won, out of attempts or out of time) returns its code.
+create or replace function public.kv_game_guess(p_guess text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_session  kv_sessions%rowtype;
+    v_unlocked jsonb;
+    v_reward   jsonb;
+    v_balances jsonb;
+    v_xp       jsonb;
+begin
+    select * into v_session from kv_sessions where player_id = v_player for update;
+    if not found then
+        raise exception 'KV_NO_GAME';
+    end if;
+    if v_session.expires_at <= now() then
+        delete from kv_sessions where player_id = v_player;
+        update kv_game_progress set last_game_result = 'Loss' where player_id = v_player;
+        return jsonb_build_object('result', 'lose_time', 'gate', v_session.gate, 'code', v_session.code);
+    end if;
+    if p_guess is null or p_guess !~ ('^[0-9]{' || length(v_session.code) || '}$') then
+        raise exception 'KV_BAD_GUESS:%', length(v_session.code);
+    end if;
+
+    if p_guess <> v_session.code then
+        if v_session.attempts_left <= 1 then
+            delete from kv_sessions where player_id = v_player;
+            update kv_game_progress set last_game_result = 'Loss' where player_id = v_player;
+            return jsonb_build_object('result', 'lose_attempts', 'gate', v_session.gate, 'code', v_session.code);
+        end if;
+        update kv_sessions set attempts_left = attempts_left - 1 where player_id = v_player;
+        return _kv_feedback(v_session.code, p_guess)
+            || jsonb_build_object('result', 'miss', 'attempts_left', v_session.attempts_left - 1);
+    end if;
+
+    delete from kv_sessions where player_id = v_player;
+    select coalesce(unlocked_levels_json::jsonb, '[]'::jsonb) into v_unlocked from kv_game_progress where player_id = v_player for update;
+    if not (v_unlocked @> to_jsonb(v_session.gate)) then
+        v_unlocked := v_unlocked || to_jsonb(v_session.gate);
+    end if;
+    perform set_config('noub.progress_write', 'on', true);
+    update kv_game_progress
+       set current_kv_level = greatest(coalesce(current_kv_level, 1), v_session.gate + 1),
+           unlocked_levels_json = v_unlocked::text,
+           last_game_result = 'Win'
+     where player_id = v_player;
+    perform set_config('noub.progress_write', 'off', true);
+
+    v_reward := jsonb_build_object('noub', _reward_setting('kv_win_base', 500) + (v_session.gate - 1) * _reward_setting('kv_win_step', 50));
+    v_balances := _ledger_apply(v_player, v_reward, 'KV_WIN', 'kv_gate', v_session.gate::text, null);
+    v_xp := _xp_apply(v_player, _reward_setting('xp_kv_win', 25)::integer);
+    return jsonb_build_object('result', 'win', 'gate', v_session.gate, 'code', v_session.code,
+                              'reward', v_reward, 'leveled_up', v_xp -> 'leveled_up',
+                              'profile', v_balances || (v_xp -> 'profile'));
+end;
+$$;
+
+-- Uses a Hint Scroll (the code's last digit) or a Time Amulet (more
+-- seconds) in the open game: a consumable if the player has one,
+-- otherwise bought with Ankh Premium
+create or replace function public.kv_game_use_item(p_item_key text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player     uuid := auth.uid();
+    v_session    kv_sessions%rowtype;
+    v_cost       numeric;
+    v_left       numeric;
+    v_result     jsonb;
+begin
+    if p_item_key not in ('hint_scroll', 'time_amulet_45s') then
+        raise exception 'KV_ITEM_UNKNOWN';
+    end if;
+    select * into v_session from kv_sessions where player_id = v_player for update;
+    if not found or v_session.expires_at <= now() then
+        raise exception 'KV_NO_GAME';
+    end if;
+    if p_item_key = 'hint_scroll' and v_session.last_digit_shown then
+        raise exception 'KV_HINT_SHOWN';
+    end if;
+
+    update game_consumables
+       set quantity = quantity - 1
+     where player_id = v_player and item_key = p_item_key and quantity >= 1
+    returning quantity into v_left;
+    if found then
+        v_result := jsonb_build_object('consumables', jsonb_build_array(
+            jsonb_build_object('item_key', p_item_key, 'quantity', v_left)));
+    else
+        v_cost := case p_item_key
+            when 'hint_scroll' then _reward_setting('kv_hint_cost_ankh', 5)
+            else _reward_setting('kv_time_cost_ankh', 10)
+        end;
+        v_result := jsonb_build_object('profile', _ledger_apply(v_player, jsonb_build_object('ankh', -v_cost),
+                                                                'KV_ITEM', 'consumable', p_item_key, null));
+    end if;
+
+    if p_item_key = 'hint_scroll' then
+        update kv_sessions set last_digit_shown = true where player_id = v_player;
+        return v_result || jsonb_build_object('last_digit', right(v_session.code, 1)::integer);
+    end if;
+    update kv_sessions
+       set expires_at = expires_at + make_interval(secs => _reward_setting('kv_extra_seconds', 45)::integer)
+     where player_id = v_player
+    returning expires_at into v_session.expires_at;
+    return v_result || jsonb_build_object('expires_at', v_session.expires_at);
+end;
+$$;
+
+-- Gives up the open game and returns its code
+create or replace function public.kv_game_end()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player  uuid := auth.uid();
+    v_session kv_sessions%rowtype;
+begin
+    delete from kv_sessions where player_id = v_player returning * into v_session;
+    if not found then
+        raise exception 'KV_NO_GAME';
+    end if;
+    update kv_game_progress set last_game_result = 'Loss' where player_id = v_player;
+    return jsonb_build_object('result', 'manual', 'gate', v_session.gate, 'code', v_session.code);
+end;
+$$;
+
+create or replace function public.card_burn(p_instance_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_card     player_cards%rowtype;
+    v_reward   jsonb;
+    v_balances jsonb;
+begin
+    select * into v_card from player_cards where instance_id = p_instance_id for update;
+    if not found or v_card.player_id is distinct from v_player then
+        raise exception 'CARD_NOT_FOUND';
+    end if;
+    -- It could be minted again right away
+    if v_card.card_id = 9999 then
+        raise exception 'CARD_SOULBOUND';
+    end if;
+    if exists (select 1 from player_factories where assigned_card_instance_id = p_instance_id) then
+        raise exception 'CARD_IN_USE';
+    end if;
+
+    -- player_cards_guard_escrow raises CARD_IN_ESCROW for a listed card
+    delete from player_cards where instance_id = p_instance_id;
+
+    v_reward := coalesce(
+        (select rewards from reward_catalog where source = 'card_burn' and ref = v_card.card_id::text),
+        (select rewards from reward_catalog where source = 'card_burn' and ref = 'default'),
+        '{}'::jsonb);
+    v_balances := _ledger_apply(v_player, v_reward, 'CARD_BURN', 'player_card', p_instance_id::text, null);
+    return jsonb_build_object('reward', v_reward, 'profile', v_balances, 'removedCards', jsonb_build_array(p_instance_id));
+end;
+$$;
+
+create or replace function public.card_pack_open(p_pack_id text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_pack     card_packs%rowtype;
+    v_balances jsonb;
+begin
+    select * into v_pack from card_packs where id = p_pack_id;
+    if not found then
+        raise exception 'CARD_PACK_UNKNOWN';
+    end if;
+    v_balances := _ledger_apply(v_player, jsonb_build_object('noub', -v_pack.cost_noub), 'SHOP_CARD_PACK', 'card_pack', p_pack_id, null);
+    return jsonb_build_object('profile', v_balances, 'cards', _cards_draw(v_player, v_pack.card_count));
+end;
+$$;
+
+-- The Soul Card's power is the number of Collatz steps of the player's DNA
+-- string, built from the protocol answers kept on the profile
+create or replace function public.soul_card_mint()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player  uuid := auth.uid();
+    v_profile profiles%rowtype;
+    v_dna     text;
+    v_n       numeric;
+    v_steps   integer := 0;
+    v_card    player_cards%rowtype;
+begin
+    select * into v_profile from profiles where id = v_player for update;
+    if not found then
+        raise exception 'LEDGER_NO_PROFILE';
+    end if;
+    if coalesce(v_profile.dna_edu_level::text, '') = '' or coalesce(v_profile.dna_eve_code, '00000') = '00000' then
+        raise exception 'SOUL_CARD_PROTOCOL_INCOMPLETE';
+    end if;
+    if exists (select 1 from player_cards where player_id = v_player and card_id = 9999) then
+        raise exception 'SOUL_CARD_EXISTS';
+    end if;
+
+    v_dna := concat('19781018', v_profile.dna_edu_level, v_profile.dna_lang_count, v_profile.dna_sport_type, v_profile.dna_eve_code);
+    v_n := v_dna::numeric;
+    while v_n > 1 and v_steps < 50000 loop
+        v_n := case when mod(v_n, 2) = 0 then div(v_n, 2) else 3 * v_n + 1 end;
+        v_steps := v_steps + 1;
+    end loop;
+
+    perform set_config('noub.card_write', 'on', true);
+    insert into player_cards (player_id, card_id, level, power_score, is_locked)
+    values (v_player, 9999, 1, v_steps, true)
+    returning * into v_card;
+    perform set_config('noub.card_write', 'off', true);
+    update profiles set soul_card_serial = v_dna where id = v_player;
+
+    return jsonb_build_object(
+        'power_score', v_steps,
+        'dna_string', v_dna,
+        'profile', jsonb_build_object('soul_card_serial', v_dna),
+        'cards', jsonb_build_array(to_jsonb(v_card) || jsonb_build_object('cards', (select to_jsonb(c) from cards c where c.id = 9999)))
+    );
+end;
+$$;
+
+-- A vault never claimed counts as full
+create or replace function public.vault_claim()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_profile  profiles%rowtype;
+    v_level    integer;
+    v_rate     numeric;
+    v_capacity numeric;
+    v_minutes  numeric;
+    v_amount   numeric;
+    v_balances jsonb;
+    v_xp       jsonb;
+    v_now      timestamptz := now();
+begin
+    select * into v_profile from profiles where id = v_player for update;
+    if not found then
+        raise exception 'LEDGER_NO_PROFILE';
+    end if;
+    v_level := coalesce(v_profile.idle_generator_level, 1);
+    v_rate := _reward_setting('vault_base_rate_per_minute', 0.25) + (v_level - 1) * _reward_setting('vault_rate_per_level', 0.1);
+    v_capacity := (_reward_setting('vault_base_capacity_hours', 8) + (v_level - 1) * _reward_setting('vault_capacity_per_level_hours', 0.5)) * 60;
+    v_minutes := coalesce(extract(epoch from v_now - v_profile.last_claim_time) / 60, v_capacity);
+    v_amount := floor(least(greatest(v_minutes, 0), v_capacity) * v_rate);
+    if v_amount < 1 then
+        raise exception 'VAULT_NOT_READY';
+    end if;
+
+    perform set_config('noub.progress_write', 'on', true);
+    update profiles set last_claim_time = v_now where id = v_player;
+    perform set_config('noub.progress_write', 'off', true);
+
+    v_balances := _ledger_apply(v_player, jsonb_build_object('noub', v_amount), 'VAULT_CLAIM', null, null, null);
+    v_xp := _xp_apply(v_player, _reward_setting('xp_vault_claim', 1)::integer);
+    return jsonb_build_object('reward', jsonb_build_object('noub', v_amount),
+                              'leveled_up', v_xp -> 'leveled_up',
+                              'profile', v_balances || (v_xp -> 'profile') || jsonb_build_object('last_claim_time', v_now));
+end;
+$$;
+
+create or replace function public.vault_upgrade()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_level    integer;
+    v_cost     numeric;
+    v_balances jsonb;
+    v_xp       jsonb;
+begin
+    select coalesce(idle_generator_level, 1) into v_level from profiles where id = v_player for update;
+    if not found then
+        raise exception 'LEDGER_NO_PROFILE';
+    end if;
+    v_cost := floor(_reward_setting('vault_upgrade_cost_base', 1000)
+                    * power(_reward_setting('vault_upgrade_cost_multiplier', 1.5), v_level - 1));
+    v_balances := _ledger_apply(v_player, jsonb_build_object('noub', -v_cost), 'VAULT_UPGRADE', 'vault_level', (v_level + 1)::text, null);
+
+    perform set_config('noub.progress_write', 'on', true);
+    update profiles set idle_generator_level = v_level + 1 where id = v_player;
+    perform set_config('noub.progress_write', 'off', true);
+    v_xp := _xp_apply(v_player, _reward_setting('xp_vault_upgrade', 50)::integer);
+
+    return jsonb_build_object('cost', jsonb_build_object('noub', v_cost),
+                              'leveled_up', v_xp -> 'leveled_up',
+                              'profile', v_balances || (v_xp -> 'profile') || jsonb_build_object('idle_generator_level', v_level + 1));
+end;
+$$;
+
+create or replace function public.event_claim(p_event_id public.game_events.id%type)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_event    game_events%rowtype;
+    v_today    date := (now() at time zone 'utc')::date;
+    v_date     date;
+    v_reward   jsonb;
+    v_balances jsonb;
+begin
+    select * into v_event from game_events where id = p_event_id;
+    if not found then
+        raise exception 'REWARD_UNKNOWN';
+    end if;
+    v_date := make_date(extract(year from v_today)::integer, v_event.event_month, v_event.event_day);
+    -- The grace day covers players whose local date differs from UTC
+    if abs(v_date - v_today) > _reward_setting('event_grace_days', 1) then
+        raise exception 'EVENT_NOT_TODAY';
+    end if;
+    if not _reward_claim(v_player, 'calendar_event', p_event_id::text, extract(year from v_date)::text) then
+        raise exception 'REWARD_ALREADY_CLAIMED';
+    end if;
+
+    insert into player_event_claims (player_id, event_id, claimed_year)
+    values (v_player, p_event_id, extract(year from v_date)::integer);
+
+    v_reward := jsonb_build_object(lower(v_event.reward_type), v_event.reward_amount);
+    v_balances := _ledger_apply(v_player, v_reward, 'CALENDAR_EVENT', 'calendar_event', p_event_id::text, null);
+    return jsonb_build_object('reward', v_reward, 'profile', v_balances);
+end;
+$$;
+
+create or replace function public.exchange_convert(p_from text, p_to text, p_amount numeric)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player   uuid := auth.uid();
+    v_rate     exchange_rates%rowtype;
+    v_received numeric;
+    v_balances jsonb;
+begin
+    select * into v_rate from exchange_rates where from_currency = p_from and to_currency = p_to;
+    if not found then
+        raise exception 'EXCHANGE_PAIR_UNKNOWN';
+    end if;
+    if p_amount is null or p_amount < v_rate.step or p_amount <> trunc(p_amount) or mod(p_amount, v_rate.step) <> 0 then
+        raise exception 'EXCHANGE_BAD_AMOUNT:%', v_rate.step;
+    end if;
+    v_received := floor(p_amount * v_rate.rate);
+    if v_received < 1 then
+        raise exception 'EXCHANGE_BAD_AMOUNT:%', v_rate.step;
+    end if;
+
+    v_balances := _ledger_apply(v_player, jsonb_build_object(p_from, -p_amount, p_to, v_received),
+                                'EXCHANGE', 'exchange_pair', p_from || '_' || p_to, null);
+    return jsonb_build_object('received', v_received, 'profile', v_balances);
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- 7. TON DEPOSITS
+-- The client records the purchase first and pays the returned amount from
+-- the connected wallet; supabase/functions/ton-deposit finds the transfer
+-- on chain and calls ton_deposit_confirm with its hash.
+-- -----------------------------------------------------------------------------
+create or replace function public.ton_deposit_create(p_package_id integer, p_wallet text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player  uuid := auth.uid();
+    v_package ton_packages%rowtype;
+    v_deposit ton_deposits%rowtype;
+begin
+    select * into v_package from ton_packages where id = p_package_id;
+    if not found then
+        raise exception 'TON_PACKAGE_UNKNOWN';
+    end if;
+    if coalesce(trim(p_wallet), '') = '' then
+        raise exception 'TON_WALLET_REQUIRED';
+    end if;
+
+    -- A tag of a few nanotons tells two pending deposits of one wallet apart
+    insert into ton_deposits (player_id, package_id, wallet, amount_nano, ankh_amount)
+    values (v_player, p_package_id, trim(p_wallet),
+            round(v_package.ton_amount * 1e9)::bigint + 1 + floor(random() * 9999)::bigint, v_package.ankh_amount)
+    returning * into v_deposit;
+
+    return jsonb_build_object('id', v_deposit.id, 'amount_nano', v_deposit.amount_nano, 'ankh_amount', v_deposit.ankh_amount);
+end;
+$$;
+
+create or replace function public.ton_deposit_confirm(p_deposit_id uuid, p_tx_hash text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_deposit  ton_deposits%rowtype;
+    v_balances jsonb;
+begin
+    select * into v_deposit from ton_deposits where id = p_deposit_id for update;
+    if not found then
+        raise exception 'TON_DEPOSIT_UNKNOWN';
+    end if;
+    if v_deposit.status = 'credited' then
+        return jsonb_build_object('status', 'credited');
+    end if;
+
+    -- tx_hash is unique: one transfer never pays two deposits
+    update ton_deposits set status = 'credited', tx_hash = p_tx_hash, credited_at = now() where id = p_deposit_id;
+    v_balances := _ledger_apply(v_deposit.player_id, jsonb_build_object('ankh', v_deposit.ankh_amount),
+                                'TON_DEPOSIT', 'ton_tx', p_tx_hash, null);
+    return jsonb_build_object('status', 'credited', 'reward', jsonb_build_object('ankh', v_deposit.ankh_amount), 'profile', v_balances);
+end;
+$$;
+
+revoke all on function public.ton_deposit_confirm(uuid, text) from public, anon, authenticated;
+grant execute on function public.ton_deposit_confirm(uuid, text) to service_role;
+
+-- -----------------------------------------------------------------------------
+-- 8. PRODUCTION (factory_claim and factory_upgrade replace the 010 versions)
+-- -----------------------------------------------------------------------------
+-- Takes the recipe inputs and starts a run
+create or replace function public.factory_start(
+    p_player_factory_id public.player_factories.id%type
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player    uuid := auth.uid();
+    v_factory   player_factories%rowtype;
+    v_recipe    record;
+    v_left      numeric;
+    v_inventory jsonb := '[]'::jsonb;
+begin
+    select * into v_factory
+      from player_factories
+     where id = p_player_factory_id
+       for update;
+
+    if not found or v_factory.player_id is distinct from v_player then
+        raise exception 'FACTORY_NOT_FOUND';
+    end if;
+    if v_factory.production_start_time is not null then
+        raise exception 'FACTORY_BUSY';
+    end if;
+
+    for v_recipe in
+        select input_item_id, input_quantity from factory_recipes where factory_id = v_factory.factory_id
+    loop
+        update player_inventory
+           set quantity = quantity - v_recipe.input_quantity
+         where player_id = v_player and item_id = v_recipe.input_item_id and quantity >= v_recipe.input_quantity
+        returning quantity into v_left;
+        if not found then
+            raise exception 'FACTORY_MISSING_INPUTS';
+        end if;
+        v_inventory := v_inventory || jsonb_build_object('item_id', v_recipe.input_item_id, 'quantity', v_left);
+    end loop;
+
+    -- player_factories_stamp_start (sql/010) sets the server's clock
+    perform set_config('noub.production_write', 'on', true);
+    update player_factories set production_start_time = now() where id = v_factory.id
+    returning * into v_factory;
+    perform set_config('noub.production_write', 'off', true);
+
+    return jsonb_build_object(
+        'inventory', v_inventory,
+        'factories', jsonb_build_array(jsonb_build_object('id', v_factory.id, 'production_start_time', v_factory.production_start_time))
+    );
+end;
+$$;
+
+create or replace function public.factory_claim(
+    p_player_factory_id public.player_factories.id%type
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player uuid := auth.uid();
+    v_factory player_factories%rowtype;
+    v_base_minutes numeric;
+    v_item items%rowtype;
+    v_effect text;
+    v_effect_value integer;
+    v_reduction integer := 0;
+    v_quantity integer := 1;
+    v_new_quantity integer;
+    v_xp jsonb;
+    v_tasks jsonb;
+begin
+    select * into v_factory
+      from player_factories
+     where id = p_player_factory_id
+       for update;
+
+    if not found or v_factory.player_id is distinct from v_player then
+        raise exception 'FACTORY_NOT_FOUND';
+    end if;
+    if v_factory.production_start_time is null then
+        raise exception 'FACTORY_NOT_STARTED';
+    end if;
+
+    select base_production_time into v_base_minutes from factories where id = v_factory.factory_id;
+    select i.* into v_item
+      from factories f
+      join items i on i.id = f.output_item_id
+     where f.id = v_factory.factory_id;
+
+    select e.effect, e.value_by_level[least(greatest(coalesce(pc.level, 1), 1), 5)]
+      into v_effect, v_effect_value
+      from player_cards pc
+      join cards c on c.id = pc.card_id
+      join factory_expert_effects e on e.card_name = c.name
+     where pc.instance_id = v_factory.assigned_card_instance_id;
+
+    if v_effect = 'TIME_REDUCTION_PERCENT' then
+        v_reduction := coalesce(v_effect_value, 0);
+    end if;
+    if v_factory.production_start_time
+       + make_interval(secs => v_base_minutes * 60 * (100 - v_reduction) / 100.0) > now() then
+        raise exception 'FACTORY_NOT_READY';
+    end if;
+    if v_effect = 'EXTRA_RESOURCE_CHANCE' and random() * 100 < coalesce(v_effect_value, 0) then
+        v_quantity := 2;
+    end if;
+
+    -- 1. Output into the inventory
+    perform _inventory_give(v_player, v_item.id, v_quantity);
+    select quantity into v_new_quantity from player_inventory where player_id = v_player and item_id = v_item.id;
+
+    -- 2. Reset the production timer
+    perform set_config('noub.production_write', 'on', true);
+    update player_factories set production_start_time = null where id = v_factory.id;
+    perform set_config('noub.production_write', 'off', true);
+
+    -- 3. Experience and task progress
+    v_xp := _xp_apply(v_player, 5);
+    v_tasks := _task_progress_add(v_player, 'production_claim', 1, v_item.name);
+
+    return jsonb_build_object(
+        'quantity', v_quantity,
+        'leveled_up', v_xp -> 'leveled_up',
+        'profile', (v_xp -> 'profile') || v_tasks,
+        'inventory', jsonb_build_array(jsonb_build_object(
+            'item_id', v_item.id,
+            'quantity', v_new_quantity,
+            'items', jsonb_build_object('id', v_item.id, 'name', v_item.name, 'type', v_item.type,
+                                        'image_url', v_item.image_url, 'base_value', v_item.base_value)
+        )),
+        'factories', jsonb_build_array(jsonb_build_object('id', v_factory.id, 'production_start_time', null))
+    );
+end;
+$$;
+
+create or replace function public.factory_upgrade(
+    p_player_factory_id public.player_factories.id%type
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    c_cost constant numeric := 500;
+    c_material constant text := 'Limestone Block';
+    c_material_qty constant integer := 10;
+    c_max_level constant integer := 10;
+    v_player uuid := auth.uid();
+    v_factory player_factories%rowtype;
+    v_material_id items.id%type;
+    v_left integer;
+    v_balances jsonb;
+    v_xp jsonb;
+    v_tasks jsonb;
+begin
+    select * into v_factory
+      from player_factories
+     where id = p_player_factory_id
+       for update;
+
+    if not found or v_factory.player_id is distinct from v_player then
+        raise exception 'FACTORY_NOT_FOUND';
+    end if;
+    if coalesce(v_factory.level, 1) >= c_max_level then
+        raise exception 'FACTORY_MAX_LEVEL';
+    end if;
+
+    select id into v_material_id from items where name = c_material;
+    update player_inventory
+       set quantity = quantity - c_material_qty
+     where player_id = v_player and item_id = v_material_id and quantity >= c_material_qty
+    returning quantity into v_left;
+    if not found then
+        raise exception 'FACTORY_MISSING_MATERIALS';
+    end if;
+
+    v_balances := _ledger_apply(v_player, jsonb_build_object('noub', -c_cost), 'FACTORY_UPGRADE',
+                                'player_factory', v_factory.id::text, null);
+    update player_factories set level = coalesce(level, 1) + 1 where id = v_factory.id;
+    v_xp := _xp_apply(v_player, 20);
+    v_tasks := _task_progress_add(v_player, 'upgrade_building', 1, null);
+
+    return jsonb_build_object(
+        'level', coalesce(v_factory.level, 1) + 1,
+        'leveled_up', v_xp -> 'leveled_up',
+        'profile', v_balances || (v_xp -> 'profile') || v_tasks,
+        'inventory', jsonb_build_array(jsonb_build_object('item_id', v_material_id, 'quantity', v_left)),
+        'factories', jsonb_build_array(jsonb_build_object('id', v_factory.id, 'level', coalesce(v_factory.level, 1) + 1))
+    );
+end;
+$$;
+
+grant execute on function public.factory_start(public.player_factories.id%type) to authenticated;
+grant execute on function public.factory_claim(public.player_factories.id%type) to authenticated;
+grant execute on function public.factory_upgrade(public.player_factories.id%type) to authenticated;
+
+grant execute on function public.task_claim(text) to authenticated;
+grant execute on function public.daily_quest_claim(text) to authenticated;
+grant execute on function public.profile_create(text, text) to authenticated;
+grant execute on function public.starter_pack_claim() to authenticated;
+grant execute on function public.contract_complete(public.player_contracts.id%type) to authenticated;
+grant execute on function public.album_claim(integer) to authenticated;
+grant execute on function public.project_subscribe(public.master_great_projects.id%type) to authenticated;
+grant execute on function public.project_deliver(public.player_great_projects.id%type, bigint, integer) to authenticated;
+grant execute on function public.project_complete(public.player_great_projects.id%type) to authenticated;
+grant execute on function public.wheel_spin() to authenticated;
+grant execute on function public.kv_game_start() to authenticated;
+grant execute on function public.kv_game_guess(text) to authenticated;
+grant execute on function public.kv_game_use_item(text) to authenticated;
+grant execute on function public.kv_game_end() to authenticated;
+grant execute on function public.card_burn(uuid) to authenticated;
+grant execute on function public.card_pack_open(text) to authenticated;
+grant execute on function public.soul_card_mint() to authenticated;
+grant execute on function public.vault_claim() to authenticated;
+grant execute on function public.vault_upgrade() to authenticated;
+grant execute on function public.event_claim(public.game_events.id%type) to authenticated;
+grant execute on function public.exchange_convert(text, text, numeric) to authenticated;
+grant execute on function public.ton_deposit_create(integer, text) to authenticated;
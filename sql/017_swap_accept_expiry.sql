@@ -0,0 +1,225 @@
+/*
+ * Filename: sql/017_swap_accept_expiry.sql
+ * Version: NOUB v5.8.0 (Expired Offers Cannot Be Accepted)
+ * Description:
+ * swap_expire_due (007) closes overdue offers only when someone calls it,
+ * so until then an offer past expires_at was still accepted. swap_accept and
+ * swap_bundle_accept now raise SWAP_EXPIRED for it; both bodies are
+ * otherwise the 003 and 005 versions.
+ * Requires 001 - 007.
+ */
+
+-- -----------------------------------------------------------------------------
+-- 1. ACCEPT (replaces the 003 version)
+-- -----------------------------------------------------------------------------
+create or replace function public.swap_accept(
+    p_request_id          uuid,
+    p_counter_instance_id uuid
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player       uuid := auth.uid();
+    v_request      swap_requests%rowtype;
+    v_counter_card bigint;
+    v_card_name    text;
+    v_price        numeric;
+    v_fee          numeric := 0;
+    v_transfer_id  uuid := gen_random_uuid();
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+
+    select * into v_request from swap_requests where id = p_request_id for update;
+    if not found or v_request.status <> 'active' then
+        raise exception 'SWAP_NOT_ACTIVE';
+    end if;
+    if v_request.expires_at <= now() then
+        raise exception 'SWAP_EXPIRED';
+    end if;
+    if v_request.player_id_offering = v_player then
+        raise exception 'SWAP_OWN_OFFER';
+    end if;
+    if not exists (select 1 from card_escrow where request_id = p_request_id and instance_id = v_request.card_instance_id_offer) then
+        raise exception 'SWAP_ESCROW_MISSING';
+    end if;
+
+    -- Card leg
+    if v_request.item_id_request is not null then
+        if p_counter_instance_id is null then
+            raise exception 'SWAP_WRONG_CARD';
+        end if;
+        v_counter_card := _swap_assert_tradeable(p_counter_instance_id, v_player);
+        if v_counter_card is distinct from v_request.item_id_request then
+            raise exception 'SWAP_WRONG_CARD';
+        end if;
+    elsif p_counter_instance_id is not null then
+        raise exception 'SWAP_WRONG_CARD';
+    end if;
+
+    -- NOUB leg: buyer pays net + fee, seller receives net, fee is burned
+    v_price := coalesce(v_request.price_noub, 0);
+    if v_price > 0 then
+        v_fee := floor(v_price * _market_fee_percent() / 100);
+        perform 1 from profiles where id in (v_player, v_request.player_id_offering) order by id for update;
+        perform _ledger_apply(v_player, jsonb_build_object('noub', -(v_price - v_fee)), 'MARKET_PURCHASE', 'swap_request', p_request_id::text, v_transfer_id);
+        if v_fee > 0 then
+            perform _ledger_apply(v_player, jsonb_build_object('noub', -v_fee), 'MARKET_FEE', 'swap_request', p_request_id::text, v_transfer_id);
+        end if;
+        perform _ledger_apply(v_request.player_id_offering, jsonb_build_object('noub', v_price - v_fee), 'MARKET_SALE', 'swap_request', p_request_id::text, v_transfer_id);
+    end if;
+
+    perform set_config('noub.swap_write', 'on', true);
+
+    update player_cards
+       set player_id = v_player, is_locked = false, acquired_at = now()
+     where instance_id = v_request.card_instance_id_offer;
+
+    if p_counter_instance_id is not null then
+        update player_cards
+           set player_id = v_request.player_id_offering, is_locked = false, acquired_at = now()
+         where instance_id = p_counter_instance_id;
+    end if;
+
+    delete from card_escrow where request_id = p_request_id;
+    update swap_requests set status = 'completed' where id = p_request_id;
+
+    insert into swap_transactions (request_id, player_offering_id, player_accepting_id, card_instance_offered_instance, card_instance_received_instance, price_noub, fee_noub)
+    values (p_request_id, v_request.player_id_offering, v_player, v_request.card_instance_id_offer, p_counter_instance_id, v_price, v_fee);
+
+    perform set_config('noub.swap_write', 'off', true);
+
+    select name into v_card_name from cards where id = v_request.item_id_offer;
+
+    insert into activity_log (player_id, activity_type, description) values
+        (v_request.player_id_offering, 'SWAP',
+         case when v_price > 0
+              then format('Sold %s for %s NOUB (fee %s burned).', v_card_name, v_price - v_fee, v_fee)
+              else format('Traded away %s.', v_card_name) end),
+        (v_player, 'SWAP',
+         case when v_price > 0
+              then format('Bought %s for %s NOUB.', v_card_name, v_price)
+              else format('Received %s in a trade.', v_card_name) end);
+
+    return jsonb_build_object('request_id', p_request_id, 'new_card_name', v_card_name, 'price_noub', v_price, 'fee_noub', v_fee);
+end;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- 2. BUNDLE ACCEPT (replaces the 005 version)
+-- -----------------------------------------------------------------------------
+create or replace function public.swap_bundle_accept(p_request_id uuid, p_counter_instance_ids uuid[])
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_player      uuid := auth.uid();
+    v_request     swap_requests%rowtype;
+    v_asset       swap_request_assets%rowtype;
+    v_instance    uuid;
+    v_given       bigint[] := '{}';
+    v_wanted      bigint[];
+    v_fee         numeric := 0;
+    v_leg_fee     numeric;
+    v_price       numeric := 0;
+    v_transfer_id uuid := gen_random_uuid();
+begin
+    if v_player is null then
+        raise exception 'SWAP_FORBIDDEN';
+    end if;
+
+    select * into v_request from swap_requests where id = p_request_id for update;
+    if not found or v_request.status <> 'active' or not v_request.is_bundle then
+        raise exception 'SWAP_NOT_ACTIVE';
+    end if;
+    if v_request.expires_at <= now() then
+        raise exception 'SWAP_EXPIRED';
+    end if;
+    if v_request.player_id_offering = v_player then
+        raise exception 'SWAP_OWN_OFFER';
+    end if;
+
+    -- Requested cards: the counter instances must cover them exactly
+    if (select count(distinct i) from unnest(p_counter_instance_ids) i) <> coalesce(array_length(p_counter_instance_ids, 1), 0) then
+        raise exception 'SWAP_WRONG_CARD';
+    end if;
+    foreach v_instance in array coalesce(p_counter_instance_ids, '{}') loop
+        v_given := v_given || _swap_assert_tradeable(v_instance, v_player);
+    end loop;
+    select coalesce(array_agg(card_id order by card_id), '{}') into v_wanted
+      from swap_request_assets where request_id = p_request_id and side = 'request' and asset_type = 'card';
+    if (select coalesce(array_agg(c order by c), '{}') from unnest(v_given) c) is distinct from v_wanted then
+        raise exception 'SWAP_WRONG_CARD';
+    end if;
+
+    perform 1 from profiles where id in (v_player, v_request.player_id_offering) order by id for update;
+    perform set_config('noub.swap_write', 'on', true);
+
+    -- Request side: acceptor -> offerer
+    if array_length(p_counter_instance_ids, 1) > 0 then
+        update player_cards
+           set player_id = v_request.player_id_offering, is_locked = false, acquired_at = now()
+         where instance_id = any(p_counter_instance_ids);
+    end if;
+
+    for v_asset in select * from swap_request_assets where request_id = p_request_id and side = 'request' and asset_type <> 'card' loop
+        if v_asset.asset_type = 'item' then
+            perform _inventory_take(v_player, v_asset.item_id, v_asset.quantity);
+            perform _inventory_give(v_request.player_id_offering, v_asset.item_id, v_asset.quantity);
+        else
+            v_leg_fee := case when v_asset.currency = 'noub' then floor(v_asset.quantity * _market_fee_percent() / 100) else 0 end;
+            if v_asset.currency = 'noub' then
+                v_price := v_asset.quantity;
+            end if;
+            perform _ledger_apply(v_player, jsonb_build_object(v_asset.currency, -(v_asset.quantity - v_leg_fee)),
+                                  'MARKET_PURCHASE', 'swap_request', p_request_id::text, v_transfer_id);
+            if v_leg_fee > 0 then
+                perform _ledger_apply(v_player, jsonb_build_object('noub', -v_leg_fee), 'MARKET_FEE', 'swap_request', p_request_id::text, v_transfer_id);
+            end if;
+            perform _ledger_apply(v_request.player_id_offering, jsonb_build_object(v_asset.currency, v_asset.quantity - v_leg_fee),
+                                  'MARKET_SALE', 'swap_request', p_request_id::text, v_transfer_id);
+            v_fee := v_fee + v_leg_fee;
+        end if;
+    end loop;
+
+    -- Offer side: escrow -> acceptor (escrowed NOUB also pays the market fee)
+    for v_asset in select * from swap_request_assets where request_id = p_request_id and side = 'offer' and escrowed loop
+        if v_asset.asset_type = 'card' then
+            update player_cards
+               set player_id = v_player, is_locked = false, acquired_at = now()
+             where instance_id = v_asset.instance_id;
+        elsif v_asset.asset_type = 'item' then
+            perform _inventory_give(v_player, v_asset.item_id, v_asset.quantity);
+        else
+            v_leg_fee := case when v_asset.currency = 'noub' then floor(v_asset.quantity * _market_fee_percent() / 100) else 0 end;
+            perform _ledger_apply(v_player, jsonb_build_object(v_asset.currency, v_asset.quantity - v_leg_fee),
+                                  'MARKET_SALE', 'swap_request', p_request_id::text, v_transfer_id);
+            v_fee := v_fee + v_leg_fee;
+        end if;
+    end loop;
+
+    delete from card_escrow where request_id = p_request_id;
+    update swap_request_assets set escrowed = false where request_id = p_request_id;
+    update swap_requests set status = 'completed' where id = p_request_id;
+
+    insert into swap_transactions (request_id, player_offering_id, player_accepting_id, card_instance_offered_instance, card_instance_received_instance, price_noub, fee_noub)
+    values (p_request_id, v_request.player_id_offering, v_player, null, null, v_price, v_fee);
+
+    perform set_config('noub.swap_write', 'off', true);
+
+    insert into activity_log (player_id, activity_type, description) values
+        (v_request.player_id_offering, 'SWAP', 'Your bundle offer was accepted.'),
+        (v_player, 'SWAP', 'Bundle trade completed.');
+
+    return jsonb_build_object('request_id', p_request_id, 'price_noub', v_price, 'fee_noub', v_fee);
+end;
+$$;
+
+grant execute on function public.swap_accept(uuid, uuid) to authenticated;
+grant execute on function public.swap_bundle_accept(uuid, uuid[]) to authenticated;
@@ -0,0 +1,107 @@
+/*
+ * Filename: supabase/functions/_shared/telegram_init_data.js
+ * Version: NOUB 0.1.0 (Telegram initData Verification)
+ * Description:
+ * Checks the initData string Telegram hands a Mini App (Telegram.WebApp.initData),
+ * following https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ *   secret = HMAC-SHA256(key "WebAppData", bot token)
+ *   hash   = hex(HMAC-SHA256(key secret, data-check-string))
+ * where the data-check-string is every field but `hash`, sorted by key, as
+ * "key=value" lines. Only Web Crypto is used, so the same file runs in the
+ * telegram-auth Edge Function (Deno) and in the browser for the local
+ * backend's stand-in (js/backends/local.js).
+ */
+
+const encoder = new TextEncoder();
+
+async function hmac(key, message) {
+    const keyBytes = typeof key === 'string' ? encoder.encode(key) : key;
+    const cryptoKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message)));
+}
+
+function toHex(bytes) {
+    return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Compares every character, so the time taken does not reveal the matching prefix
+function sameText(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+function dataCheckString(params) {
+    return [...params.entries()]
+        .filter(([key]) => key !== 'hash')
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+}
+
+async function computeHash(params, botToken) {
+    const secret = await hmac('WebAppData', botToken);
+    return toHex(await hmac(secret, dataCheckString(params)));
+}
+
+/**
+ * Verifies initData against the bot token.
+ * @param {string} initData - Telegram.WebApp.initData (a query string).
+ * @param {string} botToken - The token of the bot that opened the Mini App.
+ * @param {{maxAgeSeconds?: number, now?: number}} [options] - Rejects data
+ *        signed longer ago than maxAgeSeconds (default one day).
+ * @returns {Promise<{ok: boolean, reason?: string, user?: object, authDate?: number, startParam?: string|null}>}
+ *          reason: 'no_token' | 'missing' | 'bad_hash' | 'expired' | 'no_user'
+ */
+export async function verifyInitData(initData, botToken, { maxAgeSeconds = 86400, now = Date.now() } = {}) {
+    if (!botToken) return { ok: false, reason: 'no_token' };
+    if (!initData || typeof initData !== 'string') return { ok: false, reason: 'missing' };
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash || !sameText(await computeHash(params, botToken), hash)) return { ok: false, reason: 'bad_hash' };
+
+    const authDate = Number(params.get('auth_date'));
+    if (!authDate || now / 1000 - authDate > maxAgeSeconds) return { ok: false, reason: 'expired' };
+
+    let user = null;
+    try {
+        user = JSON.parse(params.get('user'));
+    } catch (err) {
+        user = null;
+    }
+    if (!user?.id) return { ok: false, reason: 'no_user' };
+
+    return { ok: true, user, authDate, startParam: params.get('start_param') };
+}
+
+/**
+ * The user_metadata a new account gets from its Telegram user. The client
+ * seeds the profile from username and avatar_url (js/auth.js).
+ */
+export function telegramUserMetadata(tgUser) {
+    const fullName = [tgUser.first_name, tgUser.last_name].filter(Boolean).join(' ');
+    return {
+        username: tgUser.username || fullName || 'Explorer',
+        avatar_url: tgUser.photo_url || null,
+        telegram_id: tgUser.id,
+        language_code: tgUser.language_code || null
+    };
+}
+
+/**
+ * Builds a signed initData string the way Telegram does. For development and
+ * tests against the local backend only: it needs the bot token, which must
+ * never ship in the client of a real deployment.
+ * @param {object} fields - e.g. { user: { id: 42, username: 'ramses' }, start_param: 'ref_x' }
+ */
+export async function signInitData(fields, botToken) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(fields)) {
+        params.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+    if (!params.has('auth_date')) params.set('auth_date', String(Math.floor(Date.now() / 1000)));
+    params.set('hash', await computeHash(params, botToken));
+    return params.toString();
+}
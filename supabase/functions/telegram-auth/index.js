@@ -0,0 +1,138 @@
+/*
+ * Filename: supabase/functions/telegram-auth/index.js
+ * Version: NOUB 0.1.0 (Telegram Sign-In)
+ * Description:
+ * Edge Function behind one-tap sign-in from Telegram (js/auth.js).
+ * POST { initData }              -> { session, created }
+ *   Verifies initData with the bot token, finds the player linked to that
+ *   Telegram id (sql/013_telegram_identities.sql) or creates an auth user
+ *   for it, and returns a Supabase session. New users carry the Telegram
+ *   name and photo in user_metadata; the client seeds the profile from them.
+ * POST { initData, mode: 'link' } with the player's JWT -> { linked }
+ *   Links the Telegram id to an existing email or guest account. A guest
+ *   gets the placeholder email too, which makes the account permanent
+ *   (sql/014_guest_accounts.sql) and lets issueSession() sign it in.
+ * Errors come back as { error: CODE } with the codes api.js translates:
+ *   TELEGRAM_INVALID:<reason>, TELEGRAM_ALREADY_LINKED, TELEGRAM_PLAYER_LINKED,
+ *   TELEGRAM_LINK_AUTH, TELEGRAM_SIGNIN_FAILED.
+ * Secrets: TELEGRAM_BOT_TOKEN, plus SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY
+ * which Supabase provides.
+ * Deploy: supabase functions deploy telegram-auth --no-verify-jwt
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { verifyInitData, telegramUserMetadata } from '../_shared/telegram_init_data.js';
+
+const MAX_AGE_SECONDS = 24 * 3600;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+function reply(status, body) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+    });
+}
+
+// Telegram accounts have no email; auth.users needs one, so each gets a placeholder
+function placeholderEmail(telegramId) {
+    return `tg${telegramId}@telegram.noub.invalid`;
+}
+
+async function findLinkedPlayer(admin, telegramId) {
+    const { data, error } = await admin
+        .from('telegram_identities')
+        .select('player_id')
+        .eq('telegram_id', telegramId)
+        .maybeSingle();
+    if (error) throw error;
+    return data?.player_id || null;
+}
+
+async function createTelegramUser(admin, tgUser) {
+    const { data, error } = await admin.auth.admin.createUser({
+        email: placeholderEmail(tgUser.id),
+        email_confirm: true,
+        user_metadata: telegramUserMetadata(tgUser)
+    });
+    if (error) throw error;
+
+    const { error: linkError } = await admin
+        .from('telegram_identities')
+        .insert({ telegram_id: tgUser.id, player_id: data.user.id, username: tgUser.username || null });
+    if (linkError) {
+        // Two first sign-ins raced: keep the identity that won, drop our user
+        await admin.auth.admin.deleteUser(data.user.id);
+        const winner = await findLinkedPlayer(admin, tgUser.id);
+        if (!winner) throw linkError;
+        return winner;
+    }
+    return data.user.id;
+}
+
+/**
+ * Mints a session without a password: a one-time magic-link token is
+ * generated and redeemed here, so it never leaves the function.
+ */
+async function issueSession(admin, playerId) {
+    const { data: { user }, error: userError } = await admin.auth.admin.getUserById(playerId);
+    if (userError) throw userError;
+
+    const { data: link, error: linkError } = await admin.auth.admin.generateLink({ type: 'magiclink', email: user.email });
+    if (linkError) throw linkError;
+
+    const { data, error } = await admin.auth.verifyOtp({ token_hash: link.properties.hashed_token, type: 'magiclink' });
+    if (error) throw error;
+    return { access_token: data.session.access_token, refresh_token: data.session.refresh_token };
+}
+
+async function signIn(admin, tgUser) {
+    let playerId = await findLinkedPlayer(admin, tgUser.id);
+    const created = !playerId;
+    if (created) playerId = await createTelegramUser(admin, tgUser);
+    return reply(200, { session: await issueSession(admin, playerId), created });
+}
+
+async function link(req, admin, tgUser) {
+    const jwt = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const { data: { user } = {}, error } = await admin.auth.getUser(jwt);
+    if (error || !user) return reply(401, { error: 'TELEGRAM_LINK_AUTH' });
+
+    const linkedPlayer = await findLinkedPlayer(admin, tgUser.id);
+    if (linkedPlayer === user.id) return reply(200, { linked: true });
+    if (linkedPlayer) return reply(409, { error: 'TELEGRAM_ALREADY_LINKED' });
+
+    const { error: insertError } = await admin
+        .from('telegram_identities')
+        .insert({ telegram_id: tgUser.id, player_id: user.id, username: tgUser.username || null });
+    // player_id is unique: this account already has another Telegram id
+    if (insertError?.code === '23505') return reply(409, { error: 'TELEGRAM_PLAYER_LINKED' });
+    if (insertError) throw insertError;
+
+    const changes = { user_metadata: { ...user.user_metadata, telegram_id: tgUser.id } };
+    if (!user.email) Object.assign(changes, { email: placeholderEmail(tgUser.id), email_confirm: true });
+    await admin.auth.admin.updateUserById(user.id, changes);
+    return reply(200, { linked: true });
+}
+
+Deno.serve(async req => {
+    if (req.method === 'OPTIONS') return new Response('ok', { headers: CORS_HEADERS });
+
+    const { initData, mode = 'signin' } = await req.json().catch(() => ({}));
+    const verified = await verifyInitData(initData, Deno.env.get('TELEGRAM_BOT_TOKEN'), { maxAgeSeconds: MAX_AGE_SECONDS });
+    if (!verified.ok) return reply(401, { error: `TELEGRAM_INVALID:${verified.reason}` });
+
+    const admin = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'), {
+        auth: { persistSession: false, autoRefreshToken: false }
+    });
+
+    try {
+        return mode === 'link' ? await link(req, admin, verified.user) : await signIn(admin, verified.user);
+    } catch (err) {
+        console.error('telegram-auth failed:', err);
+        return reply(500, { error: 'TELEGRAM_SIGNIN_FAILED' });
+    }
+});
@@ -0,0 +1,111 @@
+/*
+ * Filename: supabase/functions/ton-deposit/index.js
+ * Version: NOUB v5.7.0 (TON Deposit Verification)
+ * Description:
+ * Edge Function that credits Ankh bought with TON (js/screens/shop.js).
+ * The client records the purchase with ton_deposit_create
+ * (sql/016_server_rewards.sql), which fixes the paying wallet and an exact
+ * amount in nanotons, and sends that amount from the connected wallet.
+ * POST { depositId } with the player's JWT
+ *   -> { status: 'credited', reward, profile } once the transfer is on chain
+ *   -> { status: 'pending' } while it is not (the client asks again)
+ *   Reads the game wallet's incoming transactions from toncenter and looks
+ *   for one from the deposit's wallet carrying exactly its amount, not
+ *   older than the deposit and not used by another deposit, then calls
+ *   ton_deposit_confirm, the only function that may credit it.
+ * Errors come back as { error: CODE } with the codes api.js translates:
+ *   TON_DEPOSIT_AUTH, TON_DEPOSIT_UNKNOWN, TON_DEPOSIT_FAILED.
+ * Secrets: TON_GAME_WALLET (raw address, 0:...), TONCENTER_API_KEY
+ * (optional, lifts the rate limit), plus SUPABASE_URL and
+ * SUPABASE_SERVICE_ROLE_KEY which Supabase provides.
+ * Deploy: supabase functions deploy ton-deposit
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const TONCENTER_URL = 'https://toncenter.com/api/v3/transactions';
+const CLOCK_SKEW_SECONDS = 60;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+function reply(status, body) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+    });
+}
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+async function incomingTransfers(sinceSeconds) {
+    const url = new URL(TONCENTER_URL);
+    url.search = new URLSearchParams({
+        account: Deno.env.get('TON_GAME_WALLET'),
+        start_utime: String(sinceSeconds),
+        limit: '100',
+        sort: 'desc'
+    });
+    const apiKey = Deno.env.get('TONCENTER_API_KEY');
+    const res = await fetch(url, { headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+    if (!res.ok) throw new Error(`toncenter answered ${res.status}`);
+    const { transactions = [] } = await res.json();
+    return transactions.filter(tx => tx.in_msg?.source && !tx.description?.aborted);
+}
+
+async function findTransfer(admin, deposit) {
+    const since = Math.floor(Date.parse(deposit.created_at) / 1000) - CLOCK_SKEW_SECONDS;
+    const candidates = (await incomingTransfers(since)).filter(tx =>
+        sameAddress(tx.in_msg.source, deposit.wallet) && BigInt(tx.in_msg.value) === BigInt(deposit.amount_nano));
+    if (!candidates.length) return null;
+
+    const { data: used, error } = await admin
+        .from('ton_deposits')
+        .select('tx_hash')
+        .in('tx_hash', candidates.map(tx => tx.hash));
+    if (error) throw error;
+    const usedHashes = new Set(used.map(row => row.tx_hash));
+    return candidates.find(tx => !usedHashes.has(tx.hash)) || null;
+}
+
+async function verify(admin, playerId, depositId) {
+    const { data: deposit, error } = await admin.from('ton_deposits').select('*').eq('id', depositId).maybeSingle();
+    if (error) throw error;
+    if (!deposit || deposit.player_id !== playerId) return reply(404, { error: 'TON_DEPOSIT_UNKNOWN' });
+    if (deposit.status === 'credited') return reply(200, { status: 'credited' });
+
+    const transfer = await findTransfer(admin, deposit);
+    if (!transfer) return reply(200, { status: 'pending' });
+
+    const { data, error: confirmError } = await admin.rpc('ton_deposit_confirm', {
+        p_deposit_id: deposit.id,
+        p_tx_hash: transfer.hash
+    });
+    // tx_hash is unique: a parallel call took this transfer, the client asks again
+    if (confirmError?.code === '23505') return reply(200, { status: 'pending' });
+    if (confirmError) throw confirmError;
+    return reply(200, data);
+}
+
+Deno.serve(async req => {
+    if (req.method === 'OPTIONS') return new Response('ok', { headers: CORS_HEADERS });
+
+    const { depositId } = await req.json().catch(() => ({}));
+    const admin = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'), {
+        auth: { persistSession: false, autoRefreshToken: false }
+    });
+
+    const jwt = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const { data: { user } = {}, error } = await admin.auth.getUser(jwt);
+    if (error || !user) return reply(401, { error: 'TON_DEPOSIT_AUTH' });
+    if (!depositId) return reply(404, { error: 'TON_DEPOSIT_UNKNOWN' });
+
+    try {
+        return await verify(admin, user.id, depositId);
+    } catch (err) {
+        console.error('ton-deposit failed:', err);
+        return reply(500, { error: 'TON_DEPOSIT_FAILED' });
+    }
+});